@@ -1,3 +1,4 @@
+const http = require('http');
 const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
@@ -6,7 +7,14 @@ const swaggerUi = require('swagger-ui-express');
 const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/users');
 const messageRoutes = require('./routes/messages');
+const keyExchangeRoutes = require('./routes/keyExchange');
+const fileRoutes = require('./routes/files');
+const preKeyRoutes = require('./routes/preKeys');
+const deviceRoutes = require('./routes/devices');
+const backupRoutes = require('./routes/backup');
+const groupRoutes = require('./routes/groups');
 const { authenticateToken } = require('./middleware/auth');
+const { initSocket } = require('./utils/socketService');
 require('dotenv').config();
 
 
@@ -14,6 +22,8 @@ const app = express();
 const PORT = process.env.PORT || 3000;
 
 app.use(cors());
+// Encrypted file chunks need a larger body limit than the rest of the API
+app.use('/api/files', express.json({ limit: '10mb' }));
 app.use(express.json());
 
 // Swagger configuration
@@ -67,15 +77,39 @@ app.use('/api/users', userRoutes);
 // Use message routes
 app.use('/api/messages', messageRoutes);
 
+// Use key exchange relay routes
+app.use('/api/keyexchange', keyExchangeRoutes);
+
+// Use encrypted file routes
+app.use('/api/files', fileRoutes);
+
+// Use X3DH prekey routes
+app.use('/api/prekeys', preKeyRoutes);
+
+// Use device routes
+app.use('/api/devices', deviceRoutes);
+
+// Use encrypted key backup routes
+app.use('/api/backup', backupRoutes);
+
+// Use group routes
+app.use('/api/groups', groupRoutes);
+
 // Health check
 app.get('/health', (req, res) => {
     res.json({ status: 'OK', timestamp: new Date().toISOString() });
 });
 
-// Start server...
-app.listen(PORT, () => {
-    console.log(`Server running on port ${PORT}`);
-    console.log(`API Documentation available at http://localhost:${PORT}/docs`);
-});
+// Real-time messaging shares the HTTP server with the REST API
+const server = http.createServer(app);
+initSocket(server);
+
+// Start server (tests drive the app through supertest instead)
+if (process.env.NODE_ENV !== 'test') {
+  server.listen(PORT, () => {
+      console.log(`Server running on port ${PORT}`);
+      console.log(`API Documentation available at http://localhost:${PORT}/docs`);
+  });
+}
 
 module.exports = app;
\ No newline at end of file
@@ -1,18 +1,231 @@
 const express = require('express');
 const router = express.Router();
-const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
+const mongoose = require('mongoose');
 const User = require('../models/User');
+const Session = require('../models/Session');
 const Contact = require('../models/Contact');
+const WebAuthnCredential = require('../models/WebAuthnCredential');
 const { authenticateToken } = require('../middleware/auth');
-const { sendOTPEmail } = require('../utils/emailService');
+const { sendOTPEmail, sendPasswordResetEmail } = require('../utils/emailService');
+const { parseKeyBundle, formatKeyBundle } = require('../utils/keyBundle');
+const { appendKeyLogEntry } = require('../utils/keyTransparency');
+const { disconnectSessions } = require('../utils/socketService');
+const { consumeRateLimit } = require('../utils/rateLimit');
+const { generateOtp, hashOtp, otpMatches } = require('../utils/otp');
+const {
+    ipKey,
+    accountKey,
+    getRetryAfter,
+    recordLoginFailure,
+    clearFailures
+} = require('../utils/loginThrottle');
+const {
+    hashToken,
+    signAccessToken,
+    createRefreshToken,
+    parseRefreshToken,
+    createSession,
+    revokeSessions
+} = require('../utils/sessions');
+const {
+    generateTotpSecret,
+    verifyTotp,
+    getProvisioningUri,
+    generateBackupCodes,
+    hashBackupCode
+} = require('../utils/totp');
+const {
+    consumeChallenge,
+    createRegistrationOptions,
+    verifyRegistration,
+    createAuthenticationOptions,
+    verifyAuthentication
+} = require('../utils/webauthn');
+
+const OTP_TTL_MS = 10 * 60 * 1000;
+// Codes that can be tried against one emailed OTP before a new one has to be requested
+const MAX_OTP_ATTEMPTS = 5;
+const RESET_TOKEN_TTL_MS = 60 * 60 * 1000;
+// Reset emails per client and per address, so the endpoint cannot be used to flood an inbox
+const FORGOT_PASSWORD_IP_RATE_LIMIT = { limit: 10, windowMs: 60 * 60 * 1000 };
+const FORGOT_PASSWORD_EMAIL_RATE_LIMIT = { limit: 3, windowMs: 60 * 60 * 1000 };
+const LOGIN_CHALLENGE_TTL_MS = 10 * 60 * 1000;
+// Codes that can be tried against one login challenge before the password is needed again
+const MAX_LOGIN_CHALLENGE_ATTEMPTS = 5;
+const SECOND_FACTOR_METHODS = ['email', 'totp', 'backup_code'];
+
+const hashResetToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Store a fresh OTP on the user and email it
+const issueOtp = async (user) => {
+    const otp = generateOtp();
+    user.otp = hashOtp(otp);
+    user.otpExpires = new Date(Date.now() + OTP_TTL_MS);
+    user.otpAttempts = 0;
+    await user.save();
+
+    await sendOTPEmail(user.email, otp);
+};
+
+// Check an emailed OTP. The attempt is counted before the comparison, as for login challenges, and
+// the OTP is cleared when it matches or its last attempt is used, so it works at most once
+const useEmailOtp = async (user, otp) => {
+    const updated = await User.findOneAndUpdate(
+        {
+            _id: user._id,
+            otp: { $ne: null },
+            otpExpires: { $gt: new Date() },
+            otpAttempts: { $lt: MAX_OTP_ATTEMPTS }
+        },
+        { $inc: { otpAttempts: 1 } },
+        { new: true }
+    );
+    if (!updated) {
+        return false;
+    }
+
+    const matched = otpMatches(updated.otp, otp);
+    if (!matched && updated.otpAttempts < MAX_OTP_ATTEMPTS) {
+        return false;
+    }
+
+    const result = await User.updateOne(
+        { _id: user._id, otp: updated.otp },
+        { $set: { otp: null, otpExpires: null, otpAttempts: 0 } }
+    );
+    return matched && result.modifiedCount === 1;
+};
+
+const sendTooManyAttempts = (res, retryAfter) => {
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({ error: 'Too many failed attempts, try again later', retryAfter });
+};
+
+// Re-check the password before a sign-in method changes, so an access token alone cannot add or
+// remove one. Sends the error response and returns false when the check fails.
+const confirmPassword = async (req, res, user, password) => {
+    const retryAfter = await getRetryAfter(accountKey(user));
+    if (retryAfter) {
+        sendTooManyAttempts(res, retryAfter);
+        return false;
+    }
+
+    if (!await user.comparePassword(password)) {
+        await recordLoginFailure(req, user);
+        res.status(403).json({ error: 'Password is incorrect' });
+        return false;
+    }
+
+    return true;
+};
+
+// Proof that the password was checked, required along with authenticator app and backup codes
+const issueLoginChallenge = async (user) => {
+    const challenge = crypto.randomBytes(32).toString('hex');
+    user.loginChallenge = hashToken(challenge);
+    user.loginChallengeExpires = new Date(Date.now() + LOGIN_CHALLENGE_TTL_MS);
+    user.loginChallengeAttempts = 0;
+    await user.save();
+
+    return challenge;
+};
+
+const hasLoginChallenge = (user, challenge) => typeof challenge === 'string'
+    && user.loginChallenge === hashToken(challenge)
+    && user.loginChallengeExpires > new Date()
+    && user.loginChallengeAttempts < MAX_LOGIN_CHALLENGE_ATTEMPTS;
+
+const clearLoginChallenge = (user) => {
+    user.loginChallenge = null;
+    user.loginChallengeExpires = null;
+    user.loginChallengeAttempts = 0;
+};
+
+// Counts the attempt before the code is checked, so parallel guesses cannot exceed the limit
+const useLoginChallengeAttempt = async (user, challenge) => {
+    if (typeof challenge !== 'string') {
+        return false;
+    }
+
+    const updated = await User.findOneAndUpdate(
+        {
+            _id: user._id,
+            loginChallenge: hashToken(challenge),
+            loginChallengeExpires: { $gt: new Date() },
+            loginChallengeAttempts: { $lt: MAX_LOGIN_CHALLENGE_ATTEMPTS }
+        },
+        { $inc: { loginChallengeAttempts: 1 } },
+        { new: true }
+    );
+
+    return Boolean(updated);
+};
+
+// Check an authenticator app or backup code and mark it as used, atomically so it works only once
+const consumeSecondFactor = async (user, method, code) => {
+    if (method === 'backup_code') {
+        const hash = hashBackupCode(code);
+        const result = await User.updateOne(
+            { _id: user._id, 'totp.backupCodes': hash },
+            { $pull: { 'totp.backupCodes': hash } }
+        );
+        return result.modifiedCount === 1;
+    }
+
+    const step = verifyTotp(user.totp.secret, code);
+    if (step === null) {
+        return false;
+    }
+
+    const result = await User.updateOne(
+        {
+            _id: user._id,
+            $or: [{ 'totp.lastUsedStep': null }, { 'totp.lastUsedStep': { $lt: step } }]
+        },
+        { $set: { 'totp.lastUsedStep': step } }
+    );
+    return result.modifiedCount === 1;
+};
+
+// Start a session and send what the client needs after any completed login
+const sendLoginResponse = async (user, req, res) => {
+    await clearFailures(accountKey(user));
+    const { accessToken, refreshToken } = await createSession(user, req.get('User-Agent'));
+
+    // Get user's contacts
+    const contacts = await Contact.find({ userId: user._id })
+        .populate('contactUserId', 'username email keyBundle')
+        .select('contactUserId addedAt');
+
+    const formattedContacts = contacts.map(contact => ({
+        id: contact.contactUserId._id,
+        username: contact.contactUserId.username,
+        email: contact.contactUserId.email,
+        keyBundle: formatKeyBundle(contact.contactUserId.keyBundle),
+        addedAt: contact.addedAt
+    }));
+
+    res.json({
+        success: true,
+        token: accessToken,
+        refreshToken,
+        user: {
+            id: user._id,
+            username: user.username,
+            email: user.email,
+            keyBundle: formatKeyBundle(user.keyBundle)
+        },
+        contacts: formattedContacts
+    });
+};
 
 exports.register = async (req, res) => {
     try {
-        const { username, email, password, publicKey } = req.body;
+        const { username, email, password } = req.body;
 
-        if (!username || !email || !password || !publicKey) {
-            return res.status(400).json({ error: 'Username, email, password, and publicKey are required' });
+        if (!username || !email || !password || !req.body.keyBundle) {
+            return res.status(400).json({ error: 'Username, email, password, and keyBundle are required' });
         }
 
         if (username.length < 3 || username.length > 50) {
@@ -23,24 +236,31 @@ exports.register = async (req, res) => {
             return res.status(400).json({ error: 'Password must be at least 6 characters long' });
         }
 
+        const { keyBundle, error } = parseKeyBundle(req.body.keyBundle);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
         const existingUser = await User.findOne({ $or: [{ username }, { email }] });
         if (existingUser) {
             return res.status(400).json({ error: 'User already exists' });
         }
 
-        const user = new User({ username, email, password, publicKey });
+        const user = new User({ username, email, password, keyBundle });
         await user.save();
+        await appendKeyLogEntry(user._id, user.keyBundle);
 
-        const token = jwt.sign({ id: user._id, username: user.username, email: user.email }, process.env.JWT_SECRET, { expiresIn: '24h' });
+        const { accessToken, refreshToken } = await createSession(user, req.get('User-Agent'));
 
         res.status(201).json({
             success: true,
-            token,
+            token: accessToken,
+            refreshToken,
             user: {
                 id: user._id,
                 email: user.email,
                 username: user.username,
-                publicKey: user.publicKey,
+                keyBundle: formatKeyBundle(user.keyBundle),
                 createdAt: user.createdAt
             }
         });
@@ -58,27 +278,42 @@ exports.login = async (req, res) => {
             return res.status(400).json({ error: 'Identifier and password are required' });
         }
 
+        // Checked before the password, so guesses made while blocked reveal nothing
+        const ipRetryAfter = await getRetryAfter(ipKey(req));
+        if (ipRetryAfter) {
+            return sendTooManyAttempts(res, ipRetryAfter);
+        }
+
         const user = await User.findOne({ $or: [{ username: identifier }, { email: identifier }] });
 
-        if (!user) {
-            return res.status(401).json({ error: 'Invalid credentials' });
+        const accountRetryAfter = user ? await getRetryAfter(accountKey(user)) : 0;
+        if (accountRetryAfter) {
+            return sendTooManyAttempts(res, accountRetryAfter);
         }
 
-        const isValidPassword = await user.comparePassword(password);
-        if (!isValidPassword) {
+        if (!user || !await user.comparePassword(password)) {
+            await recordLoginFailure(req, user);
             return res.status(401).json({ error: 'Invalid credentials' });
         }
 
-        // Generate OTP
-        const otp = crypto.randomInt(100000, 999999).toString();
-        user.otp = otp;
-        user.otpExpires = new Date(Date.now() + 10 * 60 * 1000); // 10 minutes
-        await user.save();
+        // Authenticator app codes and passkeys are checked against a challenge proving the password was
+        const hasPasskey = Boolean(await WebAuthnCredential.exists({ userId: user._id }));
+        const loginChallenge = user.totp?.enabled || hasPasskey ? await issueLoginChallenge(user) : undefined;
+        const passkeyMethods = hasPasskey ? ['webauthn'] : [];
 
-        // Send OTP email
-        await sendOTPEmail(user.email, otp);
+        // With an authenticator app set up no email is sent
+        if (user.totp?.enabled) {
+            return res.json({
+                message: 'Enter the code from your authenticator app',
+                methods: ['totp', 'backup_code', ...passkeyMethods],
+                loginChallenge
+            });
+        }
 
-        res.json({ message: 'OTP sent to your email' });
+        // Generate OTP and send it by email
+        await issueOtp(user);
+
+        res.json({ message: 'OTP sent to your email', methods: ['email', ...passkeyMethods], loginChallenge });
     } catch (error) {
         console.error('Login error:', error);
         res.status(500).json({ error: 'Internal server error' });
@@ -87,51 +322,611 @@ exports.login = async (req, res) => {
 
 exports.verifyOtp = async (req, res) => {
     try {
-        const { identifier, otp } = req.body;
+        const { identifier, otp, method = 'email', loginChallenge } = req.body;
 
         if (!identifier || !otp) {
             return res.status(400).json({ error: 'Identifier and OTP are required' });
         }
 
-        const user = await User.findOne({ $or: [{ username: identifier }, { email: identifier }] });
+        if (!SECOND_FACTOR_METHODS.includes(method)) {
+            return res.status(400).json({ error: 'Unsupported verification method' });
+        }
 
-        if (!user || user.otp !== otp || user.otpExpires < new Date()) {
+        const ipRetryAfter = await getRetryAfter(ipKey(req));
+        if (ipRetryAfter) {
+            return sendTooManyAttempts(res, ipRetryAfter);
+        }
+
+        const user = await User.findOne({ $or: [{ username: identifier }, { email: identifier }] });
+        if (!user) {
+            await recordLoginFailure(req);
             return res.status(401).json({ error: 'Invalid or expired OTP' });
         }
 
-        // Clear OTP
+        // Codes are already limited per OTP and login challenge, so only a lockout stops them here
+        const lockRetryAfter = await getRetryAfter(accountKey(user), { lockedOnly: true });
+        if (lockRetryAfter) {
+            return sendTooManyAttempts(res, lockRetryAfter);
+        }
+
+        // The factor follows the account settings: email codes only while no authenticator app is set up
+        const totpEnabled = Boolean(user.totp?.enabled);
+        if (method === 'email') {
+            if (totpEnabled || !await useEmailOtp(user, otp)) {
+                await recordLoginFailure(req, user);
+                return res.status(401).json({ error: 'Invalid or expired OTP' });
+            }
+        } else {
+            if (!totpEnabled
+                || !await useLoginChallengeAttempt(user, loginChallenge)
+                || !await consumeSecondFactor(user, method, otp)) {
+                await recordLoginFailure(req, user);
+                return res.status(401).json({ error: 'Invalid or expired OTP' });
+            }
+
+            clearLoginChallenge(user);
+            await user.save();
+        }
+
+        await sendLoginResponse(user, req, res);
+    } catch (error) {
+        console.error('OTP verification error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+};
+
+exports.requestPasswordChangeOtp = async (req, res) => {
+    try {
+        const user = await User.findById(req.user.id);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        await issueOtp(user);
+
+        res.json({ message: 'OTP sent to your email' });
+    } catch (error) {
+        console.error('Password change OTP error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+};
+
+exports.changePassword = async (req, res) => {
+    try {
+        const { currentPassword, newPassword, otp } = req.body || {};
+
+        if (!currentPassword || !newPassword || !otp) {
+            return res.status(400).json({ error: 'Current password, new password, and OTP are required' });
+        }
+
+        if (typeof newPassword !== 'string' || newPassword.length < 6) {
+            return res.status(400).json({ error: 'Password must be at least 6 characters long' });
+        }
+
+        if (newPassword === currentPassword) {
+            return res.status(400).json({ error: 'New password must be different from the current password' });
+        }
+
+        const user = await User.findById(req.user.id);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        // A stolen session must not give unlimited password guesses either
+        const retryAfter = await getRetryAfter(accountKey(user));
+        if (retryAfter) {
+            return sendTooManyAttempts(res, retryAfter);
+        }
+
+        // 403 rather than 401: the session itself is valid and must not be dropped by the client
+        if (!await user.comparePassword(currentPassword)) {
+            await recordLoginFailure(req, user);
+            return res.status(403).json({ error: 'Current password is incorrect' });
+        }
+
+        if (!await useEmailOtp(user, otp)) {
+            await recordLoginFailure(req, user);
+            return res.status(403).json({ error: 'Invalid or expired OTP' });
+        }
+
+        user.password = newPassword;
+        await user.save();
+
+        // Every other session has to sign in again with the new password
+        const revoked = await revokeSessions({ userId: user._id, _id: { $ne: req.user.sid } }, 'password-change');
+        disconnectSessions(revoked);
+
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Change password error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+};
+
+exports.forgotPassword = async (req, res) => {
+    try {
+        const { email } = req.body || {};
+
+        if (!email || typeof email !== 'string') {
+            return res.status(400).json({ error: 'Email is required' });
+        }
+
+        // Limited by address whether or not an account has it, so the limit itself reveals nothing
+        const retryAfter = await consumeRateLimit(`forgot-password:ip:${req.ip}`, FORGOT_PASSWORD_IP_RATE_LIMIT)
+            || await consumeRateLimit(`forgot-password:email:${email.toLowerCase()}`, FORGOT_PASSWORD_EMAIL_RATE_LIMIT);
+        if (retryAfter) {
+            res.set('Retry-After', String(retryAfter));
+            return res.status(429).json({ error: 'Too many reset requests, try again later', retryAfter });
+        }
+
+        // The response is the same whether or not the account exists
+        const user = await User.findOne({ email });
+        if (user) {
+            const token = crypto.randomBytes(32).toString('hex');
+            user.passwordResetToken = hashResetToken(token);
+            user.passwordResetExpires = new Date(Date.now() + RESET_TOKEN_TTL_MS);
+            await user.save();
+
+            const clientUrl = process.env.CLIENT_URL || 'http://localhost:5173';
+            try {
+                await sendPasswordResetEmail(user.email, `${clientUrl}/?resetToken=${token}`);
+            } catch (error) {
+                // A 500 here would only happen for existing accounts
+                console.error('Password reset email error:', error);
+            }
+        }
+
+        res.json({ message: 'If an account exists for this email, a reset link has been sent' });
+    } catch (error) {
+        console.error('Forgot password error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+};
+
+exports.resetPassword = async (req, res) => {
+    try {
+        const { token, newPassword } = req.body || {};
+
+        if (!token || !newPassword) {
+            return res.status(400).json({ error: 'Reset token and new password are required' });
+        }
+
+        if (typeof token !== 'string' || typeof newPassword !== 'string') {
+            return res.status(400).json({ error: 'Invalid reset token or password' });
+        }
+
+        if (newPassword.length < 6) {
+            return res.status(400).json({ error: 'Password must be at least 6 characters long' });
+        }
+
+        // Clearing the token in the same query makes it single-use even under concurrent requests
+        const user = await User.findOneAndUpdate(
+            { passwordResetToken: hashResetToken(token), passwordResetExpires: { $gt: new Date() } },
+            { $set: { passwordResetToken: null, passwordResetExpires: null } },
+            { new: true }
+        );
+        if (!user) {
+            return res.status(400).json({ error: 'Invalid or expired reset token' });
+        }
+
+        user.password = newPassword;
         user.otp = undefined;
         user.otpExpires = undefined;
         await user.save();
 
-        const token = jwt.sign({ id: user._id, username: user.username, email: user.email }, process.env.JWT_SECRET, { expiresIn: '24h' });
+        // Proving access to the email is enough to lift a lockout
+        await clearFailures(accountKey(user));
+        disconnectSessions(await revokeSessions({ userId: user._id }, 'password-reset'));
+
+        // A reset means the account may be compromised; passkeys added by whoever had it would
+        // otherwise still sign in without the new password
+        await WebAuthnCredential.deleteMany({ userId: user._id });
+
+        res.json({ success: true, email: user.email });
+    } catch (error) {
+        console.error('Reset password error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+};
+
+exports.refresh = async (req, res) => {
+    try {
+        const parsed = parseRefreshToken((req.body || {}).refreshToken);
+        if (!parsed) {
+            return res.status(400).json({ error: 'Refresh token is required' });
+        }
+
+        const session = await Session.findById(parsed.sessionId);
+        if (!session || session.revokedAt || session.expiresAt < new Date()) {
+            return res.status(401).json({ error: 'Invalid or expired refresh token' });
+        }
+
+        // Only the latest token of a session is valid; an older one means it was copied, and the
+        // session is revoked because the legitimate client cannot be told apart from the copy
+        const { refreshToken, refreshTokenHash } = createRefreshToken(session._id);
+        const rotated = await Session.findOneAndUpdate(
+            { _id: session._id, refreshTokenHash: hashToken(parsed.secret), revokedAt: null },
+            { $set: { refreshTokenHash, lastUsedAt: new Date() } },
+            { new: true }
+        );
+        if (!rotated) {
+            disconnectSessions(await revokeSessions({ _id: session._id }, 'refresh-token-reuse'));
+            return res.status(401).json({ error: 'Refresh token reuse detected' });
+        }
+
+        const user = await User.findById(rotated.userId).select('username email');
+        if (!user) {
+            return res.status(401).json({ error: 'Invalid or expired refresh token' });
+        }
 
-        // Get user's contacts
-        const contacts = await Contact.find({ userId: user._id })
-            .populate('contactUserId', 'username email publicKey')
-            .select('contactUserId addedAt');
+        res.json({ token: signAccessToken(user, rotated), refreshToken });
+    } catch (error) {
+        console.error('Token refresh error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+};
 
-        const formattedContacts = contacts.map(contact => ({
-            id: contact.contactUserId._id,
-            username: contact.contactUserId.username,
-            email: contact.contactUserId.email,
-            publicKey: contact.contactUserId.publicKey,
-            addedAt: contact.addedAt
-        }));
+exports.logout = async (req, res) => {
+    try {
+        disconnectSessions(await revokeSessions({ _id: req.user.sid }, 'logout'));
+
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Logout error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+};
+
+exports.logoutAll = async (req, res) => {
+    try {
+        const revoked = await revokeSessions({ userId: req.user.id }, 'logout-all');
+        disconnectSessions(revoked);
+
+        res.json({ success: true, revokedSessions: revoked.length });
+    } catch (error) {
+        console.error('Logout all sessions error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+};
+
+exports.getTotpStatus = async (req, res) => {
+    try {
+        const user = await User.findById(req.user.id).select('totp');
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
 
         res.json({
-            success: true,
-            token,
-            user: {
-                id: user._id,
-                username: user.username,
-                email: user.email,
-                publicKey: user.publicKey
-            },
-            contacts: formattedContacts
+            enabled: Boolean(user.totp?.enabled),
+            backupCodesRemaining: user.totp?.enabled ? user.totp.backupCodes.length : 0
         });
     } catch (error) {
-        console.error('OTP verification error:', error);
+        console.error('TOTP status error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+};
+
+exports.setupTotp = async (req, res) => {
+    try {
+        const { password } = req.body || {};
+
+        if (!password) {
+            return res.status(400).json({ error: 'Password is required' });
+        }
+
+        const user = await User.findById(req.user.id);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        if (user.totp?.enabled) {
+            return res.status(400).json({ error: 'Authenticator app is already enabled' });
+        }
+
+        if (!await confirmPassword(req, res, user, password)) {
+            return;
+        }
+
+        // Not active until a code from it is verified, so a half-finished setup cannot lock the user out
+        const secret = generateTotpSecret();
+        user.totp.pendingSecret = secret;
+        await user.save();
+
+        res.json({ secret, otpauthUrl: getProvisioningUri(secret, user.email) });
+    } catch (error) {
+        console.error('TOTP setup error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+};
+
+exports.enableTotp = async (req, res) => {
+    try {
+        const { code } = req.body || {};
+
+        if (!code) {
+            return res.status(400).json({ error: 'Code is required' });
+        }
+
+        const user = await User.findById(req.user.id);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        if (user.totp?.enabled) {
+            return res.status(400).json({ error: 'Authenticator app is already enabled' });
+        }
+
+        if (!user.totp?.pendingSecret) {
+            return res.status(400).json({ error: 'Start the authenticator app setup first' });
+        }
+
+        const step = verifyTotp(user.totp.pendingSecret, code);
+        if (step === null) {
+            return res.status(403).json({ error: 'Invalid code' });
+        }
+
+        const { codes, hashes } = generateBackupCodes();
+        user.totp = {
+            enabled: true,
+            secret: user.totp.pendingSecret,
+            pendingSecret: null,
+            lastUsedStep: step,
+            backupCodes: hashes
+        };
+        await user.save();
+
+        // Only hashes are stored, so this is the one time the codes can be shown
+        res.json({ success: true, backupCodes: codes });
+    } catch (error) {
+        console.error('TOTP enable error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+};
+
+exports.disableTotp = async (req, res) => {
+    try {
+        const { password, code } = req.body || {};
+
+        if (!password || !code) {
+            return res.status(400).json({ error: 'Password and code are required' });
+        }
+
+        const user = await User.findById(req.user.id);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        if (!user.totp?.enabled) {
+            return res.status(400).json({ error: 'Authenticator app is not enabled' });
+        }
+
+        if (!await confirmPassword(req, res, user, password)) {
+            return;
+        }
+
+        // Either factor works here, so a lost phone can be removed with a backup code
+        const method = /^\d{6}$/.test(code) ? 'totp' : 'backup_code';
+        if (!await consumeSecondFactor(user, method, code)) {
+            await recordLoginFailure(req, user);
+            return res.status(403).json({ error: 'Invalid code' });
+        }
+
+        await User.updateOne(
+            { _id: user._id },
+            {
+                $set: {
+                    totp: { enabled: false, secret: null, pendingSecret: null, lastUsedStep: null, backupCodes: [] }
+                }
+            }
+        );
+
+        res.json({ success: true });
+    } catch (error) {
+        console.error('TOTP disable error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+};
+
+const formatCredential = (credential) => ({
+    id: credential._id,
+    name: credential.name,
+    backedUp: credential.backedUp,
+    createdAt: credential.createdAt,
+    lastUsedAt: credential.lastUsedAt
+});
+
+exports.getPasskeyRegistrationOptions = async (req, res) => {
+    try {
+        const { password } = req.body || {};
+
+        if (!password) {
+            return res.status(400).json({ error: 'Password is required' });
+        }
+
+        const user = await User.findById(req.user.id);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        // A passkey signs in without the password, so adding one needs it
+        if (!await confirmPassword(req, res, user, password)) {
+            return;
+        }
+
+        const credentials = await WebAuthnCredential.find({ userId: user._id });
+
+        res.json(await createRegistrationOptions(user, credentials));
+    } catch (error) {
+        console.error('Passkey registration options error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+};
+
+exports.registerPasskey = async (req, res) => {
+    try {
+        const { response, name, password } = req.body || {};
+
+        if (!response?.id || !response.response) {
+            return res.status(400).json({ error: 'Passkey response is required' });
+        }
+
+        if (!password) {
+            return res.status(400).json({ error: 'Password is required' });
+        }
+
+        const user = await User.findById(req.user.id);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        if (!await confirmPassword(req, res, user, password)) {
+            return;
+        }
+
+        const verified = await verifyRegistration(user, response);
+        if (!verified) {
+            return res.status(400).json({ error: 'Passkey could not be verified' });
+        }
+
+        if (await WebAuthnCredential.exists({ credentialId: verified.credentialId })) {
+            return res.status(400).json({ error: 'Passkey is already registered' });
+        }
+
+        const credential = await WebAuthnCredential.create({
+            ...verified,
+            userId: user._id,
+            name: typeof name === 'string' && name.trim() ? name.trim().slice(0, 100) : undefined
+        });
+
+        res.status(201).json({ success: true, credential: formatCredential(credential) });
+    } catch (error) {
+        console.error('Passkey registration error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+};
+
+exports.getPasskeys = async (req, res) => {
+    try {
+        const credentials = await WebAuthnCredential.find({ userId: req.user.id }).sort({ createdAt: 1 });
+
+        res.json({ credentials: credentials.map(formatCredential) });
+    } catch (error) {
+        console.error('Get passkeys error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+};
+
+exports.deletePasskey = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { password } = req.body || {};
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({ error: 'Invalid passkey ID' });
+        }
+
+        if (!password) {
+            return res.status(400).json({ error: 'Password is required' });
+        }
+
+        const user = await User.findById(req.user.id);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        if (!await confirmPassword(req, res, user, password)) {
+            return;
+        }
+
+        const result = await WebAuthnCredential.deleteOne({ _id: id, userId: req.user.id });
+        if (result.deletedCount === 0) {
+            return res.status(404).json({ error: 'Passkey not found' });
+        }
+
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Delete passkey error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+};
+
+exports.getPasskeyLoginOptions = async (req, res) => {
+    try {
+        const { identifier, loginChallenge } = req.body || {};
+
+        // Without an identifier the browser offers every passkey it holds for this site
+        if (!identifier) {
+            return res.json(await createAuthenticationOptions('passwordless'));
+        }
+
+        // As a second factor the password has to be checked first, so passkey IDs are not handed out
+        const user = await User.findOne({ $or: [{ username: identifier }, { email: identifier }] });
+        if (!user || !hasLoginChallenge(user, loginChallenge)) {
+            return res.status(401).json({ error: 'Invalid or expired login challenge' });
+        }
+
+        const credentials = await WebAuthnCredential.find({ userId: user._id });
+        if (credentials.length === 0) {
+            return res.status(400).json({ error: 'No passkeys registered' });
+        }
+
+        res.json(await createAuthenticationOptions('second-factor', user, credentials));
+    } catch (error) {
+        console.error('Passkey login options error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+};
+
+exports.verifyPasskeyLogin = async (req, res) => {
+    try {
+        const { response, identifier, loginChallenge } = req.body || {};
+
+        if (!response?.id || !response.response) {
+            return res.status(400).json({ error: 'Passkey response is required' });
+        }
+
+        const passwordless = !identifier;
+        const challenge = await consumeChallenge(response, passwordless ? 'passwordless' : 'second-factor');
+        if (!challenge) {
+            return res.status(401).json({ error: 'Invalid or expired passkey challenge' });
+        }
+
+        const credential = await WebAuthnCredential.findOne({ credentialId: response.id });
+        if (!credential || (challenge.userId && !challenge.userId.equals(credential.userId))) {
+            return res.status(401).json({ error: 'Passkey not recognized' });
+        }
+
+        const user = await User.findById(credential.userId);
+        if (!user) {
+            return res.status(401).json({ error: 'Passkey not recognized' });
+        }
+
+        const lockRetryAfter = await getRetryAfter(accountKey(user), { lockedOnly: true });
+        if (lockRetryAfter) {
+            return sendTooManyAttempts(res, lockRetryAfter);
+        }
+
+        if (!passwordless && !await useLoginChallengeAttempt(user, loginChallenge)) {
+            return res.status(401).json({ error: 'Invalid or expired login challenge' });
+        }
+
+        const newCounter = await verifyAuthentication(challenge, credential, response);
+        if (newCounter === null) {
+            return res.status(401).json({ error: 'Passkey could not be verified' });
+        }
+
+        credential.counter = newCounter;
+        credential.lastUsedAt = new Date();
+        await credential.save();
+
+        if (!passwordless) {
+            clearLoginChallenge(user);
+            await user.save();
+        }
+
+        await sendLoginResponse(user, req, res);
+    } catch (error) {
+        console.error('Passkey login error:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 };
@@ -0,0 +1,143 @@
+const KeyBackup = require('../models/KeyBackup');
+
+const BACKUP_VERSION = 1;
+const BACKUP_KDF_ALGORITHMS = ['PBKDF2-SHA256'];
+const MIN_KDF_ITERATIONS = 100000;
+const MAX_CIPHERTEXT_LENGTH = 80 * 1024;
+
+// The recovery code is the only secret, so every download is an offline guessing opportunity
+const BACKUP_RETRIEVAL_LIMIT = 5;
+const BACKUP_RETRIEVAL_WINDOW_MS = 60 * 60 * 1000;
+
+const isBase64 = (value, maxLength) => typeof value === 'string' && value.length > 0
+  && value.length <= maxLength && /^[A-Za-z0-9+/]+={0,2}$/.test(value);
+
+const parseBackup = (body) => {
+  const { version, kdf, ciphertext, iv, authTag } = body || {};
+
+  if (version !== BACKUP_VERSION) {
+    return { error: 'Unsupported backup version' };
+  }
+
+  if (!kdf || !BACKUP_KDF_ALGORITHMS.includes(kdf.algorithm)
+    || !Number.isInteger(kdf.iterations) || kdf.iterations < MIN_KDF_ITERATIONS
+    || !isBase64(kdf.salt, 64)) {
+    return { error: 'Invalid key derivation parameters' };
+  }
+
+  if (!isBase64(ciphertext, MAX_CIPHERTEXT_LENGTH) || !isBase64(iv, 64) || !isBase64(authTag, 64)) {
+    return { error: 'Encrypted backup is required' };
+  }
+
+  return {
+    backup: {
+      version,
+      kdf: { algorithm: kdf.algorithm, iterations: kdf.iterations, salt: kdf.salt },
+      ciphertext,
+      iv,
+      authTag
+    }
+  };
+};
+
+const formatBackup = (backup) => ({
+  version: backup.version,
+  kdf: backup.kdf,
+  ciphertext: backup.ciphertext,
+  iv: backup.iv,
+  authTag: backup.authTag,
+  updatedAt: backup.updatedAt
+});
+
+const uploadBackup = async (req, res) => {
+  try {
+    const { backup, error } = parseBackup(req.body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const saved = await KeyBackup.findOneAndUpdate(
+      { userId: req.user.id },
+      { $set: backup },
+      { new: true, upsert: true, runValidators: true }
+    );
+
+    res.json({ success: true, updatedAt: saved.updatedAt });
+  } catch (error) {
+    console.error('Error uploading key backup:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+const getBackupStatus = async (req, res) => {
+  try {
+    const backup = await KeyBackup.findOne({ userId: req.user.id }).select('updatedAt');
+
+    res.json({ exists: Boolean(backup), updatedAt: backup ? backup.updatedAt : null });
+  } catch (error) {
+    console.error('Error fetching key backup status:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+const getBackup = async (req, res) => {
+  try {
+    const now = new Date();
+    const windowStart = new Date(now.getTime() - BACKUP_RETRIEVAL_WINDOW_MS);
+
+    // Conditional updates so concurrent downloads cannot get past the limit
+    let backup = await KeyBackup.findOneAndUpdate(
+      {
+        userId: req.user.id,
+        $or: [{ retrievalWindowStart: null }, { retrievalWindowStart: { $lte: windowStart } }]
+      },
+      { $set: { retrievalWindowStart: now, retrievalCount: 1 } },
+      { new: true }
+    );
+
+    if (!backup) {
+      backup = await KeyBackup.findOneAndUpdate(
+        { userId: req.user.id, retrievalCount: { $lt: BACKUP_RETRIEVAL_LIMIT } },
+        { $inc: { retrievalCount: 1 } },
+        { new: true }
+      );
+    }
+
+    if (!backup) {
+      const existing = await KeyBackup.findOne({ userId: req.user.id }).select('retrievalWindowStart');
+      if (!existing) {
+        return res.status(404).json({ message: 'No key backup found' });
+      }
+
+      const retryAfter = existing.retrievalWindowStart.getTime() + BACKUP_RETRIEVAL_WINDOW_MS - now.getTime();
+      res.set('Retry-After', String(Math.max(1, Math.ceil(retryAfter / 1000))));
+      return res.status(429).json({ message: 'Too many backup downloads, try again later' });
+    }
+
+    res.json(formatBackup(backup));
+  } catch (error) {
+    console.error('Error fetching key backup:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+const deleteBackup = async (req, res) => {
+  try {
+    const result = await KeyBackup.deleteOne({ userId: req.user.id });
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ message: 'No key backup found' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting key backup:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+module.exports = {
+  uploadBackup,
+  getBackupStatus,
+  getBackup,
+  deleteBackup
+};
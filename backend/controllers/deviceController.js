@@ -0,0 +1,373 @@
+const Device = require('../models/Device');
+const User = require('../models/User');
+const PreKeyBundle = require('../models/PreKeyBundle');
+const DeviceLink = require('../models/DeviceLink');
+const Session = require('../models/Session');
+const mongoose = require('mongoose');
+const { parseKeyBundle, formatKeyBundle, getDeviceSignatureData } = require('../utils/keyBundle');
+const { verifyEcdsaSignature } = require('../utils/keyVerification');
+const { appendKeyLogEntry } = require('../utils/keyTransparency');
+const { revokeSessions } = require('../utils/sessions');
+const { emitToUser, disconnectDevice, disconnectSessions } = require('../utils/socketService');
+
+const DEVICE_ID_PATTERN = /^[A-Za-z0-9_-]{8,64}$/;
+const RAW_P384_KEY_LENGTH = 97; // 0x04 || x || y
+
+// Linking keys come from the P-384 helpers in the frontend's crypto/ecc.js
+const isP384PublicKey = (encoded) => {
+  if (typeof encoded !== 'string' || !encoded) {
+    return false;
+  }
+  const raw = Buffer.from(encoded, 'base64');
+  return raw.length === RAW_P384_KEY_LENGTH && raw[0] === 0x04;
+};
+
+const formatDevice = (device, currentDeviceId = null) => ({
+  deviceId: device.deviceId,
+  name: device.name,
+  keyBundle: formatKeyBundle(device.keyBundle),
+  accountSignature: device.accountSignature,
+  createdAt: device.createdAt,
+  lastSeenAt: device.lastSeenAt,
+  current: device.deviceId === currentDeviceId
+});
+
+const hasSameKeys = (stored, keyBundle) =>
+  ['identityKey', 'signingKey', 'encryptionKey'].every(name => stored[name].publicKey === keyBundle[name].publicKey);
+
+// Whether the account signing key endorsed this bundle for the device
+const verifyAccountSignature = async (userId, deviceId, keyBundle, accountSignature) => {
+  const user = await User.findById(userId).select('keyBundle');
+  return Boolean(user && user.keyBundle) && verifyEcdsaSignature(
+    user.keyBundle.signingKey.publicKey,
+    getDeviceSignatureData(userId, deviceId, keyBundle),
+    accountSignature
+  );
+};
+
+const registerDevice = async (req, res) => {
+  try {
+    const { deviceId } = req.params;
+    const { name, accountSignature } = req.body;
+
+    if (!DEVICE_ID_PATTERN.test(deviceId)) {
+      return res.status(400).json({ message: 'Invalid device ID' });
+    }
+
+    if (name !== undefined && (typeof name !== 'string' || name.trim().length > 100)) {
+      return res.status(400).json({ message: 'Invalid device name' });
+    }
+
+    const { keyBundle, error } = parseKeyBundle(req.body.keyBundle);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const existing = await Device.findOne({ userId: req.user.id, deviceId });
+    const update = {
+      lastSeenAt: new Date(),
+      ...(name && name.trim() ? { name: name.trim() } : {})
+    };
+
+    // Bundles are re-signed on every login; the stored one stays while the keys are the same, so
+    // its endorsement and log entry remain valid
+    const keysChanged = !existing || !hasSameKeys(existing.keyBundle, keyBundle);
+
+    // Only the session the device registered from may register it again, even with the same keys,
+    // since registering binds the session to the device. Once that session has ended, e.g. on
+    // logout or after a password reset, the device can register from a new one.
+    if (existing) {
+      const owners = await Session.find({
+        userId: req.user.id,
+        deviceId,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() }
+      }).select('_id');
+      if (owners.length > 0 && !owners.some(owner => String(owner._id) === String(req.user.sid))) {
+        return res.status(403).json({ message: 'This device is registered to another session' });
+      }
+    }
+
+    if (existing && keysChanged) {
+      // Prekeys were published under the old identity and signed by the old signing key
+      if (existing.keyBundle.identityKey.publicKey !== keyBundle.identityKey.publicKey
+        || existing.keyBundle.signingKey.publicKey !== keyBundle.signingKey.publicKey) {
+        await PreKeyBundle.deleteOne({ userId: req.user.id, deviceId });
+      }
+    }
+
+    // Devices holding the account identity endorse themselves; others wait for one that does
+    const endorse = accountSignature !== undefined && accountSignature !== null
+      && (keysChanged || !existing.accountSignature);
+    if (endorse && !await verifyAccountSignature(req.user.id, deviceId, keyBundle, accountSignature)) {
+      return res.status(403).json({ message: 'Invalid account signature', code: 'INVALID_SIGNATURE' });
+    }
+
+    if (keysChanged || endorse) {
+      update.keyBundle = { ...keyBundle, updatedAt: new Date() };
+      update.accountSignature = endorse ? accountSignature : null;
+    }
+
+    // Devices register on every login, which also keeps lastSeenAt current
+    const device = await Device.findOneAndUpdate(
+      { userId: req.user.id, deviceId },
+      { $set: update },
+      { new: true, upsert: true, runValidators: true }
+    );
+
+    // Revoking the device ends the session it registered from
+    await Session.updateOne({ _id: req.user.sid }, { $set: { deviceId } });
+
+    if (endorse) {
+      await appendKeyLogEntry(req.user.id, device.keyBundle, deviceId);
+    } else if (keysChanged && existing?.accountSignature) {
+      // The endorsed bundle is gone until the new one is endorsed
+      await appendKeyLogEntry(req.user.id, null, deviceId);
+    }
+
+    res.json({
+      success: true,
+      device: formatDevice(device, req.deviceId)
+    });
+  } catch (error) {
+    console.error('Error registering device:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+const endorseDevice = async (req, res) => {
+  try {
+    const { deviceId } = req.params;
+    const { accountSignature } = req.body;
+
+    const device = await Device.findOne({ userId: req.user.id, deviceId });
+    if (!device) {
+      return res.status(404).json({ message: 'Device not found' });
+    }
+
+    if (!await verifyAccountSignature(req.user.id, deviceId, device.keyBundle, accountSignature)) {
+      return res.status(403).json({ message: 'Invalid account signature', code: 'INVALID_SIGNATURE' });
+    }
+
+    device.accountSignature = accountSignature;
+    await device.save();
+    await appendKeyLogEntry(req.user.id, device.keyBundle, deviceId);
+
+    res.json({
+      success: true,
+      device: formatDevice(device, req.deviceId)
+    });
+  } catch (error) {
+    console.error('Error endorsing device:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+const getDevices = async (req, res) => {
+  try {
+    const devices = await Device.find({ userId: req.user.id }).sort({ createdAt: 1 });
+
+    res.json({ devices: devices.map(device => formatDevice(device, req.deviceId)) });
+  } catch (error) {
+    console.error('Error fetching devices:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+const getUserDevices = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: 'Invalid user ID' });
+    }
+
+    if (!await User.exists({ _id: id })) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    // Devices the account has not endorsed yet cannot receive messages
+    const devices = await Device.find({ userId: id, accountSignature: { $ne: null } }).sort({ createdAt: 1 });
+
+    // Senders need every device here, since messages must be encrypted for each of them
+    res.json({
+      userId: id,
+      devices: devices.map(device => ({
+        deviceId: device.deviceId,
+        keyBundle: formatKeyBundle(device.keyBundle),
+        accountSignature: device.accountSignature
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching user devices:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+const revokeDevice = async (req, res) => {
+  try {
+    const { deviceId } = req.params;
+
+    const device = await Device.findOneAndDelete({ userId: req.user.id, deviceId });
+    if (!device) {
+      return res.status(404).json({ message: 'Device not found' });
+    }
+
+    // Contacts can no longer start sessions with the revoked device
+    await PreKeyBundle.deleteOne({ userId: req.user.id, deviceId });
+
+    // Its tokens stop working, so it cannot register itself again
+    disconnectSessions(await revokeSessions({ userId: req.user.id, deviceId }, 'device-revoked'));
+
+    if (device.accountSignature) {
+      await appendKeyLogEntry(req.user.id, null, deviceId);
+    }
+
+    emitToUser(req.user.id, 'device_revoked', { deviceId });
+    disconnectDevice(req.user.id, deviceId);
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error revoking device:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+const formatDeviceLink = (link) => ({
+  linkId: link._id,
+  requestingDeviceId: link.requestingDeviceId,
+  publicKey: link.publicKey,
+  status: link.status,
+  approvingDeviceId: link.approvingDeviceId,
+  transfer: link.transfer,
+  expiresAt: link.expiresAt.toISOString()
+});
+
+const findDeviceLink = async (linkId, userId) => {
+  if (!mongoose.Types.ObjectId.isValid(linkId)) {
+    return { status: 400, message: 'Invalid link ID' };
+  }
+
+  const link = await DeviceLink.findOne({ _id: linkId, userId });
+  if (!link || link.expiresAt < new Date()) {
+    return { status: 404, message: 'Device link not found or expired' };
+  }
+
+  return { link };
+};
+
+const createDeviceLink = async (req, res) => {
+  try {
+    const { publicKey } = req.body;
+
+    // The transfer is delivered to the device that asked for it, so it must identify itself
+    if (!req.deviceId) {
+      return res.status(400).json({ message: 'Device ID header is required' });
+    }
+
+    if (!isP384PublicKey(publicKey)) {
+      return res.status(400).json({ message: 'Invalid link public key' });
+    }
+
+    const link = await DeviceLink.create({
+      userId: req.user.id,
+      requestingDeviceId: req.deviceId,
+      publicKey
+    });
+
+    res.status(201).json(formatDeviceLink(link));
+  } catch (error) {
+    console.error('Error creating device link:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+const getDeviceLink = async (req, res) => {
+  try {
+    const result = await findDeviceLink(req.params.linkId, req.user.id);
+    if (!result.link) {
+      return res.status(result.status).json({ message: result.message });
+    }
+
+    res.json(formatDeviceLink(result.link));
+  } catch (error) {
+    console.error('Error fetching device link:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+const approveDeviceLink = async (req, res) => {
+  try {
+    const { publicKey, ciphertext, iv, authTag } = req.body;
+
+    if (!isP384PublicKey(publicKey) || typeof ciphertext !== 'string' || !ciphertext
+      || typeof iv !== 'string' || !iv || typeof authTag !== 'string' || !authTag) {
+      return res.status(400).json({ message: 'Encrypted transfer is required' });
+    }
+
+    // Only a device that already holds keys for this account can hand them on
+    if (!req.deviceId || !await Device.exists({ userId: req.user.id, deviceId: req.deviceId })) {
+      return res.status(403).json({ message: 'Only a registered device can approve device links' });
+    }
+
+    const result = await findDeviceLink(req.params.linkId, req.user.id);
+    if (!result.link) {
+      return res.status(result.status).json({ message: result.message });
+    }
+
+    if (result.link.requestingDeviceId === req.deviceId) {
+      return res.status(400).json({ message: 'A device cannot approve its own link' });
+    }
+
+    // Conditional update so a link is only ever approved once
+    const link = await DeviceLink.findOneAndUpdate(
+      { _id: result.link._id, status: 'pending' },
+      {
+        $set: {
+          status: 'approved',
+          approvingDeviceId: req.deviceId,
+          transfer: { publicKey, ciphertext, iv, authTag }
+        }
+      },
+      { new: true }
+    );
+
+    if (!link) {
+      return res.status(409).json({ message: 'Device link is already approved' });
+    }
+
+    res.json({ success: true, linkId: link._id });
+  } catch (error) {
+    console.error('Error approving device link:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+const deleteDeviceLink = async (req, res) => {
+  try {
+    const result = await findDeviceLink(req.params.linkId, req.user.id);
+    if (!result.link) {
+      return res.status(result.status).json({ message: result.message });
+    }
+
+    // The new device removes the transfer as soon as it has imported it
+    await DeviceLink.deleteOne({ _id: result.link._id });
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting device link:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+module.exports = {
+  registerDevice,
+  getDevices,
+  getUserDevices,
+  endorseDevice,
+  revokeDevice,
+  createDeviceLink,
+  getDeviceLink,
+  approveDeviceLink,
+  deleteDeviceLink
+};
@@ -0,0 +1,273 @@
+const File = require('../models/File');
+const Contact = require('../models/Contact');
+const mongoose = require('mongoose');
+const { getFileStore } = require('../utils/fileStorage');
+const { emitToUser } = require('../utils/socketService');
+
+// Matches the 1MB chunks produced by crypto/fileEncryption.encryptFile, capped at 100MB per file
+const MAX_CHUNK_BYTES = 1024 * 1024;
+const MAX_TOTAL_CHUNKS = 100;
+const FILE_ID_PATTERN = /^[A-Za-z0-9_-]{1,100}$/;
+
+// Client-encrypted blobs are opaque to the server; only their envelope is checked
+const isEncryptedPayload = (payload) =>
+  !!payload &&
+  typeof payload === 'object' &&
+  typeof payload.ciphertext === 'string' &&
+  typeof payload.iv === 'string' &&
+  typeof payload.authTag === 'string';
+
+const chunkKey = (fileId, chunkIndex) => `${fileId}/${chunkIndex}`;
+
+const uploadFile = async (req, res) => {
+  try {
+    const { fileId, chunks, metadata = {} } = req.body;
+
+    if (!fileId || !Array.isArray(chunks) || chunks.length === 0) {
+      return res.status(400).json({ message: 'File ID and encrypted chunks are required' });
+    }
+
+    if (!FILE_ID_PATTERN.test(fileId)) {
+      return res.status(400).json({ message: 'Invalid file ID' });
+    }
+
+    let file = await File.findOne({ fileId });
+    const { totalChunks, encryptedMetadata } = metadata;
+
+    if (!file) {
+      if (!Number.isInteger(totalChunks) || totalChunks < 1 || totalChunks > MAX_TOTAL_CHUNKS) {
+        return res.status(400).json({ message: 'Invalid chunk count' });
+      }
+
+      // Name, size and type stay inside the encrypted metadata; plaintext fields are never stored
+      if (!isEncryptedPayload(encryptedMetadata)) {
+        return res.status(400).json({ message: 'Encrypted file metadata is required' });
+      }
+    } else if (String(file.uploaderId) !== String(req.user.id)) {
+      return res.status(409).json({ message: 'File ID already in use' });
+    } else if (file.status === 'complete') {
+      return res.status(409).json({ message: 'File upload already complete' });
+    }
+
+    // Validate the whole batch before writing anything to storage
+    const chunkCount = file ? file.totalChunks : totalChunks;
+    const received = new Set(file ? file.chunks.map(chunk => chunk.chunkIndex) : []);
+    const batch = [];
+
+    for (const chunk of chunks) {
+      const { chunkIndex, ciphertext, iv, authTag } = chunk || {};
+
+      if (!Number.isInteger(chunkIndex) || chunkIndex < 0 || chunkIndex >= chunkCount) {
+        return res.status(400).json({ message: 'Invalid chunk index' });
+      }
+
+      if (typeof ciphertext !== 'string' || typeof iv !== 'string' || typeof authTag !== 'string') {
+        return res.status(400).json({ message: 'Chunk ciphertext, iv and authTag are required' });
+      }
+
+      if (received.has(chunkIndex)) {
+        return res.status(409).json({ message: `Chunk ${chunkIndex} already uploaded` });
+      }
+
+      const data = Buffer.from(ciphertext, 'base64');
+      if (data.length > MAX_CHUNK_BYTES) {
+        return res.status(413).json({ message: 'Chunk too large' });
+      }
+
+      received.add(chunkIndex);
+      batch.push({ chunkIndex, iv, authTag, data });
+    }
+
+    if (!file) {
+      try {
+        file = await File.create({
+          fileId,
+          uploaderId: req.user.id,
+          totalChunks,
+          encryptedMetadata,
+          storage: getFileStore().type
+        });
+      } catch (error) {
+        if (error.code !== 11000) {
+          throw error;
+        }
+        // Another batch created the file first; the claim below still checks its chunks
+        file = await File.findOne({ fileId });
+        if (String(file.uploaderId) !== String(req.user.id) || file.totalChunks !== totalChunks) {
+          return res.status(409).json({ message: 'File ID already in use' });
+        }
+      }
+    }
+
+    // Claim the chunk indexes before writing their data, so a concurrent batch with the same
+    // chunks cannot overwrite stored ciphertext that belongs to this batch's iv and authTag
+    const indexes = batch.map(({ chunkIndex }) => chunkIndex);
+    const batchSize = batch.reduce((total, { data }) => total + data.length, 0);
+    const claimed = await File.updateOne(
+      { _id: file._id, status: 'uploading', 'chunks.chunkIndex': { $nin: indexes } },
+      {
+        $push: {
+          chunks: { $each: batch.map(({ chunkIndex, iv, authTag, data }) => ({ chunkIndex, iv, authTag, size: data.length })) }
+        },
+        $inc: { size: batchSize }
+      }
+    );
+    if (claimed.modifiedCount === 0) {
+      return res.status(409).json({ message: 'Chunks already uploaded' });
+    }
+
+    const store = getFileStore(file.storage);
+    try {
+      for (const { chunkIndex, data } of batch) {
+        await store.save(chunkKey(fileId, chunkIndex), data);
+      }
+    } catch (error) {
+      // Release the claim so the batch can be retried
+      await File.updateOne(
+        { _id: file._id },
+        { $pull: { chunks: { chunkIndex: { $in: indexes } } }, $inc: { size: -batchSize } }
+      );
+      throw error;
+    }
+
+    // Only complete once every chunk's data is stored, not just claimed
+    file = await File.findOneAndUpdate(
+      { _id: file._id },
+      { $inc: { storedChunks: batch.length } },
+      { new: true }
+    );
+    if (file.storedChunks === file.totalChunks) {
+      file = await File.findOneAndUpdate({ _id: file._id }, { $set: { status: 'complete' } }, { new: true });
+    }
+
+    res.status(201).json({
+      success: true,
+      fileId: file.fileId,
+      status: file.status,
+      receivedChunks: file.chunks.length,
+      totalChunks: file.totalChunks,
+      downloadUrl: `/api/files/${file.fileId}`,
+      uploadedAt: file.createdAt.toISOString()
+    });
+  } catch (error) {
+    console.error('Error uploading file:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+const downloadFile = async (req, res) => {
+  try {
+    const { fileId } = req.params;
+
+    if (!FILE_ID_PATTERN.test(fileId)) {
+      return res.status(400).json({ message: 'Invalid file ID' });
+    }
+
+    const file = await File.findOne({ fileId });
+    const isUploader = file && String(file.uploaderId) === String(req.user.id);
+    const share = file && file.sharedWith.find(entry => String(entry.userId) === String(req.user.id));
+
+    // Files outside the caller's ACL are reported as missing rather than forbidden
+    if (!file || (!isUploader && !share)) {
+      return res.status(404).json({ message: 'File not found' });
+    }
+
+    if (file.status !== 'complete') {
+      return res.status(409).json({ message: 'File upload is not complete' });
+    }
+
+    const store = getFileStore(file.storage);
+    const sortedChunks = [...file.chunks].sort((a, b) => a.chunkIndex - b.chunkIndex);
+    const chunks = [];
+
+    for (const chunk of sortedChunks) {
+      const data = await store.read(chunkKey(file.fileId, chunk.chunkIndex));
+      chunks.push({
+        chunkIndex: chunk.chunkIndex,
+        ciphertext: data.toString('base64'),
+        iv: chunk.iv,
+        authTag: chunk.authTag
+      });
+    }
+
+    res.json({
+      fileId: file.fileId,
+      uploaderId: file.uploaderId,
+      totalChunks: file.totalChunks,
+      size: file.size,
+      encryptedMetadata: isUploader ? file.encryptedMetadata : share.encryptedMetadata,
+      chunks,
+      uploadedAt: file.createdAt.toISOString()
+    });
+  } catch (error) {
+    console.error('Error downloading file:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+const shareFile = async (req, res) => {
+  try {
+    const { fileId, userId, encryptedMetadata } = req.body;
+
+    if (!fileId || !userId || !encryptedMetadata) {
+      return res.status(400).json({ message: 'File ID, user ID and encrypted metadata are required' });
+    }
+
+    if (!FILE_ID_PATTERN.test(fileId)) {
+      return res.status(400).json({ message: 'Invalid file ID' });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ message: 'Invalid user ID' });
+    }
+
+    if (!isEncryptedPayload(encryptedMetadata)) {
+      return res.status(400).json({ message: 'Encrypted file metadata is required' });
+    }
+
+    // Only the uploader controls who may fetch the ciphertext
+    const file = await File.findOne({ fileId, uploaderId: req.user.id });
+    if (!file) {
+      return res.status(404).json({ message: 'File not found' });
+    }
+
+    if (String(userId) === String(req.user.id)) {
+      return res.status(400).json({ message: 'Cannot share a file with yourself' });
+    }
+
+    // Files can only be shared with mutual contacts
+    const contactExists = await Contact.areContacts(req.user.id, userId);
+
+    if (!contactExists) {
+      return res.status(404).json({ message: 'Contact not found' });
+    }
+
+    const existingShare = file.sharedWith.find(entry => String(entry.userId) === String(userId));
+    if (existingShare) {
+      existingShare.encryptedMetadata = encryptedMetadata;
+      existingShare.sharedAt = new Date();
+    } else {
+      file.sharedWith.push({ userId, encryptedMetadata });
+    }
+
+    file.markModified('sharedWith');
+    await file.save();
+
+    emitToUser(userId, 'file_shared', { fileId: file.fileId, fromUserId: req.user.id });
+
+    res.json({
+      success: true,
+      fileId: file.fileId,
+      sharedWith: userId
+    });
+  } catch (error) {
+    console.error('Error sharing file:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+module.exports = {
+  uploadFile,
+  downloadFile,
+  shareFile
+};
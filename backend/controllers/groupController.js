@@ -0,0 +1,688 @@
+const crypto = require('crypto');
+const Group = require('../models/Group');
+const GroupMessage = require('../models/GroupMessage');
+const GroupInvite = require('../models/GroupInvite');
+const Contact = require('../models/Contact');
+const Device = require('../models/Device');
+const User = require('../models/User');
+const mongoose = require('mongoose');
+const { emitToUser } = require('../utils/socketService');
+const { hashToken } = require('../utils/sessions');
+const {
+  verifyEcdsaSignature,
+  getMessageSignatureData,
+  getGroupEventSignatureData
+} = require('../utils/keyVerification');
+
+const MAX_GROUP_MEMBERS = 100;
+const EVENT_MAX_AGE_MS = 5 * 60 * 1000; // Signed membership changes must be this recent
+const INVITE_LINK_DEFAULT_HOURS = 24;
+const INVITE_LINK_MAX_HOURS = 7 * 24;
+
+/**
+ * Shape a group for API responses and socket events
+ * @param {Object} group - Group document with populated members
+ * @returns {Object}
+ */
+const formatGroup = (group) => ({
+  id: group._id,
+  name: group.name,
+  createdBy: group.createdBy,
+  members: group.members.map(member => ({ id: member._id, username: member.username })),
+  admins: group.admins.map(String),
+  epoch: group.epoch,
+  createdAt: group.createdAt
+});
+
+const formatGroupMessage = (msg) => ({
+  id: msg._id,
+  groupId: msg.groupId,
+  senderId: msg.senderId,
+  senderDeviceId: msg.senderDeviceId,
+  epoch: msg.epoch,
+  keyId: msg.keyId,
+  iteration: msg.iteration,
+  encryptedContent: msg.encryptedContent,
+  iv: msg.iv,
+  authTag: msg.authTag,
+  nonce: msg.nonce,
+  timestamp: msg.timestamp.toISOString(),
+  signature: msg.signature,
+  messageType: msg.messageType,
+  event: msg.event
+    ? { type: msg.event.type, targetIds: msg.event.targetIds.map(String), name: msg.event.name }
+    : null
+});
+
+// Non-members get the same response as for a group that does not exist
+const findMemberGroup = (groupId, userId) => (mongoose.Types.ObjectId.isValid(groupId)
+  ? Group.findOne({ _id: groupId, members: userId })
+  : null);
+
+const isAdmin = (group, userId) => group.admins.some(admin => String(admin) === String(userId));
+const isMember = (group, userId) => group.members.some(member => String(member) === String(userId));
+
+// Group messages and membership changes are signed with the sending device's key, or the account's
+const findSigningKey = async (userId, deviceId) => {
+  const signer = deviceId
+    ? await Device.findOne({ userId, deviceId }, 'keyBundle')
+    : await User.findById(userId, 'keyBundle');
+  return signer && signer.keyBundle ? signer.keyBundle.signingKey.publicKey : null;
+};
+
+/**
+ * Check the signature on a membership change, so members can tell the server did not make it up
+ * @param {Object} req - Request with timestamp and signature in the body
+ * @param {Object} event - { groupId, type, targetIds, name } the member signed
+ * @returns {Promise<Object|null>} - { status, message, code } to respond with, or null if valid
+ */
+const checkEventSignature = async (req, event) => {
+  const { timestamp, signature } = req.body;
+  const signedAt = new Date(timestamp).getTime();
+
+  if (!timestamp || typeof signature !== 'string' || !signature) {
+    return { status: 400, message: 'Signed event is required' };
+  }
+
+  if (Number.isNaN(signedAt) || Math.abs(Date.now() - signedAt) > EVENT_MAX_AGE_MS) {
+    return { status: 400, message: 'Event timestamp is too old or in the future' };
+  }
+
+  const signingKey = await findSigningKey(req.user.id, req.deviceId);
+  if (!signingKey) {
+    return { status: 403, message: 'No signing key registered', code: 'SIGNING_KEY_NOT_REGISTERED' };
+  }
+
+  if (!verifyEcdsaSignature(signingKey, getGroupEventSignatureData({ ...event, timestamp }), signature, 'sha384')) {
+    return { status: 403, message: 'Invalid event signature', code: 'INVALID_SIGNATURE' };
+  }
+
+  // A replayed event carries the exact signature of one already recorded
+  if (await GroupMessage.exists({ signature })) {
+    return { status: 409, message: 'Event already recorded' };
+  }
+
+  return null;
+};
+
+const sendFailure = (res, { status, ...body }) => res.status(status).json(body);
+
+// Room for one more member
+const HAS_ROOM = { [`members.${MAX_GROUP_MEMBERS - 1}`]: { $exists: false } };
+
+/**
+ * Apply a membership change and bump the epoch in one update, only while the group still
+ * matches the checks made on the loaded copy, so concurrent changes cannot overwrite each other
+ * @param {Object} group - Group as loaded for the checks
+ * @param {Object} conditions - What the checks relied on
+ * @param {Object} update - $addToSet/$pull update for members and admins
+ * @returns {Promise<Object|null>} - Updated group, or null if another change came first
+ */
+const changeMembership = (group, conditions, update) => Group.findOneAndUpdate(
+  { _id: group._id, ...conditions },
+  { ...update, $inc: { epoch: 1 } },
+  { new: true }
+);
+
+const sendMembershipConflict = (res) =>
+  res.status(409).json({ message: 'The group was changed at the same time, please try again' });
+
+/**
+ * Record a signed membership change in the group timeline and tell everyone affected
+ * @param {Object} req - Request the change was signed in
+ * @param {Object} group - Group after the change
+ * @param {string} type - Event type
+ * @param {Object} details - { targetIds, name } as signed
+ * @param {Array<string>} removedIds - Users no longer in the group
+ * @returns {Promise<Object>} - Formatted group
+ */
+const publishGroupChange = async (req, group, type, { targetIds = [], name = null } = {}, removedIds = []) => {
+  const event = await GroupMessage.create({
+    groupId: group._id,
+    senderId: req.user.id,
+    senderDeviceId: req.deviceId,
+    epoch: group.epoch,
+    timestamp: new Date(req.body.timestamp),
+    signature: req.body.signature,
+    messageType: 'system',
+    event: { type, targetIds, name }
+  });
+
+  await group.populate('members', 'username');
+  const formatted = formatGroup(group);
+  const formattedEvent = formatGroupMessage(event);
+
+  for (const memberId of group.members.map(member => String(member._id))) {
+    emitToUser(memberId, 'group_updated', formatted);
+    if (memberId !== String(req.user.id)) {
+      emitToUser(memberId, 'group_message_received', formattedEvent);
+    }
+  }
+  for (const removedId of removedIds) {
+    emitToUser(removedId, 'group_removed', { groupId: String(group._id) });
+  }
+
+  return formatted;
+};
+
+const getGroups = async (req, res) => {
+  try {
+    const groups = await Group.find({ members: req.user.id })
+      .sort({ updatedAt: -1 })
+      .populate('members', 'username');
+
+    res.json({ groups: groups.map(formatGroup) });
+  } catch (error) {
+    console.error('Error fetching groups:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+const createGroup = async (req, res) => {
+  try {
+    const { name, memberIds } = req.body;
+
+    if (typeof name !== 'string' || !name.trim() || name.trim().length > 100) {
+      return res.status(400).json({ message: 'Invalid group name' });
+    }
+
+    if (!Array.isArray(memberIds) || !memberIds.every(id => mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({ message: 'Invalid member IDs' });
+    }
+
+    const invitedIds = [...new Set(memberIds.map(String))].filter(id => id !== String(req.user.id));
+    if (invitedIds.length + 1 > MAX_GROUP_MEMBERS) {
+      return res.status(400).json({ message: `Groups are limited to ${MAX_GROUP_MEMBERS} members` });
+    }
+
+    // Only the creator's own (mutual) contacts can be added
+    const contactIds = await Contact.findMutual(req.user.id, invitedIds);
+    if (contactIds.length !== invitedIds.length) {
+      return res.status(404).json({ message: 'Contact not found' });
+    }
+
+    const details = { targetIds: invitedIds, name: name.trim() };
+    const failure = await checkEventSignature(req, { groupId: null, type: 'created', ...details });
+    if (failure) {
+      return sendFailure(res, failure);
+    }
+
+    const group = new Group({
+      name: name.trim(),
+      createdBy: req.user.id,
+      members: [req.user.id, ...invitedIds],
+      admins: [req.user.id]
+    });
+
+    await group.save();
+
+    res.status(201).json({ success: true, group: await publishGroupChange(req, group, 'created', details) });
+  } catch (error) {
+    console.error('Error creating group:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+const getGroupMessages = async (req, res) => {
+  try {
+    const { groupId } = req.params;
+    const { limit = 50, before } = req.query;
+
+    const group = await findMemberGroup(groupId, req.user.id);
+    if (!group) {
+      return res.status(404).json({ message: 'Group not found' });
+    }
+
+    const query = { groupId };
+    if (before && mongoose.Types.ObjectId.isValid(before)) {
+      const beforeMessage = await GroupMessage.findById(before);
+      if (beforeMessage) {
+        query.timestamp = { $lt: beforeMessage.timestamp };
+      }
+    }
+
+    const messages = await GroupMessage.find(query)
+      .sort({ timestamp: -1 })
+      .limit(parseInt(limit) + 1); // +1 to check if there are more
+
+    const hasMore = messages.length > parseInt(limit);
+    const resultMessages = hasMore ? messages.slice(0, -1) : messages;
+
+    // Reverse to get chronological order
+    resultMessages.reverse();
+
+    res.json({
+      messages: resultMessages.map(formatGroupMessage),
+      hasMore
+    });
+  } catch (error) {
+    console.error('Error fetching group messages:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+const sendGroupMessage = async (req, res) => {
+  try {
+    const { groupId } = req.params;
+    const { epoch, keyId, iteration, encryptedContent, iv, authTag, nonce, timestamp, signature } = req.body;
+
+    if (typeof keyId !== 'string' || !keyId || !encryptedContent || !iv || !authTag || !nonce
+      || !timestamp || !signature) {
+      return res.status(400).json({ message: 'Missing required fields' });
+    }
+
+    if (!Number.isInteger(epoch) || epoch < 0 || !Number.isInteger(iteration) || iteration < 0) {
+      return res.status(400).json({ message: 'Invalid epoch or iteration' });
+    }
+
+    const group = await findMemberGroup(groupId, req.user.id);
+    if (!group) {
+      return res.status(404).json({ message: 'Group not found' });
+    }
+
+    // A sender key from before the last membership change may be known to a removed member
+    if (epoch !== group.epoch) {
+      return res.status(409).json({
+        message: 'Group membership has changed',
+        code: 'GROUP_EPOCH_MISMATCH',
+        epoch: group.epoch
+      });
+    }
+
+    // Signed as a direct message would be, with the iteration as sequence number and the group as receiver
+    const signingKey = await findSigningKey(req.user.id, req.deviceId);
+    if (!signingKey) {
+      return res.status(403).json({ message: 'No signing key registered', code: 'SIGNING_KEY_NOT_REGISTERED' });
+    }
+
+    const signed = verifyEcdsaSignature(
+      signingKey,
+      getMessageSignatureData({ encryptedContent, iv, nonce, timestamp, sequenceNumber: iteration, receiverId: groupId }),
+      signature,
+      'sha384'
+    );
+    if (!signed) {
+      return res.status(403).json({ message: 'Invalid message signature', code: 'INVALID_SIGNATURE' });
+    }
+
+    const message = new GroupMessage({
+      groupId,
+      senderId: req.user.id,
+      senderDeviceId: req.deviceId,
+      epoch,
+      keyId,
+      iteration,
+      encryptedContent,
+      iv,
+      authTag,
+      nonce,
+      timestamp: new Date(timestamp),
+      signature
+    });
+
+    await message.save();
+
+    const formatted = formatGroupMessage(message);
+    for (const memberId of group.members.map(String).filter(id => id !== String(req.user.id))) {
+      emitToUser(memberId, 'group_message_received', formatted);
+    }
+
+    res.status(201).json({
+      success: true,
+      messageId: message._id,
+      timestamp: message.timestamp.toISOString()
+    });
+  } catch (error) {
+    console.error('Error sending group message:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+const renameGroup = async (req, res) => {
+  try {
+    const { groupId } = req.params;
+    const { name } = req.body;
+
+    const group = await findMemberGroup(groupId, req.user.id);
+    if (!group) {
+      return res.status(404).json({ message: 'Group not found' });
+    }
+
+    if (!isAdmin(group, req.user.id)) {
+      return res.status(403).json({ message: 'Only group admins can manage the group' });
+    }
+
+    if (typeof name !== 'string' || !name.trim() || name.trim().length > 100) {
+      return res.status(400).json({ message: 'Invalid group name' });
+    }
+
+    const details = { name: name.trim() };
+    const failure = await checkEventSignature(req, { groupId, type: 'renamed', ...details });
+    if (failure) {
+      return sendFailure(res, failure);
+    }
+
+    // Renaming leaves the membership, and so the sender keys, as they are
+    group.name = details.name;
+    await group.save();
+
+    res.json({ success: true, group: await publishGroupChange(req, group, 'renamed', details) });
+  } catch (error) {
+    console.error('Error renaming group:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+const addGroupMember = async (req, res) => {
+  try {
+    const { groupId } = req.params;
+    const { userId } = req.body;
+
+    const group = await findMemberGroup(groupId, req.user.id);
+    if (!group) {
+      return res.status(404).json({ message: 'Group not found' });
+    }
+
+    if (!isAdmin(group, req.user.id)) {
+      return res.status(403).json({ message: 'Only group admins can manage the group' });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ message: 'Invalid user ID' });
+    }
+
+    // As when creating a group, admins can only add their own contacts
+    if (!await Contact.areContacts(req.user.id, userId)) {
+      return res.status(404).json({ message: 'Contact not found' });
+    }
+
+    if (isMember(group, userId)) {
+      return res.status(409).json({ message: 'User is already a member' });
+    }
+
+    if (group.members.length >= MAX_GROUP_MEMBERS) {
+      return res.status(400).json({ message: `Groups are limited to ${MAX_GROUP_MEMBERS} members` });
+    }
+
+    const details = { targetIds: [String(userId)] };
+    const failure = await checkEventSignature(req, { groupId, type: 'member_added', ...details });
+    if (failure) {
+      return sendFailure(res, failure);
+    }
+
+    const updated = await changeMembership(
+      group,
+      { admins: req.user.id, members: { $ne: userId }, ...HAS_ROOM },
+      { $addToSet: { members: userId } }
+    );
+    if (!updated) {
+      return sendMembershipConflict(res);
+    }
+
+    res.json({ success: true, group: await publishGroupChange(req, updated, 'member_added', details) });
+  } catch (error) {
+    console.error('Error adding group member:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+const removeGroupMember = async (req, res) => {
+  try {
+    const { groupId, userId } = req.params;
+
+    const group = await findMemberGroup(groupId, req.user.id);
+    if (!group) {
+      return res.status(404).json({ message: 'Group not found' });
+    }
+
+    if (!isAdmin(group, req.user.id)) {
+      return res.status(403).json({ message: 'Only group admins can manage the group' });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(userId) || !isMember(group, userId)) {
+      return res.status(404).json({ message: 'Member not found' });
+    }
+
+    if (String(userId) === String(req.user.id)) {
+      return res.status(400).json({ message: 'Leave the group instead of removing yourself' });
+    }
+
+    const details = { targetIds: [String(userId)] };
+    const failure = await checkEventSignature(req, { groupId, type: 'member_removed', ...details });
+    if (failure) {
+      return sendFailure(res, failure);
+    }
+
+    const updated = await changeMembership(
+      group,
+      { admins: req.user.id, members: { $all: [req.user.id, userId] } },
+      { $pull: { members: userId, admins: userId } }
+    );
+    if (!updated) {
+      return sendMembershipConflict(res);
+    }
+
+    res.json({
+      success: true,
+      group: await publishGroupChange(req, updated, 'member_removed', details, [String(userId)])
+    });
+  } catch (error) {
+    console.error('Error removing group member:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+const leaveGroup = async (req, res) => {
+  try {
+    const { groupId } = req.params;
+
+    const group = await findMemberGroup(groupId, req.user.id);
+    if (!group) {
+      return res.status(404).json({ message: 'Group not found' });
+    }
+
+    // Promotions are signed by an admin, so the server cannot hand the group to someone itself
+    if (isAdmin(group, req.user.id) && group.admins.length === 1 && group.members.length > 1) {
+      return res.status(400).json({ message: 'Promote another admin before leaving' });
+    }
+
+    const failure = await checkEventSignature(req, { groupId, type: 'member_left' });
+    if (failure) {
+      return sendFailure(res, failure);
+    }
+
+    // The last member leaving takes the group and its timeline with them, unless someone joined
+    // in the meantime
+    if (group.members.length === 1) {
+      const { deletedCount } = await Group.deleteOne({ _id: group._id, members: [req.user.id] });
+      if (!deletedCount) {
+        return sendMembershipConflict(res);
+      }
+      await GroupMessage.deleteMany({ groupId });
+      await GroupInvite.deleteMany({ groupId });
+      return res.json({ success: true, group: null });
+    }
+
+    // Still not the last admin of a group with other members, and not the last member
+    const updated = await changeMembership(
+      group,
+      {
+        members: req.user.id,
+        'members.1': { $exists: true },
+        $or: [{ admins: { $ne: req.user.id } }, { 'admins.1': { $exists: true } }]
+      },
+      { $pull: { members: req.user.id, admins: req.user.id } }
+    );
+    if (!updated) {
+      return sendMembershipConflict(res);
+    }
+
+    await publishGroupChange(req, updated, 'member_left', {}, [String(req.user.id)]);
+    res.json({ success: true, group: null });
+  } catch (error) {
+    console.error('Error leaving group:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Promote or demote a member; admin rights do not change who can read the group, so no re-key
+const setGroupAdmin = (promote) => async (req, res) => {
+  try {
+    const { groupId, userId } = req.params;
+    const type = promote ? 'admin_promoted' : 'admin_demoted';
+
+    const group = await findMemberGroup(groupId, req.user.id);
+    if (!group) {
+      return res.status(404).json({ message: 'Group not found' });
+    }
+
+    if (!isAdmin(group, req.user.id)) {
+      return res.status(403).json({ message: 'Only group admins can manage the group' });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(userId) || !isMember(group, userId)) {
+      return res.status(404).json({ message: 'Member not found' });
+    }
+
+    if (isAdmin(group, userId) === promote) {
+      return res.status(409).json({ message: promote ? 'Member is already an admin' : 'Member is not an admin' });
+    }
+
+    if (!promote && group.admins.length === 1) {
+      return res.status(400).json({ message: 'A group needs at least one admin' });
+    }
+
+    const details = { targetIds: [String(userId)] };
+    const failure = await checkEventSignature(req, { groupId, type, ...details });
+    if (failure) {
+      return sendFailure(res, failure);
+    }
+
+    if (promote) {
+      group.admins.push(userId);
+    } else {
+      group.admins.pull(userId);
+    }
+    await group.save();
+
+    res.json({ success: true, group: await publishGroupChange(req, group, type, details) });
+  } catch (error) {
+    console.error('Error changing group admins:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+const createInviteLink = async (req, res) => {
+  try {
+    const { groupId } = req.params;
+    const { expiresInHours = INVITE_LINK_DEFAULT_HOURS } = req.body;
+
+    const group = await findMemberGroup(groupId, req.user.id);
+    if (!group) {
+      return res.status(404).json({ message: 'Group not found' });
+    }
+
+    if (!isAdmin(group, req.user.id)) {
+      return res.status(403).json({ message: 'Only group admins can manage the group' });
+    }
+
+    if (typeof expiresInHours !== 'number' || expiresInHours <= 0 || expiresInHours > INVITE_LINK_MAX_HOURS) {
+      return res.status(400).json({ message: `Invite links expire within ${INVITE_LINK_MAX_HOURS} hours` });
+    }
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const invite = await GroupInvite.create({
+      groupId,
+      tokenHash: hashToken(token),
+      createdBy: req.user.id,
+      expiresAt: new Date(Date.now() + expiresInHours * 60 * 60 * 1000)
+    });
+
+    res.status(201).json({ success: true, token, expiresAt: invite.expiresAt });
+  } catch (error) {
+    console.error('Error creating invite link:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+const revokeInviteLinks = async (req, res) => {
+  try {
+    const { groupId } = req.params;
+
+    const group = await findMemberGroup(groupId, req.user.id);
+    if (!group) {
+      return res.status(404).json({ message: 'Group not found' });
+    }
+
+    if (!isAdmin(group, req.user.id)) {
+      return res.status(403).json({ message: 'Only group admins can manage the group' });
+    }
+
+    const { deletedCount } = await GroupInvite.deleteMany({ groupId });
+    res.json({ success: true, revoked: deletedCount });
+  } catch (error) {
+    console.error('Error revoking invite links:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+const joinGroup = async (req, res) => {
+  try {
+    const { groupId } = req.params;
+    const { token } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(groupId) || typeof token !== 'string' || !token) {
+      return res.status(404).json({ message: 'Invite link not found or expired' });
+    }
+
+    // Expired links can outlive their expiry until MongoDB's TTL sweep removes them
+    const invite = await GroupInvite.findOne({ groupId, tokenHash: hashToken(token), expiresAt: { $gt: new Date() } });
+    const group = invite && await Group.findById(groupId);
+    if (!group) {
+      return res.status(404).json({ message: 'Invite link not found or expired' });
+    }
+
+    if (isMember(group, req.user.id)) {
+      return res.status(409).json({ message: 'Already a member' });
+    }
+
+    if (group.members.length >= MAX_GROUP_MEMBERS) {
+      return res.status(400).json({ message: `Groups are limited to ${MAX_GROUP_MEMBERS} members` });
+    }
+
+    const failure = await checkEventSignature(req, { groupId, type: 'member_joined' });
+    if (failure) {
+      return sendFailure(res, failure);
+    }
+
+    const updated = await changeMembership(
+      group,
+      { members: { $ne: req.user.id }, ...HAS_ROOM },
+      { $addToSet: { members: req.user.id } }
+    );
+    if (!updated) {
+      return sendMembershipConflict(res);
+    }
+
+    res.json({ success: true, group: await publishGroupChange(req, updated, 'member_joined') });
+  } catch (error) {
+    console.error('Error joining group:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+module.exports = {
+  getGroups,
+  createGroup,
+  getGroupMessages,
+  sendGroupMessage,
+  renameGroup,
+  addGroupMember,
+  removeGroupMember,
+  leaveGroup,
+  promoteGroupAdmin: setGroupAdmin(true),
+  demoteGroupAdmin: setGroupAdmin(false),
+  createInviteLink,
+  revokeInviteLinks,
+  joinGroup
+};
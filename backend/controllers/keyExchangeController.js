@@ -0,0 +1,291 @@
+const KeyExchange = require('../models/KeyExchange');
+const Contact = require('../models/Contact');
+const Block = require('../models/Block');
+const mongoose = require('mongoose');
+const { emitToUser } = require('../utils/socketService');
+
+const isProtocolMessage = (message) =>
+  !!message && typeof message === 'object' && !Array.isArray(message);
+
+// Shape a stored stage the same way for Socket.IO events and the pending list
+const formatRelay = (exchange, message, senderId) => ({
+  ...message,
+  exchangeId: exchange._id,
+  senderId,
+  fromUserId: senderId,
+  status: exchange.status,
+  expiresAt: exchange.expiresAt.toISOString()
+});
+
+// Load a live exchange, checking the caller is the party allowed to act on it
+const findActiveExchange = async (exchangeId, field, userId, expectedStatus) => {
+  if (!mongoose.Types.ObjectId.isValid(exchangeId)) {
+    return { status: 400, message: 'Invalid exchange ID' };
+  }
+
+  const exchange = await KeyExchange.findById(exchangeId);
+  if (!exchange || exchange.expiresAt < new Date() || String(exchange[field]) !== String(userId)) {
+    return { status: 404, message: 'Key exchange not found or expired' };
+  }
+
+  if (exchange.status !== expectedStatus) {
+    return { status: 409, message: `Key exchange is already ${exchange.status}` };
+  }
+
+  // A block placed mid-handshake stops the remaining stages from being relayed
+  if (await Block.existsBetween(exchange.initiatorId, exchange.targetId)) {
+    return { status: 403, message: 'You cannot exchange keys with this user', code: 'USER_BLOCKED' };
+  }
+
+  return { exchange };
+};
+
+// Move an exchange to its next stage; null when a concurrent request already moved it on
+const advanceExchange = (exchange, expectedStatus, update) => KeyExchange.findOneAndUpdate(
+  { _id: exchange._id, status: expectedStatus },
+  { $set: update },
+  { new: true }
+);
+
+const initiateKeyExchange = async (req, res) => {
+  try {
+    const { targetUserId, message, ephemeralPublicKey, signature, timestamp, nonce } = req.body;
+
+    if (!targetUserId) {
+      return res.status(400).json({ message: 'Target user ID is required' });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(targetUserId)) {
+      return res.status(400).json({ message: 'Invalid target user ID' });
+    }
+
+    if (String(targetUserId) === String(req.user.id)) {
+      return res.status(400).json({ message: 'Cannot exchange keys with yourself' });
+    }
+
+    // Older clients post the signed fields directly instead of a full hello message
+    const helloMessage = message || (ephemeralPublicKey && signature
+      ? { ephemeralPublicKey, signature, timestamp, nonce }
+      : null);
+
+    if (!isProtocolMessage(helloMessage)) {
+      return res.status(400).json({ message: 'Signed key exchange message is required' });
+    }
+
+    // Sessions are only set up between mutual contacts
+    const contactExists = await Contact.areContacts(req.user.id, targetUserId);
+
+    if (!contactExists) {
+      return res.status(404).json({ message: 'Contact not found' });
+    }
+
+    if (await Block.existsBetween(req.user.id, targetUserId)) {
+      return res.status(403).json({ message: 'You cannot exchange keys with this user', code: 'USER_BLOCKED' });
+    }
+
+    // A new hello supersedes any unanswered one to the same peer
+    await KeyExchange.deleteMany({
+      initiatorId: req.user.id,
+      targetId: targetUserId,
+      status: 'pending'
+    });
+
+    const exchange = new KeyExchange({
+      initiatorId: req.user.id,
+      targetId: targetUserId,
+      helloMessage
+    });
+
+    await exchange.save();
+
+    emitToUser(targetUserId, 'key_exchange_request', formatRelay(exchange, helloMessage, req.user.id));
+
+    res.status(201).json({
+      success: true,
+      exchangeId: exchange._id,
+      status: exchange.status,
+      expiresAt: exchange.expiresAt.toISOString()
+    });
+  } catch (error) {
+    console.error('Error initiating key exchange:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+const respondToKeyExchange = async (req, res) => {
+  try {
+    const { exchangeId, message, ephemeralPublicKey, signature, timestamp, nonce } = req.body;
+
+    if (!exchangeId) {
+      return res.status(400).json({ message: 'Exchange ID is required' });
+    }
+
+    const responseMessage = message || (ephemeralPublicKey && signature
+      ? { ephemeralPublicKey, signature, timestamp, nonce }
+      : null);
+
+    if (!isProtocolMessage(responseMessage)) {
+      return res.status(400).json({ message: 'Signed key exchange message is required' });
+    }
+
+    const result = await findActiveExchange(exchangeId, 'targetId', req.user.id, 'pending');
+    if (!result.exchange) {
+      return res.status(result.status).json({ message: result.message, code: result.code });
+    }
+
+    const exchange = await advanceExchange(result.exchange, 'pending', { responseMessage, status: 'responded' });
+    if (!exchange) {
+      return res.status(409).json({ message: 'Key exchange was already answered' });
+    }
+
+    emitToUser(exchange.initiatorId, 'key_exchange_response', formatRelay(exchange, responseMessage, req.user.id));
+
+    res.json({
+      success: true,
+      exchangeId: exchange._id,
+      status: exchange.status
+    });
+  } catch (error) {
+    console.error('Error responding to key exchange:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+const confirmKeyExchange = async (req, res) => {
+  try {
+    const { exchangeId, message } = req.body;
+
+    if (!exchangeId) {
+      return res.status(400).json({ message: 'Exchange ID is required' });
+    }
+
+    if (!isProtocolMessage(message)) {
+      return res.status(400).json({ message: 'Key confirmation message is required' });
+    }
+
+    const result = await findActiveExchange(exchangeId, 'initiatorId', req.user.id, 'responded');
+    if (!result.exchange) {
+      return res.status(result.status).json({ message: result.message, code: result.code });
+    }
+
+    const exchange = await advanceExchange(result.exchange, 'responded', {
+      confirmationMessage: message,
+      status: 'completed',
+      completedAt: new Date()
+    });
+    if (!exchange) {
+      return res.status(409).json({ message: 'Key exchange was already confirmed' });
+    }
+
+    emitToUser(exchange.targetId, 'key_exchange_confirmation', formatRelay(exchange, message, req.user.id));
+
+    res.json({
+      success: true,
+      exchangeId: exchange._id,
+      confirmed: true,
+      status: exchange.status
+    });
+  } catch (error) {
+    console.error('Error confirming key exchange:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+const acknowledgeKeyExchange = async (req, res) => {
+  try {
+    const { exchangeId } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(exchangeId)) {
+      return res.status(400).json({ message: 'Invalid exchange ID' });
+    }
+
+    const exchange = await KeyExchange.findOneAndUpdate(
+      { _id: exchangeId, targetId: req.user.id, status: 'completed', confirmationDeliveredAt: null },
+      { $set: { confirmationDeliveredAt: new Date() } },
+      { new: true }
+    );
+    if (!exchange) {
+      return res.status(404).json({ message: 'Key exchange not found or already acknowledged' });
+    }
+
+    res.json({ success: true, exchangeId: exchange._id });
+  } catch (error) {
+    console.error('Error acknowledging key exchange:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+const abandonKeyExchange = async (req, res) => {
+  try {
+    const { exchangeId } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(exchangeId)) {
+      return res.status(400).json({ message: 'Invalid exchange ID' });
+    }
+
+    // Either party may give up until the target has used the confirmation
+    const exchange = await KeyExchange.findOneAndUpdate(
+      {
+        _id: exchangeId,
+        expiresAt: { $gt: new Date() },
+        $and: [
+          { $or: [{ initiatorId: req.user.id }, { targetId: req.user.id }] },
+          { $or: [{ status: { $in: ['pending', 'responded'] } }, { status: 'completed', confirmationDeliveredAt: null }] }
+        ]
+      },
+      { $set: { status: 'abandoned' } },
+      { new: true }
+    );
+    if (!exchange) {
+      return res.status(404).json({ message: 'Key exchange not found or already finished' });
+    }
+
+    // The other party drops its half of the exchange, and any session it derived from it
+    const otherId = String(exchange.initiatorId) === String(req.user.id) ? exchange.targetId : exchange.initiatorId;
+    emitToUser(otherId, 'key_exchange_abandoned', { exchangeId: exchange._id, userId: String(req.user.id) });
+
+    res.json({ success: true, exchangeId: exchange._id, status: exchange.status });
+  } catch (error) {
+    console.error('Error abandoning key exchange:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+const getPendingKeyExchanges = async (req, res) => {
+  try {
+    // Hellos waiting for our answer, responses waiting for our confirmation and confirmations of
+    // exchanges we answered that we have not acknowledged yet
+    const exchanges = await KeyExchange.find({
+      expiresAt: { $gt: new Date() },
+      $or: [
+        { targetId: req.user.id, status: 'pending' },
+        { initiatorId: req.user.id, status: 'responded' },
+        { targetId: req.user.id, status: 'completed', confirmationDeliveredAt: null }
+      ]
+    }).sort({ createdAt: 1 });
+
+    const formatPending = (exchange) => {
+      if (exchange.status === 'pending') {
+        return { stage: 'request', ...formatRelay(exchange, exchange.helloMessage, exchange.initiatorId) };
+      }
+      if (exchange.status === 'responded') {
+        return { stage: 'response', ...formatRelay(exchange, exchange.responseMessage, exchange.targetId) };
+      }
+      return { stage: 'confirmation', ...formatRelay(exchange, exchange.confirmationMessage, exchange.initiatorId) };
+    };
+
+    res.json({ exchanges: exchanges.map(formatPending) });
+  } catch (error) {
+    console.error('Error fetching pending key exchanges:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+module.exports = {
+  initiateKeyExchange,
+  respondToKeyExchange,
+  confirmKeyExchange,
+  acknowledgeKeyExchange,
+  abandonKeyExchange,
+  getPendingKeyExchanges
+};
@@ -1,6 +1,111 @@
 const Message = require('../models/Message');
 const Contact = require('../models/Contact');
+const File = require('../models/File');
+const User = require('../models/User');
+const Device = require('../models/Device');
+const Group = require('../models/Group');
+const Block = require('../models/Block');
 const mongoose = require('mongoose');
+const { emitToUser, emitToDevice, isUserOnline } = require('../utils/socketService');
+const { verifyEcdsaSignature, getMessageSignatureData } = require('../utils/keyVerification');
+
+const isValidRatchetHeader = ({ dh, pn, n }) =>
+  typeof dh === 'string' && !!dh && Number.isInteger(pn) && pn >= 0 && Number.isInteger(n) && n >= 0;
+
+const isValidX3DHHeader = ({ identityKey, ephemeralKey, signedPreKeyId, oneTimePreKeyId = null }) =>
+  typeof identityKey === 'string' && !!identityKey && typeof ephemeralKey === 'string' && !!ephemeralKey
+  && Number.isInteger(signedPreKeyId) && signedPreKeyId >= 0
+  && (oneTimePreKeyId === null || (Number.isInteger(oneTimePreKeyId) && oneTimePreKeyId >= 0));
+
+// Stored fields of one encrypted envelope, either top-level or per receiver device
+const formatCiphertext = ({ encryptedContent, iv, authTag, nonce, timestamp, signature, ratchetHeader, x3dhHeader }) => ({
+  encryptedContent,
+  iv,
+  authTag,
+  nonce,
+  timestamp: new Date(timestamp),
+  signature,
+  ratchetHeader: ratchetHeader ? { dh: ratchetHeader.dh, pn: ratchetHeader.pn, n: ratchetHeader.n } : null,
+  x3dhHeader: x3dhHeader ? {
+    identityKey: x3dhHeader.identityKey,
+    ephemeralKey: x3dhHeader.ephemeralKey,
+    signedPreKeyId: x3dhHeader.signedPreKeyId,
+    oneTimePreKeyId: x3dhHeader.oneTimePreKeyId ?? null
+  } : null
+});
+
+/**
+ * Shape a message for API responses and socket events
+ * Messages encrypted per device only expose the ciphertext for the given device
+ * @param {Object} msg - Message document, optionally with populated users
+ * @param {string|null} deviceId - Receiver device the response is for
+ * @returns {Object}
+ */
+const formatMessage = (msg, deviceId = null) => {
+  const envelope = msg.recipients.length > 0
+    ? msg.recipients.find(recipient => recipient.deviceId === deviceId) || {}
+    : msg;
+
+  return {
+    id: msg._id,
+    senderId: msg.senderId._id,
+    senderDeviceId: msg.senderDeviceId,
+    receiverId: msg.receiverId._id,
+    encryptedContent: envelope.encryptedContent ?? null,
+    iv: envelope.iv ?? null,
+    authTag: envelope.authTag ?? null,
+    nonce: envelope.nonce ?? null,
+    timestamp: msg.timestamp.toISOString(),
+    signature: envelope.signature ?? null,
+    messageType: msg.messageType,
+    fileId: msg.fileId,
+    groupId: msg.groupId || null,
+    ratchetHeader: envelope.ratchetHeader ?? null,
+    x3dhHeader: envelope.x3dhHeader ?? null,
+    sequenceNumber: msg.sequenceNumber,
+    deliveredAt: msg.deliveredAt ? msg.deliveredAt.toISOString() : null,
+    readAt: msg.readAt ? msg.readAt.toISOString() : null
+  };
+};
+
+// Group receipt updates by sender so each sender gets one notification
+const groupIdsBySender = (messages) => {
+  const groups = new Map();
+  for (const msg of messages) {
+    const senderId = String(msg.senderId);
+    if (!groups.has(senderId)) {
+      groups.set(senderId, []);
+    }
+    groups.get(senderId).push(String(msg._id));
+  }
+  return groups;
+};
+
+// Mark the given messages delivered to the receiver and notify their senders
+const markDelivered = async (messages, receiverId) => {
+  const undelivered = messages.filter(msg => !msg.deliveredAt);
+  if (undelivered.length === 0) {
+    return;
+  }
+
+  const deliveredAt = new Date();
+  await Message.updateMany(
+    { _id: { $in: undelivered.map(msg => msg._id) }, receiverId, deliveredAt: null },
+    { deliveredAt }
+  );
+
+  for (const msg of undelivered) {
+    msg.deliveredAt = deliveredAt;
+  }
+
+  for (const [senderId, messageIds] of groupIdsBySender(undelivered)) {
+    emitToUser(senderId, 'messages_delivered', {
+      messageIds,
+      receiverId: String(receiverId),
+      deliveredAt: deliveredAt.toISOString()
+    });
+  }
+};
 
 const getMessages = async (req, res) => {
   try {
@@ -12,23 +117,24 @@ const getMessages = async (req, res) => {
       return res.status(400).json({ message: 'Invalid contact ID' });
     }
 
-    // Check if contact exists (bidirectional)
-    const contactExists = await Contact.findOne({
-      $or: [
-        { userId: req.user.id, contactUserId: contactId },
-        { userId: contactId, contactUserId: req.user.id }
-      ]
-    });
+    // Conversations are only between mutual contacts
+    const contactExists = await Contact.areContacts(req.user.id, contactId);
 
     if (!contactExists) {
       return res.status(404).json({ message: 'Contact not found' });
     }
 
-    // Build query
+    // Build query; received messages encrypted per device are only returned to their device.
+    // Sender keys are fetched with their group instead
     const query = {
+      messageType: { $ne: 'sender_key' },
       $or: [
         { senderId: req.user.id, receiverId: contactId },
-        { senderId: contactId, receiverId: req.user.id }
+        {
+          senderId: contactId,
+          receiverId: req.user.id,
+          $or: [{ 'recipients.0': { $exists: false } }, { 'recipients.deviceId': req.deviceId }]
+        }
       ]
     };
 
@@ -55,19 +161,14 @@ const getMessages = async (req, res) => {
 
     const total = await Message.countDocuments(query);
 
+    // Fetching history delivers any messages the user had not received in real time
+    await markDelivered(
+      resultMessages.filter(msg => String(msg.receiverId._id) === String(req.user.id)),
+      req.user.id
+    );
+
     res.json({
-      messages: resultMessages.map(msg => ({
-        id: msg._id,
-        senderId: msg.senderId._id,
-        receiverId: msg.receiverId._id,
-        encryptedContent: msg.encryptedContent,
-        iv: msg.iv,
-        authTag: msg.authTag,
-        nonce: msg.nonce,
-        timestamp: msg.timestamp.toISOString(),
-        signature: msg.signature,
-        messageType: msg.messageType
-      })),
+      messages: resultMessages.map(msg => formatMessage(msg, req.deviceId)),
       hasMore,
       total
     });
@@ -81,18 +182,21 @@ const sendMessage = async (req, res) => {
   try {
     const {
       receiverId,
-      encryptedContent,
-      iv,
-      authTag,
-      nonce,
-      timestamp,
-      signature,
       messageType = 'text',
-      sequenceNumber
+      sequenceNumber,
+      fileId,
+      groupId,
+      ciphertexts
     } = req.body;
 
+    // Multi-device clients send one envelope per receiver device; others a single top-level one
+    const perDevice = ciphertexts !== undefined;
+    const envelopes = perDevice ? ciphertexts : [req.body];
+
     // Validate required fields
-    if (!receiverId || !encryptedContent || !iv || !authTag || !nonce || !timestamp || !signature) {
+    if (!receiverId || !Array.isArray(envelopes) || envelopes.length === 0 || envelopes.some(envelope => !envelope
+      || !envelope.encryptedContent || !envelope.iv || !envelope.authTag || !envelope.nonce
+      || !envelope.timestamp || !envelope.signature || (perDevice && typeof envelope.deviceId !== 'string'))) {
       return res.status(400).json({ message: 'Missing required fields' });
     }
 
@@ -101,16 +205,24 @@ const sendMessage = async (req, res) => {
       return res.status(400).json({ message: 'Invalid receiver ID' });
     }
 
-    // Check if contact exists (bidirectional)
-    const contactExists = await Contact.findOne({
-      $or: [
-        { userId: req.user.id, contactUserId: receiverId },
-        { userId: receiverId, contactUserId: req.user.id }
-      ]
-    });
+    // Sender keys go to fellow members of the group; everything else needs a contact
+    if (messageType === 'sender_key') {
+      if (!mongoose.Types.ObjectId.isValid(groupId)
+        || !await Group.exists({ _id: groupId, members: { $all: [req.user.id, receiverId] } })) {
+        return res.status(404).json({ message: 'Group not found' });
+      }
+    } else {
+      // The receiver must have accepted a contact request too; a one-sided row is not enough
+      const contactExists = await Contact.areContacts(req.user.id, receiverId);
 
-    if (!contactExists) {
-      return res.status(404).json({ message: 'Contact not found' });
+      if (!contactExists) {
+        return res.status(404).json({ message: 'Contact not found' });
+      }
+
+      // Blocks stop direct messages; sender keys still flow so shared groups keep working
+      if (await Block.existsBetween(req.user.id, receiverId)) {
+        return res.status(403).json({ message: 'You cannot message this user', code: 'USER_BLOCKED' });
+      }
     }
 
     // Validate sequenceNumber (simple increment, in production might need more complex logic)
@@ -118,27 +230,104 @@ const sendMessage = async (req, res) => {
       return res.status(400).json({ message: 'Invalid sequence number' });
     }
 
+    if (envelopes.some(({ ratchetHeader }) => ratchetHeader != null && !isValidRatchetHeader(ratchetHeader))) {
+      return res.status(400).json({ message: 'Invalid ratchet header' });
+    }
+
+    if (envelopes.some(({ x3dhHeader }) => x3dhHeader != null && !isValidX3DHHeader(x3dhHeader))) {
+      return res.status(400).json({ message: 'Invalid X3DH header' });
+    }
+
+    // File messages must reference a completed upload the receiver can already download
+    if (messageType === 'file') {
+      if (!fileId) {
+        return res.status(400).json({ message: 'File ID is required for file messages' });
+      }
+
+      const file = await File.findOne({
+        fileId,
+        uploaderId: req.user.id,
+        status: 'complete',
+        'sharedWith.userId': receiverId
+      });
+
+      if (!file) {
+        return res.status(404).json({ message: 'File not found' });
+      }
+    }
+
+    // Every registered receiver device needs its own copy; the sender refetches the list on mismatch
+    const deviceIds = perDevice ? envelopes.map(envelope => envelope.deviceId) : [];
+    if (new Set(deviceIds).size !== deviceIds.length) {
+      return res.status(400).json({ message: 'Duplicate device ciphertext' });
+    }
+
+    const receiverDevices = new Set(await Device.distinct('deviceId', { userId: receiverId }));
+    const missingDevices = [...receiverDevices].filter(deviceId => !deviceIds.includes(deviceId));
+    const extraDevices = deviceIds.filter(deviceId => !receiverDevices.has(deviceId));
+
+    if (missingDevices.length > 0 || extraDevices.length > 0) {
+      return res.status(409).json({
+        message: 'Receiver device list has changed',
+        code: 'DEVICE_LIST_MISMATCH',
+        missingDevices,
+        extraDevices
+      });
+    }
+
+    // Only the holder of the sending device's (or, without one, the account's) signing key can post as them
+    const signer = req.deviceId
+      ? await Device.findOne({ userId: req.user.id, deviceId: req.deviceId }, 'keyBundle')
+      : await User.findById(req.user.id, 'keyBundle');
+    if (!signer || !signer.keyBundle) {
+      return res.status(403).json({ message: 'No signing key registered', code: 'SIGNING_KEY_NOT_REGISTERED' });
+    }
+
+    const signingKey = signer.keyBundle.signingKey.publicKey;
+    const allSigned = envelopes.every(({ encryptedContent, iv, nonce, timestamp, signature }) => verifyEcdsaSignature(
+      signingKey,
+      getMessageSignatureData({ encryptedContent, iv, nonce, timestamp, sequenceNumber, receiverId }),
+      signature,
+      'sha384'
+    ));
+    if (!allSigned) {
+      return res.status(403).json({ message: 'Invalid message signature', code: 'INVALID_SIGNATURE' });
+    }
+
     // Create message
     const newMessage = new Message({
       senderId: req.user.id,
+      senderDeviceId: req.deviceId,
       receiverId,
-      encryptedContent,
-      iv,
-      authTag,
-      nonce,
-      timestamp: new Date(timestamp),
-      signature,
+      ...(perDevice
+        ? { recipients: envelopes.map(envelope => ({ deviceId: envelope.deviceId, ...formatCiphertext(envelope) })) }
+        : formatCiphertext(envelopes[0])),
+      timestamp: new Date(envelopes[0].timestamp),
       messageType,
-      sequenceNumber
+      fileId: messageType === 'file' ? fileId : null,
+      groupId: messageType === 'sender_key' ? groupId : null,
+      sequenceNumber,
+      // Receivers with an open socket get the message immediately
+      deliveredAt: isUserOnline(receiverId) ? new Date() : null
     });
 
     await newMessage.save();
 
+    // Push each ciphertext to the receiver's private room, or to the device it was encrypted for
+    if (perDevice) {
+      for (const { deviceId } of newMessage.recipients) {
+        emitToDevice(receiverId, deviceId, 'message_received', formatMessage(newMessage, deviceId));
+      }
+    } else {
+      emitToUser(receiverId, 'message_received', formatMessage(newMessage));
+    }
+
     res.status(201).json({
       success: true,
       messageId: newMessage._id,
       timestamp: newMessage.timestamp.toISOString(),
-      sequenceNumber: newMessage.sequenceNumber
+      sequenceNumber: newMessage.sequenceNumber,
+      deliveredAt: newMessage.deliveredAt ? newMessage.deliveredAt.toISOString() : null
     });
   } catch (error) {
     console.error('Error sending message:', error);
@@ -146,7 +335,84 @@ const sendMessage = async (req, res) => {
   }
 };
 
+// Sender keys addressed to this user and device, including ones distributed while it was offline
+const getSenderKeys = async (req, res) => {
+  try {
+    const { groupId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(groupId) || !await Group.exists({ _id: groupId, members: req.user.id })) {
+      return res.status(404).json({ message: 'Group not found' });
+    }
+
+    const messages = await Message.find({
+      messageType: 'sender_key',
+      groupId,
+      receiverId: req.user.id,
+      $or: [{ 'recipients.0': { $exists: false } }, { 'recipients.deviceId': req.deviceId }]
+    })
+      .sort({ timestamp: 1 })
+      .populate('senderId', 'username')
+      .populate('receiverId', 'username');
+
+    await markDelivered(messages, req.user.id);
+
+    res.json({ messages: messages.map(msg => formatMessage(msg, req.deviceId)) });
+  } catch (error) {
+    console.error('Error fetching sender keys:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+const markMessagesRead = async (req, res) => {
+  try {
+    const { messageIds } = req.body;
+
+    if (!Array.isArray(messageIds) || messageIds.length === 0) {
+      return res.status(400).json({ message: 'Message IDs are required' });
+    }
+
+    if (!messageIds.every(id => mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({ message: 'Invalid message ID' });
+    }
+
+    // Only the receiver can mark a message as read; already read messages keep their original time
+    const messages = await Message.find({
+      _id: { $in: messageIds },
+      receiverId: req.user.id,
+      readAt: null
+    }).select('_id senderId deliveredAt');
+
+    const readAt = new Date();
+
+    if (messages.length > 0) {
+      const ids = messages.map(msg => msg._id);
+      await Message.updateMany({ _id: { $in: ids }, readAt: null }, { readAt });
+      await Message.updateMany({ _id: { $in: ids }, deliveredAt: null }, { deliveredAt: readAt });
+
+      for (const [senderId, readIds] of groupIdsBySender(messages)) {
+        emitToUser(senderId, 'messages_read', {
+          messageIds: readIds,
+          readerId: req.user.id,
+          readAt: readAt.toISOString()
+        });
+      }
+    }
+
+    res.json({
+      success: true,
+      updated: messages.length,
+      messageIds: messages.map(msg => String(msg._id)),
+      readAt: readAt.toISOString()
+    });
+  } catch (error) {
+    console.error('Error marking messages read:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
 module.exports = {
   getMessages,
-  sendMessage
+  sendMessage,
+  getSenderKeys,
+  markMessagesRead
 };
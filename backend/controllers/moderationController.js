@@ -0,0 +1,229 @@
+const Block = require('../models/Block');
+const Report = require('../models/Report');
+const User = require('../models/User');
+const Device = require('../models/Device');
+const Message = require('../models/Message');
+const Contact = require('../models/Contact');
+const ContactRequest = require('../models/ContactRequest');
+const KeyExchange = require('../models/KeyExchange');
+const mongoose = require('mongoose');
+const { verifyEcdsaSignature, getReportSignatureData } = require('../utils/keyVerification');
+
+const REPORT_REASONS = ['spam', 'harassment', 'impersonation', 'other'];
+const MAX_REPORT_DETAILS_LENGTH = 1000;
+const MAX_EVIDENCE_MESSAGES = 20;
+const MAX_EVIDENCE_LENGTH = 10000;
+const REPORT_MAX_AGE_MS = 5 * 60 * 1000; // Signed reports must be this recent
+
+const formatBlock = (block, user) => ({
+  id: user._id,
+  username: user.username,
+  blockedAt: block.createdAt
+});
+
+/**
+ * Block a user, remove them as a contact on both sides and close everything still open between the two
+ * @param {string} blockerId - User doing the blocking
+ * @param {string} blockedId - User being blocked
+ * @returns {Promise<Object|null>} - The new block, or null if it already existed
+ */
+const applyBlock = async (blockerId, blockedId) => {
+  let block;
+  try {
+    block = await Block.create({ blockerId, blockedId });
+  } catch (error) {
+    // The unique index settles concurrent blocks of the same user; the loser is already blocked
+    if (error.code === 11000) {
+      return null;
+    }
+    throw error;
+  }
+
+  const now = new Date();
+
+  // Requests the blocked user sent count as declined, ours as cancelled
+  await ContactRequest.updateMany(
+    { fromUserId: blockedId, toUserId: blockerId, status: 'pending' },
+    { status: 'declined', respondedAt: now }
+  );
+  await ContactRequest.updateMany(
+    { fromUserId: blockerId, toUserId: blockedId, status: 'pending' },
+    { status: 'cancelled', respondedAt: now }
+  );
+  // Contacts see each other's presence and typing; after an unblock they need a new request
+  await Contact.deleteMany({
+    $or: [
+      { userId: blockerId, contactUserId: blockedId },
+      { userId: blockedId, contactUserId: blockerId }
+    ]
+  });
+  await KeyExchange.deleteMany({
+    status: { $ne: 'completed' },
+    $or: [
+      { initiatorId: blockerId, targetId: blockedId },
+      { initiatorId: blockedId, targetId: blockerId }
+    ]
+  });
+
+  return block;
+};
+
+const getBlockedUsers = async (req, res) => {
+  try {
+    const blocks = await Block.find({ blockerId: req.user.id })
+      .populate('blockedId', 'username')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      blocked: blocks
+        .filter(block => block.blockedId)
+        .map(block => formatBlock(block, block.blockedId))
+    });
+  } catch (error) {
+    console.error('Error fetching blocked users:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+const blockUser = async (req, res) => {
+  try {
+    const { userId } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ message: 'Invalid user ID' });
+    }
+
+    if (String(userId) === String(req.user.id)) {
+      return res.status(400).json({ message: 'You cannot block yourself' });
+    }
+
+    const user = await User.findById(userId).select('username');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const block = await applyBlock(req.user.id, user._id);
+    if (!block) {
+      return res.status(409).json({ message: 'User already blocked' });
+    }
+
+    res.status(201).json({ success: true, blocked: formatBlock(block, user) });
+  } catch (error) {
+    console.error('Error blocking user:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+const unblockUser = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const { deletedCount } = mongoose.Types.ObjectId.isValid(userId)
+      ? await Block.deleteOne({ blockerId: req.user.id, blockedId: userId })
+      : { deletedCount: 0 };
+
+    if (deletedCount === 0) {
+      return res.status(404).json({ message: 'Block not found' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error unblocking user:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+const reportUser = async (req, res) => {
+  try {
+    const { userId, reason, details = '', evidence = [], timestamp, signature, block = false } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(userId) || String(userId) === String(req.user.id)) {
+      return res.status(400).json({ message: 'Invalid user ID' });
+    }
+
+    if (!REPORT_REASONS.includes(reason)) {
+      return res.status(400).json({ message: `Reason must be one of: ${REPORT_REASONS.join(', ')}` });
+    }
+
+    if (typeof details !== 'string' || details.length > MAX_REPORT_DETAILS_LENGTH) {
+      return res.status(400).json({ message: `Details are limited to ${MAX_REPORT_DETAILS_LENGTH} characters` });
+    }
+
+    if (!Array.isArray(evidence) || evidence.length > MAX_EVIDENCE_MESSAGES || evidence.some(item => !item
+      || !mongoose.Types.ObjectId.isValid(item.messageId)
+      || typeof item.content !== 'string' || item.content.length > MAX_EVIDENCE_LENGTH)) {
+      return res.status(400).json({ message: `Evidence must be up to ${MAX_EVIDENCE_MESSAGES} messages with their text` });
+    }
+
+    const messageIds = evidence.map(item => String(item.messageId));
+    if (new Set(messageIds).size !== messageIds.length) {
+      return res.status(400).json({ message: 'Duplicate evidence message' });
+    }
+
+    if (!timestamp || typeof signature !== 'string' || !signature) {
+      return res.status(400).json({ message: 'Signed report is required' });
+    }
+    const signedAt = new Date(timestamp).getTime();
+    if (Number.isNaN(signedAt) || Math.abs(Date.now() - signedAt) > REPORT_MAX_AGE_MS) {
+      return res.status(400).json({ message: 'Report timestamp is too old or in the future' });
+    }
+
+    const reportedUser = await User.findById(userId).select('username');
+    if (!reportedUser) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    // Evidence can only be messages the reported user sent to the reporter
+    const messages = await Message.find({ _id: { $in: messageIds }, senderId: userId, receiverId: req.user.id })
+      .select('timestamp');
+    if (messages.length !== messageIds.length) {
+      return res.status(400).json({ message: 'Evidence must be messages this user sent you' });
+    }
+
+    // Signed by the reporting device's key, or the account's, as for messages
+    const signer = req.deviceId
+      ? await Device.findOne({ userId: req.user.id, deviceId: req.deviceId }, 'keyBundle')
+      : await User.findById(req.user.id, 'keyBundle');
+    if (!signer || !signer.keyBundle) {
+      return res.status(403).json({ message: 'No signing key registered', code: 'SIGNING_KEY_NOT_REGISTERED' });
+    }
+
+    const signed = verifyEcdsaSignature(
+      signer.keyBundle.signingKey.publicKey,
+      getReportSignatureData({ reportedUserId: userId, reason, details, evidence, timestamp }),
+      signature,
+      'sha384'
+    );
+    if (!signed) {
+      return res.status(403).json({ message: 'Invalid report signature', code: 'INVALID_SIGNATURE' });
+    }
+
+    const sentAt = new Map(messages.map(message => [String(message._id), message.timestamp]));
+    const report = await Report.create({
+      reporterId: req.user.id,
+      reporterDeviceId: req.deviceId,
+      reportedUserId: userId,
+      reason,
+      details,
+      evidence: evidence.map(({ messageId, content }) => ({ messageId, content, sentAt: sentAt.get(String(messageId)) })),
+      timestamp: new Date(timestamp),
+      signature
+    });
+
+    if (block) {
+      await applyBlock(req.user.id, reportedUser._id);
+    }
+
+    res.status(201).json({ success: true, reportId: report._id, blocked: Boolean(block) });
+  } catch (error) {
+    console.error('Error reporting user:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+module.exports = {
+  getBlockedUsers,
+  blockUser,
+  unblockUser,
+  reportUser
+};
@@ -0,0 +1,165 @@
+const PreKeyBundle = require('../models/PreKeyBundle');
+const User = require('../models/User');
+const Device = require('../models/Device');
+const Contact = require('../models/Contact');
+const Group = require('../models/Group');
+const mongoose = require('mongoose');
+const { decodeP256PublicKey, verifyEcdsaSignature } = require('../utils/keyVerification');
+
+const MAX_ONE_TIME_PREKEYS = 100;
+
+const isKeyId = (keyId) => Number.isInteger(keyId) && keyId >= 0;
+
+const formatSignedPreKey = (signedPreKey) => ({
+  keyId: signedPreKey.keyId,
+  publicKey: signedPreKey.publicKey,
+  signature: signedPreKey.signature
+});
+
+const uploadPreKeys = async (req, res) => {
+  try {
+    const { identityKey, signingKey, signedPreKey, oneTimePreKeys = [] } = req.body;
+
+    if (!decodeP256PublicKey(identityKey) || !decodeP256PublicKey(signingKey)) {
+      return res.status(400).json({ message: 'Identity and signing keys are required' });
+    }
+
+    if (!signedPreKey || !isKeyId(signedPreKey.keyId) || !decodeP256PublicKey(signedPreKey.publicKey)) {
+      return res.status(400).json({ message: 'Signed prekey is required' });
+    }
+
+    // Prekeys extend the device's key bundle (or the account's, for clients without a device ID);
+    // publish a new bundle first when the identity changes
+    const deviceId = req.deviceId;
+    const owner = deviceId
+      ? await Device.findOne({ userId: req.user.id, deviceId }, 'keyBundle')
+      : await User.findById(req.user.id, 'keyBundle');
+    if (!owner || !owner.keyBundle
+      || owner.keyBundle.identityKey.publicKey !== identityKey
+      || owner.keyBundle.signingKey.publicKey !== signingKey) {
+      return res.status(409).json({ message: 'Identity keys do not match the registered key bundle' });
+    }
+
+    // Contacts verify this too, but a bad signature would make every claimed bundle unusable
+    const signedData = decodeP256PublicKey(signedPreKey.publicKey);
+    if (!verifyEcdsaSignature(signingKey, signedData, signedPreKey.signature)) {
+      return res.status(400).json({ message: 'Invalid signed prekey signature' });
+    }
+
+    if (!Array.isArray(oneTimePreKeys)
+      || oneTimePreKeys.some(key => !key || !isKeyId(key.keyId) || !decodeP256PublicKey(key.publicKey))) {
+      return res.status(400).json({ message: 'Invalid one-time prekey' });
+    }
+
+    const existing = await PreKeyBundle.findOne({ userId: req.user.id, deviceId });
+
+    // A new identity key means a new device install; its old one-time prekeys can no longer be used
+    const keepExisting = existing && existing.identityKey === identityKey;
+    const knownIds = new Set(keepExisting ? existing.oneTimePreKeys.map(key => key.keyId) : []);
+    const newKeys = oneTimePreKeys
+      .filter(key => !knownIds.has(key.keyId))
+      .map(key => ({ keyId: key.keyId, publicKey: key.publicKey }));
+
+    if (knownIds.size + newKeys.length > MAX_ONE_TIME_PREKEYS) {
+      return res.status(400).json({ message: 'Too many one-time prekeys' });
+    }
+
+    const fields = {
+      identityKey,
+      signingKey,
+      signedPreKey: formatSignedPreKey(signedPreKey)
+    };
+
+    // Append with $push so keys claimed meanwhile are not written back
+    const bundle = keepExisting
+      ? await PreKeyBundle.findOneAndUpdate(
+        { userId: req.user.id, deviceId, identityKey },
+        { $set: fields, $push: { oneTimePreKeys: { $each: newKeys } } },
+        { new: true }
+      )
+      : await PreKeyBundle.findOneAndUpdate(
+        { userId: req.user.id, deviceId },
+        { $set: { ...fields, oneTimePreKeys: newKeys } },
+        { new: true, upsert: true }
+      );
+
+    // Another upload replaced the identity key between the read and the update
+    if (!bundle) {
+      return res.status(409).json({ message: 'Prekey bundle changed, please retry' });
+    }
+
+    // A client that upgraded to per-device prekeys leaves its account-level bundle behind
+    if (deviceId) {
+      await PreKeyBundle.deleteOne({ userId: req.user.id, deviceId: null, identityKey });
+    }
+
+    res.json({
+      success: true,
+      oneTimePreKeyCount: bundle.oneTimePreKeys.length,
+      updatedAt: bundle.updatedAt.toISOString()
+    });
+  } catch (error) {
+    console.error('Error uploading prekeys:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+const claimPreKeyBundle = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { deviceId } = req.body || {};
+
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ message: 'Invalid user ID' });
+    }
+
+    if (deviceId !== undefined && typeof deviceId !== 'string') {
+      return res.status(400).json({ message: 'Invalid device ID' });
+    }
+
+    if (String(userId) === String(req.user.id)) {
+      return res.status(400).json({ message: 'Cannot claim your own prekeys' });
+    }
+
+    // Mutual contacts can claim prekeys, and so can members of a shared group, who also need sessions
+    const contactExists = await Contact.areContacts(req.user.id, userId);
+
+    if (!contactExists && !await Group.haveSharedGroup(req.user.id, userId)) {
+      return res.status(404).json({ message: 'Contact not found' });
+    }
+
+    // Atomically remove the oldest one-time prekey; the returned document is the state before
+    // the update, so its first key is the one this caller claimed
+    // Without a device ID any of the user's bundles will do, as for single-device clients
+    const bundle = await PreKeyBundle.findOneAndUpdate(
+      deviceId === undefined ? { userId } : { userId, deviceId },
+      { $pop: { oneTimePreKeys: -1 } }
+    );
+
+    if (!bundle) {
+      return res.status(404).json({ message: 'Prekey bundle not found' });
+    }
+
+    const oneTimePreKey = bundle.oneTimePreKeys[0];
+
+    res.json({
+      userId: bundle.userId,
+      deviceId: bundle.deviceId,
+      identityKey: bundle.identityKey,
+      signingKey: bundle.signingKey,
+      signedPreKey: formatSignedPreKey(bundle.signedPreKey),
+      // Bundles stay usable without one once the owner runs out
+      oneTimePreKey: oneTimePreKey
+        ? { keyId: oneTimePreKey.keyId, publicKey: oneTimePreKey.publicKey }
+        : null
+    });
+  } catch (error) {
+    console.error('Error claiming prekey bundle:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+module.exports = {
+  uploadPreKeys,
+  claimPreKeyBundle
+};
@@ -1,5 +1,26 @@
 const User = require('../models/User');
 const Contact = require('../models/Contact');
+const ContactRequest = require('../models/ContactRequest');
+const Block = require('../models/Block');
+const PreKeyBundle = require('../models/PreKeyBundle');
+const Device = require('../models/Device');
+const KeyLogEntry = require('../models/KeyLogEntry');
+const mongoose = require('mongoose');
+const { parseKeyBundle, formatKeyBundle, getKeyBundleHash } = require('../utils/keyBundle');
+const { appendKeyLogEntry, findLatestEntry, formatLogEntry } = require('../utils/keyTransparency');
+const { emitToUser } = require('../utils/socketService');
+const { consumeRateLimit } = require('../utils/rateLimit');
+const { accountKey, getRetryAfter, recordLoginFailure } = require('../utils/loginThrottle');
+
+const MIN_SEARCH_LENGTH = 2;
+const MAX_SEARCH_LENGTH = 254;
+const SEARCH_PAGE_SIZE = 10;
+const MAX_SEARCH_PAGE_SIZE = 25;
+// Searches per user; exact email lookups get a much smaller budget since each one can confirm an account
+const SEARCH_RATE_LIMIT = { limit: 30, windowMs: 60 * 1000 };
+const EMAIL_SEARCH_RATE_LIMIT = { limit: 10, windowMs: 60 * 60 * 1000 };
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 
 const getProfile = async (req, res) => {
   try {
@@ -12,7 +33,8 @@ const getProfile = async (req, res) => {
         id: user._id,
         email: user.email,
         username: user.username,
-        publicKey: user.publicKey,
+        keyBundle: formatKeyBundle(user.keyBundle),
+        privacy: { discoverableByEmail: user.discoverableByEmail },
         createdAt: user.createdAt,
         lastLogin: user.lastLogin
       }
@@ -23,16 +45,94 @@ const getProfile = async (req, res) => {
   }
 };
 
+const updatePrivacy = async (req, res) => {
+  try {
+    const { discoverableByEmail } = req.body;
+
+    if (typeof discoverableByEmail !== 'boolean') {
+      return res.status(400).json({ message: 'discoverableByEmail must be true or false' });
+    }
+
+    const user = await User.findByIdAndUpdate(req.user.id, { discoverableByEmail }, { new: true })
+      .select('discoverableByEmail');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.json({ success: true, privacy: { discoverableByEmail: user.discoverableByEmail } });
+  } catch (error) {
+    console.error('Error updating privacy settings:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+const searchUsers = async (req, res) => {
+  try {
+    const query = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    const page = req.query.page === undefined ? 1 : Number(req.query.page);
+    const limit = req.query.limit === undefined ? SEARCH_PAGE_SIZE : Number(req.query.limit);
+
+    if (query.length < MIN_SEARCH_LENGTH || query.length > MAX_SEARCH_LENGTH) {
+      return res.status(400).json({ message: `Search must be ${MIN_SEARCH_LENGTH} to ${MAX_SEARCH_LENGTH} characters` });
+    }
+
+    if (!Number.isInteger(page) || page < 1 || !Number.isInteger(limit) || limit < 1 || limit > MAX_SEARCH_PAGE_SIZE) {
+      return res.status(400).json({ message: `Page must be a positive integer and limit at most ${MAX_SEARCH_PAGE_SIZE}` });
+    }
+
+    // Anything with an @ is an email, which only ever matches exactly
+    const byEmail = query.includes('@');
+    const retryAfter = await consumeRateLimit(`search:${req.user.id}`, SEARCH_RATE_LIMIT)
+      || (byEmail && await consumeRateLimit(`search-email:${req.user.id}`, EMAIL_SEARCH_RATE_LIMIT));
+    if (retryAfter) {
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({ message: 'Too many searches, try again later', retryAfter });
+    }
+
+    // Users on either side of a block never show up for each other
+    const blocks = await Block.find({ $or: [{ blockerId: req.user.id }, { blockedId: req.user.id }] })
+      .select('blockerId blockedId');
+    const hiddenIds = [req.user.id, ...blocks.map(block =>
+      String(block.blockerId) === String(req.user.id) ? block.blockedId : block.blockerId)];
+
+    const filter = byEmail
+      ? { email: query.toLowerCase(), discoverableByEmail: true }
+      : { username: new RegExp(`^${escapeRegExp(query)}`, 'i') };
+    const users = await User.find({ ...filter, _id: { $nin: hiddenIds } })
+      .select('username')
+      .sort({ username: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit + 1);
+
+    const results = users.slice(0, limit);
+    const contactIds = new Set((await Contact.findMutual(req.user.id, results.map(user => user._id))).map(String));
+
+    res.json({
+      users: results.map(user => ({
+        id: user._id,
+        username: user.username,
+        isContact: contactIds.has(String(user._id))
+      })),
+      page,
+      limit,
+      hasMore: users.length > limit
+    });
+  } catch (error) {
+    console.error('Error searching users:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
 const getContacts = async (req, res) => {
   try {
     const contacts = await Contact.find({ userId: req.user.id })
-      .populate('contactUserId', 'username publicKey')
+      .populate('contactUserId', 'username keyBundle')
       .select('contactUserId addedAt lastSeen isOnline');
 
     const formattedContacts = contacts.map(contact => ({
       id: contact.contactUserId._id,
       username: contact.contactUserId.username,
-      publicKey: contact.contactUserId.publicKey,
+      keyBundle: formatKeyBundle(contact.contactUserId.keyBundle),
       addedAt: contact.addedAt,
       lastSeen: contact.lastSeen,
       isOnline: contact.isOnline
@@ -45,7 +145,59 @@ const getContacts = async (req, res) => {
   }
 };
 
-const addContact = async (req, res) => {
+// Shape a contact request for API responses and socket events
+const formatContactRequest = (request) => ({
+  id: request._id,
+  from: { id: request.fromUserId._id, username: request.fromUserId.username },
+  to: { id: request.toUserId._id, username: request.toUserId.username },
+  status: request.status,
+  createdAt: request.createdAt,
+  respondedAt: request.respondedAt
+});
+
+const formatNewContact = (user, contact) => ({
+  id: user._id,
+  username: user.username,
+  keyBundle: formatKeyBundle(user.keyBundle),
+  addedAt: contact.addedAt
+});
+
+// Tell both sides about a change; each client works out its own side from the user IDs
+const notifyContactRequest = (request) => {
+  const formatted = formatContactRequest(request);
+  emitToUser(request.fromUserId._id, 'contact_request_updated', formatted);
+  emitToUser(request.toUserId._id, 'contact_request_updated', formatted);
+  return formatted;
+};
+
+const populateContactRequest = (request) => request.populate([
+  { path: 'fromUserId', select: 'username keyBundle' },
+  { path: 'toUserId', select: 'username keyBundle' }
+]);
+
+/**
+ * Accept a request: each user becomes a contact of the other
+ * @returns {Promise<Object>} - The requester as a contact, for the accepting user
+ */
+const acceptRequest = async (request) => {
+  request.status = 'accepted';
+  request.respondedAt = new Date();
+  await request.save();
+
+  const [fromUserId, toUserId] = [request.fromUserId._id, request.toUserId._id];
+  for (const [userId, contactUserId] of [[fromUserId, toUserId], [toUserId, fromUserId]]) {
+    await Contact.updateOne(
+      { userId, contactUserId },
+      { $setOnInsert: { addedAt: request.respondedAt } },
+      { upsert: true }
+    );
+  }
+
+  notifyContactRequest(request);
+  return formatNewContact(request.fromUserId, { addedAt: request.respondedAt });
+};
+
+const sendContactRequest = async (req, res) => {
   try {
     const { username } = req.body;
 
@@ -53,47 +205,291 @@ const addContact = async (req, res) => {
       return res.status(400).json({ message: 'Username is required' });
     }
 
-    // Find the user to add as contact
-    const contactUser = await User.findOne({ username });
-    if (!contactUser) {
+    const recipient = await User.findOne({ username });
+    // Someone who blocked us, or whom we blocked, looks like they do not exist
+    if (!recipient || await Block.existsBetween(req.user.id, recipient._id)) {
       return res.status(404).json({ message: 'User not found' });
     }
 
-    // Check if contact already exists
-    const existingContact = await Contact.findOne({
-      userId: req.user.id,
-      contactUserId: contactUser._id
-    });
+    if (String(recipient._id) === String(req.user.id)) {
+      return res.status(400).json({ message: 'You cannot add yourself as a contact' });
+    }
 
-    if (existingContact) {
+    if (await Contact.areContacts(req.user.id, recipient._id)) {
       return res.status(409).json({ message: 'Contact already exists' });
     }
 
-    // Create new contact
-    const newContact = new Contact({
-      userId: req.user.id,
-      contactUserId: contactUser._id
+    if (await ContactRequest.exists({ fromUserId: req.user.id, toUserId: recipient._id, status: 'pending' })) {
+      return res.status(409).json({ message: 'Contact request already sent' });
+    }
+
+    // They already asked us, so asking them back accepts their request
+    const reverse = await ContactRequest.findOne({ fromUserId: recipient._id, toUserId: req.user.id, status: 'pending' });
+    if (reverse) {
+      await populateContactRequest(reverse);
+      const contact = await acceptRequest(reverse);
+      return res.status(201).json({ success: true, request: formatContactRequest(reverse), contact });
+    }
+
+    const request = await ContactRequest.create({ fromUserId: req.user.id, toUserId: recipient._id });
+    await populateContactRequest(request);
+
+    res.status(201).json({ success: true, request: notifyContactRequest(request) });
+  } catch (error) {
+    // Two identical requests sent at once; the unique index lets only one through
+    if (error.code === 11000) {
+      return res.status(409).json({ message: 'Contact request already sent' });
+    }
+    console.error('Error sending contact request:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+const getContactRequests = async (req, res) => {
+  try {
+    const requests = await populateContactRequest(ContactRequest.find({
+      status: 'pending',
+      $or: [{ fromUserId: req.user.id }, { toUserId: req.user.id }]
+    }).sort({ createdAt: -1 }));
+
+    const formatted = requests.map(formatContactRequest);
+    res.json({
+      incoming: formatted.filter(request => String(request.to.id) === String(req.user.id)),
+      outgoing: formatted.filter(request => String(request.from.id) === String(req.user.id))
+    });
+  } catch (error) {
+    console.error('Error fetching contact requests:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Only the side a step belongs to may take it, and only while the request is open
+const findPendingRequest = async (req, res, party) => {
+  const { requestId } = req.params;
+
+  const request = mongoose.Types.ObjectId.isValid(requestId)
+    ? await ContactRequest.findOne({ _id: requestId, [party]: req.user.id })
+    : null;
+  if (!request) {
+    res.status(404).json({ message: 'Contact request not found' });
+    return null;
+  }
+
+  if (request.status !== 'pending') {
+    res.status(409).json({ message: `Contact request already ${request.status}` });
+    return null;
+  }
+
+  return populateContactRequest(request);
+};
+
+const acceptContactRequest = async (req, res) => {
+  try {
+    const request = await findPendingRequest(req, res, 'toUserId');
+    if (!request) {
+      return;
+    }
+
+    const contact = await acceptRequest(request);
+    res.json({ success: true, request: formatContactRequest(request), contact });
+  } catch (error) {
+    console.error('Error accepting contact request:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+const declineContactRequest = async (req, res) => {
+  try {
+    const request = await findPendingRequest(req, res, 'toUserId');
+    if (!request) {
+      return;
+    }
+
+    request.status = 'declined';
+    request.respondedAt = new Date();
+    await request.save();
+
+    res.json({ success: true, request: notifyContactRequest(request) });
+  } catch (error) {
+    console.error('Error declining contact request:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+const cancelContactRequest = async (req, res) => {
+  try {
+    const request = await findPendingRequest(req, res, 'fromUserId');
+    if (!request) {
+      return;
+    }
+
+    request.status = 'cancelled';
+    request.respondedAt = new Date();
+    await request.save();
+
+    res.json({ success: true, request: notifyContactRequest(request) });
+  } catch (error) {
+    console.error('Error cancelling contact request:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+const getUserKeys = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: 'Invalid user ID' });
+    }
+
+    const user = await User.findById(id).select('keyBundle');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    // Accounts registered before key bundles only have the legacy opaque key
+    if (!user.keyBundle) {
+      return res.status(404).json({ message: 'Key bundle not found' });
+    }
+
+    res.json({
+      userId: user._id,
+      keyBundle: formatKeyBundle(user.keyBundle)
     });
+  } catch (error) {
+    console.error('Error fetching key bundle:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Re-check the password before identity keys are replaced, so an access token alone cannot make
+// contacts trust new keys. Sends the error response and returns false when the check fails.
+const confirmPassword = async (req, res, user, password) => {
+  const retryAfter = await getRetryAfter(accountKey(user));
+  if (retryAfter) {
+    res.set('Retry-After', String(retryAfter));
+    res.status(429).json({ message: 'Too many failed attempts, try again later', retryAfter });
+    return false;
+  }
+
+  if (!await user.comparePassword(password)) {
+    await recordLoginFailure(req, user);
+    res.status(403).json({ message: 'Password is incorrect' });
+    return false;
+  }
+
+  return true;
+};
+
+const updateKeys = async (req, res) => {
+  try {
+    const { password } = req.body;
+    const { keyBundle, error } = parseKeyBundle(req.body.keyBundle);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    if (typeof password !== 'string' || !password) {
+      return res.status(400).json({ message: 'Password is required' });
+    }
+
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
 
-    await newContact.save();
+    if (!await confirmPassword(req, res, user, password)) {
+      return;
+    }
+
+    // Prekeys were published under the old identity and signed by the old signing key
+    const identityChanged = !user.keyBundle
+      || user.keyBundle.identityKey.publicKey !== keyBundle.identityKey.publicKey
+      || user.keyBundle.signingKey.publicKey !== keyBundle.signingKey.publicKey;
+
+    user.keyBundle = { ...keyBundle, updatedAt: new Date() };
+    await user.save();
+    await appendKeyLogEntry(user._id, user.keyBundle);
+
+    if (identityChanged) {
+      // Devices publish prekeys for their own bundles; only the account-level ones are stale
+      await PreKeyBundle.deleteOne({ userId: req.user.id, deviceId: null });
+
+      // Device endorsements were signed by the old signing key and must be given again
+      await Device.updateMany({ userId: req.user.id }, { $set: { accountSignature: null } });
 
-    res.status(201).json({
+      // Online mutual contacts re-check the key log now instead of on their next lookup; people who
+      // only sent a request are not told when the keys change
+      const rows = await Contact.find({ contactUserId: user._id }).select('userId');
+      const watchers = await Contact.findMutual(user._id, rows.map(row => row.userId));
+      watchers.forEach(watcher => emitToUser(watcher, 'contact_keys_changed', { userId: String(user._id) }));
+    }
+
+    res.json({
       success: true,
-      contact: {
-        id: contactUser._id,
-        username: contactUser.username,
-        publicKey: contactUser.publicKey,
-        addedAt: newContact.addedAt
-      }
+      keyBundle: formatKeyBundle(user.keyBundle)
+    });
+  } catch (error) {
+    console.error('Error updating key bundle:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+const getKeyLog = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const since = req.query.since === undefined ? 0 : Number(req.query.since);
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: 'Invalid user ID' });
+    }
+
+    if (!Number.isInteger(since) || since < 0) {
+      return res.status(400).json({ message: 'Invalid sequence number' });
+    }
+
+    const user = await User.findById(id).select('keyBundle');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (!user.keyBundle) {
+      return res.status(404).json({ message: 'Key bundle not found' });
+    }
+
+    // Only write paths append to the log. A bundle that is not its latest account entry, e.g. one
+    // published before the log existed, is reported so clients do not trust it unverified.
+    const latest = await findLatestEntry(id);
+    const logged = !!latest && latest.keyBundleHash === getKeyBundleHash(user.keyBundle);
+    const head = await KeyLogEntry.findOne({ userId: id }).sort({ sequence: -1 });
+
+    // Entries after the caller's last known head link it to the current bundle
+    const entries = await KeyLogEntry.find({ userId: id, sequence: { $gt: since } }).sort({ sequence: 1 });
+
+    res.json({
+      userId: user._id,
+      keyBundle: formatKeyBundle(user.keyBundle),
+      logged,
+      head: head ? formatLogEntry(head) : null,
+      entries: entries.map(formatLogEntry)
     });
   } catch (error) {
-    console.error('Error adding contact:', error);
+    console.error('Error fetching key log:', error);
     res.status(500).json({ message: 'Server error' });
   }
 };
 
 module.exports = {
   getProfile,
+  updatePrivacy,
+  searchUsers,
   getContacts,
-  addContact
+  sendContactRequest,
+  getContactRequests,
+  acceptContactRequest,
+  declineContactRequest,
+  cancelContactRequest,
+  getUserKeys,
+  updateKeys,
+  getKeyLog
 };
@@ -1,4 +1,25 @@
 const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+
+// Verify a JWT with the app secret, resolving to the decoded user payload plus the device its
+// session registered, if any
+const verifyToken = (token) => new Promise((resolve, reject) => {
+  jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
+    if (err) {
+      return reject(err);
+    }
+
+    resolve(user);
+  });
+}).then(async (user) => {
+  // Access tokens end with their session, e.g. on logout or a password change
+  const session = user.sid ? await Session.findById(user.sid).select('userId revokedAt deviceId') : null;
+  if (!session || session.revokedAt || String(session.userId) !== String(user.id)) {
+    throw new Error('Session has been revoked');
+  }
+
+  return { ...user, deviceId: session.deviceId || null };
+});
 
 const authenticateToken = (req, res, next) => {
   const authHeader = req.headers['authorization'];
@@ -15,15 +36,24 @@ const authenticateToken = (req, res, next) => {
   }
 
   // Verify the token using the JWT secret
-  jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
-    if (err) {
-      return res.status(401).json({ error: 'Invalid or expired token' });
-    }
-
-    req.user = user;
-
-    next();
-  });
+  verifyToken(token).then(
+    (user) => {
+      const deviceId = req.get('X-Device-Id') || null;
+
+      // Once a session registered a device it can only act for that one, so another session of the
+      // same account cannot read or send as the device
+      if (deviceId && user.deviceId && deviceId !== user.deviceId) {
+        return res.status(403).json({ error: 'Device is registered to another session' });
+      }
+
+      req.user = user;
+      // Clients name the device they act for; endpoints that depend on it check it is registered
+      req.deviceId = deviceId;
+
+      next();
+    },
+    () => res.status(401).json({ error: 'Invalid or expired token' })
+  );
 };
 
-module.exports = { authenticateToken };
\ No newline at end of file
+module.exports = { authenticateToken, verifyToken };
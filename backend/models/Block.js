@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// One user blocking another. Either side of a block can no longer message, set up sessions with
+// or send contact requests to the other; only the blocker can lift it.
+const blockSchema = new mongoose.Schema({
+  blockerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  blockedId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+blockSchema.index({ blockerId: 1, blockedId: 1 }, { unique: true });
+blockSchema.index({ blockedId: 1 });
+
+// Blocks work both ways, so the blocked user cannot reach the blocker either
+blockSchema.statics.existsBetween = function(userId, otherUserId) {
+  return this.exists({
+    $or: [
+      { blockerId: userId, blockedId: otherUserId },
+      { blockerId: otherUserId, blockedId: userId }
+    ]
+  });
+};
+
+module.exports = mongoose.model('Block', blockSchema);
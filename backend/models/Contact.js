@@ -28,4 +28,36 @@ const contactSchema = new mongoose.Schema({
 // Compound index to prevent duplicate contacts
 contactSchema.index({ userId: 1, contactUserId: 1 }, { unique: true });
 
+/**
+ * Which of the given users are mutual contacts of a user
+ * Accepting a contact request adds a row each way; a row in only one direction does not let
+ * either user message the other
+ * @param {string} userId - User ID
+ * @param {Array<string>} otherUserIds - Candidate contacts
+ * @returns {Promise<Array<string>>} - The candidates who are mutual contacts
+ */
+contactSchema.statics.findMutual = async function(userId, otherUserIds) {
+  const rows = await this.find({
+    $or: [
+      { userId, contactUserId: { $in: otherUserIds } },
+      { userId: { $in: otherUserIds }, contactUserId: userId }
+    ]
+  }).select('userId contactUserId');
+
+  const outgoing = new Set();
+  const incoming = new Set();
+  for (const row of rows) {
+    if (String(row.userId) === String(userId)) {
+      outgoing.add(String(row.contactUserId));
+    } else {
+      incoming.add(String(row.userId));
+    }
+  }
+  return [...outgoing].filter(id => incoming.has(id));
+};
+
+contactSchema.statics.areContacts = async function(userId, otherUserId) {
+  return (await this.findMutual(userId, [otherUserId])).length === 1;
+};
+
 module.exports = mongoose.model('Contact', contactSchema);
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// A request from one user to another to become contacts. Accepting it makes each a contact of
+// the other; until then neither can message the other.
+const contactRequestSchema = new mongoose.Schema({
+  fromUserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  toUserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'declined', 'cancelled'],
+    default: 'pending'
+  },
+  respondedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// One open request per pair and direction; answered ones stay as history
+contactRequestSchema.index(
+  { fromUserId: 1, toUserId: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+contactRequestSchema.index({ toUserId: 1, status: 1 });
+
+module.exports = mongoose.model('ContactRequest', contactRequestSchema);
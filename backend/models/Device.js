@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+const keyBundleSchema = require('./keyBundleSchema');
+
+// A browser or app install signed in to an account. Each device has its own identity keys, so
+// senders encrypt one copy of every message per device.
+const deviceSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Chosen by the client when it creates the device's identity keys
+  deviceId: {
+    type: String,
+    required: true,
+    match: /^[A-Za-z0-9_-]{8,64}$/
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: 100,
+    default: 'Unknown device'
+  },
+  keyBundle: {
+    type: keyBundleSchema,
+    required: true
+  },
+  // Signature by the account signing key over the device bundle, see getDeviceSignatureData.
+  // Contacts only encrypt for devices the account endorsed, so the server cannot add its own.
+  accountSignature: {
+    type: String,
+    default: null
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+deviceSchema.index({ userId: 1, deviceId: 1 }, { unique: true });
+
+module.exports = mongoose.model('Device', deviceSchema);
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// Linking codes are shown on screen, so requests only live long enough to be scanned and approved
+const DEVICE_LINK_TTL_MS = 10 * 60 * 1000;
+
+// A new device asking one of the account's existing devices for its identity keys. The server
+// only relays the request key and the encrypted transfer; it never sees the keys themselves.
+const deviceLinkSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  requestingDeviceId: {
+    type: String,
+    required: true
+  },
+  // Base64 raw ephemeral ECDH key of the new device, also shown in its linking code
+  publicKey: {
+    type: String,
+    required: true
+  },
+  // Identity transfer encrypted by the approving device to the request key
+  transfer: {
+    type: new mongoose.Schema({
+      publicKey: { type: String, required: true },
+      ciphertext: { type: String, required: true },
+      iv: { type: String, required: true },
+      authTag: { type: String, required: true }
+    }, { _id: false }),
+    default: null
+  },
+  approvingDeviceId: {
+    type: String,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved'],
+    default: 'pending'
+  },
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + DEVICE_LINK_TTL_MS)
+  }
+}, {
+  timestamps: true
+});
+
+// Let MongoDB purge expired requests automatically
+deviceLinkSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('DeviceLink', deviceLinkSchema);
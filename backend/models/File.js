@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+
+// Only ciphertext and opaque client-encrypted metadata are ever stored
+const chunkSchema = new mongoose.Schema({
+  chunkIndex: {
+    type: Number,
+    required: true
+  },
+  iv: {
+    type: String,
+    required: true
+  },
+  authTag: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true
+  }
+}, { _id: false });
+
+const shareSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  encryptedMetadata: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  sharedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const fileSchema = new mongoose.Schema({
+  fileId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  uploaderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  encryptedMetadata: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  totalChunks: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  chunks: {
+    type: [chunkSchema],
+    default: []
+  },
+  size: {
+    type: Number,
+    default: 0
+  },
+  // Chunks whose ciphertext is in storage; chunks are listed once claimed, before it is written
+  storedChunks: {
+    type: Number,
+    default: 0
+  },
+  storage: {
+    type: String,
+    enum: ['local', 'gridfs'],
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['uploading', 'complete'],
+    default: 'uploading'
+  },
+  sharedWith: {
+    type: [shareSchema],
+    default: []
+  }
+}, {
+  timestamps: true
+});
+
+fileSchema.index({ 'sharedWith.userId': 1 });
+
+module.exports = mongoose.model('File', fileSchema);
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// Group conversation. Members encrypt for the group with sender keys the server never sees;
+// the epoch goes up on every membership change so members know to replace theirs.
+const groupSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    minlength: 1,
+    maxlength: 100
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  members: {
+    type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+    default: []
+  },
+  // Admins are always members too
+  admins: {
+    type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+    default: []
+  },
+  epoch: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, {
+  timestamps: true
+});
+
+groupSchema.index({ members: 1 });
+
+// Fellow members need pairwise sessions to hand each other sender keys, contacts or not
+groupSchema.statics.haveSharedGroup = function(userId, otherUserId) {
+  return this.exists({ members: { $all: [userId, otherUserId] } });
+};
+
+module.exports = mongoose.model('Group', groupSchema);
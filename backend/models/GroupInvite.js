@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// Invite link for a group. Anyone holding the link can join until it expires or admins revoke
+// their group's links; only a hash of the token is stored.
+const groupInviteSchema = new mongoose.Schema({
+  groupId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group',
+    required: true,
+    index: true
+  },
+  // SHA-256 of the random token in the link
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Let MongoDB purge expired links automatically
+groupInviteSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('GroupInvite', groupInviteSchema);
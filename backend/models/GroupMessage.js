@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+
+// A group message is encrypted once, with the message key at step `iteration` of the sender's
+// sender key `keyId`, and the same ciphertext goes to every member
+// System messages record a membership change in the clear, signed by the member who made it
+const isText = function() {
+  return this.messageType === 'text';
+};
+
+const groupMessageSchema = new mongoose.Schema({
+  groupId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group',
+    required: true
+  },
+  senderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  senderDeviceId: {
+    type: String,
+    default: null
+  },
+  // Group epoch the sender key belongs to, or for system messages the epoch after the change
+  epoch: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  keyId: {
+    type: String,
+    required: isText
+  },
+  iteration: {
+    type: Number,
+    required: isText,
+    min: 0
+  },
+  encryptedContent: {
+    type: String,
+    required: isText
+  },
+  iv: {
+    type: String,
+    required: isText
+  },
+  authTag: {
+    type: String,
+    required: isText
+  },
+  nonce: {
+    type: String,
+    required: isText
+  },
+  timestamp: {
+    type: Date,
+    required: true
+  },
+  signature: {
+    type: String,
+    required: true
+  },
+  messageType: {
+    type: String,
+    enum: ['text', 'system'],
+    default: 'text'
+  },
+  event: {
+    type: new mongoose.Schema({
+      type: {
+        type: String,
+        enum: [
+          'created',
+          'renamed',
+          'member_added',
+          'member_removed',
+          'member_left',
+          'member_joined',
+          'admin_promoted',
+          'admin_demoted'
+        ],
+        required: true
+      },
+      // Members the change applies to; the sender is the member who made it
+      targetIds: {
+        type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+        default: []
+      },
+      name: {
+        type: String,
+        default: null
+      }
+    }, { _id: false }),
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+groupMessageSchema.index({ groupId: 1, timestamp: -1 });
+// Replayed membership changes are spotted by their signature
+groupMessageSchema.index({ signature: 1 });
+
+module.exports = mongoose.model('GroupMessage', groupMessageSchema);
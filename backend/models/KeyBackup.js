@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// An account's key material, encrypted on the client with a key derived from a recovery code the
+// server never sees. One backup per account; uploading again replaces it.
+const keyBackupSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  version: {
+    type: Number,
+    required: true
+  },
+  // Parameters the client needs to derive the backup key from the recovery code again
+  kdf: {
+    type: new mongoose.Schema({
+      algorithm: { type: String, required: true },
+      iterations: { type: Number, required: true },
+      salt: { type: String, required: true }
+    }, { _id: false }),
+    required: true
+  },
+  ciphertext: {
+    type: String,
+    required: true
+  },
+  iv: {
+    type: String,
+    required: true
+  },
+  authTag: {
+    type: String,
+    required: true
+  },
+  // Downloads in the current rate limit window, see GET /api/backup
+  retrievalWindowStart: {
+    type: Date,
+    default: null
+  },
+  retrievalCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('KeyBackup', keyBackupSchema);
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// Pending exchanges expire after 24 hours so offline peers can still pick them up
+const KEY_EXCHANGE_TTL_MS = 24 * 60 * 60 * 1000;
+
+const keyExchangeSchema = new mongoose.Schema({
+  initiatorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Signed protocol messages are relayed verbatim; the server never inspects key material
+  helloMessage: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  responseMessage: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  confirmationMessage: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  // abandoned: a party lost its in-memory exchange state, e.g. on reload, and will start over
+  status: {
+    type: String,
+    enum: ['pending', 'responded', 'completed', 'abandoned'],
+    default: 'pending'
+  },
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + KEY_EXCHANGE_TTL_MS)
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  // Set once the target processed the confirmation; until then it is listed as pending
+  confirmationDeliveredAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Let MongoDB purge expired exchanges automatically
+keyExchangeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+keyExchangeSchema.index({ targetId: 1, status: 1 });
+keyExchangeSchema.index({ initiatorId: 1, status: 1 });
+
+module.exports = mongoose.model('KeyExchange', keyExchangeSchema);
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// One published key bundle in a user's key transparency log. Each entry commits to the hash of
+// the entry before it, so rewriting or dropping a past key change alters every later hash and
+// contacts holding an older head notice.
+const keyLogEntrySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // 1 for the bundle published at registration, then one per key or device change
+  sequence: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // Set for device bundles; account bundle entries leave it null
+  deviceId: {
+    type: String,
+    default: null
+  },
+  keyBundleHash: {
+    type: String,
+    required: true
+  },
+  previousHash: {
+    type: String,
+    required: true
+  },
+  hash: {
+    type: String,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    required: true
+  }
+});
+
+// Two writers appending the same sequence number cannot both succeed
+keyLogEntrySchema.index({ userId: 1, sequence: 1 }, { unique: true });
+
+// The log is append-only
+keyLogEntrySchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete'], function() {
+  throw new Error('Key log entries cannot be modified');
+});
+
+module.exports = mongoose.model('KeyLogEntry', keyLogEntrySchema);
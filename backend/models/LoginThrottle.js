@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// Failed sign-in attempts counted for one client address ('ip:<address>') or one account
+// ('account:<user id>'). The record expires a day after its last failure, which resets the count.
+const loginThrottleSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  failures: {
+    type: Number,
+    default: 0
+  },
+  // Exponential backoff: no password is checked for this key before then
+  blockedUntil: {
+    type: Date,
+    default: null
+  },
+  // Account lockout, which also stops second-factor and passkey logins
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+// Let MongoDB forget keys that stopped failing
+loginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('LoginThrottle', loginThrottleSchema);
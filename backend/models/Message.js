@@ -1,5 +1,38 @@
 const mongoose = require('mongoose');
 
+// Double Ratchet header: sender's current ratchet public key, previous chain length and message index
+const ratchetHeaderSchema = new mongoose.Schema({
+  dh: { type: String, required: true },
+  pn: { type: Number, required: true, min: 0 },
+  n: { type: Number, required: true, min: 0 }
+}, { _id: false });
+
+// X3DH initial header sent until the receiver replies, so an offline receiver can derive the session
+const x3dhHeaderSchema = new mongoose.Schema({
+  identityKey: { type: String, required: true },
+  ephemeralKey: { type: String, required: true },
+  signedPreKeyId: { type: Number, required: true, min: 0 },
+  oneTimePreKeyId: { type: Number, default: null, min: 0 }
+}, { _id: false });
+
+// The copy of a message encrypted for one of the receiver's devices
+const deviceCiphertextSchema = new mongoose.Schema({
+  deviceId: { type: String, required: true },
+  encryptedContent: { type: String, required: true },
+  iv: { type: String, required: true },
+  authTag: { type: String, required: true },
+  nonce: { type: String, required: true },
+  timestamp: { type: Date, required: true },
+  signature: { type: String, required: true },
+  ratchetHeader: { type: ratchetHeaderSchema, default: null },
+  x3dhHeader: { type: x3dhHeaderSchema, default: null }
+}, { _id: false });
+
+// Messages to receivers without registered devices carry a single ciphertext at the top level
+function isSingleCiphertext() {
+  return this.recipients.length === 0;
+}
+
 const messageSchema = new mongoose.Schema({
   senderId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -11,21 +44,26 @@ const messageSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  // Device the message was sent from; null for clients without a device ID
+  senderDeviceId: {
+    type: String,
+    default: null
+  },
   encryptedContent: {
     type: String,
-    required: true
+    required: isSingleCiphertext
   },
   iv: {
     type: String,
-    required: true
+    required: isSingleCiphertext
   },
   authTag: {
     type: String,
-    required: true
+    required: isSingleCiphertext
   },
   nonce: {
     type: String,
-    required: true
+    required: isSingleCiphertext
   },
   timestamp: {
     type: Date,
@@ -33,16 +71,49 @@ const messageSchema = new mongoose.Schema({
   },
   signature: {
     type: String,
-    required: true
+    required: isSingleCiphertext
   },
   messageType: {
     type: String,
-    enum: ['text', 'file'],
+    enum: ['text', 'file', 'sender_key'],
     default: 'text'
   },
+  ratchetHeader: {
+    type: ratchetHeaderSchema,
+    default: null
+  },
+  x3dhHeader: {
+    type: x3dhHeaderSchema,
+    default: null
+  },
+  // One ciphertext per receiver device, each delivered only to its device
+  recipients: {
+    type: [deviceCiphertextSchema],
+    default: []
+  },
+  // Set for file messages; the key and filename travel inside the encrypted content
+  fileId: {
+    type: String,
+    default: null
+  },
+  // Set for sender key messages, which hand the sender's chain key for this group to one member
+  groupId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group',
+    default: null
+  },
   sequenceNumber: {
     type: Number,
     required: true
+  },
+  // Delivery state: set once the receiver's client has the ciphertext, then once it is read
+  deliveredAt: {
+    type: Date,
+    default: null
+  },
+  readAt: {
+    type: Date,
+    default: null
   }
 }, {
   timestamps: true
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// X3DH prekeys published by a user so contacts can start a session while they are offline.
+// Only public keys are stored; the private halves never leave the owner's device.
+const preKeyBundleSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Device the prekeys belong to; null for bundles published before multi-device support
+  deviceId: {
+    type: String,
+    default: null
+  },
+  // Base64 raw P-256 keys: ECDH identity key and the ECDSA key that signs the signed prekey
+  identityKey: {
+    type: String,
+    required: true
+  },
+  signingKey: {
+    type: String,
+    required: true
+  },
+  signedPreKey: {
+    type: new mongoose.Schema({
+      keyId: { type: Number, required: true, min: 0 },
+      publicKey: { type: String, required: true },
+      signature: { type: String, required: true }
+    }, { _id: false }),
+    required: true
+  },
+  // Each one-time prekey is handed out once and removed when claimed
+  oneTimePreKeys: [{
+    _id: false,
+    keyId: { type: Number, required: true, min: 0 },
+    publicKey: { type: String, required: true }
+  }]
+}, {
+  timestamps: true
+});
+
+// One bundle per device
+preKeyBundleSchema.index({ userId: 1, deviceId: 1 }, { unique: true });
+
+module.exports = mongoose.model('PreKeyBundle', preKeyBundleSchema);
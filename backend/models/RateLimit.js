@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// Requests counted for one key, such as 'search:<user id>', in a fixed window. The record expires
+// when its window does, so the next request starts a new one.
+const rateLimitSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  resetAt: {
+    type: Date,
+    required: true
+  }
+});
+
+rateLimitSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RateLimit', rateLimitSchema);
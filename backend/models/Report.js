@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+// A user reporting another for review. The server cannot read messages, so evidence is the
+// plaintext the reporter chose to share, signed by the reporter, next to the server's record of
+// when each message was sent.
+const reportSchema = new mongoose.Schema({
+  reporterId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reporterDeviceId: {
+    type: String,
+    default: null
+  },
+  reportedUserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  reason: {
+    type: String,
+    enum: ['spam', 'harassment', 'impersonation', 'other'],
+    required: true
+  },
+  details: {
+    type: String,
+    default: ''
+  },
+  evidence: [{
+    _id: false,
+    messageId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Message',
+      required: true
+    },
+    // Decrypted text as the reporter's client showed it
+    content: {
+      type: String,
+      required: true
+    },
+    // From the stored message, not the client
+    sentAt: {
+      type: Date,
+      required: true
+    }
+  }],
+  // Reporter's signature over the report, see getReportSignatureData
+  timestamp: {
+    type: Date,
+    required: true
+  },
+  signature: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['open', 'reviewed'],
+    default: 'open'
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Report', reportSchema);
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// A signed-in client. Access tokens name the session they belong to, so revoking it ends them
+// before they expire; the refresh token is rotated on every use and only its hash is stored.
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // SHA-256 of the secret part of the current refresh token
+  refreshTokenHash: {
+    type: String,
+    required: true
+  },
+  userAgent: {
+    type: String,
+    default: null
+  },
+  // Device the client registered from this session; revoking the device revokes the session
+  deviceId: {
+    type: String,
+    default: null
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout-all', 'password-change', 'password-reset', 'refresh-token-reuse', 'device-revoked', null],
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Let MongoDB purge expired sessions automatically
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+sessionSchema.index({ userId: 1, deviceId: 1 });
+
+module.exports = mongoose.model('Session', sessionSchema);
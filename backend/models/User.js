@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcrypt');
+const keyBundleSchema = require('./keyBundleSchema');
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -15,6 +16,7 @@ const userSchema = new mongoose.Schema({
     required: true,
     unique: true,
     trim: true,
+    lowercase: true,
     match: [/^[\w-]+(\.[\w-]+)*@([\w-]+\.)+[a-zA-Z]{2,7}$/, 'Please enter a valid email address.']
   },
   password: {
@@ -22,14 +24,59 @@ const userSchema = new mongoose.Schema({
     required: true,
     minlength: 6
   },
-  publicKey: {
-    type: String,
-    required: true
+  keyBundle: {
+    type: keyBundleSchema,
+    default: null
+  },
+  // Whether other users can find this account by searching for its exact email address
+  discoverableByEmail: {
+    type: Boolean,
+    default: false
   },
+  // HMAC of the emailed OTP, see utils/otp; the code itself is never stored
   otp: {
     type: String,
     default: null
   },
+  // Codes tried against the current OTP, which stops working after a few
+  otpAttempts: {
+    type: Number,
+    default: 0
+  },
+  // Authenticator app second factor. The secret has to be kept readable to check codes; backup
+  // codes are stored as SHA-256 hashes and removed when used
+  totp: {
+    enabled: { type: Boolean, default: false },
+    secret: { type: String, default: null },
+    // Secret shown during setup, active once a code from it was verified
+    pendingSecret: { type: String, default: null },
+    // Time step of the last accepted code, so a code cannot be used twice
+    lastUsedStep: { type: Number, default: null },
+    backupCodes: { type: [String], default: [] }
+  },
+  // Issued after the password check when an authenticator app is set up, so its codes are only
+  // accepted together with the password
+  loginChallenge: {
+    type: String,
+    default: null
+  },
+  loginChallengeExpires: {
+    type: Date,
+    default: null
+  },
+  loginChallengeAttempts: {
+    type: Number,
+    default: 0
+  },
+  // SHA-256 of the emailed reset token; the token itself is never stored
+  passwordResetToken: {
+    type: String,
+    default: null
+  },
+  passwordResetExpires: {
+    type: Date,
+    default: null
+  },
   otpExpires: {
     type: Date,
     default: null
@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// Challenge handed to the browser for a WebAuthn ceremony. It is deleted when the response comes
+// back, so every signed challenge is accepted at most once.
+const webAuthnChallengeSchema = new mongoose.Schema({
+  challenge: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  purpose: {
+    type: String,
+    enum: ['registration', 'second-factor', 'passwordless'],
+    required: true
+  },
+  // Unset for passwordless logins, where the account is only known from the passkey used
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+// Let MongoDB purge unanswered challenges automatically
+webAuthnChallengeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('WebAuthnChallenge', webAuthnChallengeSchema);
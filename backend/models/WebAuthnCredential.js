@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// A passkey registered to an account. Only the public key is stored; the signature counter lets
+// authenticators that keep one reveal a cloned credential.
+const webAuthnCredentialSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // Base64url credential ID chosen by the authenticator
+  credentialId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // COSE-encoded public key
+  publicKey: {
+    type: Buffer,
+    required: true
+  },
+  counter: {
+    type: Number,
+    default: 0
+  },
+  transports: {
+    type: [String],
+    default: []
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: 100,
+    default: 'Passkey'
+  },
+  // Synced passkeys (e.g. in a password manager) can be used on more than one device
+  backedUp: {
+    type: Boolean,
+    default: false
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('WebAuthnCredential', webAuthnCredentialSchema);
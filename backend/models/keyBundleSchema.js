@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+// One typed public key; EC keys are base64 raw points, RSA keys base64 SPKI
+const bundleKeySchema = new mongoose.Schema({
+  keyId: { type: String, required: true },
+  algorithm: { type: String, enum: ['ECDH', 'ECDSA', 'RSA-OAEP'], required: true },
+  publicKey: { type: String, required: true },
+  createdAt: { type: Date, required: true }
+}, { _id: false });
+
+// Signed key bundle shared by User (the account bundle) and Device (one per device)
+const keyBundleSchema = new mongoose.Schema({
+  identityKey: { type: bundleKeySchema, required: true },
+  signingKey: { type: bundleKeySchema, required: true },
+  encryptionKey: { type: bundleKeySchema, required: true },
+  // ECDSA self-signature by signingKey, see utils/keyBundle
+  signature: { type: String, required: true },
+  updatedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+module.exports = keyBundleSchema;
@@ -1,6 +1,28 @@
 const express = require('express');
 const router = express.Router();
-const { register, login, verifyOtp } = require('../controllers/authController');
+const { authenticateToken } = require('../middleware/auth');
+const {
+  register,
+  login,
+  verifyOtp,
+  requestPasswordChangeOtp,
+  changePassword,
+  forgotPassword,
+  resetPassword,
+  refresh,
+  logout,
+  logoutAll,
+  getTotpStatus,
+  setupTotp,
+  enableTotp,
+  disableTotp,
+  getPasskeyRegistrationOptions,
+  registerPasskey,
+  getPasskeys,
+  deletePasskey,
+  getPasskeyLoginOptions,
+  verifyPasskeyLogin
+} = require('../controllers/authController');
 
 /**
  * @swagger
@@ -18,7 +40,7 @@ const { register, login, verifyOtp } = require('../controllers/authController');
  *               - username
  *               - email
  *               - password
- *               - publicKey
+ *               - keyBundle
  *             properties:
  *               username:
  *                 type: string
@@ -30,9 +52,8 @@ const { register, login, verifyOtp } = require('../controllers/authController');
  *               password:
  *                 type: string
  *                 minLength: 6
- *               publicKey:
- *                 type: string
- *                 description: JSON string containing ECC and signing public keys
+ *               keyBundle:
+ *                 $ref: '#/components/schemas/KeyBundle'
  *     responses:
  *       201:
  *         description: User registered successfully
@@ -45,6 +66,8 @@ const { register, login, verifyOtp } = require('../controllers/authController');
  *                   type: boolean
  *                 token:
  *                   type: string
+ *                 refreshToken:
+ *                   type: string
  *                 user:
  *                   type: object
  *                   properties:
@@ -54,10 +77,10 @@ const { register, login, verifyOtp } = require('../controllers/authController');
  *                       type: string
  *                     email:
  *                       type: string
- *                     publicKey:
- *                       type: string
+ *                     keyBundle:
+ *                       $ref: '#/components/schemas/KeyBundle'
  *       400:
- *         description: Invalid input or user already exists
+ *         description: Invalid input, invalid key bundle or user already exists
  *       500:
  *         description: Server error
  */
@@ -85,25 +108,29 @@ router.post('/register', register);
  *                 type: string
  *     responses:
  *       200:
- *         description: Login successful
+ *         description: >
+ *           Password accepted. Accounts with an authenticator app or a passkey get a login challenge
+ *           to send with the second factor; accounts without an authenticator app are emailed an OTP.
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
- *                 token:
+ *                 message:
+ *                   type: string
+ *                 methods:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                     enum: [email, totp, backup_code, webauthn]
+ *                 loginChallenge:
  *                   type: string
- *                 user:
- *                   type: object
- *                   properties:
- *                     id:
- *                       type: string
- *                     username:
- *                       type: string
- *                     email:
- *                       type: string
  *       401:
  *         description: Invalid credentials
+ *       429:
+ *         description: >
+ *           Too many failed attempts from this address or on this account, which back off
+ *           exponentially and lock the account after 10; see the Retry-After header
  *       500:
  *         description: Server error
  */
@@ -129,6 +156,14 @@ router.post('/login', login);
  *                 type: string
  *               otp:
  *                 type: string
+ *                 description: Emailed OTP, authenticator app code or backup code
+ *               method:
+ *                 type: string
+ *                 enum: [email, totp, backup_code]
+ *                 default: email
+ *               loginChallenge:
+ *                 type: string
+ *                 description: From the login response, required for totp and backup_code
  *     responses:
  *       200:
  *         description: OTP verified, login successful
@@ -139,6 +174,8 @@ router.post('/login', login);
  *               properties:
  *                 token:
  *                   type: string
+ *                 refreshToken:
+ *                   type: string
  *                 user:
  *                   type: object
  *                   properties:
@@ -148,11 +185,643 @@ router.post('/login', login);
  *                       type: string
  *                     email:
  *                       type: string
+ *       400:
+ *         description: Missing fields or unsupported method
  *       401:
- *         description: Invalid or expired OTP
+ *         description: >
+ *           Invalid or expired OTP, or a method the account does not use. An emailed OTP stops
+ *           working after 5 wrong codes.
+ *       429:
+ *         description: Too many failed attempts from this address, or the account is locked; see the Retry-After header
  *       500:
  *         description: Server error
  */
 router.post('/verify-otp', verifyOtp);
 
+/**
+ * @swagger
+ * /api/auth/change-password/otp:
+ *   post:
+ *     summary: Email an OTP for confirming a password change
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: OTP sent
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.post('/change-password/otp', authenticateToken, requestPasswordChangeOtp);
+
+/**
+ * @swagger
+ * /api/auth/change-password:
+ *   post:
+ *     summary: Change the password
+ *     description: >
+ *       Requires the current password and an OTP from POST /api/auth/change-password/otp. Every
+ *       other session is revoked and its open sockets are disconnected; the current session stays
+ *       signed in. Clients must re-encrypt their stored private keys with the new password themselves.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - currentPassword
+ *               - newPassword
+ *               - otp
+ *             properties:
+ *               currentPassword:
+ *                 type: string
+ *               newPassword:
+ *                 type: string
+ *                 minLength: 6
+ *               otp:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Password changed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *       400:
+ *         description: Missing fields, weak password or unchanged password
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Wrong current password, or invalid or expired OTP
+ *       429:
+ *         description: Too many failed attempts on this account; see the Retry-After header
+ *       500:
+ *         description: Server error
+ */
+router.post('/change-password', authenticateToken, changePassword);
+
+/**
+ * @swagger
+ * /api/auth/forgot-password:
+ *   post:
+ *     summary: Email a password reset link
+ *     description: >
+ *       Sends a single-use reset link that expires after 1 hour. Only a hash of the token is
+ *       stored. The response does not reveal whether an account exists for the email.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *     responses:
+ *       200:
+ *         description: Reset link sent if the account exists
+ *       400:
+ *         description: Missing email
+ *       429:
+ *         description: Too many reset requests from this client or for this email; see the Retry-After header
+ *       500:
+ *         description: Server error
+ */
+router.post('/forgot-password', forgotPassword);
+
+/**
+ * @swagger
+ * /api/auth/reset-password:
+ *   post:
+ *     summary: Set a new password with a reset token
+ *     description: >
+ *       Consumes the token, revokes every session, removes every passkey and disconnects open
+ *       sockets. Private keys stored under the old password cannot be decrypted anymore; clients
+ *       restore them from a key backup or publish a new key bundle.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - newPassword
+ *             properties:
+ *               token:
+ *                 type: string
+ *               newPassword:
+ *                 type: string
+ *                 minLength: 6
+ *     responses:
+ *       200:
+ *         description: Password reset
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 email:
+ *                   type: string
+ *       400:
+ *         description: Missing fields, weak password, or invalid or expired token
+ *       500:
+ *         description: Server error
+ */
+router.post('/reset-password', resetPassword);
+
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for a new access token
+ *     description: >
+ *       Access tokens expire after 15 minutes. Every refresh rotates the refresh token; presenting
+ *       one that was already rotated revokes the whole session, since the token must have been copied.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New access and refresh token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 token:
+ *                   type: string
+ *                 refreshToken:
+ *                   type: string
+ *       400:
+ *         description: Missing or malformed refresh token
+ *       401:
+ *         description: Expired, revoked or reused refresh token
+ *       500:
+ *         description: Server error
+ */
+router.post('/refresh', refresh);
+
+/**
+ * @swagger
+ * /api/auth/logout:
+ *   post:
+ *     summary: Log out the current session
+ *     description: Revokes the session, so its access and refresh tokens stop working right away.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.post('/logout', authenticateToken, logout);
+
+/**
+ * @swagger
+ * /api/auth/logout-all:
+ *   post:
+ *     summary: Log out every session of the account, including the current one
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Sessions revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 revokedSessions:
+ *                   type: integer
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.post('/logout-all', authenticateToken, logoutAll);
+
+/**
+ * @swagger
+ * /api/auth/totp:
+ *   get:
+ *     summary: Get the authenticator app status
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Authenticator app status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 enabled:
+ *                   type: boolean
+ *                 backupCodesRemaining:
+ *                   type: integer
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/totp', authenticateToken, getTotpStatus);
+
+/**
+ * @swagger
+ * /api/auth/totp/setup:
+ *   post:
+ *     summary: Start setting up an authenticator app
+ *     description: >
+ *       Returns a new RFC 6238 secret and its otpauth:// URI for a QR code. The secret is only used
+ *       for logins after a code from it was confirmed with POST /api/auth/totp/enable. Needs the
+ *       current password, so an access token alone cannot enroll an authenticator.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Secret to enroll
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 secret:
+ *                   type: string
+ *                 otpauthUrl:
+ *                   type: string
+ *       400:
+ *         description: Missing password or authenticator app already enabled
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Wrong password
+ *       429:
+ *         description: Too many failed attempts on this account; see the Retry-After header
+ *       500:
+ *         description: Server error
+ */
+router.post('/totp/setup', authenticateToken, setupTotp);
+
+/**
+ * @swagger
+ * /api/auth/totp/enable:
+ *   post:
+ *     summary: Confirm the first authenticator app code and turn it on
+ *     description: >
+ *       From now on logins ask for an authenticator app code instead of an emailed OTP. Returns
+ *       10 single-use backup codes, which are not shown again.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Authenticator app enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 backupCodes:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *       400:
+ *         description: Missing code, setup not started or already enabled
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Invalid code
+ *       500:
+ *         description: Server error
+ */
+router.post('/totp/enable', authenticateToken, enableTotp);
+
+/**
+ * @swagger
+ * /api/auth/totp/disable:
+ *   post:
+ *     summary: Turn off the authenticator app and go back to emailed OTPs
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *               - code
+ *             properties:
+ *               password:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 description: Authenticator app code or backup code
+ *     responses:
+ *       200:
+ *         description: Authenticator app disabled
+ *       400:
+ *         description: Missing fields or not enabled
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Wrong password or invalid code
+ *       429:
+ *         description: Too many failed attempts on this account; see the Retry-After header
+ *       500:
+ *         description: Server error
+ */
+router.post('/totp/disable', authenticateToken, disableTotp);
+
+/**
+ * @swagger
+ * /api/auth/webauthn/register/options:
+ *   post:
+ *     summary: Get options for registering a passkey
+ *     description: >
+ *       Returns PublicKeyCredentialCreationOptions with a single-use challenge valid for 5 minutes.
+ *       Needs the current password, since a passkey can sign in without it.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Options for navigator.credentials.create()
+ *       400:
+ *         description: Missing password
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Wrong password
+ *       429:
+ *         description: Too many failed attempts on this account; see the Retry-After header
+ *       500:
+ *         description: Server error
+ */
+router.post('/webauthn/register/options', authenticateToken, getPasskeyRegistrationOptions);
+
+/**
+ * @swagger
+ * /api/auth/webauthn/register/verify:
+ *   post:
+ *     summary: Register a passkey
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - response
+ *               - password
+ *             properties:
+ *               response:
+ *                 type: object
+ *                 description: RegistrationResponseJSON from the browser
+ *               name:
+ *                 type: string
+ *                 maxLength: 100
+ *               password:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Passkey registered
+ *       400:
+ *         description: Missing password, or missing, invalid or already registered passkey
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Wrong password
+ *       429:
+ *         description: Too many failed attempts on this account; see the Retry-After header
+ *       500:
+ *         description: Server error
+ */
+router.post('/webauthn/register/verify', authenticateToken, registerPasskey);
+
+/**
+ * @swagger
+ * /api/auth/webauthn/credentials:
+ *   get:
+ *     summary: List the account's passkeys
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Registered passkeys
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 credentials:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: string
+ *                       name:
+ *                         type: string
+ *                       backedUp:
+ *                         type: boolean
+ *                       createdAt:
+ *                         type: string
+ *                         format: date-time
+ *                       lastUsedAt:
+ *                         type: string
+ *                         format: date-time
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/webauthn/credentials', authenticateToken, getPasskeys);
+
+/**
+ * @swagger
+ * /api/auth/webauthn/credentials/{id}:
+ *   delete:
+ *     summary: Remove a passkey
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Passkey removed
+ *       400:
+ *         description: Invalid passkey ID or missing password
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Wrong password
+ *       404:
+ *         description: Passkey not found
+ *       500:
+ *         description: Server error
+ */
+router.delete('/webauthn/credentials/:id', authenticateToken, deletePasskey);
+
+/**
+ * @swagger
+ * /api/auth/webauthn/login/options:
+ *   post:
+ *     summary: Get options for signing in with a passkey
+ *     description: >
+ *       With an identifier and the login challenge from POST /api/auth/login, the passkey is the second
+ *       factor and only the account's passkeys are allowed. Without them the login is passwordless:
+ *       the browser offers any passkey for this site and user verification is required.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               identifier:
+ *                 type: string
+ *               loginChallenge:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Options for navigator.credentials.get()
+ *       400:
+ *         description: The account has no passkeys
+ *       401:
+ *         description: Invalid or expired login challenge
+ *       500:
+ *         description: Server error
+ */
+router.post('/webauthn/login/options', getPasskeyLoginOptions);
+
+/**
+ * @swagger
+ * /api/auth/webauthn/login/verify:
+ *   post:
+ *     summary: Sign in with a passkey
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - response
+ *             properties:
+ *               response:
+ *                 type: object
+ *                 description: AuthenticationResponseJSON from the browser
+ *               identifier:
+ *                 type: string
+ *                 description: Set together with loginChallenge when the passkey is the second factor
+ *               loginChallenge:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Login successful, same body as POST /api/auth/verify-otp
+ *       400:
+ *         description: Missing passkey response
+ *       401:
+ *         description: Unknown passkey, invalid signature, or expired challenge
+ *       429:
+ *         description: The account is locked; see the Retry-After header
+ *       500:
+ *         description: Server error
+ */
+router.post('/webauthn/login/verify', verifyPasskeyLogin);
+
 module.exports = router;
\ No newline at end of file
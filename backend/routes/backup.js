@@ -0,0 +1,140 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const {
+  uploadBackup,
+  getBackupStatus,
+  getBackup,
+  deleteBackup
+} = require('../controllers/backupController');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     KeyBackup:
+ *       type: object
+ *       description: Key material AES-GCM encrypted with a key derived from the user's recovery code
+ *       required:
+ *         - version
+ *         - kdf
+ *         - ciphertext
+ *         - iv
+ *         - authTag
+ *       properties:
+ *         version:
+ *           type: integer
+ *           enum: [1]
+ *         kdf:
+ *           type: object
+ *           properties:
+ *             algorithm:
+ *               type: string
+ *               enum: [PBKDF2-SHA256]
+ *             iterations:
+ *               type: integer
+ *               minimum: 100000
+ *             salt:
+ *               type: string
+ *               description: Base64 salt
+ *         ciphertext:
+ *           type: string
+ *         iv:
+ *           type: string
+ *         authTag:
+ *           type: string
+ */
+
+/**
+ * @swagger
+ * /api/backup:
+ *   put:
+ *     summary: Upload or replace the encrypted key backup
+ *     description: The server stores the backup as opaque ciphertext and cannot decrypt it.
+ *     tags: [Backup]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/KeyBackup'
+ *     responses:
+ *       200:
+ *         description: Backup stored
+ *       400:
+ *         description: Unsupported version, key derivation parameters or ciphertext
+ *       401:
+ *         description: Unauthorized
+ *   get:
+ *     summary: Download the encrypted key backup
+ *     description: Limited to 5 downloads per hour, since each one allows guessing the recovery code offline.
+ *     tags: [Backup]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Encrypted backup
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/KeyBackup'
+ *                 - type: object
+ *                   properties:
+ *                     updatedAt:
+ *                       type: string
+ *                       format: date-time
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: No key backup found
+ *       429:
+ *         description: Too many downloads; see the Retry-After header
+ *   delete:
+ *     summary: Delete the encrypted key backup
+ *     tags: [Backup]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Backup deleted
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: No key backup found
+ */
+router.put('/', authenticateToken, uploadBackup);
+router.get('/', authenticateToken, getBackup);
+router.delete('/', authenticateToken, deleteBackup);
+
+/**
+ * @swagger
+ * /api/backup/status:
+ *   get:
+ *     summary: Check whether a key backup exists, without downloading it
+ *     tags: [Backup]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Backup status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 exists:
+ *                   type: boolean
+ *                 updatedAt:
+ *                   type: string
+ *                   format: date-time
+ *                   nullable: true
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/status', authenticateToken, getBackupStatus);
+
+module.exports = router;
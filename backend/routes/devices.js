@@ -0,0 +1,384 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const {
+  registerDevice,
+  getDevices,
+  endorseDevice,
+  revokeDevice,
+  createDeviceLink,
+  getDeviceLink,
+  approveDeviceLink,
+  deleteDeviceLink
+} = require('../controllers/deviceController');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     DeviceIdHeader:
+ *       in: header
+ *       name: X-Device-Id
+ *       schema:
+ *         type: string
+ *       description: >
+ *         Device the client acts for, as registered with PUT /api/devices/{deviceId}. A session that
+ *         registered a device gets 403 for any other device ID.
+ *   schemas:
+ *     Device:
+ *       type: object
+ *       properties:
+ *         deviceId:
+ *           type: string
+ *         name:
+ *           type: string
+ *         keyBundle:
+ *           $ref: '#/components/schemas/KeyBundle'
+ *         accountSignature:
+ *           type: string
+ *           nullable: true
+ *           description: >
+ *             Base64 ECDSA signature by the account signing key over the JSON array
+ *             [userId, deviceId, ...[algorithm, keyId, publicKey, createdAt ms] per key, bundle signature].
+ *             Null until the account endorsed the device.
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         lastSeenAt:
+ *           type: string
+ *           format: date-time
+ *         current:
+ *           type: boolean
+ *           description: Whether this is the device named in the X-Device-Id header
+ *     DeviceLinkTransfer:
+ *       type: object
+ *       description: Identity keys and verification state, AES-GCM encrypted to the link public key
+ *       required:
+ *         - publicKey
+ *         - ciphertext
+ *         - iv
+ *         - authTag
+ *       properties:
+ *         publicKey:
+ *           type: string
+ *           description: Base64 raw P-384 ephemeral key of the approving device
+ *         ciphertext:
+ *           type: string
+ *         iv:
+ *           type: string
+ *         authTag:
+ *           type: string
+ *     DeviceLink:
+ *       type: object
+ *       properties:
+ *         linkId:
+ *           type: string
+ *         requestingDeviceId:
+ *           type: string
+ *         publicKey:
+ *           type: string
+ *           description: Base64 raw P-384 ephemeral key of the new device
+ *         status:
+ *           type: string
+ *           enum: [pending, approved]
+ *         approvingDeviceId:
+ *           type: string
+ *           nullable: true
+ *         transfer:
+ *           allOf:
+ *             - $ref: '#/components/schemas/DeviceLinkTransfer'
+ *           nullable: true
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/devices:
+ *   get:
+ *     summary: List the current user's devices
+ *     tags: [Devices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/DeviceIdHeader'
+ *     responses:
+ *       200:
+ *         description: Devices signed in to the account, oldest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 devices:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Device'
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/', authenticateToken, getDevices);
+
+/**
+ * @swagger
+ * /api/devices/links:
+ *   post:
+ *     summary: Ask an existing device to transfer its identity keys to this one
+ *     description: >
+ *       The new device shows the returned link ID and its public key as a linking code. The request
+ *       expires after 10 minutes.
+ *     tags: [Devices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/DeviceIdHeader'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - publicKey
+ *             properties:
+ *               publicKey:
+ *                 type: string
+ *                 description: Base64 raw P-384 ephemeral ECDH public key
+ *     responses:
+ *       201:
+ *         description: Link request created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/DeviceLink'
+ *       400:
+ *         description: Missing device ID header or invalid public key
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/links', authenticateToken, createDeviceLink);
+
+/**
+ * @swagger
+ * /api/devices/links/{linkId}:
+ *   get:
+ *     summary: Get a link request, including the encrypted transfer once approved
+ *     tags: [Devices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: linkId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Link request
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/DeviceLink'
+ *       400:
+ *         description: Invalid link ID
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Device link not found or expired
+ *   delete:
+ *     summary: Remove a link request once its transfer was imported, or to cancel it
+ *     tags: [Devices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: linkId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Link request removed
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Device link not found or expired
+ */
+router.get('/links/:linkId', authenticateToken, getDeviceLink);
+router.delete('/links/:linkId', authenticateToken, deleteDeviceLink);
+
+/**
+ * @swagger
+ * /api/devices/links/{linkId}/approve:
+ *   post:
+ *     summary: Approve a link request with the encrypted identity transfer
+ *     description: Must be sent by another registered device of the same account.
+ *     tags: [Devices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/DeviceIdHeader'
+ *       - in: path
+ *         name: linkId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/DeviceLinkTransfer'
+ *     responses:
+ *       200:
+ *         description: Link approved
+ *       400:
+ *         description: Missing transfer, or the device approved its own link
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: The approving device is not registered
+ *       404:
+ *         description: Device link not found or expired
+ *       409:
+ *         description: Device link is already approved
+ */
+router.post('/links/:linkId/approve', authenticateToken, approveDeviceLink);
+
+/**
+ * @swagger
+ * /api/devices/{deviceId}:
+ *   put:
+ *     summary: Register a device or refresh its key bundle
+ *     description: >
+ *       Called by each device at login with the key bundle for its own identity keys. The
+ *       registering session is bound to the device. While that session is active, no other
+ *       session may publish different keys for the device. Publishing different identity or
+ *       signing keys for a device drops its prekeys. A device holding the account identity keys
+ *       endorses its own bundle with `accountSignature`; others stay pending until endorsed.
+ *       Endorsed bundles are appended to the account's key log.
+ *     tags: [Devices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: deviceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[A-Za-z0-9_-]{8,64}$'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - keyBundle
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 100
+ *                 description: Label shown in the device list, e.g. the browser name
+ *               keyBundle:
+ *                 $ref: '#/components/schemas/KeyBundle'
+ *               accountSignature:
+ *                 type: string
+ *                 description: Endorsement of the bundle by the account signing key
+ *     responses:
+ *       200:
+ *         description: Device registered
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 device:
+ *                   $ref: '#/components/schemas/Device'
+ *       400:
+ *         description: Invalid device ID, name or key bundle
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Invalid account signature, or the device is registered to another session
+ *   delete:
+ *     summary: Revoke a device
+ *     description: >
+ *       Removes the device and its prekeys, revokes the sessions it registered from and
+ *       disconnects its sockets. An endorsed device is logged as revoked in the key log. Senders
+ *       stop encrypting messages for it once they refresh the device list.
+ *     tags: [Devices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: deviceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Device revoked
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Device not found
+ */
+router.put('/:deviceId', authenticateToken, registerDevice);
+router.delete('/:deviceId', authenticateToken, revokeDevice);
+
+/**
+ * @swagger
+ * /api/devices/{deviceId}/endorsement:
+ *   put:
+ *     summary: Endorse another device with the account signing key
+ *     description: >
+ *       Sent by a device holding the account identity keys to approve a device that has its own.
+ *       Contacts only encrypt for endorsed devices. The bundle is appended to the key log.
+ *     tags: [Devices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: deviceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - accountSignature
+ *             properties:
+ *               accountSignature:
+ *                 type: string
+ *                 description: Signature by the account signing key over the device's stored bundle
+ *     responses:
+ *       200:
+ *         description: Device endorsed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 device:
+ *                   $ref: '#/components/schemas/Device'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Invalid account signature
+ *       404:
+ *         description: Device not found
+ */
+router.put('/:deviceId/endorsement', authenticateToken, endorseDevice);
+
+module.exports = router;
@@ -0,0 +1,194 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const { uploadFile, downloadFile, shareFile } = require('../controllers/fileController');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/files/upload:
+ *   post:
+ *     summary: Upload encrypted file chunks
+ *     description: >
+ *       Chunks may be sent in several requests with the same fileId. The first request creates the
+ *       file and must carry the chunk count and the client-encrypted metadata; the server never
+ *       receives the filename, type or plaintext.
+ *     tags: [Files]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - fileId
+ *               - chunks
+ *             properties:
+ *               fileId:
+ *                 type: string
+ *                 description: Client-generated file identifier
+ *               chunks:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     chunkIndex:
+ *                       type: integer
+ *                     ciphertext:
+ *                       type: string
+ *                       description: Base64 encoded AES-GCM ciphertext
+ *                     iv:
+ *                       type: string
+ *                     authTag:
+ *                       type: string
+ *               metadata:
+ *                 type: object
+ *                 properties:
+ *                   totalChunks:
+ *                     type: integer
+ *                   encryptedMetadata:
+ *                     type: object
+ *                     properties:
+ *                       ciphertext:
+ *                         type: string
+ *                       iv:
+ *                         type: string
+ *                       authTag:
+ *                         type: string
+ *     responses:
+ *       201:
+ *         description: Chunks stored
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 fileId:
+ *                   type: string
+ *                 status:
+ *                   type: string
+ *                   enum: [uploading, complete]
+ *                 receivedChunks:
+ *                   type: integer
+ *                 totalChunks:
+ *                   type: integer
+ *                 downloadUrl:
+ *                   type: string
+ *                 uploadedAt:
+ *                   type: string
+ *                   format: date-time
+ *       400:
+ *         description: Missing or invalid fields
+ *       401:
+ *         description: Unauthorized
+ *       409:
+ *         description: File ID in use, upload complete or chunk already uploaded
+ *       413:
+ *         description: Chunk too large
+ *       500:
+ *         description: Server error
+ */
+router.post('/upload', authenticateToken, uploadFile);
+
+/**
+ * @swagger
+ * /api/files/share:
+ *   post:
+ *     summary: Grant a contact access to an uploaded file
+ *     tags: [Files]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - fileId
+ *               - userId
+ *               - encryptedMetadata
+ *             properties:
+ *               fileId:
+ *                 type: string
+ *               userId:
+ *                 type: string
+ *                 description: The contact's user ID
+ *               encryptedMetadata:
+ *                 type: object
+ *                 description: File metadata and key encrypted for this contact
+ *     responses:
+ *       200:
+ *         description: File shared successfully
+ *       400:
+ *         description: Missing or invalid fields
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: File or contact not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/share', authenticateToken, shareFile);
+
+/**
+ * @swagger
+ * /api/files/{fileId}:
+ *   get:
+ *     summary: Download encrypted file chunks
+ *     tags: [Files]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: fileId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Encrypted chunks and the caller's copy of the encrypted metadata
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 fileId:
+ *                   type: string
+ *                 uploaderId:
+ *                   type: string
+ *                 totalChunks:
+ *                   type: integer
+ *                 size:
+ *                   type: integer
+ *                 encryptedMetadata:
+ *                   type: object
+ *                 chunks:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       chunkIndex:
+ *                         type: integer
+ *                       ciphertext:
+ *                         type: string
+ *                       iv:
+ *                         type: string
+ *                       authTag:
+ *                         type: string
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: File not found or not shared with the caller
+ *       409:
+ *         description: File upload is not complete
+ *       500:
+ *         description: Server error
+ */
+router.get('/:fileId', authenticateToken, downloadFile);
+
+module.exports = router;
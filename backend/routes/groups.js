@@ -0,0 +1,772 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const {
+  getGroups,
+  createGroup,
+  getGroupMessages,
+  sendGroupMessage,
+  renameGroup,
+  addGroupMember,
+  removeGroupMember,
+  leaveGroup,
+  promoteGroupAdmin,
+  demoteGroupAdmin,
+  createInviteLink,
+  revokeInviteLinks,
+  joinGroup
+} = require('../controllers/groupController');
+const { getSenderKeys } = require('../controllers/messageController');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Group:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         name:
+ *           type: string
+ *         createdBy:
+ *           type: string
+ *         members:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               id:
+ *                 type: string
+ *               username:
+ *                 type: string
+ *         admins:
+ *           type: array
+ *           items:
+ *             type: string
+ *         epoch:
+ *           type: integer
+ *           description: Bumped on every membership change; members then distribute new sender keys
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *     GroupMessage:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         groupId:
+ *           type: string
+ *         senderId:
+ *           type: string
+ *         senderDeviceId:
+ *           type: string
+ *           nullable: true
+ *         epoch:
+ *           type: integer
+ *         keyId:
+ *           type: string
+ *           description: The sender key the message was encrypted with
+ *         iteration:
+ *           type: integer
+ *           description: Step of the sender key's chain the message key was taken from
+ *         encryptedContent:
+ *           type: string
+ *         iv:
+ *           type: string
+ *         authTag:
+ *           type: string
+ *         nonce:
+ *           type: string
+ *         timestamp:
+ *           type: string
+ *         signature:
+ *           type: string
+ *         messageType:
+ *           type: string
+ *           enum: [text, system]
+ *           description: System messages record a membership change and have no ciphertext
+ *         event:
+ *           $ref: '#/components/schemas/GroupEvent'
+ *     GroupEvent:
+ *       type: object
+ *       nullable: true
+ *       description: Membership change recorded by a system message; the sender made it
+ *       properties:
+ *         type:
+ *           type: string
+ *           enum: [created, renamed, member_added, member_removed, member_left, member_joined, admin_promoted, admin_demoted]
+ *         targetIds:
+ *           type: array
+ *           items:
+ *             type: string
+ *         name:
+ *           type: string
+ *           nullable: true
+ *     SignedGroupEvent:
+ *       type: object
+ *       required:
+ *         - timestamp
+ *         - signature
+ *       properties:
+ *         timestamp:
+ *           type: string
+ *           description: ISO 8601 timestamp, within 5 minutes of the server's clock
+ *         signature:
+ *           type: string
+ *           description: >
+ *             Base64 ECDSA P-256/SHA-384 signature by the sending device's (or account's) signing key
+ *             over the JSON array [groupId, event type, sorted targetIds, name, timestamp in ms].
+ *             groupId is null when creating a group; name is null except for created and renamed.
+ */
+
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     GroupIdPath:
+ *       in: path
+ *       name: groupId
+ *       required: true
+ *       schema:
+ *         type: string
+ *     GroupMemberPath:
+ *       in: path
+ *       name: userId
+ *       required: true
+ *       schema:
+ *         type: string
+ *       description: The member's user ID
+ *   responses:
+ *     GroupChanged:
+ *       description: >
+ *         Change made and recorded as a system message. Members are sent group_updated and
+ *         group_message_received events.
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               success:
+ *                 type: boolean
+ *               group:
+ *                 $ref: '#/components/schemas/Group'
+ */
+
+/**
+ * @swagger
+ * /api/groups:
+ *   get:
+ *     summary: List the groups the current user is a member of
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Groups, most recently updated first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 groups:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Group'
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/', authenticateToken, getGroups);
+
+/**
+ * @swagger
+ * /api/groups:
+ *   post:
+ *     summary: Create a group with some of the current user's contacts
+ *     description: >
+ *       The creator becomes the group's admin. The request is signed as a created event whose
+ *       targetIds are the other members, and recorded as the first system message. Every member
+ *       is sent a group_updated event over Socket.IO.
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/SignedGroupEvent'
+ *               - type: object
+ *                 required:
+ *                   - name
+ *                   - memberIds
+ *                 properties:
+ *                   name:
+ *                     type: string
+ *                     maxLength: 100
+ *                   memberIds:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                     description: User IDs of contacts to add
+ *     responses:
+ *       201:
+ *         description: Group created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 group:
+ *                   $ref: '#/components/schemas/Group'
+ *       400:
+ *         description: Invalid name or member IDs, too many members, or missing or stale signed event
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Invalid event signature (code INVALID_SIGNATURE) or no signing key (code SIGNING_KEY_NOT_REGISTERED)
+ *       404:
+ *         description: A member is not one of the creator's contacts
+ *       409:
+ *         description: The signed event was already recorded
+ *       500:
+ *         description: Server error
+ */
+router.post('/', authenticateToken, createGroup);
+
+/**
+ * @swagger
+ * /api/groups/{groupId}:
+ *   patch:
+ *     summary: Rename a group
+ *     description: Admins only. Signed as a renamed event with the new name.
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/DeviceIdHeader'
+ *       - $ref: '#/components/parameters/GroupIdPath'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/SignedGroupEvent'
+ *               - type: object
+ *                 required:
+ *                   - name
+ *                 properties:
+ *                   name:
+ *                     type: string
+ *                     maxLength: 100
+ *     responses:
+ *       200:
+ *         $ref: '#/components/responses/GroupChanged'
+ *       400:
+ *         description: Invalid name, or missing or stale signed event
+ *       403:
+ *         description: Not an admin, or invalid signature or no signing key
+ *       404:
+ *         description: Group not found or not a member
+ *       409:
+ *         description: The signed event was already recorded
+ *       500:
+ *         description: Server error
+ */
+router.patch('/:groupId', authenticateToken, renameGroup);
+
+/**
+ * @swagger
+ * /api/groups/{groupId}/members:
+ *   post:
+ *     summary: Add one of the admin's contacts to a group
+ *     description: >
+ *       Admins only. Signed as a member_added event targeting the new member. The group's epoch
+ *       goes up, so members distribute new sender keys before their next message.
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/DeviceIdHeader'
+ *       - $ref: '#/components/parameters/GroupIdPath'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/SignedGroupEvent'
+ *               - type: object
+ *                 required:
+ *                   - userId
+ *                 properties:
+ *                   userId:
+ *                     type: string
+ *     responses:
+ *       200:
+ *         $ref: '#/components/responses/GroupChanged'
+ *       400:
+ *         description: Invalid user ID, group full, or missing or stale signed event
+ *       403:
+ *         description: Not an admin, or invalid signature or no signing key
+ *       404:
+ *         description: Group not found, or the user is not one of the admin's contacts
+ *       409:
+ *         description: Already a member, the signed event was already recorded, or another membership change came first
+ *       500:
+ *         description: Server error
+ */
+router.post('/:groupId/members', authenticateToken, addGroupMember);
+
+/**
+ * @swagger
+ * /api/groups/{groupId}/members/{userId}:
+ *   delete:
+ *     summary: Remove a member from a group
+ *     description: >
+ *       Admins only. Signed as a member_removed event. The group's epoch goes up and the removed
+ *       member is sent a group_removed event.
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/DeviceIdHeader'
+ *       - $ref: '#/components/parameters/GroupIdPath'
+ *       - $ref: '#/components/parameters/GroupMemberPath'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SignedGroupEvent'
+ *     responses:
+ *       200:
+ *         $ref: '#/components/responses/GroupChanged'
+ *       400:
+ *         description: Removing yourself, or missing or stale signed event
+ *       403:
+ *         description: Not an admin, or invalid signature or no signing key
+ *       404:
+ *         description: Group or member not found
+ *       409:
+ *         description: The signed event was already recorded, or another membership change came first
+ *       500:
+ *         description: Server error
+ */
+router.delete('/:groupId/members/:userId', authenticateToken, removeGroupMember);
+
+/**
+ * @swagger
+ * /api/groups/{groupId}/leave:
+ *   post:
+ *     summary: Leave a group
+ *     description: >
+ *       Signed as a member_left event. The only admin must promote someone first. The last
+ *       member to leave deletes the group and its messages.
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/DeviceIdHeader'
+ *       - $ref: '#/components/parameters/GroupIdPath'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SignedGroupEvent'
+ *     responses:
+ *       200:
+ *         description: Left the group
+ *       400:
+ *         description: Only admin with other members left, or missing or stale signed event
+ *       403:
+ *         description: Invalid signature or no signing key
+ *       404:
+ *         description: Group not found or not a member
+ *       409:
+ *         description: The signed event was already recorded, or another membership change came first
+ *       500:
+ *         description: Server error
+ */
+router.post('/:groupId/leave', authenticateToken, leaveGroup);
+
+/**
+ * @swagger
+ * /api/groups/{groupId}/admins/{userId}:
+ *   put:
+ *     summary: Make a member an admin
+ *     description: Admins only. Signed as an admin_promoted event.
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/DeviceIdHeader'
+ *       - $ref: '#/components/parameters/GroupIdPath'
+ *       - $ref: '#/components/parameters/GroupMemberPath'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SignedGroupEvent'
+ *     responses:
+ *       200:
+ *         $ref: '#/components/responses/GroupChanged'
+ *       400:
+ *         description: Missing or stale signed event
+ *       403:
+ *         description: Not an admin, or invalid signature or no signing key
+ *       404:
+ *         description: Group or member not found
+ *       409:
+ *         description: Already an admin, or the signed event was already recorded
+ *       500:
+ *         description: Server error
+ *   delete:
+ *     summary: Take admin rights away from a member
+ *     description: Admins only, including for themselves. Signed as an admin_demoted event.
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/DeviceIdHeader'
+ *       - $ref: '#/components/parameters/GroupIdPath'
+ *       - $ref: '#/components/parameters/GroupMemberPath'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SignedGroupEvent'
+ *     responses:
+ *       200:
+ *         $ref: '#/components/responses/GroupChanged'
+ *       400:
+ *         description: Last admin, or missing or stale signed event
+ *       403:
+ *         description: Not an admin, or invalid signature or no signing key
+ *       404:
+ *         description: Group or member not found
+ *       409:
+ *         description: Not an admin, or the signed event was already recorded
+ *       500:
+ *         description: Server error
+ */
+router.put('/:groupId/admins/:userId', authenticateToken, promoteGroupAdmin);
+router.delete('/:groupId/admins/:userId', authenticateToken, demoteGroupAdmin);
+
+/**
+ * @swagger
+ * /api/groups/{groupId}/invite-links:
+ *   post:
+ *     summary: Create an invite link token
+ *     description: >
+ *       Admins only. Anyone with the token can join until it expires. The token is only
+ *       returned here; the server keeps its hash.
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/GroupIdPath'
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               expiresInHours:
+ *                 type: number
+ *                 default: 24
+ *                 maximum: 168
+ *     responses:
+ *       201:
+ *         description: Invite link created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 token:
+ *                   type: string
+ *                 expiresAt:
+ *                   type: string
+ *                   format: date-time
+ *       400:
+ *         description: Invalid expiry
+ *       403:
+ *         description: Not an admin
+ *       404:
+ *         description: Group not found or not a member
+ *       500:
+ *         description: Server error
+ *   delete:
+ *     summary: Revoke all of a group's invite links
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/GroupIdPath'
+ *     responses:
+ *       200:
+ *         description: Links revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 revoked:
+ *                   type: integer
+ *       403:
+ *         description: Not an admin
+ *       404:
+ *         description: Group not found or not a member
+ *       500:
+ *         description: Server error
+ */
+router.post('/:groupId/invite-links', authenticateToken, createInviteLink);
+router.delete('/:groupId/invite-links', authenticateToken, revokeInviteLinks);
+
+/**
+ * @swagger
+ * /api/groups/{groupId}/join:
+ *   post:
+ *     summary: Join a group with an invite link token
+ *     description: >
+ *       Signed as a member_joined event with no targets. Joining does not require being anyone's
+ *       contact. The group's epoch goes up.
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/DeviceIdHeader'
+ *       - $ref: '#/components/parameters/GroupIdPath'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/SignedGroupEvent'
+ *               - type: object
+ *                 required:
+ *                   - token
+ *                 properties:
+ *                   token:
+ *                     type: string
+ *     responses:
+ *       200:
+ *         $ref: '#/components/responses/GroupChanged'
+ *       400:
+ *         description: Group full, or missing or stale signed event
+ *       403:
+ *         description: Invalid signature or no signing key
+ *       404:
+ *         description: Invite link not found or expired
+ *       409:
+ *         description: Already a member, the signed event was already recorded, or another membership change came first
+ *       500:
+ *         description: Server error
+ */
+router.post('/:groupId/join', authenticateToken, joinGroup);
+
+/**
+ * @swagger
+ * /api/groups/{groupId}/messages:
+ *   get:
+ *     summary: Retrieve a group's message history
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *       - in: query
+ *         name: before
+ *         schema:
+ *           type: string
+ *         description: Retrieve messages before this message ID
+ *     responses:
+ *       200:
+ *         description: Messages in chronological order
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 messages:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/GroupMessage'
+ *                 hasMore:
+ *                   type: boolean
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Group not found or not a member
+ *       500:
+ *         description: Server error
+ */
+router.get('/:groupId/messages', authenticateToken, getGroupMessages);
+
+/**
+ * @swagger
+ * /api/groups/{groupId}/messages:
+ *   post:
+ *     summary: Send a message encrypted with the sender's sender key
+ *     description: >
+ *       One ciphertext is stored for the whole group and pushed to the other members with a
+ *       group_message_received event. Signatures are verified as for direct messages, against
+ *       the sending device's or account's signing key.
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/DeviceIdHeader'
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - epoch
+ *               - keyId
+ *               - iteration
+ *               - encryptedContent
+ *               - iv
+ *               - authTag
+ *               - nonce
+ *               - timestamp
+ *               - signature
+ *             properties:
+ *               epoch:
+ *                 type: integer
+ *                 description: Group epoch the sender key was distributed in
+ *               keyId:
+ *                 type: string
+ *               iteration:
+ *                 type: integer
+ *               encryptedContent:
+ *                 type: string
+ *               iv:
+ *                 type: string
+ *               authTag:
+ *                 type: string
+ *               nonce:
+ *                 type: string
+ *               timestamp:
+ *                 type: string
+ *               signature:
+ *                 type: string
+ *                 description: >
+ *                   Base64 ECDSA P-256/SHA-384 signature over the JSON array
+ *                   [encryptedContent, iv, nonce, timestamp in ms, iteration, groupId]
+ *     responses:
+ *       201:
+ *         description: Message sent
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 messageId:
+ *                   type: string
+ *                 timestamp:
+ *                   type: string
+ *       400:
+ *         description: Missing fields or invalid epoch or iteration
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Invalid signature (code INVALID_SIGNATURE) or no signing key (code SIGNING_KEY_NOT_REGISTERED)
+ *       404:
+ *         description: Group not found or not a member
+ *       409:
+ *         description: >
+ *           Membership changed since the sender key was distributed (code GROUP_EPOCH_MISMATCH).
+ *           Distribute a new sender key for `epoch` and encrypt again.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 code:
+ *                   type: string
+ *                   enum: [GROUP_EPOCH_MISMATCH]
+ *                 epoch:
+ *                   type: integer
+ *       500:
+ *         description: Server error
+ */
+router.post('/:groupId/messages', authenticateToken, sendGroupMessage);
+
+/**
+ * @swagger
+ * /api/groups/{groupId}/sender-keys:
+ *   get:
+ *     summary: Retrieve the sender keys other members have distributed to this device
+ *     description: >
+ *       Sender keys are sent as direct messages of type sender_key over the pairwise sessions,
+ *       so clients that were offline pick them up here. Entries are in the same shape as
+ *       GET /api/messages/{contactId} results, oldest first.
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/DeviceIdHeader'
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Sender key messages
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 messages:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Group not found or not a member
+ *       500:
+ *         description: Server error
+ */
+router.get('/:groupId/sender-keys', authenticateToken, getSenderKeys);
+
+module.exports = router;
@@ -0,0 +1,301 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const {
+  initiateKeyExchange,
+  respondToKeyExchange,
+  confirmKeyExchange,
+  acknowledgeKeyExchange,
+  abandonKeyExchange,
+  getPendingKeyExchanges
+} = require('../controllers/keyExchangeController');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/keyexchange/initiate:
+ *   post:
+ *     summary: Relay a signed key exchange hello to a contact
+ *     tags: [Key Exchange]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - targetUserId
+ *             properties:
+ *               targetUserId:
+ *                 type: string
+ *                 description: The contact's user ID
+ *               message:
+ *                 type: object
+ *                 description: Signed SKEP hello message, relayed verbatim
+ *               ephemeralPublicKey:
+ *                 type: string
+ *                 description: Legacy alternative to message
+ *               signature:
+ *                 type: string
+ *                 description: Legacy alternative to message
+ *               timestamp:
+ *                 type: integer
+ *               nonce:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Key exchange stored and relayed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 exchangeId:
+ *                   type: string
+ *                 status:
+ *                   type: string
+ *                   enum: [pending]
+ *                 expiresAt:
+ *                   type: string
+ *                   format: date-time
+ *       400:
+ *         description: Missing or invalid fields
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Contact not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/initiate', authenticateToken, initiateKeyExchange);
+
+/**
+ * @swagger
+ * /api/keyexchange/respond:
+ *   post:
+ *     summary: Relay the signed ephemeral key response for a pending exchange
+ *     tags: [Key Exchange]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - exchangeId
+ *             properties:
+ *               exchangeId:
+ *                 type: string
+ *               message:
+ *                 type: object
+ *                 description: Signed SKEP ephemeral message, relayed verbatim
+ *               ephemeralPublicKey:
+ *                 type: string
+ *                 description: Legacy alternative to message
+ *               signature:
+ *                 type: string
+ *                 description: Legacy alternative to message
+ *     responses:
+ *       200:
+ *         description: Response stored and relayed to the initiator
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 exchangeId:
+ *                   type: string
+ *                 status:
+ *                   type: string
+ *                   enum: [responded]
+ *       400:
+ *         description: Missing or invalid fields
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Key exchange not found or expired
+ *       409:
+ *         description: Key exchange already answered
+ *       500:
+ *         description: Server error
+ */
+router.post('/respond', authenticateToken, respondToKeyExchange);
+
+/**
+ * @swagger
+ * /api/keyexchange/confirm:
+ *   post:
+ *     summary: Relay the key confirmation message and complete the exchange
+ *     tags: [Key Exchange]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - exchangeId
+ *               - message
+ *             properties:
+ *               exchangeId:
+ *                 type: string
+ *               message:
+ *                 type: object
+ *                 description: SKEP key confirmation message, relayed verbatim
+ *     responses:
+ *       200:
+ *         description: Exchange completed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 exchangeId:
+ *                   type: string
+ *                 confirmed:
+ *                   type: boolean
+ *                 status:
+ *                   type: string
+ *                   enum: [completed]
+ *       400:
+ *         description: Missing or invalid fields
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Key exchange not found or expired
+ *       409:
+ *         description: Key exchange not awaiting confirmation
+ *       500:
+ *         description: Server error
+ */
+router.post('/confirm', authenticateToken, confirmKeyExchange);
+
+/**
+ * @swagger
+ * /api/keyexchange/acknowledge:
+ *   post:
+ *     summary: Mark a confirmation as processed by the target
+ *     description: The exchange is no longer listed as pending for the target.
+ *     tags: [Key Exchange]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - exchangeId
+ *             properties:
+ *               exchangeId:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Confirmation acknowledged
+ *       400:
+ *         description: Invalid exchange ID
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Key exchange not found or already acknowledged
+ *       500:
+ *         description: Server error
+ */
+router.post('/acknowledge', authenticateToken, acknowledgeKeyExchange);
+
+/**
+ * @swagger
+ * /api/keyexchange/abandon:
+ *   post:
+ *     summary: Give up on an exchange this client can no longer finish
+ *     description: >
+ *       Clients keep exchange state in memory, so after a reload they cannot use a replayed
+ *       response or confirmation. Either party may abandon the exchange until the target has
+ *       acknowledged the confirmation. The other party is sent `key_exchange_abandoned` and
+ *       drops its half, and a new exchange is started.
+ *     tags: [Key Exchange]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - exchangeId
+ *             properties:
+ *               exchangeId:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Exchange abandoned
+ *       400:
+ *         description: Invalid exchange ID
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Key exchange not found or already finished
+ *       500:
+ *         description: Server error
+ */
+router.post('/abandon', authenticateToken, abandonKeyExchange);
+
+/**
+ * @swagger
+ * /api/keyexchange/pending:
+ *   get:
+ *     summary: List key exchanges waiting on the current user
+ *     description: >
+ *       Lets peers that were offline pick up hellos to answer, responses to confirm and
+ *       confirmations of exchanges they answered. Confirmations stay listed until the target
+ *       acknowledges them. Abandoned exchanges are not listed.
+ *     tags: [Key Exchange]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Pending exchanges retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 exchanges:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       stage:
+ *                         type: string
+ *                         enum: [request, response, confirmation]
+ *                       exchangeId:
+ *                         type: string
+ *                       senderId:
+ *                         type: string
+ *                       status:
+ *                         type: string
+ *                       expiresAt:
+ *                         type: string
+ *                         format: date-time
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/pending', authenticateToken, getPendingKeyExchanges);
+
+module.exports = router;
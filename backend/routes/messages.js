@@ -1,18 +1,92 @@
 const express = require('express');
 const { authenticateToken } = require('../middleware/auth');
-const { getMessages, sendMessage } = require('../controllers/messageController');
+const { getMessages, sendMessage, markMessagesRead } = require('../controllers/messageController');
 
 const router = express.Router();
 
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     RatchetHeader:
+ *       type: object
+ *       nullable: true
+ *       description: Double Ratchet header needed by the receiver to derive the message key
+ *       properties:
+ *         dh:
+ *           type: string
+ *           description: Base64 encoded sender ratchet public key
+ *         pn:
+ *           type: integer
+ *           description: Number of messages in the sender's previous sending chain
+ *         n:
+ *           type: integer
+ *           description: Message index in the current sending chain
+ *     X3DHHeader:
+ *       type: object
+ *       nullable: true
+ *       description: X3DH initial header, sent until the receiver replies so it can derive the session offline
+ *       properties:
+ *         identityKey:
+ *           type: string
+ *           description: Base64 encoded sender identity public key
+ *         ephemeralKey:
+ *           type: string
+ *           description: Base64 encoded sender ephemeral public key
+ *         signedPreKeyId:
+ *           type: integer
+ *           description: Receiver signed prekey used
+ *         oneTimePreKeyId:
+ *           type: integer
+ *           nullable: true
+ *           description: Receiver one-time prekey used, if one was available
+ *     DeviceCiphertext:
+ *       type: object
+ *       description: The copy of a message encrypted for one receiver device
+ *       required:
+ *         - deviceId
+ *         - encryptedContent
+ *         - iv
+ *         - authTag
+ *         - nonce
+ *         - timestamp
+ *         - signature
+ *       properties:
+ *         deviceId:
+ *           type: string
+ *         encryptedContent:
+ *           type: string
+ *         iv:
+ *           type: string
+ *         authTag:
+ *           type: string
+ *         nonce:
+ *           type: string
+ *         timestamp:
+ *           type: string
+ *         signature:
+ *           type: string
+ *           description: Signature as for single-ciphertext messages, over this copy's fields
+ *         ratchetHeader:
+ *           $ref: '#/components/schemas/RatchetHeader'
+ *         x3dhHeader:
+ *           $ref: '#/components/schemas/X3DHHeader'
+ */
+
 /**
  * @swagger
  * /api/messages/{contactId}:
  *   get:
  *     summary: Retrieve message history with specific contact
+ *     description: >
+ *       Received messages encrypted per device are only returned to the device in X-Device-Id,
+ *       with that device's ciphertext. Sent ones are returned without ciphertext. Sender keys
+ *       are listed with their group, under GET /api/groups/{groupId}/sender-keys.
  *     tags: [Messages]
  *     security:
  *       - bearerAuth: []
  *     parameters:
+ *       - $ref: '#/components/parameters/DeviceIdHeader'
  *       - in: path
  *         name: contactId
  *         required: true
@@ -53,10 +127,14 @@ const router = express.Router();
  *                         type: string
  *                       senderId:
  *                         type: string
+ *                       senderDeviceId:
+ *                         type: string
+ *                         nullable: true
  *                       receiverId:
  *                         type: string
  *                       encryptedContent:
  *                         type: string
+ *                         nullable: true
  *                       iv:
  *                         type: string
  *                       authTag:
@@ -69,6 +147,26 @@ const router = express.Router();
  *                         type: string
  *                       messageType:
  *                         type: string
+ *                       fileId:
+ *                         type: string
+ *                         nullable: true
+ *                       groupId:
+ *                         type: string
+ *                         nullable: true
+ *                       ratchetHeader:
+ *                         $ref: '#/components/schemas/RatchetHeader'
+ *                       x3dhHeader:
+ *                         $ref: '#/components/schemas/X3DHHeader'
+ *                       sequenceNumber:
+ *                         type: integer
+ *                       deliveredAt:
+ *                         type: string
+ *                         format: date-time
+ *                         nullable: true
+ *                       readAt:
+ *                         type: string
+ *                         format: date-time
+ *                         nullable: true
  *                 hasMore:
  *                   type: boolean
  *                 total:
@@ -87,9 +185,17 @@ router.get('/:contactId', authenticateToken, getMessages);
  * /api/messages/send:
  *   post:
  *     summary: Send encrypted message
+ *     description: >
+ *       Receivers with registered devices (GET /api/users/{id}/devices) get one ciphertext per
+ *       device in `ciphertexts`, and each copy is only delivered to its device. The envelope
+ *       fields at the top level are for receivers without devices. Signatures are verified
+ *       against the sending device's key bundle when X-Device-Id is set, otherwise against
+ *       the account key bundle.
  *     tags: [Messages]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/DeviceIdHeader'
  *     requestBody:
  *       required: true
  *       content:
@@ -98,13 +204,13 @@ router.get('/:contactId', authenticateToken, getMessages);
  *             type: object
  *             required:
  *               - receiverId
- *               - encryptedContent
- *               - iv
- *               - authTag
- *               - nonce
- *               - timestamp
- *               - signature
+ *               - sequenceNumber
  *             properties:
+ *               ciphertexts:
+ *                 type: array
+ *                 description: One entry per receiver device; replaces the top-level envelope fields
+ *                 items:
+ *                   $ref: '#/components/schemas/DeviceCiphertext'
  *               receiverId:
  *                 type: string
  *                 description: The receiver's user ID
@@ -125,15 +231,29 @@ router.get('/:contactId', authenticateToken, getMessages);
  *                 description: ISO 8601 timestamp
  *               signature:
  *                 type: string
- *                 description: Base64 encoded signature
+ *                 description: >
+ *                   Base64 ECDSA P-256/SHA-384 signature by the sender's registered signing key over the JSON
+ *                   array [encryptedContent, iv, nonce, timestamp in ms, sequenceNumber, receiverId]
  *               messageType:
  *                 type: string
- *                 enum: [text, file]
+ *                 enum: [text, file, sender_key]
  *                 default: text
- *                 description: Type of message
+ *                 description: >
+ *                   Type of message. sender_key messages carry the sender's group chain key to a
+ *                   fellow member of `groupId`, who does not need to be a contact.
+ *               fileId:
+ *                 type: string
+ *                 description: Uploaded file shared with the receiver (required when messageType is file)
+ *               groupId:
+ *                 type: string
+ *                 description: Group the sender key is for (required when messageType is sender_key)
  *               sequenceNumber:
  *                 type: integer
  *                 description: Sequence number for message ordering
+ *               ratchetHeader:
+ *                 $ref: '#/components/schemas/RatchetHeader'
+ *               x3dhHeader:
+ *                 $ref: '#/components/schemas/X3DHHeader'
  *     responses:
  *       201:
  *         description: Message sent successfully
@@ -150,15 +270,109 @@ router.get('/:contactId', authenticateToken, getMessages);
  *                   type: string
  *                 sequenceNumber:
  *                   type: integer
+ *                 deliveredAt:
+ *                   type: string
+ *                   format: date-time
+ *                   nullable: true
+ *                   description: Set when the receiver was online at send time
  *       400:
  *         description: Bad request - missing required fields
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: >
+ *           Signature does not verify against the sending device's or account's signing key
+ *           (code INVALID_SIGNATURE), or the sender has none (code SIGNING_KEY_NOT_REGISTERED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 code:
+ *                   type: string
+ *                   enum: [INVALID_SIGNATURE, SIGNING_KEY_NOT_REGISTERED]
  *       404:
- *         description: Contact not found
+ *         description: Contact, shared group or shared file not found
+ *       409:
+ *         description: >
+ *           The ciphertexts do not match the receiver's registered devices (code DEVICE_LIST_MISMATCH).
+ *           Refetch the device list and encrypt for `missingDevices`, dropping `extraDevices`.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 code:
+ *                   type: string
+ *                   enum: [DEVICE_LIST_MISMATCH]
+ *                 missingDevices:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                 extraDevices:
+ *                   type: array
+ *                   items:
+ *                     type: string
  *       500:
  *         description: Server error
  */
 router.post('/send', authenticateToken, sendMessage);
 
+/**
+ * @swagger
+ * /api/messages/read:
+ *   put:
+ *     summary: Mark received messages as read
+ *     description: >
+ *       Only messages addressed to the caller are updated. Each sender is notified over
+ *       Socket.IO with a messages_read event.
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - messageIds
+ *             properties:
+ *               messageIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Messages marked as read
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 updated:
+ *                   type: integer
+ *                   description: Number of messages newly marked as read
+ *                 messageIds:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                 readAt:
+ *                   type: string
+ *                   format: date-time
+ *       400:
+ *         description: Missing or invalid message IDs
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.put('/read', authenticateToken, markMessagesRead);
+
 module.exports = router;
@@ -0,0 +1,157 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const { uploadPreKeys, claimPreKeyBundle } = require('../controllers/preKeyController');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     SignedPreKey:
+ *       type: object
+ *       properties:
+ *         keyId:
+ *           type: integer
+ *         publicKey:
+ *           type: string
+ *           description: Base64 raw P-256 ECDH public key
+ *         signature:
+ *           type: string
+ *           description: Base64 ECDSA P-256/SHA-256 signature of the raw public key by the signing key
+ *     OneTimePreKey:
+ *       type: object
+ *       properties:
+ *         keyId:
+ *           type: integer
+ *         publicKey:
+ *           type: string
+ *           description: Base64 raw P-256 ECDH public key
+ */
+
+/**
+ * @swagger
+ * /api/prekeys:
+ *   put:
+ *     summary: Publish X3DH prekeys
+ *     description: >
+ *       Replaces the identity, signing and signed prekeys and appends new one-time prekeys.
+ *       Uploading a different identity key discards the one-time prekeys published for the old one.
+ *       With an X-Device-Id header the prekeys belong to that device and must match its key bundle
+ *       (PUT /api/devices/{deviceId}); without one they must match the account key bundle
+ *       (PUT /api/users/keys).
+ *     tags: [Prekeys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/DeviceIdHeader'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - identityKey
+ *               - signingKey
+ *               - signedPreKey
+ *             properties:
+ *               identityKey:
+ *                 type: string
+ *                 description: Base64 raw P-256 ECDH identity public key
+ *               signingKey:
+ *                 type: string
+ *                 description: Base64 raw P-256 ECDSA public key that signs the signed prekey
+ *               signedPreKey:
+ *                 $ref: '#/components/schemas/SignedPreKey'
+ *               oneTimePreKeys:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/OneTimePreKey'
+ *     responses:
+ *       200:
+ *         description: Prekeys published
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 oneTimePreKeyCount:
+ *                   type: integer
+ *                   description: One-time prekeys left on the server
+ *                 updatedAt:
+ *                   type: string
+ *                   format: date-time
+ *       400:
+ *         description: Missing or invalid keys, bad signature or too many one-time prekeys
+ *       401:
+ *         description: Unauthorized
+ *       409:
+ *         description: Identity keys differ from the registered key bundle, or bundle replaced by a concurrent upload
+ *       500:
+ *         description: Server error
+ */
+router.put('/', authenticateToken, uploadPreKeys);
+
+/**
+ * @swagger
+ * /api/prekeys/{userId}/claim:
+ *   post:
+ *     summary: Fetch a contact's prekey bundle and consume one of their one-time prekeys
+ *     description: Members of a shared group can claim each other's bundles without being contacts.
+ *     tags: [Prekeys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               deviceId:
+ *                 type: string
+ *                 description: Device to start a session with; any of the user's devices when omitted
+ *     responses:
+ *       200:
+ *         description: Prekey bundle for starting an X3DH session
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 userId:
+ *                   type: string
+ *                 deviceId:
+ *                   type: string
+ *                   nullable: true
+ *                 identityKey:
+ *                   type: string
+ *                 signingKey:
+ *                   type: string
+ *                 signedPreKey:
+ *                   $ref: '#/components/schemas/SignedPreKey'
+ *                 oneTimePreKey:
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/OneTimePreKey'
+ *                   nullable: true
+ *                   description: Null once the contact has run out of one-time prekeys
+ *       400:
+ *         description: Invalid user or device ID, or own user ID
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Neither a contact nor a fellow group member, or prekey bundle not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/:userId/claim', authenticateToken, claimPreKeyBundle);
+
+module.exports = router;
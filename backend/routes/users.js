@@ -1,9 +1,93 @@
 const express = require('express');
 const { authenticateToken } = require('../middleware/auth');
-const { getProfile, getContacts, addContact } = require('../controllers/userController');
+const {
+  getProfile,
+  updatePrivacy,
+  searchUsers,
+  getContacts,
+  sendContactRequest,
+  getContactRequests,
+  acceptContactRequest,
+  declineContactRequest,
+  cancelContactRequest,
+  getUserKeys,
+  updateKeys,
+  getKeyLog
+} = require('../controllers/userController');
+const { getUserDevices } = require('../controllers/deviceController');
+const {
+  getBlockedUsers,
+  blockUser,
+  unblockUser,
+  reportUser
+} = require('../controllers/moderationController');
 
 const router = express.Router();
 
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     BundleKey:
+ *       type: object
+ *       properties:
+ *         keyId:
+ *           type: string
+ *           description: First 8 bytes of the SHA-256 fingerprint of the decoded public key, in hex
+ *         algorithm:
+ *           type: string
+ *           enum: [ECDH, ECDSA, RSA-OAEP]
+ *         publicKey:
+ *           type: string
+ *           description: Base64 raw P-256 point for ECDH and ECDSA keys, base64 SPKI for RSA-OAEP keys
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *     KeyBundle:
+ *       type: object
+ *       nullable: true
+ *       properties:
+ *         identityKey:
+ *           $ref: '#/components/schemas/BundleKey'
+ *         signingKey:
+ *           $ref: '#/components/schemas/BundleKey'
+ *         encryptionKey:
+ *           $ref: '#/components/schemas/BundleKey'
+ *         signature:
+ *           type: string
+ *           description: >
+ *             Base64 ECDSA P-256/SHA-256 signature by the signing key over the JSON array of
+ *             [algorithm, keyId, publicKey, createdAt ms] for the identity, signing and encryption keys
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *     KeyLogEntry:
+ *       type: object
+ *       properties:
+ *         sequence:
+ *           type: integer
+ *           description: 1 for the bundle published at registration, then one per key or device change
+ *         deviceId:
+ *           type: string
+ *           description: Set on device entries; absent for the account bundle
+ *         keyBundleHash:
+ *           type: string
+ *           description: >
+ *             Hex SHA-256 over the bundle's signed data followed by its raw signature, or 64 f's for
+ *             a revoked device
+ *         previousHash:
+ *           type: string
+ *           description: Hash of the previous entry, 64 zeros for the first
+ *         hash:
+ *           type: string
+ *           description: >
+ *             Hex SHA-256 of the JSON array [previousHash, userId, sequence, keyBundleHash, createdAt ms],
+ *             with deviceId appended for device entries
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
 /**
  * @swagger
  * /api/users/profile:
@@ -28,8 +112,10 @@ const router = express.Router();
  *                       type: string
  *                     username:
  *                       type: string
- *                     publicKey:
- *                       type: string
+ *                     keyBundle:
+ *                       $ref: '#/components/schemas/KeyBundle'
+ *                     privacy:
+ *                       $ref: '#/components/schemas/PrivacySettings'
  *                     createdAt:
  *                       type: string
  *                       format: date-time
@@ -40,6 +126,113 @@ const router = express.Router();
  */
 router.get('/profile', authenticateToken, getProfile);
 
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PrivacySettings:
+ *       type: object
+ *       properties:
+ *         discoverableByEmail:
+ *           type: boolean
+ *           description: Whether searching for the exact email address finds this user; off by default
+ */
+
+/**
+ * @swagger
+ * /api/users/privacy:
+ *   patch:
+ *     summary: Change the current user's privacy settings
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PrivacySettings'
+ *     responses:
+ *       200:
+ *         description: Settings updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 privacy:
+ *                   $ref: '#/components/schemas/PrivacySettings'
+ *       400:
+ *         description: discoverableByEmail is not a boolean
+ */
+router.patch('/privacy', authenticateToken, updatePrivacy);
+
+/**
+ * @swagger
+ * /api/users/search:
+ *   get:
+ *     summary: Find users to send contact requests to
+ *     description: >
+ *       A query without an @ matches usernames starting with it, ignoring case. A query with an @
+ *       only matches an exact email address, and only for users who made themselves discoverable
+ *       by email. Users who blocked the caller, or whom the caller blocked, are left out. Each user
+ *       can search 30 times a minute, and look up 10 email addresses an hour.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *           minLength: 2
+ *           maxLength: 254
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 25
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Matching users, sorted by username
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 users:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: string
+ *                       username:
+ *                         type: string
+ *                       isContact:
+ *                         type: boolean
+ *                 page:
+ *                   type: integer
+ *                 limit:
+ *                   type: integer
+ *                 hasMore:
+ *                   type: boolean
+ *       400:
+ *         description: Query too short or too long, or invalid page or limit
+ *       429:
+ *         description: Too many searches; the Retry-After header says when to try again
+ */
+router.get('/search', authenticateToken, searchUsers);
+
 /**
  * @swagger
  * /api/users/contacts:
@@ -64,8 +257,8 @@ router.get('/profile', authenticateToken, getProfile);
  *                         type: string
  *                       username:
  *                         type: string
- *                       publicKey:
- *                         type: string
+ *                       keyBundle:
+ *                         $ref: '#/components/schemas/KeyBundle'
  *                       addedAt:
  *                         type: string
  *                         format: date-time
@@ -80,9 +273,67 @@ router.get('/contacts', authenticateToken, getContacts);
 
 /**
  * @swagger
- * /api/users/add-contact:
+ * components:
+ *   schemas:
+ *     ContactRequest:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         from:
+ *           $ref: '#/components/schemas/ContactRequestUser'
+ *         to:
+ *           $ref: '#/components/schemas/ContactRequestUser'
+ *         status:
+ *           type: string
+ *           enum: [pending, accepted, declined, cancelled]
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         respondedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *     ContactRequestUser:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         username:
+ *           type: string
+ *     NewContact:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         username:
+ *           type: string
+ *         keyBundle:
+ *           $ref: '#/components/schemas/KeyBundle'
+ *         addedAt:
+ *           type: string
+ *           format: date-time
+ *     BlockedUser:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         username:
+ *           type: string
+ *         blockedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/users/contact-requests:
  *   post:
- *     summary: Add new contact by username
+ *     summary: Ask another user to become contacts
+ *     description: >
+ *       Users can only message, share files with or set up sessions with each other once the
+ *       request is accepted. If the other user already sent us a request, it is accepted instead.
+ *       Both users are sent a contact_request_updated event over Socket.IO.
  *     security:
  *       - bearerAuth: []
  *     requestBody:
@@ -91,12 +342,72 @@ router.get('/contacts', authenticateToken, getContacts);
  *         application/json:
  *           schema:
  *             type: object
+ *             required:
+ *               - username
  *             properties:
  *               username:
  *                 type: string
  *     responses:
  *       201:
- *         description: Contact added successfully
+ *         description: Request sent, or their request accepted (then contact is included)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 request:
+ *                   $ref: '#/components/schemas/ContactRequest'
+ *                 contact:
+ *                   $ref: '#/components/schemas/NewContact'
+ *       400:
+ *         description: Missing username, or the user's own
+ *       404:
+ *         description: User not found
+ *       409:
+ *         description: Already contacts, or a request is already pending
+ *   get:
+ *     summary: List pending contact requests sent to and by the current user
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Pending requests, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 incoming:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ContactRequest'
+ *                 outgoing:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ContactRequest'
+ */
+router.post('/contact-requests', authenticateToken, sendContactRequest);
+router.get('/contact-requests', authenticateToken, getContactRequests);
+
+/**
+ * @swagger
+ * /api/users/contact-requests/{requestId}/accept:
+ *   post:
+ *     summary: Accept a contact request sent to the current user
+ *     description: Each user becomes a contact of the other.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: requestId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Request accepted
  *         content:
  *           application/json:
  *             schema:
@@ -104,19 +415,422 @@ router.get('/contacts', authenticateToken, getContacts);
  *               properties:
  *                 success:
  *                   type: boolean
+ *                 request:
+ *                   $ref: '#/components/schemas/ContactRequest'
  *                 contact:
+ *                   $ref: '#/components/schemas/NewContact'
+ *       404:
+ *         description: No such request sent to the current user
+ *       409:
+ *         description: Request is no longer pending
+ */
+router.post('/contact-requests/:requestId/accept', authenticateToken, acceptContactRequest);
+
+/**
+ * @swagger
+ * /api/users/contact-requests/{requestId}/decline:
+ *   post:
+ *     summary: Decline a contact request sent to the current user
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: requestId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Request declined
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 request:
+ *                   $ref: '#/components/schemas/ContactRequest'
+ *       404:
+ *         description: No such request sent to the current user
+ *       409:
+ *         description: Request is no longer pending
+ */
+router.post('/contact-requests/:requestId/decline', authenticateToken, declineContactRequest);
+
+/**
+ * @swagger
+ * /api/users/contact-requests/{requestId}:
+ *   delete:
+ *     summary: Cancel a contact request the current user sent
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: requestId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Request cancelled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 request:
+ *                   $ref: '#/components/schemas/ContactRequest'
+ *       404:
+ *         description: No such request sent by the current user
+ *       409:
+ *         description: Request is no longer pending
+ */
+router.delete('/contact-requests/:requestId', authenticateToken, cancelContactRequest);
+
+/**
+ * @swagger
+ * /api/users/blocks:
+ *   get:
+ *     summary: List users the current user has blocked
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Blocked users, most recent first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 blocked:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/BlockedUser'
+ *   post:
+ *     summary: Block a user
+ *     description: >
+ *       Neither user can send the other direct messages, key exchange messages or contact
+ *       requests while the block is in place, or see the other's presence and typing. The two
+ *       stop being contacts, and pending contact requests and unfinished key exchanges between
+ *       them are closed. The blocked user is not notified.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - userId
+ *             properties:
+ *               userId:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: User blocked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 blocked:
+ *                   $ref: '#/components/schemas/BlockedUser'
+ *       400:
+ *         description: Invalid user ID, or the user's own
+ *       404:
+ *         description: User not found
+ *       409:
+ *         description: User already blocked
+ */
+router.get('/blocks', authenticateToken, getBlockedUsers);
+router.post('/blocks', authenticateToken, blockUser);
+
+/**
+ * @swagger
+ * /api/users/blocks/{userId}:
+ *   delete:
+ *     summary: Unblock a user
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: User unblocked
+ *       404:
+ *         description: The current user has not blocked this user
+ */
+router.delete('/blocks/:userId', authenticateToken, unblockUser);
+
+/**
+ * @swagger
+ * /api/users/reports:
+ *   post:
+ *     summary: Report a user, optionally with messages they sent as evidence
+ *     description: >
+ *       The server cannot read messages, so the reporter's client attaches the decrypted text of
+ *       the messages they chose. Each must be a message the reported user sent the reporter. The
+ *       report is signed by the reporter's device signing key (or account key for single-device
+ *       clients) with ECDSA SHA-384 over the JSON array of
+ *       [userId, reason, details, [[messageId, content], ...], timestamp ms].
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/DeviceIdHeader'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - userId
+ *               - reason
+ *               - timestamp
+ *               - signature
+ *             properties:
+ *               userId:
+ *                 type: string
+ *               reason:
+ *                 type: string
+ *                 enum: [spam, harassment, impersonation, other]
+ *               details:
+ *                 type: string
+ *                 maxLength: 1000
+ *               evidence:
+ *                 type: array
+ *                 maxItems: 20
+ *                 items:
  *                   type: object
  *                   properties:
- *                     id:
- *                       type: string
- *                     username:
- *                       type: string
- *                     publicKey:
+ *                     messageId:
  *                       type: string
- *                     addedAt:
+ *                     content:
  *                       type: string
- *                       format: date-time
+ *                       maxLength: 10000
+ *               timestamp:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Must be within 5 minutes of the server's clock
+ *               signature:
+ *                 type: string
+ *               block:
+ *                 type: boolean
+ *                 description: Also block the reported user
+ *     responses:
+ *       201:
+ *         description: Report filed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 reportId:
+ *                   type: string
+ *                 blocked:
+ *                   type: boolean
+ *       400:
+ *         description: Invalid fields, stale timestamp, or evidence that is not from this user to the reporter
+ *       403:
+ *         description: Missing signing key or invalid signature
+ *       404:
+ *         description: User not found
+ */
+router.post('/reports', authenticateToken, reportUser);
+
+/**
+ * @swagger
+ * /api/users/keys:
+ *   put:
+ *     summary: Replace the current user's key bundle
+ *     description: >
+ *       Used after key rotation or when a device lost its identity keys, e.g. after a password
+ *       reset. Requires the account password. A new identity or signing key discards the published
+ *       X3DH prekeys, which were signed by the old key, and notifies mutual contacts with
+ *       `contact_keys_changed`.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - keyBundle
+ *               - password
+ *             properties:
+ *               keyBundle:
+ *                 $ref: '#/components/schemas/KeyBundle'
+ *               password:
+ *                 type: string
+ *                 description: Current account password
+ *     responses:
+ *       200:
+ *         description: Key bundle updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 keyBundle:
+ *                   $ref: '#/components/schemas/KeyBundle'
+ *       400:
+ *         description: Invalid key bundle or missing password
+ *       403:
+ *         description: Password is incorrect
+ *       429:
+ *         description: Too many failed attempts
+ */
+router.put('/keys', authenticateToken, updateKeys);
+
+/**
+ * @swagger
+ * /api/users/{id}/keys:
+ *   get:
+ *     summary: Get a user's public key bundle
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Key bundle retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 userId:
+ *                   type: string
+ *                 keyBundle:
+ *                   $ref: '#/components/schemas/KeyBundle'
+ *       400:
+ *         description: Invalid user ID
+ *       404:
+ *         description: User or key bundle not found
+ */
+router.get('/:id/keys', authenticateToken, getUserKeys);
+
+/**
+ * @swagger
+ * /api/users/{id}/keys/log:
+ *   get:
+ *     summary: Get a user's key bundle with its key transparency log proof
+ *     description: >
+ *       Every published key bundle is appended to a per-user hash chain, along with each
+ *       device bundle the account endorsed and each device revoked. The entries after `since`
+ *       link a client's last verified head to the current head, proving that the bundle is in
+ *       the log and that earlier entries were not rewritten. Reading the log never appends to
+ *       it; a bundle that is not the latest logged account bundle is returned with `logged: false`
+ *       and must not be trusted.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: since
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *           default: 0
+ *         description: Sequence number of the last entry the client verified
+ *     responses:
+ *       200:
+ *         description: Key bundle and log entries after `since`
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 userId:
+ *                   type: string
+ *                 keyBundle:
+ *                   $ref: '#/components/schemas/KeyBundle'
+ *                 logged:
+ *                   type: boolean
+ *                   description: Whether the key bundle is the latest account bundle in the log
+ *                 head:
+ *                   nullable: true
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/KeyLogEntry'
+ *                 entries:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/KeyLogEntry'
+ *       400:
+ *         description: Invalid user ID or sequence number
+ *       404:
+ *         description: User or key bundle not found
+ */
+router.get('/:id/keys/log', authenticateToken, getKeyLog);
+
+/**
+ * @swagger
+ * /api/users/{id}/devices:
+ *   get:
+ *     summary: List a user's devices and their key bundles
+ *     description: >
+ *       Messages are encrypted once per device, so senders fetch this list and send one
+ *       ciphertext for each device in it (POST /api/messages/send). Only devices endorsed by the
+ *       account signing key are listed; senders check the endorsement and the device's key log
+ *       entry before encrypting for it.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The user's devices, oldest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 userId:
+ *                   type: string
+ *                 devices:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       deviceId:
+ *                         type: string
+ *                       keyBundle:
+ *                         $ref: '#/components/schemas/KeyBundle'
+ *                       accountSignature:
+ *                         type: string
+ *       400:
+ *         description: Invalid user ID
+ *       404:
+ *         description: User not found
  */
-router.post('/add-contact', authenticateToken, addContact);
+router.get('/:id/devices', authenticateToken, getUserDevices);
 
 module.exports = router;
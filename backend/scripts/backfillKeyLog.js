@@ -0,0 +1,48 @@
+/**
+ * One-off migration for key bundles published before the key transparency log existed
+ * Reading the log no longer appends to it, so each account bundle that is not the latest logged
+ * account entry is appended once here. Contacts that verified nothing yet start from that entry.
+ *
+ * Usage: npm run migrate:keylog [-- --dry-run]
+ */
+
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { getKeyBundleHash } = require('../utils/keyBundle');
+const { appendKeyLogEntry, findLatestEntry } = require('../utils/keyTransparency');
+require('dotenv').config();
+
+const backfillKeyLog = async ({ dryRun = false } = {}) => {
+  let logged = 0;
+
+  for await (const user of User.find({ keyBundle: { $ne: null } }).select('keyBundle').cursor()) {
+    const latest = await findLatestEntry(user._id);
+    if (latest && latest.keyBundleHash === getKeyBundleHash(user.keyBundle)) {
+      continue;
+    }
+
+    if (!dryRun) {
+      await appendKeyLogEntry(user._id, user.keyBundle);
+    }
+    logged++;
+  }
+
+  return { logged };
+};
+
+if (require.main === module) {
+  const dryRun = process.argv.includes('--dry-run');
+
+  mongoose.connect(process.env.MONGODB_URI)
+    .then(() => backfillKeyLog({ dryRun }))
+    .then(({ logged }) => {
+      console.log(`${dryRun ? 'Would log' : 'Logged'} ${logged} key bundles`);
+    })
+    .catch(err => {
+      console.error('Key log migration error:', err);
+      process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
+}
+
+module.exports = { backfillKeyLog };
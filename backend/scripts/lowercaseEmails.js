@@ -0,0 +1,56 @@
+/**
+ * One-off migration for accounts registered before emails were stored in lowercase
+ * Lookups by email now lowercase the address, so mixed-case addresses are rewritten once here.
+ * An address that only differs by case from another account's is left alone and reported.
+ *
+ * Usage: npm run migrate:emails [-- --dry-run]
+ */
+
+const mongoose = require('mongoose');
+const User = require('../models/User');
+require('dotenv').config();
+
+const lowercaseEmails = async ({ dryRun = false } = {}) => {
+  let updated = 0;
+  const conflicts = [];
+
+  const mixedCase = User.find({ $expr: { $ne: ['$email', { $toLower: '$email' }] } })
+    .select('email')
+    .lean()
+    .cursor();
+
+  for await (const user of mixedCase) {
+    const email = user.email.toLowerCase();
+    if (await User.exists({ email, _id: { $ne: user._id } })) {
+      conflicts.push(user.email);
+      continue;
+    }
+
+    if (!dryRun) {
+      await User.updateOne({ _id: user._id }, { $set: { email } });
+    }
+    updated++;
+  }
+
+  return { updated, conflicts };
+};
+
+if (require.main === module) {
+  const dryRun = process.argv.includes('--dry-run');
+
+  mongoose.connect(process.env.MONGODB_URI)
+    .then(() => lowercaseEmails({ dryRun }))
+    .then(({ updated, conflicts }) => {
+      console.log(`${dryRun ? 'Would lowercase' : 'Lowercased'} ${updated} emails`);
+      if (conflicts.length) {
+        console.log(`Left ${conflicts.length} emails that clash with another account: ${conflicts.join(', ')}`);
+      }
+    })
+    .catch(err => {
+      console.error('Email migration error:', err);
+      process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
+}
+
+module.exports = { lowercaseEmails };
@@ -0,0 +1,63 @@
+/**
+ * One-off migration for contacts added before contact requests existed
+ * Adding a contact used to create a single row without the other user's consent. Only mutual
+ * rows count now, so each one-sided row becomes a pending request from the user who added the
+ * contact, which the other user can accept or decline. Rows across a block are dropped without
+ * a request.
+ *
+ * Usage: npm run migrate:contacts [-- --dry-run]
+ */
+
+const mongoose = require('mongoose');
+const Contact = require('../models/Contact');
+const ContactRequest = require('../models/ContactRequest');
+const Block = require('../models/Block');
+require('dotenv').config();
+
+const migrateContacts = async ({ dryRun = false } = {}) => {
+  let converted = 0;
+  let skipped = 0;
+
+  for await (const row of Contact.find().select('userId contactUserId addedAt').cursor()) {
+    if (await Contact.exists({ userId: row.contactUserId, contactUserId: row.userId })) {
+      continue;
+    }
+
+    if (await Block.existsBetween(row.userId, row.contactUserId)) {
+      if (!dryRun) {
+        await Contact.deleteOne({ _id: row._id });
+      }
+      skipped++;
+      continue;
+    }
+
+    if (!dryRun) {
+      await ContactRequest.updateOne(
+        { fromUserId: row.userId, toUserId: row.contactUserId, status: 'pending' },
+        { $setOnInsert: { createdAt: row.addedAt } },
+        { upsert: true, timestamps: false }
+      );
+      await Contact.deleteOne({ _id: row._id });
+    }
+    converted++;
+  }
+
+  return { converted, skipped };
+};
+
+if (require.main === module) {
+  const dryRun = process.argv.includes('--dry-run');
+
+  mongoose.connect(process.env.MONGODB_URI)
+    .then(() => migrateContacts({ dryRun }))
+    .then(({ converted, skipped }) => {
+      console.log(`${dryRun ? 'Would convert' : 'Converted'} ${converted} one-sided contacts to requests; dropped ${skipped} across a block`);
+    })
+    .catch(err => {
+      console.error('Contact migration error:', err);
+      process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
+}
+
+module.exports = { migrateContacts };
@@ -1,11 +1,17 @@
 const request = require('supertest');
 const app = require('../app');
+const { createSession } = require('../utils/sessions');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const KeyLogEntry = require('../models/KeyLogEntry');
+const LoginThrottle = require('../models/LoginThrottle');
+const { createKeyBundle, signKeyBundle, tokenFor } = require('./keyFixtures');
+const { sendOTPEmail, sendPasswordResetEmail, sendAccountLockedEmail } = require('../utils/emailService');
+const { generateTotpSecret, generateTotp, generateBackupCodes } = require('../utils/totp');
+const { hashOtp } = require('../utils/otp');
 
-// Mock the email service
-jest.mock('../utils/emailService', () => ({
-  sendOTPEmail: jest.fn(),
-}));
+// Only a hash is stored, so tests take the code from the email that was sent
+const lastEmailedOtp = () => sendOTPEmail.mock.calls.at(-1)[1];
 
 describe('Authentication Integration Tests', () => {
   describe('POST /api/auth/register', () => {
@@ -14,11 +20,7 @@ describe('Authentication Integration Tests', () => {
         username: 'testuser',
         email: 'test@example.com',
         password: 'password123',
-        publicKey: JSON.stringify({
-          ecc: 'test-ecc-public-key',
-          signing: 'test-signing-public-key',
-          timestamp: Date.now()
-        })
+        keyBundle: createKeyBundle().keyBundle
       };
 
       const response = await request(app)
@@ -31,12 +33,17 @@ describe('Authentication Integration Tests', () => {
       expect(response.body).toHaveProperty('user');
       expect(response.body.user).toHaveProperty('username', 'testuser');
       expect(response.body.user).toHaveProperty('email', 'test@example.com');
+      expect(response.body.user.keyBundle.signingKey).toEqual(userData.keyBundle.signingKey);
+      expect(response.body.user.keyBundle).toHaveProperty('signature', userData.keyBundle.signature);
 
       // Verify user was created in database
       const user = await User.findOne({ email: userData.email });
       expect(user).toBeTruthy();
       expect(user.username).toBe(userData.username);
       expect(user.email).toBe(userData.email);
+
+      // The first bundle starts the user's key transparency log
+      expect(await KeyLogEntry.countDocuments({ userId: user._id })).toBe(1);
     });
 
     it('should return 400 for missing required fields', async () => {
@@ -45,7 +52,7 @@ describe('Authentication Integration Tests', () => {
         .send({ username: 'testuser' })
         .expect(400);
 
-      expect(response.body).toHaveProperty('error', 'Username, email, password, and publicKey are required');
+      expect(response.body).toHaveProperty('error', 'Username, email, password, and keyBundle are required');
     });
 
     it('should return 400 for existing user', async () => {
@@ -53,11 +60,7 @@ describe('Authentication Integration Tests', () => {
         username: 'existinguser',
         email: 'existing@example.com',
         password: 'password123',
-        publicKey: JSON.stringify({
-          ecc: 'test-ecc-public-key',
-          signing: 'test-signing-public-key',
-          timestamp: Date.now()
-        })
+        keyBundle: createKeyBundle().keyBundle
       };
 
       // Create user first
@@ -77,11 +80,7 @@ describe('Authentication Integration Tests', () => {
         username: 'ab', // too short
         email: 'test@example.com',
         password: 'password123',
-        publicKey: JSON.stringify({
-          ecc: 'test-ecc-public-key',
-          signing: 'test-signing-public-key',
-          timestamp: Date.now()
-        })
+        keyBundle: createKeyBundle().keyBundle
       };
 
       const response = await request(app)
@@ -97,11 +96,7 @@ describe('Authentication Integration Tests', () => {
         username: 'testuser',
         email: 'test@example.com',
         password: '12345', // too short
-        publicKey: JSON.stringify({
-          ecc: 'test-ecc-public-key',
-          signing: 'test-signing-public-key',
-          timestamp: Date.now()
-        })
+        keyBundle: createKeyBundle().keyBundle
       };
 
       const response = await request(app)
@@ -111,6 +106,44 @@ describe('Authentication Integration Tests', () => {
 
       expect(response.body).toHaveProperty('error', 'Password must be at least 6 characters long');
     });
+
+    const registerWithBundle = (keyBundle) => request(app)
+      .post('/api/auth/register')
+      .send({
+        username: 'testuser',
+        email: 'test@example.com',
+        password: 'password123',
+        keyBundle
+      });
+
+    it('should return 400 for a key bundle signed by another key', async () => {
+      const { keyBundle } = createKeyBundle();
+      keyBundle.signature = signKeyBundle(keyBundle, createKeyBundle().signingPrivateKey);
+
+      const response = await registerWithBundle(keyBundle).expect(400);
+
+      expect(response.body).toHaveProperty('error', 'Invalid key bundle signature');
+      expect(await User.countDocuments()).toBe(0);
+    });
+
+    it('should return 400 when a key ID does not match its key', async () => {
+      const { keyBundle, signingPrivateKey } = createKeyBundle();
+      keyBundle.identityKey.keyId = '0000000000000000';
+      keyBundle.signature = signKeyBundle(keyBundle, signingPrivateKey);
+
+      const response = await registerWithBundle(keyBundle).expect(400);
+
+      expect(response.body).toHaveProperty('error', 'Key ID does not match the identity key');
+    });
+
+    it('should return 400 for a key with the wrong algorithm', async () => {
+      const { keyBundle } = createKeyBundle();
+      keyBundle.encryptionKey = { ...keyBundle.identityKey, algorithm: 'RSA-OAEP' };
+
+      const response = await registerWithBundle(keyBundle).expect(400);
+
+      expect(response.body).toHaveProperty('error', 'Invalid encryption key');
+    });
   });
 
   describe('POST /api/auth/login', () => {
@@ -120,11 +153,7 @@ describe('Authentication Integration Tests', () => {
         username: 'testuser',
         email: 'test@example.com',
         password: 'password123',
-        publicKey: JSON.stringify({
-          ecc: 'test-ecc-public-key',
-          signing: 'test-signing-public-key',
-          timestamp: Date.now()
-        })
+        keyBundle: createKeyBundle().keyBundle
       };
       await User.create(userData);
     });
@@ -214,11 +243,7 @@ describe('Authentication Integration Tests', () => {
         username: 'testuser',
         email: 'test@example.com',
         password: 'password123',
-        publicKey: JSON.stringify({
-          ecc: 'test-ecc-public-key',
-          signing: 'test-signing-public-key',
-          timestamp: Date.now()
-        })
+        keyBundle: createKeyBundle().keyBundle
       };
       await User.create(userData);
 
@@ -231,9 +256,7 @@ describe('Authentication Integration Tests', () => {
         .post('/api/auth/login')
         .send(loginData);
 
-      // Get the OTP from database
-      const user = await User.findOne({ username: 'testuser' });
-      otp = user.otp;
+      otp = lastEmailedOtp();
     });
 
     it('should verify OTP successfully', async () => {
@@ -248,6 +271,7 @@ describe('Authentication Integration Tests', () => {
         .expect(200);
 
       expect(response.body).toHaveProperty('token');
+      expect(response.body).toHaveProperty('refreshToken');
       expect(response.body).toHaveProperty('user');
       expect(response.body.user).toHaveProperty('username', 'testuser');
       expect(response.body.user).toHaveProperty('email', 'test@example.com');
@@ -300,4 +324,538 @@ describe('Authentication Integration Tests', () => {
       expect(response.body).toHaveProperty('error', 'Identifier and OTP are required');
     });
   });
+
+  describe('POST /api/auth/change-password', () => {
+    let user;
+    let token;
+
+    const requestOtp = async () => {
+      await request(app)
+        .post('/api/auth/change-password/otp')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      return lastEmailedOtp();
+    };
+
+    const changePassword = (body) => request(app)
+      .post('/api/auth/change-password')
+      .set('Authorization', `Bearer ${token}`)
+      .send(body);
+
+    beforeEach(async () => {
+      user = await User.create({
+        username: 'testuser',
+        email: 'test@example.com',
+        password: 'password123'
+      });
+      token = await tokenFor(user);
+    });
+
+    it('should change the password and revoke the other sessions', async () => {
+      const otherToken = await tokenFor(user);
+      const otp = await requestOtp();
+
+      const response = await changePassword({ currentPassword: 'password123', newPassword: 'newpassword456', otp })
+        .expect(200);
+
+      expect(response.body).toHaveProperty('success', true);
+
+      const updated = await User.findById(user._id);
+      expect(await updated.comparePassword('newpassword456')).toBe(true);
+      expect(updated.otp).toBeNull();
+
+      await request(app)
+        .get('/api/users/profile')
+        .set('Authorization', `Bearer ${otherToken}`)
+        .expect(401);
+
+      await request(app)
+        .get('/api/users/profile')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+    });
+
+    it('should return 403 for a wrong current password', async () => {
+      const otp = await requestOtp();
+
+      const response = await changePassword({ currentPassword: 'wrongpassword', newPassword: 'newpassword456', otp })
+        .expect(403);
+
+      expect(response.body).toHaveProperty('error', 'Current password is incorrect');
+    });
+
+    it('should return 403 without a fresh OTP', async () => {
+      const otp = await requestOtp();
+      await User.updateOne({ _id: user._id }, { otpExpires: new Date(Date.now() - 1000) });
+
+      const response = await changePassword({ currentPassword: 'password123', newPassword: 'newpassword456', otp })
+        .expect(403);
+
+      expect(response.body).toHaveProperty('error', 'Invalid or expired OTP');
+      const unchanged = await User.findById(user._id);
+      expect(await unchanged.comparePassword('password123')).toBe(true);
+    });
+
+    it('should return 400 for a weak new password', async () => {
+      const otp = await requestOtp();
+
+      const response = await changePassword({ currentPassword: 'password123', newPassword: '123', otp })
+        .expect(400);
+
+      expect(response.body).toHaveProperty('error', 'Password must be at least 6 characters long');
+    });
+
+    it('should return 400 for missing fields', async () => {
+      const response = await changePassword({ currentPassword: 'password123' }).expect(400);
+
+      expect(response.body).toHaveProperty('error', 'Current password, new password, and OTP are required');
+    });
+  });
+
+  describe('Password reset', () => {
+    let user;
+
+    // The token only exists in the emailed link
+    const requestReset = async () => {
+      sendPasswordResetEmail.mockClear();
+      await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'test@example.com' })
+        .expect(200);
+
+      const resetUrl = sendPasswordResetEmail.mock.calls[0][1];
+      return new URL(resetUrl).searchParams.get('resetToken');
+    };
+
+    beforeEach(async () => {
+      user = await User.create({
+        username: 'testuser',
+        email: 'test@example.com',
+        password: 'password123'
+      });
+    });
+
+    it('should store only a hash of the reset token', async () => {
+      const resetToken = await requestReset();
+
+      const updated = await User.findById(user._id);
+      expect(updated.passwordResetToken).toBeTruthy();
+      expect(updated.passwordResetToken).not.toBe(resetToken);
+      expect(updated.passwordResetExpires.getTime()).toBeGreaterThan(Date.now());
+    });
+
+    it('should not reveal whether an account exists', async () => {
+      sendPasswordResetEmail.mockClear();
+
+      const response = await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'nobody@example.com' })
+        .expect(200);
+
+      expect(response.body).toHaveProperty('message', 'If an account exists for this email, a reset link has been sent');
+      expect(sendPasswordResetEmail).not.toHaveBeenCalled();
+    });
+
+    it('should give the same response when the reset email cannot be sent', async () => {
+      sendPasswordResetEmail.mockRejectedValueOnce(new Error('SMTP unavailable'));
+
+      const response = await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'test@example.com' })
+        .expect(200);
+
+      expect(response.body).toHaveProperty('message', 'If an account exists for this email, a reset link has been sent');
+    });
+
+    it('should rate limit reset requests for an address', async () => {
+      for (let i = 0; i < 3; i++) {
+        await request(app)
+          .post('/api/auth/forgot-password')
+          .send({ email: 'nobody@example.com' })
+          .expect(200);
+      }
+
+      const response = await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'nobody@example.com' })
+        .expect(429);
+      expect(response.headers['retry-after']).toBeDefined();
+
+      await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'test@example.com' })
+        .expect(200);
+    });
+
+    it('should reset the password once and revoke every session', async () => {
+      const token = await tokenFor(user);
+      const resetToken = await requestReset();
+
+      const response = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: resetToken, newPassword: 'newpassword456' })
+        .expect(200);
+
+      expect(response.body).toEqual({ success: true, email: 'test@example.com' });
+
+      const updated = await User.findById(user._id);
+      expect(await updated.comparePassword('newpassword456')).toBe(true);
+      expect(updated.passwordResetToken).toBeNull();
+
+      await request(app)
+        .get('/api/users/profile')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(401);
+
+      const reused = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: resetToken, newPassword: 'otherpassword789' })
+        .expect(400);
+
+      expect(reused.body).toHaveProperty('error', 'Invalid or expired reset token');
+    });
+
+    it('should return 400 for an expired reset token', async () => {
+      const resetToken = await requestReset();
+      await User.updateOne({ _id: user._id }, { passwordResetExpires: new Date(Date.now() - 1000) });
+
+      const response = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: resetToken, newPassword: 'newpassword456' })
+        .expect(400);
+
+      expect(response.body).toHaveProperty('error', 'Invalid or expired reset token');
+      const unchanged = await User.findById(user._id);
+      expect(await unchanged.comparePassword('password123')).toBe(true);
+    });
+
+    it('should return 400 for a weak new password', async () => {
+      const resetToken = await requestReset();
+
+      const response = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: resetToken, newPassword: '123' })
+        .expect(400);
+
+      expect(response.body).toHaveProperty('error', 'Password must be at least 6 characters long');
+    });
+  });
+
+  describe('Sessions', () => {
+    let user;
+
+    const getProfile = (token) => request(app)
+      .get('/api/users/profile')
+      .set('Authorization', `Bearer ${token}`);
+
+    const refresh = (refreshToken) => request(app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken });
+
+    beforeEach(async () => {
+      user = await User.create({
+        username: 'testuser',
+        email: 'test@example.com',
+        password: 'password123'
+      });
+    });
+
+    it('should rotate the refresh token and issue a working access token', async () => {
+      const { refreshToken } = await createSession(user);
+
+      const response = await refresh(refreshToken).expect(200);
+
+      expect(response.body.refreshToken).not.toBe(refreshToken);
+      await getProfile(response.body.token).expect(200);
+    });
+
+    it('should revoke the session when a rotated refresh token is reused', async () => {
+      const { accessToken, refreshToken } = await createSession(user);
+      const rotated = await refresh(refreshToken).expect(200);
+
+      const response = await refresh(refreshToken).expect(401);
+
+      expect(response.body).toHaveProperty('error', 'Refresh token reuse detected');
+      await refresh(rotated.body.refreshToken).expect(401);
+      await getProfile(accessToken).expect(401);
+      await getProfile(rotated.body.token).expect(401);
+    });
+
+    it('should return 400 for a malformed refresh token', async () => {
+      const response = await refresh('not-a-refresh-token').expect(400);
+
+      expect(response.body).toHaveProperty('error', 'Refresh token is required');
+    });
+
+    it('should log out the current session only', async () => {
+      const current = await createSession(user);
+      const other = await createSession(user);
+
+      await request(app)
+        .post('/api/auth/logout')
+        .set('Authorization', `Bearer ${current.accessToken}`)
+        .expect(200);
+
+      await getProfile(current.accessToken).expect(401);
+      await refresh(current.refreshToken).expect(401);
+      await getProfile(other.accessToken).expect(200);
+
+      const session = await Session.findById(current.session._id);
+      expect(session.revokedReason).toBe('logout');
+    });
+
+    it('should log out every session', async () => {
+      const current = await createSession(user);
+      const other = await createSession(user);
+
+      const response = await request(app)
+        .post('/api/auth/logout-all')
+        .set('Authorization', `Bearer ${current.accessToken}`)
+        .expect(200);
+
+      expect(response.body).toEqual({ success: true, revokedSessions: 2 });
+      await getProfile(current.accessToken).expect(401);
+      await getProfile(other.accessToken).expect(401);
+      await refresh(other.refreshToken).expect(401);
+    });
+  });
+
+  describe('Authenticator app (TOTP)', () => {
+    let secret;
+    let backupCodes;
+
+    const login = () => request(app)
+      .post('/api/auth/login')
+      .send({ identifier: 'testuser', password: 'password123' })
+      .expect(200);
+
+    const verify = (body) => request(app)
+      .post('/api/auth/verify-otp')
+      .send({ identifier: 'testuser', ...body });
+
+    beforeEach(async () => {
+      secret = generateTotpSecret();
+      const generated = generateBackupCodes();
+      backupCodes = generated.codes;
+
+      await User.create({
+        username: 'testuser',
+        email: 'test@example.com',
+        password: 'password123',
+        totp: { enabled: true, secret, backupCodes: generated.hashes }
+      });
+    });
+
+    it('should enroll a secret after verifying its first code', async () => {
+      const other = await User.create({ username: 'other', email: 'other@example.com', password: 'password123' });
+      const token = await tokenFor(other);
+
+      const setup = await request(app)
+        .post('/api/auth/totp/setup')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ password: 'password123' })
+        .expect(200);
+
+      expect(setup.body.otpauthUrl).toContain(`secret=${setup.body.secret}`);
+
+      await request(app)
+        .post('/api/auth/totp/enable')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ code: generateTotp(setup.body.secret, Date.now() - 10 * 60 * 1000) })
+        .expect(403);
+
+      const response = await request(app)
+        .post('/api/auth/totp/enable')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ code: generateTotp(setup.body.secret) })
+        .expect(200);
+
+      expect(response.body.backupCodes).toHaveLength(10);
+
+      const status = await request(app)
+        .get('/api/auth/totp')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(status.body).toEqual({ enabled: true, backupCodesRemaining: 10 });
+    });
+
+    it('should require the current password to start setup', async () => {
+      const other = await User.create({ username: 'other', email: 'other@example.com', password: 'password123' });
+      const token = await tokenFor(other);
+
+      await request(app)
+        .post('/api/auth/totp/setup')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(400);
+
+      await request(app)
+        .post('/api/auth/totp/setup')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ password: 'wrong-password' })
+        .expect(403);
+
+      const user = await User.findById(other._id);
+      expect(user.totp?.pendingSecret).toBeFalsy();
+    });
+
+    it('should ask for an authenticator code instead of emailing an OTP', async () => {
+      sendOTPEmail.mockClear();
+
+      const response = await login();
+
+      expect(response.body.methods).toEqual(['totp', 'backup_code']);
+      expect(response.body).toHaveProperty('loginChallenge');
+      expect(sendOTPEmail).not.toHaveBeenCalled();
+    });
+
+    it('should log in with an authenticator code only once', async () => {
+      const code = generateTotp(secret);
+      const first = await login();
+
+      const response = await verify({ otp: code, method: 'totp', loginChallenge: first.body.loginChallenge })
+        .expect(200);
+
+      expect(response.body).toHaveProperty('token');
+
+      const second = await login();
+      await verify({ otp: code, method: 'totp', loginChallenge: second.body.loginChallenge }).expect(401);
+    });
+
+    it('should require the login challenge with authenticator codes', async () => {
+      await login();
+
+      await verify({ otp: generateTotp(secret), method: 'totp' }).expect(401);
+    });
+
+    it('should reject email OTPs once an authenticator app is enabled', async () => {
+      await User.updateOne({ username: 'testuser' }, { otp: hashOtp('123456'), otpExpires: new Date(Date.now() + 60000) });
+
+      await verify({ otp: '123456' }).expect(401);
+    });
+
+    it('should accept each backup code once', async () => {
+      const first = await login();
+      await verify({ otp: backupCodes[0], method: 'backup_code', loginChallenge: first.body.loginChallenge })
+        .expect(200);
+
+      const second = await login();
+      await verify({ otp: backupCodes[0], method: 'backup_code', loginChallenge: second.body.loginChallenge })
+        .expect(401);
+
+      const user = await User.findOne({ username: 'testuser' });
+      expect(user.totp.backupCodes).toHaveLength(9);
+    });
+
+    it('should drop the login challenge after too many wrong codes', async () => {
+      const { body } = await login();
+
+      for (let i = 0; i < 5; i++) {
+        await verify({ otp: 'wrong-code', method: 'backup_code', loginChallenge: body.loginChallenge }).expect(401);
+      }
+
+      await verify({ otp: backupCodes[0], method: 'backup_code', loginChallenge: body.loginChallenge }).expect(401);
+    });
+
+    it('should disable the authenticator app with the password and a backup code', async () => {
+      const user = await User.findOne({ username: 'testuser' });
+      const token = await tokenFor(user);
+
+      await request(app)
+        .post('/api/auth/totp/disable')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ password: 'wrong-password', code: backupCodes[0] })
+        .expect(403);
+
+      await request(app)
+        .post('/api/auth/totp/disable')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ password: 'password123', code: backupCodes[0] })
+        .expect(200);
+
+      const response = await login();
+      expect(response.body.methods).toEqual(['email']);
+    });
+  });
+
+  describe('Brute-force protection', () => {
+    let user;
+
+    const login = (password = 'password123', identifier = 'testuser') => request(app)
+      .post('/api/auth/login')
+      .send({ identifier, password });
+
+    const verify = (otp) => request(app)
+      .post('/api/auth/verify-otp')
+      .send({ identifier: 'testuser', otp });
+
+    beforeEach(async () => {
+      user = await User.create({ username: 'testuser', email: 'test@example.com', password: 'password123' });
+    });
+
+    it('should store only a hash of the emailed OTP', async () => {
+      await login().expect(200);
+
+      const stored = await User.findById(user._id);
+      expect(stored.otp).not.toBe(lastEmailedOtp());
+      expect(stored.otp).toBe(hashOtp(lastEmailedOtp()));
+    });
+
+    it('should invalidate the OTP after too many wrong codes', async () => {
+      await login().expect(200);
+      const otp = lastEmailedOtp();
+      const wrong = otp === '100000' ? '100001' : '100000';
+
+      for (let i = 0; i < 5; i++) {
+        await verify(wrong).expect(401);
+      }
+
+      await verify(otp).expect(401);
+      const stored = await User.findById(user._id);
+      expect(stored.otp).toBeNull();
+    });
+
+    it('should back off logins after repeated wrong passwords', async () => {
+      for (let i = 0; i < 4; i++) {
+        await login('wrongpassword').expect(401);
+      }
+
+      const response = await login().expect(429);
+
+      expect(response.body).toHaveProperty('error', 'Too many failed attempts, try again later');
+      expect(Number(response.headers['retry-after'])).toBeGreaterThan(0);
+    });
+
+    it('should back off a client address guessing across accounts', async () => {
+      for (let i = 0; i < 21; i++) {
+        await login('password123', `nobody${i}`).expect(401);
+      }
+
+      await login().expect(429);
+    });
+
+    it('should lock the account and email the owner', async () => {
+      sendAccountLockedEmail.mockClear();
+      await LoginThrottle.create({
+        key: `account:${user._id}`,
+        failures: 9,
+        expiresAt: new Date(Date.now() + 60000)
+      });
+
+      await login('wrongpassword').expect(401);
+
+      expect(sendAccountLockedEmail).toHaveBeenCalledWith('test@example.com', expect.any(Date));
+      await login().expect(429);
+      await verify('123456').expect(429);
+    });
+
+    it('should reset the account count after a completed login', async () => {
+      await login('wrongpassword').expect(401);
+      await login().expect(200);
+      await verify(lastEmailedOtp()).expect(200);
+
+      expect(await LoginThrottle.exists({ key: `account:${user._id}` })).toBeNull();
+    });
+  });
 });
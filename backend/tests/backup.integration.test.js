@@ -0,0 +1,146 @@
+const crypto = require('crypto');
+const request = require('supertest');
+const app = require('../app');
+const KeyBackup = require('../models/KeyBackup');
+const { createUser, tokenFor } = require('./keyFixtures');
+
+const createBackup = () => ({
+  version: 1,
+  kdf: {
+    algorithm: 'PBKDF2-SHA256',
+    iterations: 600000,
+    salt: crypto.randomBytes(16).toString('base64')
+  },
+  ciphertext: crypto.randomBytes(512).toString('base64'),
+  iv: crypto.randomBytes(12).toString('base64'),
+  authTag: crypto.randomBytes(16).toString('base64')
+});
+
+describe('Key Backup Integration Tests', () => {
+  let alice;
+  let aliceToken;
+
+  beforeEach(async () => {
+    alice = await createUser('alice');
+    aliceToken = await tokenFor(alice);
+  });
+
+  const uploadBackup = (backup, token = aliceToken) => request(app)
+    .put('/api/backup')
+    .set('Authorization', `Bearer ${token}`)
+    .send(backup);
+
+  const downloadBackup = (token = aliceToken) => request(app)
+    .get('/api/backup')
+    .set('Authorization', `Bearer ${token}`);
+
+  describe('PUT /api/backup', () => {
+    it('should store the backup and return it unchanged', async () => {
+      const backup = createBackup();
+      await uploadBackup(backup).expect(200);
+
+      const response = await downloadBackup().expect(200);
+
+      expect(response.body).toMatchObject(backup);
+      expect(response.body).toHaveProperty('updatedAt');
+    });
+
+    it('should replace an existing backup', async () => {
+      await uploadBackup(createBackup()).expect(200);
+      const replacement = createBackup();
+      await uploadBackup(replacement).expect(200);
+
+      expect(await KeyBackup.countDocuments({ userId: alice._id })).toBe(1);
+      const response = await downloadBackup().expect(200);
+      expect(response.body.ciphertext).toBe(replacement.ciphertext);
+    });
+
+    it('should return 400 for weak key derivation parameters', async () => {
+      const backup = createBackup();
+      backup.kdf.iterations = 1000;
+
+      const response = await uploadBackup(backup).expect(400);
+
+      expect(response.body).toHaveProperty('message', 'Invalid key derivation parameters');
+    });
+
+    it('should return 400 when the ciphertext is missing', async () => {
+      const backup = createBackup();
+      delete backup.ciphertext;
+
+      const response = await uploadBackup(backup).expect(400);
+
+      expect(response.body).toHaveProperty('message', 'Encrypted backup is required');
+    });
+
+    it('should return 401 without a token', async () => {
+      await request(app).put('/api/backup').send(createBackup()).expect(401);
+    });
+  });
+
+  describe('GET /api/backup/status', () => {
+    it('should report whether a backup exists', async () => {
+      let response = await request(app)
+        .get('/api/backup/status')
+        .set('Authorization', `Bearer ${aliceToken}`)
+        .expect(200);
+      expect(response.body).toEqual({ exists: false, updatedAt: null });
+
+      await uploadBackup(createBackup()).expect(200);
+
+      response = await request(app)
+        .get('/api/backup/status')
+        .set('Authorization', `Bearer ${aliceToken}`)
+        .expect(200);
+      expect(response.body.exists).toBe(true);
+      expect(response.body).not.toHaveProperty('ciphertext');
+    });
+  });
+
+  describe('GET /api/backup', () => {
+    it('should return 404 without a backup', async () => {
+      await downloadBackup().expect(404);
+    });
+
+    it('should not return another user\'s backup', async () => {
+      await uploadBackup(createBackup()).expect(200);
+      const bob = await createUser('bob');
+
+      await downloadBackup(await tokenFor(bob)).expect(404);
+    });
+
+    it('should limit downloads per hour', async () => {
+      await uploadBackup(createBackup()).expect(200);
+
+      for (let i = 0; i < 5; i++) {
+        await downloadBackup().expect(200);
+      }
+
+      const response = await downloadBackup().expect(429);
+      expect(response.headers['retry-after']).toBeDefined();
+    });
+
+    it('should allow downloads again once the window has passed', async () => {
+      await uploadBackup(createBackup()).expect(200);
+      await KeyBackup.updateOne(
+        { userId: alice._id },
+        { retrievalWindowStart: new Date(Date.now() - 2 * 60 * 60 * 1000), retrievalCount: 5 }
+      );
+
+      await downloadBackup().expect(200);
+    });
+  });
+
+  describe('DELETE /api/backup', () => {
+    it('should delete the backup', async () => {
+      await uploadBackup(createBackup()).expect(200);
+
+      await request(app)
+        .delete('/api/backup')
+        .set('Authorization', `Bearer ${aliceToken}`)
+        .expect(200);
+
+      expect(await KeyBackup.countDocuments()).toBe(0);
+    });
+  });
+});
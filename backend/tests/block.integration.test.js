@@ -0,0 +1,286 @@
+const crypto = require('crypto');
+const request = require('supertest');
+const app = require('../app');
+const Contact = require('../models/Contact');
+const ContactRequest = require('../models/ContactRequest');
+const KeyExchange = require('../models/KeyExchange');
+const Block = require('../models/Block');
+const Report = require('../models/Report');
+const { createUser, tokenFor, registerSigningKey } = require('./keyFixtures');
+
+const sign = (data, privateKey) => crypto.sign(
+  'sha384',
+  Buffer.from(JSON.stringify(data)),
+  { key: privateKey, dsaEncoding: 'ieee-p1363' }
+).toString('base64');
+
+// Message envelope signed over [encryptedContent, iv, nonce, timestamp ms, sequenceNumber, receiverId]
+const signedMessage = (receiverId, sequenceNumber, privateKey) => {
+  const message = {
+    receiverId: receiverId.toString(),
+    encryptedContent: 'ZW5jcnlwdGVk',
+    iv: 'aXY=',
+    authTag: 'dGFn',
+    nonce: `bm9uY2U${sequenceNumber}`,
+    timestamp: new Date().toISOString(),
+    sequenceNumber
+  };
+  message.signature = sign([
+    message.encryptedContent,
+    message.iv,
+    message.nonce,
+    new Date(message.timestamp).getTime(),
+    message.sequenceNumber,
+    message.receiverId
+  ], privateKey);
+  return message;
+};
+
+// Report signed over [userId, reason, details, [[messageId, content], ...], timestamp ms]
+const signedReport = (report, privateKey) => {
+  const timestamp = new Date().toISOString();
+  const evidence = report.evidence || [];
+  return {
+    ...report,
+    evidence,
+    timestamp,
+    signature: sign([
+      report.userId.toString(),
+      report.reason,
+      report.details || '',
+      evidence.map(({ messageId, content }) => [messageId, content]),
+      new Date(timestamp).getTime()
+    ], privateKey)
+  };
+};
+
+describe('Block and Report Integration Tests', () => {
+  let alice;
+  let bob;
+  let aliceToken;
+  let bobToken;
+  let aliceSigningKey;
+  let bobSigningKey;
+
+  beforeEach(async () => {
+    alice = await createUser('alice');
+    bob = await createUser('bob');
+    aliceToken = await tokenFor(alice);
+    bobToken = await tokenFor(bob);
+    aliceSigningKey = await registerSigningKey(alice);
+    bobSigningKey = await registerSigningKey(bob);
+    await Contact.create({ userId: alice._id, contactUserId: bob._id });
+    await Contact.create({ userId: bob._id, contactUserId: alice._id });
+  });
+
+  const block = (token, user) => request(app)
+    .post('/api/users/blocks')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ userId: user._id.toString() });
+
+  const sendFromBob = async (sequenceNumber = 1) => {
+    const response = await request(app)
+      .post('/api/messages/send')
+      .set('Authorization', `Bearer ${bobToken}`)
+      .send(signedMessage(alice._id, sequenceNumber, bobSigningKey))
+      .expect(201);
+
+    return response.body.messageId;
+  };
+
+  describe('Blocking', () => {
+    it('should block, list and unblock a user', async () => {
+      const response = await block(aliceToken, bob).expect(201);
+      expect(response.body.blocked).toMatchObject({ id: bob._id.toString(), username: 'bob' });
+
+      await block(aliceToken, bob).expect(409);
+
+      const list = await request(app)
+        .get('/api/users/blocks')
+        .set('Authorization', `Bearer ${aliceToken}`)
+        .expect(200);
+      expect(list.body.blocked.map(user => user.username)).toEqual(['bob']);
+
+      await request(app)
+        .delete(`/api/users/blocks/${bob._id}`)
+        .set('Authorization', `Bearer ${bobToken}`)
+        .expect(404);
+      await request(app)
+        .delete(`/api/users/blocks/${bob._id}`)
+        .set('Authorization', `Bearer ${aliceToken}`)
+        .expect(200);
+    });
+
+    it('should let only one of two concurrent blocks through', async () => {
+      const responses = await Promise.all([block(aliceToken, bob), block(aliceToken, bob)]);
+
+      expect(responses.map(response => response.status).sort()).toEqual([201, 409]);
+      expect(await Block.countDocuments({ blockerId: alice._id, blockedId: bob._id })).toBe(1);
+    });
+
+    it('should reject blocking yourself or unknown users', async () => {
+      await block(aliceToken, alice).expect(400);
+      await request(app)
+        .post('/api/users/blocks')
+        .set('Authorization', `Bearer ${aliceToken}`)
+        .send({ userId: '507f1f77bcf86cd799439011' })
+        .expect(404);
+    });
+
+    it('should stop direct messages in both directions until unblocked', async () => {
+      await block(aliceToken, bob).expect(201);
+
+      const response = await request(app)
+        .post('/api/messages/send')
+        .set('Authorization', `Bearer ${bobToken}`)
+        .send(signedMessage(alice._id, 1, bobSigningKey))
+        .expect(403);
+      expect(response.body.code).toBe('USER_BLOCKED');
+
+      await request(app)
+        .post('/api/messages/send')
+        .set('Authorization', `Bearer ${aliceToken}`)
+        .send(signedMessage(bob._id, 1, aliceSigningKey))
+        .expect(403);
+
+      await request(app)
+        .delete(`/api/users/blocks/${bob._id}`)
+        .set('Authorization', `Bearer ${aliceToken}`)
+        .expect(200);
+      await sendFromBob(2);
+    });
+
+    it('should stop key exchanges and drop unfinished ones', async () => {
+      const helloMessage = { type: 'KEY_EXCHANGE_HELLO', timestamp: Date.now() };
+      const pending = await request(app)
+        .post('/api/keyexchange/initiate')
+        .set('Authorization', `Bearer ${bobToken}`)
+        .send({ targetUserId: alice._id.toString(), message: helloMessage })
+        .expect(201);
+
+      await block(aliceToken, bob).expect(201);
+
+      expect(await KeyExchange.countDocuments()).toBe(0);
+      await request(app)
+        .post('/api/keyexchange/respond')
+        .set('Authorization', `Bearer ${aliceToken}`)
+        .send({ exchangeId: pending.body.exchangeId, message: { type: 'EPHEMERAL_KEY_EXCHANGE' } })
+        .expect(404);
+
+      const response = await request(app)
+        .post('/api/keyexchange/initiate')
+        .set('Authorization', `Bearer ${bobToken}`)
+        .send({ targetUserId: alice._id.toString(), message: helloMessage })
+        .expect(403);
+      expect(response.body.code).toBe('USER_BLOCKED');
+    });
+
+    it('should hide blocked users from contact requests and close pending ones', async () => {
+      const carol = await createUser('carol');
+      const carolToken = await tokenFor(carol);
+
+      await request(app)
+        .post('/api/users/contact-requests')
+        .set('Authorization', `Bearer ${carolToken}`)
+        .send({ username: 'alice' })
+        .expect(201);
+
+      await block(aliceToken, carol).expect(201);
+
+      expect(await ContactRequest.findOne({ fromUserId: carol._id })).toHaveProperty('status', 'declined');
+
+      const response = await request(app)
+        .post('/api/users/contact-requests')
+        .set('Authorization', `Bearer ${carolToken}`)
+        .send({ username: 'alice' })
+        .expect(404);
+      expect(response.body.message).toBe('User not found');
+
+      await request(app)
+        .post('/api/users/contact-requests')
+        .set('Authorization', `Bearer ${aliceToken}`)
+        .send({ username: 'carol' })
+        .expect(404);
+    });
+  });
+
+  describe('POST /api/users/reports', () => {
+    it('should file a signed report with messages the user sent as evidence', async () => {
+      const messageId = await sendFromBob();
+
+      const response = await request(app)
+        .post('/api/users/reports')
+        .set('Authorization', `Bearer ${aliceToken}`)
+        .send(signedReport({
+          userId: bob._id,
+          reason: 'harassment',
+          details: 'Keeps messaging me',
+          evidence: [{ messageId, content: 'decrypted text' }],
+          block: true
+        }, aliceSigningKey))
+        .expect(201);
+
+      expect(response.body.blocked).toBe(true);
+
+      const report = await Report.findById(response.body.reportId);
+      expect(report.reporterId.toString()).toBe(alice._id.toString());
+      expect(report.evidence).toHaveLength(1);
+      expect(report.evidence[0]).toMatchObject({ content: 'decrypted text' });
+      expect(report.evidence[0].sentAt).toBeInstanceOf(Date);
+
+      await request(app)
+        .post('/api/messages/send')
+        .set('Authorization', `Bearer ${bobToken}`)
+        .send(signedMessage(alice._id, 2, bobSigningKey))
+        .expect(403);
+    });
+
+    it('should reject reports with an invalid signature', async () => {
+      const report = signedReport({ userId: bob._id, reason: 'spam' }, aliceSigningKey);
+
+      const response = await request(app)
+        .post('/api/users/reports')
+        .set('Authorization', `Bearer ${aliceToken}`)
+        .send({ ...report, details: 'changed after signing' })
+        .expect(403);
+
+      expect(response.body.code).toBe('INVALID_SIGNATURE');
+      expect(await Report.countDocuments()).toBe(0);
+    });
+
+    it('should only accept messages the reported user sent the reporter as evidence', async () => {
+      const ownMessage = (await request(app)
+        .post('/api/messages/send')
+        .set('Authorization', `Bearer ${aliceToken}`)
+        .send(signedMessage(bob._id, 1, aliceSigningKey))
+        .expect(201)).body.messageId;
+
+      const response = await request(app)
+        .post('/api/users/reports')
+        .set('Authorization', `Bearer ${aliceToken}`)
+        .send(signedReport({
+          userId: bob._id,
+          reason: 'spam',
+          evidence: [{ messageId: ownMessage, content: 'made up' }]
+        }, aliceSigningKey))
+        .expect(400);
+
+      expect(response.body.message).toBe('Evidence must be messages this user sent you');
+    });
+
+    it('should reject unknown reasons and stale signatures', async () => {
+      await request(app)
+        .post('/api/users/reports')
+        .set('Authorization', `Bearer ${aliceToken}`)
+        .send(signedReport({ userId: bob._id, reason: 'boring' }, aliceSigningKey))
+        .expect(400);
+
+      const stale = signedReport({ userId: bob._id, reason: 'spam' }, aliceSigningKey);
+      await request(app)
+        .post('/api/users/reports')
+        .set('Authorization', `Bearer ${aliceToken}`)
+        .send({ ...stale, timestamp: new Date(Date.now() - 10 * 60 * 1000).toISOString() })
+        .expect(400);
+    });
+  });
+});
@@ -0,0 +1,223 @@
+const request = require('supertest');
+const app = require('../app');
+const Contact = require('../models/Contact');
+const ContactRequest = require('../models/ContactRequest');
+const Block = require('../models/Block');
+const { migrateContacts } = require('../scripts/migrateContacts');
+const { createUser, tokenFor } = require('./keyFixtures');
+
+describe('Contact Request Integration Tests', () => {
+  let alice;
+  let bob;
+  let aliceToken;
+  let bobToken;
+
+  beforeEach(async () => {
+    alice = await createUser('alice');
+    bob = await createUser('bob');
+    aliceToken = await tokenFor(alice);
+    bobToken = await tokenFor(bob);
+  });
+
+  const sendRequest = (token, username) => request(app)
+    .post('/api/users/contact-requests')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ username });
+
+  describe('POST /api/users/contact-requests', () => {
+    it('should create a pending request without adding contacts', async () => {
+      const response = await sendRequest(aliceToken, 'bob').expect(201);
+
+      expect(response.body.request).toMatchObject({
+        from: { id: alice._id.toString(), username: 'alice' },
+        to: { id: bob._id.toString(), username: 'bob' },
+        status: 'pending'
+      });
+      expect(await Contact.countDocuments()).toBe(0);
+    });
+
+    it('should reject duplicate, self and unknown requests', async () => {
+      await sendRequest(aliceToken, 'bob').expect(201);
+
+      const duplicate = await sendRequest(aliceToken, 'bob').expect(409);
+      expect(duplicate.body.message).toBe('Contact request already sent');
+
+      await sendRequest(aliceToken, 'alice').expect(400);
+      await sendRequest(aliceToken, 'nobody').expect(404);
+      await sendRequest(aliceToken, undefined).expect(400);
+    });
+
+    it('should accept the other user\'s pending request when asking them back', async () => {
+      await sendRequest(aliceToken, 'bob').expect(201);
+
+      const response = await sendRequest(bobToken, 'alice').expect(201);
+
+      expect(response.body.request.status).toBe('accepted');
+      expect(response.body.contact).toMatchObject({ id: alice._id.toString(), username: 'alice' });
+      expect(await Contact.areContacts(alice._id, bob._id)).toBe(true);
+      expect(await ContactRequest.countDocuments({ status: 'pending' })).toBe(0);
+    });
+
+    it('should reject requests to existing contacts', async () => {
+      const sent = await sendRequest(aliceToken, 'bob').expect(201);
+      await request(app)
+        .post(`/api/users/contact-requests/${sent.body.request.id}/accept`)
+        .set('Authorization', `Bearer ${bobToken}`)
+        .expect(200);
+
+      const response = await sendRequest(aliceToken, 'bob').expect(409);
+      expect(response.body.message).toBe('Contact already exists');
+    });
+  });
+
+  describe('GET /api/users/contact-requests', () => {
+    it('should split pending requests into incoming and outgoing', async () => {
+      await sendRequest(aliceToken, 'bob').expect(201);
+
+      const bobResponse = await request(app)
+        .get('/api/users/contact-requests')
+        .set('Authorization', `Bearer ${bobToken}`)
+        .expect(200);
+      const aliceResponse = await request(app)
+        .get('/api/users/contact-requests')
+        .set('Authorization', `Bearer ${aliceToken}`)
+        .expect(200);
+
+      expect(bobResponse.body.incoming).toHaveLength(1);
+      expect(bobResponse.body.outgoing).toHaveLength(0);
+      expect(aliceResponse.body.incoming).toHaveLength(0);
+      expect(aliceResponse.body.outgoing).toHaveLength(1);
+    });
+  });
+
+  describe('Answering requests', () => {
+    let requestId;
+
+    beforeEach(async () => {
+      requestId = (await sendRequest(aliceToken, 'bob').expect(201)).body.request.id;
+    });
+
+    it('should make both users contacts of each other on accept', async () => {
+      const response = await request(app)
+        .post(`/api/users/contact-requests/${requestId}/accept`)
+        .set('Authorization', `Bearer ${bobToken}`)
+        .expect(200);
+
+      expect(response.body.request.status).toBe('accepted');
+      expect(response.body.contact).toMatchObject({ id: alice._id.toString(), username: 'alice' });
+
+      const aliceContacts = await request(app)
+        .get('/api/users/contacts')
+        .set('Authorization', `Bearer ${aliceToken}`)
+        .expect(200);
+      expect(aliceContacts.body.contacts.map(contact => contact.username)).toEqual(['bob']);
+    });
+
+    it('should only let the recipient accept or decline', async () => {
+      await request(app)
+        .post(`/api/users/contact-requests/${requestId}/accept`)
+        .set('Authorization', `Bearer ${aliceToken}`)
+        .expect(404);
+      await request(app)
+        .post(`/api/users/contact-requests/${requestId}/decline`)
+        .set('Authorization', `Bearer ${aliceToken}`)
+        .expect(404);
+
+      expect(await Contact.countDocuments()).toBe(0);
+    });
+
+    it('should decline without adding contacts and allow asking again', async () => {
+      const response = await request(app)
+        .post(`/api/users/contact-requests/${requestId}/decline`)
+        .set('Authorization', `Bearer ${bobToken}`)
+        .expect(200);
+
+      expect(response.body.request.status).toBe('declined');
+      expect(await Contact.countDocuments()).toBe(0);
+
+      const accept = await request(app)
+        .post(`/api/users/contact-requests/${requestId}/accept`)
+        .set('Authorization', `Bearer ${bobToken}`)
+        .expect(409);
+      expect(accept.body.message).toBe('Contact request already declined');
+
+      await sendRequest(aliceToken, 'bob').expect(201);
+    });
+
+    it('should only let the sender cancel', async () => {
+      await request(app)
+        .delete(`/api/users/contact-requests/${requestId}`)
+        .set('Authorization', `Bearer ${bobToken}`)
+        .expect(404);
+
+      const response = await request(app)
+        .delete(`/api/users/contact-requests/${requestId}`)
+        .set('Authorization', `Bearer ${aliceToken}`)
+        .expect(200);
+
+      expect(response.body.request.status).toBe('cancelled');
+
+      await request(app)
+        .post(`/api/users/contact-requests/${requestId}/accept`)
+        .set('Authorization', `Bearer ${bobToken}`)
+        .expect(409);
+    });
+  });
+
+  describe('Messaging permission', () => {
+    it('should not treat a one-sided contact as permission to message', async () => {
+      await Contact.create({ userId: alice._id, contactUserId: bob._id });
+
+      const response = await request(app)
+        .get(`/api/messages/${bob._id}`)
+        .set('Authorization', `Bearer ${aliceToken}`)
+        .expect(404);
+
+      expect(response.body.message).toBe('Contact not found');
+    });
+  });
+
+  describe('Migrating one-sided contacts', () => {
+    it('should turn one-sided contacts into pending requests and drop them across a block', async () => {
+      const carol = await createUser('carol');
+      const dave = await createUser('dave');
+      await Contact.create({ userId: alice._id, contactUserId: bob._id });
+      await Contact.create({ userId: alice._id, contactUserId: carol._id });
+      await Contact.create({ userId: alice._id, contactUserId: dave._id });
+      await Contact.create({ userId: dave._id, contactUserId: alice._id });
+      await Block.create({ blockerId: carol._id, blockedId: alice._id });
+
+      expect(await migrateContacts({ dryRun: true })).toEqual({ converted: 1, skipped: 1 });
+      expect(await Contact.countDocuments()).toBe(4);
+      expect(await ContactRequest.countDocuments()).toBe(0);
+
+      expect(await migrateContacts()).toEqual({ converted: 1, skipped: 1 });
+      expect(await Contact.exists({ userId: alice._id, contactUserId: bob._id })).toBeNull();
+      expect(await Contact.exists({ userId: bob._id, contactUserId: alice._id })).toBeNull();
+      expect(await Contact.exists({ userId: alice._id, contactUserId: carol._id })).toBeNull();
+      expect(await Contact.areContacts(alice._id, dave._id)).toBe(true);
+      expect(await ContactRequest.find().select('fromUserId toUserId status -_id').lean()).toEqual([
+        { fromUserId: alice._id, toUserId: bob._id, status: 'pending' }
+      ]);
+
+      expect(await migrateContacts()).toEqual({ converted: 0, skipped: 0 });
+    });
+
+    it('should let the other user accept a migrated request', async () => {
+      await Contact.create({ userId: alice._id, contactUserId: bob._id });
+      await migrateContacts();
+
+      const { body } = await request(app)
+        .get('/api/users/contact-requests')
+        .set('Authorization', `Bearer ${bobToken}`)
+        .expect(200);
+      expect(body.incoming).toHaveLength(1);
+
+      await request(app)
+        .post(`/api/users/contact-requests/${body.incoming[0].id}/accept`)
+        .set('Authorization', `Bearer ${bobToken}`)
+        .expect(200);
+      expect(await Contact.areContacts(alice._id, bob._id)).toBe(true);
+    });
+  });
+});
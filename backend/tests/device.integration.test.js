@@ -0,0 +1,430 @@
+const crypto = require('crypto');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../app');
+const Device = require('../models/Device');
+const PreKeyBundle = require('../models/PreKeyBundle');
+const DeviceLink = require('../models/DeviceLink');
+const KeyLogEntry = require('../models/KeyLogEntry');
+const Session = require('../models/Session');
+const { getKeyBundleHash } = require('../utils/keyBundle');
+const {
+  rawPublicKey,
+  signKeyBundle,
+  signDevice,
+  createKeyBundle,
+  createUser,
+  tokenFor
+} = require('./keyFixtures');
+
+// Device linking uses P-384 ephemeral keys
+const generateLinkKey = () =>
+  rawPublicKey(crypto.generateKeyPairSync('ec', { namedCurve: 'P-384' }).publicKey);
+
+describe('Device Integration Tests', () => {
+  let alice;
+  let bob;
+  let aliceToken;
+  let account;
+  let laptop;
+
+  beforeEach(async () => {
+    account = createKeyBundle();
+    alice = await createUser('alice', { keyBundle: account.keyBundle });
+    bob = await createUser('bob');
+    aliceToken = await tokenFor(alice);
+    laptop = createKeyBundle();
+  });
+
+  const registerDevice = (deviceId, keyBundle, name, accountSignature, token = aliceToken) => request(app)
+    .put(`/api/devices/${deviceId}`)
+    .set('Authorization', `Bearer ${token}`)
+    .set('X-Device-Id', deviceId)
+    .send({ keyBundle, name, accountSignature });
+
+  // Endorsement by the account signing key, as a device holding the account identity gives it
+  const endorse = (deviceId, keyBundle, privateKey = account.signingPrivateKey) =>
+    signDevice(alice._id, deviceId, keyBundle, privateKey);
+
+  const latestLogEntry = (deviceId) =>
+    KeyLogEntry.findOne({ userId: alice._id, deviceId }).sort({ sequence: -1 });
+
+  describe('PUT /api/devices/:deviceId', () => {
+    it('should register a device with its key bundle', async () => {
+      const response = await registerDevice('laptop-0001', laptop.keyBundle, 'Firefox on Linux').expect(200);
+
+      expect(response.body).toHaveProperty('success', true);
+      expect(response.body.device).toMatchObject({
+        deviceId: 'laptop-0001',
+        name: 'Firefox on Linux',
+        current: true
+      });
+      expect(response.body.device.keyBundle).toMatchObject(laptop.keyBundle);
+    });
+
+    it('should update the device on later logins instead of adding another', async () => {
+      await registerDevice('laptop-0001', laptop.keyBundle, 'Firefox on Linux').expect(200);
+      await registerDevice('laptop-0001', laptop.keyBundle).expect(200);
+
+      const devices = await Device.find({ userId: alice._id });
+      expect(devices).toHaveLength(1);
+      expect(devices[0].name).toBe('Firefox on Linux');
+    });
+
+    it('should drop the device prekeys when its identity keys change', async () => {
+      await registerDevice('laptop-0001', laptop.keyBundle).expect(200);
+      await PreKeyBundle.create({
+        userId: alice._id,
+        deviceId: 'laptop-0001',
+        identityKey: laptop.keyBundle.identityKey.publicKey,
+        signingKey: laptop.keyBundle.signingKey.publicKey,
+        signedPreKey: { keyId: 1, publicKey: laptop.keyBundle.identityKey.publicKey, signature: 'c2ln' }
+      });
+
+      await registerDevice('laptop-0001', createKeyBundle().keyBundle).expect(200);
+
+      expect(await PreKeyBundle.countDocuments({ userId: alice._id })).toBe(0);
+    });
+
+    it('should log a device endorsed by the account signing key', async () => {
+      const accountSignature = endorse('laptop-0001', laptop.keyBundle);
+
+      const response = await registerDevice('laptop-0001', laptop.keyBundle, undefined, accountSignature).expect(200);
+
+      expect(response.body.device).toHaveProperty('accountSignature', accountSignature);
+      expect(await latestLogEntry('laptop-0001')).toHaveProperty('keyBundleHash', getKeyBundleHash(laptop.keyBundle));
+    });
+
+    it('should reject an endorsement not signed by the account signing key', async () => {
+      const response = await registerDevice(
+        'laptop-0001',
+        laptop.keyBundle,
+        undefined,
+        endorse('laptop-0001', laptop.keyBundle, laptop.signingPrivateKey)
+      ).expect(403);
+
+      expect(response.body).toHaveProperty('code', 'INVALID_SIGNATURE');
+      expect(await Device.countDocuments({ userId: alice._id })).toBe(0);
+    });
+
+    it('should keep the endorsed bundle when the device registers the same keys again', async () => {
+      const accountSignature = endorse('laptop-0001', laptop.keyBundle);
+      await registerDevice('laptop-0001', laptop.keyBundle, undefined, accountSignature).expect(200);
+
+      // Bundles are signed again on every login
+      const resigned = { ...laptop.keyBundle, signature: signKeyBundle(laptop.keyBundle, laptop.signingPrivateKey) };
+      const response = await registerDevice('laptop-0001', resigned).expect(200);
+
+      expect(response.body.device).toHaveProperty('accountSignature', accountSignature);
+      expect(response.body.device.keyBundle).toHaveProperty('signature', laptop.keyBundle.signature);
+      expect(await KeyLogEntry.countDocuments({ userId: alice._id, deviceId: 'laptop-0001' })).toBe(1);
+    });
+
+    it('should drop the endorsement and log it when the device publishes new keys', async () => {
+      await registerDevice('laptop-0001', laptop.keyBundle, undefined, endorse('laptop-0001', laptop.keyBundle)).expect(200);
+
+      const response = await registerDevice('laptop-0001', createKeyBundle().keyBundle).expect(200);
+
+      expect(response.body.device).toHaveProperty('accountSignature', null);
+      expect(await latestLogEntry('laptop-0001')).toHaveProperty('keyBundleHash', 'f'.repeat(64));
+    });
+
+    it('should not let another session replace the device keys', async () => {
+      await registerDevice('laptop-0001', laptop.keyBundle).expect(200);
+      const otherToken = await tokenFor(alice);
+
+      const response = await registerDevice('laptop-0001', createKeyBundle().keyBundle, undefined, undefined, otherToken)
+        .expect(403);
+
+      expect(response.body).toHaveProperty('message', 'This device is registered to another session');
+      expect((await Device.findOne({ userId: alice._id })).keyBundle.signature).toBe(laptop.keyBundle.signature);
+
+      // Registering binds the session to the device, so the same keys do not get it in either
+      await registerDevice('laptop-0001', laptop.keyBundle, undefined, undefined, otherToken).expect(403);
+      expect(await Session.countDocuments({ userId: alice._id, deviceId: 'laptop-0001' })).toBe(1);
+    });
+
+    it('should let the device register from a new session after logging out', async () => {
+      await registerDevice('laptop-0001', laptop.keyBundle).expect(200);
+      await request(app)
+        .post('/api/auth/logout')
+        .set('Authorization', `Bearer ${aliceToken}`)
+        .expect(200);
+
+      await registerDevice('laptop-0001', laptop.keyBundle, undefined, undefined, await tokenFor(alice)).expect(200);
+    });
+
+    it('should reject requests from a session for a device it is not bound to', async () => {
+      await registerDevice('laptop-0001', laptop.keyBundle).expect(200);
+
+      const response = await request(app)
+        .get('/api/devices')
+        .set('Authorization', `Bearer ${aliceToken}`)
+        .set('X-Device-Id', 'phone-0001')
+        .expect(403);
+      expect(response.body).toHaveProperty('error', 'Device is registered to another session');
+
+      await registerDevice('phone-0001', createKeyBundle().keyBundle).expect(403);
+      expect(await Device.countDocuments({ userId: alice._id })).toBe(1);
+    });
+
+    it('should let a new session replace the device keys once the old one ended', async () => {
+      await registerDevice('laptop-0001', laptop.keyBundle).expect(200);
+      await Session.updateMany({ userId: alice._id }, { revokedAt: new Date(), revokedReason: 'password-reset' });
+
+      await registerDevice('laptop-0001', createKeyBundle().keyBundle, undefined, undefined, await tokenFor(alice))
+        .expect(200);
+    });
+
+    it('should return 400 for a bundle that is not self-signed', async () => {
+      const { keyBundle } = createKeyBundle();
+      keyBundle.signature = laptop.keyBundle.signature;
+
+      const response = await registerDevice('laptop-0001', keyBundle).expect(400);
+
+      expect(response.body).toHaveProperty('message', 'Invalid key bundle signature');
+    });
+
+    it('should return 400 for invalid device IDs', async () => {
+      const response = await registerDevice('short', laptop.keyBundle).expect(400);
+
+      expect(response.body).toHaveProperty('message', 'Invalid device ID');
+    });
+  });
+
+  describe('GET /api/devices', () => {
+    it('should list the user\'s devices and flag the current one', async () => {
+      const phoneToken = await tokenFor(alice);
+      await registerDevice('laptop-0001', laptop.keyBundle).expect(200);
+      await registerDevice('phone-00001', createKeyBundle().keyBundle, undefined, undefined, phoneToken).expect(200);
+
+      const response = await request(app)
+        .get('/api/devices')
+        .set('Authorization', `Bearer ${phoneToken}`)
+        .set('X-Device-Id', 'phone-00001')
+        .expect(200);
+
+      expect(response.body.devices.map(device => [device.deviceId, device.current])).toEqual([
+        ['laptop-0001', false],
+        ['phone-00001', true]
+      ]);
+    });
+  });
+
+  describe('GET /api/users/:id/devices', () => {
+    it('should return another user\'s endorsed devices with their key bundles', async () => {
+      const accountSignature = endorse('laptop-0001', laptop.keyBundle);
+      await registerDevice('laptop-0001', laptop.keyBundle, undefined, accountSignature).expect(200);
+      await registerDevice('phone-00001', createKeyBundle().keyBundle, undefined, undefined, await tokenFor(alice))
+        .expect(200);
+
+      const response = await request(app)
+        .get(`/api/users/${alice._id}/devices`)
+        .set('Authorization', `Bearer ${await tokenFor(bob)}`)
+        .expect(200);
+
+      expect(response.body.devices).toHaveLength(1);
+      expect(response.body.devices[0]).toMatchObject({ deviceId: 'laptop-0001', accountSignature });
+      expect(response.body.devices[0].keyBundle).toMatchObject(laptop.keyBundle);
+    });
+
+    it('should return 404 for unknown users', async () => {
+      await request(app)
+        .get(`/api/users/${new mongoose.Types.ObjectId()}/devices`)
+        .set('Authorization', `Bearer ${aliceToken}`)
+        .expect(404);
+    });
+  });
+
+  describe('DELETE /api/devices/:deviceId', () => {
+    it('should remove the device and its prekeys', async () => {
+      await registerDevice('laptop-0001', laptop.keyBundle).expect(200);
+      await PreKeyBundle.create({
+        userId: alice._id,
+        deviceId: 'laptop-0001',
+        identityKey: laptop.keyBundle.identityKey.publicKey,
+        signingKey: laptop.keyBundle.signingKey.publicKey,
+        signedPreKey: { keyId: 1, publicKey: laptop.keyBundle.identityKey.publicKey, signature: 'c2ln' }
+      });
+
+      await request(app)
+        .delete('/api/devices/laptop-0001')
+        .set('Authorization', `Bearer ${aliceToken}`)
+        .expect(200);
+
+      expect(await Device.countDocuments({ userId: alice._id })).toBe(0);
+      expect(await PreKeyBundle.countDocuments({ userId: alice._id })).toBe(0);
+    });
+
+    it('should revoke the device session and log the revocation', async () => {
+      await registerDevice('laptop-0001', laptop.keyBundle, undefined, endorse('laptop-0001', laptop.keyBundle)).expect(200);
+
+      await request(app)
+        .delete('/api/devices/laptop-0001')
+        .set('Authorization', `Bearer ${await tokenFor(alice)}`)
+        .expect(200);
+
+      // The revoked device cannot register itself again with its old token
+      await registerDevice('laptop-0001', laptop.keyBundle).expect(401);
+      expect(await Session.findOne({ userId: alice._id, deviceId: 'laptop-0001' }))
+        .toHaveProperty('revokedReason', 'device-revoked');
+      expect(await latestLogEntry('laptop-0001')).toHaveProperty('keyBundleHash', 'f'.repeat(64));
+    });
+
+    it('should not revoke another user\'s device', async () => {
+      await registerDevice('laptop-0001', laptop.keyBundle).expect(200);
+
+      await request(app)
+        .delete('/api/devices/laptop-0001')
+        .set('Authorization', `Bearer ${await tokenFor(bob)}`)
+        .expect(404);
+
+      expect(await Device.countDocuments({ userId: alice._id })).toBe(1);
+    });
+  });
+
+  describe('PUT /api/devices/:deviceId/endorsement', () => {
+    let phone;
+
+    beforeEach(async () => {
+      phone = createKeyBundle();
+      await registerDevice('phone-00001', phone.keyBundle).expect(200);
+    });
+
+    const endorseDevice = (deviceId, accountSignature) => request(app)
+      .put(`/api/devices/${deviceId}/endorsement`)
+      .set('Authorization', `Bearer ${aliceToken}`)
+      .send({ accountSignature });
+
+    it('should endorse a pending device and log its bundle', async () => {
+      const accountSignature = endorse('phone-00001', phone.keyBundle);
+
+      const response = await endorseDevice('phone-00001', accountSignature).expect(200);
+
+      expect(response.body.device).toHaveProperty('accountSignature', accountSignature);
+      expect(await latestLogEntry('phone-00001')).toHaveProperty('keyBundleHash', getKeyBundleHash(phone.keyBundle));
+    });
+
+    it('should reject signatures by other keys or for other devices', async () => {
+      await endorseDevice('phone-00001', endorse('phone-00001', phone.keyBundle, phone.signingPrivateKey)).expect(403);
+      await endorseDevice('phone-00001', endorse('laptop-0001', phone.keyBundle)).expect(403);
+      await endorseDevice('laptop-0001', endorse('laptop-0001', phone.keyBundle)).expect(404);
+
+      expect(await Device.findOne({ userId: alice._id })).toHaveProperty('accountSignature', null);
+    });
+
+    it('should drop endorsements when the account signing key changes', async () => {
+      await endorseDevice('phone-00001', endorse('phone-00001', phone.keyBundle)).expect(200);
+
+      await request(app)
+        .put('/api/users/keys')
+        .set('Authorization', `Bearer ${aliceToken}`)
+        .send({ keyBundle: createKeyBundle().keyBundle, password: 'password123' })
+        .expect(200);
+
+      expect(await Device.findOne({ userId: alice._id })).toHaveProperty('accountSignature', null);
+    });
+  });
+
+  describe('Device links', () => {
+    const transfer = () => ({
+      publicKey: generateLinkKey(),
+      ciphertext: 'Y2lwaGVydGV4dA==',
+      iv: 'aXYtYnl0ZXM=',
+      authTag: 'dGFn'
+    });
+
+    // The new device signs in with its own session before it has any keys
+    let newDeviceToken;
+
+    const createLink = (deviceId = 'newphone-01', publicKey = generateLinkKey(), token = newDeviceToken) => request(app)
+      .post('/api/devices/links')
+      .set('Authorization', `Bearer ${token}`)
+      .set('X-Device-Id', deviceId)
+      .send({ publicKey });
+
+    const approveLink = (linkId, deviceId = 'laptop-0001', body = transfer(), token = aliceToken) => request(app)
+      .post(`/api/devices/links/${linkId}/approve`)
+      .set('Authorization', `Bearer ${token}`)
+      .set('X-Device-Id', deviceId)
+      .send(body);
+
+    beforeEach(async () => {
+      await registerDevice('laptop-0001', laptop.keyBundle).expect(200);
+      newDeviceToken = await tokenFor(alice);
+    });
+
+    it('should relay the encrypted transfer from the approving device to the new one', async () => {
+      const publicKey = generateLinkKey();
+      const created = await createLink('newphone-01', publicKey).expect(201);
+
+      expect(created.body).toMatchObject({ publicKey, status: 'pending', transfer: null });
+
+      const body = transfer();
+      await approveLink(created.body.linkId, 'laptop-0001', body).expect(200);
+
+      const response = await request(app)
+        .get(`/api/devices/links/${created.body.linkId}`)
+        .set('Authorization', `Bearer ${aliceToken}`)
+        .expect(200);
+
+      expect(response.body).toMatchObject({
+        status: 'approved',
+        requestingDeviceId: 'newphone-01',
+        approvingDeviceId: 'laptop-0001',
+        transfer: body
+      });
+    });
+
+    it('should only approve a link once', async () => {
+      const created = await createLink().expect(201);
+      await approveLink(created.body.linkId).expect(200);
+
+      await approveLink(created.body.linkId).expect(409);
+    });
+
+    it('should not let unregistered devices approve links', async () => {
+      const created = await createLink().expect(201);
+
+      const response = await approveLink(created.body.linkId, 'unknown-device', transfer(), newDeviceToken).expect(403);
+
+      expect(response.body).toHaveProperty('message', 'Only a registered device can approve device links');
+    });
+
+    it('should not let a device approve its own link', async () => {
+      const created = await createLink('laptop-0001', generateLinkKey(), aliceToken).expect(201);
+
+      await approveLink(created.body.linkId, 'laptop-0001').expect(400);
+    });
+
+    it('should reject keys that are not P-384', async () => {
+      const response = await createLink('newphone-01', laptop.keyBundle.identityKey.publicKey).expect(400);
+
+      expect(response.body).toHaveProperty('message', 'Invalid link public key');
+    });
+
+    it('should hide links from other users and after they expire', async () => {
+      const created = await createLink().expect(201);
+
+      await request(app)
+        .get(`/api/devices/links/${created.body.linkId}`)
+        .set('Authorization', `Bearer ${await tokenFor(bob)}`)
+        .expect(404);
+
+      await DeviceLink.updateOne({ _id: created.body.linkId }, { expiresAt: new Date(Date.now() - 1000) });
+
+      await approveLink(created.body.linkId).expect(404);
+    });
+
+    it('should delete the link once the transfer was imported', async () => {
+      const created = await createLink().expect(201);
+
+      await request(app)
+        .delete(`/api/devices/links/${created.body.linkId}`)
+        .set('Authorization', `Bearer ${aliceToken}`)
+        .expect(200);
+
+      expect(await DeviceLink.countDocuments()).toBe(0);
+    });
+  });
+});
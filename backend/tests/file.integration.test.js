@@ -0,0 +1,283 @@
+// Keep chunks inside the in-memory MongoDB instead of writing to disk
+process.env.FILE_STORAGE = 'gridfs';
+
+const crypto = require('crypto');
+const request = require('supertest');
+const app = require('../app');
+const Contact = require('../models/Contact');
+const File = require('../models/File');
+const { createUser, tokenFor, registerSigningKey } = require('./keyFixtures');
+
+// ECDSA SHA-384 signature over [encryptedContent, iv, nonce, timestamp ms, sequenceNumber, receiverId]
+const signEnvelope = (message, privateKey) => ({
+  ...message,
+  signature: crypto.sign(
+    'sha384',
+    Buffer.from(JSON.stringify([
+      message.encryptedContent,
+      message.iv,
+      message.nonce,
+      new Date(message.timestamp).getTime(),
+      message.sequenceNumber,
+      message.receiverId
+    ])),
+    { key: privateKey, dsaEncoding: 'ieee-p1363' }
+  ).toString('base64')
+});
+
+const encryptedMetadata = { ciphertext: 'bWV0YWRhdGE=', iv: 'aXY=', authTag: 'dGFn' };
+
+const chunk = (chunkIndex, text) => ({
+  chunkIndex,
+  ciphertext: Buffer.from(text).toString('base64'),
+  iv: `iv-${chunkIndex}`,
+  authTag: `tag-${chunkIndex}`
+});
+
+describe('Encrypted File Integration Tests', () => {
+  let alice;
+  let bob;
+  let aliceToken;
+  let bobToken;
+
+  beforeEach(async () => {
+    alice = await createUser('alice');
+    bob = await createUser('bob');
+    aliceToken = await tokenFor(alice);
+    bobToken = await tokenFor(bob);
+    await Contact.create({ userId: alice._id, contactUserId: bob._id });
+    await Contact.create({ userId: bob._id, contactUserId: alice._id });
+  });
+
+  const upload = (body, token = aliceToken) => request(app)
+    .post('/api/files/upload')
+    .set('Authorization', `Bearer ${token}`)
+    .send(body);
+
+  const uploadComplete = () => upload({
+    fileId: 'file_1',
+    chunks: [chunk(0, 'first'), chunk(1, 'second')],
+    metadata: { totalChunks: 2, encryptedMetadata }
+  });
+
+  const share = (body = { fileId: 'file_1', userId: bob._id.toString(), encryptedMetadata }) => request(app)
+    .post('/api/files/share')
+    .set('Authorization', `Bearer ${aliceToken}`)
+    .send(body);
+
+  describe('POST /api/files/upload', () => {
+    it('should store chunks and mark the file complete', async () => {
+      const response = await uploadComplete().expect(201);
+
+      expect(response.body).toHaveProperty('success', true);
+      expect(response.body).toHaveProperty('status', 'complete');
+      expect(response.body).toHaveProperty('downloadUrl', '/api/files/file_1');
+
+      const file = await File.findOne({ fileId: 'file_1' });
+      expect(file.storage).toBe('gridfs');
+      expect(file.encryptedMetadata).toEqual(encryptedMetadata);
+    });
+
+    it('should accept chunks across several requests', async () => {
+      await upload({
+        fileId: 'file_1',
+        chunks: [chunk(0, 'first')],
+        metadata: { totalChunks: 2, encryptedMetadata }
+      }).expect(201);
+
+      const response = await upload({ fileId: 'file_1', chunks: [chunk(1, 'second')] }).expect(201);
+
+      expect(response.body).toHaveProperty('status', 'complete');
+      expect(response.body).toHaveProperty('receivedChunks', 2);
+    });
+
+    it('should keep every chunk of batches uploaded in parallel', async () => {
+      await upload({
+        fileId: 'file_1',
+        chunks: [chunk(0, 'first')],
+        metadata: { totalChunks: 3, encryptedMetadata }
+      }).expect(201);
+
+      const responses = await Promise.all([
+        upload({ fileId: 'file_1', chunks: [chunk(1, 'second')] }),
+        upload({ fileId: 'file_1', chunks: [chunk(2, 'third')] })
+      ]);
+
+      expect(responses.map(response => response.status)).toEqual([201, 201]);
+      const file = await File.findOne({ fileId: 'file_1' });
+      expect(file.chunks.map(stored => stored.chunkIndex).sort()).toEqual([0, 1, 2]);
+      expect(file.size).toBe('firstsecondthird'.length);
+      expect(file.status).toBe('complete');
+    });
+
+    it('should accept the same chunk only once when sent twice at once', async () => {
+      await upload({
+        fileId: 'file_1',
+        chunks: [chunk(0, 'first')],
+        metadata: { totalChunks: 2, encryptedMetadata }
+      }).expect(201);
+
+      const responses = await Promise.all([
+        upload({ fileId: 'file_1', chunks: [chunk(1, 'second')] }),
+        upload({ fileId: 'file_1', chunks: [chunk(1, 'second')] })
+      ]);
+
+      expect(responses.map(response => response.status).sort()).toEqual([201, 409]);
+      const file = await File.findOne({ fileId: 'file_1' });
+      expect(file.chunks).toHaveLength(2);
+      expect(file.size).toBe('firstsecond'.length);
+    });
+
+    it('should require encrypted metadata on the first request', async () => {
+      const response = await upload({
+        fileId: 'file_1',
+        chunks: [chunk(0, 'first')],
+        metadata: { totalChunks: 1, encryptedMetadata: { filename: 'plain.txt' } }
+      }).expect(400);
+
+      expect(response.body).toHaveProperty('message', 'Encrypted file metadata is required');
+    });
+
+    it('should not let another user append to the file', async () => {
+      await upload({
+        fileId: 'file_1',
+        chunks: [chunk(0, 'first')],
+        metadata: { totalChunks: 2, encryptedMetadata }
+      });
+
+      await upload({ fileId: 'file_1', chunks: [chunk(1, 'second')] }, bobToken).expect(409);
+    });
+
+    it('should return 401 without token', async () => {
+      await request(app)
+        .post('/api/files/upload')
+        .send({ fileId: 'file_1', chunks: [chunk(0, 'first')] })
+        .expect(401);
+    });
+  });
+
+  describe('GET /api/files/:fileId', () => {
+    it('should return the chunks to the uploader', async () => {
+      await uploadComplete();
+
+      const response = await request(app)
+        .get('/api/files/file_1')
+        .set('Authorization', `Bearer ${aliceToken}`)
+        .expect(200);
+
+      expect(response.body.chunks).toHaveLength(2);
+      expect(Buffer.from(response.body.chunks[1].ciphertext, 'base64').toString()).toBe('second');
+      expect(response.body.chunks[1]).toHaveProperty('iv', 'iv-1');
+      expect(response.body.encryptedMetadata).toEqual(encryptedMetadata);
+    });
+
+    it('should hide files that are not shared with the caller', async () => {
+      await uploadComplete();
+
+      const response = await request(app)
+        .get('/api/files/file_1')
+        .set('Authorization', `Bearer ${bobToken}`)
+        .expect(404);
+
+      expect(response.body).toHaveProperty('message', 'File not found');
+    });
+
+    it('should return the recipient copy of the metadata once shared', async () => {
+      await uploadComplete();
+      const bobMetadata = { ciphertext: 'Ym9i', iv: 'aXY=', authTag: 'dGFn' };
+      await share({ fileId: 'file_1', userId: bob._id.toString(), encryptedMetadata: bobMetadata }).expect(200);
+
+      const response = await request(app)
+        .get('/api/files/file_1')
+        .set('Authorization', `Bearer ${bobToken}`)
+        .expect(200);
+
+      expect(response.body.encryptedMetadata).toEqual(bobMetadata);
+      expect(response.body.chunks).toHaveLength(2);
+    });
+
+    it('should return 409 while the upload is incomplete', async () => {
+      await upload({
+        fileId: 'file_1',
+        chunks: [chunk(0, 'first')],
+        metadata: { totalChunks: 2, encryptedMetadata }
+      });
+
+      await request(app)
+        .get('/api/files/file_1')
+        .set('Authorization', `Bearer ${aliceToken}`)
+        .expect(409);
+    });
+  });
+
+  describe('POST /api/files/share', () => {
+    it('should return 404 when the target is not a contact', async () => {
+      await uploadComplete();
+      const stranger = await createUser('stranger');
+
+      const response = await share({ fileId: 'file_1', userId: stranger._id.toString(), encryptedMetadata })
+        .expect(404);
+
+      expect(response.body).toHaveProperty('message', 'Contact not found');
+    });
+
+    it('should only let the uploader share the file', async () => {
+      await uploadComplete();
+
+      await request(app)
+        .post('/api/files/share')
+        .set('Authorization', `Bearer ${bobToken}`)
+        .send({ fileId: 'file_1', userId: alice._id.toString(), encryptedMetadata })
+        .expect(404);
+    });
+  });
+
+  describe('POST /api/messages/send with a file', () => {
+    let aliceSigningKey;
+
+    beforeEach(async () => {
+      aliceSigningKey = await registerSigningKey(alice);
+    });
+
+    const fileMessage = () => signEnvelope({
+      receiverId: bob._id.toString(),
+      encryptedContent: 'ZW5jcnlwdGVk',
+      iv: 'aXY=',
+      authTag: 'dGFn',
+      nonce: 'bm9uY2U=',
+      timestamp: new Date().toISOString(),
+      messageType: 'file',
+      fileId: 'file_1',
+      sequenceNumber: 1
+    }, aliceSigningKey);
+
+    it('should reject file messages for files not shared with the receiver', async () => {
+      await uploadComplete();
+
+      await request(app)
+        .post('/api/messages/send')
+        .set('Authorization', `Bearer ${aliceToken}`)
+        .send(fileMessage())
+        .expect(404);
+    });
+
+    it('should deliver the file ID once the file is shared', async () => {
+      await uploadComplete();
+      await share();
+
+      await request(app)
+        .post('/api/messages/send')
+        .set('Authorization', `Bearer ${aliceToken}`)
+        .send(fileMessage())
+        .expect(201);
+
+      const response = await request(app)
+        .get(`/api/messages/${alice._id}`)
+        .set('Authorization', `Bearer ${bobToken}`)
+        .expect(200);
+
+      expect(response.body.messages[0]).toHaveProperty('messageType', 'file');
+      expect(response.body.messages[0]).toHaveProperty('fileId', 'file_1');
+    });
+  });
+});
@@ -0,0 +1,641 @@
+const crypto = require('crypto');
+const request = require('supertest');
+const app = require('../app');
+const Contact = require('../models/Contact');
+const Group = require('../models/Group');
+const Message = require('../models/Message');
+const GroupMessage = require('../models/GroupMessage');
+const GroupInvite = require('../models/GroupInvite');
+const { createUser, tokenFor, registerSigningKey } = require('./keyFixtures');
+
+// Same signature as direct messages: [encryptedContent, iv, nonce, timestamp ms, sequence, receiver]
+const sign = (fields, sequenceNumber, receiverId, privateKey) => crypto.sign(
+  'sha384',
+  Buffer.from(JSON.stringify([
+    fields.encryptedContent,
+    fields.iv,
+    fields.nonce,
+    new Date(fields.timestamp).getTime(),
+    sequenceNumber,
+    String(receiverId)
+  ])),
+  { key: privateKey, dsaEncoding: 'ieee-p1363' }
+).toString('base64');
+
+// Membership changes: [groupId, type, sorted targetIds, name, timestamp ms]
+const signEvent = (groupId, type, privateKey, { targetIds = [], name = null } = {}) => {
+  const timestamp = new Date().toISOString();
+  const signature = crypto.sign(
+    'sha384',
+    Buffer.from(JSON.stringify([
+      groupId ? String(groupId) : null,
+      type,
+      targetIds.map(String).sort(),
+      name,
+      new Date(timestamp).getTime()
+    ])),
+    { key: privateKey, dsaEncoding: 'ieee-p1363' }
+  ).toString('base64');
+  return { timestamp, signature };
+};
+
+const envelope = () => ({
+  encryptedContent: 'ZW5jcnlwdGVk',
+  iv: 'aXY=',
+  authTag: 'dGFn',
+  nonce: crypto.randomBytes(12).toString('base64'),
+  timestamp: new Date().toISOString()
+});
+
+describe('Group Integration Tests', () => {
+  let alice;
+  let bob;
+  let carol;
+  let aliceToken;
+  let bobToken;
+  let carolToken;
+  let aliceSigningKey;
+
+  beforeEach(async () => {
+    alice = await createUser('alice');
+    bob = await createUser('bob');
+    carol = await createUser('carol');
+    aliceToken = await tokenFor(alice);
+    bobToken = await tokenFor(bob);
+    carolToken = await tokenFor(carol);
+    aliceSigningKey = await registerSigningKey(alice);
+    await Contact.create({ userId: alice._id, contactUserId: bob._id });
+    await Contact.create({ userId: bob._id, contactUserId: alice._id });
+    await Contact.create({ userId: alice._id, contactUserId: carol._id });
+    await Contact.create({ userId: carol._id, contactUserId: alice._id });
+  });
+
+  const createGroup = async () => {
+    const memberIds = [bob._id.toString(), carol._id.toString()];
+    const response = await request(app)
+      .post('/api/groups')
+      .set('Authorization', `Bearer ${aliceToken}`)
+      .send({
+        name: ' Team ',
+        memberIds,
+        ...signEvent(null, 'created', aliceSigningKey, { targetIds: memberIds, name: 'Team' })
+      })
+      .expect(201);
+    return response.body.group;
+  };
+
+  const groupMessage = (groupId, overrides = {}) => {
+    const fields = { ...envelope(), epoch: 0, keyId: 'key-1', iteration: 0, ...overrides };
+    return { ...fields, signature: sign(fields, fields.iteration, groupId, aliceSigningKey) };
+  };
+
+  describe('POST /api/groups', () => {
+    it('should create a group with the creator as admin', async () => {
+      const group = await createGroup();
+
+      expect(group.name).toBe('Team');
+      expect(group.epoch).toBe(0);
+      expect(group.admins).toEqual([alice._id.toString()]);
+      expect(group.members.map(member => member.username).sort()).toEqual(['alice', 'bob', 'carol']);
+    });
+
+    it('should only add the creator\'s contacts', async () => {
+      const bobSigningKey = await registerSigningKey(bob);
+      const response = await request(app)
+        .post('/api/groups')
+        .set('Authorization', `Bearer ${bobToken}`)
+        .send({
+          name: 'Team',
+          memberIds: [carol._id.toString()],
+          ...signEvent(null, 'created', bobSigningKey, { targetIds: [carol._id], name: 'Team' })
+        })
+        .expect(404);
+
+      expect(response.body.message).toBe('Contact not found');
+      expect(await Group.countDocuments()).toBe(0);
+    });
+
+    it('should reject a missing name', async () => {
+      await request(app)
+        .post('/api/groups')
+        .set('Authorization', `Bearer ${aliceToken}`)
+        .send({ name: '  ', memberIds: [bob._id.toString()] })
+        .expect(400);
+    });
+
+    it('should record the signed creation as the first timeline entry', async () => {
+      const group = await createGroup();
+
+      const response = await request(app)
+        .get(`/api/groups/${group.id}/messages`)
+        .set('Authorization', `Bearer ${bobToken}`)
+        .expect(200);
+
+      expect(response.body.messages).toHaveLength(1);
+      expect(response.body.messages[0]).toMatchObject({
+        senderId: alice._id.toString(),
+        messageType: 'system',
+        event: { type: 'created', name: 'Team' }
+      });
+      expect(response.body.messages[0].event.targetIds.sort())
+        .toEqual([bob._id.toString(), carol._id.toString()].sort());
+    });
+
+    it('should require the creation to be signed', async () => {
+      const response = await request(app)
+        .post('/api/groups')
+        .set('Authorization', `Bearer ${aliceToken}`)
+        .send({ name: 'Team', memberIds: [bob._id.toString()] })
+        .expect(400);
+
+      expect(response.body.message).toBe('Signed event is required');
+      expect(await Group.countDocuments()).toBe(0);
+    });
+
+    it('should reject a creation signed for other members', async () => {
+      const response = await request(app)
+        .post('/api/groups')
+        .set('Authorization', `Bearer ${aliceToken}`)
+        .send({
+          name: 'Team',
+          memberIds: [bob._id.toString(), carol._id.toString()],
+          ...signEvent(null, 'created', aliceSigningKey, { targetIds: [bob._id], name: 'Team' })
+        })
+        .expect(403);
+
+      expect(response.body.code).toBe('INVALID_SIGNATURE');
+      expect(await Group.countDocuments()).toBe(0);
+    });
+  });
+
+  describe('GET /api/groups', () => {
+    it('should list only groups the user belongs to', async () => {
+      await createGroup();
+      const outsider = await createUser('dave');
+
+      const memberResponse = await request(app)
+        .get('/api/groups')
+        .set('Authorization', `Bearer ${bobToken}`)
+        .expect(200);
+      const outsiderResponse = await request(app)
+        .get('/api/groups')
+        .set('Authorization', `Bearer ${await tokenFor(outsider)}`)
+        .expect(200);
+
+      expect(memberResponse.body.groups).toHaveLength(1);
+      expect(outsiderResponse.body.groups).toHaveLength(0);
+    });
+  });
+
+  describe('Group messages', () => {
+    it('should store one signed ciphertext readable by every member', async () => {
+      const group = await createGroup();
+
+      await request(app)
+        .post(`/api/groups/${group.id}/messages`)
+        .set('Authorization', `Bearer ${aliceToken}`)
+        .send(groupMessage(group.id))
+        .expect(201);
+
+      const response = await request(app)
+        .get(`/api/groups/${group.id}/messages`)
+        .set('Authorization', `Bearer ${carolToken}`)
+        .expect(200);
+
+      const texts = response.body.messages.filter(message => message.messageType === 'text');
+      expect(texts).toHaveLength(1);
+      expect(texts[0]).toMatchObject({
+        senderId: alice._id.toString(),
+        keyId: 'key-1',
+        iteration: 0,
+        epoch: 0
+      });
+    });
+
+    it('should reject signatures over another group', async () => {
+      const group = await createGroup();
+      const other = await Group.create({ name: 'Other', createdBy: alice._id, members: [alice._id], admins: [alice._id] });
+      const fields = { ...envelope(), epoch: 0, keyId: 'key-1', iteration: 0 };
+
+      const response = await request(app)
+        .post(`/api/groups/${group.id}/messages`)
+        .set('Authorization', `Bearer ${aliceToken}`)
+        .send({ ...fields, signature: sign(fields, 0, other._id, aliceSigningKey) })
+        .expect(403);
+
+      expect(response.body.code).toBe('INVALID_SIGNATURE');
+      expect(await GroupMessage.countDocuments({ messageType: 'text' })).toBe(0);
+    });
+
+    it('should ask for a new sender key after membership changes', async () => {
+      const group = await createGroup();
+      await Group.updateOne({ _id: group.id }, { $inc: { epoch: 1 } });
+
+      const response = await request(app)
+        .post(`/api/groups/${group.id}/messages`)
+        .set('Authorization', `Bearer ${aliceToken}`)
+        .send(groupMessage(group.id))
+        .expect(409);
+
+      expect(response.body).toMatchObject({ code: 'GROUP_EPOCH_MISMATCH', epoch: 1 });
+    });
+
+    it('should hide the group from non-members', async () => {
+      const group = await createGroup();
+      const outsider = await createUser('dave');
+
+      await request(app)
+        .get(`/api/groups/${group.id}/messages`)
+        .set('Authorization', `Bearer ${await tokenFor(outsider)}`)
+        .expect(404);
+    });
+  });
+
+  describe('Sender key distribution', () => {
+    it('should let members who are not contacts exchange sender keys', async () => {
+      const group = await createGroup();
+      const bobSigningKey = await registerSigningKey(bob);
+      const fields = { ...envelope(), receiverId: carol._id.toString(), sequenceNumber: 0 };
+
+      await request(app)
+        .post('/api/messages/send')
+        .set('Authorization', `Bearer ${bobToken}`)
+        .send({
+          ...fields,
+          messageType: 'sender_key',
+          groupId: group.id,
+          signature: sign(fields, 0, carol._id, bobSigningKey)
+        })
+        .expect(201);
+
+      const response = await request(app)
+        .get(`/api/groups/${group.id}/sender-keys`)
+        .set('Authorization', `Bearer ${carolToken}`)
+        .expect(200);
+
+      expect(response.body.messages).toHaveLength(1);
+      expect(response.body.messages[0]).toMatchObject({
+        senderId: bob._id.toString(),
+        messageType: 'sender_key',
+        groupId: group.id
+      });
+    });
+
+    it('should not allow sender keys outside a shared group', async () => {
+      const group = await createGroup();
+      const outsider = await createUser('dave');
+      const bobSigningKey = await registerSigningKey(bob);
+      const fields = { ...envelope(), receiverId: outsider._id.toString(), sequenceNumber: 0 };
+
+      await request(app)
+        .post('/api/messages/send')
+        .set('Authorization', `Bearer ${bobToken}`)
+        .send({
+          ...fields,
+          messageType: 'sender_key',
+          groupId: group.id,
+          signature: sign(fields, 0, outsider._id, bobSigningKey)
+        })
+        .expect(404);
+
+      expect(await Message.countDocuments()).toBe(0);
+    });
+
+    it('should keep sender keys out of direct message history', async () => {
+      const group = await createGroup();
+      const fields = { ...envelope(), receiverId: bob._id.toString(), sequenceNumber: 0 };
+
+      await request(app)
+        .post('/api/messages/send')
+        .set('Authorization', `Bearer ${aliceToken}`)
+        .send({
+          ...fields,
+          messageType: 'sender_key',
+          groupId: group.id,
+          signature: sign(fields, 0, bob._id, aliceSigningKey)
+        })
+        .expect(201);
+
+      const response = await request(app)
+        .get(`/api/messages/${alice._id}`)
+        .set('Authorization', `Bearer ${bobToken}`)
+        .expect(200);
+
+      expect(response.body.messages).toHaveLength(0);
+    });
+
+    it('should let members who are not contacts claim each other\'s prekeys', async () => {
+      await createGroup();
+
+      const response = await request(app)
+        .post(`/api/prekeys/${carol._id}/claim`)
+        .set('Authorization', `Bearer ${bobToken}`)
+        .expect(404);
+
+      // Past the contact check; Carol simply has not published prekeys
+      expect(response.body.message).toBe('Prekey bundle not found');
+    });
+  });
+
+  describe('Group management', () => {
+    const asAlice = (req) => req.set('Authorization', `Bearer ${aliceToken}`);
+    const timeline = async (groupId) => (await GroupMessage.find({ groupId, messageType: 'system' })
+      .sort({ timestamp: 1 })).map(message => message.event.type);
+
+    it('should let admins rename the group without re-keying', async () => {
+      const group = await createGroup();
+
+      const response = await asAlice(request(app).patch(`/api/groups/${group.id}`))
+        .send({ name: 'Crew', ...signEvent(group.id, 'renamed', aliceSigningKey, { name: 'Crew' }) })
+        .expect(200);
+
+      expect(response.body.group).toMatchObject({ name: 'Crew', epoch: 0 });
+      expect(await timeline(group.id)).toEqual(['created', 'renamed']);
+    });
+
+    it('should only let admins manage the group', async () => {
+      const group = await createGroup();
+      const bobSigningKey = await registerSigningKey(bob);
+
+      const response = await request(app)
+        .patch(`/api/groups/${group.id}`)
+        .set('Authorization', `Bearer ${bobToken}`)
+        .send({ name: 'Mine', ...signEvent(group.id, 'renamed', bobSigningKey, { name: 'Mine' }) })
+        .expect(403);
+
+      expect(response.body.message).toBe('Only group admins can manage the group');
+      expect((await Group.findById(group.id)).name).toBe('Team');
+    });
+
+    it('should reject an unsigned or forged change', async () => {
+      const group = await createGroup();
+
+      await asAlice(request(app).patch(`/api/groups/${group.id}`))
+        .send({ name: 'Crew' })
+        .expect(400);
+
+      const response = await asAlice(request(app).patch(`/api/groups/${group.id}`))
+        .send({ name: 'Crew', ...signEvent(group.id, 'renamed', aliceSigningKey, { name: 'Other' }) })
+        .expect(403);
+
+      expect(response.body.code).toBe('INVALID_SIGNATURE');
+    });
+
+    it('should reject a stale signed change', async () => {
+      const group = await createGroup();
+      const signed = signEvent(group.id, 'renamed', aliceSigningKey, { name: 'Crew' });
+      const timestamp = new Date(Date.now() - 10 * 60 * 1000).toISOString();
+
+      const response = await asAlice(request(app).patch(`/api/groups/${group.id}`))
+        .send({ name: 'Crew', ...signed, timestamp })
+        .expect(400);
+
+      expect(response.body.message).toBe('Event timestamp is too old or in the future');
+    });
+
+    it('should not record a replayed change twice', async () => {
+      const group = await createGroup();
+      const signed = signEvent(group.id, 'admin_promoted', aliceSigningKey, { targetIds: [bob._id] });
+
+      await asAlice(request(app).put(`/api/groups/${group.id}/admins/${bob._id}`)).send(signed).expect(200);
+      await asAlice(request(app).delete(`/api/groups/${group.id}/admins/${bob._id}`))
+        .send(signEvent(group.id, 'admin_demoted', aliceSigningKey, { targetIds: [bob._id] }))
+        .expect(200);
+
+      const response = await asAlice(request(app).put(`/api/groups/${group.id}/admins/${bob._id}`))
+        .send(signed)
+        .expect(409);
+
+      expect(response.body.message).toBe('Event already recorded');
+      expect((await Group.findById(group.id)).admins.map(String)).toEqual([alice._id.toString()]);
+    });
+
+    it('should add a contact and bump the epoch', async () => {
+      const group = await createGroup();
+      const dave = await createUser('dave');
+      await Contact.create({ userId: alice._id, contactUserId: dave._id });
+      await Contact.create({ userId: dave._id, contactUserId: alice._id });
+
+      const response = await asAlice(request(app).post(`/api/groups/${group.id}/members`))
+        .send({
+          userId: dave._id.toString(),
+          ...signEvent(group.id, 'member_added', aliceSigningKey, { targetIds: [dave._id] })
+        })
+        .expect(200);
+
+      expect(response.body.group.epoch).toBe(1);
+      expect(response.body.group.members.map(member => member.username)).toContain('dave');
+      expect(await timeline(group.id)).toEqual(['created', 'member_added']);
+    });
+
+    it('should only add the admin\'s contacts', async () => {
+      const group = await createGroup();
+      const dave = await createUser('dave');
+
+      await asAlice(request(app).post(`/api/groups/${group.id}/members`))
+        .send({
+          userId: dave._id.toString(),
+          ...signEvent(group.id, 'member_added', aliceSigningKey, { targetIds: [dave._id] })
+        })
+        .expect(404);
+
+      await asAlice(request(app).post(`/api/groups/${group.id}/members`))
+        .send({
+          userId: bob._id.toString(),
+          ...signEvent(group.id, 'member_added', aliceSigningKey, { targetIds: [bob._id] })
+        })
+        .expect(409);
+    });
+
+    it('should remove a member from the group and its admins', async () => {
+      const group = await createGroup();
+      await Group.updateOne({ _id: group.id }, { $push: { admins: bob._id } });
+
+      const response = await asAlice(request(app).delete(`/api/groups/${group.id}/members/${bob._id}`))
+        .send(signEvent(group.id, 'member_removed', aliceSigningKey, { targetIds: [bob._id] }))
+        .expect(200);
+
+      expect(response.body.group.epoch).toBe(1);
+      expect(response.body.group.admins).toEqual([alice._id.toString()]);
+
+      await request(app)
+        .get(`/api/groups/${group.id}/messages`)
+        .set('Authorization', `Bearer ${bobToken}`)
+        .expect(404);
+    });
+
+    it('should not let the only admin leave a group with other members', async () => {
+      const group = await createGroup();
+
+      const response = await asAlice(request(app).post(`/api/groups/${group.id}/leave`))
+        .send(signEvent(group.id, 'member_left', aliceSigningKey))
+        .expect(400);
+
+      expect(response.body.message).toBe('Promote another admin before leaving');
+    });
+
+    it('should let members leave and delete the group with its last member', async () => {
+      const group = await createGroup();
+      const bobSigningKey = await registerSigningKey(bob);
+      const carolSigningKey = await registerSigningKey(carol);
+
+      await request(app)
+        .post(`/api/groups/${group.id}/leave`)
+        .set('Authorization', `Bearer ${bobToken}`)
+        .send(signEvent(group.id, 'member_left', bobSigningKey))
+        .expect(200);
+      await request(app)
+        .post(`/api/groups/${group.id}/leave`)
+        .set('Authorization', `Bearer ${carolToken}`)
+        .send(signEvent(group.id, 'member_left', carolSigningKey))
+        .expect(200);
+
+      const updated = await Group.findById(group.id);
+      expect(updated.epoch).toBe(2);
+      expect(await timeline(group.id)).toEqual(['created', 'member_left', 'member_left']);
+
+      await asAlice(request(app).post(`/api/groups/${group.id}/leave`))
+        .send(signEvent(group.id, 'member_left', aliceSigningKey))
+        .expect(200);
+
+      expect(await Group.countDocuments()).toBe(0);
+      expect(await GroupMessage.countDocuments()).toBe(0);
+    });
+
+    it('should apply concurrent membership changes without losing either', async () => {
+      const group = await createGroup();
+      const bobSigningKey = await registerSigningKey(bob);
+      const carolSigningKey = await registerSigningKey(carol);
+
+      const responses = await Promise.all([
+        request(app)
+          .post(`/api/groups/${group.id}/leave`)
+          .set('Authorization', `Bearer ${bobToken}`)
+          .send(signEvent(group.id, 'member_left', bobSigningKey)),
+        request(app)
+          .post(`/api/groups/${group.id}/leave`)
+          .set('Authorization', `Bearer ${carolToken}`)
+          .send(signEvent(group.id, 'member_left', carolSigningKey))
+      ]);
+
+      expect(responses.map(response => response.status)).toEqual([200, 200]);
+      const updated = await Group.findById(group.id);
+      expect(updated.members.map(String)).toEqual([alice._id.toString()]);
+      expect(updated.epoch).toBe(2);
+    });
+
+    it('should return 409 when the group changed after it was checked', async () => {
+      const group = await createGroup();
+      const dave = await createUser('dave');
+      await Contact.create({ userId: alice._id, contactUserId: dave._id });
+      await Contact.create({ userId: dave._id, contactUserId: alice._id });
+
+      // Dave joins between the admin's checks and the update
+      const findOne = Group.findOne.bind(Group);
+      const spy = jest.spyOn(Group, 'findOne').mockImplementationOnce(async (...args) => {
+        const loaded = await findOne(...args);
+        await Group.updateOne({ _id: group.id }, { $push: { members: dave._id }, $inc: { epoch: 1 } });
+        return loaded;
+      });
+
+      await asAlice(request(app).post(`/api/groups/${group.id}/members`))
+        .send({
+          userId: dave._id.toString(),
+          ...signEvent(group.id, 'member_added', aliceSigningKey, { targetIds: [dave._id] })
+        })
+        .expect(409);
+      spy.mockRestore();
+
+      const updated = await Group.findById(group.id);
+      expect(updated.members.filter(member => String(member) === dave._id.toString())).toHaveLength(1);
+      expect(updated.epoch).toBe(1);
+    });
+
+    it('should promote and demote admins but keep at least one', async () => {
+      const group = await createGroup();
+
+      await asAlice(request(app).put(`/api/groups/${group.id}/admins/${bob._id}`))
+        .send(signEvent(group.id, 'admin_promoted', aliceSigningKey, { targetIds: [bob._id] }))
+        .expect(200);
+      await asAlice(request(app).delete(`/api/groups/${group.id}/admins/${alice._id}`))
+        .send(signEvent(group.id, 'admin_demoted', aliceSigningKey, { targetIds: [alice._id] }))
+        .expect(200);
+
+      const updated = await Group.findById(group.id);
+      expect(updated.admins.map(String)).toEqual([bob._id.toString()]);
+      expect(updated.epoch).toBe(0);
+
+      const bobSigningKey = await registerSigningKey(bob);
+      const response = await request(app)
+        .delete(`/api/groups/${group.id}/admins/${bob._id}`)
+        .set('Authorization', `Bearer ${bobToken}`)
+        .send(signEvent(group.id, 'admin_demoted', bobSigningKey, { targetIds: [bob._id] }))
+        .expect(400);
+
+      expect(response.body.message).toBe('A group needs at least one admin');
+    });
+
+    it('should let anyone with an invite link join', async () => {
+      const group = await createGroup();
+      const dave = await createUser('dave');
+      const daveSigningKey = await registerSigningKey(dave);
+
+      const link = await asAlice(request(app).post(`/api/groups/${group.id}/invite-links`))
+        .send({ expiresInHours: 1 })
+        .expect(201);
+      expect(await GroupInvite.exists({ tokenHash: link.body.token })).toBeNull();
+
+      const response = await request(app)
+        .post(`/api/groups/${group.id}/join`)
+        .set('Authorization', `Bearer ${await tokenFor(dave)}`)
+        .send({ token: link.body.token, ...signEvent(group.id, 'member_joined', daveSigningKey) })
+        .expect(200);
+
+      expect(response.body.group.epoch).toBe(1);
+      expect(response.body.group.members.map(member => member.username)).toContain('dave');
+      expect(await timeline(group.id)).toEqual(['created', 'member_joined']);
+    });
+
+    it('should reject expired and revoked invite links', async () => {
+      const group = await createGroup();
+      const dave = await createUser('dave');
+      const daveToken = await tokenFor(dave);
+      const daveSigningKey = await registerSigningKey(dave);
+
+      const expired = await asAlice(request(app).post(`/api/groups/${group.id}/invite-links`)).send({}).expect(201);
+      await GroupInvite.updateMany({}, { expiresAt: new Date(Date.now() - 1000) });
+
+      await request(app)
+        .post(`/api/groups/${group.id}/join`)
+        .set('Authorization', `Bearer ${daveToken}`)
+        .send({ token: expired.body.token, ...signEvent(group.id, 'member_joined', daveSigningKey) })
+        .expect(404);
+
+      const revoked = await asAlice(request(app).post(`/api/groups/${group.id}/invite-links`)).send({}).expect(201);
+      const response = await asAlice(request(app).delete(`/api/groups/${group.id}/invite-links`)).expect(200);
+      expect(response.body.revoked).toBe(2);
+
+      await request(app)
+        .post(`/api/groups/${group.id}/join`)
+        .set('Authorization', `Bearer ${daveToken}`)
+        .send({ token: revoked.body.token, ...signEvent(group.id, 'member_joined', daveSigningKey) })
+        .expect(404);
+
+      expect((await Group.findById(group.id)).members).toHaveLength(3);
+    });
+
+    it('should only let admins create invite links', async () => {
+      const group = await createGroup();
+
+      await request(app)
+        .post(`/api/groups/${group.id}/invite-links`)
+        .set('Authorization', `Bearer ${bobToken}`)
+        .send({})
+        .expect(403);
+
+      await asAlice(request(app).post(`/api/groups/${group.id}/invite-links`))
+        .send({ expiresInHours: 24 * 30 })
+        .expect(400);
+    });
+  });
+});
@@ -0,0 +1,262 @@
+const crypto = require('crypto');
+const request = require('supertest');
+const app = require('../app');
+const User = require('../models/User');
+const PreKeyBundle = require('../models/PreKeyBundle');
+const KeyLogEntry = require('../models/KeyLogEntry');
+const { appendKeyLogEntry } = require('../utils/keyTransparency');
+const { backfillKeyLog } = require('../scripts/backfillKeyLog');
+const { createKeyBundle, signKeyBundle, createUser, tokenFor } = require('./keyFixtures');
+
+// Hex SHA-256 of [previousHash, userId, sequence, keyBundleHash, createdAt ms]
+const entryHash = (userId, entry) => crypto.createHash('sha256')
+  .update(JSON.stringify([
+    entry.previousHash,
+    String(userId),
+    entry.sequence,
+    entry.keyBundleHash,
+    new Date(entry.createdAt).getTime()
+  ]))
+  .digest('hex');
+
+describe('Key Bundle Integration Tests', () => {
+  let alice;
+  let bob;
+  let aliceToken;
+  let aliceIdentity;
+
+  beforeEach(async () => {
+    aliceIdentity = createKeyBundle();
+    alice = await createUser('alice', { keyBundle: aliceIdentity.keyBundle });
+    bob = await createUser('bob');
+    aliceToken = await tokenFor(alice);
+  });
+
+  const publishPreKeys = () => PreKeyBundle.create({
+    userId: alice._id,
+    identityKey: aliceIdentity.keyBundle.identityKey.publicKey,
+    signingKey: aliceIdentity.keyBundle.signingKey.publicKey,
+    signedPreKey: { keyId: 1, publicKey: aliceIdentity.keyBundle.identityKey.publicKey, signature: 'c2ln' }
+  });
+
+  describe('GET /api/users/:id/keys', () => {
+    it('should return the key bundle', async () => {
+      const response = await request(app)
+        .get(`/api/users/${alice._id}/keys`)
+        .set('Authorization', `Bearer ${await tokenFor(bob)}`)
+        .expect(200);
+
+      expect(response.body).toHaveProperty('userId', alice._id.toString());
+      expect(response.body.keyBundle).toMatchObject(aliceIdentity.keyBundle);
+      expect(response.body.keyBundle.encryptionKey).toHaveProperty('algorithm', 'RSA-OAEP');
+    });
+
+    it('should return 404 for accounts without a key bundle', async () => {
+      const response = await request(app)
+        .get(`/api/users/${bob._id}/keys`)
+        .set('Authorization', `Bearer ${aliceToken}`)
+        .expect(404);
+
+      expect(response.body).toHaveProperty('message', 'Key bundle not found');
+    });
+
+    it('should return 400 for invalid user IDs', async () => {
+      await request(app)
+        .get('/api/users/not-an-id/keys')
+        .set('Authorization', `Bearer ${aliceToken}`)
+        .expect(400);
+    });
+
+    it('should return 401 without token', async () => {
+      await request(app)
+        .get(`/api/users/${alice._id}/keys`)
+        .expect(401);
+    });
+  });
+
+  describe('PUT /api/users/keys', () => {
+    it('should replace the key bundle and drop prekeys signed by the old key', async () => {
+      await publishPreKeys();
+      const { keyBundle } = createKeyBundle();
+
+      const response = await request(app)
+        .put('/api/users/keys')
+        .set('Authorization', `Bearer ${aliceToken}`)
+        .send({ keyBundle, password: 'password123' })
+        .expect(200);
+
+      expect(response.body).toHaveProperty('success', true);
+      expect(response.body.keyBundle).toMatchObject(keyBundle);
+
+      const user = await User.findById(alice._id);
+      expect(user.keyBundle.signingKey.publicKey).toBe(keyBundle.signingKey.publicKey);
+      expect(await PreKeyBundle.countDocuments()).toBe(0);
+    });
+
+    it('should keep prekeys when only the encryption key is rotated', async () => {
+      await publishPreKeys();
+      const keyBundle = {
+        ...aliceIdentity.keyBundle,
+        encryptionKey: { ...aliceIdentity.keyBundle.encryptionKey, createdAt: new Date().toISOString() }
+      };
+      keyBundle.signature = signKeyBundle(keyBundle, aliceIdentity.signingPrivateKey);
+
+      await request(app)
+        .put('/api/users/keys')
+        .set('Authorization', `Bearer ${aliceToken}`)
+        .send({ keyBundle, password: 'password123' })
+        .expect(200);
+
+      expect(await PreKeyBundle.countDocuments()).toBe(1);
+    });
+
+    it('should return 400 for a bundle that is not self-signed', async () => {
+      const { keyBundle } = createKeyBundle();
+      keyBundle.signature = aliceIdentity.keyBundle.signature;
+
+      const response = await request(app)
+        .put('/api/users/keys')
+        .set('Authorization', `Bearer ${aliceToken}`)
+        .send({ keyBundle, password: 'password123' })
+        .expect(400);
+
+      expect(response.body).toHaveProperty('message', 'Invalid key bundle signature');
+
+      const user = await User.findById(alice._id);
+      expect(user.keyBundle.signature).toBe(aliceIdentity.keyBundle.signature);
+    });
+
+    it('should return 400 without a bundle', async () => {
+      const response = await request(app)
+        .put('/api/users/keys')
+        .set('Authorization', `Bearer ${aliceToken}`)
+        .send({ password: 'password123' })
+        .expect(400);
+
+      expect(response.body).toHaveProperty('message', 'Key bundle is required');
+    });
+
+    it('should require the account password', async () => {
+      const { keyBundle } = createKeyBundle();
+
+      const missing = await request(app)
+        .put('/api/users/keys')
+        .set('Authorization', `Bearer ${aliceToken}`)
+        .send({ keyBundle })
+        .expect(400);
+      expect(missing.body).toHaveProperty('message', 'Password is required');
+
+      const wrong = await request(app)
+        .put('/api/users/keys')
+        .set('Authorization', `Bearer ${aliceToken}`)
+        .send({ keyBundle, password: 'wrong-password' })
+        .expect(403);
+      expect(wrong.body).toHaveProperty('message', 'Password is incorrect');
+
+      const user = await User.findById(alice._id);
+      expect(user.keyBundle.signature).toBe(aliceIdentity.keyBundle.signature);
+    });
+  });
+
+  describe('GET /api/users/:id/keys/log', () => {
+    let bobToken;
+
+    beforeEach(async () => {
+      bobToken = await tokenFor(bob);
+      // As registration logs the first bundle
+      await appendKeyLogEntry(alice._id, aliceIdentity.keyBundle);
+    });
+
+    const getLog = (since) => request(app)
+      .get(`/api/users/${alice._id}/keys/log`)
+      .query(since === undefined ? {} : { since })
+      .set('Authorization', `Bearer ${bobToken}`);
+
+    const publishKeys = (keyBundle) => request(app)
+      .put('/api/users/keys')
+      .set('Authorization', `Bearer ${aliceToken}`)
+      .send({ keyBundle, password: 'password123' })
+      .expect(200);
+
+    it('should return the logged bundle with its entries', async () => {
+      const response = await getLog().expect(200);
+
+      expect(response.body.keyBundle).toMatchObject(aliceIdentity.keyBundle);
+      expect(response.body).toHaveProperty('logged', true);
+      expect(response.body.entries).toHaveLength(1);
+
+      const [entry] = response.body.entries;
+      expect(entry).toHaveProperty('sequence', 1);
+      expect(entry).toHaveProperty('previousHash', '0'.repeat(64));
+      expect(entry.hash).toBe(entryHash(alice._id, entry));
+      expect(response.body.head).toEqual(entry);
+    });
+
+    it('should chain each key change onto the previous entry', async () => {
+      const first = await getLog().expect(200);
+      await publishKeys(createKeyBundle().keyBundle);
+
+      const response = await getLog(1).expect(200);
+
+      expect(response.body.entries).toHaveLength(1);
+      const [entry] = response.body.entries;
+      expect(entry).toHaveProperty('sequence', 2);
+      expect(entry.previousHash).toBe(first.body.head.hash);
+      expect(entry.hash).toBe(entryHash(alice._id, entry));
+      expect(entry.keyBundleHash).not.toBe(first.body.head.keyBundleHash);
+    });
+
+    it('should not log a republished bundle again', async () => {
+      await getLog().expect(200);
+      await publishKeys(aliceIdentity.keyBundle);
+
+      const response = await getLog().expect(200);
+
+      expect(response.body.head).toHaveProperty('sequence', 1);
+      expect(await KeyLogEntry.countDocuments({ userId: alice._id })).toBe(1);
+    });
+
+    it('should report a bundle missing from the log without logging it', async () => {
+      const { keyBundle } = createKeyBundle();
+      await User.updateOne({ _id: alice._id }, { keyBundle });
+
+      const response = await getLog().expect(200);
+
+      expect(response.body).toHaveProperty('logged', false);
+      expect(response.body.head).toHaveProperty('sequence', 1);
+      expect(await KeyLogEntry.countDocuments({ userId: alice._id })).toBe(1);
+    });
+
+    it('should refuse to modify log entries', async () => {
+      await getLog().expect(200);
+
+      await expect(KeyLogEntry.updateOne({ userId: alice._id }, { keyBundleHash: 'forged' })).rejects.toThrow();
+      await expect(KeyLogEntry.deleteMany({ userId: alice._id })).rejects.toThrow();
+    });
+
+    it('should return 400 for invalid sequence numbers', async () => {
+      const response = await getLog(-1).expect(400);
+
+      expect(response.body).toHaveProperty('message', 'Invalid sequence number');
+    });
+  });
+
+  describe('Backfilling the key log', () => {
+    it('should log bundles published before the log existed, once', async () => {
+      expect(await backfillKeyLog({ dryRun: true })).toEqual({ logged: 1 });
+      expect(await KeyLogEntry.countDocuments()).toBe(0);
+
+      expect(await backfillKeyLog()).toEqual({ logged: 1 });
+
+      const response = await request(app)
+        .get(`/api/users/${alice._id}/keys/log`)
+        .set('Authorization', `Bearer ${await tokenFor(bob)}`)
+        .expect(200);
+      expect(response.body).toHaveProperty('logged', true);
+      expect(response.body.entries).toHaveLength(1);
+      expect(response.body.entries[0]).toHaveProperty('previousHash', '0'.repeat(64));
+
+      expect(await backfillKeyLog()).toEqual({ logged: 0 });
+    });
+  });
+});
@@ -0,0 +1,368 @@
+const request = require('supertest');
+const app = require('../app');
+const Contact = require('../models/Contact');
+const KeyExchange = require('../models/KeyExchange');
+const { createUser, tokenFor } = require('./keyFixtures');
+
+const helloMessage = {
+  type: 'KEY_EXCHANGE_HELLO',
+  version: '1.0',
+  ecdhPublicKey: [1, 2, 3],
+  ecdsaPublicKey: [4, 5, 6],
+  timestamp: Date.now(),
+  nonce: [7, 8, 9]
+};
+
+const ephemeralMessage = {
+  type: 'EPHEMERAL_KEY_EXCHANGE',
+  sessionId: 'session_1',
+  ephemeralPublicKey: [10, 11],
+  signature: [12, 13],
+  timestamp: Date.now()
+};
+
+describe('Key Exchange Relay Integration Tests', () => {
+  let alice;
+  let bob;
+  let aliceToken;
+  let bobToken;
+
+  beforeEach(async () => {
+    alice = await createUser('alice');
+    bob = await createUser('bob');
+    aliceToken = await tokenFor(alice);
+    bobToken = await tokenFor(bob);
+    await Contact.create({ userId: alice._id, contactUserId: bob._id });
+    await Contact.create({ userId: bob._id, contactUserId: alice._id });
+  });
+
+  const initiate = () => request(app)
+    .post('/api/keyexchange/initiate')
+    .set('Authorization', `Bearer ${aliceToken}`)
+    .send({ targetUserId: bob._id.toString(), message: helloMessage });
+
+  describe('POST /api/keyexchange/initiate', () => {
+    it('should store the hello message and return an exchangeId', async () => {
+      const response = await initiate().expect(201);
+
+      expect(response.body).toHaveProperty('success', true);
+      expect(response.body).toHaveProperty('exchangeId');
+      expect(response.body).toHaveProperty('status', 'pending');
+
+      const exchange = await KeyExchange.findById(response.body.exchangeId);
+      expect(exchange.helloMessage).toEqual(helloMessage);
+      expect(exchange.expiresAt.getTime()).toBeGreaterThan(Date.now());
+    });
+
+    it('should return 404 when the target is not a contact', async () => {
+      const stranger = await createUser('stranger');
+
+      const response = await request(app)
+        .post('/api/keyexchange/initiate')
+        .set('Authorization', `Bearer ${aliceToken}`)
+        .send({ targetUserId: stranger._id.toString(), message: helloMessage })
+        .expect(404);
+
+      expect(response.body).toHaveProperty('message', 'Contact not found');
+    });
+
+    it('should return 400 without a signed message', async () => {
+      const response = await request(app)
+        .post('/api/keyexchange/initiate')
+        .set('Authorization', `Bearer ${aliceToken}`)
+        .send({ targetUserId: bob._id.toString() })
+        .expect(400);
+
+      expect(response.body).toHaveProperty('message', 'Signed key exchange message is required');
+    });
+
+    it('should return 401 without token', async () => {
+      await request(app)
+        .post('/api/keyexchange/initiate')
+        .send({ targetUserId: bob._id.toString(), message: helloMessage })
+        .expect(401);
+    });
+  });
+
+  describe('POST /api/keyexchange/respond', () => {
+    it('should let the target respond to a pending exchange', async () => {
+      const { body } = await initiate();
+
+      const response = await request(app)
+        .post('/api/keyexchange/respond')
+        .set('Authorization', `Bearer ${bobToken}`)
+        .send({ exchangeId: body.exchangeId, message: ephemeralMessage })
+        .expect(200);
+
+      expect(response.body).toHaveProperty('status', 'responded');
+
+      const exchange = await KeyExchange.findById(body.exchangeId);
+      expect(exchange.responseMessage).toEqual(ephemeralMessage);
+    });
+
+    it('should not let the initiator answer their own exchange', async () => {
+      const { body } = await initiate();
+
+      await request(app)
+        .post('/api/keyexchange/respond')
+        .set('Authorization', `Bearer ${aliceToken}`)
+        .send({ exchangeId: body.exchangeId, message: ephemeralMessage })
+        .expect(404);
+    });
+
+    it('should reject expired exchanges', async () => {
+      const { body } = await initiate();
+      await KeyExchange.updateOne({ _id: body.exchangeId }, { expiresAt: new Date(Date.now() - 1000) });
+
+      const response = await request(app)
+        .post('/api/keyexchange/respond')
+        .set('Authorization', `Bearer ${bobToken}`)
+        .send({ exchangeId: body.exchangeId, message: ephemeralMessage })
+        .expect(404);
+
+      expect(response.body).toHaveProperty('message', 'Key exchange not found or expired');
+    });
+  });
+
+  describe('Concurrent answers', () => {
+    it('should accept only one of two concurrent responses', async () => {
+      const { body } = await initiate();
+      const respond = (sessionId) => request(app)
+        .post('/api/keyexchange/respond')
+        .set('Authorization', `Bearer ${bobToken}`)
+        .send({ exchangeId: body.exchangeId, message: { ...ephemeralMessage, sessionId } });
+
+      const sessionIds = ['session_a', 'session_b'];
+      const responses = await Promise.all(sessionIds.map(respond));
+
+      expect(responses.map(response => response.status).sort()).toEqual([200, 409]);
+      const winner = sessionIds[responses.findIndex(response => response.status === 200)];
+      expect((await KeyExchange.findById(body.exchangeId)).responseMessage).toHaveProperty('sessionId', winner);
+    });
+  });
+
+  describe('POST /api/keyexchange/confirm', () => {
+    it('should complete a responded exchange', async () => {
+      const { body } = await initiate();
+      await request(app)
+        .post('/api/keyexchange/respond')
+        .set('Authorization', `Bearer ${bobToken}`)
+        .send({ exchangeId: body.exchangeId, message: ephemeralMessage });
+
+      const response = await request(app)
+        .post('/api/keyexchange/confirm')
+        .set('Authorization', `Bearer ${aliceToken}`)
+        .send({ exchangeId: body.exchangeId, message: { type: 'KEY_CONFIRMATION_CHALLENGE', challenge: [1] } })
+        .expect(200);
+
+      expect(response.body).toHaveProperty('confirmed', true);
+      expect(response.body).toHaveProperty('status', 'completed');
+    });
+
+    it('should return 409 before the target has responded', async () => {
+      const { body } = await initiate();
+
+      await request(app)
+        .post('/api/keyexchange/confirm')
+        .set('Authorization', `Bearer ${aliceToken}`)
+        .send({ exchangeId: body.exchangeId, message: { type: 'KEY_CONFIRMATION_CHALLENGE' } })
+        .expect(409);
+    });
+  });
+
+  describe('GET /api/keyexchange/pending', () => {
+    it('should return hellos waiting for an offline target', async () => {
+      const { body } = await initiate();
+
+      const response = await request(app)
+        .get('/api/keyexchange/pending')
+        .set('Authorization', `Bearer ${bobToken}`)
+        .expect(200);
+
+      expect(response.body.exchanges).toHaveLength(1);
+      expect(response.body.exchanges[0]).toHaveProperty('stage', 'request');
+      expect(response.body.exchanges[0]).toHaveProperty('exchangeId', body.exchangeId);
+      expect(response.body.exchanges[0]).toHaveProperty('senderId', alice._id.toString());
+      expect(response.body.exchanges[0]).toHaveProperty('type', 'KEY_EXCHANGE_HELLO');
+    });
+
+    it('should return responses waiting for the initiator', async () => {
+      const { body } = await initiate();
+      await request(app)
+        .post('/api/keyexchange/respond')
+        .set('Authorization', `Bearer ${bobToken}`)
+        .send({ exchangeId: body.exchangeId, message: ephemeralMessage });
+
+      const response = await request(app)
+        .get('/api/keyexchange/pending')
+        .set('Authorization', `Bearer ${aliceToken}`)
+        .expect(200);
+
+      expect(response.body.exchanges).toHaveLength(1);
+      expect(response.body.exchanges[0]).toHaveProperty('stage', 'response');
+      expect(response.body.exchanges[0]).toHaveProperty('sessionId', 'session_1');
+    });
+
+    it('should hand the confirmation to a target that was offline when it was sent', async () => {
+      const { body } = await initiate();
+
+      // Bob answers and goes offline before Alice confirms
+      await request(app)
+        .post('/api/keyexchange/respond')
+        .set('Authorization', `Bearer ${bobToken}`)
+        .send({ exchangeId: body.exchangeId, message: ephemeralMessage })
+        .expect(200);
+
+      const aliceView = await request(app)
+        .get('/api/keyexchange/pending')
+        .set('Authorization', `Bearer ${aliceToken}`)
+        .expect(200);
+      expect(aliceView.body.exchanges.map(exchange => exchange.stage)).toEqual(['response']);
+
+      const confirmation = { type: 'KEY_EXCHANGE_CONFIRM', ephemeral: { ...ephemeralMessage, sessionId: 'session_1' } };
+      await request(app)
+        .post('/api/keyexchange/confirm')
+        .set('Authorization', `Bearer ${aliceToken}`)
+        .send({ exchangeId: body.exchangeId, message: confirmation })
+        .expect(200);
+
+      // Back online, Bob finds the confirmation; Alice has nothing left to do
+      const bobView = await request(app)
+        .get('/api/keyexchange/pending')
+        .set('Authorization', `Bearer ${bobToken}`)
+        .expect(200);
+
+      expect(bobView.body.exchanges).toHaveLength(1);
+      expect(bobView.body.exchanges[0]).toMatchObject({
+        stage: 'confirmation',
+        exchangeId: body.exchangeId,
+        senderId: alice._id.toString(),
+        status: 'completed',
+        type: 'KEY_EXCHANGE_CONFIRM',
+        ephemeral: { sessionId: 'session_1' }
+      });
+
+      const aliceAfter = await request(app)
+        .get('/api/keyexchange/pending')
+        .set('Authorization', `Bearer ${aliceToken}`)
+        .expect(200);
+      expect(aliceAfter.body.exchanges).toEqual([]);
+    });
+  });
+  describe('POST /api/keyexchange/acknowledge', () => {
+    it('should stop listing a confirmation once the target acknowledges it', async () => {
+      const { body } = await initiate();
+      await request(app)
+        .post('/api/keyexchange/respond')
+        .set('Authorization', `Bearer ${bobToken}`)
+        .send({ exchangeId: body.exchangeId, message: ephemeralMessage });
+      await request(app)
+        .post('/api/keyexchange/confirm')
+        .set('Authorization', `Bearer ${aliceToken}`)
+        .send({ exchangeId: body.exchangeId, message: { type: 'KEY_EXCHANGE_CONFIRM' } });
+
+      // Only the target can acknowledge
+      await request(app)
+        .post('/api/keyexchange/acknowledge')
+        .set('Authorization', `Bearer ${aliceToken}`)
+        .send({ exchangeId: body.exchangeId })
+        .expect(404);
+
+      await request(app)
+        .post('/api/keyexchange/acknowledge')
+        .set('Authorization', `Bearer ${bobToken}`)
+        .send({ exchangeId: body.exchangeId })
+        .expect(200);
+
+      const response = await request(app)
+        .get('/api/keyexchange/pending')
+        .set('Authorization', `Bearer ${bobToken}`)
+        .expect(200);
+      expect(response.body.exchanges).toEqual([]);
+
+      await request(app)
+        .post('/api/keyexchange/acknowledge')
+        .set('Authorization', `Bearer ${bobToken}`)
+        .send({ exchangeId: body.exchangeId })
+        .expect(404);
+    });
+
+    it('should return 404 for an exchange that is not completed', async () => {
+      const { body } = await initiate();
+
+      await request(app)
+        .post('/api/keyexchange/acknowledge')
+        .set('Authorization', `Bearer ${bobToken}`)
+        .send({ exchangeId: body.exchangeId })
+        .expect(404);
+    });
+  });
+
+  describe('POST /api/keyexchange/abandon', () => {
+    it('should drop a response the initiator can no longer confirm and allow a new exchange', async () => {
+      const { body } = await initiate();
+      await request(app)
+        .post('/api/keyexchange/respond')
+        .set('Authorization', `Bearer ${bobToken}`)
+        .send({ exchangeId: body.exchangeId, message: ephemeralMessage });
+
+      // Alice reloaded and lost the state for this exchange
+      const response = await request(app)
+        .post('/api/keyexchange/abandon')
+        .set('Authorization', `Bearer ${aliceToken}`)
+        .send({ exchangeId: body.exchangeId })
+        .expect(200);
+      expect(response.body).toHaveProperty('status', 'abandoned');
+
+      const aliceView = await request(app)
+        .get('/api/keyexchange/pending')
+        .set('Authorization', `Bearer ${aliceToken}`)
+        .expect(200);
+      expect(aliceView.body.exchanges).toEqual([]);
+
+      await request(app)
+        .post('/api/keyexchange/confirm')
+        .set('Authorization', `Bearer ${aliceToken}`)
+        .send({ exchangeId: body.exchangeId, message: { type: 'KEY_EXCHANGE_CONFIRM' } })
+        .expect(409);
+
+      const restarted = await initiate().expect(201);
+      expect(restarted.body.exchangeId).not.toBe(body.exchangeId);
+    });
+
+    it('should let the target abandon an unacknowledged confirmation', async () => {
+      const { body } = await initiate();
+      await request(app)
+        .post('/api/keyexchange/respond')
+        .set('Authorization', `Bearer ${bobToken}`)
+        .send({ exchangeId: body.exchangeId, message: ephemeralMessage });
+      await request(app)
+        .post('/api/keyexchange/confirm')
+        .set('Authorization', `Bearer ${aliceToken}`)
+        .send({ exchangeId: body.exchangeId, message: { type: 'KEY_EXCHANGE_CONFIRM' } });
+
+      await request(app)
+        .post('/api/keyexchange/abandon')
+        .set('Authorization', `Bearer ${bobToken}`)
+        .send({ exchangeId: body.exchangeId })
+        .expect(200);
+
+      const bobView = await request(app)
+        .get('/api/keyexchange/pending')
+        .set('Authorization', `Bearer ${bobToken}`)
+        .expect(200);
+      expect(bobView.body.exchanges).toEqual([]);
+    });
+
+    it('should not let a stranger abandon the exchange', async () => {
+      const { body } = await initiate();
+      const carol = await createUser('carol');
+
+      await request(app)
+        .post('/api/keyexchange/abandon')
+        .set('Authorization', `Bearer ${await tokenFor(carol)}`)
+        .send({ exchangeId: body.exchangeId })
+        .expect(404);
+    });
+  });
+});
@@ -0,0 +1,101 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const { createSession } = require('../utils/sessions');
+
+// Base64 raw P-256 public key, the format Web Crypto exports
+const rawPublicKey = (keyObject) => {
+  const { x, y } = keyObject.export({ format: 'jwk' });
+  return Buffer.concat([
+    Buffer.from([0x04]),
+    Buffer.from(x, 'base64url'),
+    Buffer.from(y, 'base64url')
+  ]).toString('base64');
+};
+
+// RSA key generation is slow, so every bundle shares one encryption key
+let rsaPublicKey = null;
+const getRsaPublicKey = () => {
+  if (!rsaPublicKey) {
+    const { publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    rsaPublicKey = publicKey.export({ format: 'der', type: 'spki' }).toString('base64');
+  }
+  return rsaPublicKey;
+};
+
+const bundleKey = (algorithm, publicKey) => ({
+  keyId: crypto.createHash('sha256').update(Buffer.from(publicKey, 'base64')).digest('hex').slice(0, 16),
+  algorithm,
+  publicKey,
+  createdAt: new Date().toISOString()
+});
+
+// [algorithm, keyId, publicKey, createdAt ms] for each key in bundle order
+const signedKeyFields = (keyBundle) => ['identityKey', 'signingKey', 'encryptionKey'].map(name => [
+  keyBundle[name].algorithm,
+  keyBundle[name].keyId,
+  keyBundle[name].publicKey,
+  new Date(keyBundle[name].createdAt).getTime()
+]);
+
+const sign = (data, privateKey) => crypto.sign(
+  'sha256',
+  Buffer.from(JSON.stringify(data)),
+  { key: privateKey, dsaEncoding: 'ieee-p1363' }
+).toString('base64');
+
+// Self-signature over the signed key fields
+const signKeyBundle = (keyBundle, privateKey) => sign(signedKeyFields(keyBundle), privateKey);
+
+// Account endorsement of a device over [userId, deviceId, ...signed key fields, bundle signature]
+const signDevice = (userId, deviceId, keyBundle, privateKey) =>
+  sign([String(userId), deviceId, ...signedKeyFields(keyBundle), keyBundle.signature], privateKey);
+
+/**
+ * Signed key bundle as the frontend publishes it, plus the private keys behind it
+ * @returns {{ keyBundle: Object, identityPrivateKey: KeyObject, signingPrivateKey: KeyObject }}
+ */
+const createKeyBundle = () => {
+  const identity = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  const signing = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+
+  const keyBundle = {
+    identityKey: bundleKey('ECDH', rawPublicKey(identity.publicKey)),
+    signingKey: bundleKey('ECDSA', rawPublicKey(signing.publicKey)),
+    encryptionKey: bundleKey('RSA-OAEP', getRsaPublicKey())
+  };
+  keyBundle.signature = signKeyBundle(keyBundle, signing.privateKey);
+
+  return { keyBundle, identityPrivateKey: identity.privateKey, signingPrivateKey: signing.privateKey };
+};
+
+/**
+ * Create a user with the test password and an email derived from the username
+ * @param {string} username
+ * @param {Object} fields - Extra fields, such as a keyBundle
+ * @returns {Promise<Object>} - Saved user
+ */
+const createUser = (username, fields = {}) => User.create({
+  username,
+  email: `${username}@example.com`,
+  password: 'password123',
+  ...fields
+});
+
+const tokenFor = async (user) => (await createSession(user)).accessToken;
+
+// Publish a key bundle for the user as PUT /api/users/keys would and return its private signing key
+const registerSigningKey = async (user) => {
+  const { keyBundle, signingPrivateKey } = createKeyBundle();
+  await User.updateOne({ _id: user._id }, { keyBundle });
+  return signingPrivateKey;
+};
+
+module.exports = {
+  rawPublicKey,
+  signKeyBundle,
+  signDevice,
+  createKeyBundle,
+  createUser,
+  tokenFor,
+  registerSigningKey
+};
@@ -0,0 +1,353 @@
+const crypto = require('crypto');
+const request = require('supertest');
+const app = require('../app');
+const Contact = require('../models/Contact');
+const Message = require('../models/Message');
+const Device = require('../models/Device');
+const { createKeyBundle, createUser, tokenFor, registerSigningKey } = require('./keyFixtures');
+
+// ECDSA SHA-384 signature over [encryptedContent, iv, nonce, timestamp ms, sequenceNumber, receiverId]
+const signEnvelope = (message, privateKey) => ({
+  ...message,
+  signature: crypto.sign(
+    'sha384',
+    Buffer.from(JSON.stringify([
+      message.encryptedContent,
+      message.iv,
+      message.nonce,
+      new Date(message.timestamp).getTime(),
+      message.sequenceNumber,
+      message.receiverId
+    ])),
+    { key: privateKey, dsaEncoding: 'ieee-p1363' }
+  ).toString('base64')
+});
+
+describe('Message Integration Tests', () => {
+  let alice;
+  let bob;
+  let aliceToken;
+  let bobToken;
+  let aliceSigningKey;
+
+  beforeEach(async () => {
+    alice = await createUser('alice');
+    bob = await createUser('bob');
+    aliceToken = await tokenFor(alice);
+    bobToken = await tokenFor(bob);
+    aliceSigningKey = await registerSigningKey(alice);
+    await Contact.create({ userId: alice._id, contactUserId: bob._id });
+    await Contact.create({ userId: bob._id, contactUserId: alice._id });
+  });
+
+  const messageFromAlice = (sequenceNumber = 1) => signEnvelope({
+    receiverId: bob._id.toString(),
+    encryptedContent: 'ZW5jcnlwdGVk',
+    iv: 'aXY=',
+    authTag: 'dGFn',
+    nonce: `bm9uY2U${sequenceNumber}`,
+    timestamp: new Date().toISOString(),
+    sequenceNumber
+  }, aliceSigningKey);
+
+  const sendFromAlice = async (sequenceNumber = 1) => {
+    const response = await request(app)
+      .post('/api/messages/send')
+      .set('Authorization', `Bearer ${aliceToken}`)
+      .send(messageFromAlice(sequenceNumber))
+      .expect(201);
+
+    return response.body.messageId;
+  };
+
+  describe('POST /api/messages/send', () => {
+    it('should store the ratchet header and return it to the receiver', async () => {
+      const ratchetHeader = { dh: 'BHJhdGNoZXQta2V5', pn: 2, n: 5 };
+
+      await request(app)
+        .post('/api/messages/send')
+        .set('Authorization', `Bearer ${aliceToken}`)
+        .send({ ...messageFromAlice(), ratchetHeader })
+        .expect(201);
+
+      const response = await request(app)
+        .get(`/api/messages/${alice._id}`)
+        .set('Authorization', `Bearer ${bobToken}`)
+        .expect(200);
+
+      expect(response.body.messages[0].ratchetHeader).toEqual(ratchetHeader);
+    });
+
+    it('should reject malformed ratchet headers', async () => {
+      const response = await request(app)
+        .post('/api/messages/send')
+        .set('Authorization', `Bearer ${aliceToken}`)
+        .send({ ...messageFromAlice(), ratchetHeader: { dh: 'key', pn: -1, n: 'x' } })
+        .expect(400);
+
+      expect(response.body).toHaveProperty('message', 'Invalid ratchet header');
+    });
+
+    it('should store the X3DH header and return it to the receiver', async () => {
+      const x3dhHeader = {
+        identityKey: 'aWRlbnRpdHk=',
+        ephemeralKey: 'ZXBoZW1lcmFs',
+        signedPreKeyId: 1,
+        oneTimePreKeyId: null
+      };
+
+      await request(app)
+        .post('/api/messages/send')
+        .set('Authorization', `Bearer ${aliceToken}`)
+        .send({ ...messageFromAlice(), x3dhHeader })
+        .expect(201);
+
+      const response = await request(app)
+        .get(`/api/messages/${alice._id}`)
+        .set('Authorization', `Bearer ${bobToken}`)
+        .expect(200);
+
+      expect(response.body.messages[0].x3dhHeader).toEqual(x3dhHeader);
+    });
+
+    it('should reject malformed X3DH headers', async () => {
+      const response = await request(app)
+        .post('/api/messages/send')
+        .set('Authorization', `Bearer ${aliceToken}`)
+        .send({ ...messageFromAlice(), x3dhHeader: { identityKey: 'key', signedPreKeyId: 'x' } })
+        .expect(400);
+
+      expect(response.body).toHaveProperty('message', 'Invalid X3DH header');
+    });
+
+    it('should reject messages signed with another key', async () => {
+      const forgerKey = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' }).privateKey;
+
+      const response = await request(app)
+        .post('/api/messages/send')
+        .set('Authorization', `Bearer ${aliceToken}`)
+        .send(signEnvelope(messageFromAlice(), forgerKey))
+        .expect(403);
+
+      expect(response.body).toHaveProperty('code', 'INVALID_SIGNATURE');
+      expect(await Message.countDocuments()).toBe(0);
+    });
+
+    it('should reject envelopes modified after signing', async () => {
+      const response = await request(app)
+        .post('/api/messages/send')
+        .set('Authorization', `Bearer ${aliceToken}`)
+        .send({ ...messageFromAlice(), encryptedContent: 'dGFtcGVyZWQ=' })
+        .expect(403);
+
+      expect(response.body).toHaveProperty('message', 'Invalid message signature');
+    });
+
+    it('should reject senders without a registered signing key', async () => {
+      const response = await request(app)
+        .post('/api/messages/send')
+        .set('Authorization', `Bearer ${bobToken}`)
+        .send({ ...messageFromAlice(), receiverId: alice._id.toString() })
+        .expect(403);
+
+      expect(response.body).toHaveProperty('code', 'SIGNING_KEY_NOT_REGISTERED');
+    });
+
+    it('should leave messages to offline users undelivered', async () => {
+      const messageId = await sendFromAlice();
+
+      const message = await Message.findById(messageId);
+      expect(message.deliveredAt).toBeNull();
+      expect(message.readAt).toBeNull();
+    });
+  });
+
+  describe('POST /api/messages/send with per-device ciphertexts', () => {
+    beforeEach(async () => {
+      await Device.create({ userId: bob._id, deviceId: 'bob-laptop', keyBundle: createKeyBundle().keyBundle });
+      await Device.create({ userId: bob._id, deviceId: 'bob-phone1', keyBundle: createKeyBundle().keyBundle });
+    });
+
+    // One envelope per device, each with its own ciphertext and signature
+    const ciphertextsFor = (deviceIds, signingKey = aliceSigningKey) => deviceIds.map(deviceId => {
+      const { receiverId, sequenceNumber, ...envelope } = signEnvelope({
+        receiverId: bob._id.toString(),
+        encryptedContent: Buffer.from(`for ${deviceId}`).toString('base64'),
+        iv: 'aXY=',
+        authTag: 'dGFn',
+        nonce: `bm9uY2U-${deviceId}`,
+        timestamp: new Date().toISOString(),
+        sequenceNumber: 1
+      }, signingKey);
+      return { deviceId, ...envelope };
+    });
+
+    const sendCiphertexts = (ciphertexts, deviceId = null) => {
+      const req = request(app)
+        .post('/api/messages/send')
+        .set('Authorization', `Bearer ${aliceToken}`);
+      if (deviceId) {
+        req.set('X-Device-Id', deviceId);
+      }
+      return req.send({ receiverId: bob._id.toString(), sequenceNumber: 1, ciphertexts });
+    };
+
+    const fetchAsBobDevice = (deviceId) => request(app)
+      .get(`/api/messages/${alice._id}`)
+      .set('Authorization', `Bearer ${bobToken}`)
+      .set('X-Device-Id', deviceId)
+      .expect(200);
+
+    it('should give each receiver device only its own ciphertext', async () => {
+      await sendCiphertexts(ciphertextsFor(['bob-laptop', 'bob-phone1'])).expect(201);
+
+      const laptop = await fetchAsBobDevice('bob-laptop');
+      const phone = await fetchAsBobDevice('bob-phone1');
+
+      expect(laptop.body.messages).toHaveLength(1);
+      expect(Buffer.from(laptop.body.messages[0].encryptedContent, 'base64').toString()).toBe('for bob-laptop');
+      expect(Buffer.from(phone.body.messages[0].encryptedContent, 'base64').toString()).toBe('for bob-phone1');
+      expect(phone.body.messages[0].id).toBe(laptop.body.messages[0].id);
+    });
+
+    it('should return 409 listing devices without a ciphertext', async () => {
+      const response = await sendCiphertexts(ciphertextsFor(['bob-laptop', 'bob-tablet'])).expect(409);
+
+      expect(response.body).toMatchObject({
+        code: 'DEVICE_LIST_MISMATCH',
+        missingDevices: ['bob-phone1'],
+        extraDevices: ['bob-tablet']
+      });
+      expect(await Message.countDocuments()).toBe(0);
+    });
+
+    it('should not accept a single ciphertext for a receiver with devices', async () => {
+      const response = await request(app)
+        .post('/api/messages/send')
+        .set('Authorization', `Bearer ${aliceToken}`)
+        .send(messageFromAlice())
+        .expect(409);
+
+      expect(response.body.missingDevices.sort()).toEqual(['bob-laptop', 'bob-phone1']);
+    });
+
+    it('should verify signatures against the sending device key', async () => {
+      const aliceDevice = createKeyBundle();
+      await Device.create({ userId: alice._id, deviceId: 'alice-desk', keyBundle: aliceDevice.keyBundle });
+
+      // The account key no longer speaks for a message sent from one of the user's devices
+      await sendCiphertexts(ciphertextsFor(['bob-laptop', 'bob-phone1']), 'alice-desk').expect(403);
+
+      await sendCiphertexts(ciphertextsFor(['bob-laptop', 'bob-phone1'], aliceDevice.signingPrivateKey), 'alice-desk')
+        .expect(201);
+
+      const message = await Message.findOne();
+      expect(message.senderDeviceId).toBe('alice-desk');
+    });
+  });
+
+  describe('GET /api/messages/:contactId', () => {
+    it('should mark fetched messages as delivered for the receiver', async () => {
+      const messageId = await sendFromAlice();
+
+      const response = await request(app)
+        .get(`/api/messages/${alice._id}`)
+        .set('Authorization', `Bearer ${bobToken}`)
+        .expect(200);
+
+      expect(response.body.messages[0].deliveredAt).not.toBeNull();
+
+      const message = await Message.findById(messageId);
+      expect(message.deliveredAt).toBeInstanceOf(Date);
+    });
+
+    it('should not mark messages delivered when the sender fetches them', async () => {
+      const messageId = await sendFromAlice();
+
+      await request(app)
+        .get(`/api/messages/${bob._id}`)
+        .set('Authorization', `Bearer ${aliceToken}`)
+        .expect(200);
+
+      const message = await Message.findById(messageId);
+      expect(message.deliveredAt).toBeNull();
+    });
+  });
+
+  describe('PUT /api/messages/read', () => {
+    it('should mark messages as read and delivered', async () => {
+      const first = await sendFromAlice(1);
+      const second = await sendFromAlice(2);
+
+      const response = await request(app)
+        .put('/api/messages/read')
+        .set('Authorization', `Bearer ${bobToken}`)
+        .send({ messageIds: [first, second] })
+        .expect(200);
+
+      expect(response.body).toHaveProperty('success', true);
+      expect(response.body).toHaveProperty('updated', 2);
+
+      const message = await Message.findById(first);
+      expect(message.readAt).toBeInstanceOf(Date);
+      expect(message.deliveredAt).toBeInstanceOf(Date);
+    });
+
+    it('should only let the receiver mark messages as read', async () => {
+      const messageId = await sendFromAlice();
+
+      const response = await request(app)
+        .put('/api/messages/read')
+        .set('Authorization', `Bearer ${aliceToken}`)
+        .send({ messageIds: [messageId] })
+        .expect(200);
+
+      expect(response.body).toHaveProperty('updated', 0);
+
+      const message = await Message.findById(messageId);
+      expect(message.readAt).toBeNull();
+    });
+
+    it('should keep the original read time', async () => {
+      const messageId = await sendFromAlice();
+      const readAt = new Date(Date.now() - 60000);
+      await Message.updateOne({ _id: messageId }, { readAt, deliveredAt: readAt });
+
+      const response = await request(app)
+        .put('/api/messages/read')
+        .set('Authorization', `Bearer ${bobToken}`)
+        .send({ messageIds: [messageId] })
+        .expect(200);
+
+      expect(response.body).toHaveProperty('updated', 0);
+
+      const message = await Message.findById(messageId);
+      expect(message.readAt.getTime()).toBe(readAt.getTime());
+    });
+
+    it('should return 400 for invalid message IDs', async () => {
+      const response = await request(app)
+        .put('/api/messages/read')
+        .set('Authorization', `Bearer ${bobToken}`)
+        .send({ messageIds: ['not-an-id'] })
+        .expect(400);
+
+      expect(response.body).toHaveProperty('message', 'Invalid message ID');
+    });
+
+    it('should return 400 without message IDs', async () => {
+      await request(app)
+        .put('/api/messages/read')
+        .set('Authorization', `Bearer ${bobToken}`)
+        .send({})
+        .expect(400);
+    });
+
+    it('should return 401 without token', async () => {
+      await request(app)
+        .put('/api/messages/read')
+        .send({ messageIds: [] })
+        .expect(401);
+    });
+  });
+});
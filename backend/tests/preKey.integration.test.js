@@ -0,0 +1,182 @@
+const crypto = require('crypto');
+const request = require('supertest');
+const app = require('../app');
+const User = require('../models/User');
+const Contact = require('../models/Contact');
+const PreKeyBundle = require('../models/PreKeyBundle');
+const Device = require('../models/Device');
+const { rawPublicKey, createKeyBundle, createUser, tokenFor } = require('./keyFixtures');
+
+const generatePublicKey = () =>
+  rawPublicKey(crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' }).publicKey);
+
+// Prekeys for the identity in a createKeyBundle result
+const createBundle = ({ keyBundle, signingPrivateKey }, oneTimeKeyIds = [1, 2]) => {
+  const signedPreKey = generatePublicKey();
+
+  return {
+    identityKey: keyBundle.identityKey.publicKey,
+    signingKey: keyBundle.signingKey.publicKey,
+    signedPreKey: {
+      keyId: 1,
+      publicKey: signedPreKey,
+      signature: crypto.sign('sha256', Buffer.from(signedPreKey, 'base64'), {
+        key: signingPrivateKey,
+        dsaEncoding: 'ieee-p1363'
+      }).toString('base64')
+    },
+    oneTimePreKeys: oneTimeKeyIds.map(keyId => ({ keyId, publicKey: generatePublicKey() }))
+  };
+};
+
+describe('Prekey Integration Tests', () => {
+  let alice;
+  let bob;
+  let aliceToken;
+  let bobToken;
+  let bobIdentity;
+
+  beforeEach(async () => {
+    bobIdentity = createKeyBundle();
+    alice = await createUser('alice');
+    bob = await createUser('bob', { keyBundle: bobIdentity.keyBundle });
+    aliceToken = await tokenFor(alice);
+    bobToken = await tokenFor(bob);
+    await Contact.create({ userId: alice._id, contactUserId: bob._id });
+    await Contact.create({ userId: bob._id, contactUserId: alice._id });
+  });
+
+  const upload = (body, token = bobToken) => request(app)
+    .put('/api/prekeys')
+    .set('Authorization', `Bearer ${token}`)
+    .send(body);
+
+  const claimBobBundle = (token = aliceToken) => request(app)
+    .post(`/api/prekeys/${bob._id}/claim`)
+    .set('Authorization', `Bearer ${token}`);
+
+  describe('PUT /api/prekeys', () => {
+    it('should store the bundle and report the one-time prekey count', async () => {
+      const response = await upload(createBundle(bobIdentity)).expect(200);
+
+      expect(response.body).toHaveProperty('success', true);
+      expect(response.body).toHaveProperty('oneTimePreKeyCount', 2);
+    });
+
+    it('should append one-time prekeys for the same identity key', async () => {
+      const bundle = createBundle(bobIdentity, [1, 2]);
+      await upload(bundle).expect(200);
+
+      const response = await upload({
+        ...bundle,
+        oneTimePreKeys: [bundle.oneTimePreKeys[1], { keyId: 3, publicKey: generatePublicKey() }]
+      }).expect(200);
+
+      expect(response.body).toHaveProperty('oneTimePreKeyCount', 3);
+    });
+
+    it('should drop old one-time prekeys when the identity key changes', async () => {
+      await upload(createBundle(bobIdentity, [1, 2, 3])).expect(200);
+
+      const newIdentity = createKeyBundle();
+      await User.updateOne({ _id: bob._id }, { keyBundle: newIdentity.keyBundle });
+      const response = await upload(createBundle(newIdentity, [10])).expect(200);
+
+      expect(response.body).toHaveProperty('oneTimePreKeyCount', 1);
+    });
+
+    it('should reject a signed prekey with an invalid signature', async () => {
+      const bundle = createBundle(bobIdentity);
+      bundle.signedPreKey.signature = createBundle({
+        ...bobIdentity,
+        signingPrivateKey: createKeyBundle().signingPrivateKey
+      }).signedPreKey.signature;
+
+      const response = await upload(bundle).expect(400);
+
+      expect(response.body).toHaveProperty('message', 'Invalid signed prekey signature');
+    });
+
+    it('should reject identity keys that differ from the registered key bundle', async () => {
+      const response = await upload(createBundle(createKeyBundle())).expect(409);
+
+      expect(response.body).toHaveProperty('message', 'Identity keys do not match the registered key bundle');
+      expect(await PreKeyBundle.countDocuments()).toBe(0);
+    });
+
+    it('should reject malformed one-time prekeys', async () => {
+      const response = await upload({
+        ...createBundle(bobIdentity),
+        oneTimePreKeys: [{ keyId: 1, publicKey: 'bm90LWEta2V5' }]
+      }).expect(400);
+
+      expect(response.body).toHaveProperty('message', 'Invalid one-time prekey');
+    });
+
+    it('should return 401 without token', async () => {
+      await request(app)
+        .put('/api/prekeys')
+        .send(createBundle(bobIdentity))
+        .expect(401);
+    });
+  });
+
+  describe('POST /api/prekeys/:userId/claim', () => {
+    it('should hand out each one-time prekey once', async () => {
+      const bundle = createBundle(bobIdentity, [1, 2]);
+      await upload(bundle);
+
+      const first = await claimBobBundle().expect(200);
+      const second = await claimBobBundle().expect(200);
+      const third = await claimBobBundle().expect(200);
+
+      expect(first.body).toHaveProperty('identityKey', bundle.identityKey);
+      expect(first.body.signedPreKey).toEqual(bundle.signedPreKey);
+      expect(first.body.oneTimePreKey).toEqual(bundle.oneTimePreKeys[0]);
+      expect(second.body.oneTimePreKey).toEqual(bundle.oneTimePreKeys[1]);
+      expect(third.body.oneTimePreKey).toBeNull();
+
+      const stored = await PreKeyBundle.findOne({ userId: bob._id });
+      expect(stored.oneTimePreKeys).toHaveLength(0);
+    });
+
+    it('should keep separate bundles per device and claim the requested one', async () => {
+      const phone = createKeyBundle();
+      await Device.create({ userId: bob._id, deviceId: 'bob-phone1', keyBundle: phone.keyBundle });
+      await upload(createBundle(bobIdentity)).expect(200);
+      await upload(createBundle(phone))
+        .set('X-Device-Id', 'bob-phone1')
+        .expect(200);
+
+      const response = await claimBobBundle()
+        .send({ deviceId: 'bob-phone1' })
+        .expect(200);
+
+      expect(response.body).toHaveProperty('deviceId', 'bob-phone1');
+      expect(response.body).toHaveProperty('identityKey', phone.keyBundle.identityKey.publicKey);
+      expect(await PreKeyBundle.countDocuments({ userId: bob._id })).toBe(2);
+    });
+
+    it('should return 404 when the user is not a contact', async () => {
+      await upload(createBundle(bobIdentity));
+      const stranger = await createUser('stranger');
+
+      const response = await claimBobBundle(await tokenFor(stranger)).expect(404);
+
+      expect(response.body).toHaveProperty('message', 'Contact not found');
+    });
+
+    it('should return 404 when no bundle was published', async () => {
+      const response = await claimBobBundle().expect(404);
+
+      expect(response.body).toHaveProperty('message', 'Prekey bundle not found');
+    });
+
+    it('should not let users claim their own prekeys', async () => {
+      await request(app)
+        .post(`/api/prekeys/${bob._id}/claim`)
+        .set('Authorization', `Bearer ${bobToken}`)
+        .expect(400);
+    });
+  });
+});
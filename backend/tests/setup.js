@@ -2,6 +2,16 @@ const mongoose = require('mongoose');
 const { MongoMemoryServer } = require('mongodb-memory-server');
 require('dotenv').config();
 
+// Integration tests sign their own tokens when no .env is present
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+
+// No test sends real email; tests that need a code read it from these mocks
+jest.mock('../utils/emailService', () => ({
+  sendOTPEmail: jest.fn(),
+  sendPasswordResetEmail: jest.fn(),
+  sendAccountLockedEmail: jest.fn(),
+}));
+
 let mongoServer;
 
 // Setup before all tests
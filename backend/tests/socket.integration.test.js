@@ -0,0 +1,386 @@
+const http = require('http');
+const crypto = require('crypto');
+const request = require('supertest');
+const { io: connectClient } = require('socket.io-client');
+const app = require('../app');
+const Contact = require('../models/Contact');
+const Block = require('../models/Block');
+const Device = require('../models/Device');
+const Session = require('../models/Session');
+const { initSocket, emitToUser, emitToDevice, isUserOnline } = require('../utils/socketService');
+const { createUser, tokenFor, registerSigningKey, createKeyBundle } = require('./keyFixtures');
+
+// Long enough for a relayed event to arrive if it was going to
+const QUIET_PERIOD_MS = 300;
+
+// Message envelope signed over [encryptedContent, iv, nonce, timestamp ms, sequenceNumber, receiverId]
+const signedMessage = (receiverId, sequenceNumber, privateKey) => {
+  const message = {
+    receiverId: receiverId.toString(),
+    encryptedContent: 'ZW5jcnlwdGVk',
+    iv: 'aXY=',
+    authTag: 'dGFn',
+    nonce: `bm9uY2U${sequenceNumber}`,
+    timestamp: new Date().toISOString(),
+    sequenceNumber
+  };
+  message.signature = crypto.sign('sha384', Buffer.from(JSON.stringify([
+    message.encryptedContent,
+    message.iv,
+    message.nonce,
+    new Date(message.timestamp).getTime(),
+    message.sequenceNumber,
+    message.receiverId
+  ])), { key: privateKey, dsaEncoding: 'ieee-p1363' }).toString('base64');
+  return message;
+};
+
+describe('Socket Integration Tests', () => {
+  let server;
+  let io;
+  let url;
+  let sockets;
+  let alice;
+  let bob;
+  let aliceToken;
+  let bobToken;
+
+  beforeAll(async () => {
+    server = http.createServer(app);
+    io = initSocket(server);
+    await new Promise(resolve => server.listen(0, resolve));
+    url = `http://localhost:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => io.close(resolve));
+  });
+
+  beforeEach(async () => {
+    sockets = [];
+    alice = await createUser('alice');
+    bob = await createUser('bob');
+    aliceToken = await tokenFor(alice);
+    bobToken = await tokenFor(bob);
+  });
+
+  afterEach(async () => {
+    sockets.forEach(socket => socket.disconnect());
+    // Let the server finish the offline presence updates before the database is cleared
+    await new Promise(resolve => setTimeout(resolve, 100));
+  });
+
+  const waitFor = (socket, event) => new Promise(resolve => socket.once(event, resolve));
+
+  const expectNoEvent = async (socket, event) => {
+    const received = [];
+    const listener = data => received.push(data);
+    socket.on(event, listener);
+    await new Promise(resolve => setTimeout(resolve, QUIET_PERIOD_MS));
+    socket.off(event, listener);
+    expect(received).toEqual([]);
+  };
+
+  // Resolves once the server has joined the user's room and sent their presence
+  const connect = async (token) => {
+    const socket = connectClient(url, { transports: ['websocket'], forceNew: true });
+    sockets.push(socket);
+    await waitFor(socket, 'connect');
+    socket.emit('authenticate', { token });
+    await waitFor(socket, 'authenticated');
+    return socket;
+  };
+
+  // Authenticates with the handshake token instead of the 'authenticate' event
+  const connectWithToken = (token) => {
+    const socket = connectClient(url, { transports: ['websocket'], forceNew: true, auth: { token } });
+    sockets.push(socket);
+    return socket;
+  };
+
+  const logout = token => request(app)
+    .post('/api/auth/logout')
+    .set('Authorization', `Bearer ${token}`)
+    .expect(200);
+
+  const makeContacts = async (user, other) => {
+    await Contact.create({ userId: user._id, contactUserId: other._id });
+    await Contact.create({ userId: other._id, contactUserId: user._id });
+  };
+
+  describe('Authentication', () => {
+    it('should join the user room with a handshake token', async () => {
+      const socket = connectWithToken(aliceToken);
+      await waitFor(socket, 'connect');
+
+      const event = waitFor(socket, 'test_event');
+      emitToUser(alice._id, 'test_event', { ok: true });
+
+      expect(await event).toEqual({ ok: true });
+      expect(isUserOnline(alice._id)).toBe(true);
+    });
+
+    it('should refuse a handshake with an invalid token', async () => {
+      const socket = connectWithToken('not-a-token');
+
+      const error = await waitFor(socket, 'connect_error');
+
+      expect(error.message).toBe('Invalid or expired token');
+      expect(socket.connected).toBe(false);
+    });
+
+    it('should refuse a handshake with the token of a revoked session', async () => {
+      await logout(aliceToken);
+      const socket = connectWithToken(aliceToken);
+
+      const error = await waitFor(socket, 'connect_error');
+
+      expect(error.message).toBe('Invalid or expired token');
+      expect(isUserOnline(alice._id)).toBe(false);
+    });
+
+    it('should disconnect an open socket when its session is revoked', async () => {
+      const socket = connectWithToken(aliceToken);
+      await waitFor(socket, 'connect');
+
+      const disconnected = waitFor(socket, 'disconnect');
+      await logout(aliceToken);
+
+      expect(await disconnected).toBe('io server disconnect');
+    });
+
+    it('should join the user room after the authenticate event', async () => {
+      const socket = connectClient(url, { transports: ['websocket'], forceNew: true });
+      sockets.push(socket);
+      await waitFor(socket, 'connect');
+
+      // Not in any user room before authenticating
+      emitToUser(alice._id, 'test_event', { ok: false });
+      await expectNoEvent(socket, 'test_event');
+
+      socket.emit('authenticate', { token: `Bearer ${aliceToken}` });
+      expect(await waitFor(socket, 'authenticated')).toEqual({ userId: alice._id.toString() });
+
+      const event = waitFor(socket, 'test_event');
+      emitToUser(alice._id, 'test_event', { ok: true });
+      expect(await event).toEqual({ ok: true });
+    });
+
+    it('should reject and disconnect on the authenticate event with a revoked token', async () => {
+      await logout(aliceToken);
+      const socket = connectClient(url, { transports: ['websocket'], forceNew: true });
+      sockets.push(socket);
+      await waitFor(socket, 'connect');
+
+      const disconnected = waitFor(socket, 'disconnect');
+      socket.emit('authenticate', { token: aliceToken });
+
+      expect(await waitFor(socket, 'authentication_error')).toEqual({ error: 'Invalid or expired token' });
+      await disconnected;
+      expect(isUserOnline(alice._id)).toBe(false);
+    });
+
+    it('should not switch an authenticated socket to another user', async () => {
+      const socket = await connect(aliceToken);
+
+      socket.emit('authenticate', { token: bobToken });
+
+      expect(await waitFor(socket, 'authentication_error')).toEqual({ error: 'Token does not match connected user' });
+      expect(isUserOnline(bob._id)).toBe(false);
+    });
+  });
+
+  describe('Device rooms', () => {
+    beforeEach(async () => {
+      await Device.create({ userId: alice._id, deviceId: 'alice-laptop', keyBundle: createKeyBundle().keyBundle });
+    });
+
+    const connectAsDevice = async (token, deviceId) => {
+      const socket = connectClient(url, { transports: ['websocket'], forceNew: true, auth: { token, deviceId } });
+      sockets.push(socket);
+      await waitFor(socket, 'connect');
+      // Let the server finish looking up the device
+      await new Promise(resolve => setTimeout(resolve, 100));
+      return socket;
+    };
+
+    it('should deliver per-device events to the session the device registered from', async () => {
+      await Session.updateMany({ userId: alice._id }, { deviceId: 'alice-laptop' });
+      const socket = await connectAsDevice(aliceToken, 'alice-laptop');
+
+      const event = waitFor(socket, 'test_event');
+      emitToDevice(alice._id, 'alice-laptop', 'test_event', { ok: true });
+
+      expect(await event).toEqual({ ok: true });
+    });
+
+    it('should not let another session listen as the device', async () => {
+      await Session.updateMany({ userId: alice._id }, { deviceId: 'alice-laptop' });
+      const otherToken = await tokenFor(alice);
+      await Session.updateOne({ userId: alice._id, deviceId: null }, { deviceId: 'alice-phone1' });
+      const socket = await connectAsDevice(otherToken, 'alice-laptop');
+
+      emitToDevice(alice._id, 'alice-laptop', 'test_event', { ok: false });
+
+      await expectNoEvent(socket, 'test_event');
+    });
+  });
+
+  describe('Message delivery', () => {
+    it('should push a sent message to the receiver', async () => {
+      await makeContacts(alice, bob);
+      const bobSigningKey = await registerSigningKey(bob);
+      const aliceSocket = connectWithToken(aliceToken);
+      await waitFor(aliceSocket, 'connect');
+
+      const received = waitFor(aliceSocket, 'message_received');
+      const response = await request(app)
+        .post('/api/messages/send')
+        .set('Authorization', `Bearer ${bobToken}`)
+        .send(signedMessage(alice._id, 1, bobSigningKey))
+        .expect(201);
+
+      const message = await received;
+      expect(String(message.id)).toBe(String(response.body.messageId));
+      expect(String(message.senderId)).toBe(bob._id.toString());
+      expect(message).toMatchObject({ encryptedContent: 'ZW5jcnlwdGVk', sequenceNumber: 1 });
+      // The receiver was online, so the message counts as delivered straight away
+      expect(response.body.deliveredAt).not.toBeNull();
+    });
+
+    it('should not push the message to other users', async () => {
+      await makeContacts(alice, bob);
+      const bobSigningKey = await registerSigningKey(bob);
+      const carol = await createUser('carol');
+      const carolSocket = await connect(await tokenFor(carol));
+
+      await request(app)
+        .post('/api/messages/send')
+        .set('Authorization', `Bearer ${bobToken}`)
+        .send(signedMessage(alice._id, 1, bobSigningKey))
+        .expect(201);
+
+      await expectNoEvent(carolSocket, 'message_received');
+    });
+  });
+
+  describe('Key changes', () => {
+    it('should tell mutual contacts but not pending requesters about new identity keys', async () => {
+      const carol = await createUser('carol');
+      await makeContacts(alice, bob);
+      await Contact.create({ userId: carol._id, contactUserId: alice._id });
+      const bobSocket = await connect(bobToken);
+      const carolSocket = await connect(await tokenFor(carol));
+
+      const changed = waitFor(bobSocket, 'contact_keys_changed');
+      await request(app)
+        .put('/api/users/keys')
+        .set('Authorization', `Bearer ${aliceToken}`)
+        .send({ keyBundle: createKeyBundle().keyBundle, password: 'password123' })
+        .expect(200);
+
+      expect(await changed).toEqual({ userId: alice._id.toString() });
+      await expectNoEvent(carolSocket, 'contact_keys_changed');
+    });
+  });
+
+  describe('Typing indicators', () => {
+    it('should relay typing between mutual contacts', async () => {
+      await makeContacts(alice, bob);
+      const aliceSocket = await connect(aliceToken);
+      const bobSocket = await connect(bobToken);
+
+      const typing = waitFor(aliceSocket, 'typing_indicator');
+      bobSocket.emit('typing_start', { contactId: alice._id.toString() });
+
+      expect(await typing).toEqual({ fromUserId: bob._id.toString(), toUserId: alice._id.toString(), isTyping: true });
+    });
+
+    it('should not relay typing for a one-sided contact', async () => {
+      await Contact.create({ userId: bob._id, contactUserId: alice._id });
+      const aliceSocket = await connect(aliceToken);
+      const bobSocket = await connect(bobToken);
+
+      bobSocket.emit('typing_start', { contactId: alice._id.toString() });
+
+      await expectNoEvent(aliceSocket, 'typing_indicator');
+    });
+
+    it('should not relay typing across a block', async () => {
+      await makeContacts(alice, bob);
+      await Block.create({ blockerId: alice._id, blockedId: bob._id });
+      const aliceSocket = await connect(aliceToken);
+      const bobSocket = await connect(bobToken);
+
+      bobSocket.emit('typing_start', { contactId: alice._id.toString() });
+
+      await expectNoEvent(aliceSocket, 'typing_indicator');
+    });
+  });
+
+  describe('Presence', () => {
+    it('should tell mutual contacts when a user comes online', async () => {
+      await makeContacts(alice, bob);
+      const aliceSocket = await connect(aliceToken);
+
+      const online = waitFor(aliceSocket, 'user_online');
+      await connect(bobToken);
+
+      expect(await online).toMatchObject({ userId: bob._id.toString(), status: 'online' });
+      expect(await Contact.findOne({ userId: alice._id, contactUserId: bob._id })).toHaveProperty('isOnline', true);
+    });
+
+    it('should not tell someone with only a pending request', async () => {
+      await Contact.create({ userId: alice._id, contactUserId: bob._id });
+      const aliceSocket = await connect(aliceToken);
+
+      await connect(bobToken);
+
+      await expectNoEvent(aliceSocket, 'user_online');
+      expect(await Contact.findOne({ userId: alice._id, contactUserId: bob._id })).toHaveProperty('isOnline', false);
+    });
+
+    it('should stop telling a blocked user when the blocker comes online', async () => {
+      await makeContacts(alice, bob);
+      const bobSocket = await connect(bobToken);
+
+      await request(app)
+        .post('/api/users/blocks')
+        .set('Authorization', `Bearer ${aliceToken}`)
+        .send({ userId: bob._id.toString() })
+        .expect(201);
+      expect(await Contact.countDocuments()).toBe(0);
+
+      await connect(aliceToken);
+
+      await expectNoEvent(bobSocket, 'user_online');
+    });
+
+    it('should not leave a user online when their socket closes while it is joining', async () => {
+      await Device.create({ userId: alice._id, deviceId: 'alice-laptop', keyBundle: createKeyBundle().keyBundle });
+      const socket = connectClient(url, {
+        transports: ['websocket'],
+        forceNew: true,
+        auth: { token: aliceToken, deviceId: 'alice-laptop' }
+      });
+      sockets.push(socket);
+
+      // Close while the server is still looking up the device
+      await waitFor(socket, 'connect');
+      socket.disconnect();
+      await new Promise(resolve => setTimeout(resolve, QUIET_PERIOD_MS));
+
+      expect(isUserOnline(alice._id)).toBe(false);
+    });
+
+    it('should check for a block even while contact rows remain', async () => {
+      await makeContacts(alice, bob);
+      await Block.create({ blockerId: alice._id, blockedId: bob._id });
+      const bobSocket = await connect(bobToken);
+
+      await connect(aliceToken);
+
+      await expectNoEvent(bobSocket, 'user_online');
+    });
+  });
+});
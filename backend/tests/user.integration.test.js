@@ -3,26 +3,35 @@ const mongoose = require('mongoose');
 const app = require('../app');
 const User = require('../models/User');
 const Contact = require('../models/Contact');
+const Session = require('../models/Session');
 const jwt = require('jsonwebtoken');
+const { createKeyBundle } = require('./keyFixtures');
 
 // Mock the models
 jest.mock('../models/User');
 jest.mock('../models/Contact');
+jest.mock('../models/Session');
 jest.mock('jsonwebtoken');
 
 describe('User Management Endpoints', () => {
   let userToken;
+  const { keyBundle } = createKeyBundle();
 
   beforeAll(() => {
     // Mock the JWT verify method
     jwt.verify.mockImplementation((token, secret, callback) => {
       if (token === 'mock-jwt-token') {
-        callback(null, { id: 'user-id' });  // Mock valid user ID
+        callback(null, { id: 'user-id', sid: 'session-id' });  // Mock valid user ID
       } else {
         callback(new Error('Invalid token'), null);
       }
     });
 
+    // The middleware checks that the token's session was not revoked
+    Session.findById.mockReturnValue({
+      select: jest.fn().mockResolvedValue({ userId: 'user-id', revokedAt: null })
+    });
+
     // Mock JWT token
     userToken = 'mock-jwt-token';
   });
@@ -37,7 +46,7 @@ describe('User Management Endpoints', () => {
         _id: 'user-id',
         email: 'test@example.com',
         username: 'testuser',
-        publicKey: 'test-public-key',
+        keyBundle,
         createdAt: new Date(),
         lastLogin: null
       };
@@ -55,7 +64,7 @@ describe('User Management Endpoints', () => {
       expect(response.body.user).toHaveProperty('id', 'user-id');
       expect(response.body.user).toHaveProperty('email', 'test@example.com');
       expect(response.body.user).toHaveProperty('username', 'testuser');
-      expect(response.body.user).toHaveProperty('publicKey', 'test-public-key');
+      expect(response.body.user.keyBundle).toEqual(keyBundle);
       expect(response.body.user).toHaveProperty('createdAt');
       expect(response.body.user).toHaveProperty('lastLogin');
     });
@@ -96,7 +105,7 @@ describe('User Management Endpoints', () => {
           contactUserId: {
             _id: 'contact-user-id',
             username: 'contactuser',
-            publicKey: 'contact-public-key'
+            keyBundle
           },
           addedAt: new Date(),
           lastSeen: new Date(),
@@ -119,7 +128,7 @@ describe('User Management Endpoints', () => {
       expect(response.body.contacts.length).toBeGreaterThan(0);
       expect(response.body.contacts[0]).toHaveProperty('id', 'contact-user-id');
       expect(response.body.contacts[0]).toHaveProperty('username', 'contactuser');
-      expect(response.body.contacts[0]).toHaveProperty('publicKey', 'contact-public-key');
+      expect(response.body.contacts[0].keyBundle).toEqual(keyBundle);
       expect(response.body.contacts[0]).toHaveProperty('addedAt');
       expect(response.body.contacts[0]).toHaveProperty('lastSeen');
       expect(response.body.contacts[0]).toHaveProperty('isOnline');
@@ -132,76 +141,4 @@ describe('User Management Endpoints', () => {
       expect(response.status).toBe(401);
     });
   });
-
-  describe('POST /api/users/add-contact', () => {
-    it('should add contact successfully', async () => {
-      const mockContactUser = {
-        _id: 'new-contact-id',
-        username: 'newcontact',
-        publicKey: 'new-public-key'
-      };
-
-      User.findOne.mockResolvedValue(mockContactUser);
-      Contact.findOne.mockResolvedValue(null);
-      Contact.prototype.save = jest.fn().mockImplementation(function() {
-        this.addedAt = new Date();
-        return Promise.resolve(this);
-      });
-
-      const response = await request(app)
-        .post('/api/users/add-contact')
-        .set('Authorization', `Bearer ${userToken}`)
-        .send({ username: 'newcontact' });
-
-      expect(response.status).toBe(201);
-      expect(response.body.success).toBe(true);
-      expect(response.body.contact).toHaveProperty('id', 'new-contact-id');
-      expect(response.body.contact).toHaveProperty('username', 'newcontact');
-      expect(response.body.contact).toHaveProperty('publicKey', 'new-public-key');
-      expect(response.body.contact).toHaveProperty('addedAt');
-    });
-
-    it('should return 400 if username is missing', async () => {
-      const response = await request(app)
-        .post('/api/users/add-contact')
-        .set('Authorization', `Bearer ${userToken}`)
-        .send({});
-
-      expect(response.status).toBe(400);
-      expect(response.body.message).toBe('Username is required');
-    });
-
-    it('should return 404 if user not found', async () => {
-      User.findOne.mockResolvedValue(null);
-
-      const response = await request(app)
-        .post('/api/users/add-contact')
-        .set('Authorization', `Bearer ${userToken}`)
-        .send({ username: 'nonexistentuser' });
-
-      expect(response.status).toBe(404);
-      expect(response.body.message).toBe('User not found');
-    });
-
-    it('should return 409 if contact already exists', async () => {
-      User.findOne.mockResolvedValue({ _id: 'existing-id' });
-      Contact.findOne.mockResolvedValue({ _id: 'existing-contact' });
-
-      const response = await request(app)
-        .post('/api/users/add-contact')
-        .set('Authorization', `Bearer ${userToken}`)
-        .send({ username: 'existingcontact' });
-
-      expect(response.status).toBe(409);
-      expect(response.body.message).toBe('Contact already exists');
-    });
-
-    it('should return 401 without token', async () => {
-      const response = await request(app)
-        .post('/api/users/add-contact')
-        .send({ username: 'testuser' });
-
-      expect(response.status).toBe(401);
-    });
-  });
 });
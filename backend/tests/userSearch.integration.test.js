@@ -0,0 +1,170 @@
+const request = require('supertest');
+const app = require('../app');
+const User = require('../models/User');
+const Contact = require('../models/Contact');
+const Block = require('../models/Block');
+const { lowercaseEmails } = require('../scripts/lowercaseEmails');
+const { createUser, tokenFor } = require('./keyFixtures');
+
+describe('User Search Integration Tests', () => {
+  let alice;
+  let aliceToken;
+
+  beforeEach(async () => {
+    alice = await createUser('alice');
+    aliceToken = await tokenFor(alice);
+  });
+
+  const search = (query, token = aliceToken) => request(app)
+    .get('/api/users/search')
+    .query(query)
+    .set('Authorization', `Bearer ${token}`);
+
+  describe('GET /api/users/search', () => {
+    it('should match usernames by prefix, ignoring case, and mark contacts', async () => {
+      const bob = await createUser('bob');
+      await createUser('Bobby');
+      await createUser('carol');
+      await Contact.create({ userId: alice._id, contactUserId: bob._id });
+      await Contact.create({ userId: bob._id, contactUserId: alice._id });
+
+      const response = await search({ q: 'bo' }).expect(200);
+
+      expect(response.body.users).toEqual([
+        expect.objectContaining({ username: 'Bobby', isContact: false }),
+        { id: bob._id.toString(), username: 'bob', isContact: true }
+      ]);
+      expect(response.body.hasMore).toBe(false);
+    });
+
+    it('should paginate results', async () => {
+      for (const username of ['user_a', 'user_b', 'user_c']) {
+        await createUser(username);
+      }
+
+      const first = await search({ q: 'user', limit: 2 }).expect(200);
+      expect(first.body.users.map(user => user.username)).toEqual(['user_a', 'user_b']);
+      expect(first.body.hasMore).toBe(true);
+
+      const second = await search({ q: 'user', limit: 2, page: 2 }).expect(200);
+      expect(second.body.users.map(user => user.username)).toEqual(['user_c']);
+      expect(second.body.hasMore).toBe(false);
+    });
+
+    it('should treat the query as text, not a pattern', async () => {
+      await createUser('bob');
+
+      const response = await search({ q: '.*' }).expect(200);
+      expect(response.body.users).toEqual([]);
+    });
+
+    it('should only find users by email when they opted in, and only by the exact address', async () => {
+      await createUser('bob');
+      const carol = await createUser('carol', { discoverableByEmail: true });
+
+      expect((await search({ q: 'bob@example.com' }).expect(200)).body.users).toEqual([]);
+      expect((await search({ q: 'carol@example' }).expect(200)).body.users).toEqual([]);
+
+      const response = await search({ q: 'carol@example.com' }).expect(200);
+      expect(response.body.users).toEqual([{ id: carol._id.toString(), username: 'carol', isContact: false }]);
+    });
+
+    it('should match email addresses regardless of case', async () => {
+      const dave = await createUser('dave', { email: 'Dave.Smith@Example.com', discoverableByEmail: true });
+      expect(dave.email).toBe('dave.smith@example.com');
+
+      const response = await search({ q: 'DAVE.smith@example.COM' }).expect(200);
+      expect(response.body.users).toEqual([{ id: dave._id.toString(), username: 'dave', isContact: false }]);
+    });
+
+    it('should leave out the caller and users on either side of a block', async () => {
+      const alicia = await createUser('alicia');
+      const alina = await createUser('alina');
+      await Block.create({ blockerId: alice._id, blockedId: alicia._id });
+      await Block.create({ blockerId: alina._id, blockedId: alice._id });
+
+      const response = await search({ q: 'ali' }).expect(200);
+      expect(response.body.users).toEqual([]);
+    });
+
+    it('should reject short queries and bad pagination', async () => {
+      await search({ q: 'a' }).expect(400);
+      await search({}).expect(400);
+      await search({ q: 'alice', page: 0 }).expect(400);
+      await search({ q: 'alice', limit: 100 }).expect(400);
+    });
+
+    it('should rate limit email lookups', async () => {
+      for (let i = 0; i < 10; i++) {
+        await search({ q: `someone${i}@example.com` }).expect(200);
+      }
+
+      const response = await search({ q: 'another@example.com' }).expect(429);
+      expect(response.headers['retry-after']).toBeDefined();
+
+      // Username searches have their own, larger budget
+      await search({ q: 'bob' }).expect(200);
+    });
+
+    it('should rate limit searches per user', async () => {
+      const bob = await createUser('bob');
+      const bobToken = await tokenFor(bob);
+
+      for (let i = 0; i < 30; i++) {
+        await search({ q: 'ca' }).expect(200);
+      }
+
+      await search({ q: 'ca' }).expect(429);
+      await search({ q: 'ca' }, bobToken).expect(200);
+    });
+  });
+
+  describe('PATCH /api/users/privacy', () => {
+    it('should make the user discoverable by email', async () => {
+      const bob = await createUser('bob');
+      const bobToken = await tokenFor(bob);
+
+      const response = await request(app)
+        .patch('/api/users/privacy')
+        .set('Authorization', `Bearer ${bobToken}`)
+        .send({ discoverableByEmail: true })
+        .expect(200);
+      expect(response.body.privacy).toEqual({ discoverableByEmail: true });
+
+      const profile = await request(app)
+        .get('/api/users/profile')
+        .set('Authorization', `Bearer ${bobToken}`)
+        .expect(200);
+      expect(profile.body.user.privacy).toEqual({ discoverableByEmail: true });
+
+      expect((await search({ q: 'bob@example.com' }).expect(200)).body.users).toHaveLength(1);
+    });
+
+    it('should reject non-boolean settings', async () => {
+      await request(app)
+        .patch('/api/users/privacy')
+        .set('Authorization', `Bearer ${aliceToken}`)
+        .send({ discoverableByEmail: 'yes' })
+        .expect(400);
+    });
+  });
+
+  describe('Lowercasing stored emails', () => {
+    it('should lowercase mixed-case emails and report clashes', async () => {
+      const bob = await createUser('bob');
+      const carol = await createUser('carol');
+      const dave = await createUser('dave');
+      // Written around the schema, like accounts registered before emails were lowercased
+      await User.collection.updateOne({ _id: carol._id }, { $set: { email: 'Carol@Example.com' } });
+      await User.collection.updateOne({ _id: dave._id }, { $set: { email: 'BOB@example.com' } });
+
+      expect(await lowercaseEmails({ dryRun: true })).toEqual({ updated: 1, conflicts: ['BOB@example.com'] });
+      expect((await User.collection.findOne({ _id: carol._id })).email).toBe('Carol@Example.com');
+
+      expect(await lowercaseEmails()).toEqual({ updated: 1, conflicts: ['BOB@example.com'] });
+      expect((await User.collection.findOne({ _id: carol._id })).email).toBe('carol@example.com');
+      expect((await User.collection.findOne({ _id: bob._id })).email).toBe('bob@example.com');
+      expect((await User.collection.findOne({ _id: dave._id })).email).toBe('BOB@example.com');
+    });
+  });
+});
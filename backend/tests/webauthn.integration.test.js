@@ -0,0 +1,229 @@
+const request = require('supertest');
+const app = require('../app');
+const User = require('../models/User');
+const WebAuthnCredential = require('../models/WebAuthnCredential');
+const { ORIGIN, RP_ID, createAuthenticator } = require('./webauthnFixtures');
+const { tokenFor } = require('./keyFixtures');
+const { sendPasswordResetEmail } = require('../utils/emailService');
+
+// Responses from the software authenticator are signed for this origin, whatever .env says
+process.env.WEBAUTHN_ORIGIN = ORIGIN;
+process.env.WEBAUTHN_RP_ID = RP_ID;
+
+describe('Passkey (WebAuthn) Integration Tests', () => {
+  let alice;
+  let aliceToken;
+  let authenticator;
+
+  beforeEach(async () => {
+    alice = await User.create({ username: 'alice', email: 'alice@example.com', password: 'password123' });
+    aliceToken = await tokenFor(alice);
+    authenticator = createAuthenticator();
+  });
+
+  const registerPasskey = async (passkey = authenticator) => {
+    const options = await request(app)
+      .post('/api/auth/webauthn/register/options')
+      .set('Authorization', `Bearer ${aliceToken}`)
+      .send({ password: 'password123' })
+      .expect(200);
+
+    return request(app)
+      .post('/api/auth/webauthn/register/verify')
+      .set('Authorization', `Bearer ${aliceToken}`)
+      .send({ response: passkey.register(options.body), name: 'Laptop', password: 'password123' });
+  };
+
+  const login = () => request(app)
+    .post('/api/auth/login')
+    .send({ identifier: 'alice', password: 'password123' })
+    .expect(200);
+
+  const loginOptions = (body = {}) => request(app)
+    .post('/api/auth/webauthn/login/options')
+    .send(body);
+
+  const verifyLogin = (body) => request(app)
+    .post('/api/auth/webauthn/login/verify')
+    .send(body);
+
+  describe('Registration', () => {
+    it('should register a passkey and list it', async () => {
+      const response = await registerPasskey().expect(201);
+
+      expect(response.body.credential).toHaveProperty('name', 'Laptop');
+
+      const list = await request(app)
+        .get('/api/auth/webauthn/credentials')
+        .set('Authorization', `Bearer ${aliceToken}`)
+        .expect(200);
+
+      expect(list.body.credentials).toHaveLength(1);
+      expect(await WebAuthnCredential.countDocuments({ userId: alice._id, credentialId: authenticator.id })).toBe(1);
+    });
+
+    it('should not accept a registration challenge twice', async () => {
+      const options = await request(app)
+        .post('/api/auth/webauthn/register/options')
+        .set('Authorization', `Bearer ${aliceToken}`)
+        .send({ password: 'password123' })
+        .expect(200);
+
+      await request(app)
+        .post('/api/auth/webauthn/register/verify')
+        .set('Authorization', `Bearer ${aliceToken}`)
+        .send({ response: authenticator.register(options.body), password: 'password123' })
+        .expect(201);
+
+      const response = await request(app)
+        .post('/api/auth/webauthn/register/verify')
+        .set('Authorization', `Bearer ${aliceToken}`)
+        .send({ response: createAuthenticator().register(options.body), password: 'password123' })
+        .expect(400);
+
+      expect(response.body).toHaveProperty('error', 'Passkey could not be verified');
+    });
+
+    it('should remove a passkey', async () => {
+      const { body } = await registerPasskey().expect(201);
+
+      await request(app)
+        .delete(`/api/auth/webauthn/credentials/${body.credential.id}`)
+        .set('Authorization', `Bearer ${aliceToken}`)
+        .send({ password: 'wrong-password' })
+        .expect(403);
+
+      await request(app)
+        .delete(`/api/auth/webauthn/credentials/${body.credential.id}`)
+        .set('Authorization', `Bearer ${aliceToken}`)
+        .send({ password: 'password123' })
+        .expect(200);
+
+      const response = await login();
+      expect(response.body.methods).toEqual(['email']);
+    });
+
+    it('should require the current password to add a passkey', async () => {
+      await request(app)
+        .post('/api/auth/webauthn/register/options')
+        .set('Authorization', `Bearer ${aliceToken}`)
+        .expect(400);
+
+      await request(app)
+        .post('/api/auth/webauthn/register/options')
+        .set('Authorization', `Bearer ${aliceToken}`)
+        .send({ password: 'wrong-password' })
+        .expect(403);
+
+      const options = await request(app)
+        .post('/api/auth/webauthn/register/options')
+        .set('Authorization', `Bearer ${aliceToken}`)
+        .send({ password: 'password123' })
+        .expect(200);
+
+      await request(app)
+        .post('/api/auth/webauthn/register/verify')
+        .set('Authorization', `Bearer ${aliceToken}`)
+        .send({ response: authenticator.register(options.body), password: 'wrong-password' })
+        .expect(403);
+
+      expect(await WebAuthnCredential.countDocuments({ userId: alice._id })).toBe(0);
+    });
+
+    it('should drop passkeys when the password is reset', async () => {
+      await registerPasskey().expect(201);
+
+      sendPasswordResetEmail.mockClear();
+      await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'alice@example.com' })
+        .expect(200);
+      const resetUrl = sendPasswordResetEmail.mock.calls[0][1];
+
+      await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: new URL(resetUrl).searchParams.get('resetToken'), newPassword: 'new-password' })
+        .expect(200);
+
+      expect(await WebAuthnCredential.countDocuments({ userId: alice._id })).toBe(0);
+    });
+  });
+
+  describe('Second factor', () => {
+    beforeEach(async () => {
+      await registerPasskey().expect(201);
+    });
+
+    it('should offer the passkey after the password check', async () => {
+      const response = await login();
+
+      expect(response.body.methods).toEqual(['email', 'webauthn']);
+      expect(response.body).toHaveProperty('loginChallenge');
+    });
+
+    it('should log in with the passkey and the login challenge', async () => {
+      const { body: { loginChallenge } } = await login();
+      const options = await loginOptions({ identifier: 'alice', loginChallenge }).expect(200);
+
+      expect(options.body.allowCredentials).toEqual([expect.objectContaining({ id: authenticator.id })]);
+
+      const response = await verifyLogin({
+        identifier: 'alice',
+        loginChallenge,
+        response: authenticator.authenticate(options.body)
+      }).expect(200);
+
+      expect(response.body).toHaveProperty('token');
+      expect(response.body.user).toHaveProperty('username', 'alice');
+    });
+
+    it('should not hand out passkey options without the login challenge', async () => {
+      await login();
+
+      const response = await loginOptions({ identifier: 'alice' }).expect(401);
+
+      expect(response.body).toHaveProperty('error', 'Invalid or expired login challenge');
+    });
+  });
+
+  describe('Passwordless', () => {
+    beforeEach(async () => {
+      await registerPasskey().expect(201);
+    });
+
+    it('should log in with a user-verified passkey alone', async () => {
+      const options = await loginOptions().expect(200);
+
+      expect(options.body).toHaveProperty('userVerification', 'required');
+
+      const response = await verifyLogin({ response: authenticator.authenticate(options.body) }).expect(200);
+
+      expect(response.body).toHaveProperty('refreshToken');
+      expect(response.body.user).toHaveProperty('email', 'alice@example.com');
+
+      const credential = await WebAuthnCredential.findOne({ credentialId: authenticator.id });
+      expect(credential.counter).toBe(1);
+      expect(credential.lastUsedAt).not.toBeNull();
+    });
+
+    it('should reject a replayed assertion', async () => {
+      const options = await loginOptions().expect(200);
+      const assertion = authenticator.authenticate(options.body);
+      await verifyLogin({ response: assertion }).expect(200);
+
+      const response = await verifyLogin({ response: assertion }).expect(401);
+
+      expect(response.body).toHaveProperty('error', 'Invalid or expired passkey challenge');
+    });
+
+    it('should require user verification', async () => {
+      const unverified = createAuthenticator({ userVerification: false });
+      await registerPasskey(unverified).expect(201);
+      const options = await loginOptions().expect(200);
+
+      const response = await verifyLogin({ response: unverified.authenticate(options.body) }).expect(401);
+
+      expect(response.body).toHaveProperty('error', 'Passkey could not be verified');
+    });
+  });
+});
@@ -0,0 +1,99 @@
+const crypto = require('crypto');
+const { isoCBOR } = require('@simplewebauthn/server/helpers');
+
+const ORIGIN = 'http://localhost:5173';
+const RP_ID = 'localhost';
+
+// Authenticator data flags
+const USER_PRESENT = 0x01;
+const USER_VERIFIED = 0x04;
+const ATTESTED_CREDENTIAL = 0x40;
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest();
+
+const clientData = (type, challenge) => Buffer.from(JSON.stringify({
+  type,
+  challenge,
+  origin: ORIGIN,
+  crossOrigin: false
+}));
+
+const authenticatorData = (flags, counter, attestedCredential = Buffer.alloc(0)) => {
+  const signCount = Buffer.alloc(4);
+  signCount.writeUInt32BE(counter);
+  return Buffer.concat([sha256(RP_ID), Buffer.from([flags]), signCount, attestedCredential]);
+};
+
+/**
+ * Software stand-in for a platform authenticator: one P-256 passkey, "none" attestation
+ * @param {Object} options
+ * @param {boolean} options.userVerification - Report the user as verified (PIN or biometrics)
+ */
+const createAuthenticator = ({ userVerification = true } = {}) => {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  const credentialId = crypto.randomBytes(16);
+  const id = credentialId.toString('base64url');
+  const flags = USER_PRESENT | (userVerification ? USER_VERIFIED : 0);
+  let counter = 0;
+
+  // COSE EC2 key: kty 2, alg -7 (ES256), crv 1 (P-256), x, y
+  const { x, y } = publicKey.export({ format: 'jwk' });
+  const cosePublicKey = isoCBOR.encode(new Map([
+    [1, 2],
+    [3, -7],
+    [-1, 1],
+    [-2, Buffer.from(x, 'base64url')],
+    [-3, Buffer.from(y, 'base64url')]
+  ]));
+
+  return {
+    id,
+
+    // RegistrationResponseJSON for the options from /webauthn/register/options
+    register(options) {
+      const idLength = Buffer.alloc(2);
+      idLength.writeUInt16BE(credentialId.length);
+      const attestedCredential = Buffer.concat([Buffer.alloc(16), idLength, credentialId, Buffer.from(cosePublicKey)]);
+
+      const attestationObject = isoCBOR.encode(new Map([
+        ['fmt', 'none'],
+        ['attStmt', new Map()],
+        ['authData', authenticatorData(flags | ATTESTED_CREDENTIAL, counter, attestedCredential)]
+      ]));
+
+      return {
+        id,
+        rawId: id,
+        type: 'public-key',
+        response: {
+          clientDataJSON: clientData('webauthn.create', options.challenge).toString('base64url'),
+          attestationObject: Buffer.from(attestationObject).toString('base64url'),
+          transports: ['internal']
+        },
+        clientExtensionResults: {}
+      };
+    },
+
+    // AuthenticationResponseJSON for the options from /webauthn/login/options
+    authenticate(options) {
+      counter += 1;
+      const authData = authenticatorData(flags, counter);
+      const clientDataJSON = clientData('webauthn.get', options.challenge);
+      const signature = crypto.sign('sha256', Buffer.concat([authData, sha256(clientDataJSON)]), privateKey);
+
+      return {
+        id,
+        rawId: id,
+        type: 'public-key',
+        response: {
+          clientDataJSON: clientDataJSON.toString('base64url'),
+          authenticatorData: authData.toString('base64url'),
+          signature: signature.toString('base64url')
+        },
+        clientExtensionResults: {}
+      };
+    }
+  };
+};
+
+module.exports = { ORIGIN, RP_ID, createAuthenticator };
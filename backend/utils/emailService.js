@@ -37,4 +37,51 @@ const sendOTPEmail = async (email, otp) => {
   }
 };
 
-module.exports = { sendOTPEmail };
\ No newline at end of file
+const sendPasswordResetEmail = async (email, resetUrl) => {
+  if (!hasEmailCredentials) {
+    console.log(`Mock password reset link for ${email} is ${resetUrl}`);
+    return;
+  }
+
+  const mailOptions = {
+    from: process.env.EMAIL_USER,
+    to: email,
+    subject: 'Reset your password',
+    text: `Reset your password with this link: ${resetUrl}. It will expire in 1 hour. If you did not ask for a reset, ignore this email.`,
+    html: `<p><a href="${resetUrl}">Reset your password</a></p><p>The link will expire in 1 hour. If you did not ask for a reset, ignore this email.</p>`
+  };
+
+  try {
+    await transporter.sendMail(mailOptions);
+    console.log('Password reset email sent successfully');
+  } catch (error) {
+    console.error('Error sending password reset email:', error);
+    throw error;
+  }
+};
+
+const sendAccountLockedEmail = async (email, lockedUntil) => {
+  if (!hasEmailCredentials) {
+    console.log(`Mock account lock notice for ${email}, locked until ${lockedUntil.toISOString()}`);
+    return;
+  }
+
+  const until = lockedUntil.toUTCString();
+  const mailOptions = {
+    from: process.env.EMAIL_USER,
+    to: email,
+    subject: 'Your account has been locked',
+    text: `There were too many failed sign-in attempts on your account, so sign-in is locked until ${until}. If this was not you, reset your password: that also unlocks your account right away.`,
+    html: `<p>There were too many failed sign-in attempts on your account, so sign-in is locked until ${until}.</p><p>If this was not you, reset your password: that also unlocks your account right away.</p>`
+  };
+
+  try {
+    await transporter.sendMail(mailOptions);
+    console.log('Account lock email sent successfully');
+  } catch (error) {
+    console.error('Error sending account lock email:', error);
+    throw error;
+  }
+};
+
+module.exports = { sendOTPEmail, sendPasswordResetEmail, sendAccountLockedEmail };
\ No newline at end of file
@@ -0,0 +1,101 @@
+const fs = require('fs/promises');
+const path = require('path');
+const mongoose = require('mongoose');
+
+// Storage keys are '<fileId>/<chunkIndex>'; file IDs are validated by the controller
+const SAFE_KEY_PATTERN = /^[A-Za-z0-9_-]+\/\d+$/;
+
+const assertSafeKey = (key) => {
+  if (!SAFE_KEY_PATTERN.test(key)) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+};
+
+/**
+ * Stores encrypted chunks as individual files under a root directory
+ */
+class LocalDiskStore {
+  constructor(rootDir) {
+    this.type = 'local';
+    this.rootDir = path.resolve(rootDir);
+  }
+
+  async save(key, buffer) {
+    assertSafeKey(key);
+    const target = path.join(this.rootDir, key);
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    await fs.writeFile(target, buffer);
+  }
+
+  async read(key) {
+    assertSafeKey(key);
+    return fs.readFile(path.join(this.rootDir, key));
+  }
+}
+
+/**
+ * Stores encrypted chunks in MongoDB GridFS using the app's mongoose connection
+ */
+class GridFSStore {
+  constructor(bucketName = 'encryptedFiles') {
+    this.type = 'gridfs';
+    this.bucketName = bucketName;
+  }
+
+  bucket() {
+    return new mongoose.mongo.GridFSBucket(mongoose.connection.db, { bucketName: this.bucketName });
+  }
+
+  async save(key, buffer) {
+    assertSafeKey(key);
+    const bucket = this.bucket();
+
+    // Replace any partial upload left behind for the same chunk
+    const existing = await bucket.find({ filename: key }).toArray();
+    for (const entry of existing) {
+      await bucket.delete(entry._id);
+    }
+
+    await new Promise((resolve, reject) => {
+      bucket.openUploadStream(key)
+        .on('finish', resolve)
+        .on('error', reject)
+        .end(buffer);
+    });
+  }
+
+  async read(key) {
+    assertSafeKey(key);
+
+    return new Promise((resolve, reject) => {
+      const parts = [];
+      this.bucket().openDownloadStreamByName(key)
+        .on('data', part => parts.push(part))
+        .on('end', () => resolve(Buffer.concat(parts)))
+        .on('error', reject);
+    });
+  }
+}
+
+const stores = new Map();
+
+/**
+ * Get the chunk store for a backend type, defaulting to FILE_STORAGE ('local' or 'gridfs')
+ * @param {string} type - Storage backend recorded on the file
+ * @returns {LocalDiskStore|GridFSStore}
+ */
+const getFileStore = (type = process.env.FILE_STORAGE || 'local') => {
+  if (!stores.has(type)) {
+    if (type === 'local') {
+      stores.set(type, new LocalDiskStore(process.env.FILE_STORAGE_PATH || path.join(__dirname, '..', 'uploads')));
+    } else if (type === 'gridfs') {
+      stores.set(type, new GridFSStore());
+    } else {
+      throw new Error(`Unknown file storage backend: ${type}`);
+    }
+  }
+
+  return stores.get(type);
+};
+
+module.exports = { getFileStore, LocalDiskStore, GridFSStore };
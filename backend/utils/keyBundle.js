@@ -0,0 +1,149 @@
+const crypto = require('crypto');
+const { decodeP256PublicKey, verifyEcdsaSignature } = require('./keyVerification');
+
+const MIN_RSA_MODULUS_LENGTH = 2048;
+
+// Bundle slots in signing order, with the algorithm each key must use
+const BUNDLE_KEYS = [
+  { name: 'identityKey', label: 'identity key', algorithm: 'ECDH' },
+  { name: 'signingKey', label: 'signing key', algorithm: 'ECDSA' },
+  { name: 'encryptionKey', label: 'encryption key', algorithm: 'RSA-OAEP' }
+];
+
+/**
+ * Decode a base64 SPKI RSA public key, as exported by Web Crypto
+ * @param {string} encoded - Base64 SPKI public key
+ * @returns {Buffer|null} - Key bytes, or null when malformed or too short
+ */
+const decodeRsaPublicKey = (encoded) => {
+  if (typeof encoded !== 'string' || !encoded) {
+    return null;
+  }
+
+  const der = Buffer.from(encoded, 'base64');
+  try {
+    const key = crypto.createPublicKey({ key: der, format: 'der', type: 'spki' });
+    if (key.asymmetricKeyType !== 'rsa' || key.asymmetricKeyDetails.modulusLength < MIN_RSA_MODULUS_LENGTH) {
+      return null;
+    }
+  } catch {
+    return null;
+  }
+
+  return der;
+};
+
+/**
+ * Key ID for a public key: the first 8 bytes of its SHA-256 fingerprint, in hex
+ * Must match getKeyId in the frontend
+ * @param {Buffer} publicKeyBytes - Decoded public key
+ * @returns {string}
+ */
+const getKeyId = (publicKeyBytes) =>
+  crypto.createHash('sha256').update(publicKeyBytes).digest('hex').slice(0, 16);
+
+// [algorithm, keyId, publicKey, createdAt ms] for each key, in bundle order
+const getSignedKeyFields = (keyBundle) => BUNDLE_KEYS.map(({ name }) => [
+  keyBundle[name].algorithm,
+  keyBundle[name].keyId,
+  keyBundle[name].publicKey,
+  new Date(keyBundle[name].createdAt).getTime()
+]);
+
+/**
+ * Canonical bytes the signing key signs to vouch for the whole bundle
+ * Must match getKeyBundleSignatureData in the frontend
+ * @param {Object} keyBundle - Bundle with identityKey, signingKey and encryptionKey
+ * @returns {Buffer}
+ */
+const getKeyBundleSignatureData = (keyBundle) =>
+  Buffer.from(JSON.stringify(getSignedKeyFields(keyBundle)));
+
+/**
+ * Canonical bytes the account signing key signs to add a device to the account
+ * Covers the device's self-signature too, so the endorsement names exactly one signed bundle.
+ * Must match getDeviceSignatureData in the frontend
+ * @param {string} userId - Account the device belongs to
+ * @param {string} deviceId - Device ID
+ * @param {Object} keyBundle - Signed device bundle
+ * @returns {Buffer}
+ */
+const getDeviceSignatureData = (userId, deviceId, keyBundle) =>
+  Buffer.from(JSON.stringify([String(userId), deviceId, ...getSignedKeyFields(keyBundle), keyBundle.signature]));
+
+/**
+ * Hash committing to a whole signed bundle, as recorded in the key transparency log
+ * Must match getKeyBundleHash in the frontend
+ * @param {Object} keyBundle - Signed bundle
+ * @returns {string} - Hex SHA-256
+ */
+const getKeyBundleHash = (keyBundle) =>
+  crypto.createHash('sha256')
+    .update(getKeyBundleSignatureData(keyBundle))
+    .update(Buffer.from(keyBundle.signature, 'base64'))
+    .digest('hex');
+
+/**
+ * Validate a key bundle sent by a client
+ * @param {Object} input - Untrusted bundle from the request body
+ * @returns {{ keyBundle: Object }|{ error: string }} - Normalized bundle, or why it was rejected
+ */
+const parseKeyBundle = (input) => {
+  if (!input || typeof input !== 'object') {
+    return { error: 'Key bundle is required' };
+  }
+
+  const keyBundle = {};
+  for (const { name, label, algorithm } of BUNDLE_KEYS) {
+    const key = input[name];
+    const bytes = key && key.algorithm === algorithm && (algorithm === 'RSA-OAEP'
+      ? decodeRsaPublicKey(key.publicKey)
+      : decodeP256PublicKey(key.publicKey));
+    const createdAt = key && new Date(key.createdAt);
+
+    if (!bytes || typeof key.createdAt !== 'string' || Number.isNaN(createdAt.getTime())) {
+      return { error: `Invalid ${label}` };
+    }
+
+    if (key.keyId !== getKeyId(bytes)) {
+      return { error: `Key ID does not match the ${label}` };
+    }
+
+    keyBundle[name] = { keyId: key.keyId, algorithm, publicKey: key.publicKey, createdAt };
+  }
+
+  // The signature ties the RSA and ECDH keys to the signing key that authenticates messages
+  if (!verifyEcdsaSignature(keyBundle.signingKey.publicKey, getKeyBundleSignatureData(keyBundle), input.signature)) {
+    return { error: 'Invalid key bundle signature' };
+  }
+
+  keyBundle.signature = input.signature;
+  return { keyBundle };
+};
+
+/**
+ * Shape a stored key bundle for API responses
+ * @param {Object|null} keyBundle - User.keyBundle
+ * @returns {Object|null}
+ */
+const formatKeyBundle = (keyBundle) => {
+  if (!keyBundle) {
+    return null;
+  }
+
+  const formatted = { signature: keyBundle.signature, updatedAt: keyBundle.updatedAt };
+  for (const { name } of BUNDLE_KEYS) {
+    const { keyId, algorithm, publicKey, createdAt } = keyBundle[name];
+    formatted[name] = { keyId, algorithm, publicKey, createdAt };
+  }
+  return formatted;
+};
+
+module.exports = {
+  getKeyId,
+  getKeyBundleSignatureData,
+  getDeviceSignatureData,
+  getKeyBundleHash,
+  parseKeyBundle,
+  formatKeyBundle
+};
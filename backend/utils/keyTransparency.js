@@ -0,0 +1,98 @@
+const crypto = require('crypto');
+const KeyLogEntry = require('../models/KeyLogEntry');
+const { getKeyBundleHash } = require('./keyBundle');
+
+// previousHash of the first entry in every user's log
+const GENESIS_HASH = '0'.repeat(64);
+// keyBundleHash of the entry logged when a device is revoked
+const REVOKED_HASH = 'f'.repeat(64);
+const MAX_APPEND_ATTEMPTS = 3;
+
+/**
+ * Hash of a log entry, chaining it to the previous one
+ * Device entries append their device ID; account entries hash exactly as before devices were logged.
+ * Must match getLogEntryHash in the frontend
+ * @param {Object} entry - previousHash, userId, sequence, keyBundleHash, createdAt and deviceId
+ * @returns {string} - Hex SHA-256
+ */
+const getLogEntryHash = ({ previousHash, userId, sequence, keyBundleHash, createdAt, deviceId }) => {
+  const fields = [previousHash, String(userId), sequence, keyBundleHash, new Date(createdAt).getTime()];
+  if (deviceId) {
+    fields.push(deviceId);
+  }
+
+  return crypto.createHash('sha256').update(JSON.stringify(fields)).digest('hex');
+};
+
+/**
+ * Latest entry for the account bundle, or for one device
+ * @param {string} userId - Log owner
+ * @param {string|null} deviceId - Device, or null for the account bundle
+ * @returns {Promise<Object|null>}
+ */
+const findLatestEntry = (userId, deviceId = null) =>
+  KeyLogEntry.findOne({ userId, deviceId }).sort({ sequence: -1 });
+
+/**
+ * Append a published key bundle to the user's log
+ * Account and device bundles share one chain, so a contact verifying the account bundle also
+ * sees every device added to or revoked from the account.
+ * @param {string} userId - Bundle owner
+ * @param {Object|null} keyBundle - Signed bundle as stored, or null when the device was revoked
+ * @param {string|null} deviceId - Device the bundle belongs to, or null for the account bundle
+ * @returns {Promise<Object>} - The entry for the bundle
+ */
+const appendKeyLogEntry = async (userId, keyBundle, deviceId = null) => {
+  const keyBundleHash = keyBundle ? getKeyBundleHash(keyBundle) : REVOKED_HASH;
+
+  for (let attempt = 1; ; attempt++) {
+    // Republishing the current bundle is not a key change
+    const latest = await findLatestEntry(userId, deviceId);
+    if (latest && latest.keyBundleHash === keyBundleHash) {
+      return latest;
+    }
+
+    const head = await KeyLogEntry.findOne({ userId }).sort({ sequence: -1 });
+    const entry = {
+      userId,
+      sequence: head ? head.sequence + 1 : 1,
+      keyBundleHash,
+      previousHash: head ? head.hash : GENESIS_HASH,
+      createdAt: new Date(),
+      deviceId
+    };
+    entry.hash = getLogEntryHash(entry);
+
+    try {
+      return await KeyLogEntry.create(entry);
+    } catch (error) {
+      // A concurrent publish took this sequence number; chain onto it instead
+      if (error.code !== 11000 || attempt === MAX_APPEND_ATTEMPTS) {
+        throw error;
+      }
+    }
+  }
+};
+
+/**
+ * Shape a log entry for API responses
+ * @param {Object} entry - KeyLogEntry document
+ * @returns {Object}
+ */
+const formatLogEntry = (entry) => ({
+  sequence: entry.sequence,
+  keyBundleHash: entry.keyBundleHash,
+  previousHash: entry.previousHash,
+  hash: entry.hash,
+  createdAt: entry.createdAt,
+  ...(entry.deviceId ? { deviceId: entry.deviceId } : {})
+});
+
+module.exports = {
+  GENESIS_HASH,
+  REVOKED_HASH,
+  getLogEntryHash,
+  findLatestEntry,
+  appendKeyLogEntry,
+  formatLogEntry
+};
@@ -0,0 +1,113 @@
+const crypto = require('crypto');
+
+const RAW_P256_KEY_LENGTH = 65; // 0x04 || x || y
+
+/**
+ * Decode a base64 raw uncompressed P-256 public key, as exported by Web Crypto
+ * @param {string} encoded - Base64 raw public key
+ * @returns {Buffer|null} - Key bytes, or null when malformed
+ */
+const decodeP256PublicKey = (encoded) => {
+  if (typeof encoded !== 'string' || !encoded) {
+    return null;
+  }
+
+  const raw = Buffer.from(encoded, 'base64');
+  if (raw.length !== RAW_P256_KEY_LENGTH || raw[0] !== 0x04) {
+    return null;
+  }
+
+  return raw;
+};
+
+/**
+ * Verify a Web Crypto ECDSA P-256 signature (IEEE P1363 r || s encoding)
+ * @param {string} publicKey - Base64 raw signer public key
+ * @param {Buffer} data - Signed bytes
+ * @param {string} signature - Base64 signature
+ * @param {string} hash - Digest the signer used
+ * @returns {boolean}
+ */
+const verifyEcdsaSignature = (publicKey, data, signature, hash = 'sha256') => {
+  const raw = decodeP256PublicKey(publicKey);
+  if (!raw || typeof signature !== 'string' || !signature) {
+    return false;
+  }
+
+  try {
+    const key = crypto.createPublicKey({
+      key: {
+        kty: 'EC',
+        crv: 'P-256',
+        x: raw.subarray(1, 33).toString('base64url'),
+        y: raw.subarray(33).toString('base64url')
+      },
+      format: 'jwk'
+    });
+
+    return crypto.verify(
+      hash,
+      data,
+      { key, dsaEncoding: 'ieee-p1363' },
+      Buffer.from(signature, 'base64')
+    );
+  } catch {
+    // Points off the curve are rejected by createPublicKey
+    return false;
+  }
+};
+
+/**
+ * Canonical bytes a client signs for a message envelope
+ * Must match getEnvelopeSignatureData in the frontend
+ * @param {Object} envelope - encryptedContent, iv, nonce, timestamp, sequenceNumber and receiverId
+ * @returns {Buffer}
+ */
+const getMessageSignatureData = ({ encryptedContent, iv, nonce, timestamp, sequenceNumber, receiverId }) =>
+  Buffer.from(JSON.stringify([
+    encryptedContent,
+    iv,
+    nonce,
+    new Date(timestamp).getTime(),
+    sequenceNumber,
+    String(receiverId)
+  ]));
+
+/**
+ * Canonical bytes a member signs for a group membership change
+ * Must match getGroupEventSignatureData in the frontend. Groups being created have no ID yet,
+ * so their creation event is signed with a null group ID
+ * @param {Object} event - { groupId, type, targetIds, name, timestamp }
+ * @returns {Buffer}
+ */
+const getGroupEventSignatureData = ({ groupId, type, targetIds = [], name = null, timestamp }) =>
+  Buffer.from(JSON.stringify([
+    groupId ? String(groupId) : null,
+    type,
+    targetIds.map(String).sort(),
+    name,
+    new Date(timestamp).getTime()
+  ]));
+
+/**
+ * Canonical bytes a reporter signs for a report and the decrypted messages attached to it
+ * Must match getReportSignatureData in the frontend
+ * @param {Object} report - { reportedUserId, reason, details, evidence: [{ messageId, content }], timestamp }
+ * @returns {Buffer}
+ */
+const getReportSignatureData = ({ reportedUserId, reason, details = '', evidence = [], timestamp }) =>
+  Buffer.from(JSON.stringify([
+    String(reportedUserId),
+    reason,
+    details,
+    evidence.map(({ messageId, content }) => [String(messageId), content]),
+    new Date(timestamp).getTime()
+  ]));
+
+module.exports = {
+  decodeP256PublicKey,
+  verifyEcdsaSignature,
+  getMessageSignatureData,
+  getGroupEventSignatureData,
+  getReportSignatureData
+};
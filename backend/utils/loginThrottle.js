@@ -0,0 +1,102 @@
+const LoginThrottle = require('../models/LoginThrottle');
+const { sendAccountLockedEmail } = require('./emailService');
+
+// Failures allowed before each further one doubles the wait, starting at one second
+const IP_FREE_ATTEMPTS = 20;
+const ACCOUNT_FREE_ATTEMPTS = 3;
+const BASE_DELAY_MS = 1000;
+const MAX_DELAY_MS = 15 * 60 * 1000;
+// Every this many failures in a row the account is locked outright
+const ACCOUNT_LOCK_THRESHOLD = 10;
+const ACCOUNT_LOCK_MS = 60 * 60 * 1000;
+const RECORD_TTL_MS = 24 * 60 * 60 * 1000;
+
+const ipKey = (req) => `ip:${req.ip}`;
+const accountKey = (user) => `account:${user._id}`;
+
+const backoffDelay = (failures, freeAttempts) => failures <= freeAttempts
+  ? 0
+  : Math.min(BASE_DELAY_MS * 2 ** Math.min(failures - freeAttempts - 1, 30), MAX_DELAY_MS);
+
+/**
+ * Seconds until a key may be tried again
+ * @param {string} key - From ipKey or accountKey
+ * @param {Object} options
+ * @param {boolean} options.lockedOnly - Ignore the backoff and only check for a lockout
+ * @returns {Promise<number>} - 0 if the key is not blocked
+ */
+const getRetryAfter = async (key, { lockedOnly = false } = {}) => {
+  const record = await LoginThrottle.findOne({ key });
+  if (!record) {
+    return 0;
+  }
+
+  const until = Math.max(
+    record.lockedUntil?.getTime() || 0,
+    lockedOnly ? 0 : record.blockedUntil?.getTime() || 0
+  );
+  return Math.max(0, Math.ceil((until - Date.now()) / 1000));
+};
+
+/**
+ * Count a failed password or code and block the key for its backoff delay
+ * @param {string} key - From ipKey or accountKey
+ * @returns {Promise<{ failures: number, lockedUntil: Date|null }>} - lockedUntil is set only by the
+ *   failure that locked the account
+ */
+const recordFailure = async (key) => {
+  const now = Date.now();
+  const { failures } = await LoginThrottle.findOneAndUpdate(
+    { key },
+    { $inc: { failures: 1 }, $set: { expiresAt: new Date(now + RECORD_TTL_MS) } },
+    { new: true, upsert: true }
+  );
+
+  const isAccount = key.startsWith('account:');
+  const update = {
+    blockedUntil: new Date(now + backoffDelay(failures, isAccount ? ACCOUNT_FREE_ATTEMPTS : IP_FREE_ATTEMPTS))
+  };
+  if (isAccount && failures % ACCOUNT_LOCK_THRESHOLD === 0) {
+    update.lockedUntil = new Date(now + ACCOUNT_LOCK_MS);
+  }
+  await LoginThrottle.updateOne({ key }, { $set: update });
+
+  return { failures, lockedUntil: update.lockedUntil || null };
+};
+
+/**
+ * Count a failed password or code against the client address and the account; the owner is
+ * emailed when the failure locks the account
+ * @param {Object} req - Express request
+ * @param {Object|null} user - Account the attempt was for, if known
+ */
+const recordLoginFailure = async (req, user = null) => {
+  await recordFailure(ipKey(req));
+  if (!user) {
+    return;
+  }
+
+  const { lockedUntil } = await recordFailure(accountKey(user));
+  if (lockedUntil) {
+    try {
+      await sendAccountLockedEmail(user.email, lockedUntil);
+    } catch (error) {
+      console.error('Account lock notice error:', error);
+    }
+  }
+};
+
+/**
+ * Forget the failures of a key, after a completed login or a password reset
+ * @param {string} key - From ipKey or accountKey
+ */
+const clearFailures = (key) => LoginThrottle.deleteOne({ key });
+
+module.exports = {
+  ipKey,
+  accountKey,
+  getRetryAfter,
+  recordFailure,
+  recordLoginFailure,
+  clearFailures
+};
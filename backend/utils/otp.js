@@ -0,0 +1,33 @@
+const crypto = require('crypto');
+
+/**
+ * Random 6-digit code for email verification
+ * @returns {string}
+ */
+const generateOtp = () => crypto.randomInt(100000, 1000000).toString();
+
+/**
+ * Hash an emailed code for storage
+ * Keyed with the server secret: a plain hash of six digits is reversed by trying all of them
+ * @param {string} otp
+ * @returns {string} - Hex HMAC-SHA256
+ */
+const hashOtp = (otp) => crypto.createHmac('sha256', process.env.JWT_SECRET).update(String(otp)).digest('hex');
+
+/**
+ * Constant-time comparison of a submitted code with a stored hash
+ * @param {string|null} storedHash - From hashOtp
+ * @param {string} otp - Code as submitted
+ * @returns {boolean}
+ */
+const otpMatches = (storedHash, otp) => {
+  if (!storedHash || typeof otp !== 'string') {
+    return false;
+  }
+
+  const expected = Buffer.from(storedHash, 'hex');
+  const actual = Buffer.from(hashOtp(otp), 'hex');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+module.exports = { generateOtp, hashOtp, otpMatches };
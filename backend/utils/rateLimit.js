@@ -0,0 +1,37 @@
+const RateLimit = require('../models/RateLimit');
+
+/**
+ * Count a request against a key and check it is within the limit for the current window
+ * @param {string} key - What is being limited, e.g. 'search:<user id>'
+ * @param {Object} options
+ * @param {number} options.limit - Requests allowed per window
+ * @param {number} options.windowMs - Window length
+ * @returns {Promise<number>} - Seconds until the window resets if over the limit, otherwise 0
+ */
+const consumeRateLimit = async (key, { limit, windowMs }) => {
+  const now = new Date();
+
+  let record = await RateLimit.findOneAndUpdate(
+    { key, resetAt: { $gt: now } },
+    { $inc: { count: 1 } },
+    { new: true }
+  );
+
+  // No record, or its window ran out before the TTL monitor removed it
+  if (!record) {
+    record = await RateLimit.findOneAndUpdate(
+      { key },
+      { $set: { count: 1, resetAt: new Date(now.getTime() + windowMs) } },
+      { new: true, upsert: true }
+    );
+  }
+
+  if (record.count <= limit) {
+    return 0;
+  }
+  return Math.max(1, Math.ceil((record.resetAt.getTime() - now.getTime()) / 1000));
+};
+
+module.exports = {
+  consumeRateLimit
+};
@@ -0,0 +1,98 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+
+// Access tokens are short-lived; clients renew them with the refresh token of their session
+const ACCESS_TOKEN_TTL = '15m';
+const REFRESH_TOKEN_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+const hashToken = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+/**
+ * Sign an access token bound to a session
+ * @param {Object} user - User document
+ * @param {Object} session - Session document
+ * @returns {string} - JWT
+ */
+const signAccessToken = (user, session) => jwt.sign(
+  { id: user._id, username: user.username, email: user.email, sid: session._id },
+  process.env.JWT_SECRET,
+  { expiresIn: ACCESS_TOKEN_TTL }
+);
+
+/**
+ * Create a random refresh token for a session
+ * The session ID prefix lets a presented token be matched to its session even after rotation
+ * @param {string} sessionId - Session the token belongs to
+ * @returns {{ refreshToken: string, refreshTokenHash: string }}
+ */
+const createRefreshToken = (sessionId) => {
+  const secret = crypto.randomBytes(32).toString('hex');
+  return { refreshToken: `${sessionId}.${secret}`, refreshTokenHash: hashToken(secret) };
+};
+
+/**
+ * Split a refresh token into its session ID and secret
+ * @param {string} refreshToken - Token as issued by createRefreshToken
+ * @returns {{ sessionId: string, secret: string }|null}
+ */
+const parseRefreshToken = (refreshToken) => {
+  if (typeof refreshToken !== 'string') {
+    return null;
+  }
+
+  const [sessionId, secret, ...rest] = refreshToken.split('.');
+  if (!sessionId || !secret || rest.length > 0 || !/^[a-f0-9]{24}$/.test(sessionId)) {
+    return null;
+  }
+
+  return { sessionId, secret };
+};
+
+/**
+ * Start a session for a user who just signed in
+ * @param {Object} user - User document
+ * @param {string|null} userAgent - User-Agent of the signing-in client
+ * @returns {Promise<Object>} - { session, accessToken, refreshToken }
+ */
+const createSession = async (user, userAgent = null) => {
+  const session = new Session({
+    userId: user._id,
+    userAgent: userAgent ? userAgent.slice(0, 200) : null,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS)
+  });
+  const { refreshToken, refreshTokenHash } = createRefreshToken(session._id);
+  session.refreshTokenHash = refreshTokenHash;
+  await session.save();
+
+  return { session, accessToken: signAccessToken(user, session), refreshToken };
+};
+
+/**
+ * Revoke every active session matching a filter
+ * @param {Object} filter - Session query, e.g. { userId }
+ * @param {string} reason - Stored as revokedReason
+ * @returns {Promise<Array<string>>} - IDs of the sessions revoked, for disconnecting their sockets
+ */
+const revokeSessions = async (filter, reason) => {
+  const sessions = await Session.find({ ...filter, revokedAt: null }).select('_id');
+  const sessionIds = sessions.map(session => String(session._id));
+
+  if (sessionIds.length > 0) {
+    await Session.updateMany(
+      { _id: { $in: sessionIds }, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+  }
+
+  return sessionIds;
+};
+
+module.exports = {
+  hashToken,
+  signAccessToken,
+  createRefreshToken,
+  parseRefreshToken,
+  createSession,
+  revokeSessions
+};
@@ -0,0 +1,213 @@
+const { Server } = require('socket.io');
+const Contact = require('../models/Contact');
+const Block = require('../models/Block');
+const Device = require('../models/Device');
+const { verifyToken } = require('../middleware/auth');
+
+let io = null;
+
+// Number of open sockets per user ID, so presence survives multiple tabs
+const onlineUsers = new Map();
+
+const userRoom = (userId) => `user:${userId}`;
+const deviceRoom = (userId, deviceId) => `device:${userId}:${deviceId}`;
+const sessionRoom = (sessionId) => `session:${sessionId}`;
+
+const emitToUser = (userId, event, data) => {
+  if (!io) {
+    return false;
+  }
+
+  io.to(userRoom(String(userId))).emit(event, data);
+  return true;
+};
+
+// Messages encrypted for one device only go to that device's sockets
+const emitToDevice = (userId, deviceId, event, data) => {
+  if (!io) {
+    return false;
+  }
+
+  io.to(deviceRoom(String(userId), deviceId)).emit(event, data);
+  return true;
+};
+
+// Drop the sockets of a revoked device
+const disconnectDevice = (userId, deviceId) => {
+  if (io) {
+    io.in(deviceRoom(String(userId), deviceId)).disconnectSockets(true);
+  }
+};
+
+// Used when sessions are revoked, so sockets authenticated with their tokens do not stay open
+const disconnectSessions = (sessionIds) => {
+  if (io && sessionIds.length > 0) {
+    io.in(sessionIds.map(sessionRoom)).disconnectSockets(true);
+  }
+};
+
+const isUserOnline = (userId) => onlineUsers.has(String(userId));
+
+// Update presence on the contact rows of the user's mutual contacts and notify them. Someone who
+// only sent a request, whose request was declined, or who is on either side of a block does not
+// learn when the user is online.
+const broadcastPresence = async (userId, isOnline) => {
+  const update = isOnline ? { isOnline: true } : { isOnline: false, lastSeen: new Date() };
+
+  const rows = await Contact.find({ contactUserId: userId }).select('userId');
+  const mutual = await Contact.findMutual(userId, rows.map(row => row.userId));
+  const blocks = await Block.find({
+    $or: [
+      { blockerId: userId, blockedId: { $in: mutual } },
+      { blockerId: { $in: mutual }, blockedId: userId }
+    ]
+  }).select('blockerId blockedId');
+  const blocked = new Set(blocks.flatMap(block => [String(block.blockerId), String(block.blockedId)]));
+  const watchers = mutual.filter(id => !blocked.has(id));
+  await Contact.updateMany({ userId: { $in: watchers }, contactUserId: userId }, update);
+
+  const event = isOnline ? 'user_online' : 'user_offline';
+
+  watchers.forEach(watcher => {
+    emitToUser(watcher, event, {
+      userId,
+      status: isOnline ? 'online' : 'offline',
+      lastSeen: update.lastSeen ? update.lastSeen.toISOString() : null
+    });
+  });
+};
+
+const joinUserRoom = async (socket, user, deviceId = null) => {
+  // The socket may have closed while its token was being verified; leaveUserRoom already ran
+  if (!socket.connected) {
+    return;
+  }
+
+  const userId = String(user.id);
+
+  // Count the connection and mark the socket as counted in the same tick, so a disconnect during
+  // the awaits below always undoes exactly what was added
+  const connections = onlineUsers.get(userId) || 0;
+  onlineUsers.set(userId, connections + 1);
+  socket.data.user = user;
+
+  socket.join(userRoom(userId));
+  socket.join(sessionRoom(String(user.sid)));
+
+  // Unregistered device IDs still get user-wide events, just no per-device messages. As for REST
+  // requests, a session bound to a device cannot listen for another one.
+  const ownsDevice = typeof deviceId === 'string' && (!user.deviceId || user.deviceId === deviceId);
+  if (ownsDevice && await Device.exists({ userId, deviceId }) && socket.connected) {
+    socket.data.deviceId = deviceId;
+    socket.join(deviceRoom(userId, deviceId));
+  }
+
+  if (connections === 0) {
+    await broadcastPresence(userId, true);
+  }
+};
+
+const leaveUserRoom = async (socket) => {
+  const user = socket.data.user;
+  if (!user) {
+    return;
+  }
+
+  const userId = String(user.id);
+  const connections = (onlineUsers.get(userId) || 1) - 1;
+
+  if (connections > 0) {
+    onlineUsers.set(userId, connections);
+    return;
+  }
+
+  onlineUsers.delete(userId);
+  await broadcastPresence(userId, false);
+};
+
+const handleConnection = (socket) => {
+  // Sockets authenticated during the handshake join their room straight away
+  if (socket.data.handshakeUser) {
+    joinUserRoom(socket, socket.data.handshakeUser, socket.handshake.auth.deviceId)
+      .catch(error => console.error('Socket presence error:', error));
+  }
+
+  socket.on('authenticate', async ({ token, deviceId } = {}) => {
+    try {
+      // Accept both a raw token and an Authorization-style 'Bearer <token>' value
+      const rawToken = typeof token === 'string' ? token.replace(/^Bearer\s+/i, '') : token;
+      const user = await verifyToken(rawToken);
+
+      if (socket.data.user && String(socket.data.user.id) !== String(user.id)) {
+        socket.emit('authentication_error', { error: 'Token does not match connected user' });
+        return;
+      }
+
+      if (!socket.data.user) {
+        await joinUserRoom(socket, user, deviceId);
+      }
+
+      socket.emit('authenticated', { userId: user.id });
+    } catch (error) {
+      socket.emit('authentication_error', { error: 'Invalid or expired token' });
+      socket.disconnect(true);
+    }
+  });
+
+  const relayTyping = async (receiverId, isTyping) => {
+    const user = socket.data.user;
+    if (!user || !receiverId) {
+      return;
+    }
+
+    try {
+      // Only between mutual contacts with no block between them, as for messages
+      if (await Contact.areContacts(user.id, receiverId) && !await Block.existsBetween(user.id, receiverId)) {
+        emitToUser(receiverId, 'typing_indicator', {
+          fromUserId: user.id,
+          toUserId: receiverId,
+          isTyping
+        });
+      }
+    } catch (error) {
+      console.error('Typing indicator error:', error);
+    }
+  };
+
+  socket.on('typing_indicator', ({ receiverId, isTyping } = {}) => relayTyping(receiverId, !!isTyping));
+  socket.on('typing_start', ({ contactId } = {}) => relayTyping(contactId, true));
+  socket.on('typing_stop', ({ contactId } = {}) => relayTyping(contactId, false));
+
+  socket.on('disconnect', () => {
+    leaveUserRoom(socket)
+      .catch(error => console.error('Socket presence error:', error));
+  });
+};
+
+const initSocket = (server) => {
+  io = new Server(server, {
+    cors: { origin: '*' }
+  });
+
+  // Verify the handshake token with the same JWT logic as the REST middleware.
+  // Connections without one may still authenticate later via the 'authenticate' event.
+  io.use(async (socket, next) => {
+    const token = socket.handshake.auth && socket.handshake.auth.token;
+    if (!token) {
+      return next();
+    }
+
+    try {
+      socket.data.handshakeUser = await verifyToken(token);
+      next();
+    } catch (error) {
+      next(new Error('Invalid or expired token'));
+    }
+  });
+
+  io.on('connection', handleConnection);
+
+  return io;
+};
+
+module.exports = { initSocket, emitToUser, emitToDevice, disconnectDevice, disconnectSessions, isUserOnline };
@@ -0,0 +1,162 @@
+const crypto = require('crypto');
+
+// RFC 6238 defaults, the only parameters most authenticator apps support
+const TOTP_PERIOD_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const TOTP_ISSUER = 'Secure Messaging';
+// Accept the previous and next code as well, to allow for clock drift
+const TOTP_WINDOW = 1;
+const BACKUP_CODE_COUNT = 10;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * RFC 4648 base32 without padding, the encoding authenticator apps expect for secrets
+ * @param {Buffer} buffer
+ * @returns {string}
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+    value &= (1 << bits) - 1;
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * @param {string} encoded - Base32 string, case and padding insensitive
+ * @returns {Buffer}
+ */
+const base32Decode = (encoded) => {
+  const bytes = [];
+  let bits = 0;
+  let value = 0;
+
+  for (const char of encoded.toUpperCase().replace(/=+$/, '')) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+    value &= (1 << bits) - 1;
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * New 160-bit secret, the HMAC-SHA1 key size recommended by RFC 4226
+ * @returns {string} - Base32 secret
+ */
+const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * HOTP value for one counter (RFC 4226)
+ * @param {string} secret - Base32 secret
+ * @param {number} counter - Time step
+ * @returns {string} - Zero-padded code
+ */
+const generateHotp = (secret, counter) => {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(message).digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+};
+
+const getTimeStep = (time = Date.now()) => Math.floor(time / 1000 / TOTP_PERIOD_SECONDS);
+
+/**
+ * TOTP code for a point in time
+ * @param {string} secret - Base32 secret
+ * @param {number} time - Milliseconds since the epoch
+ * @returns {string}
+ */
+const generateTotp = (secret, time = Date.now()) => generateHotp(secret, getTimeStep(time));
+
+/**
+ * Check a code against the current time step and its neighbours
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {number} time - Milliseconds since the epoch
+ * @returns {number|null} - Matching time step, so callers can reject its reuse; null if invalid
+ */
+const verifyTotp = (secret, code, time = Date.now()) => {
+  if (typeof code !== 'string' || !/^\d{6}$/.test(code)) {
+    return null;
+  }
+
+  const current = getTimeStep(time);
+  for (let step = current - TOTP_WINDOW; step <= current + TOTP_WINDOW; step++) {
+    const expected = generateHotp(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * otpauth:// URI for enrolling the secret in an authenticator app, usually shown as a QR code
+ * @param {string} secret - Base32 secret
+ * @param {string} accountName - Shown in the app next to the issuer, e.g. the email
+ * @returns {string}
+ */
+const getProvisioningUri = (secret, accountName) => {
+  // Encoded by hand: some apps show a '+' from URLSearchParams literally instead of a space
+  const label = `${encodeURIComponent(TOTP_ISSUER)}:${encodeURIComponent(accountName)}`;
+  const issuer = encodeURIComponent(TOTP_ISSUER);
+
+  return `otpauth://totp/${label}?secret=${secret}&issuer=${issuer}&algorithm=SHA1`
+    + `&digits=${TOTP_DIGITS}&period=${TOTP_PERIOD_SECONDS}`;
+};
+
+const normalizeBackupCode = (code) => (typeof code === 'string' ? code.toLowerCase().replace(/[\s-]/g, '') : '');
+
+const hashBackupCode = (code) => crypto.createHash('sha256').update(normalizeBackupCode(code)).digest('hex');
+
+/**
+ * Single-use codes for signing in without the authenticator app
+ * @returns {{ codes: Array<string>, hashes: Array<string> }} - Codes to show once, hashes to store
+ */
+const generateBackupCodes = () => {
+  const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+
+  return { codes, hashes: codes.map(hashBackupCode) };
+};
+
+module.exports = {
+  generateTotpSecret,
+  generateTotp,
+  verifyTotp,
+  getProvisioningUri,
+  generateBackupCodes,
+  hashBackupCode
+};
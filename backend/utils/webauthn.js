@@ -0,0 +1,174 @@
+const {
+  generateRegistrationOptions,
+  verifyRegistrationResponse,
+  generateAuthenticationOptions,
+  verifyAuthenticationResponse
+} = require('@simplewebauthn/server');
+const { decodeClientDataJSON } = require('@simplewebauthn/server/helpers');
+const WebAuthnChallenge = require('../models/WebAuthnChallenge');
+
+const RP_NAME = 'Secure Messaging';
+const CHALLENGE_TTL_MS = 5 * 60 * 1000;
+
+/**
+ * Relying party the passkeys are bound to: the frontend origin and its host name
+ * @returns {{ rpID: string, origin: string }}
+ */
+const getRelyingParty = () => {
+  const origin = process.env.WEBAUTHN_ORIGIN || process.env.CLIENT_URL || 'http://localhost:5173';
+  return { rpID: process.env.WEBAUTHN_RP_ID || new URL(origin).hostname, origin };
+};
+
+const storeChallenge = (options, purpose, userId = null) => WebAuthnChallenge.create({
+  challenge: options.challenge,
+  purpose,
+  userId,
+  expiresAt: new Date(Date.now() + CHALLENGE_TTL_MS)
+});
+
+/**
+ * Take the challenge a WebAuthn response signed out of storage
+ * @param {Object} response - Registration or authentication response from the browser
+ * @param {string} purpose - Ceremony the challenge was issued for
+ * @returns {Promise<Object|null>} - Challenge document, or null if unknown, expired or used
+ */
+const consumeChallenge = async (response, purpose) => {
+  let challenge;
+  try {
+    ({ challenge } = decodeClientDataJSON(response.response.clientDataJSON));
+  } catch {
+    return null;
+  }
+
+  if (typeof challenge !== 'string') {
+    return null;
+  }
+
+  return WebAuthnChallenge.findOneAndDelete({ challenge, purpose, expiresAt: { $gt: new Date() } });
+};
+
+const toDescriptor = (credential) => ({ id: credential.credentialId, transports: credential.transports });
+
+/**
+ * Options for navigator.credentials.create()
+ * @param {Object} user - Account the passkey is for
+ * @param {Array<Object>} credentials - Passkeys the account already has, so they are not registered twice
+ * @returns {Promise<Object>}
+ */
+const createRegistrationOptions = async (user, credentials) => {
+  const { rpID } = getRelyingParty();
+  const options = await generateRegistrationOptions({
+    rpName: RP_NAME,
+    rpID,
+    userName: user.email,
+    userDisplayName: user.username,
+    userID: Buffer.from(user._id.toString()),
+    attestationType: 'none',
+    excludeCredentials: credentials.map(toDescriptor),
+    // Discoverable credentials are what allows signing in without typing a username
+    authenticatorSelection: { residentKey: 'preferred', userVerification: 'preferred' }
+  });
+
+  await storeChallenge(options, 'registration', user._id);
+  return options;
+};
+
+/**
+ * Check a new passkey against a registration challenge issued to the same account
+ * @param {Object} user
+ * @param {Object} response - RegistrationResponseJSON from the browser
+ * @returns {Promise<Object|null>} - Credential fields to store, or null if invalid
+ */
+const verifyRegistration = async (user, response) => {
+  const challenge = await consumeChallenge(response, 'registration');
+  if (!challenge || !challenge.userId.equals(user._id)) {
+    return null;
+  }
+
+  const { rpID, origin } = getRelyingParty();
+  try {
+    const { verified, registrationInfo } = await verifyRegistrationResponse({
+      response,
+      expectedChallenge: challenge.challenge,
+      expectedOrigin: origin,
+      expectedRPID: rpID,
+      // Checked on each login instead, where passwordless sign-in insists on it
+      requireUserVerification: false
+    });
+
+    if (!verified) {
+      return null;
+    }
+
+    const { credential, credentialBackedUp } = registrationInfo;
+    return {
+      credentialId: credential.id,
+      publicKey: Buffer.from(credential.publicKey),
+      counter: credential.counter,
+      transports: credential.transports || [],
+      backedUp: credentialBackedUp
+    };
+  } catch (error) {
+    console.error('Passkey registration rejected:', error.message);
+    return null;
+  }
+};
+
+/**
+ * Options for navigator.credentials.get()
+ * @param {string} purpose - 'second-factor' after a password check, or 'passwordless'
+ * @param {Object|null} user - Account for second-factor logins
+ * @param {Array<Object>} credentials - The account's passkeys; empty lets the browser offer any
+ * @returns {Promise<Object>}
+ */
+const createAuthenticationOptions = async (purpose, user = null, credentials = []) => {
+  const { rpID } = getRelyingParty();
+  const options = await generateAuthenticationOptions({
+    rpID,
+    allowCredentials: credentials.map(toDescriptor),
+    // Without a password the passkey has to stand for both factors
+    userVerification: purpose === 'passwordless' ? 'required' : 'preferred'
+  });
+
+  await storeChallenge(options, purpose, user?._id || null);
+  return options;
+};
+
+/**
+ * Check a passkey assertion; the challenge is consumed even if the signature turns out invalid
+ * @param {Object} challenge - Document returned by consumeChallenge
+ * @param {Object} credential - Stored WebAuthnCredential the response names
+ * @param {Object} response - AuthenticationResponseJSON from the browser
+ * @returns {Promise<number|null>} - New signature counter, or null if invalid
+ */
+const verifyAuthentication = async (challenge, credential, response) => {
+  const { rpID, origin } = getRelyingParty();
+  try {
+    const { verified, authenticationInfo } = await verifyAuthenticationResponse({
+      response,
+      expectedChallenge: challenge.challenge,
+      expectedOrigin: origin,
+      expectedRPID: rpID,
+      credential: {
+        id: credential.credentialId,
+        publicKey: new Uint8Array(credential.publicKey),
+        counter: credential.counter,
+        transports: credential.transports
+      },
+      requireUserVerification: challenge.purpose === 'passwordless'
+    });
+
+    return verified ? authenticationInfo.newCounter : null;
+  } catch (error) {
+    console.error('Passkey assertion rejected:', error.message);
+    return null;
+  }
+};
+
+module.exports = {
+  consumeChallenge,
+  createRegistrationOptions,
+  verifyRegistration,
+  createAuthenticationOptions,
+  verifyAuthentication
+};
@@ -9,14 +9,25 @@ import { useMessaging } from './hooks/useMessaging.js';
 import { LoginForm } from './components/LoginForm.jsx';
 import { RegisterForm } from './components/RegisterForm.jsx';
 import { OtpForm } from './components/OtpForm.jsx';
+import { PasswordResetForm } from './components/PasswordResetForm.jsx';
 import { ChatInterface } from './components/ChatInterface.jsx';
+import DeviceManager from './components/DeviceManager.jsx';
+import KeyBackup from './components/KeyBackup.jsx';
+import ChangePassword from './components/ChangePassword.jsx';
+import TwoFactorSettings from './components/TwoFactorSettings.jsx';
 import './App.css';
 
 function App() {
-  const [authMode, setAuthMode] = useState('login'); // 'login' | 'register' | 'otp'
-  const [otpData, setOtpData] = useState(null); // { identifier, password }
-  const { user, isAuthenticated, isLoading, error, contacts, register, login, verifyOtp, logout, addContact, clearError, fetchUserProfile } = useAuth();
-  const { keys, loadKeys, clearKeys } = useKeys();
+  // Reset links point to the app with the token in the query string
+  const [resetToken, setResetToken] = useState(() => new URLSearchParams(window.location.search).get('resetToken'));
+  const [authMode, setAuthMode] = useState(() => (resetToken ? 'reset' : 'login')); // 'login' | 'register' | 'otp' | 'reset'
+  const [otpData, setOtpData] = useState(null); // { identifier, password, methods, loginChallenge, recoveryCode, freshKeys }
+  const [showDevices, setShowDevices] = useState(false);
+  const [showBackup, setShowBackup] = useState(false);
+  const [showPassword, setShowPassword] = useState(false);
+  const [showTwoFactor, setShowTwoFactor] = useState(false);
+  const { user, isAuthenticated, isLoading, error, contacts, register, login, verifyOtp, loginWithPasskey, logout, addContact, removeContact, clearError, fetchUserProfile, requestPasswordChangeOtp, changePassword, requestPasswordReset, resetPassword } = useAuth();
+  const { keys, loadKeys, clearKeys, startDeviceLink, approveDeviceLink, finishDeviceLink, endorseDevice, createKeyBackup } = useKeys();
 
   console.log('App component render:', {
     hasUser: !!user,
@@ -55,6 +66,20 @@ function App() {
     }
   }, [contacts, messaging.createConversationForContact]);
 
+  // A device revoked from another one can no longer receive messages; sign it out
+  useEffect(() => {
+    if (messaging.deviceRevoked) {
+      logout().then(() => {
+        clearKeys();
+        setShowDevices(false);
+        setShowBackup(false);
+        setShowPassword(false);
+        setShowTwoFactor(false);
+        setAuthMode('login');
+      });
+    }
+  }, [messaging.deviceRevoked, logout, clearKeys]);
+
   // Handle authentication error cleanup
   useEffect(() => {
     if (error) {
@@ -65,7 +90,7 @@ function App() {
     }
   }, [error, clearError]);
 
-  const handleLogin = async (identifier, password) => {
+  const handleLogin = async (identifier, password, recoveryCode = null, freshKeys = false) => {
     console.log('handleLogin called');
     const loginResult = await login(identifier, password);
     console.log('Login result:', loginResult);
@@ -73,7 +98,14 @@ function App() {
     if (loginResult.success && loginResult.requiresOtp) {
       // Switch to OTP mode
       setAuthMode('otp');
-      setOtpData({ identifier: loginResult.identifier, password });
+      setOtpData({
+        identifier: loginResult.identifier,
+        password,
+        methods: loginResult.methods,
+        loginChallenge: loginResult.loginChallenge,
+        recoveryCode,
+        freshKeys
+      });
       return true;
     } else if (loginResult.success && loginResult.user) {
       // Load user keys after successful login using the returned user data
@@ -86,15 +118,22 @@ function App() {
     return false;
   };
 
-  const handleVerifyOtp = async (identifier, otp) => {
+  const handleVerifyOtp = async (identifier, otp, method) => {
     console.log('handleVerifyOtp called');
-    const verifyResult = await verifyOtp(identifier, otp, otpData.password);
+    const options = {
+      loginChallenge: otpData.loginChallenge,
+      recoveryCode: otpData.recoveryCode,
+      freshKeys: otpData.freshKeys
+    };
+    const verifyResult = method === 'webauthn'
+      ? await loginWithPasskey(identifier, otpData.password, options)
+      : await verifyOtp(identifier, otp, otpData.password, { ...options, method });
     console.log('Verify OTP result:', verifyResult);
 
     if (verifyResult.success && verifyResult.user) {
       // Load user keys after successful OTP verification using the user's email
       console.log('Loading keys for user:', verifyResult.user.email);
-      const keysLoaded = await loadKeys(verifyResult.user.email, otpData.password);
+      const keysLoaded = await loadKeys(verifyResult.user.email, otpData.password, otpData.freshKeys);
       console.log('Keys loaded result:', keysLoaded);
       console.log('Keys state after loading:', keys);
       setOtpData(null); // Clear OTP data
@@ -103,18 +142,58 @@ function App() {
     return false;
   };
 
+  const handlePasskeyLogin = async (password, recoveryCode = null) => {
+    const result = await loginWithPasskey(null, password, { recoveryCode });
+    if (!result.success) {
+      return false;
+    }
+
+    await loadKeys(result.user.email, password);
+    return true;
+  };
+
   const handleBackToLogin = () => {
     setAuthMode('login');
     setOtpData(null);
   };
 
+  const handleForgotPassword = () => {
+    setAuthMode('reset');
+  };
+
+  const handleResetPassword = async (newPassword, recoveryCode) => {
+    const resetResult = await resetPassword(resetToken, newPassword);
+    if (!resetResult.success) {
+      return false;
+    }
+
+    // The token is single-use; drop it from the address bar
+    window.history.replaceState(null, '', window.location.pathname);
+    setResetToken(null);
+
+    // Sign in with the new password; keys are restored or replaced after the OTP step
+    return handleLogin(resetResult.email, newPassword, recoveryCode, !recoveryCode);
+  };
+
+  const handleBackToLoginFromReset = () => {
+    if (resetToken) {
+      window.history.replaceState(null, '', window.location.pathname);
+      setResetToken(null);
+    }
+    setAuthMode('login');
+  };
+
   const handleRegister = async (userData) => {
     return await register(userData);
   };
 
-  const handleLogout = async () => {
-    await logout();
+  const handleLogout = async ({ allSessions = false } = {}) => {
+    await logout({ allSessions });
     clearKeys();
+    setShowDevices(false);
+    setShowBackup(false);
+    setShowPassword(false);
+    setShowTwoFactor(false);
     setAuthMode('login');
     setOtpData(null);
   };
@@ -125,8 +204,12 @@ function App() {
 
   const handleSelectConversation = async (userId) => {
     messaging.selectConversation(userId);
-    // Load conversation history if needed
-    if (!messaging.conversations.find(conv => conv.userId === userId)) {
+    const conversation = messaging.conversations.find(conv => conv.userId === userId);
+    // Group history is decrypted from sender keys that may have arrived since it was last shown
+    if (conversation?.isGroup) {
+      await messaging.loadGroupConversation(userId);
+    } else if (!conversation) {
+      // Load conversation history if needed
       await messaging.loadConversation(userId);
     }
   };
@@ -137,6 +220,21 @@ function App() {
     messaging.createConversationForContact(contact);
   };
 
+  // Blocking removes the contact on both sides
+  const handleBlockUser = async (userId) => {
+    const blocked = await messaging.blockUser(userId);
+    removeContact(userId);
+    return blocked;
+  };
+
+  const handleReportUser = async (userId, report) => {
+    const result = await messaging.reportUser(userId, report);
+    if (result.blocked) {
+      removeContact(userId);
+    }
+    return result;
+  };
+
   // Show loading screen while checking authentication
   if (isLoading && !user) {
     return (
@@ -162,7 +260,19 @@ function App() {
             <span className="user-info">
               Welcome, {user.username || user.email}
             </span>
-            <button onClick={handleLogout} className="logout-button">
+            <button onClick={() => setShowDevices(true)} className="devices-button">
+              Devices
+            </button>
+            <button onClick={() => setShowBackup(true)} className="backup-button">
+              Backup
+            </button>
+            <button onClick={() => setShowPassword(true)} className="password-button">
+              Password
+            </button>
+            <button onClick={() => setShowTwoFactor(true)} className="two-factor-button">
+              2FA
+            </button>
+            <button onClick={() => handleLogout()} className="logout-button">
               Logout
             </button>
           </div>
@@ -174,13 +284,65 @@ function App() {
             activeConversation={messaging.activeConversation}
             onSelectConversation={handleSelectConversation}
             onSendMessage={handleSendMessage}
+            onSendGroupMessage={messaging.sendGroupMessage}
+            onCreateGroup={messaging.createGroup}
+            onJoinGroup={messaging.joinGroupWithInvite}
+            onRenameGroup={messaging.renameGroup}
+            onAddGroupMember={messaging.addGroupMember}
+            onRemoveGroupMember={messaging.removeGroupMember}
+            onSetGroupAdmin={messaging.setGroupAdmin}
+            onLeaveGroup={messaging.leaveGroup}
+            onCreateInviteLink={messaging.createGroupInviteLink}
+            onRevokeInviteLinks={messaging.revokeGroupInviteLinks}
+            onBlockUser={handleBlockUser}
+            onReportUser={handleReportUser}
+            onSendFile={messaging.sendFile}
+            onDownloadFile={messaging.downloadFile}
             user={user}
             isConnected={messaging.isConnected}
             contacts={contacts}
             onContactAdded={handleContactAdded}
+            keyChanges={messaging.keyChanges}
+            onDismissKeyChange={messaging.dismissKeyChange}
+            verifiedContacts={messaging.verifiedContacts}
+            onLoadSafetyNumber={messaging.getSafetyNumber}
+            onMarkVerified={messaging.markContactVerified}
+            onClearVerification={messaging.clearContactVerification}
           />
         </div>
 
+        {showDevices && (
+          <DeviceManager
+            user={user}
+            onClose={() => setShowDevices(false)}
+            onStartLink={startDeviceLink}
+            onApproveLink={approveDeviceLink}
+            onFinishLink={finishDeviceLink}
+            onEndorseDevice={endorseDevice}
+            onLogoutAll={() => handleLogout({ allSessions: true })}
+          />
+        )}
+
+        {showBackup && (
+          <KeyBackup
+            user={user}
+            onCreateBackup={createKeyBackup}
+            onClose={() => setShowBackup(false)}
+          />
+        )}
+
+        {showPassword && (
+          <ChangePassword
+            onRequestOtp={requestPasswordChangeOtp}
+            onChangePassword={changePassword}
+            onClose={() => setShowPassword(false)}
+          />
+        )}
+
+        {showTwoFactor && (
+          <TwoFactorSettings onClose={() => setShowTwoFactor(false)} />
+        )}
+
         {messaging.error && (
           <div className="global-error">
             {messaging.error}
@@ -197,7 +359,18 @@ function App() {
       {authMode === 'login' ? (
         <LoginForm
           onLogin={handleLogin}
+          onPasskeyLogin={handlePasskeyLogin}
           onSwitchToRegister={() => setAuthMode('register')}
+          onForgotPassword={handleForgotPassword}
+          isLoading={isLoading}
+          error={error}
+        />
+      ) : authMode === 'reset' ? (
+        <PasswordResetForm
+          resetToken={resetToken}
+          onRequestReset={requestPasswordReset}
+          onResetPassword={handleResetPassword}
+          onBackToLogin={handleBackToLoginFromReset}
           isLoading={isLoading}
           error={error}
         />
@@ -215,6 +388,7 @@ function App() {
           isLoading={isLoading}
           error={error}
           identifier={otpData?.identifier}
+          methods={otpData?.methods}
         />
       )}
     </div>
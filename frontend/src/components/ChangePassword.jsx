@@ -0,0 +1,171 @@
+/**
+ * Change-password dialog
+ * Confirms the change with the current password and an emailed OTP, then re-encrypts the private
+ * keys stored on this device with the new password. Other sessions are signed out.
+ */
+
+import React, { useState } from 'react';
+import './ChangePassword.css';
+
+const ChangePassword = ({ onRequestOtp, onChangePassword, onClose }) => {
+  const [formData, setFormData] = useState({
+    currentPassword: '',
+    newPassword: '',
+    confirmPassword: '',
+    otp: ''
+  });
+  const [otpSent, setOtpSent] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState(false);
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: name === 'otp' ? value.replace(/\D/g, '') : value
+    }));
+  };
+
+  const validate = () => {
+    if (!formData.currentPassword) {
+      return 'Current password is required';
+    }
+    if (formData.newPassword.length < 6) {
+      return 'New password must be at least 6 characters';
+    }
+    if (formData.newPassword !== formData.confirmPassword) {
+      return 'Passwords do not match';
+    }
+    if (formData.newPassword === formData.currentPassword) {
+      return 'New password must be different from the current password';
+    }
+    return '';
+  };
+
+  const handleRequestOtp = async (e) => {
+    e.preventDefault();
+
+    const validationError = validate();
+    if (validationError) {
+      setError(validationError);
+      return;
+    }
+
+    try {
+      setIsSaving(true);
+      setError('');
+      await onRequestOtp();
+      setOtpSent(true);
+    } catch (err) {
+      console.error('Failed to request password change OTP:', err);
+      setError('Could not send the verification code');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleChangePassword = async (e) => {
+    e.preventDefault();
+
+    if (formData.otp.length !== 6) {
+      setError('Enter the 6-digit code from your email');
+      return;
+    }
+
+    try {
+      setIsSaving(true);
+      setError('');
+      await onChangePassword(formData.currentPassword, formData.newPassword, formData.otp);
+      setSuccess(true);
+    } catch (err) {
+      console.error('Failed to change password:', err);
+      setError(err.data?.error || err.message || 'Could not change the password');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="change-password-overlay" onClick={onClose}>
+      <div className="change-password" onClick={(e) => e.stopPropagation()}>
+        <div className="change-password-header">
+          <h3>Change password</h3>
+          <button onClick={onClose} className="close-btn">×</button>
+        </div>
+
+        {success ? (
+          <>
+            <div className="message success">
+              Password changed. Your other sessions were signed out.
+            </div>
+            <button onClick={onClose} className="change-password-btn">Done</button>
+          </>
+        ) : (
+          <form onSubmit={otpSent ? handleChangePassword : handleRequestOtp} className="change-password-form">
+            <p className="change-password-hint">
+              Your private keys on this device are re-encrypted with the new password. Keys on your
+              other devices stay encrypted with the old password.
+            </p>
+
+            <input
+              type="password"
+              name="currentPassword"
+              value={formData.currentPassword}
+              onChange={handleInputChange}
+              placeholder="Current password"
+              autoComplete="current-password"
+              className="change-password-input"
+              disabled={isSaving || otpSent}
+            />
+            <input
+              type="password"
+              name="newPassword"
+              value={formData.newPassword}
+              onChange={handleInputChange}
+              placeholder="New password"
+              autoComplete="new-password"
+              className="change-password-input"
+              disabled={isSaving || otpSent}
+            />
+            <input
+              type="password"
+              name="confirmPassword"
+              value={formData.confirmPassword}
+              onChange={handleInputChange}
+              placeholder="Confirm new password"
+              autoComplete="new-password"
+              className="change-password-input"
+              disabled={isSaving || otpSent}
+            />
+
+            {otpSent && (
+              <input
+                type="text"
+                name="otp"
+                value={formData.otp}
+                onChange={handleInputChange}
+                placeholder="6-digit code from your email"
+                inputMode="numeric"
+                maxLength={6}
+                autoComplete="one-time-code"
+                className="change-password-input"
+                disabled={isSaving}
+              />
+            )}
+
+            {error && <div className="message error">{error}</div>}
+
+            <button type="submit" disabled={isSaving} className="change-password-btn">
+              {isSaving
+                ? (otpSent ? 'Re-encrypting keys...' : 'Sending code...')
+                : (otpSent ? 'Change password' : 'Send verification code')}
+            </button>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ChangePassword;
@@ -4,6 +4,12 @@
 
 import { useState, useEffect, useRef } from 'react';
 import ContactManager from './ContactManager';
+import GroupManager from './GroupManager';
+import GroupSettings from './GroupSettings';
+import ReportUser from './ReportUser';
+import FileUpload from './FileUpload';
+import SafetyNumberView from './SafetyNumberView';
+import { formatFileSize } from '../utils/helpers';
 import './Chat.css';
 
 export function ChatInterface({ 
@@ -11,12 +17,35 @@ export function ChatInterface({
   activeConversation, 
   onSelectConversation, 
   onSendMessage, 
+  onSendGroupMessage,
+  onCreateGroup,
+  onJoinGroup,
+  onRenameGroup,
+  onAddGroupMember,
+  onRemoveGroupMember,
+  onSetGroupAdmin,
+  onLeaveGroup,
+  onCreateInviteLink,
+  onRevokeInviteLinks,
+  onBlockUser,
+  onReportUser,
+  onSendFile,
+  onDownloadFile,
   user,
   isConnected,
   contacts,
-  onContactAdded
+  onContactAdded,
+  keyChanges,
+  onDismissKeyChange,
+  verifiedContacts,
+  onLoadSafetyNumber,
+  onMarkVerified,
+  onClearVerification
 }) {
   const [message, setMessage] = useState('');
+  const [showSafetyNumber, setShowSafetyNumber] = useState(false);
+  const [showGroupSettings, setShowGroupSettings] = useState(false);
+  const [showReport, setShowReport] = useState(false);
   const [isLoading, setIsLoading] = useState(false);
   const messagesEndRef = useRef(null);
 
@@ -28,13 +57,23 @@ export function ChatInterface({
     scrollToBottom();
   }, [activeConversation?.messages]);
 
+  useEffect(() => {
+    setShowSafetyNumber(false);
+    setShowGroupSettings(false);
+    setShowReport(false);
+  }, [activeConversation]);
+
   const handleSendMessage = async (e) => {
     e.preventDefault();
     if (!message.trim() || !activeConv || isLoading) return;
 
     try {
       setIsLoading(true);
-      await onSendMessage(activeConv.userId, message.trim());
+      if (activeConv.isGroup) {
+        await onSendGroupMessage(activeConv.userId, message.trim());
+      } else {
+        await onSendMessage(activeConv.userId, message.trim());
+      }
       setMessage('');
     } catch (error) {
       console.error('Failed to send message:', error);
@@ -43,6 +82,25 @@ export function ChatInterface({
     }
   };
 
+  const handleSendFile = async (file) => {
+    if (!activeConv) return;
+    await onSendFile(activeConv.userId, file);
+  };
+
+  const handleDownloadFile = async (fileInfo) => {
+    try {
+      const { blob } = await onDownloadFile(activeConv.userId, fileInfo.fileId, fileInfo.metadataKey);
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = fileInfo.name;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Failed to download file:', error);
+    }
+  };
+
   const formatTimestamp = (timestamp) => {
     const date = new Date(timestamp);
     const now = new Date();
@@ -66,14 +124,49 @@ export function ChatInterface({
   };
 
   const activeConv = getActiveConversationData();
+  const verification = activeConv ? verifiedContacts?.get(activeConv.userId) : null;
+
+  const getSenderName = (senderId) => {
+    if (String(senderId) === String(user.id)) return 'You';
+    return activeConv.memberNames?.[String(senderId)] || 'Former member';
+  };
+
+  const describeGroupEvent = ({ senderId, event }) => {
+    const actor = getSenderName(senderId);
+    const targets = (event.targetIds || []).map(getSenderName).join(', ');
+
+    switch (event.type) {
+      case 'created': return `${actor} created the group "${event.name}"`;
+      case 'renamed': return `${actor} renamed the group to "${event.name}"`;
+      case 'member_added': return `${actor} added ${targets}`;
+      case 'member_removed': return `${actor} removed ${targets}`;
+      case 'member_left': return `${actor} left`;
+      case 'member_joined': return `${actor} joined with an invite link`;
+      case 'admin_promoted': return `${actor} made ${targets} an admin`;
+      case 'admin_demoted': return `${actor} removed ${targets} as admin`;
+      default: return `${actor} changed the group`;
+    }
+  };
+
+  const handleMarkVerified = (userId, safetyNumber) => {
+    onMarkVerified(userId, safetyNumber);
+    setShowSafetyNumber(false);
+  };
 
   return (
     <div className="chat-interface">
       <aside className="conversation-list">
         <ContactManager 
           contacts={contacts}
+          user={user}
           onContactAdded={onContactAdded}
         />
+
+        <GroupManager
+          contacts={contacts}
+          onCreateGroup={onCreateGroup}
+          onJoinGroup={onJoinGroup}
+        />
         
         <div className="conversation-header">
           <h3>Messages</h3>
@@ -97,7 +190,7 @@ export function ChatInterface({
                 onClick={() => onSelectConversation(conv.userId)}
               >
                 <div className="conversation-avatar">
-                  {conv.username?.charAt(0).toUpperCase() || '?'}
+                  {conv.isGroup ? '👥' : conv.username?.charAt(0).toUpperCase() || '?'}
                 </div>
                 <div className="conversation-info">
                   <div className="conversation-name">
@@ -146,7 +239,7 @@ export function ChatInterface({
             <div className="chat-header">
               <div className="chat-user-info">
                 <div className="user-avatar">
-                  {activeConv.username?.charAt(0).toUpperCase() || '?'}
+                  {activeConv.isGroup ? '👥' : activeConv.username?.charAt(0).toUpperCase() || '?'}
                 </div>
                 <div>
                   <div className="user-name">
@@ -154,11 +247,54 @@ export function ChatInterface({
                   </div>
                   <div className="encryption-status">
                     🔐 End-to-end encrypted
+                    {activeConv.isGroup && (
+                      <span> · {activeConv.members?.length || 0} members</span>
+                    )}
+                    {verification && !verification.brokenAt && (
+                      <span className="verified-badge"> · ✅ Verified</span>
+                    )}
                   </div>
                 </div>
               </div>
+              {activeConv.isGroup ? (
+                <button type="button" className="verify-button" onClick={() => setShowGroupSettings(true)}>
+                  ⚙️ Manage
+                </button>
+              ) : (
+                <div className="chat-header-actions">
+                  <button type="button" className="verify-button" onClick={() => setShowSafetyNumber(true)}>
+                    🔑 Verify
+                  </button>
+                  <button type="button" className="verify-button" onClick={() => setShowReport(true)}>
+                    🚩 Block / Report
+                  </button>
+                </div>
+              )}
             </div>
 
+            {verification?.brokenAt ? (
+              <div className="key-change-warning verification-broken">
+                <span>
+                  🚨 {activeConv.username || 'This contact'}'s identity keys changed after you verified them.
+                  Someone may be intercepting this conversation. Compare safety numbers again before
+                  sending anything.
+                </span>
+                <button type="button" onClick={() => setShowSafetyNumber(true)}>
+                  Verify again
+                </button>
+              </div>
+            ) : keyChanges?.has(activeConv.userId) && (
+              <div className="key-change-warning">
+                <span>
+                  ⚠️ {activeConv.username || 'This contact'}'s identity keys changed. Confirm with them
+                  through another channel before sharing anything sensitive.
+                </span>
+                <button type="button" onClick={() => onDismissKeyChange(activeConv.userId)}>
+                  Dismiss
+                </button>
+              </div>
+            )}
+
             <div className="messages-container">
               {activeConv.messages.length === 0 ? (
                 <div className="no-messages">
@@ -166,16 +302,46 @@ export function ChatInterface({
                   <small>Messages are encrypted on your device before sending</small>
                 </div>
               ) : (
-                activeConv.messages.map((msg, index) => (
+                activeConv.messages.map((msg, index) => msg.type === 'system' ? (
+                  <div key={`${msg.id}-${index}`} className="group-event">
+                    {describeGroupEvent(msg)}
+                    {!msg.isVerified && (
+                      <span className="group-event-unverified" title="The signature on this change did not verify">
+                        {' '}⚠️ Unverified
+                      </span>
+                    )}
+                  </div>
+                ) : (
                   <div
                     key={`${msg.id || 'msg'}-${msg.timestamp || index}-${index}`}
                     className={`message ${msg.senderId === user.id ? 'sent' : 'received'}`}
                   >
                     <div className="message-content">
-                      {msg.content}
+                      {activeConv.isGroup && msg.senderId !== user.id && (
+                        <div className="message-sender">{getSenderName(msg.senderId)}</div>
+                      )}
+                      {msg.type === 'file' && msg.file ? (
+                        <button
+                          type="button"
+                          className="file-message"
+                          onClick={() => handleDownloadFile(msg.file)}
+                        >
+                          📎 {msg.file.name} ({formatFileSize(msg.file.size)})
+                        </button>
+                      ) : (
+                        msg.content
+                      )}
                       <div className="message-meta">
                         <span className="timestamp">{formatTimestamp(msg.timestamp)}</span>
                         {msg.isEncrypted && <span className="encrypted-badge">🔒</span>}
+                        {msg.senderId === user.id && msg.status && (
+                          <span
+                            className={`message-status ${msg.status}`}
+                            title={msg.status.charAt(0).toUpperCase() + msg.status.slice(1)}
+                          >
+                            {msg.status === 'sent' ? '✓' : '✓✓'}
+                          </span>
+                        )}
                       </div>
                     </div>
                   </div>
@@ -186,6 +352,12 @@ export function ChatInterface({
 
             <form className="message-input-form" onSubmit={handleSendMessage}>
               <div className="message-input-container">
+                {!activeConv.isGroup && (
+                  <FileUpload
+                    onFileUploaded={handleSendFile}
+                    disabled={isLoading || !isConnected || !activeConv}
+                  />
+                )}
                 <input
                   type="text"
                   value={message}
@@ -208,6 +380,42 @@ export function ChatInterface({
                 </div>
               )}
             </form>
+
+            {showGroupSettings && (
+              <GroupSettings
+                group={activeConv}
+                user={user}
+                contacts={contacts}
+                onRenameGroup={onRenameGroup}
+                onAddGroupMember={onAddGroupMember}
+                onRemoveGroupMember={onRemoveGroupMember}
+                onSetGroupAdmin={onSetGroupAdmin}
+                onLeaveGroup={onLeaveGroup}
+                onCreateInviteLink={onCreateInviteLink}
+                onRevokeInviteLinks={onRevokeInviteLinks}
+                onClose={() => setShowGroupSettings(false)}
+              />
+            )}
+
+            {showReport && (
+              <ReportUser
+                contact={activeConv}
+                onBlockUser={onBlockUser}
+                onReportUser={onReportUser}
+                onClose={() => setShowReport(false)}
+              />
+            )}
+
+            {showSafetyNumber && (
+              <SafetyNumberView
+                contact={activeConv}
+                verification={verification}
+                onLoadSafetyNumber={onLoadSafetyNumber}
+                onMarkVerified={handleMarkVerified}
+                onClearVerification={onClearVerification}
+                onClose={() => setShowSafetyNumber(false)}
+              />
+            )}
           </>
         )}
       </main>
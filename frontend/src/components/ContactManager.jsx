@@ -1,44 +1,137 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { apiService } from '../services/api';
-import { isValidEmail } from '../utils/helpers';
 import './ContactManager.css';
 
-const ContactManager = ({ onContactAdded, contacts }) => {
+const ContactManager = ({ onContactAdded, contacts, user }) => {
   const [showAddContact, setShowAddContact] = useState(false);
   const [contactInput, setContactInput] = useState('');
+  const [incomingRequests, setIncomingRequests] = useState([]);
+  const [outgoingRequests, setOutgoingRequests] = useState([]);
+  const [searchResults, setSearchResults] = useState({ query: '', users: [], page: 1, hasMore: false });
+  const [showPrivacy, setShowPrivacy] = useState(false);
+  const [discoverableByEmail, setDiscoverableByEmail] = useState(null);
+  const [blockedUsers, setBlockedUsers] = useState([]);
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
 
-  // Determine input type and validation
-  const getInputType = (value) => {
-    if (!value) return 'empty';
-    return isValidEmail(value) ? 'email' : 'username';
-  };
-
   const validateInput = (value) => {
     const trimmed = value.trim();
-    if (!trimmed) return 'Please enter a username or email';
-    
-    const inputType = getInputType(trimmed);
-    
-    if (inputType === 'email') {
-      return null; // Email is valid
-    } else {
-      // Username validation
-      if (trimmed.length < 3) return 'Username must be at least 3 characters';
-      if (trimmed.length > 30) return 'Username must be less than 30 characters';
-      if (!/^[a-zA-Z0-9_]+$/.test(trimmed)) return 'Username can only contain letters, numbers, and underscores';
-    }
-    
+    if (!trimmed) return 'Please enter a username';
+    if (trimmed.length < 3) return 'Username must be at least 3 characters';
+    if (trimmed.length > 30) return 'Username must be less than 30 characters';
+    if (!/^[a-zA-Z0-9_]+$/.test(trimmed)) return 'Username can only contain letters, numbers, and underscores';
     return null;
   };
 
-  const handleAddContact = async (e) => {
+  const removeRequest = (requestId) => {
+    setIncomingRequests(prev => prev.filter(request => request.id !== requestId));
+    setOutgoingRequests(prev => prev.filter(request => request.id !== requestId));
+  };
+
+  useEffect(() => {
+    apiService.getContactRequests()
+      .then(({ incoming, outgoing }) => {
+        setIncomingRequests(incoming || []);
+        setOutgoingRequests(outgoing || []);
+      })
+      .catch(err => console.error('Failed to load contact requests:', err));
+  }, []);
+
+  // Requests sent to us, and answers to ours, arrive while we are online
+  const handleRequestUpdated = useCallback((message) => {
+    const request = message?.data || message;
+    if (!request?.id) return;
+
+    const sentByUs = String(request.from.id) === String(user?.id);
+    removeRequest(request.id);
+
+    if (request.status === 'pending') {
+      const setRequests = sentByUs ? setOutgoingRequests : setIncomingRequests;
+      setRequests(prev => [request, ...prev]);
+    } else if (request.status === 'accepted' && sentByUs) {
+      setSuccess(`@${request.to.username} accepted your contact request`);
+      if (onContactAdded) {
+        onContactAdded({ id: request.to.id, username: request.to.username });
+      }
+    }
+  }, [user, onContactAdded]);
+
+  useEffect(() => {
+    apiService.onWebSocketMessage('contact_request_updated', handleRequestUpdated);
+    return () => apiService.offWebSocketMessage('contact_request_updated', handleRequestUpdated);
+  }, [handleRequestUpdated]);
+
+  const runSearch = useCallback(async (query, page = 1) => {
+    try {
+      const result = await apiService.searchUsers(query, page);
+      setSearchResults(prev => ({
+        query,
+        users: page > 1 && prev.query === query ? [...prev.users, ...result.users] : result.users,
+        page,
+        hasMore: result.hasMore
+      }));
+    } catch (err) {
+      console.error('Failed to search users:', err);
+      setError(err.data?.message || err.message || 'Failed to search users');
+    }
+  }, []);
+
+  // Search as the user types, waiting for a pause so each keystroke does not count against the rate limit
+  useEffect(() => {
+    const query = contactInput.trim();
+    if (!showAddContact || query.length < 2) {
+      setSearchResults({ query: '', users: [], page: 1, hasMore: false });
+      return undefined;
+    }
+
+    const timer = setTimeout(() => runSearch(query), 400);
+    return () => clearTimeout(timer);
+  }, [contactInput, showAddContact, runSearch]);
+
+  const requestContact = async (username) => {
+    try {
+      setIsLoading(true);
+      setError('');
+      setSuccess('');
+
+      const response = await apiService.sendContactRequest(username);
+
+      if (response.success) {
+        setContactInput('');
+        setShowAddContact(false);
+
+        // They had already asked us, so we are contacts right away
+        if (response.contact) {
+          setSuccess(`Added @${username} to contacts!`);
+          removeRequest(response.request.id);
+          if (onContactAdded) {
+            onContactAdded(response.contact);
+          }
+        } else {
+          setSuccess(`Contact request sent to @${username}`);
+          setOutgoingRequests(prev => [response.request, ...prev.filter(request => request.id !== response.request.id)]);
+        }
+      }
+    } catch (err) {
+      console.error('Failed to send contact request:', err);
+      setError(err.data?.message || err.message || 'Failed to send contact request');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleAddContact = (e) => {
     e.preventDefault();
     const trimmed = contactInput.trim();
     if (!trimmed) return;
 
+    // Email addresses only find people through search, which then gives their username
+    if (trimmed.includes('@')) {
+      runSearch(trimmed);
+      return;
+    }
+
     // Validate input
     const validationError = validateInput(trimmed);
     if (validationError) {
@@ -46,26 +139,70 @@ const ContactManager = ({ onContactAdded, contacts }) => {
       return;
     }
 
+    requestContact(trimmed);
+  };
+
+  const answerRequest = async (request, action) => {
     try {
       setIsLoading(true);
       setError('');
-      setSuccess('');
 
-      const inputType = getInputType(trimmed);
-      const response = await apiService.addContact(trimmed, inputType);
-      
-      if (response.success) {
-        const identifier = inputType === 'email' ? trimmed : `@${trimmed}`;
-        setSuccess(`Added ${identifier} to contacts!`);
-        setContactInput('');
-        setShowAddContact(false);
+      if (action === 'accept') {
+        const response = await apiService.acceptContactRequest(request.id);
+        setSuccess(`Added @${request.from.username} to contacts!`);
         if (onContactAdded) {
           onContactAdded(response.contact);
         }
+      } else if (action === 'decline') {
+        await apiService.declineContactRequest(request.id);
+      } else {
+        await apiService.cancelContactRequest(request.id);
       }
+      removeRequest(request.id);
+    } catch (err) {
+      console.error(`Failed to ${action} contact request:`, err);
+      setError(err.data?.message || err.message || `Failed to ${action} contact request`);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // Blocks can also be added from a chat, so reload the list each time it is opened
+  useEffect(() => {
+    if (!showPrivacy) return;
+    apiService.getBlockedUsers()
+      .then(({ blocked }) => setBlockedUsers(blocked || []))
+      .catch(err => console.error('Failed to load blocked users:', err));
+    apiService.getUserProfile()
+      .then(({ user: profile }) => setDiscoverableByEmail(Boolean(profile?.privacy?.discoverableByEmail)))
+      .catch(err => console.error('Failed to load privacy settings:', err));
+  }, [showPrivacy]);
+
+  const handleDiscoverableChange = async (e) => {
+    const discoverable = e.target.checked;
+    try {
+      setIsLoading(true);
+      setError('');
+      const { privacy } = await apiService.updatePrivacy({ discoverableByEmail: discoverable });
+      setDiscoverableByEmail(privacy.discoverableByEmail);
+    } catch (err) {
+      console.error('Failed to update privacy settings:', err);
+      setError(err.data?.message || err.message || 'Failed to update privacy settings');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleUnblock = async (blockedUser) => {
+    try {
+      setIsLoading(true);
+      setError('');
+      await apiService.unblockUser(blockedUser.id);
+      setBlockedUsers(prev => prev.filter(entry => entry.id !== blockedUser.id));
+      setSuccess(`Unblocked @${blockedUser.username}`);
     } catch (err) {
-      console.error('Failed to add contact:', err);
-      setError(err.message || 'Failed to add contact');
+      console.error('Failed to unblock user:', err);
+      setError(err.data?.message || err.message || 'Failed to unblock user');
     } finally {
       setIsLoading(false);
     }
@@ -97,11 +234,7 @@ const ContactManager = ({ onContactAdded, contacts }) => {
                 type="text"
                 value={contactInput}
                 onChange={(e) => setContactInput(e.target.value)}
-                placeholder={
-                  getInputType(contactInput) === 'email' 
-                    ? "Enter email address..." 
-                    : "Enter username or email..."
-                }
+                placeholder="Username or exact email..."
                 disabled={isLoading}
                 className="contact-input"
                 autoFocus
@@ -111,20 +244,40 @@ const ContactManager = ({ onContactAdded, contacts }) => {
                 disabled={isLoading || !contactInput.trim()}
                 className="add-btn"
               >
-                {isLoading ? '...' : 'Add'}
+                {isLoading ? '...' : 'Ask'}
               </button>
             </div>
             <div className="input-hint">
-              {contactInput.trim() && (
-                <small className={`input-type ${getInputType(contactInput) === 'email' ? 'email' : 'username'}`}>
-                  {getInputType(contactInput) === 'email' 
-                    ? '📧 Adding by email' 
-                    : '👤 Adding by username'
-                  }
-                </small>
-              )}
+              <small>They can message you once they accept</small>
             </div>
           </form>
+
+          {searchResults.users.length > 0 && (
+            <div className="search-results">
+              {searchResults.users.map(result => (
+                <div key={result.id} className="contact-request outgoing">
+                  <span className="contact-request-name">@{result.username}</span>
+                  <div className="contact-request-actions">
+                    <button
+                      onClick={() => requestContact(result.username)}
+                      disabled={isLoading || result.isContact}
+                      className="add-btn"
+                    >
+                      {result.isContact ? 'Contact' : 'Ask'}
+                    </button>
+                  </div>
+                </div>
+              ))}
+              {searchResults.hasMore && (
+                <button
+                  onClick={() => runSearch(searchResults.query, searchResults.page + 1)}
+                  className="blocked-users-toggle"
+                >
+                  More results
+                </button>
+              )}
+            </div>
+          )}
         </div>
       )}
 
@@ -142,11 +295,39 @@ const ContactManager = ({ onContactAdded, contacts }) => {
         </div>
       )}
 
+      {(incomingRequests.length > 0 || outgoingRequests.length > 0) && (
+        <div className="contact-requests">
+          {incomingRequests.map(request => (
+            <div key={request.id} className="contact-request">
+              <span className="contact-request-name">@{request.from.username} wants to connect</span>
+              <div className="contact-request-actions">
+                <button onClick={() => answerRequest(request, 'accept')} disabled={isLoading} className="add-btn">
+                  Accept
+                </button>
+                <button onClick={() => answerRequest(request, 'decline')} disabled={isLoading} className="secondary-btn">
+                  Decline
+                </button>
+              </div>
+            </div>
+          ))}
+          {outgoingRequests.map(request => (
+            <div key={request.id} className="contact-request outgoing">
+              <span className="contact-request-name">Waiting for @{request.to.username}</span>
+              <div className="contact-request-actions">
+                <button onClick={() => answerRequest(request, 'cancel')} disabled={isLoading} className="secondary-btn">
+                  Cancel
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
       <div className="contacts-list">
         {!contacts || contacts.length === 0 ? (
           <div className="no-contacts">
             <p>No contacts yet</p>
-            <small>Add someone to start messaging</small>
+            <small>Send someone a contact request to start messaging</small>
           </div>
         ) : (
           contacts.map(contact => (
@@ -165,6 +346,37 @@ const ContactManager = ({ onContactAdded, contacts }) => {
           ))
         )}
       </div>
+
+      <div className="blocked-users">
+        <button onClick={() => setShowPrivacy(!showPrivacy)} className="blocked-users-toggle">
+          {showPrivacy ? '▾' : '▸'} Privacy and blocked users
+        </button>
+        {showPrivacy && (
+          <label className="privacy-setting">
+            <input
+              type="checkbox"
+              checked={Boolean(discoverableByEmail)}
+              onChange={handleDiscoverableChange}
+              disabled={isLoading || discoverableByEmail === null}
+            />
+            Let people who know my email address find me
+          </label>
+        )}
+        {showPrivacy && (blockedUsers.length === 0 ? (
+          <small className="blocked-users-empty">You have not blocked anyone</small>
+        ) : (
+          blockedUsers.map(blockedUser => (
+            <div key={blockedUser.id} className="contact-request outgoing">
+              <span className="contact-request-name">@{blockedUser.username}</span>
+              <div className="contact-request-actions">
+                <button onClick={() => handleUnblock(blockedUser)} disabled={isLoading} className="secondary-btn">
+                  Unblock
+                </button>
+              </div>
+            </div>
+          ))
+        ))}
+      </div>
     </div>
   );
 };
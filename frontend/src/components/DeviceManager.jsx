@@ -0,0 +1,324 @@
+/**
+ * Device list for the current account
+ * Shows every device signed in with its own identity keys and lets the user revoke the ones
+ * they no longer use, so contacts stop encrypting messages for them. Devices with their own keys
+ * wait until a device holding the account keys approves them. A new device can also be linked to
+ * an existing one here, taking over its identity keys and verified contacts.
+ */
+
+import React, { useState, useEffect } from 'react';
+import QRCode from 'qrcode';
+import { apiService } from '../services/api';
+import './DeviceManager.css';
+
+const LINK_POLL_INTERVAL = 3000;
+
+// Identity key ID in groups of four, for comparing on both devices before approving
+const formatKeyId = (keyId) => keyId.match(/.{1,4}/g).join(' ');
+
+const DeviceManager = ({ user, onClose, onStartLink, onApproveLink, onFinishLink, onEndorseDevice, onLogoutAll }) => {
+  const [devices, setDevices] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [revoking, setRevoking] = useState(null);
+  const [endorsing, setEndorsing] = useState(null);
+  const [error, setError] = useState('');
+  const [password, setPassword] = useState('');
+  const [pendingLink, setPendingLink] = useState(null); // { linkId, linkKeys, code, expiresAt, qrCode }
+  const [linkCode, setLinkCode] = useState('');
+  const [isLinking, setIsLinking] = useState(false);
+  const [linkStatus, setLinkStatus] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+
+    apiService.getDevices()
+      .then(result => {
+        if (!cancelled) {
+          setDevices(result);
+        }
+      })
+      .catch(err => {
+        console.error('Failed to load devices:', err);
+        if (!cancelled) {
+          setError('Could not load your devices');
+        }
+      })
+      .finally(() => {
+        if (!cancelled) {
+          setIsLoading(false);
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  // The new device waits for the existing one to approve, then imports the keys it sent
+  useEffect(() => {
+    if (!pendingLink) {
+      return undefined;
+    }
+
+    let cancelled = false;
+    let checking = false;
+
+    const poll = setInterval(() => {
+      if (checking) {
+        return;
+      }
+
+      if (new Date(pendingLink.expiresAt) < new Date()) {
+        clearInterval(poll);
+        setPendingLink(null);
+        setError('The linking code expired, please start again');
+        return;
+      }
+
+      checking = true;
+      onFinishLink(pendingLink, user, password)
+        .then(finished => {
+          if (finished && !cancelled) {
+            clearInterval(poll);
+            setPendingLink(null);
+            setPassword('');
+            setLinkStatus('This device now uses the keys of your other device');
+            return apiService.getDevices().then(setDevices);
+          }
+          return undefined;
+        })
+        .catch(err => {
+          console.error('Failed to finish device link:', err);
+          if (!cancelled) {
+            clearInterval(poll);
+            setPendingLink(null);
+            setError(err.message || 'Could not import the keys from your other device');
+          }
+        })
+        .finally(() => {
+          checking = false;
+        });
+    }, LINK_POLL_INTERVAL);
+
+    return () => {
+      cancelled = true;
+      clearInterval(poll);
+    };
+  }, [pendingLink, user, password, onFinishLink]);
+
+  const handleStartLink = async () => {
+    try {
+      setIsLinking(true);
+      setError('');
+      setLinkStatus('');
+      const link = await onStartLink();
+      const qrCode = await QRCode.toDataURL(link.code, { margin: 1, width: 240 });
+      setPendingLink({ ...link, qrCode });
+    } catch (err) {
+      console.error('Failed to start device link:', err);
+      setError('Could not create a linking code');
+    } finally {
+      setIsLinking(false);
+    }
+  };
+
+  const handleCancelLink = async () => {
+    const { linkId } = pendingLink;
+    setPendingLink(null);
+    try {
+      await apiService.deleteDeviceLink(linkId);
+    } catch (err) {
+      console.error('Failed to cancel device link:', err);
+    }
+  };
+
+  const handleApproveLink = async (e) => {
+    e.preventDefault();
+
+    try {
+      setIsLinking(true);
+      setError('');
+      setLinkStatus('');
+      await onApproveLink(linkCode.trim(), user, password);
+      setLinkCode('');
+      setPassword('');
+      setLinkStatus('Keys sent, the new device will finish linking in a moment');
+    } catch (err) {
+      console.error('Failed to approve device link:', err);
+      setError(err.message || 'Could not approve the new device');
+    } finally {
+      setIsLinking(false);
+    }
+  };
+
+  const handleRevoke = async (device) => {
+    if (!window.confirm(`Sign out "${device.name}"? It will no longer receive new messages.`)) {
+      return;
+    }
+
+    try {
+      setRevoking(device.deviceId);
+      setError('');
+      await apiService.revokeDevice(device.deviceId);
+      setDevices(prev => prev.filter(d => d.deviceId !== device.deviceId));
+    } catch (err) {
+      console.error('Failed to revoke device:', err);
+      setError(`Could not sign out "${device.name}"`);
+    } finally {
+      setRevoking(null);
+    }
+  };
+
+  const handleEndorse = async (device) => {
+    const keyId = formatKeyId(device.keyBundle.identityKey.keyId);
+    if (!window.confirm(`Approve "${device.name}"? Only continue if that device shows the key ${keyId}.`)) {
+      return;
+    }
+
+    try {
+      setEndorsing(device.deviceId);
+      setError('');
+      await onEndorseDevice(device, user);
+      setDevices(await apiService.getDevices());
+    } catch (err) {
+      console.error('Failed to approve device:', err);
+      setError(err.message || `Could not approve "${device.name}"`);
+    } finally {
+      setEndorsing(null);
+    }
+  };
+
+  const handleLogoutAll = async () => {
+    if (!window.confirm('Log out every session of your account, including this one?')) {
+      return;
+    }
+
+    await onLogoutAll();
+  };
+
+  return (
+    <div className="device-manager-overlay" onClick={onClose}>
+      <div className="device-manager" onClick={(e) => e.stopPropagation()}>
+        <div className="device-manager-header">
+          <h3>Your devices</h3>
+          <button onClick={onClose} className="close-btn">×</button>
+        </div>
+
+        <p className="device-manager-hint">
+          Each device has its own keys, and contacts encrypt every message for all of them.
+          A new device receives messages once a device holding your account keys approves it.
+          Sign out devices you no longer use.
+        </p>
+
+        {error && <div className="message error">{error}</div>}
+
+        {isLoading ? (
+          <div className="device-manager-hint">Loading devices...</div>
+        ) : (
+          <ul className="device-list">
+            {devices.map(device => (
+              <li key={device.deviceId} className="device-item">
+                <div className="device-info">
+                  <span className="device-name">
+                    {device.name}
+                    {device.current && <span className="current-device-badge">This device</span>}
+                    {!device.accountSignature && <span className="pending-device-badge">Waiting for approval</span>}
+                  </span>
+                  <small className="device-meta">
+                    Added {new Date(device.createdAt).toLocaleDateString()}
+                    {device.lastSeenAt && ` · Last active ${new Date(device.lastSeenAt).toLocaleDateString()}`}
+                  </small>
+                  {!device.accountSignature && (
+                    <small className="device-meta">Key {formatKeyId(device.keyBundle.identityKey.keyId)}</small>
+                  )}
+                </div>
+                {!device.current && (
+                  <div className="device-actions">
+                    {!device.accountSignature && (
+                      <button
+                        onClick={() => handleEndorse(device)}
+                        disabled={endorsing === device.deviceId}
+                        className="revoke-btn"
+                      >
+                        {endorsing === device.deviceId ? 'Approving...' : 'Approve'}
+                      </button>
+                    )}
+                    <button
+                      onClick={() => handleRevoke(device)}
+                      disabled={revoking === device.deviceId}
+                      className="revoke-btn"
+                    >
+                      {revoking === device.deviceId ? 'Signing out...' : 'Sign out'}
+                    </button>
+                  </div>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+
+        <div className="device-sessions">
+          <p className="device-manager-hint">
+            Logging out everywhere ends every signed-in session, this one included. Devices keep their
+            keys and stay in the list until you sign them out.
+          </p>
+          <button onClick={handleLogoutAll} className="revoke-btn">Log out all sessions</button>
+        </div>
+
+        <div className="device-link">
+          <h4>Link a device</h4>
+          <p className="device-manager-hint">
+            Move your keys and verified contacts to a new device: show the linking code on the new
+            device, then paste it into a device you already use. Both need your password.
+          </p>
+
+          {linkStatus && <div className="message success">{linkStatus}</div>}
+
+          <input
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            placeholder="Your password"
+            className="device-link-input"
+            disabled={isLinking || Boolean(pendingLink)}
+          />
+
+          {pendingLink ? (
+            <div className="device-link-code">
+              <img src={pendingLink.qrCode} alt="Device linking code" className="device-link-qr" />
+              <textarea value={pendingLink.code} readOnly rows={3} className="device-link-input" />
+              <small className="device-meta">Waiting for your other device to approve...</small>
+              <button onClick={handleCancelLink} className="revoke-btn">Cancel</button>
+            </div>
+          ) : (
+            <>
+              <button
+                onClick={handleStartLink}
+                disabled={isLinking || !password}
+                className="link-btn"
+              >
+                Link this device
+              </button>
+
+              <form onSubmit={handleApproveLink} className="device-link-approve">
+                <textarea
+                  value={linkCode}
+                  onChange={(e) => setLinkCode(e.target.value)}
+                  placeholder="Paste the linking code from your new device"
+                  rows={3}
+                  className="device-link-input"
+                  disabled={isLinking}
+                />
+                <button type="submit" disabled={isLinking || !password || !linkCode.trim()} className="link-btn">
+                  {isLinking ? 'Sending keys...' : 'Approve new device'}
+                </button>
+              </form>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DeviceManager;
@@ -1,12 +1,11 @@
 import React, { useState, useRef } from 'react';
-import { encryptFile } from '../crypto/fileEncryption';
 import { isAllowedFileType, isFileSizeValid } from '../utils/helpers';
 
 /**
  * File Upload Component for Encrypted File Sharing
- * Handles client-side file encryption before upload
+ * Validates the selected file and hands it to onFileUploaded, which encrypts and uploads it
  */
-const FileUpload = ({ onFileUploaded, sessionKey, disabled = false }) => {
+const FileUpload = ({ onFileUploaded, disabled = false }) => {
   const [uploading, setUploading] = useState(false);
   const [progress, setProgress] = useState(0);
   const [error, setError] = useState('');
@@ -30,42 +29,13 @@ const FileUpload = ({ onFileUploaded, sessionKey, disabled = false }) => {
       return;
     }
 
-    if (!sessionKey) {
-      setError('No session key available. Please establish a secure connection first.');
-      return;
-    }
-
     try {
       setUploading(true);
       setProgress(0);
 
-      // Read file as ArrayBuffer
-      const fileBuffer = await file.arrayBuffer();
-      
-      // Update progress
+      // Encryption happens in the callback so the file key never leaves the messaging hook
       setProgress(25);
-
-      // Encrypt file
-      const encryptedFile = await encryptFile(fileBuffer, sessionKey);
-      
-      // Update progress
-      setProgress(50);
-
-      // Prepare upload data
-      const uploadData = {
-        filename: file.name,
-        size: file.size,
-        type: file.type,
-        encryptedData: encryptedFile.encryptedData,
-        iv: encryptedFile.iv,
-        authTag: encryptedFile.authTag
-      };
-
-      // Update progress
-      setProgress(75);
-
-      // Call upload callback
-      await onFileUploaded(uploadData);
+      await onFileUploaded(file);
 
       // Complete
       setProgress(100);
@@ -100,6 +70,7 @@ const FileUpload = ({ onFileUploaded, sessionKey, disabled = false }) => {
       />
       
       <button
+        type="button"
         className={`file-upload-btn ${disabled || uploading ? 'disabled' : ''}`}
         onClick={triggerFileSelect}
         disabled={disabled || uploading}
@@ -0,0 +1,142 @@
+import React, { useState } from 'react';
+import './GroupManager.css';
+
+const GroupManager = ({ contacts, onCreateGroup, onJoinGroup }) => {
+  const [showCreateGroup, setShowCreateGroup] = useState(false);
+  const [name, setName] = useState('');
+  const [memberIds, setMemberIds] = useState(new Set());
+  const [inviteLink, setInviteLink] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const toggleMember = (contactId) => {
+    setMemberIds(prev => {
+      const next = new Set(prev);
+      if (next.has(contactId)) {
+        next.delete(contactId);
+      } else {
+        next.add(contactId);
+      }
+      return next;
+    });
+  };
+
+  const handleCreateGroup = async (e) => {
+    e.preventDefault();
+    if (!name.trim() || memberIds.size === 0) return;
+
+    try {
+      setIsLoading(true);
+      setError('');
+      await onCreateGroup(name.trim(), [...memberIds]);
+      setName('');
+      setMemberIds(new Set());
+      setShowCreateGroup(false);
+    } catch (err) {
+      console.error('Failed to create group:', err);
+      setError(err.message || 'Failed to create group');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleJoinGroup = async (e) => {
+    e.preventDefault();
+    if (!inviteLink.trim()) return;
+
+    try {
+      setIsLoading(true);
+      setError('');
+      await onJoinGroup(inviteLink.trim());
+      setInviteLink('');
+      setShowCreateGroup(false);
+    } catch (err) {
+      console.error('Failed to join group:', err);
+      setError(err.data?.message || err.message || 'Failed to join group');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <div className="group-manager">
+      <div className="group-header">
+        <h3>Groups</h3>
+        <button
+          className="add-group-btn"
+          onClick={() => setShowCreateGroup(!showCreateGroup)}
+          title="New Group"
+        >
+          {showCreateGroup ? '×' : '+'}
+        </button>
+      </div>
+
+      {showCreateGroup && (
+        <form className="create-group-form" onSubmit={handleCreateGroup}>
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder="Group name..."
+            maxLength={100}
+            disabled={isLoading}
+            className="group-name-input"
+            autoFocus
+          />
+
+          {!contacts || contacts.length === 0 ? (
+            <small className="group-hint">Add contacts to start a group with them</small>
+          ) : (
+            <div className="group-member-list">
+              {contacts.map(contact => (
+                <label key={contact.id} className="group-member-option">
+                  <input
+                    type="checkbox"
+                    checked={memberIds.has(contact.id)}
+                    onChange={() => toggleMember(contact.id)}
+                    disabled={isLoading}
+                  />
+                  {contact.username}
+                </label>
+              ))}
+            </div>
+          )}
+
+          <button
+            type="submit"
+            disabled={isLoading || !name.trim() || memberIds.size === 0}
+            className="create-group-btn"
+          >
+            {isLoading ? '...' : 'Create'}
+          </button>
+        </form>
+      )}
+
+      {showCreateGroup && (
+        <form className="create-group-form" onSubmit={handleJoinGroup}>
+          <small className="group-hint">Or join with an invite link</small>
+          <input
+            type="text"
+            value={inviteLink}
+            onChange={(e) => setInviteLink(e.target.value)}
+            placeholder="Paste invite link..."
+            disabled={isLoading}
+            className="group-name-input"
+          />
+          <button type="submit" disabled={isLoading || !inviteLink.trim()} className="create-group-btn">
+            {isLoading ? '...' : 'Join'}
+          </button>
+        </form>
+      )}
+
+      {error && (
+        <div className="message error">
+          {error}
+          <button onClick={() => setError('')} className="close-btn">×</button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default GroupManager;
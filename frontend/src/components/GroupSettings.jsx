@@ -0,0 +1,208 @@
+/**
+ * Group settings view
+ * Lists a group's members and lets admins rename the group, add and remove members, change who
+ * is an admin and share invite links. Every change is signed on this device and shows up in the
+ * group's timeline for the other members.
+ */
+
+import React, { useState } from 'react';
+import './GroupSettings.css';
+
+const GroupSettings = ({
+  group,
+  user,
+  contacts,
+  onRenameGroup,
+  onAddGroupMember,
+  onRemoveGroupMember,
+  onSetGroupAdmin,
+  onLeaveGroup,
+  onCreateInviteLink,
+  onRevokeInviteLinks,
+  onClose
+}) => {
+  const [name, setName] = useState(group.username || '');
+  const [newMemberId, setNewMemberId] = useState('');
+  const [invite, setInvite] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const admins = new Set((group.admins || []).map(String));
+  const isAdmin = admins.has(String(user.id));
+  const memberIds = new Set((group.members || []).map(member => String(member.id)));
+  const addableContacts = (contacts || []).filter(contact => !memberIds.has(String(contact.id)));
+
+  // Run a change, showing the server's reason if it is refused
+  const run = async (action, fallback) => {
+    try {
+      setIsLoading(true);
+      setError('');
+      return await action();
+    } catch (err) {
+      console.error(`${fallback}:`, err);
+      setError(err.data?.message || err.message || fallback);
+      return null;
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleRename = async (e) => {
+    e.preventDefault();
+    if (!name.trim() || name.trim() === group.username) return;
+    await run(() => onRenameGroup(group.userId, name.trim()), 'Failed to rename group');
+  };
+
+  const handleAddMember = async (e) => {
+    e.preventDefault();
+    if (!newMemberId) return;
+    await run(() => onAddGroupMember(group.userId, newMemberId), 'Failed to add member');
+    setNewMemberId('');
+  };
+
+  const handleCreateInvite = async () => {
+    const result = await run(() => onCreateInviteLink(group.userId), 'Failed to create invite link');
+    if (result) {
+      setInvite(result);
+    }
+  };
+
+  const handleRevokeInvites = async () => {
+    const result = await run(() => onRevokeInviteLinks(group.userId), 'Failed to revoke invite links');
+    if (result) {
+      setInvite(null);
+    }
+  };
+
+  const handleLeave = async () => {
+    if (!window.confirm(`Leave ${group.username}? You will not be able to read new messages.`)) return;
+    await run(() => onLeaveGroup(group.userId), 'Failed to leave group');
+  };
+
+  return (
+    <div className="group-settings-overlay" onClick={onClose}>
+      <div className="group-settings-view" onClick={(e) => e.stopPropagation()}>
+        <div className="group-settings-header">
+          <h3>{group.username}</h3>
+          <button onClick={onClose} className="close-btn">×</button>
+        </div>
+
+        {isAdmin && (
+          <form className="group-settings-row" onSubmit={handleRename}>
+            <input
+              type="text"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              maxLength={100}
+              disabled={isLoading}
+              className="group-name-input"
+            />
+            <button
+              type="submit"
+              disabled={isLoading || !name.trim() || name.trim() === group.username}
+              className="create-group-btn"
+            >
+              Rename
+            </button>
+          </form>
+        )}
+
+        <h4>{group.members?.length || 0} members</h4>
+        <ul className="group-settings-members">
+          {(group.members || []).map(member => {
+            const memberId = String(member.id);
+            const isSelf = memberId === String(user.id);
+            const memberIsAdmin = admins.has(memberId);
+
+            return (
+              <li key={memberId} className="group-settings-member">
+                <span>
+                  {isSelf ? 'You' : member.username}
+                  {memberIsAdmin && <span className="group-admin-badge">Admin</span>}
+                </span>
+                {isAdmin && (
+                  <span className="group-member-actions">
+                    <button
+                      onClick={() => run(
+                        () => onSetGroupAdmin(group.userId, memberId, !memberIsAdmin),
+                        'Failed to change admins'
+                      )}
+                      disabled={isLoading || (memberIsAdmin && admins.size === 1)}
+                      className="secondary-btn"
+                    >
+                      {memberIsAdmin ? (isSelf ? 'Step down' : 'Remove admin') : 'Make admin'}
+                    </button>
+                    {!isSelf && (
+                      <button
+                        onClick={() => run(() => onRemoveGroupMember(group.userId, memberId), 'Failed to remove member')}
+                        disabled={isLoading}
+                        className="secondary-btn"
+                      >
+                        Remove
+                      </button>
+                    )}
+                  </span>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+
+        {isAdmin && addableContacts.length > 0 && (
+          <form className="group-settings-row" onSubmit={handleAddMember}>
+            <select
+              value={newMemberId}
+              onChange={(e) => setNewMemberId(e.target.value)}
+              disabled={isLoading}
+              className="group-name-input"
+            >
+              <option value="">Add a contact...</option>
+              {addableContacts.map(contact => (
+                <option key={contact.id} value={contact.id}>{contact.username}</option>
+              ))}
+            </select>
+            <button type="submit" disabled={isLoading || !newMemberId} className="create-group-btn">
+              Add
+            </button>
+          </form>
+        )}
+
+        {isAdmin && (
+          <div className="group-settings-invite">
+            <h4>Invite link</h4>
+            <small className="group-hint">
+              Anyone with the link can join until it expires, including people who are not your contacts.
+            </small>
+            {invite && (
+              <>
+                <input type="text" value={invite.link} readOnly className="group-name-input" onFocus={(e) => e.target.select()} />
+                <small className="group-hint">Expires {new Date(invite.expiresAt).toLocaleString()}</small>
+              </>
+            )}
+            <div className="group-settings-row">
+              <button onClick={handleCreateInvite} disabled={isLoading} className="create-group-btn">
+                {invite ? 'New link' : 'Create link'}
+              </button>
+              <button onClick={handleRevokeInvites} disabled={isLoading} className="secondary-btn">
+                Revoke all links
+              </button>
+            </div>
+          </div>
+        )}
+
+        <button onClick={handleLeave} disabled={isLoading} className="leave-group-btn">
+          Leave group
+        </button>
+
+        {error && (
+          <div className="message error">
+            {error}
+            <button onClick={() => setError('')} className="close-btn">×</button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default GroupSettings;
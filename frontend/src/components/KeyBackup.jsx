@@ -0,0 +1,142 @@
+/**
+ * Encrypted key backup settings
+ * Creates or replaces the backup of this device's keys and shows its recovery code once. The
+ * backup can be restored from the login form if the browser's storage is ever cleared.
+ */
+
+import React, { useState, useEffect } from 'react';
+import { apiService } from '../services/api';
+import './KeyBackup.css';
+
+const KeyBackup = ({ user, onCreateBackup, onClose }) => {
+  const [status, setStatus] = useState(null); // { exists, updatedAt }
+  const [password, setPassword] = useState('');
+  const [recoveryCode, setRecoveryCode] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+
+    apiService.getKeyBackupStatus()
+      .then(result => {
+        if (!cancelled) {
+          setStatus(result);
+        }
+      })
+      .catch(err => {
+        console.error('Failed to load key backup status:', err);
+        if (!cancelled) {
+          setError('Could not check your key backup');
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+
+    if (status?.exists && !window.confirm('Replace your backup? The old recovery code will stop working.')) {
+      return;
+    }
+
+    try {
+      setIsSaving(true);
+      setError('');
+      const code = await onCreateBackup(user, password);
+      setRecoveryCode(code);
+      setPassword('');
+      setStatus({ exists: true, updatedAt: new Date().toISOString() });
+    } catch (err) {
+      console.error('Failed to create key backup:', err);
+      setError(err.message || 'Could not create the backup');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm('Delete your key backup? You will not be able to restore your keys with the recovery code.')) {
+      return;
+    }
+
+    try {
+      setIsSaving(true);
+      setError('');
+      await apiService.deleteKeyBackup();
+      setRecoveryCode('');
+      setStatus({ exists: false, updatedAt: null });
+    } catch (err) {
+      console.error('Failed to delete key backup:', err);
+      setError('Could not delete the backup');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="key-backup-overlay" onClick={onClose}>
+      <div className="key-backup" onClick={(e) => e.stopPropagation()}>
+        <div className="key-backup-header">
+          <h3>Key backup</h3>
+          <button onClick={onClose} className="close-btn">×</button>
+        </div>
+
+        <p className="key-backup-hint">
+          Your keys only exist in this browser. A backup encrypts them with a recovery code that never
+          leaves your device, so you can restore them if the browser's storage is cleared.
+        </p>
+
+        {error && <div className="message error">{error}</div>}
+
+        {recoveryCode ? (
+          <div className="recovery-code-panel">
+            <p className="key-backup-hint">
+              Write down your recovery code and keep it somewhere safe. It is shown only once, and
+              nobody can restore your keys without it.
+            </p>
+            <code className="recovery-code">{recoveryCode}</code>
+            <button onClick={() => setRecoveryCode('')} className="backup-btn">
+              I have saved my recovery code
+            </button>
+          </div>
+        ) : (
+          <>
+            <p className="key-backup-status">
+              {!status
+                ? 'Checking backup...'
+                : status.exists
+                  ? `Last backed up ${new Date(status.updatedAt).toLocaleString()}`
+                  : 'No backup yet'}
+            </p>
+
+            <form onSubmit={handleCreate} className="key-backup-form">
+              <input
+                type="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                placeholder="Your password"
+                className="key-backup-input"
+                disabled={isSaving}
+              />
+              <button type="submit" disabled={isSaving || !password || !status} className="backup-btn">
+                {isSaving ? 'Encrypting...' : status?.exists ? 'Replace backup' : 'Create backup'}
+              </button>
+            </form>
+
+            {status?.exists && (
+              <button onClick={handleDelete} disabled={isSaving} className="delete-backup-btn">
+                Delete backup
+              </button>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default KeyBackup;
@@ -1,16 +1,21 @@
 /**
  * Login component for user authentication
+ * Signs in with the password and a second factor, or with a passkey alone; the password is then
+ * only used on this device to unlock the stored keys.
  */
 
 import { useState } from 'react';
+import { browserSupportsWebAuthn } from '@simplewebauthn/browser';
 import './Auth.css';
 
-export function LoginForm({ onLogin, onSwitchToRegister, isLoading, error }) {
+export function LoginForm({ onLogin, onPasskeyLogin, onSwitchToRegister, onForgotPassword, isLoading, error }) {
   const [formData, setFormData] = useState({
     identifier: '',
-    password: ''
+    password: '',
+    recoveryCode: ''
   });
   const [formErrors, setFormErrors] = useState({});
+  const [isRestoring, setIsRestoring] = useState(false);
 
   const handleInputChange = (e) => {
     const { name, value } = e.target;
@@ -44,6 +49,10 @@ export function LoginForm({ onLogin, onSwitchToRegister, isLoading, error }) {
       errors.password = 'Password must be at least 6 characters';
     }
 
+    if (isRestoring && formData.recoveryCode.replace(/[\s-]/g, '').length !== 32) {
+      errors.recoveryCode = 'Recovery code must be 32 characters';
+    }
+
     return errors;
   };
 
@@ -56,7 +65,19 @@ export function LoginForm({ onLogin, onSwitchToRegister, isLoading, error }) {
       return;
     }
 
-    await onLogin(formData.identifier, formData.password);
+    await onLogin(formData.identifier, formData.password, isRestoring ? formData.recoveryCode : null);
+  };
+
+  // The passkey identifies the account, so only the password for the local keys is needed
+  const handlePasskeyLogin = async () => {
+    const errors = validateForm();
+    delete errors.identifier;
+    if (Object.keys(errors).length > 0) {
+      setFormErrors(errors);
+      return;
+    }
+
+    await onPasskeyLogin(formData.password, isRestoring ? formData.recoveryCode : null);
   };
 
   return (
@@ -99,6 +120,28 @@ export function LoginForm({ onLogin, onSwitchToRegister, isLoading, error }) {
             {formErrors.password && <span className="error-message">{formErrors.password}</span>}
           </div>
 
+          {isRestoring && (
+            <div className="form-group">
+              <label htmlFor="recoveryCode">Recovery Code</label>
+              <input
+                type="text"
+                id="recoveryCode"
+                name="recoveryCode"
+                value={formData.recoveryCode}
+                onChange={handleInputChange}
+                className={formErrors.recoveryCode ? 'error' : ''}
+                disabled={isLoading}
+                autoComplete="off"
+                spellCheck="false"
+                placeholder="XXXX-XXXX-XXXX-XXXX-XXXX-XXXX-XXXX-XXXX"
+              />
+              {formErrors.recoveryCode && <span className="error-message">{formErrors.recoveryCode}</span>}
+              <small className="form-hint">
+                Your keys will be restored from your encrypted backup after you sign in.
+              </small>
+            </div>
+          )}
+
           {error && (
             <div className="error-banner">
               <span>{error}</span>
@@ -119,9 +162,42 @@ export function LoginForm({ onLogin, onSwitchToRegister, isLoading, error }) {
               'Sign In'
             )}
           </button>
+
+          {onPasskeyLogin && browserSupportsWebAuthn() && (
+            <button
+              type="button"
+              className="auth-button secondary passkey-button"
+              onClick={handlePasskeyLogin}
+              disabled={isLoading}
+            >
+              Sign in with a passkey
+            </button>
+          )}
         </form>
 
         <div className="auth-footer">
+          <p>
+            {isRestoring ? 'Keys on this device are fine?' : 'Lost the keys on this device?'}{' '}
+            <button
+              type="button"
+              className="link-button"
+              onClick={() => setIsRestoring(prev => !prev)}
+              disabled={isLoading}
+            >
+              {isRestoring ? 'Sign in normally' : 'Restore from backup'}
+            </button>
+          </p>
+          <p>
+            Forgot your password?{' '}
+            <button
+              type="button"
+              className="link-button"
+              onClick={onForgotPassword}
+              disabled={isLoading}
+            >
+              Reset it
+            </button>
+          </p>
           <p>
             Don't have an account?{' '}
             <button
@@ -1,16 +1,36 @@
 /**
  * OTP verification component for two-factor authentication
+ * Asks for the emailed code, or for an authenticator app code with a backup code as the fallback,
+ * depending on which methods the server accepts for the account. Accounts with a passkey can use
+ * it instead of typing a code.
  */
 
 import { useState } from 'react';
 import './Auth.css';
 
-export function OtpForm({ onVerifyOtp, onBackToLogin, isLoading, error, identifier }) {
+// Backup codes are 10 hex characters, shown as xxxxx-xxxxx
+const BACKUP_CODE_LENGTH = 10;
+
+export function OtpForm({ onVerifyOtp, onBackToLogin, isLoading, error, identifier, methods = ['email'] }) {
   const [otp, setOtp] = useState('');
   const [formErrors, setFormErrors] = useState({});
+  const [method, setMethod] = useState(methods[0]);
+
+  const isBackupCode = method === 'backup_code';
+  const otpComplete = isBackupCode
+    ? otp.replace(/-/g, '').length === BACKUP_CODE_LENGTH
+    : otp.length === 6;
+
+  const switchMethod = (nextMethod) => {
+    setMethod(nextMethod);
+    setOtp('');
+    setFormErrors({});
+  };
 
   const handleInputChange = (e) => {
-    const value = e.target.value.replace(/\D/g, ''); // Only allow digits
+    const value = isBackupCode
+      ? e.target.value.toLowerCase().replace(/[^0-9a-f-]/g, '')
+      : e.target.value.replace(/\D/g, ''); // Only allow digits
     setOtp(value);
 
     // Clear field error when user starts typing
@@ -27,8 +47,8 @@ export function OtpForm({ onVerifyOtp, onBackToLogin, isLoading, error, identifi
 
     if (!otp) {
       errors.otp = 'OTP is required';
-    } else if (otp.length !== 6) {
-      errors.otp = 'OTP must be 6 digits';
+    } else if (!otpComplete) {
+      errors.otp = isBackupCode ? 'Backup code must be 10 characters' : 'OTP must be 6 digits';
     }
 
     return errors;
@@ -43,20 +63,26 @@ export function OtpForm({ onVerifyOtp, onBackToLogin, isLoading, error, identifi
       return;
     }
 
-    await onVerifyOtp(identifier, otp);
+    await onVerifyOtp(identifier, otp, method);
   };
 
+  const subtitle = {
+    email: 'Enter the 6-digit code sent to your email',
+    totp: 'Enter the 6-digit code from your authenticator app',
+    backup_code: 'Enter one of your backup codes. Each code works once.'
+  }[method];
+
   return (
     <div className="auth-container">
       <div className="auth-form">
         <div className="auth-header">
           <h2>Verify Your Identity</h2>
-          <p>Enter the 6-digit code sent to your email</p>
+          <p>{subtitle}</p>
         </div>
 
         <form onSubmit={handleSubmit}>
           <div className="form-group">
-            <label htmlFor="otp">One-Time Password</label>
+            <label htmlFor="otp">{isBackupCode ? 'Backup Code' : 'One-Time Password'}</label>
             <input
               type="text"
               id="otp"
@@ -65,13 +91,25 @@ export function OtpForm({ onVerifyOtp, onBackToLogin, isLoading, error, identifi
               onChange={handleInputChange}
               className={formErrors.otp ? 'error' : ''}
               disabled={isLoading}
-              maxLength="6"
-              placeholder="000000"
-              autoComplete="one-time-code"
+              maxLength={isBackupCode ? BACKUP_CODE_LENGTH + 1 : 6}
+              placeholder={isBackupCode ? 'xxxxx-xxxxx' : '000000'}
+              autoComplete={isBackupCode ? 'off' : 'one-time-code'}
+              spellCheck="false"
             />
             {formErrors.otp && <span className="error-message">{formErrors.otp}</span>}
           </div>
 
+          {methods.includes('backup_code') && (
+            <button
+              type="button"
+              className="link-button otp-method-switch"
+              onClick={() => switchMethod(isBackupCode ? methods[0] : 'backup_code')}
+              disabled={isLoading}
+            >
+              {isBackupCode ? 'Use your authenticator app instead' : 'Lost your phone? Use a backup code'}
+            </button>
+          )}
+
           {error && (
             <div className="error-banner">
               <span>{error}</span>
@@ -81,7 +119,7 @@ export function OtpForm({ onVerifyOtp, onBackToLogin, isLoading, error, identifi
           <button
             type="submit"
             className="auth-button primary"
-            disabled={isLoading || otp.length !== 6}
+            disabled={isLoading || !otpComplete}
           >
             {isLoading ? (
               <span>
@@ -92,11 +130,22 @@ export function OtpForm({ onVerifyOtp, onBackToLogin, isLoading, error, identifi
               'Verify OTP'
             )}
           </button>
+
+          {methods.includes('webauthn') && (
+            <button
+              type="button"
+              className="auth-button secondary passkey-button"
+              onClick={() => onVerifyOtp(identifier, null, 'webauthn')}
+              disabled={isLoading}
+            >
+              Use a passkey
+            </button>
+          )}
         </form>
 
         <div className="auth-footer">
           <p>
-            Didn't receive the code?{' '}
+            {method === 'email' ? 'Didn\'t receive the code?' : 'Code not accepted?'}{' '}
             <button
               type="button"
               className="link-button"
@@ -0,0 +1,245 @@
+/**
+ * Password reset component
+ * Without a reset token it asks for the account email and sends a reset link; with the token from
+ * that link it sets a new password and lets the user choose how to get their keys back.
+ */
+
+import { useState } from 'react';
+import './Auth.css';
+
+export function PasswordResetForm({ resetToken, onRequestReset, onResetPassword, onBackToLogin, isLoading, error }) {
+  const [formData, setFormData] = useState({
+    email: '',
+    password: '',
+    confirmPassword: '',
+    recoveryCode: ''
+  });
+  const [formErrors, setFormErrors] = useState({});
+  const [keyChoice, setKeyChoice] = useState('backup'); // 'backup' | 'fresh'
+  const [linkSent, setLinkSent] = useState(false);
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: value
+    }));
+
+    // Clear field error when user starts typing
+    if (formErrors[name]) {
+      setFormErrors(prev => ({
+        ...prev,
+        [name]: ''
+      }));
+    }
+  };
+
+  const validateForm = () => {
+    const errors = {};
+
+    if (!resetToken) {
+      if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(formData.email)) {
+        errors.email = 'Please enter a valid email';
+      }
+      return errors;
+    }
+
+    if (formData.password.length < 6) {
+      errors.password = 'Password must be at least 6 characters';
+    }
+
+    if (formData.password !== formData.confirmPassword) {
+      errors.confirmPassword = 'Passwords do not match';
+    }
+
+    if (keyChoice === 'backup' && formData.recoveryCode.replace(/[\s-]/g, '').length !== 32) {
+      errors.recoveryCode = 'Recovery code must be 32 characters';
+    }
+
+    return errors;
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const errors = validateForm();
+    if (Object.keys(errors).length > 0) {
+      setFormErrors(errors);
+      return;
+    }
+
+    if (!resetToken) {
+      setLinkSent(await onRequestReset(formData.email));
+      return;
+    }
+
+    await onResetPassword(formData.password, keyChoice === 'backup' ? formData.recoveryCode : null);
+  };
+
+  if (linkSent) {
+    return (
+      <div className="auth-container">
+        <div className="auth-form">
+          <div className="auth-header">
+            <h2>Check Your Email</h2>
+            <p>If an account exists for {formData.email}, we sent it a link to reset the password.</p>
+          </div>
+          <p className="form-hint">The link can be used once and expires in 1 hour.</p>
+          <div className="auth-footer">
+            <button type="button" className="link-button" onClick={onBackToLogin}>
+              Back to Sign In
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="auth-container">
+      <div className="auth-form">
+        <div className="auth-header">
+          <h2>Reset Password</h2>
+          <p>{resetToken ? 'Choose a new password' : 'We will email you a reset link'}</p>
+        </div>
+
+        <form onSubmit={handleSubmit}>
+          {!resetToken ? (
+            <div className="form-group">
+              <label htmlFor="email">Email</label>
+              <input
+                type="email"
+                id="email"
+                name="email"
+                value={formData.email}
+                onChange={handleInputChange}
+                className={formErrors.email ? 'error' : ''}
+                disabled={isLoading}
+                autoComplete="email"
+              />
+              {formErrors.email && <span className="error-message">{formErrors.email}</span>}
+            </div>
+          ) : (
+            <>
+              <div className="form-group">
+                <label htmlFor="password">New Password</label>
+                <input
+                  type="password"
+                  id="password"
+                  name="password"
+                  value={formData.password}
+                  onChange={handleInputChange}
+                  className={formErrors.password ? 'error' : ''}
+                  disabled={isLoading}
+                  autoComplete="new-password"
+                />
+                {formErrors.password && <span className="error-message">{formErrors.password}</span>}
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="confirmPassword">Confirm New Password</label>
+                <input
+                  type="password"
+                  id="confirmPassword"
+                  name="confirmPassword"
+                  value={formData.confirmPassword}
+                  onChange={handleInputChange}
+                  className={formErrors.confirmPassword ? 'error' : ''}
+                  disabled={isLoading}
+                  autoComplete="new-password"
+                />
+                {formErrors.confirmPassword && <span className="error-message">{formErrors.confirmPassword}</span>}
+              </div>
+
+              <fieldset className="form-group key-choice" disabled={isLoading}>
+                <legend>Your Keys</legend>
+                <small className="form-hint">
+                  The keys on this device were encrypted with your old password and cannot be read anymore.
+                </small>
+                <label>
+                  <input
+                    type="radio"
+                    name="keyChoice"
+                    value="backup"
+                    checked={keyChoice === 'backup'}
+                    onChange={() => setKeyChoice('backup')}
+                  />
+                  Restore them from my encrypted backup
+                </label>
+                <label>
+                  <input
+                    type="radio"
+                    name="keyChoice"
+                    value="fresh"
+                    checked={keyChoice === 'fresh'}
+                    onChange={() => setKeyChoice('fresh')}
+                  />
+                  Start with fresh keys
+                </label>
+              </fieldset>
+
+              {keyChoice === 'backup' ? (
+                <div className="form-group">
+                  <label htmlFor="recoveryCode">Recovery Code</label>
+                  <input
+                    type="text"
+                    id="recoveryCode"
+                    name="recoveryCode"
+                    value={formData.recoveryCode}
+                    onChange={handleInputChange}
+                    className={formErrors.recoveryCode ? 'error' : ''}
+                    disabled={isLoading}
+                    autoComplete="off"
+                    spellCheck="false"
+                    placeholder="XXXX-XXXX-XXXX-XXXX-XXXX-XXXX-XXXX-XXXX"
+                  />
+                  {formErrors.recoveryCode && <span className="error-message">{formErrors.recoveryCode}</span>}
+                </div>
+              ) : (
+                <p className="form-hint key-choice-warning">
+                  New keys are published to your contacts, who will see that your keys changed and
+                  have to verify you again. Messages encrypted for your old keys cannot be read.
+                </p>
+              )}
+            </>
+          )}
+
+          {error && (
+            <div className="error-banner">
+              <span>{error}</span>
+            </div>
+          )}
+
+          <button
+            type="submit"
+            className="auth-button primary"
+            disabled={isLoading}
+          >
+            {isLoading ? (
+              <span>
+                <span className="spinner"></span>
+                {resetToken ? 'Resetting...' : 'Sending...'}
+              </span>
+            ) : (
+              resetToken ? 'Reset Password' : 'Send Reset Link'
+            )}
+          </button>
+        </form>
+
+        <div className="auth-footer">
+          <p>
+            Remembered it?{' '}
+            <button
+              type="button"
+              className="link-button"
+              onClick={onBackToLogin}
+              disabled={isLoading}
+            >
+              Back to Sign In
+            </button>
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+}
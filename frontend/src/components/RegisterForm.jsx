@@ -1,8 +1,10 @@
 /**
  * Registration component for new user signup with key generation
+ * Optionally creates a passkey on this device right after the account.
  */
 
 import { useState } from 'react';
+import { browserSupportsWebAuthn } from '@simplewebauthn/browser';
 import './Auth.css';
 
 export function RegisterForm({ onRegister, onSwitchToLogin, isLoading, error }) {
@@ -10,16 +12,17 @@ export function RegisterForm({ onRegister, onSwitchToLogin, isLoading, error })
     email: '',
     username: '',
     password: '',
-    confirmPassword: ''
+    confirmPassword: '',
+    addPasskey: false
   });
   const [formErrors, setFormErrors] = useState({});
   const [showKeyGenInfo, setShowKeyGenInfo] = useState(false);
 
   const handleInputChange = (e) => {
-    const { name, value } = e.target;
+    const { name, value, type, checked } = e.target;
     setFormData(prev => ({
       ...prev,
-      [name]: value
+      [name]: type === 'checkbox' ? checked : value
     }));
     
     // Clear field error when user starts typing
@@ -146,6 +149,24 @@ export function RegisterForm({ onRegister, onSwitchToLogin, isLoading, error })
             {formErrors.confirmPassword && <span className="error-message">{formErrors.confirmPassword}</span>}
           </div>
 
+          {browserSupportsWebAuthn() && (
+            <div className="form-group passkey-option">
+              <label>
+                <input
+                  type="checkbox"
+                  name="addPasskey"
+                  checked={formData.addPasskey}
+                  onChange={handleInputChange}
+                  disabled={isLoading}
+                />
+                Add a passkey on this device
+              </label>
+              <small className="form-hint">
+                Sign in with your fingerprint, face or screen lock instead of an emailed code.
+              </small>
+            </div>
+          )}
+
           <div className="security-info">
             <div className="info-header">
               <span className="security-icon">🔐</span>
@@ -0,0 +1,153 @@
+/**
+ * Block and report view
+ * The server cannot read messages, so a report carries the decrypted text of the messages the
+ * user ticks here. The report is signed on this device before it is sent.
+ */
+
+import React, { useState } from 'react';
+import './ReportUser.css';
+
+const REASONS = [
+  { value: 'spam', label: 'Spam' },
+  { value: 'harassment', label: 'Harassment' },
+  { value: 'impersonation', label: 'Impersonation' },
+  { value: 'other', label: 'Something else' }
+];
+const MAX_EVIDENCE = 20;
+
+const ReportUser = ({ contact, onBlockUser, onReportUser, onClose }) => {
+  const [reason, setReason] = useState('spam');
+  const [details, setDetails] = useState('');
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [alsoBlock, setAlsoBlock] = useState(true);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [done, setDone] = useState('');
+
+  const name = contact.username || 'this user';
+
+  // Only messages they sent us that we could decrypt can be evidence
+  const received = (contact.messages || []).filter(msg => String(msg.senderId) === String(contact.userId)
+    && msg.id && msg.type !== 'system' && msg.content && !msg.content.startsWith('['));
+
+  const toggleMessage = (messageId) => {
+    setSelectedIds(prev => prev.includes(messageId)
+      ? prev.filter(id => id !== messageId)
+      : [...prev, messageId].slice(0, MAX_EVIDENCE));
+  };
+
+  const run = async (action, fallback, message) => {
+    try {
+      setIsLoading(true);
+      setError('');
+      await action();
+      setDone(message);
+    } catch (err) {
+      console.error(`${fallback}:`, err);
+      setError(err.data?.message || err.message || fallback);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleReport = (e) => {
+    e.preventDefault();
+    run(
+      () => onReportUser(contact.userId, { reason, details: details.trim(), messageIds: selectedIds, block: alsoBlock }),
+      'Failed to send report',
+      alsoBlock ? `Report sent and ${name} blocked.` : 'Report sent.'
+    );
+  };
+
+  const handleBlock = () => {
+    if (!window.confirm(`Block ${name}? They will be removed from your contacts and neither of you will be able to message the other.`)) return;
+    run(() => onBlockUser(contact.userId), 'Failed to block user', `${name} is blocked.`);
+  };
+
+  return (
+    <div className="report-user-overlay" onClick={onClose}>
+      <div className="report-user-view" onClick={(e) => e.stopPropagation()}>
+        <div className="report-user-header">
+          <h3>Block or report {name}</h3>
+          <button onClick={onClose} className="close-btn">×</button>
+        </div>
+
+        {done ? (
+          <>
+            <p className="report-user-done">{done} You can unblock people from your contacts list.</p>
+            <button onClick={onClose} className="create-group-btn">Close</button>
+          </>
+        ) : (
+          <>
+            <form className="report-user-form" onSubmit={handleReport}>
+              <select value={reason} onChange={(e) => setReason(e.target.value)} disabled={isLoading}>
+                {REASONS.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+              <textarea
+                value={details}
+                onChange={(e) => setDetails(e.target.value)}
+                placeholder="What happened? (optional)"
+                maxLength={1000}
+                rows={3}
+                disabled={isLoading}
+              />
+
+              <h4>Attach messages</h4>
+              <small className="group-hint">
+                Ticked messages are decrypted and sent to moderators. Nothing else in this chat is shared.
+              </small>
+              {received.length === 0 ? (
+                <small className="group-hint">No messages from {name} to attach.</small>
+              ) : (
+                <ul className="report-user-messages">
+                  {received.map(msg => (
+                    <li key={msg.id}>
+                      <label>
+                        <input
+                          type="checkbox"
+                          checked={selectedIds.includes(msg.id)}
+                          onChange={() => toggleMessage(msg.id)}
+                          disabled={isLoading || (!selectedIds.includes(msg.id) && selectedIds.length >= MAX_EVIDENCE)}
+                        />
+                        <span>{msg.content}</span>
+                      </label>
+                    </li>
+                  ))}
+                </ul>
+              )}
+
+              <label className="report-user-block">
+                <input
+                  type="checkbox"
+                  checked={alsoBlock}
+                  onChange={(e) => setAlsoBlock(e.target.checked)}
+                  disabled={isLoading}
+                />
+                Also block {name}
+              </label>
+
+              <button type="submit" disabled={isLoading} className="create-group-btn">
+                Send report
+              </button>
+            </form>
+
+            <button onClick={handleBlock} disabled={isLoading} className="leave-group-btn">
+              Block without reporting
+            </button>
+          </>
+        )}
+
+        {error && (
+          <div className="message error">
+            {error}
+            <button onClick={() => setError('')} className="close-btn">×</button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ReportUser;
@@ -0,0 +1,122 @@
+/**
+ * Safety number verification view
+ * Shows the combined safety number for a conversation so both users can compare it in person or
+ * by scanning each other's QR code, and records the contact as verified once they match.
+ */
+
+import React, { useState, useEffect } from 'react';
+import QRCode from 'qrcode';
+import { matchesSafetyNumber } from '../crypto/safetyNumber.js';
+import './SafetyNumberView.css';
+
+const SafetyNumberView = ({ contact, verification, onLoadSafetyNumber, onMarkVerified, onClearVerification, onClose }) => {
+  const [safetyNumber, setSafetyNumber] = useState(null);
+  const [qrCode, setQrCode] = useState('');
+  const [scannedCode, setScannedCode] = useState('');
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const load = async () => {
+      try {
+        const result = await onLoadSafetyNumber(contact.userId);
+        const dataUrl = await QRCode.toDataURL(result.qrPayload, { margin: 1, width: 200 });
+        if (!cancelled) {
+          setSafetyNumber(result);
+          setQrCode(dataUrl);
+        }
+      } catch (err) {
+        console.error('Failed to load safety number:', err);
+        if (!cancelled) {
+          setError('Could not load the safety number for this contact');
+        }
+      }
+    };
+
+    load();
+    return () => {
+      cancelled = true;
+    };
+  }, [contact.userId, onLoadSafetyNumber]);
+
+  const contactName = contact.username || 'this contact';
+  const isVerified = Boolean(verification && !verification.brokenAt);
+  const scanResult = scannedCode.trim() && safetyNumber
+    ? matchesSafetyNumber(scannedCode.trim(), safetyNumber)
+    : null;
+
+  return (
+    <div className="safety-number-overlay" onClick={onClose}>
+      <div className="safety-number-view" onClick={(e) => e.stopPropagation()}>
+        <div className="safety-number-header">
+          <h3>Verify {contactName}</h3>
+          <button onClick={onClose} className="close-btn">×</button>
+        </div>
+
+        {error ? (
+          <div className="message error">{error}</div>
+        ) : !safetyNumber ? (
+          <div className="safety-number-loading">Loading safety number...</div>
+        ) : (
+          <>
+            <p className="safety-number-hint">
+              Compare these numbers with {contactName} in person or over a call you trust, or scan
+              the code on their screen. If they match, nobody is intercepting your messages.
+            </p>
+
+            <div className="safety-number-digits">
+              {safetyNumber.numeric.split(/[\s-]+/).map((group, index) => (
+                <span key={index}>{group}</span>
+              ))}
+            </div>
+
+            <div className="safety-number-emoji">{safetyNumber.emoji}</div>
+
+            {qrCode && (
+              <img className="safety-number-qr" src={qrCode} alt={`Safety number QR code for ${contactName}`} />
+            )}
+
+            <div className="safety-number-compare">
+              <input
+                type="text"
+                value={scannedCode}
+                onChange={(e) => setScannedCode(e.target.value)}
+                placeholder="Paste the code scanned from their screen..."
+                className="contact-input"
+              />
+              {scanResult !== null && (
+                <small className={scanResult ? 'compare-match' : 'compare-mismatch'}>
+                  {scanResult ? '✅ Codes match' : '❌ Codes do not match. Do not mark this contact as verified.'}
+                </small>
+              )}
+            </div>
+
+            <div className="safety-number-actions">
+              {isVerified ? (
+                <>
+                  <span className="verified-status">
+                    ✅ Verified {new Date(verification.verifiedAt).toLocaleDateString()}
+                  </span>
+                  <button onClick={() => onClearVerification(contact.userId)} className="secondary-btn">
+                    Clear verification
+                  </button>
+                </>
+              ) : (
+                <button
+                  onClick={() => onMarkVerified(contact.userId, safetyNumber)}
+                  disabled={scanResult === false}
+                  className="add-btn"
+                >
+                  Mark as verified
+                </button>
+              )}
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SafetyNumberView;
@@ -0,0 +1,328 @@
+/**
+ * Two-factor sign-in settings
+ * Enrolls an RFC 6238 authenticator app from a QR code, confirms it with its first code and shows
+ * the backup codes once. Starting the setup takes the password; turning it off takes the password
+ * and a code, and logins go back to emailed OTPs. Passkeys are listed, added and removed here too,
+ * also with the password.
+ */
+
+import React, { useState, useEffect } from 'react';
+import QRCode from 'qrcode';
+import { browserSupportsWebAuthn } from '@simplewebauthn/browser';
+import { apiService } from '../services/api';
+import './TwoFactorSettings.css';
+
+const TwoFactorSettings = ({ onClose }) => {
+  const [status, setStatus] = useState(null); // { enabled, backupCodesRemaining }
+  const [passkeys, setPasskeys] = useState([]);
+  const [passkeyName, setPasskeyName] = useState('');
+  const [passkeyPassword, setPasskeyPassword] = useState('');
+  const [setup, setSetup] = useState(null); // { secret, otpauthUrl, qrCode }
+  const [backupCodes, setBackupCodes] = useState([]);
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+
+    Promise.all([apiService.getTotpStatus(), apiService.getPasskeys()])
+      .then(([result, { credentials }]) => {
+        if (!cancelled) {
+          setStatus(result);
+          setPasskeys(credentials);
+        }
+      })
+      .catch(err => {
+        console.error('Failed to load two-factor settings:', err);
+        if (!cancelled) {
+          setError('Could not check your two-factor settings');
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const handleStartSetup = async (e) => {
+    e.preventDefault();
+
+    try {
+      setIsSaving(true);
+      setError('');
+      const result = await apiService.setupTotp(password);
+      const qrCode = await QRCode.toDataURL(result.otpauthUrl, { margin: 1, width: 200 });
+      setPassword('');
+      setSetup({ ...result, qrCode });
+    } catch (err) {
+      console.error('Failed to start authenticator app setup:', err);
+      setError(err.data?.error || 'Could not start the setup');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleEnable = async (e) => {
+    e.preventDefault();
+
+    try {
+      setIsSaving(true);
+      setError('');
+      const result = await apiService.enableTotp(code);
+      setBackupCodes(result.backupCodes);
+      setSetup(null);
+      setCode('');
+      setStatus({ enabled: true, backupCodesRemaining: result.backupCodes.length });
+    } catch (err) {
+      console.error('Failed to enable authenticator app:', err);
+      setError(err.data?.error || 'Could not enable the authenticator app');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDisable = async (e) => {
+    e.preventDefault();
+
+    try {
+      setIsSaving(true);
+      setError('');
+      await apiService.disableTotp(password, code);
+      setPassword('');
+      setCode('');
+      setStatus({ enabled: false, backupCodesRemaining: 0 });
+    } catch (err) {
+      console.error('Failed to disable authenticator app:', err);
+      setError(err.data?.error || 'Could not disable the authenticator app');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleAddPasskey = async (e) => {
+    e.preventDefault();
+
+    try {
+      setIsSaving(true);
+      setError('');
+      const { credential } = await apiService.registerPasskey(passkeyName.trim() || 'Passkey', passkeyPassword);
+      setPasskeys(prev => [...prev, credential]);
+      setPasskeyName('');
+      setPasskeyPassword('');
+    } catch (err) {
+      console.error('Failed to add passkey:', err);
+      setError(err.name === 'NotAllowedError'
+        ? 'Passkey creation was cancelled'
+        : err.data?.error || 'Could not add the passkey');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleRemovePasskey = async (passkey) => {
+    if (!passkeyPassword) {
+      setError('Enter your password to remove a passkey');
+      return;
+    }
+
+    if (!window.confirm(`Remove the passkey "${passkey.name}"? It will no longer sign you in.`)) {
+      return;
+    }
+
+    try {
+      setIsSaving(true);
+      setError('');
+      await apiService.deletePasskey(passkey.id, passkeyPassword);
+      setPasskeys(prev => prev.filter(item => item.id !== passkey.id));
+      setPasskeyPassword('');
+    } catch (err) {
+      console.error('Failed to remove passkey:', err);
+      setError(err.data?.error || 'Could not remove the passkey');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const renderPasskeys = () => (
+    <div className="passkey-section">
+      <h4>Passkeys</h4>
+      <p className="two-factor-hint">
+        A passkey replaces the sign-in code, or signs you in without your password on a device that
+        already holds your keys. Adding or removing one asks for your password.
+      </p>
+      <input
+        type="password"
+        value={passkeyPassword}
+        onChange={(e) => setPasskeyPassword(e.target.value)}
+        placeholder="Your password"
+        autoComplete="current-password"
+        className="two-factor-input"
+        disabled={isSaving}
+      />
+      {passkeys.length > 0 && (
+        <ul className="passkey-list">
+          {passkeys.map(passkey => (
+            <li key={passkey.id}>
+              <span>
+                {passkey.name}
+                <small>
+                  {passkey.lastUsedAt
+                    ? `Last used ${new Date(passkey.lastUsedAt).toLocaleDateString()}`
+                    : `Added ${new Date(passkey.createdAt).toLocaleDateString()}`}
+                </small>
+              </span>
+              <button onClick={() => handleRemovePasskey(passkey)} disabled={isSaving} className="remove-passkey-btn">
+                Remove
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+      {browserSupportsWebAuthn() ? (
+        <form onSubmit={handleAddPasskey} className="two-factor-panel">
+          <input
+            type="text"
+            value={passkeyName}
+            onChange={(e) => setPasskeyName(e.target.value)}
+            placeholder="Name, e.g. Work laptop"
+            maxLength={100}
+            className="two-factor-input"
+            disabled={isSaving}
+          />
+          <button type="submit" disabled={isSaving || !passkeyPassword} className="two-factor-btn">
+            Add a passkey
+          </button>
+        </form>
+      ) : (
+        <p className="two-factor-hint">This browser does not support passkeys.</p>
+      )}
+    </div>
+  );
+
+  const renderContent = () => {
+    if (backupCodes.length > 0) {
+      return (
+        <div className="two-factor-panel">
+          <p className="two-factor-hint">
+            Save these backup codes somewhere safe. Each one signs you in once if you lose your phone,
+            and they are shown only now.
+          </p>
+          <ul className="backup-code-list">
+            {backupCodes.map(backupCode => <li key={backupCode}><code>{backupCode}</code></li>)}
+          </ul>
+          <button onClick={() => setBackupCodes([])} className="two-factor-btn">
+            I have saved my backup codes
+          </button>
+        </div>
+      );
+    }
+
+    if (setup) {
+      return (
+        <form onSubmit={handleEnable} className="two-factor-panel">
+          <p className="two-factor-hint">
+            Scan this code with your authenticator app, then enter the 6-digit code it shows.
+          </p>
+          <img src={setup.qrCode} alt="Authenticator app setup code" className="two-factor-qr" />
+          <p className="two-factor-hint">
+            Can't scan it? Enter this key instead: <code className="two-factor-secret">{setup.secret}</code>
+          </p>
+          <input
+            type="text"
+            value={code}
+            onChange={(e) => setCode(e.target.value.replace(/\D/g, ''))}
+            placeholder="6-digit code"
+            inputMode="numeric"
+            maxLength={6}
+            autoComplete="one-time-code"
+            className="two-factor-input"
+            disabled={isSaving}
+          />
+          <button type="submit" disabled={isSaving || code.length !== 6} className="two-factor-btn">
+            {isSaving ? 'Verifying...' : 'Turn on'}
+          </button>
+        </form>
+      );
+    }
+
+    if (!status) {
+      return <p className="two-factor-status">Checking two-factor settings...</p>;
+    }
+
+    if (!status.enabled) {
+      return (
+        <>
+          <p className="two-factor-status">Sign-in codes are sent to your email.</p>
+          <form onSubmit={handleStartSetup} className="two-factor-panel">
+            <input
+              type="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              placeholder="Your password"
+              autoComplete="current-password"
+              className="two-factor-input"
+              disabled={isSaving}
+            />
+            <button type="submit" disabled={isSaving || !password} className="two-factor-btn">
+              {isSaving ? 'Preparing...' : 'Use an authenticator app instead'}
+            </button>
+          </form>
+        </>
+      );
+    }
+
+    return (
+      <>
+        <p className="two-factor-status">
+          Sign-in codes come from your authenticator app. {status.backupCodesRemaining} backup
+          {status.backupCodesRemaining === 1 ? ' code' : ' codes'} left.
+        </p>
+        <form onSubmit={handleDisable} className="two-factor-panel">
+          <input
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            placeholder="Your password"
+            autoComplete="current-password"
+            className="two-factor-input"
+            disabled={isSaving}
+          />
+          <input
+            type="text"
+            value={code}
+            onChange={(e) => setCode(e.target.value.trim())}
+            placeholder="Authenticator or backup code"
+            autoComplete="off"
+            spellCheck="false"
+            className="two-factor-input"
+            disabled={isSaving}
+          />
+          <button type="submit" disabled={isSaving || !password || !code} className="disable-two-factor-btn">
+            {isSaving ? 'Turning off...' : 'Turn off authenticator app'}
+          </button>
+        </form>
+      </>
+    );
+  };
+
+  return (
+    <div className="two-factor-overlay" onClick={onClose}>
+      <div className="two-factor" onClick={(e) => e.stopPropagation()}>
+        <div className="two-factor-header">
+          <h3>Sign-in security</h3>
+          <button onClick={onClose} className="close-btn">×</button>
+        </div>
+
+        {error && <div className="message error">{error}</div>}
+
+        {renderContent()}
+
+        {status && !setup && backupCodes.length === 0 && renderPasskeys()}
+      </div>
+    </div>
+  );
+};
+
+export default TwoFactorSettings;
@@ -0,0 +1,198 @@
+/**
+ * Device linking: moving an identity from an existing device to a new one
+ * The new device shows a linking code with an ephemeral ECDH key and a random secret. The existing
+ * device encrypts its identity keys and contact verification state to that key, and the server
+ * relays the ciphertext. The secret never reaches the server, so it cannot answer the request itself.
+ */
+
+import {
+  generateEphemeralKeyPair,
+  exportPublicKey,
+  importPublicKey,
+  performECDH,
+  deriveSessionKey
+} from './ecc.js';
+import { encryptMessage, decryptMessage, generateIV, arrayBufferToBase64, base64ToArrayBuffer } from './encryption.js';
+import { exportStoredPrivateKey } from './keyStorage.js';
+import { keyManager } from './keyManagementIntegration.js';
+import { exportIdentity, importIdentity } from './x3dh.js';
+import { loadVerifiedContacts, saveContactVerification } from './safetyNumber.js';
+import { loadTrustedHeads, mergeTrustedHeads } from './keyTransparency.js';
+
+const LINK_CODE_VERSION = 1;
+const LINK_SECRET_LENGTH = 16;
+
+/**
+ * Key derivation salt binding the transfer to one link request and its secret
+ * @param {string} linkId - Link request ID
+ * @param {string} secret - Base64 secret from the linking code
+ * @returns {string}
+ */
+function linkSalt(linkId, secret) {
+  return `SKEP-device-link-${linkId}-${secret}`;
+}
+
+/**
+ * Ephemeral keys for a new link request, kept in memory on the new device until the transfer arrives
+ * @returns {Promise<{keyPair: CryptoKeyPair, publicKey: string, secret: string}>}
+ */
+export async function createLinkKeys() {
+  const keyPair = await generateEphemeralKeyPair();
+  const secret = window.crypto.getRandomValues(new Uint8Array(LINK_SECRET_LENGTH));
+
+  return {
+    keyPair,
+    publicKey: arrayBufferToBase64(await exportPublicKey(keyPair.publicKey)),
+    secret: arrayBufferToBase64(secret.buffer)
+  };
+}
+
+/**
+ * Linking code shown as a QR code and as text on the new device
+ * @param {string} linkId - Link request ID from the server
+ * @param {Object} linkKeys - Result of createLinkKeys
+ * @returns {string}
+ */
+export function encodeLinkCode(linkId, linkKeys) {
+  return JSON.stringify({
+    version: LINK_CODE_VERSION,
+    linkId,
+    publicKey: linkKeys.publicKey,
+    secret: linkKeys.secret
+  });
+}
+
+/**
+ * Parse a linking code scanned or pasted on the existing device
+ * @param {string} code - Linking code text
+ * @returns {{linkId: string, publicKey: string, secret: string}}
+ * @throws {Error} - If the code is malformed
+ */
+export function parseLinkCode(code) {
+  let parsed;
+  try {
+    parsed = JSON.parse(code);
+  } catch {
+    throw new Error('Invalid linking code');
+  }
+
+  if (parsed?.version !== LINK_CODE_VERSION || typeof parsed.linkId !== 'string'
+    || typeof parsed.publicKey !== 'string' || typeof parsed.secret !== 'string') {
+    throw new Error('Invalid linking code');
+  }
+
+  return { linkId: parsed.linkId, publicKey: parsed.publicKey, secret: parsed.secret };
+}
+
+/**
+ * Existing device: gather everything the new device needs to take over this identity
+ * @param {Object} params
+ * @param {Object} params.preKeys - Prekey state from loadPreKeys
+ * @param {string} params.email - User email the keys are stored under
+ * @param {string} params.accountUserId - User ID contact verification state is stored under
+ * @param {string} params.password - User password the private keys are stored with
+ * @returns {Promise<Object>} - Transfer payload
+ */
+export async function collectIdentityTransfer({ preKeys, email, accountUserId, password }) {
+  const rsaPrivateKey = await exportStoredPrivateKey(`${email}_rsa`, password);
+  const rsaPublicKey = await keyManager.retrievePublicKey(`${email}_rsa`);
+  if (!rsaPrivateKey || !rsaPublicKey) {
+    throw new Error('Encryption keys could not be decrypted');
+  }
+
+  return {
+    identity: await exportIdentity(preKeys, password),
+    encryptionKey: {
+      publicKey: arrayBufferToBase64(await window.crypto.subtle.exportKey('spki', rsaPublicKey)),
+      privateKey: arrayBufferToBase64(rsaPrivateKey)
+    },
+    verifiedContacts: Object.fromEntries(loadVerifiedContacts(accountUserId)),
+    trustedHeads: loadTrustedHeads(accountUserId)
+  };
+}
+
+/**
+ * New device: store a transferred identity in place of its own
+ * @param {Object} transfer - Result of collectIdentityTransfer
+ * @param {Object} params
+ * @param {string} params.email - User email the keys are stored under
+ * @param {string} params.accountUserId - User ID contact verification state is stored under
+ * @param {string} params.password - User password for key encryption
+ * @returns {Promise<void>}
+ */
+export async function applyIdentityTransfer(transfer, { email, accountUserId, password }) {
+  const rsaAlgorithm = { name: 'RSA-OAEP', hash: 'SHA-256' };
+  const rsaPrivateKey = await window.crypto.subtle.importKey(
+    'pkcs8',
+    base64ToArrayBuffer(transfer.encryptionKey.privateKey),
+    rsaAlgorithm,
+    true,
+    ['decrypt']
+  );
+  const rsaPublicKey = await window.crypto.subtle.importKey(
+    'spki',
+    base64ToArrayBuffer(transfer.encryptionKey.publicKey),
+    rsaAlgorithm,
+    true,
+    ['encrypt']
+  );
+
+  await keyManager.storePrivateKey(`${email}_rsa`, rsaPrivateKey, password);
+  await keyManager.storePublicKey(`${email}_rsa`, rsaPublicKey);
+  await importIdentity(email, password, transfer.identity);
+
+  // Verifications made on this device itself are kept
+  const verified = loadVerifiedContacts(accountUserId);
+  for (const [peerId, verification] of Object.entries(transfer.verifiedContacts)) {
+    if (!verified.has(peerId)) {
+      saveContactVerification(accountUserId, peerId, verification);
+    }
+  }
+  mergeTrustedHeads(accountUserId, transfer.trustedHeads);
+}
+
+/**
+ * Existing device: encrypt a transfer payload to the new device's linking code
+ * @param {Object} payload - Result of collectIdentityTransfer
+ * @param {Object} code - Result of parseLinkCode
+ * @returns {Promise<Object>} - { publicKey, ciphertext, iv, authTag } for the approve endpoint
+ */
+export async function encryptLinkTransfer(payload, code) {
+  const keyPair = await generateEphemeralKeyPair();
+  const sharedSecret = await performECDH(keyPair.privateKey, await importPublicKey(base64ToArrayBuffer(code.publicKey)));
+  const key = await deriveSessionKey(sharedSecret, linkSalt(code.linkId, code.secret));
+
+  const iv = generateIV();
+  const { ciphertext, authTag } = await encryptMessage(JSON.stringify(payload), key, iv);
+
+  return {
+    publicKey: arrayBufferToBase64(await exportPublicKey(keyPair.publicKey)),
+    ciphertext: arrayBufferToBase64(ciphertext),
+    iv: arrayBufferToBase64(iv.buffer),
+    authTag: arrayBufferToBase64(authTag)
+  };
+}
+
+/**
+ * New device: decrypt the transfer relayed by the server
+ * @param {Object} transfer - Encrypted transfer from the link request
+ * @param {string} linkId - Link request ID
+ * @param {Object} linkKeys - Result of createLinkKeys
+ * @returns {Promise<Object>} - Transfer payload
+ * @throws {Error} - If the transfer was not encrypted for this linking code
+ */
+export async function decryptLinkTransfer(transfer, linkId, linkKeys) {
+  const sharedSecret = await performECDH(
+    linkKeys.keyPair.privateKey,
+    await importPublicKey(base64ToArrayBuffer(transfer.publicKey))
+  );
+  const key = await deriveSessionKey(sharedSecret, linkSalt(linkId, linkKeys.secret));
+
+  const payload = await decryptMessage(
+    base64ToArrayBuffer(transfer.ciphertext),
+    base64ToArrayBuffer(transfer.authTag),
+    key,
+    new Uint8Array(base64ToArrayBuffer(transfer.iv))
+  );
+  return JSON.parse(payload);
+}
@@ -0,0 +1,418 @@
+/**
+ * Double Ratchet message encryption on top of SKEP session keys
+ * Seeds the root key from the HKDF output of deriveSessionKeys, derives a fresh key for every
+ * message (symmetric ratchet) and mixes in a new ECDH P-256 exchange whenever the conversation
+ * changes direction (DH ratchet), giving forward secrecy and post-compromise security
+ */
+
+import { generateIV, generateNonce, arrayBufferToBase64, base64ToArrayBuffer } from './encryption.js';
+
+const CURVE = 'P-256';
+const ROOT_INFO = 'SKEP-DoubleRatchet-root';
+const RATCHET_INFO = 'SKEP-DoubleRatchet-ratchet';
+const MAX_SKIP = 1000; // Most message keys skipped within one chain
+const MAX_STORED_SKIPPED_KEYS = 2000; // Oldest skipped keys are dropped beyond this
+
+const encoder = new TextEncoder();
+
+/**
+ * HKDF-SHA256 expand of input keying material into raw bytes
+ * @param {ArrayBuffer} ikm - Input keying material
+ * @param {ArrayBuffer|Uint8Array} salt - HKDF salt
+ * @param {string} info - Context label
+ * @param {number} length - Output length in bytes
+ * @returns {Promise<Uint8Array>}
+ */
+async function hkdf(ikm, salt, info, length) {
+  const baseKey = await window.crypto.subtle.importKey('raw', ikm, 'HKDF', false, ['deriveBits']);
+  const bits = await window.crypto.subtle.deriveBits(
+    { name: 'HKDF', salt, info: encoder.encode(info), hash: 'SHA-256' },
+    baseKey,
+    length * 8
+  );
+  return new Uint8Array(bits);
+}
+
+/**
+ * Root KDF: mixes a DH output into the root key and returns the next root and chain keys
+ * @param {Uint8Array} rootKey - Current root key
+ * @param {ArrayBuffer} dhOutput - ECDH shared secret
+ * @returns {Promise<{rootKey: Uint8Array, chainKey: Uint8Array}>}
+ */
+async function kdfRootKey(rootKey, dhOutput) {
+  const output = await hkdf(dhOutput, rootKey, RATCHET_INFO, 64);
+  return { rootKey: output.slice(0, 32), chainKey: output.slice(32) };
+}
+
+/**
+ * Chain KDF: HMAC the chain key with distinct constants for the message key and next chain key
+ * @param {Uint8Array} chainKey - Current chain key
+ * @returns {Promise<{chainKey: Uint8Array, messageKey: Uint8Array}>}
+ */
+export async function kdfChainKey(chainKey) {
+  const hmacKey = await window.crypto.subtle.importKey(
+    'raw',
+    chainKey,
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  );
+  const messageKey = await window.crypto.subtle.sign('HMAC', hmacKey, new Uint8Array([0x01]));
+  const nextChainKey = await window.crypto.subtle.sign('HMAC', hmacKey, new Uint8Array([0x02]));
+  return { chainKey: new Uint8Array(nextChainKey), messageKey: new Uint8Array(messageKey) };
+}
+
+async function generateRatchetKeyPair() {
+  return window.crypto.subtle.generateKey(
+    { name: 'ECDH', namedCurve: CURVE },
+    true,
+    ['deriveBits']
+  );
+}
+
+async function exportRatchetPublicKey(publicKey) {
+  return arrayBufferToBase64(await window.crypto.subtle.exportKey('raw', publicKey));
+}
+
+async function importRatchetPublicKey(encoded) {
+  return window.crypto.subtle.importKey(
+    'raw',
+    base64ToArrayBuffer(encoded),
+    { name: 'ECDH', namedCurve: CURVE },
+    true,
+    []
+  );
+}
+
+async function dh(keyPair, publicKey) {
+  return window.crypto.subtle.deriveBits({ name: 'ECDH', public: publicKey }, keyPair.privateKey, 256);
+}
+
+async function importMessageKey(messageKey, usage) {
+  return window.crypto.subtle.importKey('raw', messageKey, { name: 'AES-GCM' }, false, [usage]);
+}
+
+/**
+ * Derive the initial root key from SKEP session keys
+ * The AES session key and IV seed both come from deriveSessionKeys, so both peers reach the same root
+ * @param {Object} sessionKeys - Output of deriveSessionKeys
+ * @returns {Promise<Uint8Array>} - 32 byte root key
+ */
+export async function deriveRootKey(sessionKeys) {
+  if (!sessionKeys?.encryptionKey || !sessionKeys?.ivSeed) {
+    throw new Error('SKEP session keys required to seed the ratchet');
+  }
+
+  const sessionSecret = await window.crypto.subtle.exportKey('raw', sessionKeys.encryptionKey);
+  return hkdf(sessionSecret, sessionKeys.ivSeed, ROOT_INFO, 32);
+}
+
+/**
+ * Double Ratchet session state for one peer
+ * Operations are serialized and only committed once a message authenticates,
+ * so a forged or corrupted message cannot desynchronize the ratchet
+ */
+export class DoubleRatchet {
+  constructor() {
+    this.rootKey = null;
+    this.sendingKeyPair = null;
+    this.sendingPublicKey = null; // Base64 raw public key sent in headers
+    this.remotePublicKey = null; // Base64 raw public key from the last DH ratchet
+    this.sendingChainKey = null;
+    this.receivingChainKey = null;
+    this.sendCount = 0;
+    this.receiveCount = 0;
+    this.previousSendCount = 0;
+    this.skippedKeys = new Map(); // Map<`${publicKey}:${n}`, Uint8Array>
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Initialize the side that completed the handshake first (the key exchange initiator)
+   * Performs the first DH ratchet step against the responder's signed ephemeral key
+   * @param {Object} sessionKeys - SKEP session keys
+   * @param {CryptoKey} remoteRatchetKey - Responder's ephemeral ECDH public key
+   * @returns {Promise<DoubleRatchet>}
+   */
+  static async initializeAsInitiator(sessionKeys, remoteRatchetKey) {
+    const ratchet = new DoubleRatchet();
+    const rootKey = await deriveRootKey(sessionKeys);
+
+    ratchet.sendingKeyPair = await generateRatchetKeyPair();
+    ratchet.sendingPublicKey = await exportRatchetPublicKey(ratchet.sendingKeyPair.publicKey);
+    ratchet.remotePublicKey = await exportRatchetPublicKey(remoteRatchetKey);
+
+    const step = await kdfRootKey(rootKey, await dh(ratchet.sendingKeyPair, remoteRatchetKey));
+    ratchet.rootKey = step.rootKey;
+    ratchet.sendingChainKey = step.chainKey;
+
+    return ratchet;
+  }
+
+  /**
+   * Initialize the responder, whose signed ephemeral key pair is the first ratchet key
+   * The responder can send once the initiator's first message has arrived
+   * @param {Object} sessionKeys - SKEP session keys
+   * @param {CryptoKeyPair} ratchetKeyPair - Responder's ephemeral ECDH key pair
+   * @returns {Promise<DoubleRatchet>}
+   */
+  static async initializeAsResponder(sessionKeys, ratchetKeyPair) {
+    const ratchet = new DoubleRatchet();
+    ratchet.rootKey = await deriveRootKey(sessionKeys);
+    ratchet.sendingKeyPair = ratchetKeyPair;
+    ratchet.sendingPublicKey = await exportRatchetPublicKey(ratchetKeyPair.publicKey);
+    return ratchet;
+  }
+
+  /**
+   * Whether a sending chain exists yet
+   * @returns {boolean}
+   */
+  canSend() {
+    return !!this.sendingChainKey;
+  }
+
+  /**
+   * Run ratchet operations one at a time
+   * @param {Function} operation - Async operation
+   * @returns {Promise<*>}
+   */
+  serialize(operation) {
+    const result = this.queue.then(operation);
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  snapshot() {
+    return {
+      rootKey: this.rootKey,
+      sendingKeyPair: this.sendingKeyPair,
+      sendingPublicKey: this.sendingPublicKey,
+      remotePublicKey: this.remotePublicKey,
+      sendingChainKey: this.sendingChainKey,
+      receivingChainKey: this.receivingChainKey,
+      sendCount: this.sendCount,
+      receiveCount: this.receiveCount,
+      previousSendCount: this.previousSendCount,
+      skippedKeys: new Map(this.skippedKeys)
+    };
+  }
+
+  restore(state) {
+    Object.assign(this, state);
+  }
+
+  /**
+   * Encrypt a message with the next sending key
+   * @param {string} plaintext - Message to encrypt
+   * @param {Uint8Array} associatedData - Data authenticated alongside the ciphertext
+   * @returns {Promise<{header: Object, ciphertext: string, iv: string, authTag: string}>}
+   */
+  encrypt(plaintext, associatedData) {
+    return this.serialize(async () => {
+      if (!this.canSend()) {
+        throw new Error('Ratchet cannot send before receiving the first message');
+      }
+
+      const { chainKey, messageKey } = await kdfChainKey(this.sendingChainKey);
+      const header = { dh: this.sendingPublicKey, pn: this.previousSendCount, n: this.sendCount };
+      const iv = generateIV();
+
+      const encrypted = await window.crypto.subtle.encrypt(
+        { name: 'AES-GCM', iv, additionalData: this.headerData(header, associatedData), tagLength: 128 },
+        await importMessageKey(messageKey, 'encrypt'),
+        encoder.encode(plaintext)
+      );
+
+      this.sendingChainKey = chainKey;
+      this.sendCount += 1;
+
+      return {
+        header,
+        ciphertext: arrayBufferToBase64(encrypted.slice(0, -16)),
+        iv: arrayBufferToBase64(iv.buffer),
+        authTag: arrayBufferToBase64(encrypted.slice(-16))
+      };
+    });
+  }
+
+  /**
+   * Decrypt a message, advancing the DH ratchet for new remote keys and keeping keys for skipped messages
+   * @param {Object} header - Ratchet header { dh, pn, n }
+   * @param {Object} payload - { ciphertext, iv, authTag } in base64
+   * @param {Uint8Array} associatedData - Data authenticated alongside the ciphertext
+   * @returns {Promise<string>} - Decrypted plaintext
+   */
+  decrypt(header, payload, associatedData) {
+    return this.serialize(async () => {
+      if (!header || typeof header.dh !== 'string' || !Number.isInteger(header.n) || !Number.isInteger(header.pn)) {
+        throw new Error('Invalid ratchet header');
+      }
+
+      const saved = this.snapshot();
+
+      try {
+        let messageKey = this.takeSkippedKey(header);
+
+        if (!messageKey) {
+          if (header.dh !== this.remotePublicKey) {
+            await this.skipMessageKeys(header.pn);
+            await this.dhRatchet(header);
+          }
+          await this.skipMessageKeys(header.n);
+
+          const step = await kdfChainKey(this.receivingChainKey);
+          this.receivingChainKey = step.chainKey;
+          this.receiveCount += 1;
+          messageKey = step.messageKey;
+        }
+
+        const ciphertext = new Uint8Array(base64ToArrayBuffer(payload.ciphertext));
+        const authTag = new Uint8Array(base64ToArrayBuffer(payload.authTag));
+        const combined = new Uint8Array(ciphertext.length + authTag.length);
+        combined.set(ciphertext, 0);
+        combined.set(authTag, ciphertext.length);
+
+        const decrypted = await window.crypto.subtle.decrypt(
+          {
+            name: 'AES-GCM',
+            iv: new Uint8Array(base64ToArrayBuffer(payload.iv)),
+            additionalData: this.headerData(header, associatedData),
+            tagLength: 128
+          },
+          await importMessageKey(messageKey, 'decrypt'),
+          combined
+        );
+
+        return new TextDecoder().decode(decrypted);
+      } catch (error) {
+        this.restore(saved);
+        throw new Error(`Ratchet decryption failed: ${error.message}`);
+      }
+    });
+  }
+
+  headerData(header, associatedData) {
+    const headerBytes = encoder.encode(JSON.stringify([header.dh, header.pn, header.n]));
+    const combined = new Uint8Array(associatedData.length + headerBytes.length);
+    combined.set(associatedData, 0);
+    combined.set(headerBytes, associatedData.length);
+    return combined;
+  }
+
+  takeSkippedKey(header) {
+    const id = `${header.dh}:${header.n}`;
+    const messageKey = this.skippedKeys.get(id);
+    if (messageKey) {
+      this.skippedKeys.delete(id);
+    }
+    return messageKey || null;
+  }
+
+  async skipMessageKeys(until) {
+    if (!this.receivingChainKey) {
+      return;
+    }
+
+    if (until - this.receiveCount > MAX_SKIP) {
+      throw new Error('Too many skipped messages');
+    }
+
+    while (this.receiveCount < until) {
+      const step = await kdfChainKey(this.receivingChainKey);
+      this.receivingChainKey = step.chainKey;
+      this.skippedKeys.set(`${this.remotePublicKey}:${this.receiveCount}`, step.messageKey);
+      this.receiveCount += 1;
+
+      if (this.skippedKeys.size > MAX_STORED_SKIPPED_KEYS) {
+        this.skippedKeys.delete(this.skippedKeys.keys().next().value);
+      }
+    }
+  }
+
+  async dhRatchet(header) {
+    const remoteKey = await importRatchetPublicKey(header.dh);
+
+    this.previousSendCount = this.sendCount;
+    this.sendCount = 0;
+    this.receiveCount = 0;
+    this.remotePublicKey = header.dh;
+
+    const receiving = await kdfRootKey(this.rootKey, await dh(this.sendingKeyPair, remoteKey));
+    this.rootKey = receiving.rootKey;
+    this.receivingChainKey = receiving.chainKey;
+
+    this.sendingKeyPair = await generateRatchetKeyPair();
+    this.sendingPublicKey = await exportRatchetPublicKey(this.sendingKeyPair.publicKey);
+
+    const sending = await kdfRootKey(this.rootKey, await dh(this.sendingKeyPair, remoteKey));
+    this.rootKey = sending.rootKey;
+    this.sendingChainKey = sending.chainKey;
+  }
+}
+
+/**
+ * Build the associated data binding a ciphertext to its envelope
+ * @param {Object} envelope - Message envelope fields
+ * @returns {Uint8Array}
+ */
+function envelopeData({ senderId, receiverId, timestamp, nonce, sequenceNumber }) {
+  return encoder.encode(JSON.stringify([
+    String(senderId),
+    String(receiverId),
+    new Date(timestamp).getTime(),
+    nonce,
+    sequenceNumber
+  ]));
+}
+
+/**
+ * Create an encrypted message envelope using the next ratchet key
+ * @param {DoubleRatchet} ratchet - Session ratchet
+ * @param {string} message - Plaintext message
+ * @param {string} senderId - Sender's user ID
+ * @param {string} receiverId - Receiver's user ID
+ * @param {number} sequenceNumber - Message sequence number
+ * @returns {Promise<Object>} - Envelope in the createEncryptedMessage format plus ratchetHeader
+ */
+export async function createRatchetMessage(ratchet, message, senderId, receiverId, sequenceNumber) {
+  const timestamp = Date.now();
+  const nonce = arrayBufferToBase64(generateNonce().buffer);
+  const envelope = { senderId, receiverId, timestamp, nonce, sequenceNumber };
+
+  const { header, ciphertext, iv, authTag } = await ratchet.encrypt(message, envelopeData(envelope));
+
+  return {
+    ...envelope,
+    ciphertext,
+    iv,
+    authTag,
+    ratchetHeader: header,
+    signature: null // Will be added by signing function
+  };
+}
+
+/**
+ * Decrypt a received ratchet message envelope
+ * Replays fail because each message key is deleted after use
+ * @param {DoubleRatchet} ratchet - Session ratchet
+ * @param {Object} envelope - Received message (ciphertext or encryptedContent)
+ * @returns {Promise<{message: string|null, isValid: boolean, error?: string}>}
+ */
+export async function decryptRatchetMessage(ratchet, envelope) {
+  try {
+    const message = await ratchet.decrypt(
+      envelope.ratchetHeader,
+      {
+        ciphertext: envelope.ciphertext || envelope.encryptedContent,
+        iv: envelope.iv,
+        authTag: envelope.authTag
+      },
+      envelopeData(envelope)
+    );
+    return { message, isValid: true };
+  } catch (error) {
+    console.error('Failed to decrypt ratchet message:', error);
+    return { message: null, isValid: false, error: error.message };
+  }
+}
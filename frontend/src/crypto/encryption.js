@@ -4,6 +4,8 @@
  * Implements replay attack protection with nonces and timestamps
  */
 
+import { signData } from './keyExchange.js';
+
 /**
  * Generate a cryptographically secure random nonce
  * @param {number} length - Length in bytes (default: 16)
@@ -153,6 +155,91 @@ export async function createEncryptedMessage(message, senderId, receiverId, sess
   }
 }
 
+/**
+ * Canonical envelope fields covered by the sender's signature
+ * The backend rebuilds the same JSON array to verify it (utils/keyVerification.getMessageSignatureData)
+ * @param {Object} envelope - Message envelope (ciphertext or encryptedContent)
+ * @returns {string}
+ */
+export function getEnvelopeSignatureData({ ciphertext, encryptedContent, iv, nonce, timestamp, sequenceNumber, receiverId }) {
+  return JSON.stringify([
+    ciphertext || encryptedContent,
+    iv,
+    nonce,
+    new Date(timestamp).getTime(),
+    sequenceNumber,
+    String(receiverId)
+  ]);
+}
+
+/**
+ * Sign a message envelope with the sender's ECDSA identity key
+ * @param {Object} envelope - Envelope from createEncryptedMessage or createRatchetMessage
+ * @param {CryptoKey} signingKey - ECDSA private key registered with the backend
+ * @returns {Promise<Object>} - Envelope with a base64 signature
+ */
+export async function signMessageEnvelope(envelope, signingKey) {
+  const signature = await signData(getEnvelopeSignatureData(envelope), signingKey);
+  return { ...envelope, signature: arrayBufferToBase64(signature) };
+}
+
+/**
+ * Canonical fields a member signs for a group membership change
+ * Mirrors utils/keyVerification.getGroupEventSignatureData in the backend; a group being
+ * created has no ID yet, so its creation is signed with a null group ID
+ * @param {Object} event - { groupId, type, targetIds, name, timestamp }
+ * @returns {string}
+ */
+export function getGroupEventSignatureData({ groupId, type, targetIds = [], name = null, timestamp }) {
+  return JSON.stringify([
+    groupId ? String(groupId) : null,
+    type,
+    targetIds.map(String).sort(),
+    name,
+    new Date(timestamp).getTime()
+  ]);
+}
+
+/**
+ * Sign a group membership change with the member's ECDSA identity key
+ * @param {Object} event - { groupId, type, targetIds, name }
+ * @param {CryptoKey} signingKey - ECDSA private key registered with the backend
+ * @returns {Promise<{timestamp: string, signature: string}>} - Fields to send with the change
+ */
+export async function signGroupEvent(event, signingKey) {
+  const timestamp = new Date().toISOString();
+  const signature = await signData(getGroupEventSignatureData({ ...event, timestamp }), signingKey);
+  return { timestamp, signature: arrayBufferToBase64(signature) };
+}
+
+/**
+ * Build the canonical byte string a user report is signed over
+ * Mirrors utils/keyVerification.getReportSignatureData in the backend
+ * @param {Object} report - { reportedUserId, reason, details, evidence, timestamp }
+ * @returns {string}
+ */
+export function getReportSignatureData({ reportedUserId, reason, details = '', evidence = [], timestamp }) {
+  return JSON.stringify([
+    String(reportedUserId),
+    reason,
+    details,
+    evidence.map(({ messageId, content }) => [String(messageId), content]),
+    new Date(timestamp).getTime()
+  ]);
+}
+
+/**
+ * Sign a report so moderators can tell the attached messages came from this device
+ * @param {Object} report - { reportedUserId, reason, details, evidence }
+ * @param {CryptoKey} signingKey - ECDSA private key registered with the backend
+ * @returns {Promise<{timestamp: string, signature: string}>} - Fields to send with the report
+ */
+export async function signReport(report, signingKey) {
+  const timestamp = new Date().toISOString();
+  const signature = await signData(getReportSignatureData({ ...report, timestamp }), signingKey);
+  return { timestamp, signature: arrayBufferToBase64(signature) };
+}
+
 /**
  * Decrypt and verify a received message
  * @param {Object} encryptedMessage - Received encrypted message object
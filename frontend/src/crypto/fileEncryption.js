@@ -4,7 +4,7 @@
  * Files are encrypted on the client before upload to server
  */
 
-import { generateIV, arrayBufferToBase64, base64ToArrayBuffer } from './encryption.js';
+import { generateIV, arrayBufferToBase64, base64ToArrayBuffer, encryptMessage, decryptMessage } from './encryption.js';
 
 const CHUNK_SIZE = 1024 * 1024; // 1MB chunks for large files
 
@@ -203,6 +203,78 @@ export async function decryptSmallFile(encryptedData, metadata, sessionKey) {
   }
 }
 
+/**
+ * Generate a random per-file AES-256-GCM key
+ * The key is shared with recipients inside the encrypted metadata, never in plaintext
+ * @returns {Promise<CryptoKey>} - Extractable file key
+ */
+export async function generateFileKey() {
+  return window.crypto.subtle.generateKey(
+    {
+      name: 'AES-GCM',
+      length: 256,
+    },
+    true,
+    ['encrypt', 'decrypt']
+  );
+}
+
+/**
+ * Encrypt file metadata together with the file key for a recipient
+ * @param {Object} metadata - Metadata returned by encryptFile
+ * @param {CryptoKey} fileKey - Key the chunks were encrypted with
+ * @param {CryptoKey} sessionKey - Session key shared with the recipient
+ * @returns {Promise<{ciphertext: string, iv: string, authTag: string}>}
+ */
+export async function encryptFileMetadata(metadata, fileKey, sessionKey) {
+  try {
+    const rawKey = await window.crypto.subtle.exportKey('raw', fileKey);
+    const iv = generateIV();
+    const payload = JSON.stringify({ ...metadata, fileKey: arrayBufferToBase64(rawKey) });
+    const { ciphertext, authTag } = await encryptMessage(payload, sessionKey, iv);
+
+    return {
+      ciphertext: arrayBufferToBase64(ciphertext),
+      iv: arrayBufferToBase64(iv.buffer),
+      authTag: arrayBufferToBase64(authTag)
+    };
+  } catch (error) {
+    console.error('File metadata encryption failed:', error);
+    throw new Error('File metadata encryption failed');
+  }
+}
+
+/**
+ * Decrypt file metadata and recover the file key
+ * @param {Object} encryptedMetadata - Encrypted metadata from the server
+ * @param {CryptoKey} sessionKey - Session key shared with the uploader
+ * @returns {Promise<{metadata: Object, fileKey: CryptoKey}>}
+ */
+export async function decryptFileMetadata(encryptedMetadata, sessionKey) {
+  try {
+    const payload = await decryptMessage(
+      base64ToArrayBuffer(encryptedMetadata.ciphertext),
+      base64ToArrayBuffer(encryptedMetadata.authTag),
+      sessionKey,
+      new Uint8Array(base64ToArrayBuffer(encryptedMetadata.iv))
+    );
+    const { fileKey, ...metadata } = JSON.parse(payload);
+
+    const key = await window.crypto.subtle.importKey(
+      'raw',
+      base64ToArrayBuffer(fileKey),
+      { name: 'AES-GCM' },
+      false,
+      ['decrypt']
+    );
+
+    return { metadata, fileKey: key };
+  } catch (error) {
+    console.error('File metadata decryption failed:', error);
+    throw new Error('File metadata decryption failed');
+  }
+}
+
 /**
  * Generate a unique file ID
  * @returns {string} - Unique file identifier
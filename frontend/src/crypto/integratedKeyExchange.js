@@ -211,6 +211,21 @@ export class EnhancedKeyExchange {
     return await this.skep.processEphemeralMessage(message, sessionId);
   }
 
+  /**
+   * Complete the initiator side from the responder's ephemeral message
+   * @param {Object} message - Ephemeral message from the responder
+   * @param {string} sessionId - Session ID chosen by the responder
+   * @param {string} peerId - Responder's user ID
+   * @returns {Promise<Object>} Session keys, ephemeral keys and our ephemeral message
+   */
+  async completeAsInitiator(message, sessionId, peerId) {
+    if (!this.isInitialized) {
+      await this.initialize();
+    }
+
+    return await this.skep.processPeerEphemeralMessage(message, sessionId, peerId);
+  }
+
   /**
    * Process key confirmation response
    * @param {Object} message - Confirmation response
@@ -0,0 +1,133 @@
+/**
+ * Encrypted key backup with a recovery code
+ * Identity keys, the RSA key and contact verification state are encrypted with AES-256-GCM under a
+ * key derived from a random recovery code with PBKDF2, so the server only stores ciphertext. The
+ * payload is the same one a linked device receives.
+ */
+
+import { generateIV, encryptMessage, decryptMessage, arrayBufferToBase64, base64ToArrayBuffer } from './encryption.js';
+
+const BACKUP_VERSION = 1;
+const BACKUP_KDF_ALGORITHM = 'PBKDF2-SHA256';
+const BACKUP_KDF_ITERATIONS = 600000;
+const RECOVERY_CODE_BYTES = 20; // 160 bits
+const RECOVERY_CODE_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ'; // Crockford base32
+
+/**
+ * Generate a recovery code, shown to the user once and never sent to the server
+ * @returns {string} - e.g. "7K2M-…", 32 base32 characters in groups of four
+ */
+export function generateRecoveryCode() {
+  const bytes = window.crypto.getRandomValues(new Uint8Array(RECOVERY_CODE_BYTES));
+
+  let bits = 0;
+  let value = 0;
+  let code = '';
+  for (const byte of bytes) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      code += RECOVERY_CODE_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+    value &= (1 << bits) - 1;
+  }
+
+  return code.match(/.{4}/g).join('-');
+}
+
+/**
+ * Normalize a typed recovery code: case, separators and commonly confused characters
+ * @param {string} code - Recovery code as entered
+ * @returns {string}
+ * @throws {Error} - If the code has the wrong length or characters
+ */
+function normalizeRecoveryCode(code) {
+  const normalized = code.toUpperCase()
+    .replace(/[\s-]/g, '')
+    .replace(/O/g, '0')
+    .replace(/[IL]/g, '1');
+
+  if (normalized.length !== 32 || [...normalized].some(char => !RECOVERY_CODE_ALPHABET.includes(char))) {
+    throw new Error('Invalid recovery code');
+  }
+  return normalized;
+}
+
+/**
+ * Derive the AES-GCM backup key from a recovery code
+ * @param {string} recoveryCode - Recovery code
+ * @param {ArrayBuffer} salt - Random salt stored with the backup
+ * @param {number} iterations - PBKDF2 iterations stored with the backup
+ * @returns {Promise<CryptoKey>}
+ */
+async function deriveBackupKey(recoveryCode, salt, iterations) {
+  const baseKey = await window.crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(normalizeRecoveryCode(recoveryCode)),
+    'PBKDF2',
+    false,
+    ['deriveKey']
+  );
+
+  return window.crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+    baseKey,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+/**
+ * Encrypt a key transfer payload for upload to PUT /api/backup
+ * @param {Object} payload - Result of collectIdentityTransfer
+ * @param {string} recoveryCode - Recovery code from generateRecoveryCode
+ * @returns {Promise<Object>} - { version, kdf, ciphertext, iv, authTag }
+ */
+export async function encryptKeyBackup(payload, recoveryCode) {
+  const salt = window.crypto.getRandomValues(new Uint8Array(16));
+  const key = await deriveBackupKey(recoveryCode, salt, BACKUP_KDF_ITERATIONS);
+
+  const iv = generateIV();
+  const { ciphertext, authTag } = await encryptMessage(JSON.stringify(payload), key, iv);
+
+  return {
+    version: BACKUP_VERSION,
+    kdf: {
+      algorithm: BACKUP_KDF_ALGORITHM,
+      iterations: BACKUP_KDF_ITERATIONS,
+      salt: arrayBufferToBase64(salt.buffer)
+    },
+    ciphertext: arrayBufferToBase64(ciphertext),
+    iv: arrayBufferToBase64(iv.buffer),
+    authTag: arrayBufferToBase64(authTag)
+  };
+}
+
+/**
+ * Decrypt a backup downloaded from GET /api/backup
+ * @param {Object} backup - Encrypted backup
+ * @param {string} recoveryCode - Recovery code entered by the user
+ * @returns {Promise<Object>} - Key transfer payload for applyIdentityTransfer
+ * @throws {Error} - If the recovery code is wrong or the backup was tampered with
+ */
+export async function decryptKeyBackup(backup, recoveryCode) {
+  if (backup.version !== BACKUP_VERSION || backup.kdf?.algorithm !== BACKUP_KDF_ALGORITHM) {
+    throw new Error('Unsupported backup format');
+  }
+
+  const key = await deriveBackupKey(recoveryCode, base64ToArrayBuffer(backup.kdf.salt), backup.kdf.iterations);
+
+  try {
+    const payload = await decryptMessage(
+      base64ToArrayBuffer(backup.ciphertext),
+      base64ToArrayBuffer(backup.authTag),
+      key,
+      new Uint8Array(base64ToArrayBuffer(backup.iv))
+    );
+    return JSON.parse(payload);
+  } catch {
+    throw new Error('Incorrect recovery code');
+  }
+}
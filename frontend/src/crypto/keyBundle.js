@@ -0,0 +1,191 @@
+/**
+ * Identity key bundle published with the account
+ * Lists the X3DH identity key (ECDH), the signing key (ECDSA) and the RSA-OAEP encryption key with
+ * their key IDs and creation dates, self-signed by the signing key so contacts can check that the
+ * keys belong together. Each device's bundle is also endorsed by the account signing key.
+ * Must match utils/keyBundle.js in the backend.
+ */
+
+import { arrayBufferToBase64, base64ToArrayBuffer } from './encryption.js';
+
+// Bundle slots in signing order, with the algorithm each key must use
+const BUNDLE_KEYS = [
+  { name: 'identityKey', algorithm: 'ECDH' },
+  { name: 'signingKey', algorithm: 'ECDSA' },
+  { name: 'encryptionKey', algorithm: 'RSA-OAEP' }
+];
+
+const SIGNATURE_ALGORITHM = { name: 'ECDSA', hash: 'SHA-256' };
+
+/**
+ * Key ID for a public key: the first 8 bytes of its SHA-256 fingerprint, in hex
+ * @param {string} publicKey - Base64 raw EC point or SPKI RSA key
+ * @returns {Promise<string>}
+ */
+export async function getKeyId(publicKey) {
+  const digest = await window.crypto.subtle.digest('SHA-256', base64ToArrayBuffer(publicKey));
+  return Array.from(new Uint8Array(digest).slice(0, 8))
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+// [algorithm, keyId, publicKey, createdAt ms] for each key, in bundle order
+function getSignedKeyFields(keyBundle) {
+  return BUNDLE_KEYS.map(({ name }) => [
+    keyBundle[name].algorithm,
+    keyBundle[name].keyId,
+    keyBundle[name].publicKey,
+    new Date(keyBundle[name].createdAt).getTime()
+  ]);
+}
+
+/**
+ * Canonical bytes the signing key signs to vouch for the whole bundle
+ * @param {Object} keyBundle - Bundle with identityKey, signingKey and encryptionKey
+ * @returns {Uint8Array}
+ */
+export function getKeyBundleSignatureData(keyBundle) {
+  return new TextEncoder().encode(JSON.stringify(getSignedKeyFields(keyBundle)));
+}
+
+/**
+ * Canonical bytes the account signing key signs to add a device to the account
+ * Covers the device's self-signature too, so the endorsement names exactly one signed bundle
+ * @param {string} userId - Account the device belongs to
+ * @param {string} deviceId - Device ID
+ * @param {Object} keyBundle - Signed device bundle
+ * @returns {Uint8Array}
+ */
+export function getDeviceSignatureData(userId, deviceId, keyBundle) {
+  return new TextEncoder().encode(JSON.stringify([
+    String(userId),
+    deviceId,
+    ...getSignedKeyFields(keyBundle),
+    keyBundle.signature
+  ]));
+}
+
+/**
+ * Endorse a device's bundle with the account signing key
+ * Only a device holding the account identity keys can do this
+ * @param {string} userId - Account the device belongs to
+ * @param {string} deviceId - Device to endorse
+ * @param {Object} keyBundle - Signed device bundle
+ * @param {CryptoKey} accountSigningKey - Private ECDSA key of the account bundle
+ * @returns {Promise<string>} - Base64 account signature
+ */
+export async function signDeviceBundle(userId, deviceId, keyBundle, accountSigningKey) {
+  const signature = await window.crypto.subtle.sign(
+    SIGNATURE_ALGORITHM,
+    accountSigningKey,
+    getDeviceSignatureData(userId, deviceId, keyBundle)
+  );
+  return arrayBufferToBase64(signature);
+}
+
+/**
+ * Check that a contact's account endorsed one of its devices
+ * @param {string} userId - Contact user ID
+ * @param {Object} device - { deviceId, keyBundle, accountSignature } from the server
+ * @param {CryptoKey} accountSigningKey - Verified signing key of the contact's account bundle
+ * @returns {Promise<boolean>}
+ */
+export async function verifyDeviceBundle(userId, device, accountSigningKey) {
+  if (!device.accountSignature) {
+    return false;
+  }
+
+  return window.crypto.subtle.verify(
+    SIGNATURE_ALGORITHM,
+    accountSigningKey,
+    base64ToArrayBuffer(device.accountSignature),
+    getDeviceSignatureData(userId, device.deviceId, device.keyBundle)
+  );
+}
+
+async function bundleKey(algorithm, publicKey, createdAt) {
+  return {
+    keyId: await getKeyId(publicKey),
+    algorithm,
+    publicKey,
+    createdAt: new Date(createdAt).toISOString()
+  };
+}
+
+/**
+ * Build and sign the key bundle for this account
+ * @param {Object} preKeys - Prekey state from loadPreKeys, holding the identity and signing keys
+ * @param {CryptoKey} rsaPublicKey - RSA-OAEP public key
+ * @returns {Promise<Object>} - Key bundle for register or updatePublicKey
+ */
+export async function createKeyBundle(preKeys, rsaPublicKey) {
+  const { record } = preKeys;
+  const rsaSpki = await window.crypto.subtle.exportKey('spki', rsaPublicKey);
+  const identityCreatedAt = record.createdAt || Date.now();
+
+  const keyBundle = {
+    identityKey: await bundleKey('ECDH', record.identityKey, identityCreatedAt),
+    signingKey: await bundleKey('ECDSA', record.signingKey, identityCreatedAt),
+    encryptionKey: await bundleKey('RSA-OAEP', arrayBufferToBase64(rsaSpki), Date.now())
+  };
+
+  const signature = await window.crypto.subtle.sign(
+    SIGNATURE_ALGORITHM,
+    preKeys.signingPrivateKey,
+    getKeyBundleSignatureData(keyBundle)
+  );
+  keyBundle.signature = arrayBufferToBase64(signature);
+
+  return keyBundle;
+}
+
+/**
+ * Check a contact's key bundle and import its keys
+ * @param {Object} keyBundle - Bundle from the server
+ * @returns {Promise<Object>} - { identityKey, signingKey, encryptionKey } as CryptoKeys
+ * @throws {Error} - If a key ID or the self-signature does not verify
+ */
+export async function importKeyBundle(keyBundle) {
+  for (const { name, algorithm } of BUNDLE_KEYS) {
+    const key = keyBundle?.[name];
+    if (!key || key.algorithm !== algorithm || key.keyId !== await getKeyId(key.publicKey)) {
+      throw new Error(`Invalid ${name} in key bundle`);
+    }
+  }
+
+  const signingKey = await window.crypto.subtle.importKey(
+    'raw',
+    base64ToArrayBuffer(keyBundle.signingKey.publicKey),
+    { name: 'ECDSA', namedCurve: 'P-256' },
+    true,
+    ['verify']
+  );
+
+  const isValid = await window.crypto.subtle.verify(
+    SIGNATURE_ALGORITHM,
+    signingKey,
+    base64ToArrayBuffer(keyBundle.signature),
+    getKeyBundleSignatureData(keyBundle)
+  );
+  if (!isValid) {
+    throw new Error('Key bundle signature verification failed');
+  }
+
+  const identityKey = await window.crypto.subtle.importKey(
+    'raw',
+    base64ToArrayBuffer(keyBundle.identityKey.publicKey),
+    { name: 'ECDH', namedCurve: 'P-256' },
+    true,
+    []
+  );
+
+  const encryptionKey = await window.crypto.subtle.importKey(
+    'spki',
+    base64ToArrayBuffer(keyBundle.encryptionKey.publicKey),
+    { name: 'RSA-OAEP', hash: 'SHA-256' },
+    true,
+    ['encrypt']
+  );
+
+  return { identityKey, signingKey, encryptionKey };
+}
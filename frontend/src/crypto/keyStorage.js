@@ -8,6 +8,27 @@ const DB_NAME = 'SecureMessagingKeys';
 const DB_VERSION = 1;
 const STORE_NAME = 'keys';
 
+// Key derivation for wrapping private keys with the password. Every wrapped key records the
+// parameters it was wrapped with, so they can be raised later: keys wrapped with older ones are
+// re-wrapped with these on their next successful unlock.
+const KDF_VERSION = 2;
+const KDF_PARAMS = { name: 'PBKDF2', hash: 'SHA-256', iterations: 600000 };
+const KDF_SALT_LENGTH = 16;
+
+// Keys stored before the KDF header existed all share this salt and iteration count
+const LEGACY_KDF = {
+  version: 1,
+  name: 'PBKDF2',
+  hash: 'SHA-256',
+  iterations: 100000,
+  salt: Array.from(new TextEncoder().encode('SecureMessagingApp2024Salt'))
+};
+
+// Derived wrapping keys by password digest and KDF parameters. Deriving takes a noticeable time
+// at these iteration counts, and a batch of one-time prekeys is wrapped at once.
+const derivedKeys = new Map(); // Map<string, Promise<CryptoKey>>
+const sessionSalts = new Map(); // Map<password digest, Array<number>> - salt for keys wrapped in this session
+
 /**
  * Initialize IndexedDB for secure key storage
  * @returns {Promise<IDBDatabase>}
@@ -37,40 +58,17 @@ function initDB() {
  */
 export async function storePrivateKey(userId, privateKey, password) {
   try {
-    const db = await initDB();
-    
     // Export private key for storage
     const exportedKey = await window.crypto.subtle.exportKey('pkcs8', privateKey);
-    
-    // Derive encryption key from password
-    const passwordKey = await deriveKeyFromPassword(password);
-    
-    // Encrypt the private key
-    const iv = window.crypto.getRandomValues(new Uint8Array(12));
-    const encryptedKey = await window.crypto.subtle.encrypt(
-      { name: 'AES-GCM', iv },
-      passwordKey,
-      exportedKey
-    );
-    
-    // Store in IndexedDB
-    const transaction = db.transaction([STORE_NAME], 'readwrite');
-    const store = transaction.objectStore(STORE_NAME);
-    
-    await new Promise((resolve, reject) => {
-      const request = store.put({
-        id: `private_key_${userId}`,
-        encryptedKey: Array.from(new Uint8Array(encryptedKey)),
-        iv: Array.from(iv),
-        algorithm: privateKey.algorithm?.name || null,
-        namedCurve: privateKey.algorithm?.namedCurve || 'P-384',
-        timestamp: Date.now()
-      });
-      request.onsuccess = () => resolve();
-      request.onerror = () => reject(request.error);
+
+    await putPrivateKey({
+      id: `private_key_${userId}`,
+      ...await wrapPrivateKey(exportedKey, password),
+      algorithm: privateKey.algorithm?.name || null,
+      namedCurve: privateKey.algorithm?.namedCurve || 'P-384',
+      timestamp: Date.now()
     });
-    
-    db.close();
+
     return true;
   } catch (error) {
     console.error('Failed to store private key:', error);
@@ -78,6 +76,118 @@ export async function storePrivateKey(userId, privateKey, password) {
   }
 }
 
+/**
+ * Encrypt PKCS#8 key bytes with a key derived from the password using the current KDF parameters
+ * @param {ArrayBuffer} keyBytes - PKCS#8 private key
+ * @param {string} password - User password
+ * @returns {Promise<{encryptedKey: Array<number>, iv: Array<number>, kdf: Object}>}
+ */
+async function wrapPrivateKey(keyBytes, password) {
+  const digest = await passwordDigest(password);
+  if (!sessionSalts.has(digest)) {
+    sessionSalts.set(digest, Array.from(window.crypto.getRandomValues(new Uint8Array(KDF_SALT_LENGTH))));
+  }
+
+  const kdf = { version: KDF_VERSION, ...KDF_PARAMS, salt: sessionSalts.get(digest) };
+  const passwordKey = await deriveKeyFromPassword(password, kdf);
+
+  // Encrypt the private key
+  const iv = window.crypto.getRandomValues(new Uint8Array(12));
+  const encryptedKey = await window.crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv },
+    passwordKey,
+    keyBytes
+  );
+
+  return {
+    encryptedKey: Array.from(new Uint8Array(encryptedKey)),
+    iv: Array.from(iv),
+    kdf
+  };
+}
+
+/**
+ * Write a wrapped private key record to IndexedDB
+ * @param {Object} record - Record with id, encryptedKey, iv, kdf and key algorithm
+ * @returns {Promise<void>}
+ */
+async function putPrivateKey(record) {
+  const db = await initDB();
+  const transaction = db.transaction([STORE_NAME], 'readwrite');
+  const store = transaction.objectStore(STORE_NAME);
+
+  await new Promise((resolve, reject) => {
+    const request = store.put(record);
+    request.onsuccess = () => resolve();
+    request.onerror = () => reject(request.error);
+  });
+
+  db.close();
+}
+
+/**
+ * Read a stored private key and decrypt it with the password
+ * @param {string} userId - User identifier
+ * @param {string} password - User password for key decryption
+ * @returns {Promise<{keyData: Object, decryptedKey: ArrayBuffer}|null>} - Stored record and PKCS#8 bytes
+ */
+async function readPrivateKey(userId, password) {
+  const db = await initDB();
+  const transaction = db.transaction([STORE_NAME], 'readonly');
+  const store = transaction.objectStore(STORE_NAME);
+  
+  const keyData = await new Promise((resolve, reject) => {
+    const request = store.get(`private_key_${userId}`);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+  
+  db.close();
+  
+  if (!keyData) {
+    return null;
+  }
+  
+  // Derive decryption key from password, with the parameters the key was wrapped with
+  const kdf = keyData.kdf || LEGACY_KDF;
+  const passwordKey = await deriveKeyFromPassword(password, kdf);
+  
+  // Decrypt the private key
+  const decryptedKey = await window.crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: new Uint8Array(keyData.iv) },
+    passwordKey,
+    new Uint8Array(keyData.encryptedKey)
+  );
+
+  // The password is known to be right now, so keys wrapped with weaker parameters are upgraded
+  if (kdf.version < KDF_VERSION || kdf.iterations < KDF_PARAMS.iterations) {
+    try {
+      await putPrivateKey({ ...keyData, ...await wrapPrivateKey(decryptedKey, password) });
+    } catch (error) {
+      console.error('Failed to re-wrap private key:', error);
+    }
+  }
+
+  return { keyData, decryptedKey };
+}
+
+/**
+ * Decrypt a stored private key to its PKCS#8 bytes, for transferring it to a linked device
+ * Keys are imported non-extractable, so this is the only way to get them out again
+ * @param {string} userId - User identifier
+ * @param {string} password - User password for key decryption
+ * @returns {Promise<ArrayBuffer|null>}
+ */
+export async function exportStoredPrivateKey(userId, password) {
+  try {
+    const stored = await readPrivateKey(userId, password);
+    return stored ? stored.decryptedKey : null;
+  } catch (error) {
+    console.error('Failed to export private key:', error);
+    return null;
+  }
+}
+
 /**
  * Retrieve and decrypt private key from IndexedDB
  * @param {string} userId - User identifier
@@ -86,41 +196,24 @@ export async function storePrivateKey(userId, privateKey, password) {
  */
 export async function retrievePrivateKey(userId, password) {
   try {
-    const db = await initDB();
-    const transaction = db.transaction([STORE_NAME], 'readonly');
-    const store = transaction.objectStore(STORE_NAME);
-    
-    const keyData = await new Promise((resolve, reject) => {
-      const request = store.get(`private_key_${userId}`);
-      request.onsuccess = () => resolve(request.result);
-      request.onerror = () => reject(request.error);
-    });
-    
-    db.close();
-    
-    if (!keyData) {
+    const stored = await readPrivateKey(userId, password);
+    if (!stored) {
       return null;
     }
-    
-    // Derive decryption key from password
-    const passwordKey = await deriveKeyFromPassword(password);
-    
-    // Decrypt the private key
-    const encryptedKey = new Uint8Array(keyData.encryptedKey);
-    const iv = new Uint8Array(keyData.iv);
-    
-    const decryptedKey = await window.crypto.subtle.decrypt(
-      { name: 'AES-GCM', iv },
-      passwordKey,
-      encryptedKey
-    );
+    const { keyData, decryptedKey } = stored;
     
     // Import the private key
     const algorithmName = keyData.algorithm
       || (userId.includes('_signing') ? 'ECDSA' : 'ECDH');
-    const namedCurve = keyData.namedCurve || 'P-384';
-    const importAlgorithm = { name: algorithmName, namedCurve };
-    const usages = algorithmName === 'ECDSA' ? ['sign'] : ['deriveKey', 'deriveBits'];
+    let importAlgorithm;
+    let usages;
+    if (algorithmName === 'RSA-OAEP') {
+      importAlgorithm = { name: algorithmName, hash: 'SHA-256' };
+      usages = ['decrypt'];
+    } else {
+      importAlgorithm = { name: algorithmName, namedCurve: keyData.namedCurve || 'P-384' };
+      usages = algorithmName === 'ECDSA' ? ['sign'] : ['deriveKey', 'deriveBits'];
+    }
 
     const privateKey = await window.crypto.subtle.importKey(
       'pkcs8',
@@ -137,6 +230,85 @@ export async function retrievePrivateKey(userId, password) {
   }
 }
 
+/**
+ * Whether a private key is stored, without decrypting it
+ * retrievePrivateKey returns null both for a missing key and one the password does not open
+ * @param {string} userId - Key identifier used with storePrivateKey
+ * @returns {Promise<boolean>}
+ */
+export async function hasPrivateKey(userId) {
+  const db = await initDB();
+  const transaction = db.transaction([STORE_NAME], 'readonly');
+  const store = transaction.objectStore(STORE_NAME);
+
+  const count = await new Promise((resolve, reject) => {
+    const request = store.count(`private_key_${userId}`);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+  db.close();
+  return count > 0;
+}
+
+/**
+ * Re-encrypt all of a user's private keys under a new password
+ * Every key is decrypted and re-encrypted in memory first, so a wrong current password changes
+ * nothing; the new records are then written in a single transaction, so either all keys use the
+ * new password or none do.
+ * @param {string} userId - User identifier the keys are stored under (email)
+ * @param {string} currentPassword - Password the keys are stored with
+ * @param {string} newPassword - Password to store them with
+ * @param {Function} [beforeCommit] - Async step run before anything is written, e.g. the server-side
+ *   password change; if it throws, the keys stay as they were
+ * @returns {Promise<number>} - Number of re-encrypted keys
+ */
+export async function rewrapPrivateKeys(userId, currentPassword, newPassword, beforeCommit = null) {
+  const prefix = `private_key_${userId}_`;
+
+  let db = await initDB();
+  const records = await new Promise((resolve, reject) => {
+    const request = db.transaction([STORE_NAME], 'readonly').objectStore(STORE_NAME).getAll();
+    request.onsuccess = () => resolve(request.result.filter(record => record.id.startsWith(prefix)));
+    request.onerror = () => reject(request.error);
+  });
+  db.close();
+
+  // IndexedDB transactions cannot stay open across WebCrypto calls, so nothing is written yet
+  const rewrapped = [];
+  for (const record of records) {
+    const passwordKey = await deriveKeyFromPassword(currentPassword, record.kdf || LEGACY_KDF);
+    let decryptedKey;
+    try {
+      decryptedKey = await window.crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: new Uint8Array(record.iv) },
+        passwordKey,
+        new Uint8Array(record.encryptedKey)
+      );
+    } catch {
+      throw new Error('Current password is incorrect');
+    }
+    rewrapped.push({ ...record, ...await wrapPrivateKey(decryptedKey, newPassword) });
+  }
+
+  if (beforeCommit) {
+    await beforeCommit();
+  }
+
+  db = await initDB();
+  await new Promise((resolve, reject) => {
+    const transaction = db.transaction([STORE_NAME], 'readwrite');
+    const store = transaction.objectStore(STORE_NAME);
+    rewrapped.forEach(record => store.put(record));
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+  db.close();
+
+  return rewrapped.length;
+}
+
 /**
  * Store public key in IndexedDB (for caching)
  * @param {string} userId - User identifier (can be other users)
@@ -211,6 +383,31 @@ export async function retrievePublicKey(userId) {
   }
 }
 
+/**
+ * Delete a single stored private key (e.g. a consumed one-time prekey)
+ * @param {string} userId - Key identifier used with storePrivateKey
+ * @returns {Promise<boolean>}
+ */
+export async function deletePrivateKey(userId) {
+  try {
+    const db = await initDB();
+    const transaction = db.transaction([STORE_NAME], 'readwrite');
+    const store = transaction.objectStore(STORE_NAME);
+
+    await new Promise((resolve, reject) => {
+      const request = store.delete(`private_key_${userId}`);
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(request.error);
+    });
+
+    db.close();
+    return true;
+  } catch (error) {
+    console.error('Failed to delete private key:', error);
+    return false;
+  }
+}
+
 /**
  * Delete stored keys for a user (for logout/cleanup)
  * @param {string} userId - User identifier
@@ -243,17 +440,55 @@ export async function deleteUserKeys(userId) {
   }
 }
 
+/**
+ * Forget the wrapping keys derived in this session (on logout)
+ */
+export function clearDerivedKeys() {
+  derivedKeys.clear();
+  sessionSalts.clear();
+}
+
+/**
+ * In-memory cache key for a password, so the password itself is not kept as a map key
+ * @param {string} password - User password
+ * @returns {Promise<string>}
+ */
+async function passwordDigest(password) {
+  const digest = await window.crypto.subtle.digest('SHA-256', new TextEncoder().encode(password));
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
 /**
  * Derive encryption key from user password using PBKDF2
  * @param {string} password - User password
- * @param {Uint8Array} salt - Salt for key derivation (optional)
+ * @param {Object} kdf - KDF header of the wrapped key: { version, name, hash, iterations, salt }
  * @returns {Promise<CryptoKey>}
  */
-async function deriveKeyFromPassword(password, salt) {
-  if (!salt) {
-    salt = new TextEncoder().encode('SecureMessagingApp2024Salt');
+async function deriveKeyFromPassword(password, kdf) {
+  if (kdf.name !== 'PBKDF2') {
+    throw new Error(`Unsupported key derivation function: ${kdf.name}`);
   }
-  
+
+  const cacheKey = `${await passwordDigest(password)}:${kdf.hash}:${kdf.iterations}:${kdf.salt.join(',')}`;
+  if (!derivedKeys.has(cacheKey)) {
+    derivedKeys.set(cacheKey, derivePBKDF2Key(password, kdf));
+  }
+
+  try {
+    return await derivedKeys.get(cacheKey);
+  } catch (error) {
+    derivedKeys.delete(cacheKey);
+    throw error;
+  }
+}
+
+/**
+ * Run PBKDF2 with the parameters from a KDF header
+ * @param {string} password - User password
+ * @param {Object} kdf - KDF header with hash, iterations and salt bytes
+ * @returns {Promise<CryptoKey>}
+ */
+async function derivePBKDF2Key(password, kdf) {
   // Import password as base key
   const baseKey = await window.crypto.subtle.importKey(
     'raw',
@@ -267,9 +502,9 @@ async function deriveKeyFromPassword(password, salt) {
   const derivedKey = await window.crypto.subtle.deriveKey(
     {
       name: 'PBKDF2',
-      salt,
-      iterations: 100000, // High iteration count for security
-      hash: 'SHA-256'
+      salt: new Uint8Array(kdf.salt),
+      iterations: kdf.iterations,
+      hash: kdf.hash
     },
     baseKey,
     {
@@ -281,4 +516,4 @@ async function deriveKeyFromPassword(password, salt) {
   );
   
   return derivedKey;
-}
\ No newline at end of file
+}
@@ -0,0 +1,207 @@
+/**
+ * Key transparency checks for contacts' key bundles
+ * The server appends every bundle a user publishes to a per-user hash chain. We remember the last
+ * verified head for each contact and only accept a bundle whose log entries extend that head, so
+ * the server cannot swap a contact's keys, or later hide that it did, without breaking the chain.
+ * Device bundles the account endorsed, and device revocations, are logged in the same chain.
+ * Must match utils/keyTransparency.js in the backend.
+ */
+
+import { base64ToArrayBuffer } from './encryption.js';
+import { getKeyBundleSignatureData } from './keyBundle.js';
+
+const GENESIS_HASH = '0'.repeat(64);
+// keyBundleHash of the entry logged when a device is revoked
+const REVOKED_HASH = 'f'.repeat(64);
+
+// Map<peerId, trusted head> per local account, kept across sessions
+const storageKey = (localUserId) => `key_log_${localUserId}`;
+
+async function sha256Hex(...parts) {
+  const data = new Uint8Array(parts.reduce((length, part) => length + part.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    data.set(part, offset);
+    offset += part.length;
+  }
+
+  const digest = await window.crypto.subtle.digest('SHA-256', data);
+  return Array.from(new Uint8Array(digest))
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+/**
+ * Hash committing to a whole signed bundle, as recorded in the log
+ * @param {Object} keyBundle - Signed key bundle
+ * @returns {Promise<string>} - Hex SHA-256
+ */
+export async function getKeyBundleHash(keyBundle) {
+  return sha256Hex(
+    getKeyBundleSignatureData(keyBundle),
+    new Uint8Array(base64ToArrayBuffer(keyBundle.signature))
+  );
+}
+
+/**
+ * Hash of a log entry, chaining it to the previous one
+ * Device entries append their device ID
+ * @param {string} userId - Log owner
+ * @param {Object} entry - Log entry from the server
+ * @returns {Promise<string>} - Hex SHA-256
+ */
+export async function getLogEntryHash(userId, entry) {
+  const fields = [
+    entry.previousHash,
+    String(userId),
+    entry.sequence,
+    entry.keyBundleHash,
+    new Date(entry.createdAt).getTime()
+  ];
+  if (entry.deviceId) {
+    fields.push(entry.deviceId);
+  }
+
+  return sha256Hex(new TextEncoder().encode(JSON.stringify(fields)));
+}
+
+function readTrustedHeads(localUserId) {
+  const stored = localStorage.getItem(storageKey(localUserId));
+  return stored ? JSON.parse(stored) : {};
+}
+
+/**
+ * Last verified log head for a contact
+ * @param {string} localUserId - Current user ID
+ * @param {string} peerId - Contact user ID
+ * @returns {Object|null} - { sequence, hash, keyBundleHash, devices, identityKeyId, signingKeyId, changedAt }
+ */
+export function loadTrustedHead(localUserId, peerId) {
+  return readTrustedHeads(localUserId)[peerId] || null;
+}
+
+/**
+ * Remember a verified log head for a contact
+ * @param {string} localUserId - Current user ID
+ * @param {string} peerId - Contact user ID
+ * @param {Object} head - Head returned by verifyKeyLog
+ */
+export function saveTrustedHead(localUserId, peerId, head) {
+  const heads = readTrustedHeads(localUserId);
+  heads[peerId] = head;
+  localStorage.setItem(storageKey(localUserId), JSON.stringify(heads));
+}
+
+/**
+ * Every verified log head, for transferring them to a linked device
+ * @param {string} localUserId - Current user ID
+ * @returns {Object} - Heads by contact user ID
+ */
+export function loadTrustedHeads(localUserId) {
+  return readTrustedHeads(localUserId);
+}
+
+/**
+ * Adopt log heads verified on another device, keeping whichever head is further along
+ * @param {string} localUserId - Current user ID
+ * @param {Object} heads - Heads by contact user ID, from loadTrustedHeads
+ */
+export function mergeTrustedHeads(localUserId, heads) {
+  const merged = readTrustedHeads(localUserId);
+  for (const [peerId, head] of Object.entries(heads)) {
+    if (!merged[peerId] || merged[peerId].sequence < head.sequence) {
+      merged[peerId] = head;
+    }
+  }
+  localStorage.setItem(storageKey(localUserId), JSON.stringify(merged));
+}
+
+/**
+ * Contacts whose identity keys changed and the user has not acknowledged it yet
+ * @param {string} localUserId - Current user ID
+ * @returns {Map<string, number>} - Map<peerId, changedAt>
+ */
+export function loadKeyChanges(localUserId) {
+  const changes = new Map();
+  for (const [peerId, head] of Object.entries(readTrustedHeads(localUserId))) {
+    if (head.changedAt) {
+      changes.set(peerId, head.changedAt);
+    }
+  }
+  return changes;
+}
+
+/**
+ * Clear the key change warning for a contact once the user has seen it
+ * @param {string} localUserId - Current user ID
+ * @param {string} peerId - Contact user ID
+ */
+export function acknowledgeKeyChange(localUserId, peerId) {
+  const head = loadTrustedHead(localUserId, peerId);
+  if (head) {
+    saveTrustedHead(localUserId, peerId, { ...head, changedAt: null });
+  }
+}
+
+/**
+ * Check a key log proof against the last head trusted for this contact
+ * The first proof for a contact is trusted as is; later ones must extend it.
+ * @param {string} peerId - Contact user ID
+ * @param {Object} proof - Response of GET /users/:id/keys/log, fetched with since = trusted.sequence
+ * @param {Object|null} trusted - Head from loadTrustedHead
+ * @returns {Promise<Object>} - New trusted head, with changedAt set when the identity keys changed
+ *   and devices mapping each endorsed device ID to its logged bundle hash
+ * @throws {Error} - If the log was rewritten, rolled back or does not contain the returned bundle
+ */
+export async function verifyKeyLog(peerId, proof, trusted) {
+  // The server reports bundles it never logged, e.g. ones published before the log existed
+  if (!proof.logged || !proof.head) {
+    throw new Error('Key bundle is not in the key log');
+  }
+
+  let previous = trusted || { sequence: 0, hash: GENESIS_HASH };
+  let keyBundleHash = trusted?.keyBundleHash ?? null;
+  const devices = { ...trusted?.devices };
+
+  for (const entry of proof.entries) {
+    if (entry.sequence !== previous.sequence + 1
+      || entry.previousHash !== previous.hash
+      || entry.hash !== await getLogEntryHash(peerId, entry)) {
+      throw new Error('Key log does not extend the last verified entry');
+    }
+
+    if (!entry.deviceId) {
+      keyBundleHash = entry.keyBundleHash;
+    } else if (entry.keyBundleHash === REVOKED_HASH) {
+      delete devices[entry.deviceId];
+    } else {
+      devices[entry.deviceId] = entry.keyBundleHash;
+    }
+    previous = entry;
+  }
+
+  // With no new entries the server must still be at the head we trust, not behind it
+  if (previous.sequence !== proof.head.sequence || previous.hash !== proof.head.hash) {
+    throw new Error('Key log head does not match the verified entries');
+  }
+
+  if (keyBundleHash !== await getKeyBundleHash(proof.keyBundle)) {
+    throw new Error('Key bundle is not the latest logged bundle');
+  }
+
+  // Rotating only the encryption key is routine; new identity or signing keys are worth a warning
+  const identityKeyId = proof.keyBundle.identityKey.keyId;
+  const signingKeyId = proof.keyBundle.signingKey.keyId;
+  const identityChanged = Boolean(trusted)
+    && (trusted.identityKeyId !== identityKeyId || trusted.signingKeyId !== signingKeyId);
+
+  return {
+    sequence: previous.sequence,
+    hash: previous.hash,
+    keyBundleHash,
+    devices,
+    identityKeyId,
+    signingKeyId,
+    changedAt: identityChanged ? Date.now() : (trusted?.changedAt ?? null)
+  };
+}
@@ -0,0 +1,106 @@
+/**
+ * Safety numbers for verifying a contact out of band
+ * Each party's fingerprint is SKEP's generateKeyFingerprint over their identity (ECDH) and signing
+ * (ECDSA) keys. Both sides order the two fingerprints by user ID, so they see the same number and
+ * can compare it aloud or by scanning the QR code on the other's screen.
+ */
+
+import { secureKeyExchange } from './secureKeyExchangeIntegration.js';
+import { base64ToArrayBuffer } from './encryption.js';
+
+const SAFETY_NUMBER_VERSION = 1;
+
+// Map<peerId, { identityKeyId, signingKeyId, verifiedAt, brokenAt }> per local account
+const storageKey = (localUserId) => `verified_contacts_${localUserId}`;
+
+async function importPublicKey(encoded, algorithm) {
+  return window.crypto.subtle.importKey(
+    'raw',
+    base64ToArrayBuffer(encoded),
+    { name: algorithm, namedCurve: 'P-256' },
+    true,
+    algorithm === 'ECDSA' ? ['verify'] : []
+  );
+}
+
+async function fingerprintFor(fingerprinter, party) {
+  return fingerprinter.generateKeyFingerprint(
+    await importPublicKey(party.identityKey, 'ECDH'),
+    await importPublicKey(party.signingKey, 'ECDSA')
+  );
+}
+
+/**
+ * Combined safety number for a conversation
+ * @param {Object} local - { userId, identityKey, signingKey } with base64 raw public keys
+ * @param {Object} peer - Same for the contact, from their verified key bundle
+ * @returns {Promise<Object>} - { numeric, emoji, hex, qrPayload }
+ */
+export async function generateSafetyNumber(local, peer) {
+  const fingerprinter = secureKeyExchange(local.userId);
+  const parties = [local, peer].sort((a, b) => String(a.userId).localeCompare(String(b.userId)));
+  const fingerprints = [];
+  for (const party of parties) {
+    fingerprints.push(await fingerprintFor(fingerprinter, party));
+  }
+
+  // One hash over both fingerprints drives the emoji and hex forms
+  const combined = new TextEncoder().encode(fingerprints.map(fingerprint => fingerprint.hex).join('|'));
+  const hashArray = Array.from(new Uint8Array(await window.crypto.subtle.digest('SHA-256', combined)));
+
+  return {
+    // Each half belongs to one party, so a mismatch shows whose keys differ
+    numeric: fingerprints.map(fingerprint => fingerprint.numeric).join('-'),
+    emoji: fingerprinter.formatEmojiCode(hashArray),
+    hex: hashArray.map(byte => byte.toString(16).padStart(2, '0')).join(':'),
+    qrPayload: JSON.stringify({
+      version: SAFETY_NUMBER_VERSION,
+      userIds: parties.map(party => String(party.userId)),
+      fingerprints: fingerprints.map(fingerprint => fingerprint.hex)
+    })
+  };
+}
+
+/**
+ * Compare a code scanned or pasted from the contact's screen with ours
+ * @param {string} payload - QR payload from the other device
+ * @param {Object} safetyNumber - Result of generateSafetyNumber
+ * @returns {boolean}
+ */
+export function matchesSafetyNumber(payload, safetyNumber) {
+  try {
+    const scanned = JSON.parse(payload);
+    const expected = JSON.parse(safetyNumber.qrPayload);
+    return scanned.version === expected.version
+      && JSON.stringify(scanned.userIds) === JSON.stringify(expected.userIds)
+      && JSON.stringify(scanned.fingerprints) === JSON.stringify(expected.fingerprints);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Contacts the user has verified, with the key IDs they verified
+ * @param {string} localUserId - Current user ID
+ * @returns {Map<string, Object>}
+ */
+export function loadVerifiedContacts(localUserId) {
+  const stored = localStorage.getItem(storageKey(localUserId));
+  return new Map(Object.entries(stored ? JSON.parse(stored) : {}));
+}
+
+/**
+ * Store or clear the verification record for a contact
+ * @param {string} localUserId - Current user ID
+ * @param {string} peerId - Contact user ID
+ * @param {Object|null} verification - { identityKeyId, signingKeyId, verifiedAt, brokenAt }, or null to clear
+ */
+export function saveContactVerification(localUserId, peerId, verification) {
+  const verified = loadVerifiedContacts(localUserId);
+  if (verification) {
+    verified.set(peerId, verification);
+  } else {
+    verified.delete(peerId);
+  }
+  localStorage.setItem(storageKey(localUserId), JSON.stringify(Object.fromEntries(verified)));
+}
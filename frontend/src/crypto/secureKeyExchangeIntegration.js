@@ -195,7 +195,7 @@ export class SimplifiedSecureKeyExchange {
           namedCurve: this.curve
         },
         true,
-        ["deriveKey"]
+        ["deriveKey", "deriveBits"]
       );
 
       // Export ephemeral public key in raw format (smaller size)
@@ -227,10 +227,17 @@ export class SimplifiedSecureKeyExchange {
       // Update our session store
       this.sessions.set(sessionId, session);
 
+      // Identity signing key lets the peer verify the signature without a prior hello
+      const ecdsaPublic = await window.crypto.subtle.exportKey(
+        "spki",
+        this.identityKeys.ecdsaKeyPair.publicKey
+      );
+
       return {
         type: "EPHEMERAL_KEY_EXCHANGE",
         sessionId: sessionId,
         ephemeralPublicKey: Array.from(new Uint8Array(ephemeralPublic)),
+        ecdsaPublicKey: Array.from(new Uint8Array(ecdsaPublic)),
         signature: Array.from(new Uint8Array(signature)),
         timestamp: Date.now()
       };
@@ -315,14 +322,19 @@ export class SimplifiedSecureKeyExchange {
       session.sharedSecret = sharedSecret;
       session.status = "shared_secret_derived";
 
-      // Generate random salt for HKDF
-      const salt = window.crypto.getRandomValues(new Uint8Array(32)).buffer;
+      // Both sides must derive identical keys, so salt and context are built from
+      // values each side holds: the two ephemeral keys and the sorted user IDs
+      const localEphemeralBytes = new Uint8Array(
+        await window.crypto.subtle.exportKey("raw", session.localEphemeral.publicKey)
+      );
+      const salt = await this.deriveHandshakeSalt(localEphemeralBytes, ephemeralKeyBytes);
+      const participants = [String(this.userId), String(session.peerId)].sort().join("-");
 
       // Derive session keys using HKDF (as required)
       const sessionKeys = await this.deriveSessionKeys(
         sharedSecret,
         salt,
-        `session-${sessionId}-${this.userId}-${session.peerId}`
+        `session-${sessionId}-${participants}`
       );
 
       // Store session keys
@@ -349,13 +361,57 @@ export class SimplifiedSecureKeyExchange {
       return {
         sessionId: sessionId,
         message: confirmationMessage,
-        keys: sessionKeys
+        keys: sessionKeys,
+        localEphemeral: session.localEphemeral,
+        peerEphemeralKey: peerEphemeralKey
       };
     } catch (error) {
       throw new Error(`Ephemeral message processing failed: ${error.message}`);
     }
   }
 
+  /**
+   * Completes the initiator side: registers the responder's signing key, creates our own
+   * signed ephemeral key and derives the session keys
+   * @param {Object} message - The responder's ephemeral key exchange message
+   * @param {string} sessionId - The session ID chosen by the responder
+   * @param {string} peerId - The responder's ID
+   * @returns {Promise<Object>} Session keys plus our ephemeral message for the responder
+   */
+  async processPeerEphemeralMessage(message, sessionId, peerId) {
+    if (!this.peers.has(peerId)) {
+      if (!message.ecdsaPublicKey) {
+        throw new Error("Peer signing key missing from ephemeral message");
+      }
+      this.peers.set(peerId, {
+        ecdsaPublicKey: message.ecdsaPublicKey,
+        verified: false
+      });
+    }
+
+    const ephemeralMessage = await this.createEphemeralKeyExchange(sessionId, peerId);
+    const result = await this.processEphemeralMessage(message, sessionId);
+
+    return { ...result, ephemeralMessage };
+  }
+
+  /**
+   * Derives the HKDF salt from both ephemeral public keys, independent of which side runs it
+   * @param {Uint8Array} firstKey - Raw ephemeral public key
+   * @param {Uint8Array} secondKey - Raw ephemeral public key
+   * @returns {Promise<ArrayBuffer>} SHA-256 of the keys in canonical order
+   */
+  async deriveHandshakeSalt(firstKey, secondKey) {
+    const compare = (a, b) => {
+      for (let i = 0; i < Math.min(a.length, b.length); i++) {
+        if (a[i] !== b[i]) return a[i] - b[i];
+      }
+      return a.length - b.length;
+    };
+    const [low, high] = compare(firstKey, secondKey) <= 0 ? [firstKey, secondKey] : [secondKey, firstKey];
+    return window.crypto.subtle.digest("SHA-256", new Uint8Array([...low, ...high]));
+  }
+
   /**
    * Derives session keys using HKDF from the shared secret
    * Creates multiple keys for different purposes: encryption, HMAC confirmation, IV generation
@@ -0,0 +1,254 @@
+/**
+ * Sender keys for group conversations
+ * Each member encrypts for the whole group with a hash chain of their own: every message key
+ * comes from the next step of the chain, as in the Double Ratchet's symmetric ratchet. The
+ * chain key is handed to every other member over the pairwise sessions, so the server stores a
+ * single ciphertext per group message. Members replace their sender key whenever the group's
+ * membership changes, so removed members cannot read on and new members cannot read back.
+ */
+
+import { kdfChainKey } from './doubleRatchet.js';
+import { generateIV, generateNonce, arrayBufferToBase64, base64ToArrayBuffer } from './encryption.js';
+
+const MAX_SKIP = 1000; // Most message keys skipped within one chain
+const MAX_STORED_SKIPPED_KEYS = 2000; // Oldest skipped keys are dropped beyond this
+
+const encoder = new TextEncoder();
+
+async function importMessageKey(messageKey, usage) {
+  return window.crypto.subtle.importKey('raw', messageKey, { name: 'AES-GCM' }, false, [usage]);
+}
+
+/**
+ * Sender key chain, either our own for sending or another member's for receiving
+ * Receiving operations are serialized and only committed once a message authenticates
+ */
+export class SenderKey {
+  constructor(keyId, chainKey, iteration = 0) {
+    this.keyId = keyId;
+    this.chainKey = chainKey;
+    this.iteration = iteration; // Step of the chain the next message key comes from
+    this.skippedKeys = new Map(); // Map<iteration, Uint8Array>
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Start a new sender key with a random chain key
+   * @returns {SenderKey}
+   */
+  static generate() {
+    const keyId = arrayBufferToBase64(generateNonce().buffer);
+    return new SenderKey(keyId, window.crypto.getRandomValues(new Uint8Array(32)));
+  }
+
+  /**
+   * Import a sender key received from another member
+   * @param {string} distribution - Output of toDistribution
+   * @returns {{senderKey: SenderKey, epoch: number}}
+   */
+  static fromDistribution(distribution) {
+    const { keyId, chainKey, iteration, epoch } = JSON.parse(distribution);
+    if (typeof keyId !== 'string' || typeof chainKey !== 'string' || !Number.isInteger(iteration) || iteration < 0) {
+      throw new Error('Invalid sender key distribution');
+    }
+    return {
+      senderKey: new SenderKey(keyId, new Uint8Array(base64ToArrayBuffer(chainKey)), iteration),
+      epoch
+    };
+  }
+
+  /**
+   * Serialize the current chain state for another member
+   * Members only get keys from this point on, not for messages sent before they received it
+   * @param {number} epoch - Group epoch the key is used in
+   * @returns {string}
+   */
+  toDistribution(epoch) {
+    return JSON.stringify({
+      keyId: this.keyId,
+      chainKey: arrayBufferToBase64(this.chainKey.buffer),
+      iteration: this.iteration,
+      epoch
+    });
+  }
+
+  serialize(operation) {
+    const result = this.queue.then(operation);
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Encrypt with the next message key of our own chain
+   * @param {string} plaintext - Message to encrypt
+   * @param {Function} getAssociatedData - Builds the associated data for the iteration used
+   * @returns {Promise<{iteration: number, ciphertext: string, iv: string, authTag: string}>}
+   */
+  encrypt(plaintext, getAssociatedData) {
+    return this.serialize(async () => {
+      const iteration = this.iteration;
+      const { chainKey, messageKey } = await kdfChainKey(this.chainKey);
+      const iv = generateIV();
+
+      const encrypted = await window.crypto.subtle.encrypt(
+        { name: 'AES-GCM', iv, additionalData: getAssociatedData(iteration), tagLength: 128 },
+        await importMessageKey(messageKey, 'encrypt'),
+        encoder.encode(plaintext)
+      );
+
+      this.chainKey = chainKey;
+      this.iteration += 1;
+
+      return {
+        iteration,
+        ciphertext: arrayBufferToBase64(encrypted.slice(0, -16)),
+        iv: arrayBufferToBase64(iv.buffer),
+        authTag: arrayBufferToBase64(encrypted.slice(-16))
+      };
+    });
+  }
+
+  /**
+   * Decrypt a message from another member, keeping keys for skipped iterations
+   * @param {number} iteration - Chain step the message key came from
+   * @param {Object} payload - { ciphertext, iv, authTag } in base64
+   * @param {Uint8Array} associatedData - Data authenticated alongside the ciphertext
+   * @returns {Promise<string>} - Decrypted plaintext
+   */
+  decrypt(iteration, payload, associatedData) {
+    return this.serialize(async () => {
+      if (!Number.isInteger(iteration) || iteration < 0) {
+        throw new Error('Invalid sender key iteration');
+      }
+
+      const saved = {
+        chainKey: this.chainKey,
+        iteration: this.iteration,
+        skippedKeys: new Map(this.skippedKeys)
+      };
+
+      try {
+        let messageKey = this.skippedKeys.get(iteration);
+
+        if (messageKey) {
+          this.skippedKeys.delete(iteration);
+        } else {
+          // Keys before the current iteration were either used already or never given to us
+          if (iteration < this.iteration) {
+            throw new Error('Message key not available');
+          }
+          if (iteration - this.iteration > MAX_SKIP) {
+            throw new Error('Too many skipped messages');
+          }
+
+          while (this.iteration <= iteration) {
+            const step = await kdfChainKey(this.chainKey);
+            this.chainKey = step.chainKey;
+            if (this.iteration < iteration) {
+              this.skippedKeys.set(this.iteration, step.messageKey);
+            } else {
+              messageKey = step.messageKey;
+            }
+            this.iteration += 1;
+          }
+
+          while (this.skippedKeys.size > MAX_STORED_SKIPPED_KEYS) {
+            this.skippedKeys.delete(this.skippedKeys.keys().next().value);
+          }
+        }
+
+        const ciphertext = new Uint8Array(base64ToArrayBuffer(payload.ciphertext));
+        const authTag = new Uint8Array(base64ToArrayBuffer(payload.authTag));
+        const combined = new Uint8Array(ciphertext.length + authTag.length);
+        combined.set(ciphertext, 0);
+        combined.set(authTag, ciphertext.length);
+
+        const decrypted = await window.crypto.subtle.decrypt(
+          {
+            name: 'AES-GCM',
+            iv: new Uint8Array(base64ToArrayBuffer(payload.iv)),
+            additionalData: associatedData,
+            tagLength: 128
+          },
+          await importMessageKey(messageKey, 'decrypt'),
+          combined
+        );
+
+        return new TextDecoder().decode(decrypted);
+      } catch (error) {
+        Object.assign(this, saved);
+        throw new Error(`Sender key decryption failed: ${error.message}`);
+      }
+    });
+  }
+}
+
+/**
+ * Build the associated data binding a group ciphertext to its envelope
+ * @param {Object} envelope - Group message envelope fields
+ * @returns {Uint8Array}
+ */
+function groupEnvelopeData({ groupId, senderId, epoch, keyId, iteration, timestamp, nonce }) {
+  return encoder.encode(JSON.stringify([
+    String(groupId),
+    String(senderId),
+    epoch,
+    keyId,
+    iteration,
+    new Date(timestamp).getTime(),
+    nonce
+  ]));
+}
+
+/**
+ * Create an encrypted group message envelope with the next key of our sender key
+ * @param {SenderKey} senderKey - Our sender key for the group
+ * @param {string} message - Plaintext message
+ * @param {string} groupId - Group ID
+ * @param {string} senderId - Our user ID
+ * @param {number} epoch - Group epoch the sender key was distributed in
+ * @returns {Promise<Object>} - Envelope for POST /api/groups/{groupId}/messages, without signature
+ */
+export async function createGroupMessage(senderKey, message, groupId, senderId, epoch) {
+  const timestamp = Date.now();
+  const nonce = arrayBufferToBase64(generateNonce().buffer);
+  const envelope = { groupId, senderId, epoch, keyId: senderKey.keyId, timestamp, nonce };
+
+  const { iteration, ciphertext, iv, authTag } = await senderKey.encrypt(
+    message,
+    (step) => groupEnvelopeData({ ...envelope, iteration: step })
+  );
+
+  return {
+    ...envelope,
+    iteration,
+    ciphertext,
+    iv,
+    authTag,
+    signature: null // Will be added by signing function
+  };
+}
+
+/**
+ * Decrypt a received group message envelope with the sender's sender key
+ * @param {SenderKey} senderKey - The sender's key with the envelope's keyId
+ * @param {Object} envelope - Received group message
+ * @returns {Promise<{message: string|null, isValid: boolean, error?: string}>}
+ */
+export async function decryptGroupMessage(senderKey, envelope) {
+  try {
+    const message = await senderKey.decrypt(
+      envelope.iteration,
+      {
+        ciphertext: envelope.ciphertext || envelope.encryptedContent,
+        iv: envelope.iv,
+        authTag: envelope.authTag
+      },
+      groupEnvelopeData(envelope)
+    );
+    return { message, isValid: true };
+  } catch (error) {
+    console.error('Failed to decrypt group message:', error);
+    return { message: null, isValid: false, error: error.message };
+  }
+}
@@ -0,0 +1,490 @@
+/**
+ * X3DH prekey bundles for asynchronous session setup
+ * Each user publishes an identity key, a signed prekey and a batch of one-time prekeys so a contact
+ * can derive SKEP session keys from a fetched bundle and send the first message while they are offline.
+ * The signed prekey doubles as the responder's first Double Ratchet key.
+ */
+
+import { storePrivateKey, retrievePrivateKey, hasPrivateKey, deletePrivateKey, exportStoredPrivateKey } from './keyStorage.js';
+import { arrayBufferToBase64, base64ToArrayBuffer } from './encryption.js';
+import { secureKeyExchange } from './secureKeyExchangeIntegration.js';
+
+const CURVE = 'P-256';
+const X3DH_CONTEXT = 'SKEP-X3DH';
+const SIGNED_PREKEY_MAX_AGE = 7 * 24 * 60 * 60 * 1000; // Rotate the signed prekey weekly
+const SIGNED_PREKEYS_KEPT = 2; // The previous signed prekey still decrypts messages sent before rotation
+
+export const ONE_TIME_PREKEY_BATCH = 50;
+export const ONE_TIME_PREKEY_LOW_WATERMARK = 10;
+
+// Public half of the prekey state; private keys live encrypted in IndexedDB
+const recordStorageKey = (userId) => `x3dh_${userId}`;
+const privateKeyId = (userId, name) => `${userId}_x3dh_${name}`;
+
+function readRecord(userId) {
+  const stored = localStorage.getItem(recordStorageKey(userId));
+  return stored ? JSON.parse(stored) : null;
+}
+
+function saveRecord(state) {
+  localStorage.setItem(recordStorageKey(state.userId), JSON.stringify(state.record));
+}
+
+async function exportPublicKey(publicKey) {
+  return arrayBufferToBase64(await window.crypto.subtle.exportKey('raw', publicKey));
+}
+
+async function importPublicKey(encoded, algorithm = 'ECDH') {
+  return window.crypto.subtle.importKey(
+    'raw',
+    base64ToArrayBuffer(encoded),
+    { name: algorithm, namedCurve: CURVE },
+    true,
+    algorithm === 'ECDSA' ? ['verify'] : []
+  );
+}
+
+/**
+ * Random device ID, URL-safe so it can be used in API paths
+ * @returns {string}
+ */
+function generateDeviceId() {
+  const bytes = window.crypto.getRandomValues(new Uint8Array(16));
+  return arrayBufferToBase64(bytes.buffer).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+async function generateECDHKeyPair() {
+  // Extractable only so keyStorage can wrap the private key with the password
+  return window.crypto.subtle.generateKey({ name: 'ECDH', namedCurve: CURVE }, true, ['deriveBits']);
+}
+
+async function dh(privateKey, publicKey) {
+  return window.crypto.subtle.deriveBits({ name: 'ECDH', public: publicKey }, privateKey, 256);
+}
+
+/**
+ * Combine the X3DH DH outputs into SKEP session keys
+ * The salt binds both identity keys, so a substituted identity key yields different keys
+ * @param {Array<ArrayBuffer>} dhOutputs - DH1..DH4 in protocol order
+ * @param {string} initiatorIdentityKey - Base64 raw identity key of the initiator
+ * @param {string} responderIdentityKey - Base64 raw identity key of the responder
+ * @param {string} initiatorId - Initiator user ID
+ * @param {string} responderId - Responder user ID
+ * @returns {Promise<Object>} - Session keys in the deriveSessionKeys format
+ */
+async function deriveX3DHKeys(dhOutputs, initiatorIdentityKey, responderIdentityKey, initiatorId, responderId) {
+  // 32 0xFF bytes prefix the DH outputs, as in the X3DH specification
+  const parts = [new Uint8Array(32).fill(0xff), ...dhOutputs.map(output => new Uint8Array(output))];
+  const ikm = new Uint8Array(parts.reduce((length, part) => length + part.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    ikm.set(part, offset);
+    offset += part.length;
+  }
+
+  const salt = await window.crypto.subtle.digest('SHA-256', new Uint8Array([
+    ...new Uint8Array(base64ToArrayBuffer(initiatorIdentityKey)),
+    ...new Uint8Array(base64ToArrayBuffer(responderIdentityKey))
+  ]));
+
+  return secureKeyExchange(initiatorId).deriveSessionKeys(
+    ikm,
+    salt,
+    `${X3DH_CONTEXT}-${initiatorId}-${responderId}`
+  );
+}
+
+/**
+ * Generate, sign and store a new signed prekey, dropping the oldest beyond SIGNED_PREKEYS_KEPT
+ * @param {Object} state - Prekey state from loadPreKeys
+ * @param {string} password - User password for key encryption
+ * @returns {Promise<void>}
+ */
+async function rotateSignedPreKey(state, password) {
+  const keyId = state.record.nextPreKeyId++;
+  const keyPair = await generateECDHKeyPair();
+  const rawPublicKey = await window.crypto.subtle.exportKey('raw', keyPair.publicKey);
+  const signature = await window.crypto.subtle.sign(
+    { name: 'ECDSA', hash: 'SHA-256' },
+    state.signingPrivateKey,
+    rawPublicKey
+  );
+
+  await storePrivateKey(privateKeyId(state.userId, `spk_${keyId}`), keyPair.privateKey, password);
+
+  const signedPreKey = {
+    keyId,
+    publicKey: arrayBufferToBase64(rawPublicKey),
+    signature: arrayBufferToBase64(signature),
+    createdAt: Date.now()
+  };
+
+  state.record.signedPreKeys.push(signedPreKey);
+  state.signedPreKeys.set(keyId, { ...signedPreKey, privateKey: keyPair.privateKey });
+
+  while (state.record.signedPreKeys.length > SIGNED_PREKEYS_KEPT) {
+    const expired = state.record.signedPreKeys.shift();
+    state.signedPreKeys.delete(expired.keyId);
+    await deletePrivateKey(privateKeyId(state.userId, `spk_${expired.keyId}`));
+  }
+
+  saveRecord(state);
+}
+
+/**
+ * Load this user's prekeys, creating the identity and signed prekey on first use
+ * Private keys are decrypted with the password once, at login, so incoming first messages
+ * can be answered later without asking for it again
+ * @param {string} userId - User identifier (email)
+ * @param {string} password - User password for key encryption
+ * @returns {Promise<Object>} - Prekey state
+ */
+export async function loadPreKeys(userId, password) {
+  const state = {
+    userId,
+    record: readRecord(userId),
+    identityPrivateKey: null,
+    signingPrivateKey: null,
+    signedPreKeys: new Map(), // Map<keyId, { keyId, publicKey, signature, createdAt, privateKey }>
+    oneTimePreKeys: new Map() // Map<keyId, CryptoKey>
+  };
+
+  if (state.record) {
+    state.identityPrivateKey = await retrievePrivateKey(privateKeyId(userId, 'identity'), password);
+    state.signingPrivateKey = await retrievePrivateKey(privateKeyId(userId, 'signing'), password);
+
+    // Stored keys that do not open, e.g. with a stale password, must not be replaced: a new
+    // identity breaks every session and safety number
+    if ((!state.identityPrivateKey && await hasPrivateKey(privateKeyId(userId, 'identity')))
+      || (!state.signingPrivateKey && await hasPrivateKey(privateKeyId(userId, 'signing')))) {
+      throw new Error('Unable to unlock your identity keys on this device');
+    }
+  }
+
+  // Missing private keys mean the browser storage was cleared, or the identity was discarded;
+  // start over with a new identity
+  if (!state.identityPrivateKey || !state.signingPrivateKey) {
+    const identityKeyPair = await generateECDHKeyPair();
+    const signingKeyPair = await window.crypto.subtle.generateKey(
+      { name: 'ECDSA', namedCurve: CURVE },
+      true,
+      ['sign', 'verify']
+    );
+
+    await storePrivateKey(privateKeyId(userId, 'identity'), identityKeyPair.privateKey, password);
+    await storePrivateKey(privateKeyId(userId, 'signing'), signingKeyPair.privateKey, password);
+
+    state.identityPrivateKey = identityKeyPair.privateKey;
+    state.signingPrivateKey = signingKeyPair.privateKey;
+    state.record = {
+      // A browser keeps its device ID across identity resets so the server replaces its old bundle
+      deviceId: state.record?.deviceId || generateDeviceId(),
+      identityKey: await exportPublicKey(identityKeyPair.publicKey),
+      signingKey: await exportPublicKey(signingKeyPair.publicKey),
+      createdAt: Date.now(),
+      keyBundlePublished: false, // A new identity must be published in the account key bundle
+      signedPreKeys: [],
+      oneTimePreKeyIds: [],
+      nextPreKeyId: 1
+    };
+    saveRecord(state);
+  }
+
+  // Records created before multi-device support have no device ID yet
+  if (!state.record.deviceId) {
+    state.record.deviceId = generateDeviceId();
+  }
+
+  for (const signedPreKey of state.record.signedPreKeys) {
+    const privateKey = await retrievePrivateKey(privateKeyId(userId, `spk_${signedPreKey.keyId}`), password);
+    if (privateKey) {
+      state.signedPreKeys.set(signedPreKey.keyId, { ...signedPreKey, privateKey });
+    }
+  }
+
+  const current = getCurrentSignedPreKey(state);
+  if (!current || Date.now() - current.createdAt > SIGNED_PREKEY_MAX_AGE) {
+    await rotateSignedPreKey(state, password);
+  }
+
+  for (const keyId of state.record.oneTimePreKeyIds) {
+    const privateKey = await retrievePrivateKey(privateKeyId(userId, `opk_${keyId}`), password);
+    if (privateKey) {
+      state.oneTimePreKeys.set(keyId, privateKey);
+    }
+  }
+  state.record.oneTimePreKeyIds = Array.from(state.oneTimePreKeys.keys());
+  saveRecord(state);
+
+  return state;
+}
+
+/**
+ * Record that the server's account key bundle lists this identity, so later logins skip publishing it
+ * @param {Object} state - Prekey state
+ */
+export function markKeyBundlePublished(state) {
+  state.record.keyBundlePublished = true;
+  saveRecord(state);
+}
+
+/**
+ * Identity and signing key pairs of this device, for transferring them to a linked device
+ * @param {Object} state - Prekey state
+ * @param {string} password - User password the private keys are stored with
+ * @returns {Promise<Object>} - Base64 raw public and PKCS#8 private keys
+ */
+export async function exportIdentity(state, password) {
+  const identityPrivateKey = await exportStoredPrivateKey(privateKeyId(state.userId, 'identity'), password);
+  const signingPrivateKey = await exportStoredPrivateKey(privateKeyId(state.userId, 'signing'), password);
+  if (!identityPrivateKey || !signingPrivateKey) {
+    throw new Error('Identity keys could not be decrypted');
+  }
+
+  return {
+    identityKey: { publicKey: state.record.identityKey, privateKey: arrayBufferToBase64(identityPrivateKey) },
+    signingKey: { publicKey: state.record.signingKey, privateKey: arrayBufferToBase64(signingPrivateKey) },
+    createdAt: state.record.createdAt,
+    keyBundlePublished: state.record.keyBundlePublished
+  };
+}
+
+/**
+ * Delete the stored private keys of a record's signed and one-time prekeys
+ * @param {string} userId - User identifier (email)
+ * @param {Object} record - Prekey record
+ * @returns {Promise<void>}
+ */
+async function deletePreKeyPrivateKeys(userId, record) {
+  for (const { keyId } of record.signedPreKeys) {
+    await deletePrivateKey(privateKeyId(userId, `spk_${keyId}`));
+  }
+  for (const keyId of record.oneTimePreKeyIds) {
+    await deletePrivateKey(privateKeyId(userId, `opk_${keyId}`));
+  }
+}
+
+/**
+ * Replace this device's identity with one transferred from a linked device
+ * The device keeps its ID; prekeys signed by the old signing key are dropped, and the next
+ * loadPreKeys creates and publishes new ones
+ * @param {string} userId - User identifier (email)
+ * @param {string} password - User password for key encryption
+ * @param {Object} identity - Result of exportIdentity on the other device
+ * @returns {Promise<void>}
+ */
+export async function importIdentity(userId, password, identity) {
+  const importPrivateKey = (encoded, algorithm) => window.crypto.subtle.importKey(
+    'pkcs8',
+    base64ToArrayBuffer(encoded),
+    { name: algorithm, namedCurve: CURVE },
+    true,
+    algorithm === 'ECDSA' ? ['sign'] : ['deriveBits']
+  );
+
+  await storePrivateKey(privateKeyId(userId, 'identity'), await importPrivateKey(identity.identityKey.privateKey, 'ECDH'), password);
+  await storePrivateKey(privateKeyId(userId, 'signing'), await importPrivateKey(identity.signingKey.privateKey, 'ECDSA'), password);
+
+  const previous = readRecord(userId);
+  if (previous) {
+    await deletePreKeyPrivateKeys(userId, previous);
+  }
+
+  saveRecord({
+    userId,
+    record: {
+      deviceId: previous?.deviceId || generateDeviceId(),
+      identityKey: identity.identityKey.publicKey,
+      signingKey: identity.signingKey.publicKey,
+      createdAt: identity.createdAt,
+      keyBundlePublished: identity.keyBundlePublished,
+      signedPreKeys: [],
+      oneTimePreKeyIds: [],
+      nextPreKeyId: previous?.nextPreKeyId || 1
+    }
+  });
+}
+
+/**
+ * Drop this device's identity and prekeys, e.g. when they are stored under a forgotten password
+ * The device keeps its ID; the next loadPreKeys creates a new identity
+ * @param {string} userId - User identifier (email)
+ * @returns {Promise<void>}
+ */
+export async function discardIdentity(userId) {
+  await deletePrivateKey(privateKeyId(userId, 'identity'));
+  await deletePrivateKey(privateKeyId(userId, 'signing'));
+
+  const previous = readRecord(userId);
+  if (previous) {
+    await deletePreKeyPrivateKeys(userId, previous);
+    saveRecord({ userId, record: { ...previous, signedPreKeys: [], oneTimePreKeyIds: [] } });
+  }
+}
+
+/**
+ * Newest signed prekey, the one published in the bundle
+ * @param {Object} state - Prekey state
+ * @returns {Object|null}
+ */
+function getCurrentSignedPreKey(state) {
+  const latest = state.record.signedPreKeys[state.record.signedPreKeys.length - 1];
+  return latest ? state.signedPreKeys.get(latest.keyId) || null : null;
+}
+
+/**
+ * Generate and store a batch of one-time prekeys
+ * @param {Object} state - Prekey state
+ * @param {string} password - User password for key encryption
+ * @param {number} count - Number of keys to generate
+ * @returns {Promise<Array<{keyId: number, publicKey: string}>>} - Public keys to upload
+ */
+export async function generateOneTimePreKeys(state, password, count = ONE_TIME_PREKEY_BATCH) {
+  const publicKeys = [];
+
+  for (let i = 0; i < count; i++) {
+    const keyId = state.record.nextPreKeyId++;
+    const keyPair = await generateECDHKeyPair();
+    await storePrivateKey(privateKeyId(state.userId, `opk_${keyId}`), keyPair.privateKey, password);
+
+    state.oneTimePreKeys.set(keyId, keyPair.privateKey);
+    publicKeys.push({ keyId, publicKey: await exportPublicKey(keyPair.publicKey) });
+  }
+
+  state.record.oneTimePreKeyIds = Array.from(state.oneTimePreKeys.keys());
+  saveRecord(state);
+
+  return publicKeys;
+}
+
+/**
+ * Public bundle for PUT /api/prekeys
+ * @param {Object} state - Prekey state
+ * @param {Array} oneTimePreKeys - New one-time prekeys to append
+ * @returns {Object}
+ */
+export function getPreKeyBundle(state, oneTimePreKeys = []) {
+  const { keyId, publicKey, signature } = getCurrentSignedPreKey(state);
+  return {
+    identityKey: state.record.identityKey,
+    signingKey: state.record.signingKey,
+    signedPreKey: { keyId, publicKey, signature },
+    oneTimePreKeys
+  };
+}
+
+/**
+ * Initiator side: derive session keys from a contact's claimed bundle
+ * @param {Object} state - Our prekey state
+ * @param {Object} bundle - Bundle from POST /api/prekeys/:userId/claim
+ * @param {string} localUserId - Our user ID
+ * @param {string} peerId - Contact user ID
+ * @returns {Promise<{keys: Object, ratchetKey: CryptoKey, header: Object}>}
+ */
+export async function initiateX3DH(state, bundle, localUserId, peerId) {
+  const signingKey = await importPublicKey(bundle.signingKey, 'ECDSA');
+  const signatureValid = await window.crypto.subtle.verify(
+    { name: 'ECDSA', hash: 'SHA-256' },
+    signingKey,
+    base64ToArrayBuffer(bundle.signedPreKey.signature),
+    base64ToArrayBuffer(bundle.signedPreKey.publicKey)
+  );
+
+  if (!signatureValid) {
+    throw new Error('Invalid signed prekey signature');
+  }
+
+  const peerIdentityKey = await importPublicKey(bundle.identityKey);
+  const signedPreKey = await importPublicKey(bundle.signedPreKey.publicKey);
+  const ephemeralKeyPair = await window.crypto.subtle.generateKey(
+    { name: 'ECDH', namedCurve: CURVE },
+    true,
+    ['deriveBits']
+  );
+
+  const dhOutputs = [
+    await dh(state.identityPrivateKey, signedPreKey),
+    await dh(ephemeralKeyPair.privateKey, peerIdentityKey),
+    await dh(ephemeralKeyPair.privateKey, signedPreKey)
+  ];
+
+  if (bundle.oneTimePreKey) {
+    const oneTimePreKey = await importPublicKey(bundle.oneTimePreKey.publicKey);
+    dhOutputs.push(await dh(ephemeralKeyPair.privateKey, oneTimePreKey));
+  }
+
+  const keys = await deriveX3DHKeys(dhOutputs, state.record.identityKey, bundle.identityKey, localUserId, peerId);
+
+  return {
+    keys,
+    ratchetKey: signedPreKey,
+    header: {
+      identityKey: state.record.identityKey,
+      ephemeralKey: await exportPublicKey(ephemeralKeyPair.publicKey),
+      signedPreKeyId: bundle.signedPreKey.keyId,
+      oneTimePreKeyId: bundle.oneTimePreKey ? bundle.oneTimePreKey.keyId : null
+    }
+  };
+}
+
+/**
+ * Responder side: derive the same session keys from the header of an initial message
+ * The one-time prekey is only deleted by consumeOneTimePreKey once a message decrypts
+ * @param {Object} state - Our prekey state
+ * @param {Object} header - X3DH header from the first message
+ * @param {string} localUserId - Our user ID
+ * @param {string} peerId - Sender user ID
+ * @returns {Promise<{keys: Object, ratchetKeyPair: CryptoKeyPair}>}
+ */
+export async function respondToX3DH(state, header, localUserId, peerId) {
+  const signedPreKey = state.signedPreKeys.get(header.signedPreKeyId);
+  if (!signedPreKey) {
+    throw new Error('Signed prekey no longer available');
+  }
+
+  const hasOneTimePreKey = header.oneTimePreKeyId !== null && header.oneTimePreKeyId !== undefined;
+  const oneTimePrivateKey = hasOneTimePreKey ? state.oneTimePreKeys.get(header.oneTimePreKeyId) : null;
+  if (hasOneTimePreKey && !oneTimePrivateKey) {
+    throw new Error('One-time prekey already used');
+  }
+
+  const peerIdentityKey = await importPublicKey(header.identityKey);
+  const peerEphemeralKey = await importPublicKey(header.ephemeralKey);
+
+  const dhOutputs = [
+    await dh(signedPreKey.privateKey, peerIdentityKey),
+    await dh(state.identityPrivateKey, peerEphemeralKey),
+    await dh(signedPreKey.privateKey, peerEphemeralKey)
+  ];
+
+  if (oneTimePrivateKey) {
+    dhOutputs.push(await dh(oneTimePrivateKey, peerEphemeralKey));
+  }
+
+  const keys = await deriveX3DHKeys(dhOutputs, header.identityKey, state.record.identityKey, peerId, localUserId);
+
+  return {
+    keys,
+    ratchetKeyPair: {
+      privateKey: signedPreKey.privateKey,
+      publicKey: await importPublicKey(signedPreKey.publicKey)
+    }
+  };
+}
+
+/**
+ * Delete a one-time prekey after its first message decrypted, so it can never be reused
+ * @param {Object} state - Prekey state
+ * @param {number|null} keyId - One-time prekey ID from the X3DH header
+ * @returns {Promise<void>}
+ */
+export async function consumeOneTimePreKey(state, keyId) {
+  if (keyId === null || keyId === undefined || !state.oneTimePreKeys.has(keyId)) {
+    return;
+  }
+
+  state.oneTimePreKeys.delete(keyId);
+  state.record.oneTimePreKeyIds = Array.from(state.oneTimePreKeys.keys());
+  saveRecord(state);
+  await deletePrivateKey(privateKeyId(state.userId, `opk_${keyId}`));
+}
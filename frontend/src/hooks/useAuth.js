@@ -8,6 +8,27 @@ import { useState, useEffect, useCallback } from 'react';
 import { apiService } from '../services/api.js';
 import { keyManager } from '../crypto/keyManagementIntegration.js';
 import { arrayBufferToBase64, base64ToArrayBuffer } from '../crypto/encryption.js';
+import {
+  loadPreKeys,
+  generateOneTimePreKeys,
+  getPreKeyBundle,
+  markKeyBundlePublished,
+  discardIdentity,
+  ONE_TIME_PREKEY_BATCH,
+  ONE_TIME_PREKEY_LOW_WATERMARK
+} from '../crypto/x3dh.js';
+import { createKeyBundle, importKeyBundle, signDeviceBundle } from '../crypto/keyBundle.js';
+import { exportStoredPrivateKey, clearDerivedKeys, rewrapPrivateKeys } from '../crypto/keyStorage.js';
+import {
+  createLinkKeys,
+  encodeLinkCode,
+  parseLinkCode,
+  collectIdentityTransfer,
+  applyIdentityTransfer,
+  encryptLinkTransfer,
+  decryptLinkTransfer
+} from '../crypto/deviceLinking.js';
+import { generateRecoveryCode, encryptKeyBackup, decryptKeyBackup } from '../crypto/keyBackup.js';
 
 /**
  * Authentication hook for login, registration, and logout
@@ -54,24 +75,22 @@ export function useAuth() {
       const { email, username, password } = userData;
 
       // Generate RSA 2048-bit key pair for encryption as required by project
-      const { publicKey, privateKey } = await keyManager.generateAndStoreKeys(`${email}_rsa`, password);
+      const { publicKey } = await keyManager.generateAndStoreKeys(`${email}_rsa`, password);
 
-      // Export public key for backend storage
-      const exportedPublicKey = await window.crypto.subtle.exportKey('jwk', publicKey);
-      const publicKeyBundle = {
-        rsa: JSON.stringify(exportedPublicKey),
-        timestamp: Date.now()
-      };
+      // The identity and signing keys are created here so the account starts with a complete bundle
+      const preKeys = await loadPreKeys(email, password);
+      const keyBundle = await createKeyBundle(preKeys, publicKey);
 
       // Register with backend
-      const response = await apiService.register(
-        email,
-        username,
-        password,
-        JSON.stringify(publicKeyBundle)
-      );
+      const response = await apiService.register(email, username, password, keyBundle);
 
       if (response.success) {
+        markKeyBundlePublished(preKeys);
+
+        if (userData.addPasskey) {
+          await addPasskeyAfterRegistration(response, password);
+        }
+
         // Store user information for later retrieval
         localStorage.setItem('currentUser', JSON.stringify({
           id: response.user.id,
@@ -95,7 +114,7 @@ export function useAuth() {
    * Login user (first step - request OTP)
    * @param {string} identifier - Email or username
    * @param {string} password - User password
-   * @returns {Promise<Object>} - Login response (requires OTP verification)
+   * @returns {Promise<Object>} - Login response with the second factors the account accepts
    */
   const login = useCallback(async (identifier, password) => {
     try {
@@ -105,9 +124,15 @@ export function useAuth() {
       console.log('Starting login process...');
       const response = await apiService.login(identifier, password);
 
-      // Check if OTP was sent successfully
-      if (response.message && response.message.includes('OTP sent')) {
-        return { success: true, requiresOtp: true, identifier: identifier };
+      // The server lists the second factors it accepts: an emailed OTP or an authenticator app
+      if (response.methods?.length) {
+        return {
+          success: true,
+          requiresOtp: true,
+          identifier: identifier,
+          methods: response.methods,
+          loginChallenge: response.loginChallenge || null
+        };
       }
 
       // If login failed or unexpected response
@@ -125,32 +150,32 @@ export function useAuth() {
   /**
    * Verify OTP and complete login
    * @param {string} identifier - Email/username used for login
-   * @param {string} otp - OTP code
+   * @param {string} otp - Emailed OTP, authenticator app code or backup code
    * @param {string} password - User password for key decryption
+   * @param {Object} options
+   * @param {string} options.method - 'email', 'totp' or 'backup_code'
+   * @param {string|null} options.loginChallenge - From the login response, for the last two methods
+   * @param {string|null} options.recoveryCode - Restore keys from the encrypted key backup with this code
+   * @param {boolean} options.freshKeys - Replace this browser's keys with new ones, e.g. after a password reset
    * @returns {Promise<Object>} - Verification response
    */
-  const verifyOtp = useCallback(async (identifier, otp, password) => {
+  const verifyOtp = useCallback(async (identifier, otp, password, {
+    method = 'email',
+    loginChallenge = null,
+    recoveryCode = null,
+    freshKeys = false
+  } = {}) => {
     try {
       setIsLoading(true);
       setError(null);
 
       console.log('Verifying OTP...');
-      const response = await apiService.verifyOtp(identifier, otp);
+      const response = await apiService.verifyOtp(identifier, otp, method, loginChallenge);
 
       if (response.success && response.user) {
         console.log('OTP verification successful, checking keys...');
+        await unlockDeviceKeys(response.user, password, { recoveryCode, freshKeys });
 
-        // Use the user's email from the response to retrieve keys (keys stored with email identifier)
-        const userIdForKeys = response.user.email;
-
-        // Verify that user's private keys can be retrieved
-        const rsaPrivateKey = await keyManager.retrievePrivateKey(`${userIdForKeys}_rsa`, password);
-
-        if (!rsaPrivateKey) {
-          throw new Error('Unable to retrieve your private keys. Please contact support.');
-        }
-
-        console.log('Keys verified successfully');
         setUser(response.user);
         setContacts(response.contacts || []);
         setIsAuthenticated(true);
@@ -170,10 +195,58 @@ export function useAuth() {
     }
   }, []);
 
+  /**
+   * Complete login with a passkey: as the second factor after login(), or passwordless
+   * @param {string|null} identifier - Email/username used for login; null to sign in without one
+   * @param {string} password - User password for key decryption; it is not sent to the server
+   * @param {Object} options
+   * @param {string|null} options.loginChallenge - From the login response, for a second-factor login
+   * @param {string|null} options.recoveryCode - Restore keys from the encrypted key backup with this code
+   * @param {boolean} options.freshKeys - Replace this browser's keys with new ones
+   * @returns {Promise<Object>} - Verification response
+   */
+  const loginWithPasskey = useCallback(async (identifier, password, {
+    loginChallenge = null,
+    recoveryCode = null,
+    freshKeys = false
+  } = {}) => {
+    try {
+      setIsLoading(true);
+      setError(null);
+
+      const response = await apiService.loginWithPasskey(identifier, loginChallenge);
+
+      // Without the server checking the password, a mistyped one must not become the key password
+      if (!identifier && !recoveryCode && !await keyManager.retrievePublicKey(`${response.user.email}_rsa`)) {
+        await apiService.logout();
+        throw new Error('This device has no keys for your account yet. Sign in with your password first.');
+      }
+
+      await unlockDeviceKeys(response.user, password, { recoveryCode, freshKeys });
+
+      setUser(response.user);
+      setContacts(response.contacts || []);
+      setIsAuthenticated(true);
+
+      return { success: true, user: response.user };
+    } catch (error) {
+      console.error('Passkey login error:', error);
+      // The browser reports a cancelled prompt as NotAllowedError
+      setError(error.name === 'NotAllowedError'
+        ? 'Passkey sign-in was cancelled'
+        : error.data?.error || error.message || 'Passkey sign-in failed');
+      return { success: false };
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
   /**
    * Logout user and clear local keys
+   * @param {Object} options
+   * @param {boolean} options.allSessions - Also end every other session of the account
    */
-  const logout = useCallback(async () => {
+  const logout = useCallback(async ({ allSessions = false } = {}) => {
     try {
       setIsLoading(true);
 
@@ -181,15 +254,22 @@ export function useAuth() {
       localStorage.removeItem('currentUser');
 
       // Logout from backend
-      await apiService.logout();
-
-      setUser(null);
-      setContacts([]);
-      setIsAuthenticated(false);
+      if (allSessions) {
+        await apiService.logoutAllSessions();
+      } else {
+        await apiService.logout();
+      }
     } catch (error) {
       console.error('Logout error:', error);
       setError(error.message || 'Logout failed');
     } finally {
+      // The tokens are dropped even if the request failed, and password-derived wrapping keys
+      // must not outlive the session
+      clearDerivedKeys();
+
+      setUser(null);
+      setContacts([]);
+      setIsAuthenticated(false);
       setIsLoading(false);
     }
   }, []);
@@ -199,7 +279,18 @@ export function useAuth() {
    * @param {Object} contact - Contact data
    */
   const addContact = useCallback((contact) => {
-    setContacts(prev => [...prev, contact]);
+    // Both sides of an accepted request can hear about it more than once
+    setContacts(prev => (prev.some(existing => String(existing.id) === String(contact.id))
+      ? prev
+      : [...prev, contact]));
+  }, []);
+
+  /**
+   * Drop a contact, e.g. after blocking them
+   * @param {string} userId - Contact's user ID
+   */
+  const removeContact = useCallback((userId) => {
+    setContacts(prev => prev.filter(contact => String(contact.id) !== String(userId)));
   }, []);
 
   /**
@@ -218,6 +309,80 @@ export function useAuth() {
     }
   }, []);
 
+  /**
+   * Email an OTP for confirming a password change
+   * @returns {Promise<void>}
+   */
+  const requestPasswordChangeOtp = useCallback(async () => {
+    await apiService.requestPasswordChangeOtp();
+  }, []);
+
+  /**
+   * Change the password and re-encrypt this device's private keys with it
+   * Keys are only written once the server accepted the change; other sessions are signed out.
+   * @param {string} currentPassword - Current password
+   * @param {string} newPassword - New password
+   * @param {string} otp - OTP from requestPasswordChangeOtp
+   * @returns {Promise<void>}
+   */
+  const changePassword = useCallback(async (currentPassword, newPassword, otp) => {
+    if (!user) {
+      throw new Error('Not signed in');
+    }
+
+    await rewrapPrivateKeys(
+      user.email,
+      currentPassword,
+      newPassword,
+      () => apiService.changePassword(currentPassword, newPassword, otp)
+    );
+  }, [user]);
+
+  /**
+   * Email a password reset link
+   * @param {string} email - Account email
+   * @returns {Promise<boolean>} - Success status
+   */
+  const requestPasswordReset = useCallback(async (email) => {
+    try {
+      setIsLoading(true);
+      setError(null);
+
+      await apiService.forgotPassword(email);
+      return true;
+    } catch (error) {
+      console.error('Password reset request error:', error);
+      setError(error.message || 'Password reset request failed');
+      return false;
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  /**
+   * Set a new password with the token from a reset link
+   * Keys stored under the old password stay unreadable; they are restored from a backup or
+   * replaced when signing in with the new password
+   * @param {string} token - Reset token from the emailed link
+   * @param {string} newPassword - New password
+   * @returns {Promise<Object>} - { success, email }
+   */
+  const resetPassword = useCallback(async (token, newPassword) => {
+    try {
+      setIsLoading(true);
+      setError(null);
+
+      const response = await apiService.resetPassword(token, newPassword);
+      return { success: true, email: response.email };
+    } catch (error) {
+      console.error('Password reset error:', error);
+      setError(error.message || 'Password reset failed');
+      return { success: false };
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
   /**
    * Fetch user profile from backend
    * @returns {Promise<Object>} - User profile data
@@ -250,22 +415,193 @@ export function useAuth() {
     register,
     login,
     verifyOtp,
+    loginWithPasskey,
     logout,
     addContact,
+    removeContact,
     fetchContacts,
     fetchUserProfile,
+    requestPasswordChangeOtp,
+    changePassword,
+    requestPasswordReset,
+    resetPassword,
     clearError,
     checkAuthStatus
   };
 }
 
+/**
+ * Make sure this browser holds keys for the account that open with the password
+ * @param {Object} user - User from the login response
+ * @param {string} password - User password for key decryption
+ * @param {Object} options
+ * @param {string|null} options.recoveryCode - Restore keys from the encrypted key backup with this code
+ * @param {boolean} options.freshKeys - Replace this browser's keys with new ones, e.g. after a password reset
+ * @returns {Promise<void>}
+ */
+async function unlockDeviceKeys(user, password, { recoveryCode = null, freshKeys = false } = {}) {
+  // Use the user's email from the response to retrieve keys (keys stored with email identifier)
+  const userIdForKeys = user.email;
+
+  // Restoring replaces whatever keys this browser holds with the backed-up ones
+  if (recoveryCode) {
+    console.log('Restoring keys from backup...');
+    await restoreKeyBackup(user, password, recoveryCode);
+  }
+
+  // Keys stored under a password that was reset can never be decrypted again
+  if (freshKeys) {
+    console.log('Replacing the keys on this device...');
+    await discardIdentity(userIdForKeys);
+    await keyManager.generateAndStoreKeys(`${userIdForKeys}_rsa`, password);
+  }
+
+  // A browser without stored keys is a new device; it gets its own keys, registered in loadKeys
+  if (!await keyManager.retrievePublicKey(`${userIdForKeys}_rsa`)) {
+    console.log('No keys stored on this device, generating new keys...');
+    await keyManager.generateAndStoreKeys(`${userIdForKeys}_rsa`, password);
+  }
+
+  // Verify that user's private keys can be retrieved
+  const rsaPrivateKey = await keyManager.retrievePrivateKey(`${userIdForKeys}_rsa`, password);
+
+  if (!rsaPrivateKey) {
+    throw new Error('Unable to retrieve your private keys. If this browser\'s storage was cleared, sign in again with your recovery code.');
+  }
+
+  console.log('Keys verified successfully');
+}
+
+/**
+ * Create a passkey with the session the registration response started, then end that session;
+ * the user still signs in normally afterwards. A failed passkey does not fail the registration.
+ * @param {Object} response - Registration response with token and refreshToken
+ * @param {string} password - The password just registered, which adding a passkey asks for
+ * @returns {Promise<void>}
+ */
+async function addPasskeyAfterRegistration(response, password) {
+  apiService.setAuthToken(response.token);
+  apiService.setRefreshToken(response.refreshToken);
+
+  try {
+    await apiService.registerPasskey(getDeviceName(), password);
+  } catch (error) {
+    console.error('Failed to add a passkey after registration:', error);
+  } finally {
+    await apiService.logout();
+  }
+}
+
+/**
+ * Publish the current prekey bundle, topping up one-time prekeys when the server runs low
+ * @param {Object} preKeys - Prekey state from loadPreKeys
+ * @param {string} password - User password for encrypting new one-time prekeys
+ * @returns {Promise<void>}
+ */
+async function publishPreKeys(preKeys, password) {
+  const { oneTimePreKeyCount } = await apiService.uploadPreKeys(getPreKeyBundle(preKeys));
+
+  if (oneTimePreKeyCount < ONE_TIME_PREKEY_LOW_WATERMARK) {
+    const oneTimePreKeys = await generateOneTimePreKeys(preKeys, password, ONE_TIME_PREKEY_BATCH - oneTimePreKeyCount);
+    await apiService.uploadPreKeys(getPreKeyBundle(preKeys, oneTimePreKeys));
+  }
+}
+
+/**
+ * Name shown for this device in the device list, e.g. "Firefox on Linux"
+ * @returns {string}
+ */
+function getDeviceName() {
+  const agent = navigator.userAgent;
+  const browser = ['Edg', 'Firefox', 'Chrome', 'Safari'].find(name => agent.includes(`${name}/`));
+  const platform = ['Android', 'iPhone', 'iPad', 'Windows', 'Mac OS', 'Linux'].find(name => agent.includes(name));
+  const browserName = browser === 'Edg' ? 'Edge' : browser;
+
+  if (browserName && platform) {
+    return `${browserName} on ${platform === 'Mac OS' ? 'macOS' : platform}`;
+  }
+  return browserName || platform || 'Unknown device';
+}
+
+/**
+ * Endorsement of this device's bundle, when this device holds the account signing key
+ * @param {Object} user - Profile with the account keyBundle
+ * @param {Object} preKeys - Prekey state from loadPreKeys
+ * @param {Object} keyBundle - This device's signed bundle
+ * @returns {Promise<string|null>} - Account signature, or null if another device must endorse it
+ */
+async function endorseOwnDevice(user, preKeys, keyBundle) {
+  if (user.keyBundle?.signingKey.publicKey !== preKeys.record.signingKey) {
+    return null;
+  }
+  return signDeviceBundle(user.id, preKeys.record.deviceId, keyBundle, preKeys.signingPrivateKey);
+}
+
+/**
+ * Register this device's key bundle, and publish it as the account bundle when no other
+ * device holds the account identity keys
+ * A device holding the account identity endorses itself; any other device stays pending until
+ * one that does approves it from the device list.
+ * @param {Object} preKeys - Prekey state from loadPreKeys
+ * @param {CryptoKey} rsaPublicKey - This device's RSA-OAEP public key
+ * @param {string} password - Account password, required to publish the account bundle
+ * @param {boolean} replaceIdentity - Publish even if other devices hold the account identity
+ * @returns {Promise<void>}
+ */
+async function registerDevice(preKeys, rsaPublicKey, password, replaceIdentity = false) {
+  const keyBundle = await createKeyBundle(preKeys, rsaPublicKey);
+  apiService.setDeviceId(preKeys.record.deviceId);
+
+  let { user } = await apiService.getUserProfile();
+
+  // A second device keeps its own identity; the account bundle is only replaced when its
+  // identity was lost, i.e. no registered device still holds it
+  // After a password reset, the keys other devices hold are stored under the forgotten password
+  if (!preKeys.record.keyBundlePublished) {
+    let accountIdentityHeld = false;
+    if (!replaceIdentity) {
+      const devices = await apiService.getDevices();
+      accountIdentityHeld = Boolean(user.keyBundle) && devices.some(device => !device.current
+        && device.keyBundle.identityKey.publicKey === user.keyBundle.identityKey.publicKey);
+    }
+
+    // Published first, so the endorsement below is checked against this device's signing key
+    if (!accountIdentityHeld) {
+      await apiService.updatePublicKey(keyBundle, password);
+      markKeyBundlePublished(preKeys);
+      user = { ...user, keyBundle };
+    }
+  }
+
+  await apiService.registerDevice(
+    preKeys.record.deviceId,
+    getDeviceName(),
+    keyBundle,
+    await endorseOwnDevice(user, preKeys, keyBundle)
+  );
+}
+
+/**
+ * Replace this browser's keys with the ones in the encrypted key backup
+ * @param {Object} user - Signed-in user ({ id, email })
+ * @param {string} password - User password for key encryption
+ * @param {string} recoveryCode - Recovery code shown when the backup was created
+ * @returns {Promise<void>}
+ */
+async function restoreKeyBackup(user, password, recoveryCode) {
+  const backup = await apiService.getKeyBackup();
+  const payload = await decryptKeyBackup(backup, recoveryCode);
+  await applyIdentityTransfer(payload, { email: user.email, accountUserId: user.id, password });
+}
+
 /**
  * Hook for managing user keys and key operations
  */
 export function useKeys() {
   const [keys, setKeys] = useState({
     rsaPrivate: null,
-    rsaPublic: null
+    rsaPublic: null,
+    preKeys: null
   });
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState(null);
@@ -274,9 +610,10 @@ export function useKeys() {
    * Load user's private keys from storage
    * @param {string} userId - User ID (email)
    * @param {string} password - User password for key decryption
+   * @param {boolean} replaceIdentity - Publish this device's keys as the account bundle, after fresh keys were created
    * @returns {Promise<boolean>} - Success status
    */
-  const loadKeys = useCallback(async (userId, password) => {
+  const loadKeys = useCallback(async (userId, password, replaceIdentity = false) => {
     console.log('loadKeys called with:', { userId });
     try {
       setIsLoading(true);
@@ -294,9 +631,24 @@ export function useKeys() {
         throw new Error('Failed to load private keys');
       }
 
+      // X3DH prekeys let contacts start a session while we are offline; messaging still
+      // works through the interactive key exchange if publishing fails
+      let preKeys = null;
+      try {
+        preKeys = await loadPreKeys(userId, password);
+
+        // The server rejects prekeys until this device is registered with their identity key
+        await registerDevice(preKeys, publicKey, password, replaceIdentity);
+
+        await publishPreKeys(preKeys, password);
+      } catch (preKeyError) {
+        console.error('Failed to publish prekeys:', preKeyError);
+      }
+
       const newKeys = {
         rsaPrivate: privateKey,
-        rsaPublic: publicKey
+        rsaPublic: publicKey,
+        preKeys
       };
 
       console.log('Setting RSA keys:', newKeys);
@@ -323,24 +675,34 @@ export function useKeys() {
       setIsLoading(true);
       setError(null);
 
+      // The new encryption key is signed into the bundle with the existing signing key
+      if (!keys.preKeys) {
+        throw new Error('Identity keys are not loaded');
+      }
+
       // Generate new RSA 2048-bit key pairs
       const { publicKey, privateKey } = await keyManager.generateAndStoreKeys(`${userId}_rsa`, password);
 
-      // Export new public key for backend update
-      const exportedPublicKey = await window.crypto.subtle.exportKey('jwk', publicKey);
-      const publicKeyBundle = {
-        rsa: JSON.stringify(exportedPublicKey),
-        timestamp: Date.now()
-      };
+      // Update backend with the new key bundle, for the account only if it lists this device's identity
+      const keyBundle = await createKeyBundle(keys.preKeys, publicKey);
+      const { user } = await apiService.getUserProfile();
+      await apiService.registerDevice(
+        keys.preKeys.record.deviceId,
+        getDeviceName(),
+        keyBundle,
+        await endorseOwnDevice(user, keys.preKeys, keyBundle)
+      );
 
-      // Update backend with new public key
-      await apiService.updatePublicKey(JSON.stringify(publicKeyBundle));
+      if (user.keyBundle?.identityKey.publicKey === keys.preKeys.record.identityKey) {
+        await apiService.updatePublicKey(keyBundle, password);
+      }
 
       // Update state
-      setKeys({
+      setKeys(prev => ({
+        ...prev,
         rsaPrivate: privateKey,
         rsaPublic: publicKey
-      });
+      }));
 
       return true;
     } catch (error) {
@@ -350,45 +712,156 @@ export function useKeys() {
     } finally {
       setIsLoading(false);
     }
+  }, [keys.preKeys]);
+
+  /**
+   * New device: create a link request for an existing device to approve
+   * @returns {Promise<Object>} - { linkId, linkKeys, code, expiresAt }; linkKeys stay in memory
+   */
+  const startDeviceLink = useCallback(async () => {
+    const linkKeys = await createLinkKeys();
+    const link = await apiService.createDeviceLink(linkKeys.publicKey);
+
+    return {
+      linkId: link.linkId,
+      linkKeys,
+      code: encodeLinkCode(link.linkId, linkKeys),
+      expiresAt: link.expiresAt
+    };
   }, []);
 
+  /**
+   * Existing device: send this device's identity to the device that shows the linking code
+   * @param {string} codeText - Linking code scanned or pasted from the new device
+   * @param {Object} user - Current user ({ id, email })
+   * @param {string} password - User password the private keys are stored with
+   * @returns {Promise<void>}
+   */
+  const approveDeviceLink = useCallback(async (codeText, user, password) => {
+    if (!keys.preKeys) {
+      throw new Error('Identity keys are not loaded');
+    }
+
+    const code = parseLinkCode(codeText);
+    const link = await apiService.getDeviceLink(code.linkId);
+
+    // The code is the trusted channel; a request the server swapped in must not get our keys
+    if (link.publicKey !== code.publicKey) {
+      throw new Error('Linking code does not match the link request');
+    }
+
+    const payload = await collectIdentityTransfer({
+      preKeys: keys.preKeys,
+      email: user.email,
+      accountUserId: user.id,
+      password
+    });
+    await apiService.approveDeviceLink(code.linkId, await encryptLinkTransfer(payload, code));
+  }, [keys.preKeys]);
+
+  /**
+   * Existing device: approve a device that has its own identity keys, so contacts encrypt for it
+   * Only a device holding the account identity keys can sign the endorsement
+   * @param {Object} device - Pending device from apiService.getDevices
+   * @param {Object} user - Current user ({ id })
+   * @returns {Promise<void>}
+   */
+  const endorseDevice = useCallback(async (device, user) => {
+    if (!keys.preKeys) {
+      throw new Error('Identity keys are not loaded');
+    }
+
+    const { user: profile } = await apiService.getUserProfile();
+    if (profile.keyBundle?.signingKey.publicKey !== keys.preKeys.record.signingKey) {
+      throw new Error('Approve new devices from a device that holds your account keys');
+    }
+
+    // Rejects a bundle whose keys were not signed together
+    await importKeyBundle(device.keyBundle);
+
+    const accountSignature = await signDeviceBundle(
+      user.id,
+      device.deviceId,
+      device.keyBundle,
+      keys.preKeys.signingPrivateKey
+    );
+    await apiService.endorseDevice(device.deviceId, accountSignature);
+  }, [keys.preKeys]);
+
+  /**
+   * New device: import the transferred identity once the link request was approved
+   * @param {Object} pendingLink - Result of startDeviceLink
+   * @param {Object} user - Current user ({ id, email })
+   * @param {string} password - User password for key encryption
+   * @returns {Promise<boolean>} - Whether the transfer was imported; false while still pending
+   */
+  const finishDeviceLink = useCallback(async (pendingLink, user, password) => {
+    const link = await apiService.getDeviceLink(pendingLink.linkId);
+    if (link.status !== 'approved') {
+      return false;
+    }
+
+    // Keys stored under a mistyped password could never be loaded again
+    if (!await exportStoredPrivateKey(`${user.email}_rsa`, password)) {
+      throw new Error('Incorrect password');
+    }
+
+    const payload = await decryptLinkTransfer(link.transfer, pendingLink.linkId, pendingLink.linkKeys);
+    await applyIdentityTransfer(payload, { email: user.email, accountUserId: user.id, password });
+    await apiService.deleteDeviceLink(pendingLink.linkId);
+
+    // Registers this device with the transferred identity and publishes fresh prekeys for it
+    if (!await loadKeys(user.email, password)) {
+      throw new Error('Failed to load the transferred keys');
+    }
+    return true;
+  }, [loadKeys]);
+
+  /**
+   * Back up this device's keys, encrypted with a new recovery code
+   * @param {Object} user - Current user ({ id, email })
+   * @param {string} password - User password the private keys are stored with
+   * @returns {Promise<string>} - Recovery code to show the user once
+   */
+  const createKeyBackup = useCallback(async (user, password) => {
+    if (!keys.preKeys) {
+      throw new Error('Identity keys are not loaded');
+    }
+
+    const payload = await collectIdentityTransfer({
+      preKeys: keys.preKeys,
+      email: user.email,
+      accountUserId: user.id,
+      password
+    });
+    const recoveryCode = generateRecoveryCode();
+    await apiService.uploadKeyBackup(await encryptKeyBackup(payload, recoveryCode));
+
+    return recoveryCode;
+  }, [keys.preKeys]);
+
   /**
    * Clear keys from state (on logout)
    */
   const clearKeys = useCallback(() => {
     setKeys({
       rsaPrivate: null,
-      rsaPublic: null
+      rsaPublic: null,
+      preKeys: null
     });
   }, []);
 
   /**
-   * Get public key for another user from backend
+   * Get public keys for another user from backend
    * @param {string} userId - Other user's ID
-   * @returns {Promise<Object|null>} - Public key bundle or null
+   * @returns {Promise<Object|null>} - Verified keys ({ rsa, identityKey, signingKey }) or null
    */
   const getUserPublicKey = useCallback(async (userId) => {
     try {
-      const publicKeyData = await apiService.getUserPublicKey(userId);
-      if (publicKeyData) {
-        const parsedData = JSON.parse(publicKeyData);
-
-        // Import the RSA public key
-        if (parsedData.rsa) {
-          const publicKeyJWK = JSON.parse(parsedData.rsa);
-          const publicKey = await window.crypto.subtle.importKey(
-            'jwk',
-            publicKeyJWK,
-            {
-              name: 'RSA-OAEP',
-              hash: 'SHA-256'
-            },
-            true,
-            ['encrypt']
-          );
-
-          return { rsa: publicKey };
-        }
+      const keyBundle = await apiService.getUserPublicKey(userId);
+      if (keyBundle) {
+        const { identityKey, signingKey, encryptionKey } = await importKeyBundle(keyBundle);
+        return { rsa: encryptionKey, identityKey, signingKey };
       }
       return null;
     } catch (error) {
@@ -410,6 +883,11 @@ export function useKeys() {
     error,
     loadKeys,
     regenerateKeys,
+    startDeviceLink,
+    approveDeviceLink,
+    finishDeviceLink,
+    endorseDevice,
+    createKeyBackup,
     clearKeys,
     getUserPublicKey,
     clearError
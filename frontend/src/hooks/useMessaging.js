@@ -2,12 +2,95 @@
  * React hook for secure messaging functionality
  * Handles message encryption, decryption, and real-time communication
  * Uses RSA 2048-bit encryption and the Secure Key Exchange Protocol (SKEP)
+ * Messages are encrypted with a Double Ratchet seeded from the SKEP session keys
+ * Group messages are encrypted once with the sender's sender key, which travels to the other
+ * members over the pairwise sessions
  */
 
 import { useState, useEffect, useCallback, useRef } from 'react';
 import { apiService } from '../services/api.js';
 import { sessionManager, EnhancedKeyExchange } from '../crypto/integratedKeyExchange.js';
-import { createEncryptedMessage, decryptReceivedMessage, generateIV } from '../crypto/encryption.js';
+import { DoubleRatchet, createRatchetMessage, decryptRatchetMessage } from '../crypto/doubleRatchet.js';
+import { initiateX3DH, respondToX3DH, consumeOneTimePreKey } from '../crypto/x3dh.js';
+import { importKeyBundle, verifyDeviceBundle } from '../crypto/keyBundle.js';
+import {
+  verifyKeyLog,
+  getKeyBundleHash,
+  loadTrustedHead,
+  saveTrustedHead,
+  loadKeyChanges,
+  acknowledgeKeyChange
+} from '../crypto/keyTransparency.js';
+import { generateSafetyNumber, loadVerifiedContacts, saveContactVerification } from '../crypto/safetyNumber.js';
+import { SenderKey, createGroupMessage, decryptGroupMessage } from '../crypto/senderKeys.js';
+import { verifySignature } from '../crypto/keyExchange.js';
+import {
+  signMessageEnvelope,
+  getEnvelopeSignatureData,
+  signGroupEvent,
+  getGroupEventSignatureData,
+  signReport,
+  arrayBufferToBase64,
+  base64ToArrayBuffer
+} from '../crypto/encryption.js';
+import { encryptFile, decryptFile, generateFileKey, encryptFileMetadata, decryptFileMetadata } from '../crypto/fileEncryption.js';
+
+/**
+ * Build the message fields for a decrypted payload
+ * File messages carry a JSON descriptor ({ fileId, name, size, mimeType }) as their content
+ * @param {string} content - Decrypted message content
+ * @param {string} messageType - 'text' or 'file'
+ * @returns {Object} - Fields to merge into the conversation message
+ */
+function getMessageFields(content, messageType) {
+  if (messageType !== 'file') {
+    return { content, type: 'text' };
+  }
+
+  try {
+    const file = JSON.parse(content);
+    return { content: `📎 ${file.name}`, type: 'file', file };
+  } catch (error) {
+    console.error('Invalid file message descriptor:', error);
+    return { content: '[Invalid file message]', type: 'text' };
+  }
+}
+
+/**
+ * Session store key for one of a contact's devices
+ * Contacts without registered devices keep a single session under their user ID
+ * @param {string} userId - Contact user ID
+ * @param {string|null} deviceId - Contact device ID
+ * @returns {string}
+ */
+function sessionAddress(userId, deviceId = null) {
+  return deviceId ? `${userId}.${deviceId}` : userId;
+}
+
+/**
+ * Store key for a member's sender key; members keep older keys to read messages sent before a re-key
+ * @param {string} groupId - Group ID
+ * @param {string} senderId - Member user ID
+ * @param {string} keyId - Sender key ID
+ * @returns {string}
+ */
+function senderKeyAddress(groupId, senderId, keyId) {
+  return `${groupId}:${senderId}:${keyId}`;
+}
+
+// Receipt states only move forward: sent -> delivered -> read
+const STATUS_ORDER = ['sent', 'delivered', 'read'];
+
+/**
+ * Derive the delivery status of a sent message from its server timestamps
+ * @param {Object} message - Message with optional deliveredAt/readAt
+ * @returns {string} - 'sent', 'delivered' or 'read'
+ */
+function getDeliveryStatus(message) {
+  if (message.readAt) return 'read';
+  if (message.deliveredAt) return 'delivered';
+  return 'sent';
+}
 
 /**
  * Hook for managing secure messaging
@@ -25,56 +108,142 @@ export function useMessaging(user, keys) {
   const [isConnected, setIsConnected] = useState(false);
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState(null);
+  const [keyChanges, setKeyChanges] = useState(new Map()); // Map<userId, changedAt> - unacknowledged identity key changes
+  const [verifiedContacts, setVerifiedContacts] = useState(new Map()); // Map<userId, verification> - safety numbers checked by the user
+  const [deviceRevoked, setDeviceRevoked] = useState(false); // This device was revoked from another one
 
   // Message sequence tracking
-  const sequenceNumbers = useRef(new Map()); // Map<userId, number>
-  const usedNonces = useRef(new Map()); // Map<userId, Set<string>>
+  const sequenceNumbers = useRef(new Map()); // Map<userId, number> - shared by all of the contact's devices
+  const usedNonces = useRef(new Map()); // Map<address, Set<string>>
   const pendingExchanges = useRef(new Map()); // Map<exchangeId, { userId, keyExchangeInstance }>
-  const cachedPeerKeys = useRef(new Map()); // Map<userId, CryptoKey> - RSA public keys
+  const cachedPeerKeys = useRef(new Map()); // Map<userId, { keyBundle, identityKey, signingKey, encryptionKey }>
+  const cachedPeerDevices = useRef(new Map()); // Map<userId, Array<{ deviceId, keyBundle }>>
   const pendingSessions = useRef(new Map()); // Map<userId, number> (last attempt timestamp)
   const pendingMessages = useRef(new Map()); // Map<userId, Array<{ content: string }>>
   const receivedMessageIds = useRef(new Set()); // Track processed message IDs
+  const readReceiptsSent = useRef(new Set()); // Received message IDs already marked read
+  const messageCache = useRef(new Map()); // Map<messageId, message> - plaintext for keys already consumed
+  const pendingIncoming = useRef(new Map()); // Map<userId, Array<payload>> received before the session was ready
+  const x3dhSetups = useRef(new Map()); // Map<address, Promise<session|null>> - prekey bundle claims in flight
+  const incomingQueues = useRef(new Map()); // Map<userId|groupId, Promise> - incoming messages are handled in order
+  const groupInfo = useRef(new Map()); // Map<groupId, group> - latest members and epoch
+  const ownSenderKeys = useRef(new Map()); // Map<groupId, { epoch, senderKey, distributedTo: Set<userId> }>
+  const memberSenderKeys = useRef(new Map()); // Map<senderKeyAddress, SenderKey>
+
+  const currentUserId = user?.id;
+
+  useEffect(() => {
+    setKeyChanges(currentUserId ? loadKeyChanges(currentUserId) : new Map());
+    setVerifiedContacts(currentUserId ? loadVerifiedContacts(currentUserId) : new Map());
+  }, [currentUserId]);
 
-  const getRemotePublicKey = useCallback(async (otherUserId) => {
-    if (cachedPeerKeys.current.has(otherUserId)) {
+  /**
+   * Fetch a contact's key bundle, check it against the key transparency log and import its keys
+   * @param {string} otherUserId - Contact user ID
+   * @param {boolean} refresh - Bypass the cache, e.g. when the contact may have published new keys
+   * @returns {Promise<Object>} - { keyBundle, identityKey, signingKey, encryptionKey }
+   */
+  const getRemotePublicKey = useCallback(async (otherUserId, refresh = false) => {
+    if (!refresh && cachedPeerKeys.current.has(otherUserId)) {
       return cachedPeerKeys.current.get(otherUserId);
     }
 
-    const publicKeyPayload = await apiService.getUserPublicKey(otherUserId);
-    if (!publicKeyPayload) {
-      throw new Error('Remote public key not available');
+    const trusted = loadTrustedHead(currentUserId, otherUserId);
+    const proof = await apiService.getKeyLog(otherUserId, trusted?.sequence ?? 0);
+
+    // Throws when the server rewrote the contact's key history or serves a bundle it never logged
+    const head = await verifyKeyLog(otherUserId, proof, trusted);
+    const peerKeys = { keyBundle: proof.keyBundle, ...(await importKeyBundle(proof.keyBundle)) };
+    saveTrustedHead(currentUserId, otherUserId, head);
+
+    if (head.changedAt && head.changedAt !== trusted?.changedAt) {
+      console.warn('Identity keys changed for user:', otherUserId);
+      setKeyChanges(prev => new Map(prev).set(otherUserId, head.changedAt));
     }
 
-    let keyBundle;
-    try {
-      keyBundle = typeof publicKeyPayload === 'string'
-        ? JSON.parse(publicKeyPayload)
-        : publicKeyPayload;
-    } catch (error) {
-      console.error('Invalid remote public key bundle:', error);
-      throw new Error('Invalid public key bundle received');
+    // A verified safety number no longer holds once either key it covered is replaced
+    const verification = loadVerifiedContacts(currentUserId).get(otherUserId);
+    if (verification && !verification.brokenAt
+      && (verification.identityKeyId !== head.identityKeyId || verification.signingKeyId !== head.signingKeyId)) {
+      const broken = { ...verification, brokenAt: Date.now() };
+      saveContactVerification(currentUserId, otherUserId, broken);
+      setVerifiedContacts(prev => new Map(prev).set(otherUserId, broken));
+    }
+
+    cachedPeerKeys.current.set(otherUserId, peerKeys);
+    return peerKeys;
+  }, [currentUserId]);
+
+  /**
+   * Fetch a contact's registered devices and check each one before anything is encrypted for it
+   * A device must be self-signed, endorsed by the account signing key verified through the key
+   * log, and logged with the same bundle, so the server cannot add a device of its own.
+   * @param {string} otherUserId - Contact user ID
+   * @param {boolean} refresh - Bypass the cache, e.g. after the server reported a changed device list
+   * @returns {Promise<Array<{deviceId: string, keyBundle: Object}>>} - Empty for contacts without devices
+   * @throws {Error} - If a listed device fails any of the checks
+   */
+  const getPeerDevices = useCallback(async (otherUserId, refresh = false) => {
+    if (!refresh && cachedPeerDevices.current.has(otherUserId)) {
+      return cachedPeerDevices.current.get(otherUserId);
     }
 
-    if (!keyBundle.rsa) {
-      throw new Error('Remote RSA encryption key missing');
+    const devices = await apiService.getUserDevices(otherUserId);
+    if (devices.length === 0) {
+      cachedPeerDevices.current.set(otherUserId, devices);
+      return devices;
     }
 
-    // Import the RSA public key for encryption
-    const publicKeyJWK = JSON.parse(keyBundle.rsa);
-    const publicKey = await window.crypto.subtle.importKey(
-      'jwk',
-      publicKeyJWK,
-      {
-        name: 'RSA-OAEP',
-        hash: 'SHA-256'
-      },
-      true,
-      ['encrypt']
-    );
+    let { signingKey } = await getRemotePublicKey(otherUserId, refresh);
 
-    cachedPeerKeys.current.set(otherUserId, publicKey);
-    return publicKey;
-  }, []);
+    // A device endorsed after our last log check is in entries we have not fetched yet
+    let logged = loadTrustedHead(currentUserId, otherUserId)?.devices || {};
+    if (!refresh && devices.some(device => !logged[device.deviceId])) {
+      ({ signingKey } = await getRemotePublicKey(otherUserId, true));
+      logged = loadTrustedHead(currentUserId, otherUserId)?.devices || {};
+    }
+
+    for (const device of devices) {
+      await importKeyBundle(device.keyBundle);
+
+      if (!await verifyDeviceBundle(otherUserId, device, signingKey)) {
+        throw new Error(`Device ${device.deviceId} is not endorsed by the contact's account key`);
+      }
+      if (logged[device.deviceId] !== await getKeyBundleHash(device.keyBundle)) {
+        throw new Error(`Device ${device.deviceId} is not in the contact's key log`);
+      }
+    }
+
+    cachedPeerDevices.current.set(otherUserId, devices);
+    return devices;
+  }, [currentUserId, getRemotePublicKey]);
+
+  /**
+   * Check that X3DH keys handed out by the server are the contact's published identity keys
+   * A mismatch with the cached bundle is retried against a fresh one, since the contact may
+   * have published new keys in the meantime
+   * @param {string} otherUserId - Contact user ID
+   * @param {string} identityKey - Base64 raw identity key to check
+   * @param {string|null} signingKey - Base64 raw signing key to check, if any
+   * @param {string|null} deviceId - Contact device the keys belong to, or null for the account bundle
+   * @throws {Error} - If the keys are not in the contact's current bundle
+   */
+  const checkPeerIdentity = useCallback(async (otherUserId, identityKey, signingKey = null, deviceId = null) => {
+    const matches = ({ keyBundle }) => keyBundle.identityKey.publicKey === identityKey
+      && (!signingKey || keyBundle.signingKey.publicKey === signingKey);
+
+    const getBundle = async (refresh) => {
+      if (!deviceId) {
+        return getRemotePublicKey(otherUserId, refresh);
+      }
+      const device = (await getPeerDevices(otherUserId, refresh)).find(peer => peer.deviceId === deviceId);
+      return device || { keyBundle: { identityKey: {}, signingKey: {} } };
+    };
+
+    if (!matches(await getBundle(false)) && !matches(await getBundle(true))) {
+      throw new Error('Identity keys do not match the contact\'s published key bundle');
+    }
+  }, [getRemotePublicKey, getPeerDevices]);
 
   /**
    * Add message to conversation state
@@ -102,8 +271,187 @@ export function useMessaging(user, keys) {
     });
   }, [activeConversation, user]);
 
-  const currentUserId = user?.id;
+  /**
+   * Advance the delivery status of messages sent to a user
+   */
+  const updateMessageStatus = useCallback((userId, messageIds, status) => {
+    const ids = new Set(messageIds.map(String));
+
+    setConversations(prev => {
+      const conversation = prev.get(userId);
+      if (!conversation) {
+        return prev;
+      }
+
+      const newConversations = new Map(prev);
+      newConversations.set(userId, {
+        ...conversation,
+        messages: conversation.messages.map(msg => {
+          if (!ids.has(String(msg.id)) || STATUS_ORDER.indexOf(msg.status) >= STATUS_ORDER.indexOf(status)) {
+            return msg;
+          }
+          return { ...msg, status };
+        })
+      });
+      return newConversations;
+    });
+  }, []);
+
+  const handleMessagesDelivered = useCallback((message) => {
+    const payload = message?.data || message;
+    if (!payload?.receiverId || !Array.isArray(payload.messageIds)) {
+      return;
+    }
+    updateMessageStatus(payload.receiverId, payload.messageIds, 'delivered');
+  }, [updateMessageStatus]);
+
+  const handleMessagesRead = useCallback((message) => {
+    const payload = message?.data || message;
+    if (!payload?.readerId || !Array.isArray(payload.messageIds)) {
+      return;
+    }
+    updateMessageStatus(payload.readerId, payload.messageIds, 'read');
+  }, [updateMessageStatus]);
+
   const rsaPrivateKey = keys?.rsaPrivate;
+  const preKeys = keys?.preKeys;
+
+  const initializeSessionState = useCallback((otherUserId, address = otherUserId) => {
+    // A session with another of the contact's devices continues the conversation's sequence
+    if (address === otherUserId || !sequenceNumbers.current.has(otherUserId)) {
+      sequenceNumbers.current.set(otherUserId, 0);
+    }
+    usedNonces.current.set(address, new Set());
+  }, []);
+
+  /**
+   * Start a session from the contact's published prekeys (X3DH initiator)
+   * Lets the first message go out immediately even if the contact is offline
+   * @param {string} receiverId - Contact user ID
+   * @param {string|null} deviceId - Contact device, or null for a contact without devices
+   * @returns {Promise<Object|null>} - New session, or null when the contact has no prekeys
+   */
+  const establishX3DHSession = useCallback((receiverId, deviceId = null) => {
+    if (!preKeys) {
+      return Promise.resolve(null);
+    }
+
+    const address = sessionAddress(receiverId, deviceId);
+
+    // Concurrent sends share one claim so only one one-time prekey is consumed
+    if (!x3dhSetups.current.has(address)) {
+      const setup = (async () => {
+        let bundle;
+        try {
+          bundle = await apiService.claimPreKeyBundle(receiverId, deviceId);
+        } catch (claimError) {
+          console.warn('No prekey bundle available, falling back to SKEP:', claimError.message);
+          return null;
+        }
+
+        await checkPeerIdentity(receiverId, bundle.identityKey, bundle.signingKey, deviceId);
+
+        const { keys: sessionKeys, ratchetKey, header } = await initiateX3DH(preKeys, bundle, currentUserId, receiverId);
+
+        // The contact's signed prekey is the first remote ratchet key
+        const ratchet = await DoubleRatchet.initializeAsInitiator(sessionKeys, ratchetKey);
+        const session = {
+          sessionKey: sessionKeys.encryptionKey,
+          keys: sessionKeys,
+          ratchet,
+          x3dhHeader: header, // Sent with every message until the contact replies
+          confirmed: false,
+          createdAt: Date.now()
+        };
+
+        sessionManager.storeSession(address, session);
+        initializeSessionState(receiverId, address);
+        console.log('X3DH session started with:', address);
+        return session;
+      })().finally(() => x3dhSetups.current.delete(address));
+
+      x3dhSetups.current.set(address, setup);
+    }
+
+    return x3dhSetups.current.get(address);
+  }, [preKeys, currentUserId, initializeSessionState, checkPeerIdentity]);
+
+  /**
+   * Sessions for every device a message to the contact must be encrypted for, starting X3DH
+   * sessions with devices that have none yet
+   * @param {string} receiverId - Contact user ID
+   * @param {boolean} refresh - Refetch the contact's device list
+   * @returns {Promise<Array<{deviceId: string|null, session: Object|null}>>} - A single entry with a
+   *   null device ID for contacts without devices
+   */
+  const getDeviceSessions = useCallback(async (receiverId, refresh = false) => {
+    const devices = await getPeerDevices(receiverId, refresh);
+    const deviceIds = devices.length > 0 ? devices.map(device => device.deviceId) : [null];
+
+    const targets = [];
+    for (const deviceId of deviceIds) {
+      const existing = sessionManager.getSession(sessionAddress(receiverId, deviceId));
+      const session = existing?.ratchet ? existing : await establishX3DHSession(receiverId, deviceId);
+      targets.push({ deviceId, session });
+    }
+    return targets;
+  }, [getPeerDevices, establishX3DHSession]);
+
+  /**
+   * Find the session for an incoming message, deriving an X3DH responder session when the
+   * message starts a new one. New sessions are only stored by commitX3DHSession once a message
+   * decrypts with them
+   * @param {string} senderId - Sender user ID
+   * @param {Object|null} header - X3DH header carried by the message
+   * @param {string|null} senderDeviceId - Device the message was sent from
+   * @returns {Promise<{session: Object|null, isNew: boolean}>}
+   */
+  const resolveIncomingSession = useCallback(async (senderId, header, senderDeviceId = null) => {
+    const session = sessionManager.getSession(sessionAddress(senderId, senderDeviceId));
+    const current = session?.ratchet ? session : null;
+
+    if (!header || (current && current.x3dhEphemeralKey === header.ephemeralKey)) {
+      return { session: current, isNew: false };
+    }
+
+    // Both sides started an X3DH session at once: the one started by the lower user ID wins,
+    // so messages sent in the losing session cannot be read
+    if (current?.x3dhHeader && String(currentUserId) < String(senderId)) {
+      console.warn('Ignoring simultaneous X3DH session from user:', senderId);
+      return { session: null, isNew: false };
+    }
+
+    if (!preKeys) {
+      throw new Error('Prekeys not loaded');
+    }
+
+    await checkPeerIdentity(senderId, header.identityKey, null, senderDeviceId);
+
+    const { keys: sessionKeys, ratchetKeyPair } = await respondToX3DH(preKeys, header, currentUserId, senderId);
+
+    // Our signed prekey pair is the first ratchet key pair
+    const ratchet = await DoubleRatchet.initializeAsResponder(sessionKeys, ratchetKeyPair);
+
+    return {
+      session: {
+        sessionKey: sessionKeys.encryptionKey,
+        keys: sessionKeys,
+        ratchet,
+        x3dhEphemeralKey: header.ephemeralKey,
+        confirmed: true,
+        createdAt: Date.now()
+      },
+      isNew: true
+    };
+  }, [preKeys, currentUserId, checkPeerIdentity]);
+
+  const commitX3DHSession = useCallback(async (senderId, session, header, address = senderId) => {
+    sessionManager.storeSession(address, session);
+    initializeSessionState(senderId, address);
+    pendingSessions.current.delete(senderId);
+    await consumeOneTimePreKey(preKeys, header.oneTimePreKeyId);
+    console.log('X3DH session accepted from:', address);
+  }, [preKeys, initializeSessionState]);
 
   const queueMessageForUser = useCallback((targetUserId, content) => {
     if (!pendingMessages.current.has(targetUserId)) {
@@ -112,53 +460,90 @@ export function useMessaging(user, keys) {
     pendingMessages.current.get(targetUserId).push({ content });
   }, []);
 
-  const sendEncryptedMessage = useCallback(async (targetUserId, plaintext) => {
+  const sendEncryptedMessage = useCallback(async (targetUserId, plaintext, options = {}) => {
+    const { messageType = 'text', fileId = null, groupId = null } = options;
+
     if (!currentUserId) {
       throw new Error('User not available for sending messages');
     }
 
-    const session = sessionManager.getSession(targetUserId);
-    if (!session || !session.sessionKey) {
-      throw new Error('Session not available for encryption');
+    // The backend rejects envelopes not signed by the key published with our prekeys
+    if (!preKeys?.signingPrivateKey) {
+      throw new Error('Signing key not available');
     }
 
     const currentSeq = sequenceNumbers.current.get(targetUserId) || 0;
     const nextSeq = currentSeq + 1;
 
-    // Use session metadata for deterministic IV generation if available
-    const sessionMetadata = session.keys ? session.keys : null;
+    const encryptFor = async (targets) => {
+      if (targets.some(({ session }) => !session?.ratchet?.canSend())) {
+        throw new Error('Session not available for encryption');
+      }
 
-    const encryptedMessage = await createEncryptedMessage(
-      plaintext,
-      currentUserId,
-      targetUserId,
-      session.sessionKey,
-      nextSeq,
-      sessionMetadata
-    );
+      // Every message gets its own key from each device's sending chain
+      const envelopes = [];
+      for (const { deviceId, session } of targets) {
+        const encryptedMessage = await createRatchetMessage(
+          session.ratchet,
+          plaintext,
+          currentUserId,
+          targetUserId,
+          nextSeq
+        );
+
+        envelopes.push({
+          ...(await signMessageEnvelope(encryptedMessage, preKeys.signingPrivateKey)),
+          ...(deviceId ? { deviceId } : {}),
+          ...(session.x3dhHeader ? { x3dhHeader: session.x3dhHeader } : {})
+        });
+      }
+
+      // Contacts without devices get a single top-level envelope
+      const fields = { messageType, ...(fileId ? { fileId } : {}), ...(groupId ? { groupId } : {}) };
+      return apiService.sendMessage(targets[0].deviceId
+        ? { receiverId: targetUserId, sequenceNumber: nextSeq, ...fields, ciphertexts: envelopes }
+        : { ...envelopes[0], ...fields });
+    };
 
-    const response = await apiService.sendMessage(encryptedMessage);
+    let response;
+    try {
+      response = await encryptFor(await getDeviceSessions(targetUserId));
+    } catch (sendError) {
+      if (sendError.data?.code !== 'DEVICE_LIST_MISMATCH') {
+        throw sendError;
+      }
+
+      // The contact added or revoked a device since we fetched the list
+      console.log('Contact device list changed, encrypting for the current devices');
+      response = await encryptFor(await getDeviceSessions(targetUserId, true));
+    }
 
     if (response.success) {
       sequenceNumbers.current.set(targetUserId, nextSeq);
 
+      // Sender keys are key material for a group, not part of the conversation
+      if (messageType === 'sender_key') {
+        return response;
+      }
+
       const messageObj = {
         id: response.messageId || `msg_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
         senderId: currentUserId,
         receiverId: targetUserId,
-        content: plaintext,
+        ...getMessageFields(plaintext, messageType),
         timestamp: Date.now(),
-        type: 'text',
         isEncrypted: true,
-        status: 'sent'
+        status: getDeliveryStatus(response)
       };
 
+      // The message key is gone after encryption, so keep our own plaintext for history reloads
+      messageCache.current.set(String(messageObj.id), messageObj);
       addMessageToConversation(targetUserId, messageObj);
       return messageObj;
     }
 
     throw new Error('Failed to send message');
-  }, [currentUserId, addMessageToConversation]);
+  }, [currentUserId, preKeys, getDeviceSessions, addMessageToConversation]);
 
   const flushQueuedMessages = useCallback(async (targetUserId) => {
     const queue = pendingMessages.current.get(targetUserId);
@@ -221,6 +606,24 @@ export function useMessaging(user, keys) {
     }
   }, [currentUserId, rsaPrivateKey]);
 
+  /**
+   * Keep a sender key another member distributed for a group
+   * @param {string} groupId - Group ID
+   * @param {string} senderId - Member user ID
+   * @param {string} distribution - Decrypted sender key distribution
+   */
+  const storeSenderKey = useCallback((groupId, senderId, distribution) => {
+    try {
+      const { senderKey } = SenderKey.fromDistribution(distribution);
+      const address = senderKeyAddress(groupId, senderId, senderKey.keyId);
+      if (!memberSenderKeys.current.has(address)) {
+        memberSenderKeys.current.set(address, senderKey);
+      }
+    } catch (keyError) {
+      console.error('Ignoring invalid sender key from:', senderId, keyError);
+    }
+  }, []);
+
   /**
    * Handle incoming encrypted messages
    */
@@ -239,15 +642,29 @@ export function useMessaging(user, keys) {
       return;
     }
 
+    // Each of the sender's devices has its own session with us
+    const senderDeviceId = payload.senderDeviceId || null;
+    const address = sessionAddress(senderId, senderDeviceId);
+
     // Ignore websocket echoes for messages we already rendered locally
     if (senderId === user.id) {
       console.debug('Ignoring self-originated message event');
       return;
     }
-    const session = sessionManager.getSession(senderId);
+    const existingSession = sessionManager.getSession(address);
+    if (!payload.x3dhHeader && (!existingSession || !existingSession.ratchet)) {
+      // The first messages can overtake the key exchange confirmation; hold them until it completes
+      const exchangeInProgress = Array.from(pendingExchanges.current.values())
+        .some(exchange => exchange.userId === senderId);
+      if (exchangeInProgress) {
+        if (!pendingIncoming.current.has(senderId)) {
+          pendingIncoming.current.set(senderId, []);
+        }
+        pendingIncoming.current.get(senderId).push(payload);
+        return;
+      }
 
-    if (!session || !session.sessionKey) {
-      console.error('No session found for sender:', senderId);
+      console.error('No session found for sender:', address);
       return;
     }
 
@@ -257,80 +674,80 @@ export function useMessaging(user, keys) {
       return;
     }
 
-    // Get expected sequence number
-    const expectedSeq = sequenceNumbers.current.get(senderId) || 0;
-    const incomingSeq = typeof payload.sequenceNumber === 'number'
-      ? payload.sequenceNumber
-      : null;
-    let targetSeq = expectedSeq + 1;
+    const processMessage = async () => {
+      const { session, isNew } = await resolveIncomingSession(senderId, payload.x3dhHeader, senderDeviceId);
+      if (!session) {
+        return;
+      }
 
-    if (incomingSeq !== null) {
-      if (incomingSeq < targetSeq) {
-        console.warn('Stale or duplicate message detected. Ignoring.', {
-          senderId,
-          incomingSeq,
-          expectedNext: targetSeq
-        });
+      // Get used nonces set
+      if (!usedNonces.current.has(address)) {
+        usedNonces.current.set(address, new Set());
+      }
+      const nonces = isNew ? new Set() : usedNonces.current.get(address);
+
+      if (nonces.has(payload.nonce)) {
+        console.warn('Nonce reused - possible replay attack. Ignoring.', { messageId, senderId });
         return;
       }
 
-      if (incomingSeq > targetSeq) {
-        console.warn('Out-of-sync sequence detected. Adjusting expectation.', {
-          senderId,
-          incomingSeq,
-          previousExpected: targetSeq
-        });
-        sequenceNumbers.current.set(senderId, incomingSeq - 1);
-        targetSeq = incomingSeq;
+      // The ratchet keeps keys for skipped messages, so out-of-order delivery still decrypts
+      const result = await decryptRatchetMessage(session.ratchet, payload);
+      if (!result.isValid) {
+        console.error('Message decryption failed:', result.error);
+        setError(`Message decryption failed: ${result.error}`);
+        return;
       }
-    }
 
-    // Get used nonces set
-    if (!usedNonces.current.has(senderId)) {
-      usedNonces.current.set(senderId, new Set());
-    }
-    const nonces = usedNonces.current.get(senderId);
+      if (isNew) {
+        await commitX3DHSession(senderId, session, payload.x3dhHeader, address);
+      }
 
-    const decryptionPayload = incomingSeq === null
-      ? { ...payload, sequenceNumber: targetSeq }
-      : payload;
+      // Any reply means the contact has derived our X3DH session, so stop sending its header
+      session.x3dhHeader = null;
+      usedNonces.current.get(address).add(payload.nonce);
 
-    // Decrypt message
-    decryptReceivedMessage(
-      decryptionPayload,
-      session.sessionKey,
-      targetSeq,
-      nonces
-    ).then(result => {
-      if (result.isValid) {
-        // Update sequence number
-        sequenceNumbers.current.set(senderId, targetSeq);
+      if (typeof payload.sequenceNumber === 'number') {
+        const highestSeq = sequenceNumbers.current.get(senderId) || 0;
+        sequenceNumbers.current.set(senderId, Math.max(highestSeq, payload.sequenceNumber));
+      }
 
+      if (payload.messageType === 'sender_key') {
+        receivedMessageIds.current.add(messageId);
+        storeSenderKey(payload.groupId, senderId, result.message);
+      } else {
         // Add to conversation
         const message = {
           id: messageId,
           senderId,
           receiverId: user.id,
-          content: result.message,
+          ...getMessageFields(result.message, payload.messageType),
           timestamp: Date.now(),
-          type: 'text',
           isEncrypted: true
         };
 
         if (messageId) {
           receivedMessageIds.current.add(messageId);
+          messageCache.current.set(String(messageId), message);
         }
 
         addMessageToConversation(senderId, message);
-      } else {
-        console.error('Message decryption failed:', result.error);
-        setError(`Message decryption failed: ${result.error}`);
       }
-    }).catch(error => {
+
+      // A responder's sending chain only exists once the initiator's first message arrives
+      if (pendingMessages.current.has(senderId) && session.ratchet.canSend()) {
+        flushQueuedMessages(senderId);
+      }
+    };
+
+    // Handle one sender's messages in order so an X3DH session is only derived once
+    const previous = incomingQueues.current.get(senderId) || Promise.resolve();
+    const processing = previous.then(processMessage).catch(error => {
       console.error('Message processing error:', error);
       setError('Failed to process incoming message');
     });
-  }, [user, addMessageToConversation]);
+    incomingQueues.current.set(senderId, processing);
+  }, [user, resolveIncomingSession, commitX3DHSession, storeSenderKey, addMessageToConversation, flushQueuedMessages]);
 
   /**
    * Send encrypted message to another user
@@ -346,8 +763,15 @@ export function useMessaging(user, keys) {
     try {
       setIsLoading(true);
 
-      const session = sessionManager.getSession(receiverId);
-      if (!session || !session.sessionKey) {
+      // Prefer the contact's prekeys; the interactive exchange needs both sides online
+      const targets = await getDeviceSessions(receiverId);
+
+      if (targets.some(({ session }) => !session?.ratchet)) {
+        // Devices publish prekeys when they register, so only contacts without devices fall back to SKEP
+        if (targets[0].deviceId) {
+          throw new Error('Could not start a secure session with all of this contact\'s devices');
+        }
+
         await ensureKeyExchange(receiverId);
         queueMessageForUser(receiverId, message);
         console.log('Message queued until key exchange completes');
@@ -357,6 +781,15 @@ export function useMessaging(user, keys) {
         };
       }
 
+      if (targets.some(({ session }) => !session.ratchet.canSend())) {
+        queueMessageForUser(receiverId, message);
+        console.log('Message queued until the first message from this contact arrives');
+        return {
+          status: 'queued',
+          message: 'Waiting for the first message from this contact. Message will be sent automatically.'
+        };
+      }
+
       return await sendEncryptedMessage(receiverId, message);
     } catch (error) {
       console.error('Send message error:', error);
@@ -365,105 +798,222 @@ export function useMessaging(user, keys) {
     } finally {
       setIsLoading(false);
     }
-  }, [currentUserId, rsaPrivateKey, ensureKeyExchange, queueMessageForUser, sendEncryptedMessage]);
+  }, [currentUserId, rsaPrivateKey, getDeviceSessions, ensureKeyExchange, queueMessageForUser, sendEncryptedMessage]);
 
   /**
-   * Load conversation history with a user
+   * Encrypt a file, upload its chunks and send it to another user
+   * Chunks are encrypted with a fresh file key that only travels inside the encrypted metadata
    */
-  const loadConversation = useCallback(async (userId) => {
+  const sendFile = useCallback(async (receiverId, file) => {
+    if (!currentUserId) {
+      throw new Error('User not authenticated');
+    }
+
+    const targets = await getDeviceSessions(receiverId);
+    if (targets.some(({ session }) => !session?.ratchet?.canSend())) {
+      const error = new Error('Secure session required before sending files');
+      setError(error.message);
+      throw error;
+    }
+
     try {
       setIsLoading(true);
 
-      // Get session for decryption
-      const session = sessionManager.getSession(userId);
-      if (!session || !session.sessionKey) {
-        // Try to load messages from backend (they'll be encrypted)
-        const messages = await apiService.getMessages(userId);
-
-        // Create conversation without decrypted content
-        const conversation = {
-          userId,
-          messages: messages.map(msg => ({
-            ...msg,
-            content: '[Encrypted - Session not available]',
-            isEncrypted: false
-          })),
-          lastActivity: Date.now(),
-          unreadCount: 0
-        };
-
-        setConversations(prev => new Map(prev).set(userId, conversation));
-        return;
+      // Each receiver device has its own session key, so the metadata gets a key of its own that
+      // travels inside the ratchet-encrypted file message
+      const fileKey = await generateFileKey();
+      const metadataKey = await generateFileKey();
+      const { encryptedChunks, metadata } = await encryptFile(file, fileKey);
+      const encryptedMetadata = await encryptFileMetadata(metadata, fileKey, metadataKey);
+
+      // One chunk per request keeps each body well under the server limit
+      for (const { chunkIndex, ciphertext, iv, authTag } of encryptedChunks) {
+        await apiService.uploadFile(
+          metadata.fileId,
+          [{ chunkIndex, ciphertext, iv, authTag }],
+          { totalChunks: metadata.totalChunks, encryptedMetadata }
+        );
       }
 
-      // Get encrypted messages from backend
+      await apiService.shareFile(metadata.fileId, receiverId, encryptedMetadata);
+
+      const descriptor = JSON.stringify({
+        fileId: metadata.fileId,
+        name: metadata.originalName,
+        size: metadata.originalSize,
+        mimeType: metadata.mimeType,
+        metadataKey: arrayBufferToBase64(await window.crypto.subtle.exportKey('raw', metadataKey))
+      });
+
+      return await sendEncryptedMessage(receiverId, descriptor, {
+        messageType: 'file',
+        fileId: metadata.fileId
+      });
+    } catch (error) {
+      console.error('Send file error:', error);
+      setError(error.message || 'Failed to send file');
+      throw error;
+    } finally {
+      setIsLoading(false);
+    }
+  }, [currentUserId, getDeviceSessions, sendEncryptedMessage]);
+
+  /**
+   * Download and decrypt a file shared in a conversation
+   * @param {string} otherUserId - Contact the file was shared with or by
+   * @param {string} fileId - File identifier
+   * @param {string|null} metadataKey - Base64 metadata key from the file message; files sent
+   *   without one have their metadata encrypted with the session key
+   * @returns {Promise<{blob: Blob, metadata: Object}>}
+   */
+  const downloadFile = useCallback(async (otherUserId, fileId, metadataKey = null) => {
+    const session = sessionManager.getSession(otherUserId);
+    if (!metadataKey && (!session || !session.sessionKey)) {
+      throw new Error('Secure session required to decrypt files');
+    }
+
+    try {
+      const key = metadataKey
+        ? await window.crypto.subtle.importKey('raw', base64ToArrayBuffer(metadataKey), 'AES-GCM', false, ['decrypt'])
+        : session.sessionKey;
+      const encryptedFile = await apiService.downloadFile(fileId);
+      const { metadata, fileKey } = await decryptFileMetadata(encryptedFile.encryptedMetadata, key);
+      const blob = await decryptFile(encryptedFile.chunks, metadata, fileKey);
+
+      return { blob, metadata };
+    } catch (error) {
+      console.error('Download file error:', error);
+      setError(error.message || 'Failed to download file');
+      throw error;
+    }
+  }, []);
+
+  /**
+   * Load conversation history with a user
+   */
+  const loadConversation = useCallback(async (userId) => {
+    try {
+      setIsLoading(true);
+
       const encryptedMessages = await apiService.getMessages(userId);
-      const decryptedMessages = [];
+      const isIncoming = (msg) => String(msg.senderId) === String(userId);
+      const senderDeviceOf = (msg) => msg.senderDeviceId || null;
+
+      // Each of the contact's devices has its own session, so history is decrypted per sending device
+      const senderDevices = new Set(encryptedMessages.filter(isIncoming).map(senderDeviceOf));
+      const devicesWithoutSession = new Set();
+      const failedIds = new Set();
       let highestSequence = sequenceNumbers.current.get(userId) || 0;
 
-      // Get used nonces set
-      if (!usedNonces.current.has(userId)) {
-        usedNonces.current.set(userId, new Set());
-      }
-      const nonces = usedNonces.current.get(userId);
+      for (const deviceId of senderDevices) {
+        const address = sessionAddress(userId, deviceId);
+        const deviceMessages = encryptedMessages.filter(msg => isIncoming(msg) && senderDeviceOf(msg) === deviceId);
 
-      // Decrypt messages
-      for (const encMsg of encryptedMessages) {
+        // Messages sent with our prekeys while we were offline start a session; the latest one wins
+        const initialMessage = [...deviceMessages].reverse().find(msg => msg.x3dhHeader);
+        let resolved;
         try {
-          const result = await decryptReceivedMessage(
-            encMsg,
-            session.sessionKey,
-            encMsg.sequenceNumber,
-            nonces
-          );
-
-          if (result.isValid) {
-            if (encMsg.id && receivedMessageIds.current.has(encMsg.id)) {
-              continue;
-            }
-            decryptedMessages.push({
-              id: encMsg.id,
-              senderId: encMsg.senderId,
-              receiverId: encMsg.receiverId,
-              content: result.message,
-              timestamp: encMsg.timestamp,
-              type: 'text',
-              isEncrypted: true
-            });
-
-            if (typeof encMsg.sequenceNumber === 'number') {
-              highestSequence = Math.max(highestSequence, encMsg.sequenceNumber);
-            }
-
-            if (encMsg.id) {
-              receivedMessageIds.current.add(encMsg.id);
-            }
+          resolved = await resolveIncomingSession(userId, initialMessage?.x3dhHeader || null, deviceId);
+        } catch (x3dhError) {
+          // E.g. the one-time prekey was already used; keep whatever session we have
+          console.error('Failed to derive X3DH session:', x3dhError);
+          const current = sessionManager.getSession(address);
+          resolved = { session: current?.ratchet ? current : null, isNew: false };
+        }
+        const { session, isNew } = resolved;
+
+        if (!session) {
+          devicesWithoutSession.add(deviceId);
+          continue;
+        }
+
+        // Get used nonces set
+        if (!usedNonces.current.has(address)) {
+          usedNonces.current.set(address, new Set());
+        }
+        const nonces = isNew ? new Set() : usedNonces.current.get(address);
+        let decryptedCount = 0;
+
+        // Message keys are deleted once used, so earlier messages come from the local cache
+        // and only messages that never reached this client are decrypted with the ratchet
+        for (const encMsg of deviceMessages) {
+          // Incoming messages older than a new X3DH session belong to an earlier session
+          const predatesSession = isNew && new Date(encMsg.timestamp) < new Date(initialMessage.timestamp);
+          if (messageCache.current.has(String(encMsg.id)) || !encMsg.ratchetHeader || predatesSession
+            || nonces.has(encMsg.nonce)) {
+            continue;
+          }
+
+          const result = await decryptRatchetMessage(session.ratchet, encMsg);
+          if (!result.isValid) {
+            console.error('Failed to decrypt message:', result.error);
+            failedIds.add(String(encMsg.id));
+            continue;
           }
-        } catch (error) {
-          console.error('Failed to decrypt message:', error);
-          // Add placeholder for failed decryption
-          decryptedMessages.push({
+
+          nonces.add(encMsg.nonce);
+          decryptedCount++;
+
+          if (typeof encMsg.sequenceNumber === 'number') {
+            highestSequence = Math.max(highestSequence, encMsg.sequenceNumber);
+          }
+
+          receivedMessageIds.current.add(encMsg.id);
+          messageCache.current.set(String(encMsg.id), {
             id: encMsg.id,
             senderId: encMsg.senderId,
             receiverId: encMsg.receiverId,
-            content: '[Failed to decrypt]',
+            ...getMessageFields(result.message, encMsg.messageType),
             timestamp: encMsg.timestamp,
-            type: 'text',
-            isEncrypted: false
+            isEncrypted: true
           });
         }
+
+        if (isNew && decryptedCount > 0) {
+          await commitX3DHSession(userId, session, initialMessage.x3dhHeader, address);
+          usedNonces.current.set(address, nonces);
+        }
+
+        // Any reply means the contact has derived our X3DH session, so stop sending its header
+        if (decryptedCount > 0) {
+          session.x3dhHeader = null;
+        }
       }
 
+      const messages = encryptedMessages.map(encMsg => {
+        const cached = messageCache.current.get(String(encMsg.id));
+        if (cached) {
+          return { ...cached, status: getDeliveryStatus(encMsg) };
+        }
+
+        let content = '[Message keys no longer available]';
+        if (failedIds.has(String(encMsg.id))) {
+          content = '[Failed to decrypt]';
+        } else if (isIncoming(encMsg) && devicesWithoutSession.has(senderDeviceOf(encMsg))) {
+          content = '[Encrypted - Session not available]';
+        }
+
+        return {
+          id: encMsg.id,
+          senderId: encMsg.senderId,
+          receiverId: encMsg.receiverId,
+          content,
+          timestamp: encMsg.timestamp,
+          type: 'text',
+          isEncrypted: false
+        };
+      });
+
       const conversation = {
         userId,
-        messages: decryptedMessages,
+        messages,
         lastActivity: Date.now(),
         unreadCount: 0
       };
 
       setConversations(prev => new Map(prev).set(userId, conversation));
 
-      if (decryptedMessages.length > 0 && highestSequence >= 0) {
+      if (messages.length > 0) {
         sequenceNumbers.current.set(userId, highestSequence);
       }
     } catch (error) {
@@ -472,47 +1022,556 @@ export function useMessaging(user, keys) {
     } finally {
       setIsLoading(false);
     }
+  }, [resolveIncomingSession, commitX3DHSession]);
+
+  /**
+   * Track a group's latest members and epoch and list it with the conversations
+   * @param {Object} group - Group from the API or a group_updated event
+   */
+  const applyGroup = useCallback((group) => {
+    const groupId = String(group.id);
+    groupInfo.current.set(groupId, group);
+
+    setConversations(prev => {
+      const existing = prev.get(groupId);
+      return new Map(prev).set(groupId, {
+        messages: [],
+        unreadCount: 0,
+        lastActivity: Date.now(),
+        ...existing,
+        userId: groupId,
+        username: group.name,
+        members: group.members,
+        admins: group.admins,
+        // Names stay known after members leave, for the group's history
+        memberNames: {
+          ...existing?.memberNames,
+          ...Object.fromEntries(group.members.map(member => [String(member.id), member.username]))
+        },
+        isGroup: true
+      });
+    });
   }, []);
 
   /**
-   * Set active conversation and mark as read
+   * Forget a group we left or were removed from, with every sender key for it
+   * @param {string} groupId - Group ID
    */
-  const selectConversation = useCallback(async (userId) => {
-    setActiveConversation(userId);
+  const forgetGroup = useCallback((groupId) => {
+    groupInfo.current.delete(groupId);
+    ownSenderKeys.current.delete(groupId);
+    for (const address of [...memberSenderKeys.current.keys()]) {
+      if (address.startsWith(`${groupId}:`)) {
+        memberSenderKeys.current.delete(address);
+      }
+    }
 
-    // Mark messages as read
-    const conversation = conversations.get(userId);
-    if (conversation && conversation.unreadCount > 0) {
-      const unreadMessages = conversation.messages
-        .filter(msg => msg.senderId === userId)
-        .slice(-conversation.unreadCount)
-        .map(msg => msg.id);
+    setConversations(prev => {
+      const newConversations = new Map(prev);
+      newConversations.delete(groupId);
+      return newConversations;
+    });
+    setActiveConversation(prev => (prev === groupId ? null : prev));
+  }, []);
 
-      try {
-        await apiService.markMessagesRead(unreadMessages);
-
-        // Update local state
-        setConversations(prev => {
-          const newConversations = new Map(prev);
-          const conv = { ...newConversations.get(userId) };
-          conv.unreadCount = 0;
-          newConversations.set(userId, conv);
-          return newConversations;
+  /**
+   * Load the groups the user is a member of
+   */
+  const loadGroups = useCallback(async () => {
+    const groups = await apiService.getGroups();
+    groups.forEach(applyGroup);
+    return groups;
+  }, [applyGroup]);
+
+  /**
+   * Sign a membership change so other members can check we made it
+   * @param {Object} event - { groupId, type, targetIds, name }
+   * @returns {Promise<{timestamp: string, signature: string}>}
+   */
+  const signGroupChange = useCallback(async (event) => {
+    if (!preKeys?.signingPrivateKey) {
+      throw new Error('Signing key not loaded');
+    }
+    return signGroupEvent(event, preKeys.signingPrivateKey);
+  }, [preKeys]);
+
+  /**
+   * Create a group with some of the user's contacts
+   * @param {string} name - Group name
+   * @param {Array<string>} memberIds - Contact user IDs
+   * @returns {Promise<Object>} - Created group
+   */
+  const createGroup = useCallback(async (name, memberIds) => {
+    const signed = await signGroupChange({ groupId: null, type: 'created', targetIds: memberIds, name });
+    const group = await apiService.createGroup(name, memberIds, signed);
+    applyGroup(group);
+    return group;
+  }, [signGroupChange, applyGroup]);
+
+  /**
+   * Make a signed membership change and show it in our own timeline, since the server only
+   * sends the event to the other members
+   * @param {string} groupId - Group ID
+   * @param {Object} event - { type, targetIds, name } to sign
+   * @param {Function} request - Called with { timestamp, signature }; resolves to the updated group
+   * @returns {Promise<Object|null>} - Updated group, or null if we are no longer a member
+   */
+  const changeGroup = useCallback(async (groupId, event, request) => {
+    const signed = await signGroupChange({ groupId, ...event });
+    const group = await request(signed);
+
+    if (group) {
+      applyGroup(group);
+      addMessageToConversation(groupId, {
+        id: `event-${signed.signature}`,
+        senderId: currentUserId,
+        receiverId: groupId,
+        type: 'system',
+        event: { targetIds: [], name: null, ...event },
+        timestamp: signed.timestamp,
+        isVerified: true
+      });
+    } else {
+      forgetGroup(groupId);
+    }
+    return group;
+  }, [signGroupChange, applyGroup, addMessageToConversation, currentUserId, forgetGroup]);
+
+  const renameGroup = useCallback((groupId, name) => changeGroup(
+    groupId,
+    { type: 'renamed', name: name.trim() },
+    signed => apiService.renameGroup(groupId, name.trim(), signed)
+  ), [changeGroup]);
+
+  const addGroupMember = useCallback((groupId, userId) => changeGroup(
+    groupId,
+    { type: 'member_added', targetIds: [userId] },
+    signed => apiService.addGroupMember(groupId, userId, signed)
+  ), [changeGroup]);
+
+  const removeGroupMember = useCallback((groupId, userId) => changeGroup(
+    groupId,
+    { type: 'member_removed', targetIds: [userId] },
+    signed => apiService.removeGroupMember(groupId, userId, signed)
+  ), [changeGroup]);
+
+  const setGroupAdmin = useCallback((groupId, userId, isAdmin) => changeGroup(
+    groupId,
+    { type: isAdmin ? 'admin_promoted' : 'admin_demoted', targetIds: [userId] },
+    signed => apiService.setGroupAdmin(groupId, userId, isAdmin, signed)
+  ), [changeGroup]);
+
+  const leaveGroup = useCallback((groupId) => changeGroup(
+    groupId,
+    { type: 'member_left' },
+    async signed => {
+      await apiService.leaveGroup(groupId, signed);
+      return null;
+    }
+  ), [changeGroup]);
+
+  /**
+   * Create an invite link for a group
+   * The link carries the group ID, since joining is signed over it
+   * @param {string} groupId - Group ID
+   * @param {number} expiresInHours - Hours until the link stops working
+   * @returns {Promise<{link: string, expiresAt: string}>}
+   */
+  const createGroupInviteLink = useCallback(async (groupId, expiresInHours) => {
+    const { token, expiresAt } = await apiService.createGroupInviteLink(groupId, expiresInHours);
+    return { link: `${window.location.origin}/#join=${groupId}:${token}`, expiresAt };
+  }, []);
+
+  const revokeGroupInviteLinks = useCallback(
+    (groupId) => apiService.revokeGroupInviteLinks(groupId),
+    []
+  );
+
+  /**
+   * Join a group with an invite link, or just the groupId:token part of it
+   * @param {string} link - Invite link
+   * @returns {Promise<Object>} - Joined group
+   */
+  const joinGroupWithInvite = useCallback(async (link) => {
+    const match = /([a-f0-9]{24}):([a-f0-9]{64})/i.exec(link);
+    if (!match) {
+      throw new Error('Invalid invite link');
+    }
+
+    const [, groupId, token] = match;
+    const signed = await signGroupChange({ groupId, type: 'member_joined' });
+    const group = await apiService.joinGroup(groupId, token, signed);
+    applyGroup(group);
+    return group;
+  }, [signGroupChange, applyGroup]);
+
+  /**
+   * Membership changed or we were added to a group. Our own sender key is replaced on the next
+   * send, since its epoch no longer matches
+   */
+  const handleGroupUpdated = useCallback((message) => {
+    const payload = message?.data || message;
+    if (payload?.id) {
+      applyGroup(payload);
+    }
+  }, [applyGroup]);
+
+  const handleGroupRemoved = useCallback((message) => {
+    const payload = message?.data || message;
+    if (payload?.groupId) {
+      forgetGroup(String(payload.groupId));
+    }
+  }, [forgetGroup]);
+
+  /**
+   * Process the sender keys distributed to this device for a group, e.g. while it was offline
+   * @param {string} groupId - Group ID
+   */
+  const fetchSenderKeys = useCallback(async (groupId) => {
+    const messages = await apiService.getSenderKeys(groupId);
+    messages.forEach(handleIncomingMessage);
+
+    // Distributions are decrypted in each sender's incoming queue
+    const senderIds = new Set(messages.map(msg => String(msg.senderId)));
+    await Promise.all([...senderIds].map(senderId => incomingQueues.current.get(senderId)));
+  }, [handleIncomingMessage]);
+
+  /**
+   * Find the sender key a group message was encrypted with
+   * The distribution can still be in the sender's incoming queue, or only on the server if we
+   * were offline when it was sent
+   * @returns {Promise<SenderKey|null>}
+   */
+  const findSenderKey = useCallback(async (groupId, senderId, keyId) => {
+    const address = senderKeyAddress(groupId, senderId, keyId);
+    if (!memberSenderKeys.current.has(address)) {
+      await incomingQueues.current.get(String(senderId));
+    }
+    if (!memberSenderKeys.current.has(address)) {
+      await fetchSenderKeys(groupId);
+    }
+    return memberSenderKeys.current.get(address) || null;
+  }, [fetchSenderKeys]);
+
+  /**
+   * Signing key of the device, or for senders without devices the account, a message came from
+   * @param {string} senderId - Sender user ID
+   * @param {string|null} senderDeviceId - Sending device
+   * @returns {Promise<CryptoKey>}
+   */
+  const getSenderSigningKey = useCallback(async (senderId, senderDeviceId = null) => {
+    if (!senderDeviceId) {
+      return (await getRemotePublicKey(senderId)).signingKey;
+    }
+
+    const findDevice = async (refresh) => (await getPeerDevices(senderId, refresh))
+      .find(device => device.deviceId === senderDeviceId);
+    const device = (await findDevice(false)) || (await findDevice(true));
+    if (!device) {
+      throw new Error('Message sent from an unknown device');
+    }
+    return (await importKeyBundle(device.keyBundle)).signingKey;
+  }, [getRemotePublicKey, getPeerDevices]);
+
+  /**
+   * Check a membership change was signed by the member it names, not made up by the server
+   * @param {Object} payload - System message from the API
+   * @returns {Promise<Object>} - Conversation message, with isVerified false if the signature fails
+   */
+  const verifyGroupEvent = useCallback(async (payload) => {
+    let isVerified = false;
+    try {
+      const signingKey = await getSenderSigningKey(payload.senderId, payload.senderDeviceId);
+      isVerified = await verifySignature(
+        base64ToArrayBuffer(payload.signature),
+        getGroupEventSignatureData({
+          ...payload.event,
+          groupId: payload.event.type === 'created' ? null : payload.groupId,
+          timestamp: payload.timestamp
+        }),
+        signingKey
+      );
+    } catch (verifyError) {
+      console.error('Failed to verify group event:', verifyError);
+    }
+
+    const message = {
+      id: payload.id,
+      senderId: payload.senderId,
+      receiverId: payload.groupId,
+      type: 'system',
+      event: payload.event,
+      timestamp: payload.timestamp,
+      isVerified
+    };
+    receivedMessageIds.current.add(payload.id);
+    messageCache.current.set(String(payload.id), message);
+    return message;
+  }, [getSenderSigningKey]);
+
+  /**
+   * Verify and decrypt a group message from another member
+   * @param {Object} payload - Group message envelope from the API
+   * @returns {Promise<Object>} - Conversation message
+   * @throws {Error} - If the sender key is missing or the message does not verify
+   */
+  const decryptGroupPayload = useCallback(async (payload) => {
+    const cached = messageCache.current.get(String(payload.id));
+    if (cached) {
+      return cached;
+    }
+
+    if (payload.messageType === 'system') {
+      return verifyGroupEvent(payload);
+    }
+
+    const senderKey = await findSenderKey(payload.groupId, payload.senderId, payload.keyId);
+    if (!senderKey) {
+      throw new Error('No sender key from this member');
+    }
+
+    // Every member holds the sender's chain key, so only the signature shows who wrote the message
+    const signingKey = await getSenderSigningKey(payload.senderId, payload.senderDeviceId);
+    const signed = await verifySignature(
+      base64ToArrayBuffer(payload.signature),
+      getEnvelopeSignatureData({ ...payload, sequenceNumber: payload.iteration, receiverId: payload.groupId }),
+      signingKey
+    );
+    if (!signed) {
+      throw new Error('Invalid group message signature');
+    }
+
+    const result = await decryptGroupMessage(senderKey, payload);
+    if (!result.isValid) {
+      throw new Error(result.error);
+    }
+
+    const message = {
+      id: payload.id,
+      senderId: payload.senderId,
+      receiverId: payload.groupId,
+      content: result.message,
+      type: 'text',
+      timestamp: payload.timestamp,
+      isEncrypted: true
+    };
+    receivedMessageIds.current.add(payload.id);
+    messageCache.current.set(String(payload.id), message);
+    return message;
+  }, [findSenderKey, getSenderSigningKey, verifyGroupEvent]);
+
+  const handleIncomingGroupMessage = useCallback((messageData) => {
+    const payload = messageData?.data || messageData;
+    if (!payload?.groupId || !payload.senderId || String(payload.senderId) === String(currentUserId)) {
+      return;
+    }
+    if (receivedMessageIds.current.has(payload.id)) {
+      return;
+    }
+
+    // Each group's messages are handled in order, as for a direct sender
+    const groupId = String(payload.groupId);
+    const previous = incomingQueues.current.get(groupId) || Promise.resolve();
+    const processing = previous
+      .then(async () => addMessageToConversation(groupId, await decryptGroupPayload(payload)))
+      .catch(error => {
+        console.error('Group message processing error:', error);
+        setError(`Group message decryption failed: ${error.message}`);
+      });
+    incomingQueues.current.set(groupId, processing);
+  }, [currentUserId, decryptGroupPayload, addMessageToConversation]);
+
+  /**
+   * Load a group's history, decrypting with the sender keys other members distributed to us
+   */
+  const loadGroupConversation = useCallback(async (groupId) => {
+    try {
+      setIsLoading(true);
+
+      const envelopes = await apiService.getGroupMessages(groupId);
+      const messages = [];
+
+      for (const envelope of envelopes) {
+        const placeholder = {
+          id: envelope.id,
+          senderId: envelope.senderId,
+          receiverId: groupId,
+          timestamp: envelope.timestamp,
+          type: 'text',
+          isEncrypted: false
+        };
+
+        // Our own message keys are gone after encryption, as for direct messages
+        if (envelope.messageType !== 'system' && String(envelope.senderId) === String(currentUserId)) {
+          const cached = messageCache.current.get(String(envelope.id));
+          messages.push(cached || { ...placeholder, content: '[Message keys no longer available]' });
+          continue;
+        }
+
+        try {
+          messages.push(await decryptGroupPayload(envelope));
+        } catch (decryptError) {
+          console.error('Failed to decrypt group message:', decryptError);
+          messages.push({ ...placeholder, content: '[Failed to decrypt]' });
+        }
+      }
+
+      setConversations(prev => {
+        const existing = prev.get(groupId);
+        return new Map(prev).set(groupId, { ...existing, messages, unreadCount: 0, lastActivity: Date.now() });
+      });
+    } catch (error) {
+      console.error('Load group conversation error:', error);
+      setError('Failed to load group conversation');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [currentUserId, decryptGroupPayload]);
+
+  /**
+   * Encrypt a message once for the whole group with our sender key
+   * Members who do not have the current key yet get it over their pairwise session first
+   */
+  const sendGroupMessage = useCallback(async (groupId, text) => {
+    if (!currentUserId || !preKeys?.signingPrivateKey) {
+      throw new Error('User not authenticated or signing key not loaded');
+    }
+
+    const send = async (group) => {
+      let own = ownSenderKeys.current.get(groupId);
+      if (!own || own.epoch !== group.epoch) {
+        own = { epoch: group.epoch, senderKey: SenderKey.generate(), distributedTo: new Set() };
+        ownSenderKeys.current.set(groupId, own);
+      }
+
+      for (const member of group.members) {
+        const memberId = String(member.id);
+        if (memberId === String(currentUserId) || own.distributedTo.has(memberId)) {
+          continue;
+        }
+        await sendEncryptedMessage(memberId, own.senderKey.toDistribution(own.epoch), {
+          messageType: 'sender_key',
+          groupId
         });
-      } catch (error) {
-        console.error('Failed to mark messages as read:', error);
+        own.distributedTo.add(memberId);
       }
+
+      const envelope = await createGroupMessage(own.senderKey, text, groupId, currentUserId, own.epoch);
+      const { signature } = await signMessageEnvelope(
+        { ...envelope, sequenceNumber: envelope.iteration, receiverId: groupId },
+        preKeys.signingPrivateKey
+      );
+
+      return apiService.sendGroupMessage(groupId, {
+        epoch: envelope.epoch,
+        keyId: envelope.keyId,
+        iteration: envelope.iteration,
+        ciphertext: envelope.ciphertext,
+        iv: envelope.iv,
+        authTag: envelope.authTag,
+        nonce: envelope.nonce,
+        timestamp: envelope.timestamp,
+        signature
+      });
+    };
+
+    try {
+      setIsLoading(true);
+
+      const group = groupInfo.current.get(groupId);
+      if (!group) {
+        throw new Error('Group not found');
+      }
+
+      let response;
+      try {
+        response = await send(group);
+      } catch (sendError) {
+        if (sendError.data?.code !== 'GROUP_EPOCH_MISMATCH') {
+          throw sendError;
+        }
+
+        // Membership changed since our last update; re-key for the current members
+        console.log('Group membership changed, distributing a new sender key');
+        await loadGroups();
+        response = await send(groupInfo.current.get(groupId));
+      }
+
+      const messageObj = {
+        id: response.messageId,
+        senderId: currentUserId,
+        receiverId: groupId,
+        content: text,
+        type: 'text',
+        timestamp: Date.now(),
+        isEncrypted: true,
+        status: 'sent'
+      };
+
+      messageCache.current.set(String(messageObj.id), messageObj);
+      addMessageToConversation(groupId, messageObj);
+      return messageObj;
+    } catch (error) {
+      console.error('Send group message error:', error);
+      setError(error.message || 'Failed to send group message');
+      throw error;
+    } finally {
+      setIsLoading(false);
     }
-  }, [conversations]);
+  }, [currentUserId, preKeys, sendEncryptedMessage, loadGroups, addMessageToConversation]);
 
   /**
-   * Key exchange handlers using SKEP
+   * Set active conversation and clear its unread badge
+   * Read receipts are sent by the effect below once its messages are on screen
    */
-  const initializeSessionState = useCallback((otherUserId) => {
-    sequenceNumbers.current.set(otherUserId, 0);
-    usedNonces.current.set(otherUserId, new Set());
-  }, []);
+  const selectConversation = useCallback((userId) => {
+    setActiveConversation(userId);
+
+    // Surface key change warnings as soon as the conversation is opened
+    if (!groupInfo.current.has(userId)) {
+      getRemotePublicKey(userId).catch(keyError => {
+        console.error('Key transparency check failed:', keyError);
+        setError(keyError.message);
+      });
+    }
+
+    setConversations(prev => {
+      const conversation = prev.get(userId);
+      if (!conversation || conversation.unreadCount === 0) {
+        return prev;
+      }
+      const newConversations = new Map(prev);
+      newConversations.set(userId, { ...conversation, unreadCount: 0 });
+      return newConversations;
+    });
+  }, [getRemotePublicKey]);
+
+  // Mark decrypted messages in the open conversation as read, including ones that arrive while it is open
+  useEffect(() => {
+    const conversation = activeConversation ? conversations.get(activeConversation) : null;
+    if (!conversation) {
+      return;
+    }
+
+    const unreadIds = conversation.messages
+      .filter(msg => msg.senderId === activeConversation && msg.isEncrypted && msg.id)
+      .map(msg => String(msg.id))
+      .filter(id => !readReceiptsSent.current.has(id));
+
+    if (unreadIds.length === 0) {
+      return;
+    }
 
+    unreadIds.forEach(id => readReceiptsSent.current.add(id));
+    apiService.markMessagesRead(unreadIds).catch(error => {
+      console.error('Failed to mark messages as read:', error);
+      unreadIds.forEach(id => readReceiptsSent.current.delete(id));
+    });
+  }, [activeConversation, conversations]);
+
+  /**
+   * Key exchange handlers using SKEP
+   */
   const handleKeyExchangeInitiate = useCallback(async (message) => {
     const payload = message?.data || message;
     if (!payload || !user || !rsaPrivateKey) {
@@ -556,7 +1615,18 @@ export function useMessaging(user, keys) {
 
     const pendingExchange = pendingExchanges.current.get(payload.exchangeId);
     if (!pendingExchange) {
+      // Our half of the exchange lived in memory and is gone, e.g. after a reload; give this one
+      // up so the responder drops it too and start over
       console.warn('No pending exchange found for response:', payload.exchangeId);
+      try {
+        await apiService.abandonKeyExchange(payload.exchangeId);
+        pendingSessions.current.delete(payload.senderId);
+        if (payload.senderId && !sessionManager.hasSession(payload.senderId)) {
+          await ensureKeyExchange(payload.senderId);
+        }
+      } catch (abandonError) {
+        console.error('Failed to restart key exchange:', abandonError);
+      }
       return;
     }
 
@@ -565,14 +1635,26 @@ export function useMessaging(user, keys) {
       const keyExchangeInstance = pendingExchange.keyExchangeInstance;
       const sessionId = payload.sessionId || `session_${Date.now()}_${user.id}_${pendingExchange.userId}`;
 
-      // Process the ephemeral message and get session keys
-      const result = await keyExchangeInstance.processEphemeralMessage(payload, sessionId);
+      // Verify the responder's signed ephemeral key, add our own and derive the session keys
+      const result = await keyExchangeInstance.completeAsInitiator(payload, sessionId, pendingExchange.userId);
 
       if (result && result.keys) {
+        // The responder needs our ephemeral key to derive the same keys before our first message
+        await apiService.confirmKeyExchange(payload.exchangeId, {
+          type: 'KEY_EXCHANGE_CONFIRM',
+          ephemeral: result.ephemeralMessage,
+          timestamp: Date.now()
+        });
+
+        // The responder's signed ephemeral key is the first remote ratchet key
+        const ratchet = await DoubleRatchet.initializeAsInitiator(result.keys, result.peerEphemeralKey);
+
         // Store the session keys in the session manager
         sessionManager.storeSession(pendingExchange.userId, {
           sessionKey: result.keys.encryptionKey,
           keys: result.keys,
+          ratchet,
+          exchangeId: payload.exchangeId,
           confirmed: true,
           createdAt: Date.now()
         });
@@ -589,7 +1671,7 @@ export function useMessaging(user, keys) {
       pendingExchanges.current.delete(payload.exchangeId);
       setError('Key exchange completion failed. Please retry.');
     }
-  }, [user, initializeSessionState, flushQueuedMessages]);
+  }, [user, initializeSessionState, flushQueuedMessages, ensureKeyExchange]);
 
   const handleKeyExchangeConfirmation = useCallback(async (message) => {
     const payload = message?.data || message;
@@ -597,28 +1679,116 @@ export function useMessaging(user, keys) {
       return;
     }
 
-    try {
-      // Process the key confirmation response
-      const pendingExchange = Array.from(pendingExchanges.current.values())
-        .find(ex => ex.userId === payload.senderId);
-
-      if (!pendingExchange) {
-        console.warn('No pending exchange found for confirmation:', payload.senderId);
-        return;
+    const pendingExchange = pendingExchanges.current.get(payload.exchangeId);
+    if (!pendingExchange || !payload.ephemeral) {
+      try {
+        if (sessionManager.getSession(payload.senderId)?.exchangeId === payload.exchangeId) {
+          // Already used, only the acknowledgement was lost
+          await apiService.acknowledgeKeyExchange(payload.exchangeId);
+        } else {
+          // Our half of the exchange is gone; the initiator drops the session it derived from it
+          console.warn('No pending exchange found for confirmation:', payload.exchangeId);
+          await apiService.abandonKeyExchange(payload.exchangeId);
+        }
+      } catch (settleError) {
+        console.error('Failed to settle key exchange confirmation:', settleError);
       }
+      return;
+    }
 
+    try {
+      // Derive the session keys from the initiator's signed ephemeral key
       const keyExchangeInstance = pendingExchange.keyExchangeInstance;
-      const result = await keyExchangeInstance.processKeyConfirmationResponse(payload);
+      const result = await keyExchangeInstance.processEphemeralMessage(payload.ephemeral, payload.ephemeral.sessionId);
+
+      // Our signed ephemeral key pair becomes the first ratchet key pair
+      const ratchet = await DoubleRatchet.initializeAsResponder(result.keys, result.localEphemeral);
+
+      sessionManager.storeSession(pendingExchange.userId, {
+        sessionKey: result.keys.encryptionKey,
+        keys: result.keys,
+        ratchet,
+        exchangeId: payload.exchangeId,
+        confirmed: true,
+        createdAt: Date.now()
+      });
+
+      initializeSessionState(pendingExchange.userId);
+      pendingExchanges.current.delete(payload.exchangeId);
+      pendingSessions.current.delete(pendingExchange.userId);
 
-      if (result.success) {
-        // Key exchange is now fully confirmed
-        console.log('SKEP key exchange confirmed with user:', payload.senderId);
+      try {
+        await apiService.acknowledgeKeyExchange(payload.exchangeId);
+      } catch (ackError) {
+        console.error('Failed to acknowledge key exchange confirmation:', ackError);
       }
+
+      // Replay messages that arrived before the session was ready
+      const heldMessages = pendingIncoming.current.get(pendingExchange.userId) || [];
+      pendingIncoming.current.delete(pendingExchange.userId);
+      heldMessages.forEach(held => handleIncomingMessage(held));
+
+      console.log('SKEP key exchange confirmed with user:', pendingExchange.userId);
     } catch (confirmationError) {
       console.error('Failed to handle key exchange confirmation:', confirmationError);
+      pendingExchanges.current.delete(payload.exchangeId);
+      pendingIncoming.current.delete(pendingExchange.userId);
+      apiService.abandonKeyExchange(payload.exchangeId).catch(abandonError => {
+        console.error('Failed to abandon key exchange:', abandonError);
+      });
       setError('Key exchange confirmation failed.');
     }
-  }, [user]);
+  }, [user, initializeSessionState, handleIncomingMessage]);
+
+  /**
+   * The other party gave up on an exchange; drop our half and any session derived from it
+   */
+  const handleKeyExchangeAbandoned = useCallback(async (message) => {
+    const payload = message?.data || message;
+    if (!payload?.exchangeId) {
+      return;
+    }
+
+    pendingExchanges.current.delete(payload.exchangeId);
+
+    if (payload.userId && sessionManager.getSession(payload.userId)?.exchangeId === payload.exchangeId) {
+      sessionManager.removeSession(payload.userId);
+      pendingSessions.current.delete(payload.userId);
+      try {
+        await ensureKeyExchange(payload.userId);
+      } catch (restartError) {
+        console.error('Failed to restart key exchange:', restartError);
+      }
+    }
+  }, [ensureKeyExchange]);
+
+  /**
+   * A device was revoked; if it is this one, its keys are no longer listed and it must sign out
+   */
+  const handleDeviceRevoked = useCallback((message) => {
+    const payload = message?.data || message;
+    if (payload?.deviceId && payload.deviceId === preKeys?.record.deviceId) {
+      setError('This device was signed out from another device');
+      setDeviceRevoked(true);
+    }
+  }, [preKeys]);
+
+  /**
+   * A contact published new identity keys, e.g. after a password reset; re-check their key log
+   * now so the key change warning shows up without waiting for the next message
+   */
+  const handleContactKeysChanged = useCallback(async (message) => {
+    const payload = message?.data || message;
+    if (!payload?.userId) {
+      return;
+    }
+
+    try {
+      await getRemotePublicKey(payload.userId, true);
+    } catch (keyError) {
+      console.error('Failed to refresh contact keys:', keyError);
+    }
+  }, [getRemotePublicKey]);
 
   /**
    * Connect to WebSocket for real-time messaging
@@ -646,6 +1816,36 @@ export function useMessaging(user, keys) {
       apiService.onWebSocketMessage('key_exchange_initiate', handleKeyExchangeInitiate);
       apiService.onWebSocketMessage('key_exchange_response', handleKeyExchangeResponse);
       apiService.onWebSocketMessage('key_exchange_confirmation', handleKeyExchangeConfirmation);
+      apiService.onWebSocketMessage('key_exchange_abandoned', handleKeyExchangeAbandoned);
+      apiService.onWebSocketMessage('messages_delivered', handleMessagesDelivered);
+      apiService.onWebSocketMessage('messages_read', handleMessagesRead);
+      apiService.onWebSocketMessage('device_revoked', handleDeviceRevoked);
+      apiService.onWebSocketMessage('contact_keys_changed', handleContactKeysChanged);
+      apiService.onWebSocketMessage('group_message', handleIncomingGroupMessage);
+      apiService.onWebSocketMessage('group_updated', handleGroupUpdated);
+      apiService.onWebSocketMessage('group_removed', handleGroupRemoved);
+
+      // Replay key exchanges relayed while we were offline
+      try {
+        const pendingKeyExchanges = await apiService.getPendingKeyExchanges();
+        for (const exchange of pendingKeyExchanges) {
+          if (exchange.stage === 'request') {
+            await handleKeyExchangeInitiate({ data: exchange });
+          } else if (exchange.stage === 'response') {
+            await handleKeyExchangeResponse({ data: exchange });
+          } else if (exchange.stage === 'confirmation') {
+            await handleKeyExchangeConfirmation({ data: exchange });
+          }
+        }
+      } catch (pendingError) {
+        console.error('Failed to fetch pending key exchanges:', pendingError);
+      }
+
+      try {
+        await loadGroups();
+      } catch (groupError) {
+        console.error('Failed to fetch groups:', groupError);
+      }
 
       console.log('WebSocket connection setup completed');
     } catch (error) {
@@ -653,7 +1853,7 @@ export function useMessaging(user, keys) {
       setError('Failed to connect to messaging service');
       setIsConnected(false);
     }
-  }, [handleIncomingMessage, handleKeyExchangeInitiate, handleKeyExchangeResponse, handleKeyExchangeConfirmation]);
+  }, [handleIncomingMessage, handleKeyExchangeInitiate, handleKeyExchangeResponse, handleKeyExchangeConfirmation, handleKeyExchangeAbandoned, handleMessagesDelivered, handleMessagesRead, handleDeviceRevoked, handleContactKeysChanged, handleIncomingGroupMessage, handleGroupUpdated, handleGroupRemoved, loadGroups]);
 
   /**
    * Disconnect from WebSocket
@@ -678,25 +1878,44 @@ export function useMessaging(user, keys) {
       sessionManager.clearAllSessions();
       sequenceNumbers.current.clear();
       usedNonces.current.clear();
+      setDeviceRevoked(false);
     }
 
     const pendingExchangeMap = pendingExchanges.current;
     const peerKeyCache = cachedPeerKeys.current;
+    const peerDeviceCache = cachedPeerDevices.current;
     const sequenceMap = sequenceNumbers.current;
     const nonceMap = usedNonces.current;
     const pendingSessionMap = pendingSessions.current;
     const queuedMessageMap = pendingMessages.current;
     const seenMessageSet = receivedMessageIds.current;
+    const readReceiptSet = readReceiptsSent.current;
+    const plaintextCache = messageCache.current;
+    const heldIncomingMap = pendingIncoming.current;
+    const x3dhSetupMap = x3dhSetups.current;
+    const incomingQueueMap = incomingQueues.current;
+    const groupMap = groupInfo.current;
+    const ownSenderKeyMap = ownSenderKeys.current;
+    const memberSenderKeyMap = memberSenderKeys.current;
 
     return () => {
       disconnectFromWebSocket();
       pendingExchangeMap.clear();
       peerKeyCache.clear();
+      peerDeviceCache.clear();
       sequenceMap.clear();
       nonceMap.clear();
       pendingSessionMap.clear();
       queuedMessageMap.clear();
       seenMessageSet.clear();
+      readReceiptSet.clear();
+      plaintextCache.clear();
+      heldIncomingMap.clear();
+      x3dhSetupMap.clear();
+      incomingQueueMap.clear();
+      groupMap.clear();
+      ownSenderKeyMap.clear();
+      memberSenderKeyMap.clear();
     };
   }, [user, keys.rsaPrivate, connectToWebSocket, disconnectFromWebSocket]);
 
@@ -707,6 +1926,116 @@ export function useMessaging(user, keys) {
     setError(null);
   }, []);
 
+  /**
+   * Compute the safety number for a conversation from both parties' current identity keys
+   * @param {string} otherUserId - Contact user ID
+   * @returns {Promise<Object>} - Safety number plus the contact's key IDs it covers
+   */
+  const getSafetyNumber = useCallback(async (otherUserId) => {
+    if (!preKeys) {
+      throw new Error('Identity keys not loaded');
+    }
+
+    // Always compare against the contact's latest logged keys, not a cached copy
+    const { keyBundle } = await getRemotePublicKey(otherUserId, true);
+
+    // Safety numbers cover the account identity keys, which only the first device holds itself
+    const ownLog = await apiService.getKeyLog(currentUserId);
+    await verifyKeyLog(currentUserId, ownLog, null);
+    const ownBundle = ownLog.keyBundle;
+
+    const safetyNumber = await generateSafetyNumber(
+      { userId: currentUserId, identityKey: ownBundle.identityKey.publicKey, signingKey: ownBundle.signingKey.publicKey },
+      { userId: otherUserId, identityKey: keyBundle.identityKey.publicKey, signingKey: keyBundle.signingKey.publicKey }
+    );
+
+    return {
+      ...safetyNumber,
+      identityKeyId: keyBundle.identityKey.keyId,
+      signingKeyId: keyBundle.signingKey.keyId
+    };
+  }, [preKeys, currentUserId, getRemotePublicKey]);
+
+  /**
+   * Mark a contact as verified for the keys behind a safety number the user compared
+   * @param {string} otherUserId - Contact user ID
+   * @param {Object} safetyNumber - Result of getSafetyNumber
+   */
+  const markContactVerified = useCallback((otherUserId, safetyNumber) => {
+    const verification = {
+      identityKeyId: safetyNumber.identityKeyId,
+      signingKeyId: safetyNumber.signingKeyId,
+      verifiedAt: Date.now(),
+      brokenAt: null
+    };
+    saveContactVerification(currentUserId, otherUserId, verification);
+    setVerifiedContacts(prev => new Map(prev).set(otherUserId, verification));
+
+    // Verifying the new keys settles any pending key change warning
+    acknowledgeKeyChange(currentUserId, otherUserId);
+    setKeyChanges(prev => {
+      const next = new Map(prev);
+      next.delete(otherUserId);
+      return next;
+    });
+  }, [currentUserId]);
+
+  /**
+   * Remove a contact's verified status
+   * @param {string} otherUserId - Contact user ID
+   */
+  const clearContactVerification = useCallback((otherUserId) => {
+    saveContactVerification(currentUserId, otherUserId, null);
+    setVerifiedContacts(prev => {
+      const next = new Map(prev);
+      next.delete(otherUserId);
+      return next;
+    });
+  }, [currentUserId]);
+
+  /**
+   * Dismiss the key change warning for a contact
+   * @param {string} otherUserId - Contact user ID
+   */
+  const dismissKeyChange = useCallback((otherUserId) => {
+    acknowledgeKeyChange(currentUserId, otherUserId);
+    setKeyChanges(prev => {
+      const next = new Map(prev);
+      next.delete(otherUserId);
+      return next;
+    });
+  }, [currentUserId]);
+
+  /**
+   * Block a user; their conversation stays so it can still be read or reported
+   * @param {string} userId - User to block
+   * @returns {Promise<Object>} - Blocked user
+   */
+  const blockUser = useCallback(async (userId) => {
+    const { blocked } = await apiService.blockUser(userId);
+    return blocked;
+  }, []);
+
+  /**
+   * Report a user, attaching the decrypted text of the chosen messages they sent us
+   * @param {string} userId - User to report
+   * @param {Object} report - { reason, details, messageIds, block }
+   * @returns {Promise<Object>} - { reportId, blocked }
+   */
+  const reportUser = useCallback(async (userId, { reason, details = '', messageIds = [], block = false }) => {
+    if (!preKeys?.signingPrivateKey) {
+      throw new Error('Signing key not loaded');
+    }
+
+    const chosen = new Set(messageIds.map(String));
+    const evidence = (conversations.get(userId)?.messages || [])
+      .filter(msg => chosen.has(String(msg.id)) && String(msg.senderId) === String(userId))
+      .map(msg => ({ messageId: String(msg.id), content: msg.content }));
+
+    const signed = await signReport({ reportedUserId: userId, reason, details, evidence }, preKeys.signingPrivateKey);
+    return apiService.reportUser({ userId, reason, details, evidence, block }, signed);
+  }, [preKeys, conversations]);
+
   /**
    * Create a conversation for a contact if it doesn't exist
    */
@@ -717,7 +2046,7 @@ export function useMessaging(user, keys) {
         newConversations.set(contact.id, {
           userId: contact.id,
           username: contact.username,
-          publicKey: contact.publicKey,
+          keyBundle: contact.keyBundle,
           messages: [],
           unreadCount: 0,
           lastActivity: new Date().toISOString(),
@@ -734,10 +2063,32 @@ export function useMessaging(user, keys) {
     isConnected,
     isLoading,
     error,
+    keyChanges,
+    verifiedContacts,
+    deviceRevoked,
     sendMessage,
+    sendFile,
+    downloadFile,
     loadConversation,
+    createGroup,
+    renameGroup,
+    addGroupMember,
+    removeGroupMember,
+    setGroupAdmin,
+    leaveGroup,
+    createGroupInviteLink,
+    revokeGroupInviteLinks,
+    joinGroupWithInvite,
+    blockUser,
+    reportUser,
+    sendGroupMessage,
+    loadGroupConversation,
     selectConversation,
     createConversationForContact,
+    dismissKeyChange,
+    getSafetyNumber,
+    markContactVerified,
+    clearContactVerification,
     clearError
   };
 }
\ No newline at end of file
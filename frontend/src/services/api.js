@@ -5,6 +5,7 @@
  */
 
 import { io } from 'socket.io-client';
+import { startRegistration, startAuthentication } from '@simplewebauthn/browser';
 
 // API Configuration from environment variables
 const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:3000/api';
@@ -13,6 +14,9 @@ const WS_BASE_URL = import.meta.env.VITE_WS_URL || 'http://localhost:3000';
 class ApiService {
   constructor() {
     this.authToken = null;
+    this.refreshToken = null;
+    this.refreshPromise = null; // Refresh in flight, shared so a rotated token is only used once
+    this.deviceId = null;
     this.socket = null;
     this.messageHandlers = new Map();
     this.connectionListeners = new Set();
@@ -30,6 +34,24 @@ class ApiService {
     } else {
       sessionStorage.removeItem('authToken');
     }
+
+    // Reconnects authenticate with the current token
+    if (this.socket) {
+      this.socket.auth = { ...this.socket.auth, token };
+    }
+  }
+
+  /**
+   * Set the refresh token of this session, rotated by every refreshAccessToken
+   * @param {string|null} token - Refresh token from the backend
+   */
+  setRefreshToken(token) {
+    this.refreshToken = token;
+    if (token) {
+      sessionStorage.setItem('refreshToken', token);
+    } else {
+      sessionStorage.removeItem('refreshToken');
+    }
   }
 
   /**
@@ -37,6 +59,55 @@ class ApiService {
    */
   loadAuthToken() {
     this.authToken = sessionStorage.getItem('authToken');
+    this.refreshToken = sessionStorage.getItem('refreshToken');
+  }
+
+  /**
+   * Get a new access token with the refresh token
+   * Concurrent callers share one request: the refresh token is rotated, and sending the old one
+   * twice would look like token theft to the server and end the session
+   * @returns {Promise<boolean>} - Whether a new access token was stored
+   */
+  async refreshAccessToken() {
+    if (!this.refreshToken) {
+      return false;
+    }
+
+    if (!this.refreshPromise) {
+      this.refreshPromise = fetch(`${API_BASE_URL}/auth/refresh`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refreshToken: this.refreshToken }),
+      })
+        .then(async (response) => {
+          if (!response.ok) {
+            this.setRefreshToken(null);
+            return false;
+          }
+
+          const { token, refreshToken } = await response.json();
+          this.setAuthToken(token);
+          this.setRefreshToken(refreshToken);
+          return true;
+        })
+        .catch((error) => {
+          console.error('Token refresh error:', error);
+          return false;
+        })
+        .finally(() => {
+          this.refreshPromise = null;
+        });
+    }
+
+    return this.refreshPromise;
+  }
+
+  /**
+   * Set the ID of this browser's device, sent with every request and socket connection
+   * @param {string|null} deviceId - Device ID from the local prekey record
+   */
+  setDeviceId(deviceId) {
+    this.deviceId = deviceId;
   }
 
   /**
@@ -51,6 +122,10 @@ class ApiService {
     if (this.authToken) {
       headers.Authorization = `Bearer ${this.authToken}`;
     }
+
+    if (this.deviceId) {
+      headers['X-Device-Id'] = this.deviceId;
+    }
     
     return headers;
   }
@@ -59,9 +134,10 @@ class ApiService {
    * Make authenticated API request
    * @param {string} endpoint - API endpoint (without base URL)
    * @param {Object} options - Fetch options
+   * @param {boolean} retry - Refresh an expired access token and retry once
    * @returns {Promise<Object>} - Response data
    */
-  async apiRequest(endpoint, options = {}) {
+  async apiRequest(endpoint, options = {}, retry = true) {
     const url = `${API_BASE_URL}${endpoint}`;
     
     const requestOptions = {
@@ -77,10 +153,18 @@ class ApiService {
       
       if (!response.ok) {
         if (response.status === 401) {
+          // Access tokens are short-lived; the session may still be valid
+          if (retry && this.authToken && await this.refreshAccessToken()) {
+            return this.apiRequest(endpoint, options, false);
+          }
           this.setAuthToken(null);
           throw new Error('Authentication required');
         }
-        throw new Error(`API request failed: ${response.status} ${response.statusText}`);
+        // Keep the status and JSON body so callers can react to specific errors
+        const error = new Error(`API request failed: ${response.status} ${response.statusText}`);
+        error.status = response.status;
+        error.data = await response.json().catch(() => null);
+        throw error;
       }
 
       const contentType = response.headers.get('content-type');
@@ -102,26 +186,26 @@ class ApiService {
    * @param {string} email - User email
    * @param {string} username - Username
    * @param {string} password - Password
-   * @param {string} publicKey - Base64 encoded public key
+   * @param {Object} keyBundle - Signed public key bundle from createKeyBundle
    * @returns {Promise<Object>} - Registration response
    */
-  async register(email, username, password, publicKey) {
+  async register(email, username, password, keyBundle) {
     return this.apiRequest('/auth/register', {
       method: 'POST',
       body: JSON.stringify({
         email,
         username,
         password,
-        publicKey, // Only public key is sent to server
+        keyBundle, // Only public keys are sent to server
       }),
     });
   }
 
   /**
-   * Login user - sends OTP to email
+   * Login user - sends OTP to email, or asks for an authenticator app code if one is set up
    * @param {string} identifier - Username or email
    * @param {string} password - Password
-   * @returns {Promise<Object>} - OTP sent response
+   * @returns {Promise<Object>} - { message, methods, loginChallenge? }
    */
   async login(identifier, password) {
     return this.apiRequest('/auth/login', {
@@ -133,22 +217,188 @@ class ApiService {
   /**
    * Verify OTP for login
    * @param {string} identifier - Username or email used for login
-   * @param {string} otp - OTP code
+   * @param {string} otp - Emailed OTP, authenticator app code or backup code
+   * @param {string} method - 'email', 'totp' or 'backup_code'
+   * @param {string|null} loginChallenge - From the login response, needed for the last two
    * @returns {Promise<Object>} - Login response with token
    */
-  async verifyOtp(identifier, otp) {
+  async verifyOtp(identifier, otp, method = 'email', loginChallenge = null) {
     const response = await this.apiRequest('/auth/verify-otp', {
       method: 'POST',
-      body: JSON.stringify({ identifier, otp }),
+      body: JSON.stringify({ identifier, otp, method, loginChallenge }),
     });
 
     if (response.token) {
       this.setAuthToken(response.token);
+      this.setRefreshToken(response.refreshToken);
     }
 
     return response;
   }
 
+  /**
+   * Email an OTP for confirming a password change
+   * @returns {Promise<Object>} - OTP sent response
+   */
+  async requestPasswordChangeOtp() {
+    return this.apiRequest('/auth/change-password/otp', {
+      method: 'POST',
+    });
+  }
+
+  /**
+   * Change the password; the server signs out every other session
+   * @param {string} currentPassword - Current password
+   * @param {string} newPassword - New password
+   * @param {string} otp - OTP from requestPasswordChangeOtp
+   * @returns {Promise<Object>} - { success }
+   */
+  async changePassword(currentPassword, newPassword, otp) {
+    return this.apiRequest('/auth/change-password', {
+      method: 'POST',
+      body: JSON.stringify({ currentPassword, newPassword, otp }),
+    });
+  }
+
+  /**
+   * Whether an authenticator app is enabled
+   * @returns {Promise<Object>} - { enabled, backupCodesRemaining }
+   */
+  async getTotpStatus() {
+    return this.apiRequest('/auth/totp');
+  }
+
+  /**
+   * Start authenticator app setup
+   * @param {string} password - Account password
+   * @returns {Promise<Object>} - { secret, otpauthUrl }
+   */
+  async setupTotp(password) {
+    return this.apiRequest('/auth/totp/setup', {
+      method: 'POST',
+      body: JSON.stringify({ password }),
+    });
+  }
+
+  /**
+   * Turn the authenticator app on with its first code
+   * @param {string} code - Current code from the app
+   * @returns {Promise<Object>} - { success, backupCodes }
+   */
+  async enableTotp(code) {
+    return this.apiRequest('/auth/totp/enable', {
+      method: 'POST',
+      body: JSON.stringify({ code }),
+    });
+  }
+
+  /**
+   * Turn the authenticator app off; logins go back to emailed OTPs
+   * @param {string} password - Account password
+   * @param {string} code - Authenticator app code or backup code
+   * @returns {Promise<Object>} - { success }
+   */
+  async disableTotp(password, code) {
+    return this.apiRequest('/auth/totp/disable', {
+      method: 'POST',
+      body: JSON.stringify({ password, code }),
+    });
+  }
+
+  /**
+   * Create a passkey on this device and register it with the account
+   * @param {string} name - Label shown in the passkey list
+   * @param {string} password - Account password
+   * @returns {Promise<Object>} - { success, credential }
+   */
+  async registerPasskey(name, password) {
+    const optionsJSON = await this.apiRequest('/auth/webauthn/register/options', {
+      method: 'POST',
+      body: JSON.stringify({ password }),
+    });
+
+    // Prompts the user; throws if they cancel or the authenticator refuses
+    const response = await startRegistration({ optionsJSON });
+
+    return this.apiRequest('/auth/webauthn/register/verify', {
+      method: 'POST',
+      body: JSON.stringify({ response, name, password }),
+    });
+  }
+
+  /**
+   * List the account's passkeys
+   * @returns {Promise<Object>} - { credentials }
+   */
+  async getPasskeys() {
+    return this.apiRequest('/auth/webauthn/credentials');
+  }
+
+  /**
+   * Remove a passkey from the account
+   * @param {string} credentialId - Passkey ID from getPasskeys
+   * @param {string} password - Account password
+   * @returns {Promise<Object>} - { success }
+   */
+  async deletePasskey(credentialId, password) {
+    return this.apiRequest(`/auth/webauthn/credentials/${credentialId}`, {
+      method: 'DELETE',
+      body: JSON.stringify({ password }),
+    });
+  }
+
+  /**
+   * Sign in with a passkey, as the second factor after login() or without a password
+   * @param {string|null} identifier - Username or email for a second-factor login; null for passwordless
+   * @param {string|null} loginChallenge - From the login response, for a second-factor login
+   * @returns {Promise<Object>} - Login response with token, like verifyOtp
+   */
+  async loginWithPasskey(identifier = null, loginChallenge = null) {
+    const optionsJSON = await this.apiRequest('/auth/webauthn/login/options', {
+      method: 'POST',
+      body: JSON.stringify({ identifier, loginChallenge }),
+    });
+
+    const response = await startAuthentication({ optionsJSON });
+
+    const result = await this.apiRequest('/auth/webauthn/login/verify', {
+      method: 'POST',
+      body: JSON.stringify({ response, identifier, loginChallenge }),
+    });
+
+    if (result.token) {
+      this.setAuthToken(result.token);
+      this.setRefreshToken(result.refreshToken);
+    }
+
+    return result;
+  }
+
+  /**
+   * Email a single-use password reset link
+   * @param {string} email - Account email
+   * @returns {Promise<Object>} - Same response whether or not the account exists
+   */
+  async forgotPassword(email) {
+    return this.apiRequest('/auth/forgot-password', {
+      method: 'POST',
+      body: JSON.stringify({ email }),
+    });
+  }
+
+  /**
+   * Set a new password with the token from a reset link; every earlier token is revoked
+   * @param {string} token - Reset token from the emailed link
+   * @param {string} newPassword - New password
+   * @returns {Promise<Object>} - { success, email }
+   */
+  async resetPassword(token, newPassword) {
+    return this.apiRequest('/auth/reset-password', {
+      method: 'POST',
+      body: JSON.stringify({ token, newPassword }),
+    });
+  }
+
   /**
    * Logout user
    * @returns {Promise<void>}
@@ -161,11 +411,34 @@ class ApiService {
     } catch (error) {
       console.error('Logout error:', error);
     } finally {
-      this.setAuthToken(null);
-      this.disconnectWebSocket();
+      this.clearSession();
+    }
+  }
+
+  /**
+   * Log out every session of the account, this one included
+   * @returns {Promise<Object>} - { success, revokedSessions }
+   */
+  async logoutAllSessions() {
+    try {
+      return await this.apiRequest('/auth/logout-all', {
+        method: 'POST',
+      });
+    } finally {
+      this.clearSession();
     }
   }
 
+  /**
+   * Forget this session's tokens and close the socket
+   */
+  clearSession() {
+    this.setAuthToken(null);
+    this.setRefreshToken(null);
+    this.setDeviceId(null);
+    this.disconnectWebSocket();
+  }
+
   /**
    * Verify current token validity
    * @returns {Promise<Object>} - User info if token is valid
@@ -193,50 +466,301 @@ class ApiService {
   }
 
   /**
-   * Get user's public key
-   * @param {string} userId - User ID to get public key for
-   * @returns {Promise<string>} - Base64 encoded public key
+   * Get a user's public key bundle
+   * @param {string} userId - User ID to get keys for
+   * @returns {Promise<Object>} - Key bundle, verify with importKeyBundle before use
    */
   async getUserPublicKey(userId) {
-    const response = await this.apiRequest(`/user/${userId}/publickey`);
-    return response.publicKey;
+    const response = await this.apiRequest(`/users/${userId}/keys`);
+    return response.keyBundle;
   }
 
   /**
-   * Update user's public key
-   * @param {string} publicKey - New public key (base64 encoded)
+   * Get a user's key bundle with the key transparency log entries that prove it
+   * @param {string} userId - User ID to get keys for
+   * @param {number} since - Sequence number of the last log entry already verified
+   * @returns {Promise<Object>} - { keyBundle, head, entries }
+   */
+  async getKeyLog(userId, since = 0) {
+    return this.apiRequest(`/users/${userId}/keys/log?since=${since}`);
+  }
+
+  /**
+   * Replace the current user's public key bundle
+   * @param {Object} keyBundle - Signed key bundle from createKeyBundle
+   * @param {string} password - Account password, re-checked before the identity keys change
    * @returns {Promise<Object>} - Update response
    */
-  async updatePublicKey(publicKey) {
-    return this.apiRequest('/user/publickey', {
+  async updatePublicKey(keyBundle, password) {
+    return this.apiRequest('/users/keys', {
+      method: 'PUT',
+      body: JSON.stringify({ keyBundle, password }),
+    });
+  }
+
+  // Device API calls
+
+  /**
+   * Register this device, or refresh its key bundle on a later login
+   * @param {string} deviceId - Device ID
+   * @param {string} name - Label shown in the device list
+   * @param {Object} keyBundle - Signed key bundle for this device's identity keys
+   * @param {string|null} accountSignature - Endorsement by the account signing key, if this device holds it
+   * @returns {Promise<Object>} - Registered device
+   */
+  async registerDevice(deviceId, name, keyBundle, accountSignature = null) {
+    return this.apiRequest(`/devices/${deviceId}`, {
+      method: 'PUT',
+      body: JSON.stringify({ name, keyBundle, accountSignature }),
+    });
+  }
+
+  /**
+   * Endorse another of the current user's devices with the account signing key
+   * @param {string} deviceId - Device ID
+   * @param {string} accountSignature - Signature from signDeviceBundle over the device's bundle
+   * @returns {Promise<Object>} - Endorsed device
+   */
+  async endorseDevice(deviceId, accountSignature) {
+    return this.apiRequest(`/devices/${deviceId}/endorsement`, {
       method: 'PUT',
+      body: JSON.stringify({ accountSignature }),
+    });
+  }
+
+  /**
+   * List the current user's devices
+   * @returns {Promise<Array>} - Devices, with `current` set for this one
+   */
+  async getDevices() {
+    const response = await this.apiRequest('/devices');
+    return response.devices || [];
+  }
+
+  /**
+   * Revoke one of the current user's devices
+   * @param {string} deviceId - Device ID
+   * @returns {Promise<Object>} - Revoke response
+   */
+  async revokeDevice(deviceId) {
+    return this.apiRequest(`/devices/${deviceId}`, {
+      method: 'DELETE',
+    });
+  }
+
+  /**
+   * Get another user's devices, each of which needs its own ciphertext
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} - Endorsed devices with key bundles, verify before use
+   */
+  async getUserDevices(userId) {
+    const response = await this.apiRequest(`/users/${userId}/devices`);
+    return response.devices || [];
+  }
+
+  /**
+   * Ask an existing device to transfer its identity to this one
+   * @param {string} publicKey - Base64 ephemeral P-384 public key of this device
+   * @returns {Promise<Object>} - Link request with its linkId
+   */
+  async createDeviceLink(publicKey) {
+    return this.apiRequest('/devices/links', {
+      method: 'POST',
       body: JSON.stringify({ publicKey }),
     });
   }
 
   /**
-   * Search for users (for contact list)
-   * @param {string} query - Search query (username or email)
-   * @returns {Promise<Array>} - Array of user objects
+   * Get a link request, including the encrypted transfer once it was approved
+   * @param {string} linkId - Link request ID
+   * @returns {Promise<Object>} - Link request
    */
-  async searchUsers(query) {
-    return this.apiRequest(`/user/search?q=${encodeURIComponent(query)}`);
+  async getDeviceLink(linkId) {
+    return this.apiRequest(`/devices/links/${linkId}`);
   }
 
   /**
-   * Add a contact by username or email
-   * @param {string} identifier - Username or email to add as contact
-   * @param {string} type - Type of identifier ('username' or 'email')
-   * @returns {Promise<Object>} - Contact response
+   * Approve a link request from another device with the encrypted transfer
+   * @param {string} linkId - Link request ID
+   * @param {Object} transfer - { publicKey, ciphertext, iv, authTag }
+   * @returns {Promise<Object>} - Approve response
    */
-  async addContact(identifier, type = 'username') {
-    const payload = type === 'email' 
-      ? { email: identifier }
-      : { username: identifier };
-      
-    return this.apiRequest('/users/add-contact', {
+  async approveDeviceLink(linkId, transfer) {
+    return this.apiRequest(`/devices/links/${linkId}/approve`, {
       method: 'POST',
-      body: JSON.stringify(payload),
+      body: JSON.stringify(transfer),
+    });
+  }
+
+  /**
+   * Remove a link request once its transfer was imported, or to cancel it
+   * @param {string} linkId - Link request ID
+   * @returns {Promise<Object>} - Delete response
+   */
+  async deleteDeviceLink(linkId) {
+    return this.apiRequest(`/devices/links/${linkId}`, {
+      method: 'DELETE',
+    });
+  }
+
+  /**
+   * Search for users to send contact requests to
+   * Usernames match by prefix; an email address only matches exactly, and only users who allow it
+   * @param {string} query - Username prefix or email address
+   * @param {number} page - Page of results, from 1
+   * @returns {Promise<Object>} - { users, page, limit, hasMore }
+   */
+  async searchUsers(query, page = 1) {
+    return this.apiRequest(`/users/search?q=${encodeURIComponent(query)}&page=${page}`);
+  }
+
+  /**
+   * Change the current user's privacy settings
+   * @param {Object} settings - { discoverableByEmail }
+   * @returns {Promise<Object>} - { privacy }
+   */
+  async updatePrivacy(settings) {
+    return this.apiRequest('/users/privacy', {
+      method: 'PATCH',
+      body: JSON.stringify(settings),
+    });
+  }
+
+  /**
+   * Ask another user to become contacts
+   * If they already asked us, their request is accepted and the response includes the contact
+   * @param {string} username - Username of the user to ask
+   * @returns {Promise<Object>} - { request, contact? }
+   */
+  async sendContactRequest(username) {
+    return this.apiRequest('/users/contact-requests', {
+      method: 'POST',
+      body: JSON.stringify({ username }),
+    });
+  }
+
+  /**
+   * Get pending contact requests sent to and by the current user
+   * @returns {Promise<{incoming: Array, outgoing: Array}>}
+   */
+  async getContactRequests() {
+    return this.apiRequest('/users/contact-requests');
+  }
+
+  /**
+   * Accept a contact request sent to us
+   * @param {string} requestId - Request ID
+   * @returns {Promise<Object>} - { request, contact }
+   */
+  async acceptContactRequest(requestId) {
+    return this.apiRequest(`/users/contact-requests/${requestId}/accept`, {
+      method: 'POST',
+    });
+  }
+
+  /**
+   * Decline a contact request sent to us
+   * @param {string} requestId - Request ID
+   * @returns {Promise<Object>} - { request }
+   */
+  async declineContactRequest(requestId) {
+    return this.apiRequest(`/users/contact-requests/${requestId}/decline`, {
+      method: 'POST',
+    });
+  }
+
+  /**
+   * Cancel a contact request we sent
+   * @param {string} requestId - Request ID
+   * @returns {Promise<Object>} - { request }
+   */
+  async cancelContactRequest(requestId) {
+    return this.apiRequest(`/users/contact-requests/${requestId}`, {
+      method: 'DELETE',
+    });
+  }
+
+  /**
+   * Get the users we have blocked
+   * @returns {Promise<Object>} - { blocked }
+   */
+  async getBlockedUsers() {
+    return this.apiRequest('/users/blocks');
+  }
+
+  /**
+   * Block a user; neither of us can message or set up sessions with the other afterwards
+   * @param {string} userId - User to block
+   * @returns {Promise<Object>} - { blocked }
+   */
+  async blockUser(userId) {
+    return this.apiRequest('/users/blocks', {
+      method: 'POST',
+      body: JSON.stringify({ userId }),
+    });
+  }
+
+  /**
+   * Unblock a user
+   * @param {string} userId - Blocked user
+   * @returns {Promise<Object>}
+   */
+  async unblockUser(userId) {
+    return this.apiRequest(`/users/blocks/${userId}`, {
+      method: 'DELETE',
+    });
+  }
+
+  /**
+   * Report a user
+   * @param {Object} report - { userId, reason, details, evidence, block }
+   * @param {Object} signed - { timestamp, signature } from signReport
+   * @returns {Promise<Object>} - { reportId, blocked }
+   */
+  async reportUser(report, signed) {
+    return this.apiRequest('/users/reports', {
+      method: 'POST',
+      body: JSON.stringify({ ...report, ...signed }),
+    });
+  }
+
+  // Key backup API calls
+
+  /**
+   * Upload or replace the encrypted key backup
+   * @param {Object} backup - Result of encryptKeyBackup
+   * @returns {Promise<Object>} - { success, updatedAt }
+   */
+  async uploadKeyBackup(backup) {
+    return this.apiRequest('/backup', {
+      method: 'PUT',
+      body: JSON.stringify(backup),
+    });
+  }
+
+  /**
+   * Check whether a key backup exists without using up a download
+   * @returns {Promise<Object>} - { exists, updatedAt }
+   */
+  async getKeyBackupStatus() {
+    return this.apiRequest('/backup/status');
+  }
+
+  /**
+   * Download the encrypted key backup; limited to a few downloads per hour
+   * @returns {Promise<Object>} - Encrypted backup for decryptKeyBackup
+   */
+  async getKeyBackup() {
+    return this.apiRequest('/backup');
+  }
+
+  /**
+   * Delete the encrypted key backup
+   * @returns {Promise<Object>} - Delete response
+   */
+  async deleteKeyBackup() {
+    return this.apiRequest('/backup', {
+      method: 'DELETE',
     });
   }
 
@@ -244,13 +768,23 @@ class ApiService {
 
   /**
    * Send a message to another user
-   * @param {Object} encryptedMessage - Encrypted message object
+   * @param {Object} encryptedMessage - Encrypted message object, or the shared fields plus a
+   *   `ciphertexts` array with one envelope per receiver device
    * @returns {Promise<Object>} - Send response
    */
   async sendMessage(encryptedMessage) {
+    // Envelopes carry the ciphertext as `ciphertext`; the backend stores it as encryptedContent
+    const toWire = ({ ciphertext, ...fields }) => ({
+      ...fields,
+      encryptedContent: fields.encryptedContent || ciphertext,
+    });
+
+    const { ciphertexts, ...message } = encryptedMessage;
     return this.apiRequest('/messages/send', {
       method: 'POST',
-      body: JSON.stringify(encryptedMessage),
+      body: JSON.stringify(ciphertexts
+        ? { ...message, ciphertexts: ciphertexts.map(toWire) }
+        : toWire(message)),
     });
   }
 
@@ -275,9 +809,9 @@ class ApiService {
   }
 
   /**
-   * Mark messages as read
+   * Mark received messages as read and notify their senders
    * @param {Array<string>} messageIds - Array of message IDs
-   * @returns {Promise<Object>} - Update response
+   * @returns {Promise<Object>} - Update response with the IDs newly marked read
    */
   async markMessagesRead(messageIds) {
     return this.apiRequest('/messages/read', {
@@ -286,41 +820,284 @@ class ApiService {
     });
   }
 
+  // Group API calls
+
+  /**
+   * Get the groups the current user is a member of
+   * @returns {Promise<Array>} - Groups with members, admins and epoch
+   */
+  async getGroups() {
+    const response = await this.apiRequest('/groups');
+    return response.groups || [];
+  }
+
+  /**
+   * Create a group with some of the current user's contacts
+   * @param {string} name - Group name
+   * @param {Array<string>} memberIds - Contact user IDs
+   * @param {Object} signed - { timestamp, signature } from signGroupEvent
+   * @returns {Promise<Object>} - Created group
+   */
+  async createGroup(name, memberIds, signed) {
+    const response = await this.apiRequest('/groups', {
+      method: 'POST',
+      body: JSON.stringify({ name, memberIds, ...signed }),
+    });
+    return response.group;
+  }
+
+  /**
+   * Rename a group (admins only)
+   * @param {string} groupId - Group ID
+   * @param {string} name - New name
+   * @param {Object} signed - { timestamp, signature } from signGroupEvent
+   * @returns {Promise<Object>} - Updated group
+   */
+  async renameGroup(groupId, name, signed) {
+    const response = await this.apiRequest(`/groups/${groupId}`, {
+      method: 'PATCH',
+      body: JSON.stringify({ name, ...signed }),
+    });
+    return response.group;
+  }
+
+  /**
+   * Add one of our contacts to a group (admins only)
+   * @param {string} groupId - Group ID
+   * @param {string} userId - Contact's user ID
+   * @param {Object} signed - { timestamp, signature } from signGroupEvent
+   * @returns {Promise<Object>} - Updated group
+   */
+  async addGroupMember(groupId, userId, signed) {
+    const response = await this.apiRequest(`/groups/${groupId}/members`, {
+      method: 'POST',
+      body: JSON.stringify({ userId, ...signed }),
+    });
+    return response.group;
+  }
+
+  /**
+   * Remove a member from a group (admins only)
+   * @param {string} groupId - Group ID
+   * @param {string} userId - Member's user ID
+   * @param {Object} signed - { timestamp, signature } from signGroupEvent
+   * @returns {Promise<Object>} - Updated group
+   */
+  async removeGroupMember(groupId, userId, signed) {
+    const response = await this.apiRequest(`/groups/${groupId}/members/${userId}`, {
+      method: 'DELETE',
+      body: JSON.stringify(signed),
+    });
+    return response.group;
+  }
+
+  /**
+   * Leave a group
+   * @param {string} groupId - Group ID
+   * @param {Object} signed - { timestamp, signature } from signGroupEvent
+   * @returns {Promise<Object>} - Leave response
+   */
+  async leaveGroup(groupId, signed) {
+    return this.apiRequest(`/groups/${groupId}/leave`, {
+      method: 'POST',
+      body: JSON.stringify(signed),
+    });
+  }
+
+  /**
+   * Make a member an admin, or take their admin rights away (admins only)
+   * @param {string} groupId - Group ID
+   * @param {string} userId - Member's user ID
+   * @param {boolean} isAdmin - Whether the member should be an admin
+   * @param {Object} signed - { timestamp, signature } from signGroupEvent
+   * @returns {Promise<Object>} - Updated group
+   */
+  async setGroupAdmin(groupId, userId, isAdmin, signed) {
+    const response = await this.apiRequest(`/groups/${groupId}/admins/${userId}`, {
+      method: isAdmin ? 'PUT' : 'DELETE',
+      body: JSON.stringify(signed),
+    });
+    return response.group;
+  }
+
+  /**
+   * Create an invite link token for a group (admins only)
+   * @param {string} groupId - Group ID
+   * @param {number} expiresInHours - Hours until the link stops working
+   * @returns {Promise<{token: string, expiresAt: string}>}
+   */
+  async createGroupInviteLink(groupId, expiresInHours = 24) {
+    return this.apiRequest(`/groups/${groupId}/invite-links`, {
+      method: 'POST',
+      body: JSON.stringify({ expiresInHours }),
+    });
+  }
+
+  /**
+   * Revoke all of a group's invite links (admins only)
+   * @param {string} groupId - Group ID
+   * @returns {Promise<Object>} - { revoked } count
+   */
+  async revokeGroupInviteLinks(groupId) {
+    return this.apiRequest(`/groups/${groupId}/invite-links`, {
+      method: 'DELETE',
+    });
+  }
+
+  /**
+   * Join a group with an invite link token
+   * @param {string} groupId - Group ID from the link
+   * @param {string} token - Token from the link
+   * @param {Object} signed - { timestamp, signature } from signGroupEvent
+   * @returns {Promise<Object>} - Joined group
+   */
+  async joinGroup(groupId, token, signed) {
+    const response = await this.apiRequest(`/groups/${groupId}/join`, {
+      method: 'POST',
+      body: JSON.stringify({ token, ...signed }),
+    });
+    return response.group;
+  }
+
+  /**
+   * Get a group's message history
+   * @param {string} groupId - Group ID
+   * @param {number} limit - Number of messages to retrieve
+   * @param {string} before - Message ID to get messages before
+   * @returns {Promise<Array>} - Group message envelopes, oldest first
+   */
+  async getGroupMessages(groupId, limit = 50, before = null) {
+    const params = new URLSearchParams({ limit: limit.toString() });
+    if (before) {
+      params.append('before', before);
+    }
+    const response = await this.apiRequest(`/groups/${groupId}/messages?${params.toString()}`);
+    return response.messages || [];
+  }
+
+  /**
+   * Send a message encrypted with our sender key to a group
+   * @param {string} groupId - Group ID
+   * @param {Object} envelope - Signed envelope from createGroupMessage
+   * @returns {Promise<Object>} - Send response
+   */
+  async sendGroupMessage(groupId, { ciphertext, ...fields }) {
+    return this.apiRequest(`/groups/${groupId}/messages`, {
+      method: 'POST',
+      body: JSON.stringify({ ...fields, encryptedContent: fields.encryptedContent || ciphertext }),
+    });
+  }
+
+  /**
+   * Get the sender keys other members distributed to this device, e.g. while it was offline
+   * @param {string} groupId - Group ID
+   * @returns {Promise<Array>} - sender_key messages in the getMessages format, oldest first
+   */
+  async getSenderKeys(groupId) {
+    const response = await this.apiRequest(`/groups/${groupId}/sender-keys`);
+    return response.messages || [];
+  }
+
   // Key Exchange API calls
 
   /**
    * Initiate key exchange with another user
-   * @param {Object} keyExchangeData - Key exchange initiation data
-   * @returns {Promise<Object>} - Key exchange response
+   * @param {Object} keyExchangeData - Signed key exchange hello message
+   * @returns {Promise<Object>} - Key exchange response with exchangeId
    */
   async initiateKeyExchange(keyExchangeData) {
     return this.apiRequest('/keyexchange/initiate', {
       method: 'POST',
       body: JSON.stringify({
-        targetUserId: keyExchangeData.receiverId,
-        ephemeralPublicKey: keyExchangeData.ephemeralPublicKey,
-        signature: keyExchangeData.signature,
-        timestamp: keyExchangeData.timestamp,
-        nonce: keyExchangeData.nonce
+        targetUserId: keyExchangeData.receiverId || keyExchangeData.peerId,
+        message: keyExchangeData
       }),
     });
   }
 
   /**
    * Respond to key exchange request
-   * @param {Object} responseData - Key exchange response data
+   * @param {Object} responseData - Signed ephemeral message plus its exchangeId
    * @returns {Promise<Object>} - Response confirmation
    */
   async respondToKeyExchange(responseData) {
+    const { exchangeId, ...message } = responseData;
     return this.apiRequest('/keyexchange/respond', {
       method: 'POST',
-      body: JSON.stringify({
-        exchangeId: responseData.exchangeId,
-        ephemeralPublicKey: responseData.ephemeralPublicKey,
-        signature: responseData.signature,
-        timestamp: responseData.timestamp,
-        nonce: responseData.nonce
-      }),
+      body: JSON.stringify({ exchangeId, message }),
+    });
+  }
+
+  /**
+   * Send the key confirmation message that completes an exchange
+   * @param {string} exchangeId - Exchange identifier
+   * @param {Object} confirmationMessage - Key confirmation message
+   * @returns {Promise<Object>} - Completion response
+   */
+  async confirmKeyExchange(exchangeId, confirmationMessage) {
+    return this.apiRequest('/keyexchange/confirm', {
+      method: 'POST',
+      body: JSON.stringify({ exchangeId, message: confirmationMessage }),
+    });
+  }
+
+  /**
+   * Tell the server a confirmation was processed so it is no longer listed as pending
+   * @param {string} exchangeId - Exchange identifier
+   * @returns {Promise<Object>} - Acknowledgement response
+   */
+  async acknowledgeKeyExchange(exchangeId) {
+    return this.apiRequest('/keyexchange/acknowledge', {
+      method: 'POST',
+      body: JSON.stringify({ exchangeId }),
+    });
+  }
+
+  /**
+   * Give up on an exchange whose local state was lost so a new one can start
+   * @param {string} exchangeId - Exchange identifier
+   * @returns {Promise<Object>} - Abandon response
+   */
+  async abandonKeyExchange(exchangeId) {
+    return this.apiRequest('/keyexchange/abandon', {
+      method: 'POST',
+      body: JSON.stringify({ exchangeId }),
+    });
+  }
+
+  /**
+   * Get key exchanges that arrived while this user was offline
+   * @returns {Promise<Array>} - Pending exchanges tagged with their stage
+   */
+  async getPendingKeyExchanges() {
+    const response = await this.apiRequest('/keyexchange/pending');
+    return response.exchanges || [];
+  }
+
+  // X3DH prekey API calls
+
+  /**
+   * Publish this user's prekeys
+   * @param {Object} bundle - Identity, signing and signed prekeys plus new one-time prekeys
+   * @returns {Promise<Object>} - Upload response with the remaining one-time prekey count
+   */
+  async uploadPreKeys(bundle) {
+    return this.apiRequest('/prekeys', {
+      method: 'PUT',
+      body: JSON.stringify(bundle),
+    });
+  }
+
+  /**
+   * Fetch a contact's prekey bundle, consuming one of their one-time prekeys
+   * @param {string} userId - Contact user ID
+   * @param {string|null} deviceId - Contact device, or null for any of their bundles
+   * @returns {Promise<Object>} - Prekey bundle
+   */
+  async claimPreKeyBundle(userId, deviceId = null) {
+    return this.apiRequest(`/prekeys/${userId}/claim`, {
+      method: 'POST',
+      body: JSON.stringify(deviceId ? { deviceId } : {}),
     });
   }
 
@@ -392,7 +1169,8 @@ class ApiService {
         // Create Socket.IO connection
         this.socket = io(WS_BASE_URL, {
           auth: {
-            token: this.authToken
+            token: this.authToken,
+            deviceId: this.deviceId
           },
           autoConnect: false
         });
@@ -401,7 +1179,7 @@ class ApiService {
           console.log('Socket.IO connected successfully');
           
           // Authenticate the socket connection
-          this.socket.emit('authenticate', { token: this.authToken });
+          this.socket.emit('authenticate', { token: this.authToken, deviceId: this.deviceId });
           
           this.notifyConnectionListeners('connected');
           resolve();
@@ -412,7 +1190,13 @@ class ApiService {
           this.notifyConnectionListeners('disconnected');
         });
 
-        this.socket.on('connect_error', (error) => {
+        this.socket.on('connect_error', async (error) => {
+          // The handshake token expires with the access token; renew it and connect again
+          if (error.message === 'Invalid or expired token' && await this.refreshAccessToken()) {
+            this.socket?.connect();
+            return;
+          }
+
           console.error('Socket.IO connection error:', error);
           this.notifyConnectionListeners('error', error);
           reject(error);
@@ -423,6 +1207,14 @@ class ApiService {
           this.handleWebSocketMessage({ type: 'message', data: message });
         });
 
+        this.socket.on('messages_delivered', (data) => {
+          this.handleWebSocketMessage({ type: 'messages_delivered', data });
+        });
+
+        this.socket.on('messages_read', (data) => {
+          this.handleWebSocketMessage({ type: 'messages_read', data });
+        });
+
         this.socket.on('key_exchange_request', (data) => {
           this.handleWebSocketMessage({ type: 'key_exchange_initiate', data });
         });
@@ -435,6 +1227,10 @@ class ApiService {
           this.handleWebSocketMessage({ type: 'key_exchange_confirmation', data });
         });
 
+        this.socket.on('key_exchange_abandoned', (data) => {
+          this.handleWebSocketMessage({ type: 'key_exchange_abandoned', data });
+        });
+
         this.socket.on('user_online', (data) => {
           this.handleWebSocketMessage({ type: 'user_online', data });
         });
@@ -447,6 +1243,30 @@ class ApiService {
           this.handleWebSocketMessage({ type: 'typing_indicator', data });
         });
 
+        this.socket.on('device_revoked', (data) => {
+          this.handleWebSocketMessage({ type: 'device_revoked', data });
+        });
+
+        this.socket.on('contact_keys_changed', (data) => {
+          this.handleWebSocketMessage({ type: 'contact_keys_changed', data });
+        });
+
+        this.socket.on('group_message_received', (message) => {
+          this.handleWebSocketMessage({ type: 'group_message', data: message });
+        });
+
+        this.socket.on('group_updated', (data) => {
+          this.handleWebSocketMessage({ type: 'group_updated', data });
+        });
+
+        this.socket.on('group_removed', (data) => {
+          this.handleWebSocketMessage({ type: 'group_removed', data });
+        });
+
+        this.socket.on('contact_request_updated', (data) => {
+          this.handleWebSocketMessage({ type: 'contact_request_updated', data });
+        });
+
         // Connect the socket
         console.log('Starting Socket.IO connection...');
         this.socket.connect();
@@ -510,6 +1330,17 @@ class ApiService {
     this.messageHandlers.set(type, handler);
   }
 
+  /**
+   * Unregister a message handler, unless another one replaced it since
+   * @param {string} type - Message type
+   * @param {Function} handler - Handler passed to onWebSocketMessage
+   */
+  offWebSocketMessage(type, handler) {
+    if (this.messageHandlers.get(type) === handler) {
+      this.messageHandlers.delete(type);
+    }
+  }
+
   /**
    * Add connection state listener
    * @param {Function} listener - Listener function